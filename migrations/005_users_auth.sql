@@ -0,0 +1,45 @@
+-- Migration 005: User Accounts and Sessions
+--
+-- Adds user accounts with hashed passwords and role-based access, plus
+-- server-side sessions for the API authentication middleware.
+-- Roles: 'admin' (full access, including admin/backup/import),
+--        'abogado' and 'administrativo' (case management).
+--
+-- The first admin is created at server startup from the ADMIN_USERNAME /
+-- ADMIN_PASSWORD environment variables when the users table is empty.
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/005_users_auth.sql
+
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+    password_hash TEXT NOT NULL,
+    full_name TEXT NOT NULL DEFAULT '',
+    role TEXT NOT NULL DEFAULT 'abogado' CHECK (role IN ('admin', 'abogado', 'administrativo')),
+    active INTEGER NOT NULL DEFAULT 1,
+    last_login_at TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Session tokens are stored hashed (SHA-256); the raw token only lives in the client
+CREATE TABLE IF NOT EXISTS sessions (
+    token_hash TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    expires_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_expires_at ON sessions(expires_at);
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (5, 'Add users and sessions tables for authentication');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_sessions_expires_at;
+-- DROP INDEX IF EXISTS idx_sessions_user_id;
+-- DROP TABLE IF EXISTS sessions;
+-- DROP TABLE IF EXISTS users;
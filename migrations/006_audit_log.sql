@@ -0,0 +1,32 @@
+-- Migration 006: Case Audit Log
+--
+-- Records every case mutation (create, update, archive, judicial transition,
+-- turno finalize/reopen, delete) with a field-level before/after diff and the
+-- user who made it. `case_version` is the cases.version value after the
+-- mutation, so entries for a case form a gap-free sequence.
+--
+-- No foreign key to cases: the trail must survive case deletion.
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/006_audit_log.sql
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    case_id INTEGER NOT NULL,
+    case_version INTEGER NOT NULL,
+    action TEXT NOT NULL CHECK (action IN ('CREATE', 'UPDATE', 'ARCHIVE', 'JUDICIAL', 'FINALIZE', 'REOPEN', 'DELETE')),
+    actor_user_id INTEGER,
+    actor_username TEXT,
+    changes TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_case_id ON audit_log(case_id, case_version);
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (6, 'Add audit_log table for case mutations');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_audit_log_case_id;
+-- DROP TABLE IF EXISTS audit_log;
@@ -0,0 +1,39 @@
+-- Migration 007: Clients (personas)
+--
+-- Adds a clients table so the same person can be linked to several cases
+-- (e.g. an ARAG case and a Particular case) and keep their NIF, contact
+-- details and address in one place. cases.client_id is optional: existing
+-- cases keep their free-text client_name and can be linked later.
+--
+-- IMPORTANT: Run once (migrations/run.js records it); ADD COLUMN fails if run again
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/007_clients.sql
+
+CREATE TABLE IF NOT EXISTS clients (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    nif TEXT,
+    email TEXT,
+    phone TEXT,
+    address TEXT,
+    notes TEXT NOT NULL DEFAULT '',
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- NIF is optional but unique when present
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_nif ON clients(nif) WHERE nif IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_clients_name ON clients(name COLLATE NOCASE);
+
+-- Link cases to clients (fails if it already exists)
+ALTER TABLE cases ADD COLUMN client_id INTEGER REFERENCES clients(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_cases_client_id ON cases(client_id);
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (7, 'Add clients table and cases.client_id');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_cases_client_id;
+-- ALTER TABLE cases DROP COLUMN client_id;
+-- DROP TABLE IF EXISTS clients;
@@ -0,0 +1,50 @@
+-- Migration 008: Invoice Register
+--
+-- Every issued minuta gets a sequential invoice number per series and year
+-- (e.g. M-2026-0001), as required by the Reglamento de facturación. The
+-- counter lives in reference_counters (type 'INVOICE_<series>_<year>') and is
+-- only incremented in the same transaction that records the invoice, so the
+-- numbering has no gaps.
+--
+-- Invoices keep a snapshot of the case data and amounts: no foreign key to
+-- cases, the register must survive case deletion.
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/008_invoices.sql
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    invoice_number TEXT NOT NULL UNIQUE,
+    series TEXT NOT NULL,
+    year INTEGER NOT NULL,
+    sequence INTEGER NOT NULL,
+    issue_date TEXT NOT NULL,
+    case_id INTEGER NOT NULL,
+    document_id INTEGER,
+    client_name TEXT NOT NULL,
+    internal_reference TEXT,
+    arag_reference TEXT,
+    concept TEXT NOT NULL,
+    base_amount REAL NOT NULL,
+    vat_rate REAL NOT NULL,
+    vat_amount REAL NOT NULL,
+    total REAL NOT NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (series, year, sequence)
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_issue_date ON invoices(issue_date);
+CREATE INDEX IF NOT EXISTS idx_invoices_case_id ON invoices(case_id);
+
+-- Invoice series prefix (configurable in Configuración)
+INSERT OR IGNORE INTO configuration (key, value) VALUES ('invoice_series', 'M');
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (8, 'Add invoices register with per-year sequential numbering');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_invoices_case_id;
+-- DROP INDEX IF EXISTS idx_invoices_issue_date;
+-- DROP TABLE IF EXISTS invoices;
+-- DELETE FROM configuration WHERE key = 'invoice_series';
@@ -0,0 +1,30 @@
+-- Migration 009: Rectifying Invoices (facturas rectificativas)
+--
+-- A minuta already sent to ARAG is corrected by issuing a rectifying invoice
+-- that replaces it. The rectifying document points to the document it
+-- rectifies; the original is considered superseded from then on.
+--
+-- Rectifying invoices are numbered in their own series (<series>R, e.g.
+-- MR-2026-0001) and keep a snapshot of the rectified invoice number and the
+-- reason, as required by the Reglamento de facturación (art. 15).
+--
+-- IMPORTANT: Run once (migrations/run.js records it); ADD COLUMN fails if run again
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/009_rectifying_invoices.sql
+
+-- Add link columns (fails if it already exists)
+ALTER TABLE document_history ADD COLUMN rectifies_document_id INTEGER REFERENCES document_history(id);
+
+CREATE INDEX IF NOT EXISTS idx_document_history_rectifies ON document_history(rectifies_document_id);
+
+ALTER TABLE invoices ADD COLUMN rectified_invoice_number TEXT;
+ALTER TABLE invoices ADD COLUMN rectification_reason TEXT;
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (9, 'Add rectifying invoices linked to the rectified minuta');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_document_history_rectifies;
+-- ALTER TABLE document_history DROP COLUMN rectifies_document_id;
+-- ALTER TABLE invoices DROP COLUMN rectified_invoice_number;
+-- ALTER TABLE invoices DROP COLUMN rectification_reason;
@@ -0,0 +1,45 @@
+-- Migration 010: Payment Tracking
+--
+-- Records payments received for billed documents (minutas, rectifying
+-- minutas and suplidos), so outstanding balances can be reconciled.
+--
+-- document_history.amount_due stores the billed total at generation time
+-- (invoice total for minutas, mileage amount for suplidos). Existing
+-- invoiced minutas are backfilled from the invoice register.
+--
+-- IMPORTANT: Run once (migrations/run.js records it); ADD COLUMN fails if run again
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/010_payments.sql
+
+CREATE TABLE IF NOT EXISTS payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_id INTEGER NOT NULL REFERENCES document_history(id) ON DELETE CASCADE,
+    amount REAL NOT NULL CHECK (amount > 0),
+    payment_date TEXT NOT NULL,
+    method TEXT NOT NULL CHECK (method IN ('TRANSFERENCIA', 'CHEQUE', 'EFECTIVO', 'TARJETA', 'OTRO')),
+    reference TEXT,
+    created_by_user_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_payments_document_id ON payments(document_id);
+
+-- Billed amount per document (fails if it already exists)
+ALTER TABLE document_history ADD COLUMN amount_due REAL;
+
+UPDATE document_history
+SET amount_due = (SELECT i.total FROM invoices i WHERE i.document_id = document_history.id)
+WHERE amount_due IS NULL
+  AND EXISTS (SELECT 1 FROM invoices i WHERE i.document_id = document_history.id);
+
+-- Days after issue before an unpaid document is overdue (configurable)
+INSERT OR IGNORE INTO configuration (key, value) VALUES ('payment_overdue_days', '60');
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (10, 'Add payments per billed document and amount due');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_payments_document_id;
+-- DROP TABLE IF EXISTS payments;
+-- ALTER TABLE document_history DROP COLUMN amount_due;
+-- DELETE FROM configuration WHERE key = 'payment_overdue_days';
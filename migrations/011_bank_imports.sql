@@ -0,0 +1,52 @@
+-- Migration 011: Bank Statement Imports
+--
+-- Stores uploaded bank statements (AEB Norma 43 or CSV) and their incoming
+-- transfers, so ARAG remittances can be matched against outstanding minutas
+-- and confirmed as payments from the reconciliation screen.
+--
+-- bank_transactions.fingerprint prevents importing the same movement twice
+-- when overlapping statements are uploaded.
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/011_bank_imports.sql
+
+CREATE TABLE IF NOT EXISTS bank_imports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    filename TEXT NOT NULL,
+    format TEXT NOT NULL CHECK (format IN ('NORMA43', 'CSV')),
+    account TEXT,
+    transaction_count INTEGER NOT NULL DEFAULT 0,
+    duplicate_count INTEGER NOT NULL DEFAULT 0,
+    created_by_user_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE TABLE IF NOT EXISTS bank_transactions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    import_id INTEGER NOT NULL REFERENCES bank_imports(id) ON DELETE CASCADE,
+    fingerprint TEXT NOT NULL UNIQUE,
+    operation_date TEXT NOT NULL,
+    value_date TEXT,
+    amount REAL NOT NULL,
+    concept TEXT,
+    reference TEXT,
+    proposed_document_id INTEGER REFERENCES document_history(id) ON DELETE SET NULL,
+    match_confidence TEXT CHECK (match_confidence IN ('ALTA', 'MEDIA', 'BAJA')),
+    match_reason TEXT,
+    status TEXT NOT NULL DEFAULT 'PENDIENTE' CHECK (status IN ('PENDIENTE', 'CONFIRMADO', 'DESCARTADO')),
+    payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_bank_transactions_import_id ON bank_transactions(import_id);
+CREATE INDEX IF NOT EXISTS idx_bank_transactions_status ON bank_transactions(status);
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (11, 'Add bank statement imports for payment reconciliation');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_bank_transactions_status;
+-- DROP INDEX IF EXISTS idx_bank_transactions_import_id;
+-- DROP TABLE IF EXISTS bank_transactions;
+-- DROP TABLE IF EXISTS bank_imports;
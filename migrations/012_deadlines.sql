@@ -0,0 +1,46 @@
+-- Migration 012: Procedural Deadlines (plazos)
+--
+-- Deadlines linked to cases. The due date is computed at creation from the
+-- notification date and the number of days (business days per LEC/LJCA,
+-- excluding weekends, configured holidays and August for judicial deadlines)
+-- and stored, so later changes to the holiday calendar do not move it.
+-- Deadlines fixed by the court can be stored with a due date only.
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/012_deadlines.sql
+
+CREATE TABLE IF NOT EXISTS deadlines (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    case_id INTEGER NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    notes TEXT,
+    start_date TEXT,
+    days INTEGER CHECK (days IS NULL OR days > 0),
+    day_type TEXT NOT NULL DEFAULT 'HABILES' CHECK (day_type IN ('HABILES', 'NATURALES')),
+    judicial INTEGER NOT NULL DEFAULT 1,
+    due_date TEXT NOT NULL,
+    completed_at TEXT,
+    created_by_user_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_deadlines_case_id ON deadlines(case_id);
+CREATE INDEX IF NOT EXISTS idx_deadlines_due_date ON deadlines(due_date);
+
+-- Court holidays (MM-DD yearly or YYYY-MM-DD) and alert window (configurable)
+INSERT OR IGNORE INTO configuration (key, value)
+VALUES ('holidays_national', '01-01,01-06,05-01,08-15,10-12,11-01,12-06,12-08,12-24,12-25,12-31');
+INSERT OR IGNORE INTO configuration (key, value) VALUES ('holidays_regional', '02-28');
+INSERT OR IGNORE INTO configuration (key, value) VALUES ('holidays_local', '08-19,09-08');
+INSERT OR IGNORE INTO configuration (key, value) VALUES ('deadline_alert_days', '5');
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (12, 'Add procedural deadlines and court holiday configuration');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_deadlines_due_date;
+-- DROP INDEX IF EXISTS idx_deadlines_case_id;
+-- DROP TABLE IF EXISTS deadlines;
+-- DELETE FROM configuration WHERE key IN ('holidays_national', 'holidays_regional', 'holidays_local', 'deadline_alert_days');
@@ -0,0 +1,47 @@
+-- Migration 013: Court Hearings (señalamientos)
+--
+-- Structured hearing records per case (previously kept in observations),
+-- with local date/time (Europe/Madrid), court, judicial district and type.
+-- Hearings can be assigned to a lawyer; each user's iCalendar feed
+-- (GET /api/calendar.ics) lists their hearings plus unassigned ones.
+--
+-- users.calendar_token_hash stores the SHA-256 of the feed token, which
+-- is passed in the subscription URL because calendar apps cannot log in.
+--
+-- IMPORTANT: Run once (migrations/run.js records it); ADD COLUMN fails if run again
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/013_hearings.sql
+
+CREATE TABLE IF NOT EXISTS hearings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    case_id INTEGER NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+    hearing_type TEXT NOT NULL CHECK (hearing_type IN ('JUICIO', 'AUDIENCIA_PREVIA', 'VISTA', 'COMPARECENCIA', 'DECLARACION', 'OTRO')),
+    starts_at TEXT NOT NULL,
+    duration_minutes INTEGER NOT NULL DEFAULT 60 CHECK (duration_minutes > 0),
+    court TEXT NOT NULL,
+    judicial_district TEXT,
+    notes TEXT,
+    status TEXT NOT NULL DEFAULT 'PROGRAMADO' CHECK (status IN ('PROGRAMADO', 'CELEBRADO', 'SUSPENDIDO')),
+    lawyer_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_by_user_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_hearings_case_id ON hearings(case_id);
+CREATE INDEX IF NOT EXISTS idx_hearings_starts_at ON hearings(starts_at);
+
+-- Calendar feed token per user (fails if it already exists)
+ALTER TABLE users ADD COLUMN calendar_token_hash TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_calendar_token_hash ON users(calendar_token_hash);
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (13, 'Add court hearings and per-user calendar feed tokens');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_users_calendar_token_hash;
+-- ALTER TABLE users DROP COLUMN calendar_token_hash;
+-- DROP INDEX IF EXISTS idx_hearings_starts_at;
+-- DROP INDEX IF EXISTS idx_hearings_case_id;
+-- DROP TABLE IF EXISTS hearings;
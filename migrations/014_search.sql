@@ -0,0 +1,94 @@
+-- Migration 014: Full-text search (SQLite FTS5)
+--
+-- One index for cases (client, references, designation, district and
+-- observations), email subjects and the text of uploaded/generated PDFs.
+-- Cases and emails are kept in sync by triggers; document text is extracted
+-- by the application when DocumentHistoryService.create runs (documents
+-- that existed before this migration are indexed at server startup).
+--
+-- Accents are ignored (remove_diacritics) so "nunez" finds "Núñez".
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/014_search.sql
+
+CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+    entity_type UNINDEXED,
+    entity_id UNINDEXED,
+    case_id UNINDEXED,
+    title,
+    body,
+    tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Cases
+CREATE TRIGGER IF NOT EXISTS search_cases_ai AFTER INSERT ON cases BEGIN
+    INSERT INTO search_index (entity_type, entity_id, case_id, title, body)
+    VALUES ('case', new.id, new.id,
+            trim(new.client_name || ' ' || coalesce(new.internal_reference, '') || ' ' ||
+                 coalesce(new.arag_reference, '') || ' ' || coalesce(new.designation, '')),
+            trim(coalesce(new.judicial_district, '') || ' ' || coalesce(new.observations, '')));
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_cases_au
+AFTER UPDATE OF client_name, internal_reference, arag_reference, designation, judicial_district, observations
+ON cases BEGIN
+    DELETE FROM search_index WHERE entity_type = 'case' AND entity_id = old.id;
+    INSERT INTO search_index (entity_type, entity_id, case_id, title, body)
+    VALUES ('case', new.id, new.id,
+            trim(new.client_name || ' ' || coalesce(new.internal_reference, '') || ' ' ||
+                 coalesce(new.arag_reference, '') || ' ' || coalesce(new.designation, '')),
+            trim(coalesce(new.judicial_district, '') || ' ' || coalesce(new.observations, '')));
+END;
+
+-- Removes the case and everything indexed under it
+CREATE TRIGGER IF NOT EXISTS search_cases_ad AFTER DELETE ON cases BEGIN
+    DELETE FROM search_index WHERE case_id = old.id;
+END;
+
+-- Email subjects
+CREATE TRIGGER IF NOT EXISTS search_email_history_ai AFTER INSERT ON email_history BEGIN
+    INSERT INTO search_index (entity_type, entity_id, case_id, title, body)
+    VALUES ('email', new.id, new.case_id, new.subject, new.recipient);
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_email_history_au AFTER UPDATE OF subject, recipient ON email_history BEGIN
+    DELETE FROM search_index WHERE entity_type = 'email' AND entity_id = old.id;
+    INSERT INTO search_index (entity_type, entity_id, case_id, title, body)
+    VALUES ('email', new.id, new.case_id, new.subject, new.recipient);
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_email_history_ad AFTER DELETE ON email_history BEGIN
+    DELETE FROM search_index WHERE entity_type = 'email' AND entity_id = old.id;
+END;
+
+-- Documents (rows are inserted by the application after text extraction)
+CREATE TRIGGER IF NOT EXISTS search_document_history_ad AFTER DELETE ON document_history BEGIN
+    DELETE FROM search_index WHERE entity_type = 'document' AND entity_id = old.id;
+END;
+
+-- Index existing cases and emails
+DELETE FROM search_index WHERE entity_type IN ('case', 'email');
+
+INSERT INTO search_index (entity_type, entity_id, case_id, title, body)
+SELECT 'case', id, id,
+       trim(client_name || ' ' || coalesce(internal_reference, '') || ' ' ||
+            coalesce(arag_reference, '') || ' ' || coalesce(designation, '')),
+       trim(coalesce(judicial_district, '') || ' ' || coalesce(observations, ''))
+FROM cases;
+
+INSERT INTO search_index (entity_type, entity_id, case_id, title, body)
+SELECT 'email', id, case_id, subject, recipient FROM email_history;
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (14, 'Add FTS5 search index over cases, emails and document text');
+
+-- Rollback instructions:
+-- DROP TRIGGER IF EXISTS search_document_history_ad;
+-- DROP TRIGGER IF EXISTS search_email_history_ad;
+-- DROP TRIGGER IF EXISTS search_email_history_au;
+-- DROP TRIGGER IF EXISTS search_email_history_ai;
+-- DROP TRIGGER IF EXISTS search_cases_ad;
+-- DROP TRIGGER IF EXISTS search_cases_au;
+-- DROP TRIGGER IF EXISTS search_cases_ai;
+-- DROP TABLE IF EXISTS search_index;
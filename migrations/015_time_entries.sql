@@ -0,0 +1,51 @@
+-- Migration 015: Time Tracking (Particulares)
+--
+-- Time entries per case: lawyer, date, duration, activity, hourly rate and
+-- billable flag. An entry with timer_started_at set is a running timer (its
+-- duration is filled in when the timer stops); each user can run one timer
+-- at a time.
+--
+-- Billable entries are invoiced in a "factura de horas" (document type
+-- FACTURA_HORAS, numbered in the invoice register). document_id links the
+-- entry to that fee note; deleting the document makes the entries unbilled
+-- again.
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/015_time_entries.sql
+
+CREATE TABLE IF NOT EXISTS time_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    case_id INTEGER NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    entry_date TEXT NOT NULL,
+    duration_minutes INTEGER CHECK (duration_minutes IS NULL OR duration_minutes > 0),
+    activity TEXT NOT NULL,
+    hourly_rate REAL NOT NULL CHECK (hourly_rate >= 0),
+    billable INTEGER NOT NULL DEFAULT 1,
+    timer_started_at TEXT,
+    document_id INTEGER REFERENCES document_history(id) ON DELETE SET NULL,
+    created_by_user_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_time_entries_case_id ON time_entries(case_id);
+CREATE INDEX IF NOT EXISTS idx_time_entries_document_id ON time_entries(document_id);
+
+-- One running timer per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running_timer
+    ON time_entries(user_id) WHERE timer_started_at IS NOT NULL;
+
+-- Default hourly rate for new entries (configurable in Configuración)
+INSERT OR IGNORE INTO configuration (key, value) VALUES ('default_hourly_rate', '150.00');
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (15, 'Add time entries per case for hourly billing');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_time_entries_running_timer;
+-- DROP INDEX IF EXISTS idx_time_entries_document_id;
+-- DROP INDEX IF EXISTS idx_time_entries_case_id;
+-- DROP TABLE IF EXISTS time_entries;
+-- DELETE FROM configuration WHERE key = 'default_hourly_rate';
@@ -0,0 +1,41 @@
+-- Migration 016: Provisiones de Fondos (Particulares)
+--
+-- Client account ledger per case: advances requested from the client
+-- (SOLICITADA), received (RECIBIDA), applied to an invoice (APLICADA) and
+-- refunded (DEVUELTA). Requests do not change the balance; the funds held
+-- are received - applied - refunded.
+--
+-- A request links to its signed "solicitud de provisión de fondos" PDF
+-- (document type SOLICITUD_PROVISION). Applying funds records a payment on
+-- the invoice: document_id is the invoice and payment_id that payment, so
+-- deleting the payment (or the invoice) returns the funds to the balance.
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/016_provisions.sql
+
+CREATE TABLE IF NOT EXISTS provision_movements (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    case_id INTEGER NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+    movement_type TEXT NOT NULL CHECK (movement_type IN ('SOLICITADA', 'RECIBIDA', 'APLICADA', 'DEVUELTA')),
+    amount REAL NOT NULL CHECK (amount > 0),
+    movement_date TEXT NOT NULL,
+    method TEXT CHECK (method IS NULL OR method IN ('TRANSFERENCIA', 'CHEQUE', 'EFECTIVO', 'TARJETA', 'OTRO')),
+    reference TEXT,
+    notes TEXT,
+    document_id INTEGER REFERENCES document_history(id) ON DELETE SET NULL,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+    created_by_user_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_provision_movements_case_id ON provision_movements(case_id);
+CREATE INDEX IF NOT EXISTS idx_provision_movements_payment_id ON provision_movements(payment_id);
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (16, 'Add provisiones de fondos ledger per case');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_provision_movements_payment_id;
+-- DROP INDEX IF EXISTS idx_provision_movements_case_id;
+-- DROP TABLE IF EXISTS provision_movements;
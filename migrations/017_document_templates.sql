@@ -0,0 +1,29 @@
+-- Migration 017: Document Templates
+--
+-- Editable templates for the generated PDFs (minuta, suplido, hoja de encargo).
+-- The built-in templates live in the code (defaultTemplates.js); a row here
+-- replaces the built-in one for its document type, and deleting the row
+-- restores it.
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/017_document_templates.sql
+
+CREATE TABLE IF NOT EXISTS document_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_type TEXT NOT NULL CHECK (document_type IN ('MINUTA', 'SUPLIDO', 'HOJA_ENCARGO')),
+    body TEXT NOT NULL,
+    updated_by_user_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- One template per document type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_document_templates_type ON document_templates(document_type);
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (17, 'Add editable document templates');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_document_templates_type;
+-- DROP TABLE IF EXISTS document_templates;
@@ -0,0 +1,25 @@
+-- Migration 018: Document Template Language
+--
+-- Generated documents follow the case language (cases.language), so each
+-- document type can have a custom template per language. Existing custom
+-- templates are Spanish.
+--
+-- IMPORTANT: Run once (migrations/run.js records it); ADD COLUMN fails if run again
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/018_document_template_language.sql
+
+-- Add language column (fails if it already exists)
+ALTER TABLE document_templates ADD COLUMN language TEXT NOT NULL DEFAULT 'es' CHECK (language IN ('es', 'en'));
+
+-- One template per document type and language
+DROP INDEX IF EXISTS idx_document_templates_type;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_document_templates_type_language
+    ON document_templates(document_type, language);
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (18, 'Add language to document templates');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_document_templates_type_language;
+-- CREATE UNIQUE INDEX IF NOT EXISTS idx_document_templates_type ON document_templates(document_type);
+-- (SQLite < 3.35 cannot drop the language column; recreate the table without it)
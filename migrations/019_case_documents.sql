@@ -0,0 +1,44 @@
+-- Migration 019: Case Documents
+--
+-- Files uploaded to any case (court notifications, client IDs, evidence,
+-- filings, correspondence) are stored in document_history with document
+-- type MANUAL_UPLOAD, like the Turno de Oficio uploads. These columns keep
+-- what was uploaded and how it is classified:
+--
+--   original_name        File name as uploaded (used for downloads)
+--   mime_type            Content type of the file
+--   file_size            Size in bytes
+--   category             NOTIFICACION, IDENTIFICACION, PRUEBA, ESCRITO,
+--                        CORRESPONDENCIA or OTRO (NULL for generated documents)
+--   description          Free-text description
+--   tags                 JSON array of tags, e.g. ["contrario", "2026"]
+--   uploaded_by_user_id  User who uploaded the file
+--
+-- Existing uploads (Turno de Oficio, PDF only) are categorised as OTRO.
+--
+-- IMPORTANT: Run once (migrations/run.js records it); ADD COLUMN fails if run again
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/019_case_documents.sql
+
+-- Upload metadata (each fails if it already exists)
+ALTER TABLE document_history ADD COLUMN original_name TEXT;
+ALTER TABLE document_history ADD COLUMN mime_type TEXT;
+ALTER TABLE document_history ADD COLUMN file_size INTEGER;
+ALTER TABLE document_history ADD COLUMN category TEXT CHECK (category IS NULL OR category IN
+    ('NOTIFICACION', 'IDENTIFICACION', 'PRUEBA', 'ESCRITO', 'CORRESPONDENCIA', 'OTRO'));
+ALTER TABLE document_history ADD COLUMN description TEXT;
+ALTER TABLE document_history ADD COLUMN tags TEXT NOT NULL DEFAULT '[]';
+ALTER TABLE document_history ADD COLUMN uploaded_by_user_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_document_history_case_category ON document_history(case_id, category);
+
+UPDATE document_history
+SET category = 'OTRO', mime_type = COALESCE(mime_type, 'application/pdf')
+WHERE document_type = 'MANUAL_UPLOAD' AND category IS NULL;
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (19, 'Add upload metadata, category and tags to case documents');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_document_history_case_category;
+-- (SQLite < 3.35 cannot drop the added columns; recreate the table without them)
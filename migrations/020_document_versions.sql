@@ -0,0 +1,50 @@
+-- Migration 020: Document Versions and Integrity
+--
+-- Every file a document has pointed to is kept as an immutable version with
+-- the SHA-256 hash of its content at the time it was recorded:
+--
+--   CREACION          File of a new document
+--   FIRMA             Signed PDF that replaced the unsigned one
+--   REGISTRO_INICIAL  Hash recorded at startup for documents created before
+--                     this migration (it proves integrity from then on only)
+--
+-- Versions cannot be updated (trigger below) and files are no longer removed
+-- from disk: deleting a document sets document_history.deleted_at, and it
+-- can be restored. document_history.sha256 is the hash of the current version.
+--
+-- IMPORTANT: Run once (migrations/run.js records it); ADD COLUMN fails if run again
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/020_document_versions.sql
+
+CREATE TABLE IF NOT EXISTS document_versions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_id INTEGER NOT NULL REFERENCES document_history(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL CHECK (version_number > 0),
+    file_path TEXT NOT NULL,
+    sha256 TEXT CHECK (sha256 IS NULL OR length(sha256) = 64),
+    file_size INTEGER,
+    reason TEXT NOT NULL CHECK (reason IN ('CREACION', 'FIRMA', 'REGISTRO_INICIAL')),
+    created_by_user_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    UNIQUE (document_id, version_number)
+);
+
+CREATE TRIGGER IF NOT EXISTS document_versions_immutable BEFORE UPDATE ON document_versions BEGIN
+    SELECT RAISE(ABORT, 'Las versiones de los documentos no se pueden modificar');
+END;
+
+-- Current hash and soft delete (each fails if it already exists)
+ALTER TABLE document_history ADD COLUMN sha256 TEXT;
+ALTER TABLE document_history ADD COLUMN deleted_at TEXT;
+ALTER TABLE document_history ADD COLUMN deleted_by_user_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_document_history_case_deleted ON document_history(case_id, deleted_at);
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (20, 'Add immutable document versions with SHA-256 hashes and soft delete');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_document_history_case_deleted;
+-- DROP TRIGGER IF EXISTS document_versions_immutable;
+-- DROP TABLE IF EXISTS document_versions;
+-- (SQLite < 3.35 cannot drop the added columns; recreate the table without them)
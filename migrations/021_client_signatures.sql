@@ -0,0 +1,59 @@
+-- Migration 021: Client Signatures (Hoja de Encargo)
+--
+-- The client signs the hoja de encargo from a one-time link instead of
+-- printing, signing and scanning it. Each link is a signature request:
+--
+--   PENDIENTE  Link sent, not used yet (unusable after expires_at)
+--   FIRMADA    The client signed: the document now points to the PDF with
+--              the client's signature and the office seal
+--   CANCELADA  Revoked by the office, or replaced by a newer link
+--
+-- Only the SHA-256 of the link token is stored (like calendar tokens).
+-- source_path/source_sha256 are the PDF the client reviews; signing fails if
+-- that file changed. Once signed, the row is the evidence record of the
+-- signature (signer IP, user agent, time, method and the hashes of the
+-- reviewed and the signed PDF) and can no longer be modified (trigger below).
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/021_client_signatures.sql
+
+CREATE TABLE IF NOT EXISTS client_signature_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    case_id INTEGER NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+    document_id INTEGER NOT NULL REFERENCES document_history(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    signer_name TEXT NOT NULL,
+    signer_email TEXT,
+    status TEXT NOT NULL DEFAULT 'PENDIENTE' CHECK (status IN ('PENDIENTE', 'FIRMADA', 'CANCELADA')),
+    source_path TEXT NOT NULL,
+    source_sha256 TEXT NOT NULL CHECK (length(source_sha256) = 64),
+    expires_at TEXT NOT NULL,
+    created_by_user_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    cancelled_at TEXT,
+    -- Evidence (set when the client signs)
+    signed_at TEXT,
+    signer_ip TEXT,
+    user_agent TEXT,
+    signature_method TEXT CHECK (signature_method IS NULL OR signature_method IN ('DIBUJADA', 'ESCRITA')),
+    signed_path TEXT,
+    signed_sha256 TEXT CHECK (signed_sha256 IS NULL OR length(signed_sha256) = 64)
+);
+
+CREATE INDEX IF NOT EXISTS idx_client_signature_requests_case_id ON client_signature_requests(case_id);
+CREATE INDEX IF NOT EXISTS idx_client_signature_requests_document_id ON client_signature_requests(document_id);
+
+CREATE TRIGGER IF NOT EXISTS client_signature_evidence_immutable
+BEFORE UPDATE ON client_signature_requests WHEN OLD.status = 'FIRMADA' BEGIN
+    SELECT RAISE(ABORT, 'Las evidencias de firma del cliente no se pueden modificar');
+END;
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (21, 'Add client signature requests and evidence for the hoja de encargo');
+
+-- Rollback instructions:
+-- DROP TRIGGER IF EXISTS client_signature_evidence_immutable;
+-- DROP INDEX IF EXISTS idx_client_signature_requests_document_id;
+-- DROP INDEX IF EXISTS idx_client_signature_requests_case_id;
+-- DROP TABLE IF EXISTS client_signature_requests;
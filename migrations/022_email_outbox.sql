@@ -0,0 +1,58 @@
+-- Migration 022: Email Outbox
+--
+-- Workflows no longer send emails inline: they queue them here and return.
+-- A background worker sends the due emails and retries failures with
+-- exponential backoff:
+--
+--   PENDING      Waiting to be sent (next_attempt_at is the earliest time)
+--   SENDING      Taken by the worker (locked_at); back to PENDING if the
+--                server stopped in the middle of a send
+--   SENT         Delivered to the SMTP server (email_history_id is the record)
+--   DEAD_LETTER  Failed max_attempts times, or a permanent error; only sent
+--                again if someone retries it from the queue panel
+--   CANCELLED    Removed from the queue by a user
+--
+-- email_history keeps one row per outcome (SENT, or ERROR when the email
+-- reaches DEAD_LETTER), so the case timelines are unchanged.
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/022_email_outbox.sql
+
+CREATE TABLE IF NOT EXISTS email_outbox (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    case_id INTEGER NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+    document_id INTEGER REFERENCES document_history(id) ON DELETE SET NULL,
+    recipient TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    body TEXT,
+    attachment_path TEXT,
+    language TEXT,
+    status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'SENDING', 'SENT', 'DEAD_LETTER', 'CANCELLED')),
+    attempts INTEGER NOT NULL DEFAULT 0 CHECK (attempts >= 0),
+    max_attempts INTEGER NOT NULL CHECK (max_attempts >= 1),
+    next_attempt_at TEXT NOT NULL DEFAULT (datetime('now')),
+    locked_at TEXT,
+    last_error TEXT,
+    email_history_id INTEGER REFERENCES email_history(id) ON DELETE SET NULL,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now')),
+    sent_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_outbox_status_next ON email_outbox(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_case_id ON email_outbox(case_id);
+CREATE INDEX IF NOT EXISTS idx_email_outbox_email_history_id ON email_outbox(email_history_id);
+
+-- Attempts before an email goes to DEAD_LETTER
+INSERT OR IGNORE INTO configuration (key, value) VALUES ('email_max_attempts', '6');
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (22, 'Add email outbox with retries and dead letter');
+
+-- Rollback instructions:
+-- DELETE FROM configuration WHERE key = 'email_max_attempts';
+-- DROP INDEX IF EXISTS idx_email_outbox_email_history_id;
+-- DROP INDEX IF EXISTS idx_email_outbox_case_id;
+-- DROP INDEX IF EXISTS idx_email_outbox_status_next;
+-- DROP TABLE IF EXISTS email_outbox;
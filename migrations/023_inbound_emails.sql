@@ -0,0 +1,56 @@
+-- Migration 023: Inbound Emails
+--
+-- Emails read from the office mailbox (IMAP, or a maildir/mbox for testing).
+-- A message whose subject carries the reference of exactly one case (ARAG
+-- DJ00xxxxxx, or the internal IYxxxxxx / IY-YY-NNN) is stored in that case
+-- as documents: the whole message (.eml) and its attachments. The rest wait
+-- in the "bandeja sin asignar" until someone assigns or discards them.
+--
+--   UNASSIGNED  Waiting in the triage view (unassigned_reason says why)
+--   ASSIGNED    Stored in case_id; document_id is the .eml document
+--   DISCARDED   Not related to any case (it can still be assigned later)
+--
+-- raw_path keeps the original message, also after it is assigned.
+-- dedupe_key (Message-ID, or the SHA-256 of the message) stops the same
+-- email from being imported twice.
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/023_inbound_emails.sql
+
+CREATE TABLE IF NOT EXISTS inbound_emails (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    source TEXT NOT NULL CHECK (source IN ('IMAP', 'MAILDIR', 'MBOX')),
+    dedupe_key TEXT NOT NULL UNIQUE,
+    message_id TEXT,
+    from_address TEXT,
+    from_name TEXT,
+    to_address TEXT,
+    subject TEXT,
+    sent_at TEXT,
+    text_preview TEXT,
+    attachment_names TEXT NOT NULL DEFAULT '[]',
+    raw_path TEXT NOT NULL,
+    raw_size INTEGER,
+    references_found TEXT NOT NULL DEFAULT '[]',
+    status TEXT NOT NULL DEFAULT 'UNASSIGNED' CHECK (status IN ('UNASSIGNED', 'ASSIGNED', 'DISCARDED')),
+    unassigned_reason TEXT CHECK (unassigned_reason IN ('NO_REFERENCE', 'UNKNOWN_REFERENCE', 'AMBIGUOUS', 'CASE_ARCHIVED')),
+    case_id INTEGER REFERENCES cases(id) ON DELETE SET NULL,
+    document_id INTEGER REFERENCES document_history(id) ON DELETE SET NULL,
+    match_method TEXT CHECK (match_method IN ('AUTO', 'MANUAL')),
+    assigned_by_user_id INTEGER,
+    assigned_at TEXT,
+    received_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_inbound_emails_status ON inbound_emails(status, received_at);
+CREATE INDEX IF NOT EXISTS idx_inbound_emails_case_id ON inbound_emails(case_id);
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (23, 'Add inbound emails and unassigned inbox');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_inbound_emails_case_id;
+-- DROP INDEX IF EXISTS idx_inbound_emails_status;
+-- DROP TABLE IF EXISTS inbound_emails;
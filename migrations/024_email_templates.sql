@@ -0,0 +1,44 @@
+-- Migration 024: Email Templates
+--
+-- Editable subject and body of the emails the workflows send (minuta,
+-- suplido, hoja de encargo) and of a generic email, one per language. The
+-- built-in texts live in the code (defaultEmailTemplates.js); a row here
+-- replaces the built-in one, and deleting the row restores it.
+--
+-- body_html is optional: without it the email is sent as plain text only.
+-- The signature block (configuration email_signature) is appended to both.
+--
+-- IMPORTANT: Run once (migrations/run.js records it); ADD COLUMN fails if run again
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/024_email_templates.sql
+
+CREATE TABLE IF NOT EXISTS email_templates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    template_key TEXT NOT NULL CHECK (template_key IN ('MINUTA', 'SUPLIDO', 'HOJA_ENCARGO', 'GENERIC')),
+    language TEXT NOT NULL DEFAULT 'es' CHECK (language IN ('es', 'en')),
+    subject TEXT NOT NULL,
+    body_text TEXT NOT NULL,
+    body_html TEXT,
+    updated_by_user_id INTEGER,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- One template per key and language
+CREATE UNIQUE INDEX IF NOT EXISTS idx_email_templates_key_language
+    ON email_templates(template_key, language);
+
+-- HTML version of queued emails (fails if it already exists)
+ALTER TABLE email_outbox ADD COLUMN body_html TEXT;
+
+-- Signature block appended to every templated email (empty: no signature)
+INSERT OR IGNORE INTO configuration (key, value) VALUES ('email_signature', '');
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (24, 'Add editable email templates');
+
+-- Rollback instructions:
+-- DELETE FROM configuration WHERE key = 'email_signature';
+-- DROP INDEX IF EXISTS idx_email_templates_key_language;
+-- DROP TABLE IF EXISTS email_templates;
+-- (SQLite < 3.35 cannot drop the email_outbox.body_html column; recreate the table without it)
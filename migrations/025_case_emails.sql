@@ -0,0 +1,34 @@
+-- Migration 025: Case Emails with CC/BCC and several attachments
+--
+-- Emails written from a case (Enviar email) can go to several recipients,
+-- with copy (cc) and blind copy (bcc), and attach any documents of the case.
+-- Address lists are stored comma-separated, as they go in the email headers.
+--
+-- email_outbox.attachments: JSON array of { documentId, path, fileName }
+-- (attachment_path remains the single attachment of the workflow emails).
+-- email_history.attachment_document_ids: JSON array of the documents attached.
+--
+-- IMPORTANT: Run once (migrations/run.js records it); ADD COLUMN fails if run again
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/025_case_emails.sql
+
+-- Copy and blind copy of queued emails (fails if it already exists)
+ALTER TABLE email_outbox ADD COLUMN cc TEXT;
+ALTER TABLE email_outbox ADD COLUMN bcc TEXT;
+ALTER TABLE email_outbox ADD COLUMN attachments TEXT NOT NULL DEFAULT '[]';
+
+-- What was sent, for the case timeline (fails if it already exists)
+ALTER TABLE email_history ADD COLUMN cc TEXT;
+ALTER TABLE email_history ADD COLUMN bcc TEXT;
+ALTER TABLE email_history ADD COLUMN attachment_document_ids TEXT NOT NULL DEFAULT '[]';
+
+-- Workflow emails already sent attached their document
+UPDATE email_history SET attachment_document_ids = json_array(document_id)
+WHERE document_id IS NOT NULL AND attachment_document_ids = '[]';
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (25, 'Add CC/BCC and multiple attachments to emails');
+
+-- Rollback instructions:
+-- (SQLite < 3.35 cannot drop columns; recreate email_outbox and email_history without
+-- cc, bcc, attachments and attachment_document_ids)
@@ -0,0 +1,78 @@
+-- Migration 026: Email Delivery Tracking
+--
+-- SENT only means the SMTP server accepted the email. The recipient's server
+-- may still return it later as a delivery status notification (DSN, RFC 3464).
+-- The Message-ID of every email sent is kept so those reports can be matched
+-- to their email_history row, which then moves to:
+--
+--   DELIVERED  The recipient's server reported the email as delivered
+--   BOUNCED    It was returned (error_message keeps the diagnostic)
+--
+-- SQLite cannot change a CHECK constraint, so email_history is rebuilt with
+-- the same rows, indexes and search triggers.
+--
+-- IMPORTANT: Run once (migrations/run.js records it); the rebuild is not idempotent
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/026_email_delivery_tracking.sql
+
+PRAGMA foreign_keys = OFF;
+
+BEGIN;
+
+CREATE TABLE email_history_new (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    case_id INTEGER NOT NULL REFERENCES cases(id) ON DELETE CASCADE,
+    document_id INTEGER REFERENCES document_history(id),
+    recipient TEXT NOT NULL,
+    subject TEXT NOT NULL,
+    sent_at TEXT NOT NULL,
+    status TEXT NOT NULL CHECK (status IN ('SENT', 'ERROR', 'BOUNCED', 'DELIVERED')),
+    error_message TEXT,
+    created_at TEXT NOT NULL DEFAULT (datetime('now')),
+    cc TEXT,
+    bcc TEXT,
+    attachment_document_ids TEXT NOT NULL DEFAULT '[]',
+    message_id TEXT,
+    delivery_updated_at TEXT
+);
+
+INSERT INTO email_history_new
+    (id, case_id, document_id, recipient, subject, sent_at, status, error_message, created_at,
+     cc, bcc, attachment_document_ids)
+SELECT id, case_id, document_id, recipient, subject, sent_at, status, error_message, created_at,
+       cc, bcc, attachment_document_ids
+FROM email_history;
+
+DROP TABLE email_history;
+ALTER TABLE email_history_new RENAME TO email_history;
+
+CREATE INDEX IF NOT EXISTS idx_email_history_case_id ON email_history(case_id);
+CREATE INDEX IF NOT EXISTS idx_email_history_message_id ON email_history(message_id);
+
+-- Search triggers (dropped with the old table, as in 014_search.sql)
+CREATE TRIGGER IF NOT EXISTS search_email_history_ai AFTER INSERT ON email_history BEGIN
+    INSERT INTO search_index (entity_type, entity_id, case_id, title, body)
+    VALUES ('email', new.id, new.case_id, new.subject, new.recipient);
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_email_history_au AFTER UPDATE OF subject, recipient ON email_history BEGIN
+    DELETE FROM search_index WHERE entity_type = 'email' AND entity_id = old.id;
+    INSERT INTO search_index (entity_type, entity_id, case_id, title, body)
+    VALUES ('email', new.id, new.case_id, new.subject, new.recipient);
+END;
+
+CREATE TRIGGER IF NOT EXISTS search_email_history_ad AFTER DELETE ON email_history BEGIN
+    DELETE FROM search_index WHERE entity_type = 'email' AND entity_id = old.id;
+END;
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (26, 'Track delivery of sent emails (message_id, BOUNCED, DELIVERED)');
+
+COMMIT;
+
+PRAGMA foreign_keys = ON;
+
+-- Rollback instructions:
+-- (rebuild email_history as in 025 with status CHECK IN ('SENT', 'ERROR'), after
+-- UPDATE email_history SET status = 'SENT' WHERE status = 'DELIVERED' and
+-- UPDATE email_history SET status = 'ERROR' WHERE status = 'BOUNCED')
@@ -0,0 +1,34 @@
+-- Migration 027: Bank Transfers Split Across Documents
+--
+-- An ARAG remittance pays several minutas with one transfer, so a bank
+-- transaction can now be confirmed as one payment per document. Each payment
+-- records the transaction it came from (payments.bank_transaction_id), which
+-- replaces bank_transactions.payment_id (kept for the rows confirmed before).
+--
+-- Deleting a payment returns its transaction to PENDIENTE, with the amount of
+-- that payment left to assign. Transactions whose payment was already deleted
+-- (payment_id set to NULL) are reset here.
+--
+-- IMPORTANT: Run once (migrations/run.js records it); ADD COLUMN fails if run again
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/027_bank_transaction_payments.sql
+
+-- Transaction each payment was reconciled from (fails if it already exists)
+ALTER TABLE payments ADD COLUMN bank_transaction_id INTEGER REFERENCES bank_transactions(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payments_bank_transaction_id ON payments(bank_transaction_id);
+
+UPDATE payments
+SET bank_transaction_id = (SELECT bt.id FROM bank_transactions bt WHERE bt.payment_id = payments.id)
+WHERE id IN (SELECT payment_id FROM bank_transactions WHERE payment_id IS NOT NULL);
+
+UPDATE bank_transactions
+SET status = 'PENDIENTE', updated_at = datetime('now')
+WHERE status = 'CONFIRMADO' AND payment_id IS NULL;
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (27, 'Split bank transactions across several payments');
+
+-- Rollback instructions:
+-- DROP INDEX IF EXISTS idx_payments_bank_transaction_id;
+-- (SQLite < 3.35 cannot drop columns; recreate payments without bank_transaction_id)
@@ -0,0 +1,25 @@
+-- Migration 028: Queue Entry of Each Email History Record
+--
+-- email_outbox.email_history_id points to the latest outcome of a queued
+-- email, so a failure (ERROR) loses its link once the retry is sent. Every
+-- email_history row now records the queue entry carrying the email
+-- (email_history.outbox_id), so retrying a failure that is already queued
+-- again or sent can be refused instead of sending the email twice.
+--
+-- IMPORTANT: Run once (migrations/run.js records it); ADD COLUMN fails if run again
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/028_email_history_outbox.sql
+
+-- Queue entry of the email (fails if it already exists)
+ALTER TABLE email_history ADD COLUMN outbox_id INTEGER REFERENCES email_outbox(id) ON DELETE SET NULL;
+
+-- Outcomes recorded so far by the outbox
+UPDATE email_history
+SET outbox_id = (SELECT o.id FROM email_outbox o WHERE o.email_history_id = email_history.id)
+WHERE id IN (SELECT email_history_id FROM email_outbox WHERE email_history_id IS NOT NULL);
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (28, 'Link email history records to their queue entry');
+
+-- Rollback instructions:
+-- (SQLite < 3.35 cannot drop columns; recreate email_history without outbox_id)
@@ -0,0 +1,28 @@
+-- Migration 029: IMAP Mailbox Sync State
+--
+-- The IMAP mailboxes (inbound email, delivery reports) are read by UID instead
+-- of by the \Seen flag, which people reading the same account in their email
+-- client also set. Each reader keeps the UIDVALIDITY of the folder and the
+-- last UID imported; a new UIDVALIDITY (the folder was recreated) reads the
+-- folder again, and the messages already imported are skipped by dedupe_key.
+--
+--   mailbox_key   Reader, account and folder (inbound:user@host/INBOX)
+--   uid_validity  UIDVALIDITY of the folder when last read
+--   last_uid      Messages up to this UID have been handled
+--
+-- IMPORTANT: This migration is idempotent (safe to run multiple times)
+-- Run with: sqlite3 /path/to/legal-cases.db < migrations/029_mailbox_sync_state.sql
+
+CREATE TABLE IF NOT EXISTS mailbox_sync_state (
+    mailbox_key TEXT PRIMARY KEY,
+    uid_validity TEXT NOT NULL,
+    last_uid INTEGER NOT NULL DEFAULT 0 CHECK (last_uid >= 0),
+    updated_at TEXT NOT NULL DEFAULT (datetime('now'))
+);
+
+-- Record this migration
+INSERT OR IGNORE INTO _schema_version (version, description)
+VALUES (29, 'Track IMAP mailboxes by UID');
+
+-- Rollback instructions:
+-- DROP TABLE IF EXISTS mailbox_sync_state;
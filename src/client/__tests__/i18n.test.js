@@ -0,0 +1,97 @@
+/**
+ * Interface Internationalisation Tests
+ * Catalogues of the SPA, translation helpers, formatting and API error messages
+ */
+import { describe, it, expect, afterEach } from "vitest";
+import { readFileSync } from "fs";
+import {
+  LOCALES,
+  formatCurrency,
+  formatDate,
+  getCatalogue,
+  getLocale,
+  plural,
+  setLocale,
+  t,
+  translateError,
+} from "../js/i18n.js";
+
+/**
+ * Dotted keys of a catalogue
+ * @param {Object} catalogue - Catalogue or nested section
+ * @param {string} [prefix] - Key prefix
+ * @returns {Array<string>}
+ */
+function keysOf(catalogue, prefix = "") {
+  return Object.entries(catalogue).flatMap(([key, value]) =>
+    typeof value === "object" ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  );
+}
+
+describe("Interface i18n", () => {
+  afterEach(() => setLocale("es"));
+
+  it("should define every Spanish text in each locale", () => {
+    expect(LOCALES).toEqual(["es", "en"]);
+    const spanishKeys = keysOf(getCatalogue("es"));
+
+    for (const locale of LOCALES) {
+      const keys = new Set(keysOf(getCatalogue(locale)));
+      expect(spanishKeys.filter((key) => !keys.has(key))).toEqual([]);
+      // Only server error codes may be missing in Spanish (the server text is used)
+      expect([...keys].filter((key) => !spanishKeys.includes(key) && !key.startsWith("errors."))).toEqual([]);
+    }
+  });
+
+  it("should translate every server error code in English", () => {
+    const source = readFileSync("src/server/errorMessages.js", "utf8");
+    const codes = [...new Set([...source.matchAll(/code: "([A-Z0-9_]+)"/g)].map((m) => m[1]))];
+    const english = getCatalogue("en").errors;
+
+    expect(codes.length).toBeGreaterThan(50);
+    expect(codes.filter((code) => !english[code])).toEqual([]);
+  });
+
+  it("should fill parameters and fall back to Spanish, then to the key", () => {
+    expect(getLocale()).toBe("es");
+    expect(t("cases.list.showing", { count: 2, total: 5 })).toBe("Mostrando 2 de 5 expedientes");
+    expect(t("cases.list.showing", { count: 2 })).toBe("Mostrando 2 de {total} expedientes");
+    expect(t("missing.key")).toBe("missing.key");
+
+    setLocale("en");
+    expect(getLocale()).toBe("en");
+    expect(t("cases.list.showing", { count: 2, total: 5 })).toBe("Showing 2 of 5 cases");
+    expect(plural("cases.count", 1)).toBe("1 case");
+    expect(plural("cases.count", 3)).toBe("3 cases");
+
+    // Unknown locales are ignored
+    setLocale("fr");
+    expect(getLocale()).toBe("en");
+  });
+
+  it("should format dates and amounts for the locale", () => {
+    expect(formatCurrency(12345.5)).toMatch(/^12\.345,50\s€$/);
+    expect(formatDate(null)).toBe("-");
+
+    setLocale("en");
+    expect(formatCurrency(1234.5)).toBe("€1,234.50");
+    expect(formatDate("2026-03-05", { day: "2-digit", month: "2-digit", year: "numeric" })).toBe("05/03/2026");
+  });
+
+  it("should show API errors in the user's language", () => {
+    const error = {
+      code: "VALIDATION_ERROR",
+      messageCode: "TEMPLATE_SYNTAX_INVALID",
+      message: "La plantilla contiene 1 error(es). Línea 2: Campo desconocido",
+    };
+
+    // Spanish keeps the server message
+    expect(translateError(error)).toBe(error.message);
+
+    setLocale("en");
+    expect(translateError(error)).toBe(getCatalogue("en").errors.TEMPLATE_SYNTAX_INVALID);
+    // Without a known message code, the generic error code is used
+    expect(translateError({ ...error, messageCode: "SOMETHING_NEW" })).toBe(t("errors.VALIDATION_ERROR"));
+    expect(translateError({ code: "NEW_CODE", message: "Texto del servidor" })).toBe("Texto del servidor");
+  });
+});
@@ -8,9 +8,12 @@
  * Features:
  * - Automatic retry with exponential backoff for transient errors
  * - Configuration caching with TTL to reduce server load
- * - Structured error handling with Spanish messages
+ * - Structured error handling with messages in the interface language
  */
 
+import { router } from "./router.js";
+import { t, translateError } from "./i18n.js";
+
 // Load configuration (may not exist in development)
 let config = { API_URL: null, DEBUG: false };
 try {
@@ -241,8 +244,82 @@ class ConfigCache {
   }
 }
 
+// ==================== Session Token ====================
+
+const AUTH_TOKEN_KEY = "recordplus_auth_token";
+
+/**
+ * Session token storage using localStorage
+ * The server also sets an HttpOnly cookie; the bearer token covers
+ * cross-site deployments where third-party cookies are blocked.
+ */
+class AuthSession {
+  /**
+   * @returns {string|null} Stored session token
+   */
+  static getToken() {
+    try {
+      return localStorage.getItem(AUTH_TOKEN_KEY);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} token - Session token returned by /auth/login
+   */
+  static setToken(token) {
+    try {
+      localStorage.setItem(AUTH_TOKEN_KEY, token);
+    } catch {
+      // localStorage unavailable - cookie session still works
+    }
+  }
+
+  static clear() {
+    try {
+      localStorage.removeItem(AUTH_TOKEN_KEY);
+    } catch {
+      // Ignore errors
+    }
+  }
+}
+
+// ==================== Errors ====================
+
+/**
+ * Build the Error of a failed API response
+ * The message is translated to the interface language from the error code
+ * (and the specific messageCode of errorMessages.js when the server sends it).
+ * @param {Object} errorData - Response body ({ error: { code, messageCode, message, field, details } })
+ * @param {number} status - HTTP status
+ * @returns {Error} Error with code, messageCode, field, details and status
+ */
+function apiError(errorData, status) {
+  const info = errorData.error || {};
+  const error = new Error(
+    translateError({ ...info, code: info.code || "HTTP_ERROR", message: info.message || `HTTP ${status}` }),
+  );
+  error.code = info.code || "HTTP_ERROR";
+  error.messageCode = info.messageCode;
+  error.field = info.field;
+  error.details = info.details;
+  error.status = status;
+  return error;
+}
+
+/**
+ * @param {string} code - SESSION_EXPIRED or NETWORK_ERROR
+ * @returns {Error} Client-side error with a translated message
+ */
+function clientError(code) {
+  const error = new Error(t(`errors.${code}`));
+  error.code = code;
+  return error;
+}
+
 // Export for use in other modules if needed
-export { RetryableRequest, ConfigCache };
+export { RetryableRequest, ConfigCache, AuthSession };
 
 class ApiClient {
   constructor() {
@@ -287,6 +364,28 @@ class ApiClient {
     return "/api";
   }
 
+  /**
+   * Build the Authorization header for the current session
+   * @returns {Object} Header object (empty when not logged in)
+   * @private
+   */
+  _authHeaders() {
+    const token = AuthSession.getToken();
+    return token ? { Authorization: `Bearer ${token}` } : {};
+  }
+
+  /**
+   * Handle a 401 response: drop the session and show the login view
+   * @private
+   */
+  _handleUnauthorized() {
+    AuthSession.clear();
+    const current = router.getCurrentRoute();
+    if (!current.startsWith("/login")) {
+      router.navigate(`/login?redirect=${encodeURIComponent(current)}`);
+    }
+  }
+
   /**
    * Make an API request
    * @param {string} endpoint - API endpoint
@@ -300,6 +399,7 @@ class ApiClient {
       credentials: "include", // Send cookies for Zero Trust auth
       headers: {
         "Content-Type": "application/json",
+        ...this._authHeaders(),
         ...options.headers,
       },
       ...options,
@@ -311,35 +411,96 @@ class ApiClient {
       // Check for Zero Trust redirect (HTML instead of JSON)
       const contentType = response.headers.get("content-type") || "";
       if (contentType.includes("text/html")) {
-        const sessionError = new Error(
-          "Sesión expirada. Por favor, recargue la página.",
-        );
-        sessionError.code = "SESSION_EXPIRED";
-        throw sessionError;
+        throw clientError("SESSION_EXPIRED");
       }
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        const error = new Error(
-          errorData.error?.message || `HTTP ${response.status}`,
-        );
-        error.code = errorData.error?.code || "HTTP_ERROR";
-        error.field = errorData.error?.field;
-        error.status = response.status;
+        const error = apiError(errorData, response.status);
+
+        // Session missing or expired: go to login (except for the login call itself)
+        if (response.status === 401 && !endpoint.startsWith("/auth/login")) {
+          this._handleUnauthorized();
+        }
         throw error;
       }
 
       return response.json();
     } catch (error) {
       if (error.name === "TypeError" && error.message.includes("fetch")) {
-        const networkError = new Error("Error de conexión con el servidor");
-        networkError.code = "NETWORK_ERROR";
-        throw networkError;
+        throw clientError("NETWORK_ERROR");
       }
       throw error;
     }
   }
 
+  // ==================== Auth API ====================
+
+  /**
+   * Log in and store the session token
+   * @param {string} username - Username
+   * @param {string} password - Password
+   * @returns {Promise<Object>} { token, expiresAt, user }
+   */
+  async login(username, password) {
+    const result = await this.request("/auth/login", {
+      method: "POST",
+      body: JSON.stringify({ username, password }),
+    });
+    AuthSession.setToken(result.token);
+    return result;
+  }
+
+  /**
+   * Close the current session
+   */
+  async logout() {
+    try {
+      await this.request("/auth/logout", { method: "POST" });
+    } finally {
+      AuthSession.clear();
+      ConfigCache.invalidate();
+    }
+  }
+
+  /**
+   * Get the authenticated user
+   * @returns {Promise<Object>} { id, username, fullName, role, ... }
+   */
+  async getCurrentUser() {
+    return this.request("/auth/me");
+  }
+
+  /**
+   * List users (admin only)
+   */
+  async listUsers() {
+    return this.request("/auth/users");
+  }
+
+  /**
+   * Create a user (admin only)
+   * @param {Object} data - { username, password, fullName, role }
+   */
+  async createUser(data) {
+    return this.request("/auth/users", {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Update a user (admin only)
+   * @param {number} id - User ID
+   * @param {Object} data - { fullName?, role?, active?, password? }
+   */
+  async updateUser(id, data) {
+    return this.request(`/auth/users/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+    });
+  }
+
   // ==================== Cases API ====================
 
   /**
@@ -430,288 +591,830 @@ class ApiClient {
     });
   }
 
-  // ==================== Dashboard API ====================
-
   /**
-   * Get dashboard metrics with retry for transient errors
-   * Requirements: 5.1
-   *
-   * @param {number} month - Month (1-12), optional
-   * @param {number} year - Year, optional
+   * Get the audit trail (field-level change history) of a case
+   * @param {number} id - Case ID
    */
-  async getDashboard(month = null, year = null) {
-    const params = new URLSearchParams();
-    if (month) params.set("month", month.toString());
-    if (year) params.set("year", year.toString());
-
-    const query = params.toString();
-    const endpoint = `/dashboard${query ? "?" + query : ""}`;
-
-    // Use retry for this critical read operation
-    const retryable = new RetryableRequest();
-    return retryable.execute(() => this.request(endpoint));
+  async getCaseAudit(id) {
+    return this.request(`/cases/${id}/audit`);
   }
 
-  // ==================== Configuration API ====================
+  // ==================== Clients API ====================
 
   /**
-   * Get all configuration with caching and retry
-   * Returns cached data if available and valid, otherwise fetches from server
-   * Requirements: 5.1, 6.1, 6.2, 6.4
+   * List clients
+   * @param {string} search - Search by name, NIF, email or phone
+   * @param {number} page - Page number
+   * @param {number} pageSize - Items per page
    */
-  async getConfig() {
-    // Check cache first
-    const cached = ConfigCache.get();
-    if (cached) {
-      return cached;
-    }
-
-    // Fetch from server with retry
-    const retryable = new RetryableRequest();
-    const data = await retryable.execute(() => this.request("/config"));
+  async listClients(search = "", page = 1, pageSize = 20) {
+    const params = new URLSearchParams({ page, pageSize });
+    if (search) params.append("search", search);
+    return this.request(`/clients?${params}`);
+  }
 
-    // Update cache
-    ConfigCache.set(data);
+  /**
+   * Get client by ID
+   * @param {number} id - Client ID
+   */
+  async getClient(id) {
+    return this.request(`/clients/${id}`);
+  }
 
-    return data;
+  /**
+   * Get all cases linked to a client
+   * @param {number} id - Client ID
+   */
+  async getClientCases(id) {
+    return this.request(`/clients/${id}/cases`);
   }
 
   /**
-   * Update configuration and invalidate cache
-   * Requirements: 6.3
-   *
-   * @param {Object} data - Configuration key-value pairs
+   * Create a client
+   * @param {Object} data - { name, nif, email, phone, address, notes }
    */
-  async updateConfig(data) {
-    const result = await this.request("/config", {
-      method: "PUT",
+  async createClient(data) {
+    return this.request("/clients", {
+      method: "POST",
       body: JSON.stringify(data),
     });
-
-    // Invalidate cache after successful update
-    ConfigCache.invalidate();
-
-    return result;
   }
 
   /**
-   * Force refresh configuration (bypasses cache)
-   * Useful when you need the latest data
+   * Update a client
+   * @param {number} id - Client ID
+   * @param {Object} data - Fields to update
    */
-  async refreshConfig() {
-    ConfigCache.invalidate();
-    return this.getConfig();
+  async updateClient(id, data) {
+    return this.request(`/clients/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+    });
   }
 
   /**
-   * Test a digital certificate (P12/PKCS12)
-   * @param {string} path - Path to certificate file on server
-   * @param {string} password - Certificate password
-   * @returns {Promise<Object>} Certificate info or error
+   * Delete a client (only allowed without linked cases)
+   * @param {number} id - Client ID
    */
-  async testCertificate(path, password) {
-    return this.request("/config/test-certificate", {
-      method: "POST",
-      body: JSON.stringify({ path, password }),
-    });
+  async deleteClient(id) {
+    return this.request(`/clients/${id}`, { method: "DELETE" });
   }
 
-  // ==================== Export/Import API ====================
+  // ==================== Invoices API ====================
 
   /**
-   * Export all data
+   * Get the invoice register with totals
+   * @param {Object} filters - { from, to, series } (dates as YYYY-MM-DD)
    */
-  async exportData() {
-    return this.request("/export", { method: "POST" });
+  async listInvoices(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) params.set(key, value);
+    }
+    const query = params.toString();
+    return this.request(`/invoices${query ? "?" + query : ""}`);
   }
 
   /**
-   * Import data
-   * @param {Object} data - Data to import
-   * @param {boolean} clearExisting - Whether to clear existing data
+   * Get direct download URL for the invoice register CSV
+   * @param {Object} filters - { from, to, series }
+   * @returns {string} Download URL
    */
-  async importData(data, clearExisting = false) {
-    return this.request("/import", {
-      method: "POST",
-      body: JSON.stringify({ ...data, clearExisting }),
-    });
+  getInvoicesExportUrl(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) params.set(key, value);
+    }
+    const query = params.toString();
+    return `${this.baseUrl}/invoices/export${query ? "?" + query : ""}`;
   }
 
-  // ==================== Admin API ====================
+  // ==================== Billing API ====================
 
   /**
-   * List database tables
+   * Get outstanding billed documents with ageing buckets
    */
-  async listTables() {
-    return this.request("/admin/tables");
+  async getReceivables() {
+    return this.request("/billing/receivables");
   }
 
   /**
-   * Get table contents
-   * @param {string} tableName - Table name
-   * @param {number} limit - Limit
-   * @param {number} offset - Offset
+   * Get payments and balance of a billed document
+   * @param {number} documentId - Document history ID
    */
-  async getTableContents(tableName, limit = 50, offset = 0) {
-    return this.request(
-      `/admin/table/${tableName}?limit=${limit}&offset=${offset}`,
-    );
+  async getDocumentPayments(documentId) {
+    return this.request(`/billing/documents/${documentId}/payments`);
   }
 
   /**
-   * Execute SQL query
-   * @param {string} sql - SQL query (SELECT only)
+   * Record a payment for a billed document
+   * @param {number} documentId - Document history ID
+   * @param {Object} data - { amount, paymentDate, method, reference }
    */
-  async executeQuery(sql) {
-    return this.request("/admin/query", {
+  async createPayment(documentId, data) {
+    return this.request(`/billing/documents/${documentId}/payments`, {
       method: "POST",
-      body: JSON.stringify({ sql }),
+      body: JSON.stringify(data),
     });
   }
 
-  // ==================== Backup API ====================
-
   /**
-   * Get backup system status
+   * Delete a payment
+   * @param {number} id - Payment ID
    */
-  async getBackupStatus() {
-    return this.request("/backup/status");
+  async deletePayment(id) {
+    return this.request(`/billing/payments/${id}`, { method: "DELETE" });
   }
 
   /**
-   * List all available backups
+   * List uploaded bank statements
    */
-  async listBackups() {
-    return this.request("/backup/list");
+  async listBankImports() {
+    return this.request("/billing/bank-imports");
   }
 
   /**
-   * Create a new on-demand backup
+   * Upload a bank statement (Norma 43 or CSV)
+   * @param {FormData} formData - Form data with 'statement' file
    */
-  async createBackup() {
-    return this.request("/backup/create", { method: "POST" });
+  async uploadBankStatement(formData) {
+    return this._postFormData("/billing/bank-imports", formData);
   }
 
   /**
-   * Get download URL for a backup file
-   * @param {string} filename - Backup filename
+   * Get an imported statement with proposed matches
+   * @param {number} id - Import ID
    */
-  getBackupDownloadUrl(filename) {
-    return `${this.baseUrl}/backup/${filename}/download`;
+  async getBankImport(id) {
+    return this.request(`/billing/bank-imports/${id}`);
   }
 
   /**
-   * Delete a backup file
-   * @param {string} filename - Backup filename
+   * Confirm a bank transaction as payment of a document, or of several
+   * @param {number} id - Transaction ID
+   * @param {number|Array} allocations - Document paid by the whole transfer,
+   *   or [{ documentId, amount }] to split it
    */
-  async deleteBackup(filename) {
-    return this.request(`/backup/${filename}`, { method: "DELETE" });
+  async confirmBankTransaction(id, allocations) {
+    const body = Array.isArray(allocations) ? { allocations } : { documentId: allocations };
+    return this.request(`/billing/bank-transactions/${id}/confirm`, {
+      method: "POST",
+      body: JSON.stringify(body),
+    });
   }
 
-  // ==================== CSV Export API ====================
-
   /**
-   * Generate expedientes CSV (writes to Syncthing dir, returns row count)
+   * Dismiss a bank transaction unrelated to billed documents
+   * @param {number} id - Transaction ID
    */
-  async generateCsvExport() {
-    return this.request("/csv-export/generate", { method: "POST" });
+  async dismissBankTransaction(id) {
+    return this.request(`/billing/bank-transactions/${id}/dismiss`, { method: "POST" });
   }
 
+  // ==================== Deadlines API ====================
+
   /**
-   * Get direct download URL for expedientes CSV
-   * @returns {string} Download URL
+   * List deadlines, earliest due first
+   * @param {Object} filters - { caseId, from, to, pending } (dates as YYYY-MM-DD)
    */
-  getCsvDownloadUrl() {
-    return `${this.baseUrl}/csv-export/download`;
+  async listDeadlines(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) params.set(key, value);
+    }
+    const query = params.toString();
+    return this.request(`/deadlines${query ? "?" + query : ""}`);
   }
 
-  // ==================== Health Check ====================
-
   /**
-   * Check API health
+   * Preview the due date of a deadline
+   * @param {Object} data - { startDate, days, dayType, judicial }
    */
-  async healthCheck() {
-    return this.request("/health");
+  async calculateDeadline({ startDate, days, dayType = "HABILES", judicial = true }) {
+    const params = new URLSearchParams({ startDate, days, dayType, judicial });
+    return this.request(`/deadlines/calculate?${params}`);
   }
 
-  // ==================== ARAG Workflow API ====================
-
   /**
-   * Generate, sign, and send minuta for ARAG case
-   * @param {number} caseId - Case ID
+   * Create a deadline
+   * @param {Object} data - { caseId, title, notes, startDate, days, dayType, judicial } or { caseId, title, dueDate }
    */
-  async generateMinuta(caseId) {
-    return this.request(`/cases/${caseId}/minuta`, {
+  async createDeadline(data) {
+    return this.request("/deadlines", {
       method: "POST",
+      body: JSON.stringify(data),
     });
   }
 
   /**
-   * Generate suplido for judicial ARAG case
-   * @param {number} caseId - Case ID
-   * @param {string} district - Judicial district
+   * Mark a deadline as completed or pending again
+   * @param {number} id - Deadline ID
+   * @param {boolean} completed - New state
    */
-  async generateSuplido(caseId, district) {
-    return this.request(`/cases/${caseId}/suplido`, {
+  async completeDeadline(id, completed = true) {
+    return this.request(`/deadlines/${id}/complete`, {
       method: "POST",
-      body: JSON.stringify({ district }),
+      body: JSON.stringify({ completed }),
     });
   }
 
   /**
-   * Get document and email history for a case
-   * @param {number} caseId - Case ID
+   * Delete a deadline
+   * @param {number} id - Deadline ID
    */
-  async getCaseHistory(caseId) {
-    return this.request(`/cases/${caseId}/history`);
+  async deleteDeadline(id) {
+    return this.request(`/deadlines/${id}`, { method: "DELETE" });
   }
 
+  // ==================== Hearings API ====================
+
   /**
-   * Get download URL for a document
-   * @param {number} documentId - Document ID
-   * @returns {string} Download URL
+   * List hearings in chronological order
+   * @param {Object} filters - { caseId, from, to, status, mine }
+   */
+  async listHearings(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) params.set(key, value);
+    }
+    const query = params.toString();
+    return this.request(`/hearings${query ? "?" + query : ""}`);
+  }
+
+  /**
+   * Get upcoming scheduled hearings (dashboard)
+   * @param {Object} options - { days, limit }
+   */
+  async getUpcomingHearings({ days = 30, limit = 10 } = {}) {
+    const params = new URLSearchParams({ days, limit });
+    return this.request(`/hearings/upcoming?${params}`);
+  }
+
+  /**
+   * Create a hearing
+   * @param {Object} data - { caseId, hearingType, startsAt, durationMinutes, court, judicialDistrict, notes }
+   */
+  async createHearing(data) {
+    return this.request("/hearings", {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Update a hearing
+   * @param {number} id - Hearing ID
+   * @param {Object} data - Fields to change (e.g. { status })
+   */
+  async updateHearing(id, data) {
+    return this.request(`/hearings/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Delete a hearing
+   * @param {number} id - Hearing ID
+   */
+  async deleteHearing(id) {
+    return this.request(`/hearings/${id}`, { method: "DELETE" });
+  }
+
+  /**
+   * Create (or rotate) the iCalendar feed link of the current user
+   * @returns {Promise<{token: string, url: string}>} Absolute subscription URL
+   */
+  async createCalendarToken() {
+    const { token } = await this.request("/auth/calendar-token", { method: "POST" });
+    const url = new URL(`${this.baseUrl}/calendar.ics`, window.location.href);
+    url.searchParams.set("token", token);
+    return { token, url: url.href };
+  }
+
+  /**
+   * Revoke the iCalendar feed link of the current user
+   */
+  async revokeCalendarToken() {
+    return this.request("/auth/calendar-token", { method: "DELETE" });
+  }
+
+  // ==================== Search API ====================
+
+  /**
+   * Full-text search across cases, email subjects and document text
+   * @param {string} q - Search text
+   * @param {Object} options - { type, limit }
+   * @returns {Promise<{query: string, results: Array}>} Results with HTML snippets (<mark>)
+   */
+  async search(q, { type, limit } = {}) {
+    const params = new URLSearchParams({ q });
+    if (type) params.set("type", type);
+    if (limit) params.set("limit", limit);
+    return this.request(`/search?${params}`);
+  }
+
+  // ==================== Dashboard API ====================
+
+  /**
+   * Get dashboard metrics with retry for transient errors
+   * Requirements: 5.1
+   *
+   * @param {number} month - Month (1-12), optional
+   * @param {number} year - Year, optional
+   */
+  async getDashboard(month = null, year = null) {
+    const params = new URLSearchParams();
+    if (month) params.set("month", month.toString());
+    if (year) params.set("year", year.toString());
+
+    const query = params.toString();
+    const endpoint = `/dashboard${query ? "?" + query : ""}`;
+
+    // Use retry for this critical read operation
+    const retryable = new RetryableRequest();
+    return retryable.execute(() => this.request(endpoint));
+  }
+
+  // ==================== Configuration API ====================
+
+  /**
+   * Get all configuration with caching and retry
+   * Returns cached data if available and valid, otherwise fetches from server
+   * Requirements: 5.1, 6.1, 6.2, 6.4
+   */
+  async getConfig() {
+    // Check cache first
+    const cached = ConfigCache.get();
+    if (cached) {
+      return cached;
+    }
+
+    // Fetch from server with retry
+    const retryable = new RetryableRequest();
+    const data = await retryable.execute(() => this.request("/config"));
+
+    // Update cache
+    ConfigCache.set(data);
+
+    return data;
+  }
+
+  /**
+   * Update configuration and invalidate cache
+   * Requirements: 6.3
+   *
+   * @param {Object} data - Configuration key-value pairs
+   */
+  async updateConfig(data) {
+    const result = await this.request("/config", {
+      method: "PUT",
+      body: JSON.stringify(data),
+    });
+
+    // Invalidate cache after successful update
+    ConfigCache.invalidate();
+
+    return result;
+  }
+
+  /**
+   * Force refresh configuration (bypasses cache)
+   * Useful when you need the latest data
+   */
+  async refreshConfig() {
+    ConfigCache.invalidate();
+    return this.getConfig();
+  }
+
+  /**
+   * Test a digital certificate (P12/PKCS12)
+   * @param {string} path - Path to certificate file on server
+   * @param {string} password - Certificate password
+   * @returns {Promise<Object>} Certificate info or error
+   */
+  async testCertificate(path, password) {
+    return this.request("/config/test-certificate", {
+      method: "POST",
+      body: JSON.stringify({ path, password }),
+    });
+  }
+
+  // ==================== Document Templates API ====================
+
+  /**
+   * Get the templates of every document type and language
+   */
+  async getTemplates() {
+    return this.request("/templates");
+  }
+
+  /**
+   * Get the template of a document type
+   * @param {string} type - MINUTA, SUPLIDO or HOJA_ENCARGO
+   * @param {string} [language] - Template language (es, en)
+   */
+  async getTemplate(type, language = "es") {
+    return this.request(`/templates/${type}?language=${language}`);
+  }
+
+  /**
+   * Save a custom template
+   * @param {string} type - Document type
+   * @param {string} body - Template text
+   * @param {string} [language] - Template language (es, en)
+   */
+  async updateTemplate(type, body, language = "es") {
+    return this.request(`/templates/${type}?language=${language}`, {
+      method: "PUT",
+      body: JSON.stringify({ body }),
+    });
+  }
+
+  /**
+   * Restore the default template
+   * @param {string} type - Document type
+   * @param {string} [language] - Template language (es, en)
+   */
+  async resetTemplate(type, language = "es") {
+    return this.request(`/templates/${type}?language=${language}`, { method: "DELETE" });
+  }
+
+  /**
+   * Render a template as PDF without saving it
+   * @param {string} type - Document type
+   * @param {string} body - Template text
+   * @param {number|null} [caseId] - Case whose data is used (sample data if omitted)
+   * @param {string} [language] - Template language (es, en)
+   * @returns {Promise<Blob>} PDF
+   */
+  async previewTemplate(type, body, caseId = null, language = "es") {
+    const response = await fetch(`${this.baseUrl}/templates/${type}/preview?language=${language}`, {
+      method: "POST",
+      credentials: "include", // Send cookies for Zero Trust auth
+      headers: { "Content-Type": "application/json", ...this._authHeaders() },
+      body: JSON.stringify({ body, caseId }),
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      const error = apiError(errorData, response.status);
+      if (response.status === 401) {
+        this._handleUnauthorized();
+      }
+      throw error;
+    }
+
+    return response.blob();
+  }
+
+  // ==================== Export/Import API ====================
+
+  /**
+   * Export all data
+   */
+  async exportData() {
+    return this.request("/export", { method: "POST" });
+  }
+
+  /**
+   * Import data
+   * @param {Object} data - Data to import
+   * @param {boolean} clearExisting - Whether to clear existing data
+   */
+  async importData(data, clearExisting = false) {
+    return this.request("/import", {
+      method: "POST",
+      body: JSON.stringify({ ...data, clearExisting }),
+    });
+  }
+
+  // ==================== Admin API ====================
+
+  /**
+   * List database tables
+   */
+  async listTables() {
+    return this.request("/admin/tables");
+  }
+
+  /**
+   * Get table contents
+   * @param {string} tableName - Table name
+   * @param {number} limit - Limit
+   * @param {number} offset - Offset
+   */
+  async getTableContents(tableName, limit = 50, offset = 0) {
+    return this.request(
+      `/admin/table/${tableName}?limit=${limit}&offset=${offset}`,
+    );
+  }
+
+  /**
+   * Execute SQL query
+   * @param {string} sql - SQL query (SELECT only)
+   */
+  async executeQuery(sql) {
+    return this.request("/admin/query", {
+      method: "POST",
+      body: JSON.stringify({ sql }),
+    });
+  }
+
+  // ==================== Backup API ====================
+
+  /**
+   * Get backup system status
+   */
+  async getBackupStatus() {
+    return this.request("/backup/status");
+  }
+
+  /**
+   * List all available backups
+   */
+  async listBackups() {
+    return this.request("/backup/list");
+  }
+
+  /**
+   * Create a new on-demand backup
+   */
+  async createBackup() {
+    return this.request("/backup/create", { method: "POST" });
+  }
+
+  /**
+   * Get download URL for a backup file
+   * @param {string} filename - Backup filename
+   */
+  getBackupDownloadUrl(filename) {
+    return `${this.baseUrl}/backup/${filename}/download`;
+  }
+
+  /**
+   * Delete a backup file
+   * @param {string} filename - Backup filename
+   */
+  async deleteBackup(filename) {
+    return this.request(`/backup/${filename}`, { method: "DELETE" });
+  }
+
+  // ==================== CSV Export API ====================
+
+  /**
+   * Generate expedientes CSV (writes to Syncthing dir, returns row count)
+   */
+  async generateCsvExport() {
+    return this.request("/csv-export/generate", { method: "POST" });
+  }
+
+  /**
+   * Get direct download URL for expedientes CSV
+   * @returns {string} Download URL
+   */
+  getCsvDownloadUrl() {
+    return `${this.baseUrl}/csv-export/download`;
+  }
+
+  // ==================== Health Check ====================
+
+  /**
+   * Check API health
+   */
+  async healthCheck() {
+    return this.request("/health");
+  }
+
+  // ==================== ARAG Workflow API ====================
+
+  /**
+   * Generate, sign, and send minuta for ARAG case
+   * @param {number} caseId - Case ID
+   */
+  async generateMinuta(caseId) {
+    return this.request(`/cases/${caseId}/minuta`, {
+      method: "POST",
+    });
+  }
+
+  /**
+   * Issue a rectifying minuta (factura rectificativa) that supersedes an issued one
+   * @param {number} caseId - Case ID
+   * @param {number} documentId - Minuta document being rectified
+   * @param {string} reason - Reason printed on the rectifying invoice
+   */
+  async rectifyMinuta(caseId, documentId, reason) {
+    return this.request(`/cases/${caseId}/minuta/${documentId}/rectify`, {
+      method: "POST",
+      body: JSON.stringify({ reason }),
+    });
+  }
+
+  /**
+   * Generate suplido for judicial ARAG case
+   * @param {number} caseId - Case ID
+   * @param {string} district - Judicial district
+   */
+  async generateSuplido(caseId, district) {
+    return this.request(`/cases/${caseId}/suplido`, {
+      method: "POST",
+      body: JSON.stringify({ district }),
+    });
+  }
+
+  /**
+   * Get document and email history for a case
+   * @param {number} caseId - Case ID
+   */
+  async getCaseHistory(caseId) {
+    return this.request(`/cases/${caseId}/history`);
+  }
+
+  /**
+   * Get download URL for a document
+   * @param {number} documentId - Document ID
+   * @returns {string} Download URL
    */
   getDocumentDownloadUrl(documentId) {
     return `${this.baseUrl}/documents/${documentId}/download`;
   }
 
   /**
-   * Download a document by opening it in a new tab
-   * @param {number} documentId - Document ID
+   * Download a document by opening it in a new tab
+   * @param {number} documentId - Document ID
+   */
+  downloadDocument(documentId) {
+    const url = this.getDocumentDownloadUrl(documentId);
+    window.open(url, "_blank");
+  }
+
+  /**
+   * Queue again a failed email
+   * @param {number} caseId - Case ID
+   * @param {number} emailId - Email ID
+   * @returns {Promise<Object>} Retry result ({ queued, outboxId })
+   */
+  async retryEmail(caseId, emailId) {
+    return this.request(`/email/cases/${caseId}/emails/${emailId}/retry`, {
+      method: "POST",
+    });
+  }
+
+  /**
+   * Test SMTP configuration
+   * @param {Object} smtpConfig - Optional SMTP config to test (for testing before save)
+   */
+  async testEmail(smtpConfig = null) {
+    return this.request("/email/test", {
+      method: "POST",
+      body: JSON.stringify(smtpConfig || {}),
+    });
+  }
+
+  /**
+   * Get mileage rates for all districts
+   */
+  async getMileageRates() {
+    return this.request("/mileage-rates");
+  }
+
+  // ==================== Email Outbox API ====================
+
+  /**
+   * Get the outgoing email queue and the number of emails per status
+   * @param {Object} filters - { status, caseId, limit }
+   * @returns {Promise<Object>} { items, summary }
+   */
+  async getEmailOutbox(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) params.set(key, value);
+    }
+    const query = params.toString();
+    return this.request(`/email/outbox${query ? "?" + query : ""}`);
+  }
+
+  /**
+   * Send a queued email now, or queue again a failed or cancelled one
+   * @param {number} id - Queue entry ID
+   */
+  async retryOutboxEmail(id) {
+    return this.request(`/email/outbox/${id}/retry`, { method: "POST" });
+  }
+
+  /**
+   * Take an email out of the queue
+   * @param {number} id - Queue entry ID
    */
-  downloadDocument(documentId) {
-    const url = this.getDocumentDownloadUrl(documentId);
-    window.open(url, "_blank");
+  async cancelOutboxEmail(id) {
+    return this.request(`/email/outbox/${id}`, { method: "DELETE" });
   }
 
+  // ==================== Email Templates API ====================
+
   /**
-   * Retry a failed email
-   * @param {number} caseId - Case ID
-   * @param {number} emailId - Email ID
-   * @returns {Promise<Object>} Retry result
+   * Get the templates of every email and language
    */
-  async retryEmail(caseId, emailId) {
-    return this.request(`/arag/cases/${caseId}/emails/${emailId}/retry`, {
+  async getEmailTemplates() {
+    return this.request("/email/templates");
+  }
+
+  /**
+   * Save a custom email template
+   * @param {string} key - Template key (MINUTA, SUPLIDO, HOJA_ENCARGO, GENERIC)
+   * @param {Object} content - { subject, text, html }
+   * @param {string} [language] - Template language (es, en)
+   */
+  async updateEmailTemplate(key, content, language = "es") {
+    return this.request(`/email/templates/${key}?language=${language}`, {
+      method: "PUT",
+      body: JSON.stringify(content),
+    });
+  }
+
+  /**
+   * Restore the default email template
+   * @param {string} key - Template key
+   * @param {string} [language] - Template language (es, en)
+   */
+  async resetEmailTemplate(key, language = "es") {
+    return this.request(`/email/templates/${key}?language=${language}`, { method: "DELETE" });
+  }
+
+  /**
+   * Render an email template without saving it
+   * @param {string} key - Template key
+   * @param {Object} content - { subject, text, html }
+   * @param {number|null} [caseId] - Case whose data is used (sample data if omitted)
+   * @param {string} [language] - Template language (es, en)
+   * @returns {Promise<Object>} { subject, text, html }
+   */
+  async previewEmailTemplate(key, content, caseId = null, language = "es") {
+    return this.request(`/email/templates/${key}/preview?language=${language}`, {
       method: "POST",
+      body: JSON.stringify({ ...content, caseId }),
     });
   }
 
+  // ==================== Inbox API ====================
+
   /**
-   * Test SMTP configuration
-   * @param {Object} smtpConfig - Optional SMTP config to test (for testing before save)
+   * Get the imported emails of a status and the number of emails per status
+   * @param {Object} filters - { status, limit }
+   * @returns {Promise<Object>} { items, summary }
    */
-  async testEmail(smtpConfig = null) {
-    return this.request("/email/test", {
+  async getInbox(filters = {}) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value) params.set(key, value);
+    }
+    const query = params.toString();
+    return this.request(`/inbox${query ? "?" + query : ""}`);
+  }
+
+  /**
+   * Get an imported email with the beginning of its text
+   * @param {number} id - Inbound email ID
+   */
+  async getInboundEmail(id) {
+    return this.request(`/inbox/${id}`);
+  }
+
+  /**
+   * Read the mailbox now
+   * @returns {Promise<Object>} { read, failed, imported, assigned, unassigned, duplicates }
+   */
+  async fetchInbox() {
+    return this.request("/inbox/fetch", { method: "POST" });
+  }
+
+  /**
+   * Store an imported email and its attachments in a case
+   * @param {number} id - Inbound email ID
+   * @param {number} caseId - Case ID
+   */
+  async assignInboundEmail(id, caseId) {
+    return this.request(`/inbox/${id}/assign`, {
       method: "POST",
-      body: JSON.stringify(smtpConfig || {}),
+      body: JSON.stringify({ caseId }),
     });
   }
 
   /**
-   * Get mileage rates for all districts
+   * Mark an imported email as not related to any case
+   * @param {number} id - Inbound email ID
    */
-  async getMileageRates() {
-    return this.request("/mileage-rates");
+  async discardInboundEmail(id) {
+    return this.request(`/inbox/${id}/discard`, { method: "POST" });
+  }
+
+  /**
+   * Download the original message of an imported email
+   * @param {number} id - Inbound email ID
+   */
+  downloadInboundEmail(id) {
+    window.open(`${this.baseUrl}/inbox/${id}/raw`, "_blank");
   }
 
   // ==================== Particulares Workflow API ====================
@@ -721,11 +1424,12 @@ class ApiClient {
    * @param {number} caseId - Case ID
    * @param {string} services - Services description
    * @param {number} fees - Professional fees
+   * @param {boolean} [bilingual] - Spanish and English versions in one document
    */
-  async generateHojaEncargo(caseId, services, fees) {
+  async generateHojaEncargo(caseId, services, fees, bilingual = false) {
     return this.request(`/cases/${caseId}/hoja-encargo`, {
       method: "POST",
-      body: JSON.stringify({ services, fees }),
+      body: JSON.stringify({ services, fees, bilingual }),
     });
   }
 
@@ -762,6 +1466,201 @@ class ApiClient {
     return this.request(`/cases/${caseId}/hoja-encargo/documents`);
   }
 
+  /**
+   * Client signing links of a case, with their evidence
+   * @param {number} caseId - Case ID
+   */
+  async getClientSignatureRequests(caseId) {
+    return this.request(`/cases/${caseId}/hoja-encargo/signature-requests`);
+  }
+
+  /**
+   * Create a one-time link for the client to sign a Hoja de Encargo
+   * Replaces the pending link of the same document.
+   * @param {number} caseId - Case ID
+   * @param {Object} data - { documentId, signerName, signerEmail }
+   * @returns {Promise<Object>} { data: { request, token } }
+   */
+  async createClientSignatureRequest(caseId, data) {
+    return this.request(`/cases/${caseId}/hoja-encargo/signature-requests`, {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Cancel a pending client signing link
+   * @param {number} caseId - Case ID
+   * @param {number} requestId - Signature request ID
+   */
+  async cancelClientSignatureRequest(caseId, requestId) {
+    return this.request(`/cases/${caseId}/hoja-encargo/signature-requests/${requestId}`, {
+      method: "DELETE",
+    });
+  }
+
+  /**
+   * Signing page URL to share with the client
+   * @param {string} token - Link token
+   * @returns {string} Absolute URL
+   */
+  getClientSignatureLink(token) {
+    return new URL(`#/firma/${token}`, window.location.href).href;
+  }
+
+  // ==================== Public Signing API ====================
+  // Used by the client's signing page: the link token is the credential.
+
+  /**
+   * Who signs which document
+   * @param {string} token - Link token
+   * @returns {Promise<Object>} { data: { signerName, clientName, reference, language, fileName, expiresAt } }
+   */
+  async getPublicSignature(token) {
+    return this.request(`/public/signatures/${encodeURIComponent(token)}`);
+  }
+
+  /**
+   * URL of the PDF the client reviews
+   * @param {string} token - Link token
+   */
+  getPublicSignatureDocumentUrl(token) {
+    return `${this.baseUrl}/public/signatures/${encodeURIComponent(token)}/document`;
+  }
+
+  /**
+   * Sign the document with the client's signature
+   * @param {string} token - Link token
+   * @param {Object} data - { accepted, method: 'DIBUJADA' | 'ESCRITA', image, typedName }
+   * @returns {Promise<Object>} { data: { signedAt, signedSha256 } }
+   */
+  async submitClientSignature(token, data) {
+    return this.request(`/public/signatures/${encodeURIComponent(token)}/sign`, {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Invoice the unbilled hours of a PARTICULAR case (factura de horas)
+   * @param {number} caseId - Case ID
+   */
+  async generateFacturaHoras(caseId) {
+    return this.request(`/cases/${caseId}/factura-horas`, { method: "POST" });
+  }
+
+  // ==================== Time Entries API ====================
+
+  /**
+   * List the time entries of a case with hour totals
+   * @param {number} caseId - Case ID
+   * @returns {Promise<{entries: Array, summary: Object}>}
+   */
+  async listTimeEntries(caseId) {
+    return this.request(`/time-entries?caseId=${caseId}`);
+  }
+
+  /**
+   * Record hours worked
+   * @param {Object} data - { caseId, entryDate, durationMinutes, activity, hourlyRate, billable }
+   */
+  async createTimeEntry(data) {
+    return this.request("/time-entries", {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Update a time entry
+   * @param {number} id - Entry ID
+   * @param {Object} data - Fields to change
+   */
+  async updateTimeEntry(id, data) {
+    return this.request(`/time-entries/${id}`, {
+      method: "PUT",
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Delete a time entry
+   * @param {number} id - Entry ID
+   */
+  async deleteTimeEntry(id) {
+    return this.request(`/time-entries/${id}`, { method: "DELETE" });
+  }
+
+  /**
+   * Get the running timer of the current user (null if none)
+   */
+  async getRunningTimer() {
+    return this.request("/time-entries/timer");
+  }
+
+  /**
+   * Start a timer on a case
+   * @param {Object} data - { caseId, activity, hourlyRate, billable }
+   */
+  async startTimer(data) {
+    return this.request("/time-entries/timer", {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Stop a running timer
+   * @param {number} id - Entry ID
+   */
+  async stopTimer(id) {
+    return this.request(`/time-entries/${id}/stop`, { method: "POST" });
+  }
+
+  // ==================== Provisiones de Fondos API ====================
+
+  /**
+   * Get the provisiones de fondos ledger of a PARTICULAR case
+   * @param {number} caseId - Case ID
+   * @returns {Promise<{success: boolean, data: {movements: Array, balance: Object}}>}
+   */
+  async getProvisions(caseId) {
+    return this.request(`/cases/${caseId}/provisiones`);
+  }
+
+  /**
+   * Request a provisión de fondos (generates the signed solicitud PDF)
+   * @param {number} caseId - Case ID
+   * @param {Object} data - { amount, concept, movementDate }
+   */
+  async requestProvision(caseId, data) {
+    return this.request(`/cases/${caseId}/provisiones/solicitud`, {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Record a ledger movement (received, applied to an invoice or refunded)
+   * @param {number} caseId - Case ID
+   * @param {Object} data - { movementType, amount, movementDate, method, reference, notes, documentId }
+   */
+  async createProvisionMovement(caseId, data) {
+    return this.request(`/cases/${caseId}/provisiones`, {
+      method: "POST",
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Delete a ledger movement
+   * @param {number} caseId - Case ID
+   * @param {number} movementId - Movement ID
+   */
+  async deleteProvisionMovement(caseId, movementId) {
+    return this.request(`/cases/${caseId}/provisiones/${movementId}`, { method: "DELETE" });
+  }
+
   // ==================== Turno de Oficio API ====================
 
   /**
@@ -796,17 +1695,178 @@ class ApiClient {
   }
 
   /**
-   * Upload a document to a Turno de Oficio case
+   * List the documents of a case (generated and uploaded) and the tags in use
+   * @param {number} caseId - Case ID
+   * @param {Object} [filters] - { category, tag }
+   * @returns {Promise<{documents: Array, tags: Array<string>}>}
+   */
+  async listCaseDocuments(caseId, filters = {}) {
+    const params = new URLSearchParams();
+    if (filters.category) params.append("category", filters.category);
+    if (filters.tag) params.append("tag", filters.tag);
+    if (filters.deleted) params.append("deleted", "true");
+    const query = params.toString();
+    return this.request(`/cases/${caseId}/documents${query ? `?${query}` : ""}`);
+  }
+
+  /**
+   * Upload a document to a case of any type
+   * @param {number} caseId - Case ID
+   * @param {FormData} formData - Form data with 'document' file, 'category', 'description' and 'tags'
+   * @returns {Promise<Object>} Created document
+   */
+  async uploadCaseDocument(caseId, formData) {
+    return this._postFormData(`/cases/${caseId}/documents`, formData);
+  }
+
+  /**
+   * Change the category, description or tags of a case document
+   * @param {number} caseId - Case ID
+   * @param {number} documentId - Document ID
+   * @param {Object} data - { category, description, tags }
+   * @returns {Promise<Object>} Updated document
+   */
+  async updateCaseDocument(caseId, documentId, data) {
+    return this.request(`/cases/${caseId}/documents/${documentId}`, {
+      method: "PATCH",
+      body: JSON.stringify(data),
+    });
+  }
+
+  /**
+   * Move an uploaded document of a case to the trash
+   * @param {number} caseId - Case ID
+   * @param {number} documentId - Document ID
+   */
+  async deleteCaseDocument(caseId, documentId) {
+    return this.request(`/cases/${caseId}/documents/${documentId}`, {
+      method: "DELETE",
+    });
+  }
+
+  /**
+   * Download a case document with its original file name
+   * @param {number} caseId - Case ID
+   * @param {number} documentId - Document ID
+   * @param {Object} [options] - { deleted } to preview a document in the trash (admins)
+   */
+  downloadCaseDocument(caseId, documentId, options = {}) {
+    const query = options.deleted ? "?deleted=1" : "";
+    window.open(`${this.baseUrl}/cases/${caseId}/documents/${documentId}/download${query}`, "_blank");
+  }
+
+  /**
+   * Restore a document of a case from the trash
+   * @param {number} caseId - Case ID
+   * @param {number} documentId - Document ID
+   * @returns {Promise<Object>} Restored document
+   */
+  async restoreCaseDocument(caseId, documentId) {
+    return this.request(`/cases/${caseId}/documents/${documentId}/restore`, {
+      method: "POST",
+    });
+  }
+
+  /**
+   * Get the stored versions of a case document
+   * @param {number} caseId - Case ID
+   * @param {number} documentId - Document ID
+   * @returns {Promise<{versions: Array}>}
+   */
+  async getCaseDocumentVersions(caseId, documentId) {
+    return this.request(`/cases/${caseId}/documents/${documentId}/versions`);
+  }
+
+  /**
+   * Download a version of a case document
+   * @param {number} caseId - Case ID
+   * @param {number} documentId - Document ID
+   * @param {number} versionNumber - Version number
+   * @param {Object} [options] - { deleted } to preview a document in the trash (admins)
+   */
+  downloadCaseDocumentVersion(caseId, documentId, versionNumber, options = {}) {
+    const query = options.deleted ? "?deleted=1" : "";
+    window.open(
+      `${this.baseUrl}/cases/${caseId}/documents/${documentId}/versions/${versionNumber}/download${query}`,
+      "_blank"
+    );
+  }
+
+  /**
+   * Check the stored files of a case against their SHA-256 hashes
+   * @param {number} caseId - Case ID
+   * @returns {Promise<Object>} { checkedAt, documents, versions, counts, problems }
+   */
+  async verifyCaseDocuments(caseId) {
+    return this.request(`/cases/${caseId}/documents/integrity`);
+  }
+
+  /**
+   * Emails sent for a case, with their copies and attached documents
+   * @param {number} caseId - Case ID
+   * @returns {Promise<{emails: Array}>}
+   */
+  async getCaseEmails(caseId) {
+    return this.request(`/cases/${caseId}/emails`);
+  }
+
+  /**
+   * New email for a case: client address, generic template and attachable documents
+   * @param {number} caseId - Case ID
+   * @returns {Promise<Object>} { to, cc, bcc, subject, text, documents, maxAttachmentsSize, smtpConfigured }
+   */
+  async getCaseEmailDraft(caseId) {
+    return this.request(`/cases/${caseId}/emails/draft`);
+  }
+
+  /**
+   * Queue an email written from a case
    * @param {number} caseId - Case ID
-   * @param {FormData} formData - Form data with 'document' file and 'description'
+   * @param {Object} email - { to, cc, bcc, subject, text, documentIds } (addresses comma-separated)
+   * @returns {Promise<Object>} Queued email
+   */
+  async sendCaseEmail(caseId, email) {
+    return this.request(`/cases/${caseId}/emails`, {
+      method: "POST",
+      body: JSON.stringify(email),
+    });
+  }
+
+  /**
+   * Verify the PAdES signatures of a stored document
+   * @param {number} documentId - Document ID
+   * @returns {Promise<Object>} { signed, status, modifiedAfterLastSignature, trustedRoots, signatures }
+   */
+  async verifyDocumentSignature(documentId) {
+    return this.request("/signatures/verify", {
+      method: "POST",
+      body: JSON.stringify({ documentId }),
+    });
+  }
+
+  /**
+   * Verify the PAdES signatures of a PDF chosen by the user
+   * @param {File} file - PDF file
+   * @returns {Promise<Object>} Same as verifyDocumentSignature, plus fileName
    */
-  async uploadTurnoDocument(caseId, formData) {
-    const url = `${this.baseUrl}/turno/${caseId}/upload`;
+  async verifySignatureFile(file) {
+    const formData = new FormData();
+    formData.append("document", file);
+    return this._postFormData("/signatures/verify", formData);
+  }
 
+  /**
+   * POST a multipart form (file uploads)
+   * @param {string} endpoint - API endpoint
+   * @param {FormData} formData - Form data
+   */
+  async _postFormData(endpoint, formData) {
+    const url = `${this.baseUrl}${endpoint}`;
     try {
       const response = await fetch(url, {
         method: "POST",
         credentials: "include", // Send cookies for Zero Trust auth
+        headers: this._authHeaders(),
         body: formData,
         // Note: Don't set Content-Type header, let browser set it with boundary for multipart
       });
@@ -814,29 +1874,22 @@ class ApiClient {
       // Check for Zero Trust redirect (HTML instead of JSON)
       const contentType = response.headers.get("content-type") || "";
       if (contentType.includes("text/html")) {
-        const sessionError = new Error(
-          "Sesión expirada. Por favor, recargue la página.",
-        );
-        sessionError.code = "SESSION_EXPIRED";
-        throw sessionError;
+        throw clientError("SESSION_EXPIRED");
       }
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        const error = new Error(
-          errorData.error?.message || `HTTP ${response.status}`,
-        );
-        error.code = errorData.error?.code || "HTTP_ERROR";
-        error.status = response.status;
+        const error = apiError(errorData, response.status);
+        if (response.status === 401) {
+          this._handleUnauthorized();
+        }
         throw error;
       }
 
       return response.json();
     } catch (error) {
       if (error.name === "TypeError" && error.message.includes("fetch")) {
-        const networkError = new Error("Error de conexión con el servidor");
-        networkError.code = "NETWORK_ERROR";
-        throw networkError;
+        throw clientError("NETWORK_ERROR");
       }
       throw error;
     }
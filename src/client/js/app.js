@@ -13,13 +13,23 @@ import { ConfigurationView } from "./components/configuration.js";
 import { AdminPanelView } from "./components/adminPanel.js";
 import { FacturacionAragView } from "./components/facturacionArag.js";
 import { FacturacionListView } from "./components/facturacionList.js";
+import { InvoiceListView } from "./components/invoiceList.js";
+import { BankReconciliationView } from "./components/bankReconciliation.js";
+import { DeadlineCalendarView } from "./components/deadlineCalendar.js";
+import { SearchResultsView, searchRoute } from "./components/searchResults.js";
 import { ParticularesView } from "./components/particulares.js";
 import { ParticularesListView } from "./components/particularesList.js";
 import { TurnoOficioView } from "./components/turnoOficio.js";
 import { TurnoListView } from "./components/turnoList.js";
 import { EstadisticasView } from "./components/estadisticas.js";
 import { GuiaUsuarioView } from "./components/guiaUsuario.js";
-import { themeManager } from "./themeManager.js";
+import { LoginView } from "./components/login.js";
+import { ClientSignatureView } from "./components/clientSignature.js";
+import { ClientListView } from "./components/clientList.js";
+import { ClientDetailView } from "./components/clientDetail.js";
+import { InboxView } from "./components/inbox.js";
+import { themeManager, localeManager } from "./themeManager.js";
+import { t } from "./i18n.js";
 
 // Toast notification helper
 export function showToast(message, type = "info") {
@@ -35,14 +45,6 @@ export function showToast(message, type = "info") {
   }, 3000);
 }
 
-// Format date helper
-export function formatDate(dateStr) {
-  if (!dateStr) return "-";
-  const date = new Date(dateStr);
-  const options = { day: "numeric", month: "short", year: "numeric" };
-  return date.toLocaleDateString("es-ES", options);
-}
-
 // Get current month/year
 export function getCurrentPeriod() {
   const now = new Date();
@@ -52,6 +54,50 @@ export function getCurrentPeriod() {
   };
 }
 
+/**
+ * Views shown without a session: the login and the client's signing page
+ * @param {string} route - Current route
+ * @returns {boolean} True if the route needs no session
+ */
+function isPublicRoute(route) {
+  return route.startsWith("/login") || route.startsWith("/firma/");
+}
+
+/**
+ * Load the authenticated user into the sidebar and hide admin-only links.
+ * A 401 here redirects to the login view (handled by the API client).
+ * @returns {Promise<Object|null>} Current user or null
+ */
+export async function loadCurrentUser() {
+  const userInfo = document.getElementById("user-info");
+  try {
+    const user = await api.getCurrentUser();
+    window.__recordPlusUser = user;
+
+    if (userInfo) {
+      const name = user.fullName || user.username;
+      userInfo.querySelector(".user-avatar").textContent = name
+        .charAt(0)
+        .toUpperCase();
+      userInfo.querySelector(".user-name").textContent = name;
+      userInfo.querySelector(".user-email").textContent = t(
+        `app.roles.${user.role}`
+      );
+      userInfo.style.display = "";
+    }
+
+    document.querySelectorAll("[data-requires-role]").forEach((el) => {
+      el.style.display = el.dataset.requiresRole === user.role ? "" : "none";
+    });
+
+    return user;
+  } catch {
+    window.__recordPlusUser = null;
+    if (userInfo) userInfo.style.display = "none";
+    return null;
+  }
+}
+
 /**
  * Initialize the application.
  * Idempotent - safe to call multiple times.
@@ -78,10 +124,62 @@ function initApp() {
     .getElementById("theme-toggle")
     ?.addEventListener("click", () => themeManager.toggle());
 
+  // Initialize interface language
+  localeManager.init();
+  document
+    .getElementById("locale-toggle")
+    ?.addEventListener("click", () => localeManager.toggle());
+
+  // Re-render the current view and the sidebar in the new language
+  window.addEventListener("localechange", () => {
+    router.handleRoute();
+    if (!isPublicRoute(router.getCurrentRoute())) {
+      loadCurrentUser();
+    }
+  });
+
+  // Leaving the login view (or the signing page) restores the sidebar
+  window.addEventListener("hashchange", () => {
+    if (!isPublicRoute(router.getCurrentRoute())) {
+      document.body.classList.remove("login-mode");
+    }
+  });
+
+  // Logout
+  document
+    .getElementById("logout-btn")
+    ?.addEventListener("click", async () => {
+      try {
+        await api.logout();
+      } catch {
+        // Session may already be gone - continue to login anyway
+      }
+      window.__recordPlusUser = null;
+      router.navigate("/login");
+    });
+
+  // Global search box
+  document.getElementById("global-search")?.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const q = document.getElementById("global-search-input").value.trim();
+    if (q) router.navigate(searchRoute(q));
+  });
+
   // Initialize router
   router.init(mainContent);
 
   // Register routes
+  router.register("/login", async () => {
+    const view = new LoginView(mainContent);
+    await view.render();
+  });
+
+  // Client's signing page (public, opened from the one-time link)
+  router.register("/firma/:token", async (params) => {
+    const view = new ClientSignatureView(mainContent, params.token);
+    await view.render();
+  });
+
   router.register("/", async () => {
     const view = new DashboardView(mainContent);
     await view.render();
@@ -95,7 +193,8 @@ function initApp() {
   router.register("/cases/new", async () => {
     const queryParams = router.getQueryParams();
     const defaultType = queryParams.get("type") || "ARAG";
-    const view = new CaseFormView(mainContent, null, defaultType);
+    const clientId = queryParams.get("clientId");
+    const view = new CaseFormView(mainContent, null, defaultType, clientId);
     await view.render();
   });
 
@@ -109,6 +208,16 @@ function initApp() {
     await view.render();
   });
 
+  router.register("/clients", async () => {
+    const view = new ClientListView(mainContent);
+    await view.render();
+  });
+
+  router.register("/clients/:id", async (params) => {
+    const view = new ClientDetailView(mainContent, params.id);
+    await view.render();
+  });
+
   router.register("/config", async () => {
     const view = new ConfigurationView(mainContent);
     await view.render();
@@ -131,6 +240,41 @@ function initApp() {
     await view.render();
   });
 
+  // Invoice register (facturas expedidas)
+  router.register("/invoices", async () => {
+    const view = new InvoiceListView(mainContent);
+    await view.render();
+  });
+
+  // Bank reconciliation (statement import and payment matching)
+  router.register("/reconciliation", async () => {
+    const view = new BankReconciliationView(mainContent);
+    await view.render();
+  });
+
+  router.register("/reconciliation/:id", async (params) => {
+    const view = new BankReconciliationView(mainContent, params.id);
+    await view.render();
+  });
+
+  // Procedural deadlines calendar
+  router.register("/deadlines", async () => {
+    const view = new DeadlineCalendarView(mainContent);
+    await view.render();
+  });
+
+  // Inbound emails (bandeja sin asignar)
+  router.register("/inbox", async () => {
+    const view = new InboxView(mainContent);
+    await view.render();
+  });
+
+  // Full-text search results
+  router.register("/search", async () => {
+    const view = new SearchResultsView(mainContent);
+    await view.render();
+  });
+
   // Particulares list view
   router.register("/particulares", async () => {
     const view = new ParticularesListView(mainContent);
@@ -168,6 +312,11 @@ function initApp() {
   // Handle initial route
   router.handleRoute();
 
+  // Show who is logged in (redirects to login if there is no session)
+  if (!isPublicRoute(router.getCurrentRoute())) {
+    loadCurrentUser();
+  }
+
   console.log("[Record+] Initialized successfully");
 }
 
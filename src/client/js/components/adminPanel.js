@@ -6,6 +6,7 @@
 
 import { api } from "../api.js";
 import { showToast } from "../app.js";
+import { t } from "../i18n.js";
 import { BackupPanelView } from "./backupPanel.js";
 
 export class AdminPanelView {
@@ -31,7 +32,7 @@ export class AdminPanelView {
       }
     } catch (error) {
       console.error("Admin panel error:", error);
-      showToast("Error al cargar el panel de administracion", "error");
+      showToast(t("admin.loadError"), "error");
     }
   }
 
@@ -39,11 +40,11 @@ export class AdminPanelView {
     return `
       <div class="header">
         <div class="header-title">
-          <h1>Panel de Administracion</h1>
-          <p>Gestion de base de datos y copias de seguridad.</p>
+          <h1>${t("admin.title")}</h1>
+          <p>${t("admin.subtitle")}</p>
         </div>
         <div class="header-actions">
-          <span class="badge turno">Solo SELECT</span>
+          <span class="badge turno">${t("admin.selectOnly")}</span>
         </div>
       </div>
 
@@ -55,7 +56,7 @@ export class AdminPanelView {
             <path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"/>
             <path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"/>
           </svg>
-          Base de Datos
+          ${t("admin.database")}
         </button>
         <button class="admin-tab ${this.activeTab === "backups" ? "active" : ""}" data-tab="backups">
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
@@ -63,7 +64,7 @@ export class AdminPanelView {
             <polyline points="17 8 12 3 7 8"/>
             <line x1="12" y1="3" x2="12" y2="15"/>
           </svg>
-          Copias de Seguridad
+          ${t("admin.backups")}
         </button>
       </div>
 
@@ -79,14 +80,14 @@ export class AdminPanelView {
       <div style="display: grid; grid-template-columns: 200px 1fr; gap: 24px;">
         <!-- Tables Sidebar -->
         <div class="data-table-container" style="padding: 16px;">
-          <h3 style="font-size: 12px; font-weight: 600; color: var(--text-dimmed); text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 12px;">Tablas</h3>
+          <h3 style="font-size: 12px; font-weight: 600; color: var(--text-dimmed); text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 12px;">${t("admin.tables")}</h3>
           <div id="tables-list">
             ${this.tables
               .map(
-                (t) => `
-              <button class="table-item" data-table="${t.name}" style="width: 100%; text-align: left; padding: 8px 12px; background: transparent; border: none; border-radius: 6px; color: var(--text-dimmed); font-size: 12px; cursor: pointer; display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
-                <span>${t.name}</span>
-                <span style="font-size: 10px; color: var(--text-placeholder);">${t.count}</span>
+                (table) => `
+              <button class="table-item" data-table="${table.name}" style="width: 100%; text-align: left; padding: 8px 12px; background: transparent; border: none; border-radius: 6px; color: var(--text-dimmed); font-size: 12px; cursor: pointer; display: flex; justify-content: space-between; align-items: center; margin-bottom: 4px;">
+                <span>${table.name}</span>
+                <span style="font-size: 10px; color: var(--text-placeholder);">${table.count}</span>
               </button>
             `
               )
@@ -98,22 +99,22 @@ export class AdminPanelView {
         <div style="display: flex; flex-direction: column; gap: 16px;">
           <!-- Query Editor -->
           <div class="data-table-container" style="padding: 16px;">
-            <h3 style="font-size: 12px; font-weight: 600; color: var(--text-dimmed); text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 12px;">Ejecutar Query</h3>
+            <h3 style="font-size: 12px; font-weight: 600; color: var(--text-dimmed); text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 12px;">${t("admin.runQueryTitle")}</h3>
             <textarea id="query-editor" placeholder="SELECT * FROM cases LIMIT 10" style="width: 100%; min-height: 80px; padding: 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-mono); font-size: 12px; resize: vertical;"></textarea>
             <div style="display: flex; justify-content: space-between; align-items: center; margin-top: 8px;">
               <span id="query-status" style="font-size: 11px; color: var(--text-dimmed);"></span>
-              <button id="run-query" class="btn btn-secondary">Ejecutar (Ctrl+Enter)</button>
+              <button id="run-query" class="btn btn-secondary">${t("admin.runQuery")}</button>
             </div>
           </div>
 
           <!-- Results -->
           <div class="data-table-container" style="padding: 0; overflow: hidden;">
             <div style="padding: 16px; border-bottom: 1px solid var(--border-subtle); display: flex; justify-content: space-between; align-items: center;">
-              <h3 id="results-title" style="font-size: 12px; font-weight: 600; color: var(--text-dimmed); text-transform: uppercase; letter-spacing: 0.5px;">Resultados</h3>
+              <h3 id="results-title" style="font-size: 12px; font-weight: 600; color: var(--text-dimmed); text-transform: uppercase; letter-spacing: 0.5px;">${t("admin.results")}</h3>
               <span id="results-info" style="font-size: 11px; color: var(--text-dimmed);"></span>
             </div>
             <div id="results-container" style="overflow-x: auto;">
-              <p style="padding: 24px; text-align: center; color: var(--text-dimmed); font-size: 12px;">Selecciona una tabla o ejecuta una query</p>
+              <p style="padding: 24px; text-align: center; color: var(--text-dimmed); font-size: 12px;">${t("admin.resultsHint")}</p>
             </div>
           </div>
         </div>
@@ -190,12 +191,11 @@ export class AdminPanelView {
       this.currentTable = tableName;
       const data = await api.getTableContents(tableName, 50, 0);
 
-      this.container.querySelector(
-        "#results-title"
-      ).textContent = `Tabla: ${tableName}`;
-      this.container.querySelector(
-        "#results-info"
-      ).textContent = `${data.rows.length} de ${data.total} registros`;
+      this.container.querySelector("#results-title").textContent = t("admin.table", { table: tableName });
+      this.container.querySelector("#results-info").textContent = t("admin.tableRows", {
+        count: data.rows.length,
+        total: data.total,
+      });
 
       this.renderResults(data.rows);
     } catch (error) {
@@ -205,12 +205,12 @@ export class AdminPanelView {
 
   async executeQuery(sql) {
     if (!sql.trim()) {
-      showToast("Introduce una query SQL", "error");
+      showToast(t("admin.queryRequired"), "error");
       return;
     }
 
     const statusEl = this.container.querySelector("#query-status");
-    statusEl.textContent = "Ejecutando...";
+    statusEl.textContent = t("admin.running");
     statusEl.style.color = "var(--text-dimmed)";
 
     const startTime = performance.now();
@@ -219,18 +219,15 @@ export class AdminPanelView {
       const result = await api.executeQuery(sql);
       const duration = (performance.now() - startTime).toFixed(0);
 
-      statusEl.textContent = `OK ${result.rowCount} filas en ${duration}ms`;
+      statusEl.textContent = t("admin.queryOk", { count: result.rowCount, duration });
       statusEl.style.color = "var(--status-success-text)";
 
-      this.container.querySelector("#results-title").textContent =
-        "Resultado de Query";
-      this.container.querySelector(
-        "#results-info"
-      ).textContent = `${result.rowCount} filas`;
+      this.container.querySelector("#results-title").textContent = t("admin.queryResult");
+      this.container.querySelector("#results-info").textContent = t("admin.rows", { count: result.rowCount });
 
       this.renderResults(result.rows);
     } catch (error) {
-      statusEl.textContent = `Error: ${error.message}`;
+      statusEl.textContent = t("common.errorMessage", { message: error.message });
       statusEl.style.color = "var(--status-error)";
     }
   }
@@ -239,8 +236,7 @@ export class AdminPanelView {
     const container = this.container.querySelector("#results-container");
 
     if (!rows || rows.length === 0) {
-      container.innerHTML =
-        '<p style="padding: 24px; text-align: center; color: var(--text-dimmed); font-size: 12px;">Sin resultados</p>';
+      container.innerHTML = `<p style="padding: 24px; text-align: center; color: var(--text-dimmed); font-size: 12px;">${t("admin.noResults")}</p>`;
       return;
     }
 
@@ -5,6 +5,7 @@
 
 import { api } from "../api.js";
 import { showToast } from "../app.js";
+import { t, plural, formatDateTime } from "../i18n.js";
 
 export class BackupPanelView {
   constructor(container) {
@@ -38,9 +39,9 @@ export class BackupPanelView {
     const lastBackup = this.status?.lastBackup;
     const lastBackupText = lastBackup
       ? this.formatRelativeTime(lastBackup.createdAt)
-      : "Nunca";
+      : t("backups.never");
     const lastBackupDate = lastBackup
-      ? this.formatDate(lastBackup.createdAt)
+      ? formatDateTime(lastBackup.createdAt)
       : "-";
 
     return `
@@ -55,7 +56,7 @@ export class BackupPanelView {
               </svg>
             </div>
             <div class="backup-stat-content">
-              <span class="backup-stat-label">Ultima copia</span>
+              <span class="backup-stat-label">${t("backups.lastBackup")}</span>
               <span class="backup-stat-value">${lastBackupText}</span>
               <span class="backup-stat-detail">${lastBackupDate}</span>
             </div>
@@ -70,9 +71,9 @@ export class BackupPanelView {
               </svg>
             </div>
             <div class="backup-stat-content">
-              <span class="backup-stat-label">Almacenamiento</span>
+              <span class="backup-stat-label">${t("backups.storage")}</span>
               <span class="backup-stat-value">${this.status?.totalSizeFormatted || "0 B"}</span>
-              <span class="backup-stat-detail">${this.status?.totalBackups || 0} copias</span>
+              <span class="backup-stat-detail">${plural("backups.count", this.status?.totalBackups || 0)}</span>
             </div>
           </div>
 
@@ -86,9 +87,9 @@ export class BackupPanelView {
               </svg>
             </div>
             <div class="backup-stat-content">
-              <span class="backup-stat-label">Sincronizacion</span>
-              <span class="backup-stat-value backup-stat-value--dimmed">No configurada</span>
-              <span class="backup-stat-detail">Descarga manual</span>
+              <span class="backup-stat-label">${t("backups.sync")}</span>
+              <span class="backup-stat-value backup-stat-value--dimmed">${t("backups.syncNotConfigured")}</span>
+              <span class="backup-stat-detail">${t("backups.manualDownload")}</span>
             </div>
           </div>
         </div>
@@ -99,15 +100,15 @@ export class BackupPanelView {
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
               <path d="M12 5v14M5 12h14"/>
             </svg>
-            ${this.isCreating ? "Creando..." : "Crear Copia Ahora"}
+            ${this.isCreating ? t("backups.creating") : t("backups.create")}
           </button>
         </div>
 
         <!-- Backups List -->
         <div class="backup-list-container data-table-container">
           <div class="backup-list-header">
-            <h3>Historial de Copias</h3>
-            <span class="backup-count">${this.backups.length} archivo${this.backups.length !== 1 ? "s" : ""}</span>
+            <h3>${t("backups.history")}</h3>
+            <span class="backup-count">${plural("backups.files", this.backups.length)}</span>
           </div>
           ${this.backups.length > 0 ? this.renderBackupTable() : this.renderEmptyState()}
         </div>
@@ -122,9 +123,9 @@ export class BackupPanelView {
       <table class="data-table backup-table">
         <thead>
           <tr>
-            <th>Archivo</th>
-            <th>Fecha</th>
-            <th>Tamano</th>
+            <th>${t("backups.file")}</th>
+            <th>${t("common.date")}</th>
+            <th>${t("backups.size")}</th>
             <th></th>
           </tr>
         </thead>
@@ -137,20 +138,20 @@ export class BackupPanelView {
                 <span class="backup-filename">${backup.filename}</span>
               </td>
               <td>
-                <span class="backup-date">${this.formatDate(backup.createdAt)}</span>
+                <span class="backup-date">${formatDateTime(backup.createdAt)}</span>
               </td>
               <td>
                 <span class="backup-size">${backup.sizeFormatted}</span>
               </td>
               <td class="backup-actions-cell">
-                <button class="btn-icon btn-download" data-filename="${backup.filename}" title="Descargar">
+                <button class="btn-icon btn-download" data-filename="${backup.filename}" title="${t("common.download")}">
                   <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                     <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
                     <polyline points="7 10 12 15 17 10"/>
                     <line x1="12" y1="15" x2="12" y2="3"/>
                   </svg>
                 </button>
-                <button class="btn-icon btn-delete" data-filename="${backup.filename}" title="Eliminar">
+                <button class="btn-icon btn-delete" data-filename="${backup.filename}" title="${t("common.delete")}">
                   <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                     <polyline points="3 6 5 6 21 6"/>
                     <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
@@ -174,8 +175,8 @@ export class BackupPanelView {
           <path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"/>
           <path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"/>
         </svg>
-        <p>No hay copias de seguridad</p>
-        <span>Crea tu primera copia de seguridad</span>
+        <p>${t("backups.empty")}</p>
+        <span>${t("backups.emptyHint")}</span>
       </div>
     `;
   }
@@ -188,24 +189,24 @@ export class BackupPanelView {
           <line x1="12" y1="8" x2="12" y2="12"/>
           <line x1="12" y1="16" x2="12.01" y2="16"/>
         </svg>
-        <p>Error al cargar copias de seguridad</p>
+        <p>${t("backups.loadError")}</p>
         <span>${message}</span>
-        <button class="btn btn-secondary" onclick="location.reload()">Reintentar</button>
+        <button class="btn btn-secondary" onclick="location.reload()">${t("common.retry")}</button>
       </div>
     `;
   }
 
   renderCsvExportSection() {
     const lastExportText = this.lastCsvExport
-      ? `${this.lastCsvExport.rows} expedientes exportados`
+      ? t("backups.csvExported", { count: this.lastCsvExport.rows })
       : "";
 
     return `
       <div class="csv-export-section">
         <div class="csv-export-header">
           <div>
-            <h3>Exportacion CSV</h3>
-            <span class="csv-export-subtitle">Descarga todos los expedientes en formato CSV para Excel/Numbers</span>
+            <h3>${t("backups.csvTitle")}</h3>
+            <span class="csv-export-subtitle">${t("backups.csvSubtitle")}</span>
           </div>
         </div>
 
@@ -216,7 +217,7 @@ export class BackupPanelView {
               <polyline points="7 10 12 15 17 10"/>
               <line x1="12" y1="15" x2="12" y2="3"/>
             </svg>
-            ${this.isExportingCsv ? "Exportando..." : "Descargar Expedientes CSV"}
+            ${this.isExportingCsv ? t("backups.exporting") : t("backups.csvDownload")}
           </button>
           ${lastExportText ? `<span class="csv-export-last-time">${lastExportText}</span>` : ""}
         </div>
@@ -265,18 +266,18 @@ export class BackupPanelView {
         <svg class="spin" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <path d="M21 12a9 9 0 1 1-6.219-8.56"/>
         </svg>
-        Creando...
+        ${t("backups.creating")}
       `;
     }
 
     try {
       const result = await api.createBackup();
-      showToast("Copia de seguridad creada correctamente", "success");
+      showToast(t("backups.created"), "success");
 
       // Refresh the panel
       await this.render();
     } catch (error) {
-      showToast(error.message || "Error al crear copia de seguridad", "error");
+      showToast(error.message || t("backups.createError"), "error");
       this.isCreating = false;
       if (btn) {
         btn.disabled = false;
@@ -284,7 +285,7 @@ export class BackupPanelView {
           <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
             <path d="M12 5v14M5 12h14"/>
           </svg>
-          Crear Copia Ahora
+          ${t("backups.create")}
         `;
       }
     }
@@ -298,18 +299,18 @@ export class BackupPanelView {
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
-    showToast("Descargando copia de seguridad...", "success");
+    showToast(t("backups.downloading"), "success");
   }
 
   async deleteBackup(filename) {
-    if (!confirm(`¿Eliminar ${filename}?`)) return;
+    if (!confirm(t("backups.deleteConfirm", { filename }))) return;
 
     try {
       await api.deleteBackup(filename);
-      showToast("Copia de seguridad eliminada", "success");
+      showToast(t("backups.deleted"), "success");
       await this.render();
     } catch (error) {
-      showToast(error.message || "Error al eliminar copia", "error");
+      showToast(error.message || t("backups.deleteError"), "error");
     }
   }
 
@@ -324,7 +325,7 @@ export class BackupPanelView {
         <svg class="spin" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <path d="M21 12a9 9 0 1 1-6.219-8.56"/>
         </svg>
-        Exportando...
+        ${t("backups.exporting")}
       `;
     }
 
@@ -342,27 +343,16 @@ export class BackupPanelView {
       a.click();
       document.body.removeChild(a);
 
-      showToast(`${result.data.rows} expedientes exportados`, "success");
+      showToast(t("backups.csvExported", { count: result.data.rows }), "success");
       this.isExportingCsv = false;
       await this.render();
     } catch (error) {
-      showToast(error.message || "Error al exportar CSV", "error");
+      showToast(error.message || t("backups.csvError"), "error");
       this.isExportingCsv = false;
       await this.render();
     }
   }
 
-  formatDate(isoString) {
-    const date = new Date(isoString);
-    return date.toLocaleDateString("es-ES", {
-      day: "2-digit",
-      month: "2-digit",
-      year: "numeric",
-      hour: "2-digit",
-      minute: "2-digit",
-    });
-  }
-
   formatRelativeTime(isoString) {
     const date = new Date(isoString);
     const now = new Date();
@@ -371,11 +361,11 @@ export class BackupPanelView {
     const diffHours = Math.floor(diffMs / 3600000);
     const diffDays = Math.floor(diffMs / 86400000);
 
-    if (diffMins < 1) return "Ahora mismo";
-    if (diffMins < 60) return `Hace ${diffMins} min`;
-    if (diffHours < 24) return `Hace ${diffHours} hora${diffHours > 1 ? "s" : ""}`;
-    if (diffDays < 7) return `Hace ${diffDays} dia${diffDays > 1 ? "s" : ""}`;
-    return this.formatDate(isoString);
+    if (diffMins < 1) return t("backups.justNow");
+    if (diffMins < 60) return t("backups.minutesAgo", { count: diffMins });
+    if (diffHours < 24) return plural("backups.hoursAgo", diffHours);
+    if (diffDays < 7) return plural("backups.daysAgo", diffDays);
+    return formatDateTime(isoString);
   }
 }
 
@@ -0,0 +1,360 @@
+/**
+ * Bank Reconciliation View
+ * Upload bank statements (Norma 43 / CSV) and confirm proposed matches between
+ * incoming transfers and outstanding minutas
+ */
+
+import { api } from "../api.js";
+import { showToast } from "../app.js";
+import { t, plural, formatDate, formatCurrency } from "../i18n.js";
+import { router } from "../router.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+
+export class BankReconciliationView {
+  constructor(container, importId = null) {
+    this.container = container;
+    this.importId = importId ? parseInt(importId, 10) : null;
+    this.imports = [];
+    this.current = null;
+  }
+
+  async render() {
+    try {
+      await this.loadData();
+      this.container.innerHTML = this.template();
+      this.bindEvents();
+    } catch (error) {
+      console.error("Bank reconciliation error:", error);
+      showToast(t("reconciliation.loadError"), "error");
+      this.container.innerHTML = `
+        <div class="error-state">
+          <p>${t("reconciliation.loadError")}: ${escapeAttr(error.message)}</p>
+        </div>
+      `;
+    }
+  }
+
+  async loadData() {
+    this.imports = await api.listBankImports();
+    const selectedId = this.importId || this.imports[0]?.id;
+    this.current = selectedId ? await api.getBankImport(selectedId) : null;
+  }
+
+  template() {
+    return `
+      <div class="module-list-view">
+        <div class="header">
+          <div class="header-title">
+            <h1>${t("reconciliation.title")}</h1>
+            <p>${t("reconciliation.subtitle")}</p>
+          </div>
+          <div class="header-actions">
+            <a href="#/invoices" class="btn btn-secondary">${t("invoices.title")}</a>
+            <input type="file" id="statement-file" accept=".n43,.aeb,.q43,.txt,.csv" style="display: none;">
+            <button class="btn btn-primary" id="btn-upload-statement">${t("reconciliation.import")}</button>
+          </div>
+        </div>
+
+        ${this.renderImports()}
+
+        <div id="reconciliation-content">
+          ${this.renderTransactions()}
+        </div>
+      </div>
+    `;
+  }
+
+  renderImports() {
+    if (this.imports.length === 0) {
+      return `
+        <div class="empty-state">
+          <h3>${t("reconciliation.empty")}</h3>
+          <p>${t("reconciliation.emptyHint")}</p>
+        </div>
+      `;
+    }
+
+    const selectedId = this.current?.import.id;
+    return `
+      <div class="filters-row" style="gap: 8px; align-items: center;">
+        <label class="form-label" for="bank-import-select" style="margin: 0;">${t("reconciliation.statement")}</label>
+        <select class="form-input" id="bank-import-select" style="width: auto;">
+          ${this.imports
+            .map(
+              (imp) => `
+            <option value="${imp.id}" ${imp.id === selectedId ? "selected" : ""}>
+              ${formatDate(imp.createdAt)} · ${escapeAttr(imp.filename)} (${plural("reconciliation.pending", imp.pendingCount)})
+            </option>
+          `
+            )
+            .join("")}
+        </select>
+      </div>
+    `;
+  }
+
+  renderTransactions() {
+    if (!this.current) return "";
+
+    const { import: imp, transactions } = this.current;
+    if (transactions.length === 0) {
+      return `
+        <div class="empty-state">
+          <h3>${t("reconciliation.noNew")}</h3>
+          <p>${plural("reconciliation.alreadyImported", imp.duplicateCount)}</p>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="data-table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>${t("common.date")}</th>
+              <th>${t("common.concept")}</th>
+              <th style="text-align: right;">${t("common.amount")}</th>
+              <th>${t("common.document")}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${transactions.map((tx) => this.renderTransactionRow(tx)).join("")}
+          </tbody>
+        </table>
+        <div class="table-footer">
+          <span class="table-info">
+            ${plural("reconciliation.credits", imp.transactionCount)} · ${plural("reconciliation.pending", imp.pendingCount)}
+            ${imp.duplicateCount > 0 ? ` · ${plural("reconciliation.duplicates", imp.duplicateCount)}` : ""}
+          </span>
+          <span class="table-info">${escapeAttr(imp.account || imp.format)}</span>
+        </div>
+      </div>
+    `;
+  }
+
+  renderTransactionRow(tx) {
+    const concept = [tx.concept, tx.reference].filter(Boolean).join(" · ");
+    const pending = tx.status === "PENDIENTE";
+
+    return `
+      <tr data-transaction-id="${tx.id}">
+        <td><span class="cell-date">${formatDate(tx.operationDate)}</span></td>
+        <td><span class="cell-client-email">${escapeAttr(concept || "-")}</span></td>
+        <td style="text-align: right;">${formatCurrency(tx.amount)}</td>
+        <td>
+          ${
+            pending
+              ? `
+            <div class="tx-allocations">${this.renderAllocation(tx, tx.proposedDocumentId, tx.remainingAmount)}</div>
+            <button type="button" class="btn btn-secondary btn-sm tx-split" style="margin-top: 4px;">${t("reconciliation.split")}</button>
+            ${
+              tx.assignedAmount > 0
+                ? `<span class="cell-client-email">${t("reconciliation.remaining", {
+                    amount: formatCurrency(tx.remainingAmount),
+                  })}</span>`
+                : ""
+            }
+            ${
+              tx.matchConfidence
+                ? `<span class="cell-client-email">${t("reconciliation.proposal", {
+                    confidence: t(`reconciliation.confidence.${tx.matchConfidence}`),
+                  })}</span>`
+                : ""
+            }
+          `
+              : this.renderMatchedDocument(tx)
+          }
+        </td>
+        <td style="white-space: nowrap;">
+          ${
+            pending
+              ? `
+            <button class="btn btn-primary btn-sm tx-confirm">${t("common.confirm")}</button>
+            <button class="btn btn-secondary btn-sm tx-dismiss">${t("reconciliation.dismiss")}</button>
+          `
+              : `<span class="badge">${t(`reconciliation.statuses.${tx.status}`)}</span>`
+          }
+        </td>
+      </tr>
+    `;
+  }
+
+  /**
+   * Document and amount of one payment of a transfer; a transfer paying
+   * several minutas gets one of these per document
+   * @param {Object} tx - Transaction
+   * @param {number|null} documentId - Selected document
+   * @param {number|string} amount - Amount prefilled
+   * @returns {string} HTML
+   */
+  renderAllocation(tx, documentId, amount) {
+    return `
+      <div class="tx-allocation" style="display: flex; gap: 4px; align-items: center; margin-bottom: 4px;">
+        <select class="form-input tx-document-select" style="flex: 1; min-width: 0;">
+          <option value="">${t("reconciliation.unassigned")}</option>
+          ${this.renderCandidateOptions(tx, documentId)}
+        </select>
+        <input type="number" class="form-input tx-allocation-amount" min="0.01" step="0.01"
+          value="${amount}" aria-label="${t("common.amount")}"
+          style="width: 110px; ${amount === "" ? "" : "display: none;"}">
+      </div>
+    `;
+  }
+
+  renderCandidateOptions(tx, selectedId = tx.proposedDocumentId) {
+    const candidates = [...this.current.candidates];
+    // Keep the proposal selectable even if it no longer has a balance
+    if (tx.proposedDocumentId && !candidates.some((c) => c.documentId === tx.proposedDocumentId)) {
+      candidates.unshift({ documentId: tx.proposedDocumentId, ...tx.document, outstanding: null });
+    }
+
+    return candidates
+      .map((c) => {
+        const label = [
+          c.invoiceNumber || t(`documents.types.${c.documentType === "SUPLIDO" ? "SUPLIDO" : "MINUTA"}`),
+          c.aragReference || c.internalReference,
+          c.clientName,
+          c.outstanding !== null ? formatCurrency(c.outstanding) : null,
+        ]
+          .filter(Boolean)
+          .join(" · ");
+        return `<option value="${c.documentId}" ${c.documentId === selectedId ? "selected" : ""}>${escapeAttr(label)}</option>`;
+      })
+      .join("");
+  }
+
+  renderMatchedDocument(tx) {
+    if (tx.status !== "CONFIRMADO") return "-";
+    // Transfers confirmed before they could be split have no linked payments
+    const paid = tx.payments.length > 0 ? tx.payments : tx.document ? [{ ...tx.document, amount: null }] : [];
+    if (paid.length === 0) return "-";
+
+    return paid
+      .map(
+        (p) => `
+      <div>
+        <a href="#/invoicing/${p.caseId}" class="cell-reference mono">
+          ${escapeAttr(p.invoiceNumber || p.internalReference)}
+        </a>
+        <span class="cell-client-email">
+          ${escapeAttr(p.clientName || "")}${paid.length > 1 ? ` · ${formatCurrency(p.amount)}` : ""}
+        </span>
+      </div>
+    `
+      )
+      .join("");
+  }
+
+  bindEvents() {
+    const fileInput = this.container.querySelector("#statement-file");
+    this.container.querySelector("#btn-upload-statement")?.addEventListener("click", () => {
+      fileInput.click();
+    });
+    fileInput?.addEventListener("change", () => this.uploadStatement(fileInput));
+
+    this.container.querySelector("#bank-import-select")?.addEventListener("change", (e) => {
+      router.navigate(`/reconciliation/${e.target.value}`);
+    });
+
+    this.bindTransactionEvents();
+  }
+
+  bindTransactionEvents() {
+    this.container.querySelectorAll("tr[data-transaction-id]").forEach((row) => {
+      const id = row.dataset.transactionId;
+
+      // Split: every document gets its own amount
+      row.querySelector(".tx-split")?.addEventListener("click", () => {
+        const tx = this.current.transactions.find((item) => String(item.id) === id);
+        const list = row.querySelector(".tx-allocations");
+        list.insertAdjacentHTML("beforeend", this.renderAllocation(tx, null, ""));
+        list.querySelectorAll(".tx-allocation-amount").forEach((input) => {
+          input.style.display = "";
+        });
+      });
+
+      row.querySelector(".tx-confirm")?.addEventListener("click", async (e) => {
+        const button = e.currentTarget;
+        const allocations = [...row.querySelectorAll(".tx-allocation")]
+          .map((el) => ({
+            documentId: parseInt(el.querySelector(".tx-document-select").value, 10) || null,
+            amount: parseFloat(el.querySelector(".tx-allocation-amount").value),
+          }))
+          .filter((a, index) => index === 0 || a.documentId || a.amount);
+        if (allocations.some((a) => !a.documentId)) {
+          showToast(t("reconciliation.selectDocument"), "error");
+          return;
+        }
+        button.disabled = true;
+        try {
+          await api.confirmBankTransaction(
+            id,
+            allocations.length === 1 ? allocations[0].documentId : allocations
+          );
+          showToast(t("reconciliation.paymentRecorded"), "success");
+          await this.refresh();
+        } catch (error) {
+          showToast(t("common.errorMessage", { message: error.message }), "error");
+          button.disabled = false;
+        }
+      });
+
+      row.querySelector(".tx-dismiss")?.addEventListener("click", async (e) => {
+        const button = e.currentTarget;
+        button.disabled = true;
+        try {
+          await api.dismissBankTransaction(id);
+          await this.refresh();
+        } catch (error) {
+          showToast(t("common.errorMessage", { message: error.message }), "error");
+          button.disabled = false;
+        }
+      });
+    });
+  }
+
+  async uploadStatement(fileInput) {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    const formData = new FormData();
+    formData.append("statement", file);
+
+    try {
+      const result = await api.uploadBankStatement(formData);
+      const proposals = result.transactions.filter((tx) => tx.proposedDocumentId).length;
+      showToast(
+        t("reconciliation.imported", {
+          credits: plural("reconciliation.credits", result.import.transactionCount),
+          proposals,
+        }),
+        "success"
+      );
+      if (this.importId === result.import.id) {
+        await this.render();
+      } else {
+        router.navigate(`/reconciliation/${result.import.id}`);
+      }
+    } catch (error) {
+      showToast(t("reconciliation.importError", { message: error.message }), "error");
+    } finally {
+      fileInput.value = "";
+    }
+  }
+
+  async refresh() {
+    try {
+      this.current = await api.getBankImport(this.current.import.id);
+      const content = this.container.querySelector("#reconciliation-content");
+      if (content) {
+        content.innerHTML = this.renderTransactions();
+        this.bindTransactionEvents();
+      }
+    } catch (error) {
+      showToast(error.message || t("reconciliation.transactionsLoadError"), "error");
+    }
+  }
+}
+
+export default BankReconciliationView;
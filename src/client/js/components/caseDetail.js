@@ -5,7 +5,62 @@
 
 import { api } from "../api.js";
 import { router } from "../router.js";
-import { formatDate, showToast } from "../app.js";
+import { showToast } from "../app.js";
+import { t, formatDate, formatDateTime } from "../i18n.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+import { deadlineStatusLabel, formatRemaining } from "./deadlineCalendar.js";
+import { ConfirmModal } from "./confirmModal.js";
+import { DOCUMENT_CATEGORIES, DocumentUploadModal } from "./documentUploadModal.js";
+import {
+  HEARING_TYPES,
+  HEARING_STATUSES,
+  hearingTypeLabel,
+  hearingStatusLabel,
+  formatHearingDateTime,
+  requestCalendarLink,
+} from "./hearingSchedule.js";
+
+// Inputs of the email composer
+const EMAIL_INPUT_STYLE =
+  "width: 100%; padding: 8px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 13px;";
+
+const JUDICIAL_DISTRICTS = [
+  "Torrox",
+  "Vélez-Málaga",
+  "Torremolinos",
+  "Fuengirola",
+  "Marbella",
+  "Estepona",
+  "Antequera",
+];
+
+/**
+ * Server timestamps are UTC without a zone ("YYYY-MM-DD HH:MM:SS")
+ * @param {string} value - SQLite datetime
+ */
+function formatServerDate(value) {
+  return value ? formatDateTime(`${value.replace(" ", "T")}Z`) : "-";
+}
+
+/**
+ * Size of the attachments in MB
+ * @param {number} bytes - Size in bytes
+ */
+function formatMegabytes(bytes) {
+  return (bytes / 1024 / 1024).toFixed(1);
+}
+
+/**
+ * Label of an audit trail key (action or field), or the key itself when unknown
+ * @param {string} group - "actions" or "fields"
+ * @param {string} value - Audited action or field name
+ * @returns {string}
+ */
+function auditLabel(group, value) {
+  const key = `caseDetail.audit.${group}.${value}`;
+  const label = t(key);
+  return label === key ? value : label;
+}
 
 export class CaseDetailView {
   constructor(container, caseId) {
@@ -13,69 +68,96 @@ export class CaseDetailView {
     this.caseId = caseId;
     this.caseData = null;
     this.documents = [];
+    this.documentTags = [];
+    this.documentFilters = { category: "", tag: "", deleted: false };
+    this.documentIntegrity = null;
+    this.activeTab = "info";
+    this.auditEntries = null;
+    this.deadlines = null;
+    this.hearings = null;
+    this.emails = null;
   }
 
   async render() {
     try {
       this.caseData = await api.getCase(this.caseId);
-      try {
-        const history = await api.getCaseHistory(this.caseId);
-        this.documents = history?.data?.documents || [];
-      } catch {
-        this.documents = [];
-      }
-      this.container.innerHTML = this.template();
-      this.bindEvents();
+      this.documentFilters = { category: "", tag: "", deleted: false };
+      this.documentIntegrity = null;
+      await this.fetchDocuments();
+      this.auditEntries = null;
+      this.deadlines = null;
+      this.hearings = null;
+      this.emails = null;
+      this.renderView();
     } catch (error) {
       console.error("Case detail error:", error);
       if (error.status === 404) {
         this.container.innerHTML = `
           <div class="empty-state">
-            <h2>Expediente no encontrado</h2>
-            <p>El expediente solicitado no existe.</p>
-            <a href="#/cases" class="btn btn-secondary">Volver a expedientes</a>
+            <h2>${t("caseDetail.notFound")}</h2>
+            <p>${t("caseDetail.notFoundHint")}</p>
+            <a href="#/cases" class="btn btn-secondary">${t("caseDetail.backToCases")}</a>
           </div>
         `;
       } else {
-        showToast("Error al cargar el expediente", "error");
+        showToast(t("caseDetail.loadError"), "error");
       }
     }
   }
 
+  renderView() {
+    this.container.innerHTML = this.template();
+    this.bindEvents();
+    if (this.activeTab === "audit") {
+      this.loadAudit();
+    } else if (this.activeTab === "deadlines") {
+      this.loadDeadlines();
+    } else if (this.activeTab === "hearings") {
+      this.loadHearings();
+    } else if (this.activeTab === "emails") {
+      this.loadEmails();
+    }
+  }
+
   template() {
     const c = this.caseData;
     const typeBadges = {
-      ARAG: { class: "arag", label: "ARAG" },
-      PARTICULAR: { class: "particular", label: "Particular" },
-      TURNO_OFICIO: { class: "turno", label: "Turno Oficio" },
+      ARAG: "arag",
+      PARTICULAR: "particular",
+      TURNO_OFICIO: "turno",
     };
-    const badge = typeBadges[c.type] || { class: "turno", label: c.type };
+    const badge = { class: typeBadges[c.type] || "turno", label: t(`cases.types.${c.type}`) };
 
     const stateDisplay =
-      c.state === "ABIERTO"
-        ? "Abierto"
-        : c.state === "ARCHIVADO"
-        ? "Archivado"
-        : `Judicial${c.judicialDistrict ? ` (${c.judicialDistrict})` : ""}`;
+      c.state === "JUDICIAL" && c.judicialDistrict
+        ? `${t("cases.states.JUDICIAL")} (${c.judicialDistrict})`
+        : t(`cases.states.${c.state}`);
 
     return `
       <div class="header">
         <div class="header-title">
           <nav class="breadcrumb" style="font-size: 12px; color: var(--text-dimmed); margin-bottom: 8px;">
-            <a href="#/" style="color: var(--text-dimmed); text-decoration: none;">Dashboard</a>
+            <a href="#/" style="color: var(--text-dimmed); text-decoration: none;">${t("nav.dashboard")}</a>
             <span style="margin: 0 8px;">›</span>
-            <a href="#/cases" style="color: var(--text-dimmed); text-decoration: none;">Expedientes</a>
+            <a href="#/cases" style="color: var(--text-dimmed); text-decoration: none;">${t("nav.cases")}</a>
             <span style="margin: 0 8px;">›</span>
             <span style="color: var(--text-muted);">${
               c.internalReference || c.clientName
             }</span>
           </nav>
           <h1>${c.clientName}</h1>
+          ${
+            c.clientId
+              ? `<a href="#/clients/${c.clientId}" style="font-size: 12px; color: var(--text-muted);">${t("caseDetail.viewClient")}${
+                  c.clientEmail ? ` · ${escapeAttr(c.clientEmail)}` : ""
+                }</a>`
+              : ""
+          }
           <div style="display: flex; align-items: center; gap: 12px; margin-top: 8px;">
             <span class="badge ${badge.class}"><span class="badge-dot"></span>${
       badge.label
     }</span>
-            <span style="color: var(--text-dimmed); font-size: 12px;">Estado: ${stateDisplay}</span>
+            <span style="color: var(--text-dimmed); font-size: 12px;">${t("caseDetail.state", { state: stateDisplay })}</span>
           </div>
         </div>
         <div class="header-actions">
@@ -83,14 +165,56 @@ export class CaseDetailView {
         </div>
       </div>
 
+      <div class="admin-tabs">
+        <button class="admin-tab ${this.activeTab === "info" ? "active" : ""}" data-tab="info">${t("caseDetail.tabs.info")}</button>
+        <button class="admin-tab ${this.activeTab === "deadlines" ? "active" : ""}" data-tab="deadlines">${t("caseDetail.tabs.deadlines")}</button>
+        <button class="admin-tab ${this.activeTab === "hearings" ? "active" : ""}" data-tab="hearings">${t("caseDetail.tabs.hearings")}</button>
+        <button class="admin-tab ${this.activeTab === "emails" ? "active" : ""}" data-tab="emails">${t("caseDetail.tabs.emails")}</button>
+        <button class="admin-tab ${this.activeTab === "audit" ? "active" : ""}" data-tab="audit">${t("caseDetail.tabs.audit")}</button>
+      </div>
+
+      ${this.tabTemplate()}
+    `;
+  }
+
+  tabTemplate() {
+    if (this.activeTab === "audit") {
+      return `<div class="data-table-container" id="audit-container"><p style="font-size: 12px; color: var(--text-dimmed);">${t("caseDetail.loadingAudit")}</p></div>`;
+    }
+    if (this.activeTab === "deadlines") {
+      return `
+        ${this.deadlineFormTemplate()}
+        <div class="data-table-container" id="deadlines-container" style="margin-top: 16px;">
+          <p style="font-size: 12px; color: var(--text-dimmed);">${t("caseDetail.loadingDeadlines")}</p>
+        </div>
+      `;
+    }
+    if (this.activeTab === "hearings") {
+      return `
+        ${this.hearingFormTemplate()}
+        <div class="data-table-container" id="hearings-container" style="margin-top: 16px;">
+          <p style="font-size: 12px; color: var(--text-dimmed);">${t("caseDetail.loadingHearings")}</p>
+        </div>
+      `;
+    }
+    if (this.activeTab === "emails") {
+      return `<div class="data-table-container" id="emails-container"><p style="font-size: 12px; color: var(--text-dimmed);">${t("caseDetail.loadingEmails")}</p></div>`;
+    }
+    return this.infoTemplate();
+  }
+
+  infoTemplate() {
+    const c = this.caseData;
+
+    return `
       <div class="case-detail-content">
         <!-- Main Info -->
         <div class="data-table-container case-detail-main">
-          <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 16px;">Información del Expediente</h3>
+          <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 16px;">${t("caseDetail.info.title")}</h3>
           
           <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
             <div>
-              <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">Referencia Interna</label>
+              <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">${t("caseDetail.info.internalReference")}</label>
               <p style="font-family: var(--font-mono); font-size: 14px; color: var(--text-secondary); margin-top: 4px;">${
                 c.internalReference || "-"
               }</p>
@@ -99,7 +223,7 @@ export class CaseDetailView {
               c.type === "ARAG"
                 ? `
             <div>
-              <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">Referencia ARAG</label>
+              <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">${t("cases.form.aragReference")}</label>
               <p style="font-family: var(--font-mono); font-size: 14px; color: var(--text-secondary); margin-top: 4px;">${
                 c.aragReference || "-"
               }</p>
@@ -111,7 +235,7 @@ export class CaseDetailView {
               c.type === "TURNO_OFICIO"
                 ? `
             <div>
-              <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">Designación</label>
+              <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">${t("caseDetail.info.designation")}</label>
               <p style="font-size: 14px; color: var(--text-secondary); margin-top: 4px;">${
                 c.designation || "-"
               }</p>
@@ -120,7 +244,7 @@ export class CaseDetailView {
                 : ""
             }
             <div>
-              <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">Fecha de Entrada</label>
+              <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">${t("cases.form.entryDate")}</label>
               <p style="font-size: 14px; color: var(--text-secondary); margin-top: 4px;">${formatDate(
                 c.entryDate
               )}</p>
@@ -129,7 +253,7 @@ export class CaseDetailView {
               c.judicialDate
                 ? `
             <div>
-              <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">Fecha Judicial</label>
+              <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">${t("caseDetail.info.judicialDate")}</label>
               <p style="font-size: 14px; color: var(--text-secondary); margin-top: 4px;">${formatDate(
                 c.judicialDate
               )}</p>
@@ -141,7 +265,7 @@ export class CaseDetailView {
               c.closureDate
                 ? `
             <div>
-              <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">Fecha de Cierre</label>
+              <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">${t("caseDetail.closureDate")}</label>
               <p style="font-size: 14px; color: var(--text-secondary); margin-top: 4px;">${formatDate(
                 c.closureDate
               )}</p>
@@ -152,8 +276,8 @@ export class CaseDetailView {
           </div>
 
           <div style="margin-top: 24px;">
-            <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">Observaciones</label>
-            <textarea id="observations" style="width: 100%; min-height: 120px; margin-top: 8px; padding: 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-secondary); font-family: var(--font-sans); font-size: 14px; resize: vertical;" placeholder="Añadir observaciones...">${
+            <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">${t("caseDetail.info.observations")}</label>
+            <textarea id="observations" style="width: 100%; min-height: 120px; margin-top: 8px; padding: 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-secondary); font-family: var(--font-sans); font-size: 14px; resize: vertical;" placeholder="${t("caseDetail.info.observationsPlaceholder")}">${
               c.observations || ""
             }</textarea>
           </div>
@@ -163,40 +287,670 @@ export class CaseDetailView {
         <div class="case-detail-sidebar">
           <!-- Documents -->
           <div class="data-table-container case-detail-docs">
-            <h3 style="font-size: 12px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 12px;">Documentos</h3>
-            ${this.renderDocuments()}
+            <div style="display: flex; align-items: center; justify-content: space-between; gap: 8px; margin-bottom: 12px;">
+              <h3 style="font-size: 12px; font-weight: 500; color: var(--text-primary-alt);">${t("caseDetail.documents")}</h3>
+              <div style="display: flex; gap: 6px;">
+                <button class="btn btn-secondary" id="btn-verify-documents" style="font-size: 11px; padding: 4px 10px;" title="${t("caseDetail.verifyIntegrityHint")}">${t("caseDetail.verifyIntegrity")}</button>
+                ${
+                  c.state !== "ARCHIVADO"
+                    ? `<button class="btn btn-secondary" id="btn-upload-document" style="font-size: 11px; padding: 4px 10px;">${t("caseDetail.uploadDocument")}</button>`
+                    : ""
+                }
+              </div>
+            </div>
+            <div id="documents-container">${this.renderDocuments()}</div>
           </div>
         </div>
       </div>
     `;
   }
 
+  async loadAudit() {
+    const container = this.container.querySelector("#audit-container");
+    try {
+      if (!this.auditEntries) {
+        this.auditEntries = await api.getCaseAudit(this.caseId);
+      }
+      if (container) container.innerHTML = this.renderAudit();
+    } catch (error) {
+      console.error("Audit trail error:", error);
+      if (container) {
+        container.innerHTML =
+          `<p style="font-size: 12px; color: var(--status-error);">${t("caseDetail.auditLoadError")}</p>`;
+      }
+    }
+  }
+
+  deadlineFormTemplate() {
+    const today = new Date().toISOString().split("T")[0];
+    const inputStyle =
+      "width: 100%; padding: 8px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans);";
+    const labelStyle = "font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;";
+
+    return `
+      <form class="data-table-container" id="deadline-form">
+        <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 16px;">${t("caseDetail.deadlineForm.title")}</h3>
+        <div style="display: grid; grid-template-columns: 2fr 1fr 1fr 1fr; gap: 12px; align-items: end;">
+          <div>
+            <label style="${labelStyle}" for="deadline-title">${t("deadlines.fields.title")}</label>
+            <input type="text" id="deadline-title" required placeholder="${t("caseDetail.deadlineForm.titlePlaceholder")}" style="${inputStyle}">
+          </div>
+          <div>
+            <label style="${labelStyle}" for="deadline-start">${t("caseDetail.deadlineForm.startDate")}</label>
+            <input type="date" id="deadline-start" value="${today}" style="${inputStyle}">
+          </div>
+          <div>
+            <label style="${labelStyle}" for="deadline-days">${t("caseDetail.deadlineForm.days")}</label>
+            <input type="number" id="deadline-days" min="1" max="365" value="20" style="${inputStyle}">
+          </div>
+          <div>
+            <label style="${labelStyle}" for="deadline-day-type">${t("caseDetail.deadlineForm.dayType")}</label>
+            <select id="deadline-day-type" style="${inputStyle}">
+              <option value="HABILES">${t("caseDetail.deadlineForm.dayTypes.HABILES")}</option>
+              <option value="NATURALES">${t("caseDetail.deadlineForm.dayTypes.NATURALES")}</option>
+            </select>
+          </div>
+        </div>
+        <div style="display: flex; align-items: center; gap: 16px; margin-top: 12px;">
+          <label style="font-size: 12px; color: var(--text-secondary); display: flex; align-items: center; gap: 6px;">
+            <input type="checkbox" id="deadline-judicial" checked> ${t("caseDetail.deadlineForm.judicial")}
+          </label>
+          <span id="deadline-preview" style="font-size: 12px; color: var(--text-muted); flex: 1;"></span>
+          <button type="submit" class="btn btn-primary">${t("caseDetail.deadlineForm.submit")}</button>
+        </div>
+      </form>
+    `;
+  }
+
+  async loadDeadlines() {
+    const container = this.container.querySelector("#deadlines-container");
+    try {
+      if (!this.deadlines) {
+        this.deadlines = await api.listDeadlines({ caseId: this.caseId });
+      }
+      if (container) {
+        container.innerHTML = this.renderDeadlines();
+        this.bindDeadlineEvents();
+      }
+    } catch (error) {
+      console.error("Deadlines error:", error);
+      if (container) {
+        container.innerHTML =
+          `<p style="font-size: 12px; color: var(--status-error);">${t("deadlines.loadError")}</p>`;
+      }
+    }
+  }
+
+  renderDeadlines() {
+    if (!this.deadlines.length) {
+      return `<p style="font-size: 12px; color: var(--text-dimmed);">${t("caseDetail.noDeadlines")}</p>`;
+    }
+
+    return `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>${t("deadlines.fields.dueDate")}</th>
+            <th>${t("deadlines.fields.title")}</th>
+            <th>${t("caseDetail.deadlineForm.dayType")}</th>
+            <th>${t("cases.fields.state")}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.deadlines
+            .map(
+              (d) => `
+            <tr data-deadline-id="${d.id}" data-completed="${d.completedAt ? "true" : "false"}">
+              <td><span class="cell-date">${formatDate(d.dueDate)}</span></td>
+              <td>
+                ${escapeAttr(d.title)}
+                <span class="cell-client-email">${formatRemaining(d)}</span>
+              </td>
+              <td style="font-size: 12px; color: var(--text-muted);">
+                ${
+                  d.days
+                    ? t(`caseDetail.computation.${d.dayType === "NATURALES" ? "NATURALES" : "HABILES"}`, {
+                        days: d.days,
+                        date: formatDate(d.startDate),
+                      })
+                    : t("caseDetail.computation.fixed")
+                }
+              </td>
+              <td><span class="badge-deadline badge-deadline-${d.status.toLowerCase()}">${deadlineStatusLabel(d.status)}</span></td>
+              <td style="text-align: right; white-space: nowrap;">
+                <button class="btn btn-secondary btn-sm deadline-toggle">${d.completedAt ? t("deadlines.reopen") : t("deadlines.statuses.CUMPLIDO")}</button>
+                <button class="btn btn-secondary btn-sm deadline-delete">${t("common.delete")}</button>
+              </td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  bindDeadlineEvents() {
+    this.container.querySelectorAll("tr[data-deadline-id]").forEach((row) => {
+      const id = row.dataset.deadlineId;
+
+      row.querySelector(".deadline-toggle")?.addEventListener("click", async () => {
+        try {
+          await api.completeDeadline(id, row.dataset.completed !== "true");
+          this.deadlines = null;
+          await this.loadDeadlines();
+        } catch (error) {
+          showToast(error.message, "error");
+        }
+      });
+
+      row.querySelector(".deadline-delete")?.addEventListener("click", async () => {
+        if (!confirm(t("caseDetail.deleteDeadlineConfirm"))) return;
+        try {
+          await api.deleteDeadline(id);
+          this.deadlines = null;
+          await this.loadDeadlines();
+        } catch (error) {
+          showToast(error.message, "error");
+        }
+      });
+    });
+  }
+
+  /**
+   * Read the deadline form fields
+   * @returns {Object} { title, startDate, days, dayType, judicial }
+   */
+  readDeadlineForm() {
+    const form = this.container.querySelector("#deadline-form");
+    return {
+      title: form.querySelector("#deadline-title").value.trim(),
+      startDate: form.querySelector("#deadline-start").value,
+      days: parseInt(form.querySelector("#deadline-days").value, 10),
+      dayType: form.querySelector("#deadline-day-type").value,
+      judicial: form.querySelector("#deadline-judicial").checked,
+    };
+  }
+
+  async updateDeadlinePreview() {
+    const preview = this.container.querySelector("#deadline-preview");
+    const data = this.readDeadlineForm();
+    if (!preview) return;
+    if (!data.startDate || !data.days) {
+      preview.textContent = "";
+      return;
+    }
+    try {
+      const result = await api.calculateDeadline(data);
+      preview.textContent = t("caseDetail.dueOn", { date: formatDate(result.dueDate) });
+    } catch (error) {
+      preview.textContent = error.message;
+    }
+  }
+
+  hearingFormTemplate() {
+    const inputStyle =
+      "width: 100%; padding: 8px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans);";
+    const labelStyle = "font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;";
+    const caseDistrict = this.caseData.judicialDistrict;
+
+    return `
+      <form class="data-table-container" id="hearing-form">
+        <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 16px;">${t("caseDetail.hearingForm.title")}</h3>
+        <div style="display: grid; grid-template-columns: 1fr 1.2fr 0.6fr 2fr 1fr; gap: 12px; align-items: end;">
+          <div>
+            <label style="${labelStyle}" for="hearing-type">${t("cases.fields.type")}</label>
+            <select id="hearing-type" style="${inputStyle}">
+              ${HEARING_TYPES.map((value) => `<option value="${value}">${hearingTypeLabel(value)}</option>`).join("")}
+            </select>
+          </div>
+          <div>
+            <label style="${labelStyle}" for="hearing-starts-at">${t("caseDetail.hearingForm.startsAt")}</label>
+            <input type="datetime-local" id="hearing-starts-at" required style="${inputStyle}">
+          </div>
+          <div>
+            <label style="${labelStyle}" for="hearing-duration">${t("caseDetail.hearingForm.duration")}</label>
+            <input type="number" id="hearing-duration" min="5" max="720" step="5" value="60" style="${inputStyle}">
+          </div>
+          <div>
+            <label style="${labelStyle}" for="hearing-court">${t("caseDetail.hearingForm.court")}</label>
+            <input type="text" id="hearing-court" required placeholder="${t("caseDetail.hearingForm.courtPlaceholder")}" style="${inputStyle}">
+          </div>
+          <div>
+            <label style="${labelStyle}" for="hearing-district">${t("caseDetail.judicialDistrict")}</label>
+            <select id="hearing-district" style="${inputStyle}">
+              <option value="">—</option>
+              ${JUDICIAL_DISTRICTS.map(
+                (d) => `<option value="${d}" ${d === caseDistrict ? "selected" : ""}>${d}</option>`
+              ).join("")}
+            </select>
+          </div>
+        </div>
+        <div style="display: flex; align-items: center; gap: 12px; margin-top: 12px;">
+          <input type="text" id="hearing-notes" placeholder="${t("caseDetail.hearingForm.notesPlaceholder")}" style="${inputStyle} flex: 1;">
+          <button type="button" class="btn btn-secondary" id="btn-hearing-calendar-link">${t("hearings.subscribe")}</button>
+          <button type="submit" class="btn btn-primary">${t("caseDetail.hearingForm.submit")}</button>
+        </div>
+      </form>
+    `;
+  }
+
+  async loadHearings() {
+    const container = this.container.querySelector("#hearings-container");
+    try {
+      if (!this.hearings) {
+        this.hearings = await api.listHearings({ caseId: this.caseId });
+      }
+      if (container) {
+        container.innerHTML = this.renderHearings();
+        this.bindHearingEvents();
+      }
+    } catch (error) {
+      console.error("Hearings error:", error);
+      if (container) {
+        container.innerHTML =
+          `<p style="font-size: 12px; color: var(--status-error);">${t("caseDetail.hearingsLoadError")}</p>`;
+      }
+    }
+  }
+
+  renderHearings() {
+    if (!this.hearings.length) {
+      return `<p style="font-size: 12px; color: var(--text-dimmed);">${t("caseDetail.noHearings")}</p>`;
+    }
+
+    return `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>${t("caseDetail.hearingForm.startsAt")}</th>
+            <th>${t("cases.fields.type")}</th>
+            <th>${t("caseDetail.hearingForm.court")}</th>
+            <th>${t("cases.fields.state")}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.hearings
+            .map(
+              (h) => `
+            <tr data-hearing-id="${h.id}">
+              <td><span class="cell-date">${formatHearingDateTime(h.startsAt)}</span></td>
+              <td>
+                ${hearingTypeLabel(h.hearingType)}
+                <span class="cell-client-email">${h.durationMinutes} min${h.notes ? ` · ${escapeAttr(h.notes)}` : ""}</span>
+              </td>
+              <td>
+                ${escapeAttr(h.court)}
+                <span class="cell-client-email">${escapeAttr(h.judicialDistrict || "")}</span>
+              </td>
+              <td>
+                <select class="hearing-status" style="font-size: 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 6px; color: var(--text-primary); padding: 4px 6px;">
+                  ${HEARING_STATUSES.map(
+                    (value) =>
+                      `<option value="${value}" ${value === h.status ? "selected" : ""}>${hearingStatusLabel(value)}</option>`
+                  ).join("")}
+                </select>
+              </td>
+              <td style="text-align: right;">
+                <button class="btn btn-secondary btn-sm hearing-delete">${t("common.delete")}</button>
+              </td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  bindHearingEvents() {
+    this.container.querySelectorAll("tr[data-hearing-id]").forEach((row) => {
+      const id = row.dataset.hearingId;
+
+      row.querySelector(".hearing-status")?.addEventListener("change", async (e) => {
+        try {
+          await api.updateHearing(id, { status: e.target.value });
+          showToast(t("caseDetail.hearingStatusUpdated"), "success");
+          this.hearings = null;
+          await this.loadHearings();
+        } catch (error) {
+          showToast(error.message, "error");
+        }
+      });
+
+      row.querySelector(".hearing-delete")?.addEventListener("click", async () => {
+        if (!confirm(t("caseDetail.deleteHearingConfirm"))) return;
+        try {
+          await api.deleteHearing(id);
+          this.hearings = null;
+          await this.loadHearings();
+        } catch (error) {
+          showToast(error.message, "error");
+        }
+      });
+    });
+  }
+
+  async loadEmails() {
+    const container = this.container.querySelector("#emails-container");
+    try {
+      if (!this.emails) {
+        ({ emails: this.emails } = await api.getCaseEmails(this.caseId));
+      }
+      if (container) container.innerHTML = this.renderEmails();
+    } catch (error) {
+      console.error("Case emails error:", error);
+      if (container) {
+        container.innerHTML =
+          `<p style="font-size: 12px; color: var(--status-error);">${t("caseDetail.emailsLoadError")}</p>`;
+      }
+    }
+  }
+
+  /**
+   * Emails sent for the case: recipients, copies and attachments
+   * @returns {string} HTML
+   */
+  renderEmails() {
+    if (!this.emails.length) {
+      return `<p style="font-size: 12px; color: var(--text-dimmed);">${t("caseDetail.noEmails")}</p>`;
+    }
+
+    const line = (label, value) =>
+      value
+        ? `<p style="font-size: 12px; color: var(--text-secondary); margin-top: 2px;"><span style="color: var(--text-dimmed);">${label}:</span> ${escapeAttr(value)}</p>`
+        : "";
+
+    return `<div style="display: flex; flex-direction: column; gap: 16px;">
+      ${this.emails
+        .map(
+          (email) => `<div style="padding-bottom: 16px; border-bottom: 1px solid var(--border-default);">
+          <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 6px;">
+            <span class="${["SENT", "DELIVERED"].includes(email.status) ? "doc-badge-default" : "doc-badge-minuta"}" style="font-size: 10px; font-weight: 600; padding: 2px 6px; border-radius: 4px;">${t(`caseDetail.emailStatus.${email.status}`)}</span>
+            <span style="font-size: 13px; color: var(--text-primary-alt); font-weight: 500;">${escapeAttr(email.subject)}</span>
+            <span style="font-size: 12px; color: var(--text-dimmed);">${formatServerDate(email.sentAt)}</span>
+          </div>
+          ${line(t("caseDetail.email.to"), email.recipient)}
+          ${line(t("caseDetail.email.cc"), email.cc)}
+          ${line(t("caseDetail.email.bcc"), email.bcc)}
+          ${line(
+            t("caseDetail.email.attachments"),
+            email.attachments.map((file) => file.fileName || `#${file.documentId}`).join(", ")
+          )}
+          ${email.errorMessage ? `<p style="font-size: 12px; color: var(--status-error); margin-top: 4px;">${escapeAttr(email.errorMessage)}</p>` : ""}
+        </div>`
+        )
+        .join("")}
+    </div>`;
+  }
+
+  renderAudit() {
+    if (!this.auditEntries.length) {
+      return `<p style="font-size: 12px; color: var(--text-dimmed);">${t("caseDetail.noAudit")}</p>`;
+    }
+
+    const formatValue = (value) =>
+      value === null || value === ""
+        ? '<span style="color: var(--text-dimmed);">—</span>'
+        : escapeAttr(value);
+
+    return `<div style="display: flex; flex-direction: column; gap: 16px;">
+      ${this.auditEntries.map((entry) => {
+        const fields = Object.entries(entry.changes || {});
+        const actor = entry.actor ? escapeAttr(entry.actor.username) : t("caseDetail.audit.system");
+
+        return `<div style="padding-bottom: 16px; border-bottom: 1px solid var(--border-default);">
+          <div style="display: flex; align-items: center; gap: 12px; margin-bottom: 8px;">
+            <span class="doc-badge-default" style="font-size: 10px; font-weight: 600; padding: 2px 6px; border-radius: 4px;">v${entry.caseVersion}</span>
+            <span style="font-size: 13px; color: var(--text-primary-alt); font-weight: 500;">${auditLabel("actions", entry.action)}</span>
+            <span style="font-size: 12px; color: var(--text-dimmed);">${actor} · ${formatDate(entry.createdAt)}</span>
+          </div>
+          ${
+            fields.length
+              ? `<table style="width: 100%; font-size: 12px; border-collapse: collapse;">
+            ${fields.map(([field, diff]) => `<tr>
+              <td style="padding: 4px 8px 4px 0; color: var(--text-dimmed); width: 160px; vertical-align: top;">${auditLabel("fields", field)}</td>
+              <td style="padding: 4px 8px; color: var(--text-muted); text-decoration: line-through; vertical-align: top;">${formatValue(diff.before)}</td>
+              <td style="padding: 4px 8px; color: var(--text-secondary); vertical-align: top;">${formatValue(diff.after)}</td>
+            </tr>`).join("")}
+          </table>`
+              : ""
+          }
+        </div>`;
+      }).join("")}
+    </div>`;
+  }
+
+  /**
+   * Load the documents of the case with the current filters
+   */
+  async fetchDocuments() {
+    try {
+      const result = await api.listCaseDocuments(this.caseId, this.documentFilters);
+      this.documents = result.documents;
+      this.documentTags = result.tags;
+    } catch {
+      this.documents = [];
+      this.documentTags = [];
+    }
+  }
+
+  async loadDocuments() {
+    await this.fetchDocuments();
+    const container = this.container.querySelector("#documents-container");
+    if (container) {
+      container.innerHTML = this.renderDocuments();
+      this.bindDocumentEvents();
+    }
+  }
+
+  renderDocumentFilters() {
+    const { category, tag, deleted } = this.documentFilters;
+    const selectStyle = "flex: 1; min-width: 0; font-size: 11px; padding: 4px 6px;";
+
+    return `<div style="display: flex; align-items: center; gap: 6px; margin-bottom: 8px;">
+      <select id="doc-filter-category" class="form-input" style="${selectStyle}">
+        <option value="">${t("caseDetail.allCategories")}</option>
+        ${DOCUMENT_CATEGORIES.map(
+          (value) => `<option value="${value}" ${value === category ? "selected" : ""}>${t(`documents.categories.${value}`)}</option>`
+        ).join("")}
+      </select>
+      ${
+        this.documentTags.length
+          ? `<select id="doc-filter-tag" class="form-input" style="${selectStyle}">
+        <option value="">${t("caseDetail.allTags")}</option>
+        ${this.documentTags.map(
+          (value) => `<option value="${escapeAttr(value)}" ${value === tag ? "selected" : ""}>${escapeAttr(value)}</option>`
+        ).join("")}
+      </select>`
+          : ""
+      }
+      <label style="display: flex; align-items: center; gap: 4px; font-size: 11px; color: var(--text-dimmed); white-space: nowrap; cursor: pointer;">
+        <input type="checkbox" id="doc-filter-deleted" ${deleted ? "checked" : ""}>
+        ${t("caseDetail.showDeleted")}
+      </label>
+    </div>`;
+  }
+
+  /**
+   * Badge for a document whose stored files do not match their hashes
+   * (only after the integrity of the case has been checked)
+   * @param {Object} doc - Document
+   * @returns {string} HTML
+   */
+  renderIntegrityBadge(doc) {
+    const status = this.documentIntegrity?.get(doc.id);
+    if (!status || status === "CORRECTO") return "";
+    return `<span style="font-size: 10px; font-weight: 600; padding: 2px 6px; border-radius: 4px; background: var(--accent-red-bg); color: var(--status-error);" title="${t("caseDetail.integrityProblemHint")}">${t(`caseDetail.integrityStatus.${status}`)}</span>`;
+  }
+
   renderDocuments() {
-    if (!this.documents.length) {
-      return '<p style="font-size: 12px; color: var(--text-dimmed);">No hay documentos generados</p>';
+    const { category, tag, deleted } = this.documentFilters;
+    const filtered = Boolean(category || tag || deleted);
+    if (!this.documents.length && !filtered) {
+      return `${this.renderDocumentFilters()}
+      <p style="font-size: 12px; color: var(--text-dimmed);">${t("caseDetail.noDocuments")}</p>`;
     }
 
-    return `<div style="display: flex; flex-direction: column; gap: 8px;">
+    const editable = this.caseData.state !== "ARCHIVADO";
+    const iconButtonStyle =
+      "background: none; border: none; padding: 2px; color: var(--text-dimmed); cursor: pointer; display: flex;";
+
+    return `${this.renderDocumentFilters()}
+    ${
+      this.documents.length
+        ? ""
+        : `<p style="font-size: 12px; color: var(--text-dimmed);">${t(deleted ? "caseDetail.noDeletedDocuments" : "caseDetail.noDocumentsFiltered")}</p>`
+    }
+    <div style="display: flex; flex-direction: column; gap: 8px;">
       ${this.documents.map((doc) => {
-        const docType = (doc.document_type || "").toUpperCase();
+        const docType = (doc.documentType || "").toUpperCase();
         const isMinuta = docType === "MINUTA";
-        const filename = doc.file_path
-          ? doc.file_path.split("/").pop()
-          : `${docType.toLowerCase()}.pdf`;
+        const badge = doc.uploaded ? t(`documents.categories.${doc.category || "OTRO"}`) : docType;
         const badgeClass = isMinuta ? "doc-badge-minuta" : "doc-badge-default";
 
-        return `<div class="doc-item-clickable" data-doc-id="${doc.id}" style="display: flex; align-items: center; gap: 8px; padding: 8px; border-radius: 8px; cursor: pointer; transition: background 0.15s;">
-          <span class="${badgeClass}" style="font-size: 10px; font-weight: 600; padding: 2px 6px; border-radius: 4px;">${docType}</span>
+        return `<div class="${this.canOpenDocument(doc) ? "doc-item-clickable" : ""}" data-doc-id="${doc.id}" style="display: flex; align-items: center; gap: 8px; padding: 8px; border-radius: 8px; cursor: ${this.canOpenDocument(doc) ? "pointer" : "default"}; transition: background 0.15s;">
+          <span class="${badgeClass}" style="font-size: 10px; font-weight: 600; padding: 2px 6px; border-radius: 4px;">${badge}</span>
           <div style="flex: 1; min-width: 0;">
-            <p style="font-size: 12px; color: var(--text-secondary); white-space: nowrap; overflow: hidden; text-overflow: ellipsis;">${filename}</p>
-            <p style="font-size: 10px; color: var(--text-dimmed); margin-top: 2px;">${formatDate(doc.created_at)}</p>
+            <p style="font-size: 12px; color: var(--text-secondary); white-space: nowrap; overflow: hidden; text-overflow: ellipsis;" title="${escapeAttr(doc.fileName)}">${escapeAttr(doc.fileName)}</p>
+            ${doc.description ? `<p style="font-size: 11px; color: var(--text-dimmed); margin-top: 2px;">${escapeAttr(doc.description)}</p>` : ""}
+            <p style="font-size: 10px; color: var(--text-dimmed); margin-top: 2px;">${
+              doc.deleted ? t("caseDetail.deletedOn", { date: formatDate(doc.deletedAt) }) : formatDate(doc.createdAt)
+            }${doc.tags
+              .map((tag) => ` <span style="padding: 1px 6px; border-radius: 10px; background: var(--bg-input);">${escapeAttr(tag)}</span>`)
+              .join("")}</p>
           </div>
-          ${doc.signed ? '<span class="doc-badge-signed">Firmado</span>' : ""}
+          ${this.renderIntegrityBadge(doc)}
+          ${doc.signed ? `<span class="doc-badge-signed">${t("caseDetail.signed")}</span>` : ""}
+          ${
+            /\.pdf$/i.test(doc.fileName || "")
+              ? `<button type="button" data-action="verify-signature" data-doc-id="${doc.id}" style="${iconButtonStyle}" title="${t("caseDetail.verifySignature")}" aria-label="${t("caseDetail.verifySignature")}">
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/><polyline points="9 12 11 14 15 10"/></svg>
+            </button>`
+              : ""
+          }
+          <button type="button" data-action="doc-versions" data-doc-id="${doc.id}" style="${iconButtonStyle}" title="${t("caseDetail.versionHistory")}" aria-label="${t("caseDetail.versionHistory")}">
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="12" r="10"/><polyline points="12 6 12 12 16 14"/></svg>
+          </button>
+          ${
+            editable && doc.deleted
+              ? `<button type="button" data-action="restore-doc" data-doc-id="${doc.id}" style="${iconButtonStyle}" title="${t("caseDetail.restoreDocument")}" aria-label="${t("caseDetail.restoreDocument")}">
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="1 4 1 10 7 10"/><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/></svg>
+            </button>`
+              : ""
+          }
+          ${
+            editable && !doc.deleted
+              ? `<button type="button" data-action="edit-doc" data-doc-id="${doc.id}" style="${iconButtonStyle}" title="${t("common.edit")}" aria-label="${t("common.edit")}">
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M12 20h9"/><path d="M16.5 3.5a2.121 2.121 0 0 1 3 3L7 19l-4 1 1-4L16.5 3.5z"/></svg>
+            </button>`
+              : ""
+          }
+          ${
+            editable && doc.uploaded && !doc.deleted
+              ? `<button type="button" data-action="delete-doc" data-doc-id="${doc.id}" style="${iconButtonStyle}" title="${t("common.delete")}" aria-label="${t("common.delete")}">
+              <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="3 6 5 6 21 6"/><path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6"/></svg>
+            </button>`
+              : ""
+          }
         </div>`;
       }).join("")}
     </div>`;
   }
 
+  bindDocumentEvents() {
+    const container = this.container.querySelector("#documents-container");
+    if (!container) return;
+
+    // Document download
+    container.querySelectorAll(".doc-item-clickable[data-doc-id]").forEach((el) => {
+      el.addEventListener("click", () => {
+        const doc = this.documents.find((d) => String(d.id) === el.dataset.docId);
+        api.downloadCaseDocument(this.caseId, el.dataset.docId, { deleted: doc?.deleted });
+      });
+    });
+
+    // Filters
+    container.querySelector("#doc-filter-category")?.addEventListener("change", (e) => {
+      this.documentFilters.category = e.target.value;
+      this.loadDocuments();
+    });
+    container.querySelector("#doc-filter-tag")?.addEventListener("change", (e) => {
+      this.documentFilters.tag = e.target.value;
+      this.loadDocuments();
+    });
+    container.querySelector("#doc-filter-deleted")?.addEventListener("change", (e) => {
+      this.documentFilters.deleted = e.target.checked;
+      this.loadDocuments();
+    });
+
+    // Version history
+    container.querySelectorAll("[data-action='doc-versions']").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const doc = this.documents.find((d) => d.id === parseInt(btn.dataset.docId, 10));
+        this.showVersionsModal(doc);
+      });
+    });
+
+    // PAdES signature verification
+    container.querySelectorAll("[data-action='verify-signature']").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const doc = this.documents.find((d) => d.id === parseInt(btn.dataset.docId, 10));
+        this.showSignatureModal(doc, btn);
+      });
+    });
+
+    // Restore documents from the trash
+    container.querySelectorAll("[data-action='restore-doc']").forEach((btn) => {
+      btn.addEventListener("click", async (e) => {
+        e.stopPropagation();
+        try {
+          await api.restoreCaseDocument(this.caseId, parseInt(btn.dataset.docId, 10));
+          showToast(t("caseDetail.documentRestored"), "success");
+          await this.loadDocuments();
+        } catch (error) {
+          showToast(error.message, "error");
+        }
+      });
+    });
+
+    // Category, description and tags
+    container.querySelectorAll("[data-action='edit-doc']").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const doc = this.documents.find((d) => d.id === parseInt(btn.dataset.docId, 10));
+        new DocumentUploadModal(this.caseData, () => this.loadDocuments(), { document: doc }).show();
+      });
+    });
+
+    // Delete uploaded documents
+    container.querySelectorAll("[data-action='delete-doc']").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const doc = this.documents.find((d) => d.id === parseInt(btn.dataset.docId, 10));
+        new ConfirmModal({
+          title: t("caseDetail.deleteDocumentTitle"),
+          message: t("caseDetail.deleteDocumentMessage", { name: escapeAttr(doc.fileName) }),
+          confirmText: t("common.delete"),
+          type: "danger",
+          onConfirm: async () => {
+            try {
+              await api.deleteCaseDocument(this.caseId, doc.id);
+              showToast(t("caseDetail.documentDeleted"), "success");
+              await this.loadDocuments();
+            } catch (error) {
+              showToast(error.message, "error");
+            }
+          },
+        }).show();
+      });
+    });
+  }
+
   renderActionButtons() {
     const c = this.caseData;
     let buttons = "";
@@ -204,30 +958,98 @@ export class CaseDetailView {
     if (c.state !== "ARCHIVADO") {
       // ARAG specific actions
       if (c.type === "ARAG") {
-        buttons += `<a href="#/invoicing/${c.id}" class="btn btn-secondary btn-action-billing">Facturación</a>`;
+        buttons += `<a href="#/invoicing/${c.id}" class="btn btn-secondary btn-action-billing">${t("nav.invoicing")}</a>`;
         if (c.state === "ABIERTO") {
-          buttons += `<button class="btn btn-secondary btn-action-transition" id="btn-judicial">Pasar a Judicial</button>`;
+          buttons += `<button class="btn btn-secondary btn-action-transition" id="btn-judicial">${t("caseDetail.toJudicial")}</button>`;
         }
       }
 
       // PARTICULAR specific actions
       if (c.type === "PARTICULAR") {
-        buttons += `<a href="#/particulares/${c.id}" class="btn btn-secondary btn-action-document">Hoja de Encargo</a>`;
+        buttons += `<a href="#/particulares/${c.id}" class="btn btn-secondary btn-action-document">${t("documents.types.HOJA_ENCARGO")}</a>`;
       }
 
       // TURNO_OFICIO specific actions
       if (c.type === "TURNO_OFICIO") {
-        buttons += `<a href="#/turno/${c.id}" class="btn btn-secondary btn-action-billing">Gestionar Expediente</a>`;
+        buttons += `<a href="#/turno/${c.id}" class="btn btn-secondary btn-action-billing">${t("caseDetail.manage")}</a>`;
       }
 
-      // Archive button for all types
-      buttons += `<button class="btn btn-secondary btn-action-archive" id="btn-archive">Archivar</button>`;
+      // Email composer and archive button for all types
+      buttons += `<button class="btn btn-secondary" id="btn-send-email">${t("caseDetail.sendEmail")}</button>`;
+      buttons += `<button class="btn btn-secondary btn-action-archive" id="btn-archive">${t("caseDetail.archive")}</button>`;
     }
 
     return buttons;
   }
 
   bindEvents() {
+    // Tab switching
+    this.container.querySelectorAll(".admin-tab").forEach((tab) => {
+      tab.addEventListener("click", () => {
+        if (tab.dataset.tab !== this.activeTab) {
+          this.activeTab = tab.dataset.tab;
+          this.renderView();
+        }
+      });
+    });
+
+    // Deadlines: live due date preview and creation
+    const deadlineForm = this.container.querySelector("#deadline-form");
+    if (deadlineForm) {
+      deadlineForm.querySelectorAll("input, select").forEach((input) => {
+        input.addEventListener("change", () => this.updateDeadlinePreview());
+      });
+      this.updateDeadlinePreview();
+
+      deadlineForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        try {
+          await api.createDeadline({ caseId: this.caseId, ...this.readDeadlineForm() });
+          showToast(t("caseDetail.deadlineAdded"), "success");
+          deadlineForm.querySelector("#deadline-title").value = "";
+          this.deadlines = null;
+          await this.loadDeadlines();
+        } catch (error) {
+          showToast(error.message, "error");
+        }
+      });
+    }
+
+    // Hearings: creation and calendar subscription
+    const hearingForm = this.container.querySelector("#hearing-form");
+    if (hearingForm) {
+      hearingForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        try {
+          await api.createHearing({
+            caseId: this.caseId,
+            hearingType: hearingForm.querySelector("#hearing-type").value,
+            startsAt: hearingForm.querySelector("#hearing-starts-at").value,
+            durationMinutes: parseInt(hearingForm.querySelector("#hearing-duration").value, 10),
+            court: hearingForm.querySelector("#hearing-court").value.trim(),
+            judicialDistrict: hearingForm.querySelector("#hearing-district").value,
+            notes: hearingForm.querySelector("#hearing-notes").value.trim(),
+          });
+          showToast(t("caseDetail.hearingAdded"), "success");
+          hearingForm.querySelector("#hearing-starts-at").value = "";
+          hearingForm.querySelector("#hearing-notes").value = "";
+          this.hearings = null;
+          await this.loadHearings();
+        } catch (error) {
+          showToast(error.message, "error");
+        }
+      });
+
+      hearingForm.querySelector("#btn-hearing-calendar-link")?.addEventListener("click", async () => {
+        try {
+          const url = await requestCalendarLink();
+          if (url) prompt(t("caseDetail.calendarLinkPrompt"), url);
+        } catch (error) {
+          showToast(error.message, "error");
+        }
+      });
+    }
+
     // Auto-save observations
     const textarea = this.container.querySelector("#observations");
     let saveTimeout;
@@ -236,22 +1058,27 @@ export class CaseDetailView {
       saveTimeout = setTimeout(async () => {
         try {
           await api.updateCase(this.caseId, { observations: textarea.value });
-          showToast("Observaciones guardadas", "success");
+          this.auditEntries = null;
+          showToast(t("caseDetail.observationsSaved"), "success");
         } catch (error) {
-          showToast("Error al guardar", "error");
+          showToast(t("caseDetail.saveError"), "error");
         }
       }, 1000);
     });
 
-    // Document download
-    this.container.querySelectorAll(".doc-item-clickable[data-doc-id]").forEach((el) => {
-      el.addEventListener("click", () => {
-        const docId = el.dataset.docId;
-        api.downloadDocument(docId);
-      });
+    // Documents: upload, download, filters, edit, delete, restore, versions and integrity
+    this.container.querySelector("#btn-upload-document")?.addEventListener("click", () => {
+      new DocumentUploadModal(this.caseData, () => this.loadDocuments()).show();
     });
+    this.container
+      .querySelector("#btn-verify-documents")
+      ?.addEventListener("click", (e) => this.verifyDocuments(e.currentTarget));
+    this.bindDocumentEvents();
 
     // Action buttons
+    this.container
+      .querySelector("#btn-send-email")
+      ?.addEventListener("click", () => this.showEmailComposer());
     this.container
       .querySelector("#btn-judicial")
       ?.addEventListener("click", () => this.showJudicialModal());
@@ -260,29 +1087,321 @@ export class CaseDetailView {
       ?.addEventListener("click", () => this.showArchiveModal());
   }
 
+  /**
+   * Check the stored files of the case against their hashes and flag the
+   * documents with problems
+   * @param {HTMLButtonElement} button - Verify button (disabled while checking)
+   */
+  async verifyDocuments(button) {
+    button.disabled = true;
+    try {
+      const result = await api.verifyCaseDocuments(this.caseId);
+      this.documentIntegrity = new Map(result.documents.map((doc) => [doc.documentId, doc.status]));
+      const problems = result.documents.filter((doc) => doc.status !== "CORRECTO").length;
+      if (problems === 0) {
+        showToast(t("caseDetail.integrityOk", { count: result.versions }), "success");
+      } else {
+        showToast(t("caseDetail.integrityProblems", { count: problems }), "error");
+      }
+      await this.loadDocuments();
+    } catch (error) {
+      showToast(error.message, "error");
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Whether the file of a document can be opened
+   * Documents in the trash are only served to admins, to preview them before restoring.
+   * @param {Object} doc - Document
+   * @returns {boolean}
+   */
+  canOpenDocument(doc) {
+    return !doc.deleted || window.__recordPlusUser?.role === "admin";
+  }
+
+  /**
+   * Show the stored versions of a document with their hashes
+   * @param {Object} doc - Document
+   */
+  async showVersionsModal(doc) {
+    let versions;
+    try {
+      ({ versions } = await api.getCaseDocumentVersions(this.caseId, doc.id));
+    } catch (error) {
+      showToast(error.message, "error");
+      return;
+    }
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal" style="background: var(--bg-card); border: 1px solid var(--border-light); border-radius: 16px; padding: 24px; max-width: 520px; width: 90%;">
+        <h3 style="font-size: 16px; font-weight: 500; color: var(--text-primary); margin-bottom: 4px;">${t("caseDetail.versionHistory")}</h3>
+        <p style="font-size: 12px; color: var(--text-dimmed); margin-bottom: 16px; overflow: hidden; text-overflow: ellipsis;">${escapeAttr(doc.fileName)}</p>
+        ${
+          versions.length
+            ? `<div style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 24px;">
+          ${versions
+            .slice()
+            .reverse()
+            .map(
+              (version) => `<div style="display: flex; align-items: center; gap: 8px; padding: 8px; border-radius: 8px; background: var(--bg-input);">
+                <span class="doc-badge-default" style="font-size: 10px; font-weight: 600; padding: 2px 6px; border-radius: 4px;">v${version.versionNumber}</span>
+                <div style="flex: 1; min-width: 0;">
+                  <p style="font-size: 12px; color: var(--text-secondary);">${t(`caseDetail.versionReasons.${version.reason}`)} · ${formatDateTime(version.createdAt)}</p>
+                  <p style="font-size: 10px; color: var(--text-dimmed); font-family: var(--font-mono);" title="${version.sha256 || ""}">${
+                    version.sha256 ? `SHA-256 ${version.sha256.slice(0, 16)}…` : t("caseDetail.integrityStatus.SIN_HASH")
+                  }</p>
+                </div>
+                ${
+                  this.canOpenDocument(doc)
+                    ? `<button type="button" class="btn btn-secondary" data-version="${version.versionNumber}" style="font-size: 11px; padding: 4px 10px;">${t("common.download")}</button>`
+                    : ""
+                }
+              </div>`
+            )
+            .join("")}
+        </div>`
+            : `<p style="font-size: 12px; color: var(--text-dimmed); margin-bottom: 24px;">${t("caseDetail.noVersions")}</p>`
+        }
+        <div style="display: flex; justify-content: flex-end;">
+          <button class="btn btn-secondary" id="modal-cancel">${t("common.close")}</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    requestAnimationFrame(() => modal.classList.add("modal-visible"));
+
+    modal.querySelectorAll("[data-version]").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        api.downloadCaseDocumentVersion(this.caseId, doc.id, btn.dataset.version, { deleted: doc.deleted });
+      });
+    });
+    modal
+      .querySelector("#modal-cancel")
+      .addEventListener("click", () => {
+        modal.classList.remove("modal-visible");
+        setTimeout(() => modal.remove(), 200);
+      });
+  }
+
+  /**
+   * Verify the signatures of a PDF document and show the result
+   * @param {Object} doc - Document
+   * @param {HTMLButtonElement} button - Button that triggered the check
+   */
+  async showSignatureModal(doc, button) {
+    let result;
+    button.disabled = true;
+    try {
+      result = await api.verifyDocumentSignature(doc.id);
+    } catch (error) {
+      showToast(error.message, "error");
+      return;
+    } finally {
+      button.disabled = false;
+    }
+
+    const statusColor = (status) =>
+      status === "VALIDA" ? "var(--status-success)" : status === "NO_CONFIABLE" ? "var(--status-amber)" : "var(--status-error)";
+    const row = (label, value) =>
+      value
+        ? `<p style="font-size: 12px; color: var(--text-secondary);"><span style="color: var(--text-dimmed);">${label}:</span> ${escapeAttr(value)}</p>`
+        : "";
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal" style="background: var(--bg-card); border: 1px solid var(--border-light); border-radius: 16px; padding: 24px; max-width: 560px; width: 90%;">
+        <h3 style="font-size: 16px; font-weight: 500; color: var(--text-primary); margin-bottom: 4px;">${t("caseDetail.verifySignature")}</h3>
+        <p style="font-size: 12px; color: var(--text-dimmed); margin-bottom: 16px; overflow: hidden; text-overflow: ellipsis;">${escapeAttr(doc.fileName)}</p>
+        ${
+          result.signed
+            ? `<div style="display: flex; flex-direction: column; gap: 8px; margin-bottom: 16px;">
+          ${result.signatures
+            .map(
+              (signature) => `<div style="display: flex; flex-direction: column; gap: 4px; padding: 12px; border-radius: 8px; background: var(--bg-input);">
+                <p style="font-size: 13px; font-weight: 600; color: ${statusColor(signature.status)};">${t(`signatures.status.${signature.status}`)}</p>
+                ${row(t("signatures.signer"), signature.signer?.commonName || signature.name)}
+                ${row(t("signatures.organization"), signature.signer?.organization)}
+                ${row(t("signatures.issuer"), signature.signer?.issuer)}
+                ${row(t("signatures.signingTime"), signature.signingTime ? formatDateTime(signature.signingTime) : "")}
+                ${row(
+                  t("signatures.timestamp"),
+                  signature.timestamp?.valid
+                    ? [formatDateTime(signature.timestamp.time), signature.timestamp.authority].filter(Boolean).join(" · ")
+                    : ""
+                )}
+                ${row(t("signatures.reason"), signature.reason)}
+                ${row(t("signatures.location"), signature.location)}
+                ${signature.problems
+                  .map((problem) => `<p style="font-size: 11px; color: var(--text-dimmed);">· ${t(`signatures.problems.${problem}`)}</p>`)
+                  .join("")}
+              </div>`
+            )
+            .join("")}
+        </div>
+        ${
+          result.validationData
+            ? `<p style="font-size: 11px; color: var(--text-dimmed); margin-bottom: 8px;">${t("signatures.validationData", result.validationData)}</p>`
+            : ""
+        }
+        ${result.trustedRoots ? "" : `<p style="font-size: 11px; color: var(--text-dimmed); margin-bottom: 16px;">${t("signatures.noTrustedRoots")}</p>`}`
+            : `<p style="font-size: 12px; color: var(--text-dimmed); margin-bottom: 24px;">${t("signatures.notSigned")}</p>`
+        }
+        <div style="display: flex; justify-content: flex-end;">
+          <button class="btn btn-secondary" id="modal-cancel">${t("common.close")}</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    requestAnimationFrame(() => modal.classList.add("modal-visible"));
+
+    modal
+      .querySelector("#modal-cancel")
+      .addEventListener("click", () => {
+        modal.classList.remove("modal-visible");
+        setTimeout(() => modal.remove(), 200);
+      });
+  }
+
+  /**
+   * Write an email to the client or anyone else, with copies and documents of the case
+   * attached. It is queued in the outbox and shows in the Emails tab once sent.
+   */
+  async showEmailComposer() {
+    let draft;
+    try {
+      draft = await api.getCaseEmailDraft(this.caseId);
+    } catch (error) {
+      showToast(error.message, "error");
+      return;
+    }
+    if (!draft.smtpConfigured) {
+      showToast(t("caseDetail.email.smtpMissing"), "error");
+      return;
+    }
+
+    const labelStyle = "font-size: 12px; color: var(--text-dimmed); display: block; margin: 12px 0 4px;";
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <form class="modal" id="email-composer" style="background: var(--bg-card); border: 1px solid var(--border-light); border-radius: 16px; padding: 24px; max-width: 640px; width: 90%; max-height: 90vh; overflow-y: auto;">
+        <h3 style="font-size: 16px; font-weight: 500; color: var(--text-primary); margin-bottom: 4px;">${t("caseDetail.sendEmail")}</h3>
+        <p style="font-size: 11px; color: var(--text-dimmed);">${t("caseDetail.email.addressesHelp")}</p>
+
+        <label style="${labelStyle}" for="email-to">${t("caseDetail.email.to")}</label>
+        <input type="text" id="email-to" name="to" value="${escapeAttr(draft.to)}" style="${EMAIL_INPUT_STYLE}" required>
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 12px;">
+          <div>
+            <label style="${labelStyle}" for="email-cc">${t("caseDetail.email.cc")}</label>
+            <input type="text" id="email-cc" name="cc" value="${escapeAttr(draft.cc)}" style="${EMAIL_INPUT_STYLE}">
+          </div>
+          <div>
+            <label style="${labelStyle}" for="email-bcc">${t("caseDetail.email.bcc")}</label>
+            <input type="text" id="email-bcc" name="bcc" value="${escapeAttr(draft.bcc)}" style="${EMAIL_INPUT_STYLE}">
+          </div>
+        </div>
+
+        <label style="${labelStyle}" for="email-subject">${t("caseDetail.email.subject")}</label>
+        <input type="text" id="email-subject" name="subject" value="${escapeAttr(draft.subject)}" maxlength="255" style="${EMAIL_INPUT_STYLE}" required>
+
+        <label style="${labelStyle}" for="email-text">${t("caseDetail.email.text")}</label>
+        <textarea id="email-text" name="text" rows="10" style="${EMAIL_INPUT_STYLE} resize: vertical;" required>${escapeAttr(draft.text)}</textarea>
+
+        <div style="${labelStyle}">${t("caseDetail.email.attachments")}</div>
+        ${
+          draft.documents.length
+            ? `<div style="display: flex; flex-direction: column; gap: 4px; max-height: 180px; overflow-y: auto;">
+          ${draft.documents
+            .map(
+              (doc) => `<label style="display: flex; align-items: center; gap: 8px; font-size: 12px; color: var(--text-secondary); cursor: pointer;">
+              <input type="checkbox" name="documentIds" value="${doc.id}" data-size="${doc.fileSize || 0}">
+              <span style="flex: 1; min-width: 0; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${escapeAttr(doc.fileName)}">${escapeAttr(doc.fileName)}</span>
+              <span style="color: var(--text-dimmed);">${t("caseDetail.email.size", { size: formatMegabytes(doc.fileSize || 0) })}</span>
+            </label>`
+            )
+            .join("")}
+        </div>
+        <p id="email-attachments-total" style="font-size: 11px; color: var(--text-dimmed); margin-top: 6px;"></p>`
+            : `<p style="font-size: 12px; color: var(--text-dimmed);">${t("caseDetail.email.noDocuments")}</p>`
+        }
+
+        <div style="display: flex; gap: 8px; justify-content: flex-end; margin-top: 24px;">
+          <button type="button" class="btn btn-secondary" id="modal-cancel">${t("common.cancel")}</button>
+          <button type="submit" class="btn btn-primary" id="modal-confirm">${t("caseDetail.email.send")}</button>
+        </div>
+      </form>
+    `;
+    document.body.appendChild(modal);
+    requestAnimationFrame(() => modal.classList.add("modal-visible"));
+
+    const form = modal.querySelector("#email-composer");
+    const close = () => {
+      modal.classList.remove("modal-visible");
+      setTimeout(() => modal.remove(), 200);
+    };
+    const selected = () => [...form.querySelectorAll("input[name='documentIds']:checked")];
+
+    // Total size of the attachments against the limit of the server
+    const totalLabel = modal.querySelector("#email-attachments-total");
+    form.querySelectorAll("input[name='documentIds']").forEach((checkbox) => {
+      checkbox.addEventListener("change", () => {
+        const total = selected().reduce((sum, input) => sum + Number(input.dataset.size), 0);
+        totalLabel.textContent = total
+          ? t("caseDetail.email.total", {
+              size: formatMegabytes(total),
+              max: formatMegabytes(draft.maxAttachmentsSize),
+            })
+          : "";
+        totalLabel.style.color = total > draft.maxAttachmentsSize ? "var(--status-error)" : "var(--text-dimmed)";
+      });
+    });
+
+    modal.querySelector("#modal-cancel").addEventListener("click", close);
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const confirmBtn = modal.querySelector("#modal-confirm");
+      confirmBtn.disabled = true;
+      try {
+        await api.sendCaseEmail(this.caseId, {
+          to: form.elements.to.value,
+          cc: form.elements.cc.value,
+          bcc: form.elements.bcc.value,
+          subject: form.elements.subject.value,
+          text: form.elements.text.value,
+          documentIds: selected().map((input) => parseInt(input.value, 10)),
+        });
+        showToast(t("caseDetail.email.queued"), "success");
+        close();
+        this.emails = null;
+        if (this.activeTab === "emails") this.loadEmails();
+      } catch (error) {
+        showToast(error.message, "error");
+        form.elements[error.field]?.focus?.();
+        confirmBtn.disabled = false;
+      }
+    });
+    form.elements.to.focus();
+  }
+
   showJudicialModal() {
     const today = new Date().toISOString().split("T")[0];
-    const districts = [
-      "Torrox",
-      "Vélez-Málaga",
-      "Torremolinos",
-      "Fuengirola",
-      "Marbella",
-      "Estepona",
-      "Antequera",
-    ];
+    const districts = JUDICIAL_DISTRICTS;
 
     const modal = document.createElement("div");
     modal.className = "modal-overlay";
     modal.innerHTML = `
       <div class="modal" style="background: var(--bg-card); border: 1px solid var(--border-light); border-radius: 16px; padding: 24px; max-width: 400px; width: 90%;">
-        <h3 style="font-size: 16px; font-weight: 500; color: var(--text-primary); margin-bottom: 16px;">Pasar a Judicial</h3>
+        <h3 style="font-size: 16px; font-weight: 500; color: var(--text-primary); margin-bottom: 16px;">${t("caseDetail.toJudicial")}</h3>
         <div style="margin-bottom: 16px;">
-          <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Fecha</label>
+          <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("common.date")}</label>
           <input type="date" id="judicial-date" value="${today}" style="width: 100%; padding: 8px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans);">
         </div>
         <div style="margin-bottom: 24px;">
-          <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Partido Judicial</label>
+          <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("caseDetail.judicialDistrict")}</label>
           <select id="judicial-district" style="width: 100%; padding: 8px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans);">
             ${districts
               .map((d) => `<option value="${d}">${d}</option>`)
@@ -290,8 +1409,8 @@ export class CaseDetailView {
           </select>
         </div>
         <div style="display: flex; gap: 8px; justify-content: flex-end;">
-          <button class="btn btn-secondary" id="modal-cancel">Cancelar</button>
-          <button class="btn btn-primary" id="modal-confirm">Confirmar</button>
+          <button class="btn btn-secondary" id="modal-cancel">${t("common.cancel")}</button>
+          <button class="btn btn-primary" id="modal-confirm">${t("common.confirm")}</button>
         </div>
       </div>
     `;
@@ -311,7 +1430,7 @@ export class CaseDetailView {
         const district = modal.querySelector("#judicial-district").value;
         try {
           await api.transitionToJudicial(this.caseId, date, district);
-          showToast("Expediente pasado a judicial", "success");
+          showToast(t("caseDetail.judicialDone"), "success");
           modal.remove();
           await this.render();
         } catch (error) {
@@ -327,14 +1446,14 @@ export class CaseDetailView {
     modal.className = "modal-overlay";
     modal.innerHTML = `
       <div class="modal" style="background: var(--bg-card); border: 1px solid var(--border-light); border-radius: 16px; padding: 24px; max-width: 400px; width: 90%;">
-        <h3 style="font-size: 16px; font-weight: 500; color: var(--text-primary); margin-bottom: 16px;">Archivar Expediente</h3>
+        <h3 style="font-size: 16px; font-weight: 500; color: var(--text-primary); margin-bottom: 16px;">${t("caseDetail.archiveTitle")}</h3>
         <div style="margin-bottom: 24px;">
-          <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Fecha de Cierre</label>
+          <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("caseDetail.closureDate")}</label>
           <input type="date" id="closure-date" value="${today}" style="width: 100%; padding: 8px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans);">
         </div>
         <div style="display: flex; gap: 8px; justify-content: flex-end;">
-          <button class="btn btn-secondary" id="modal-cancel">Cancelar</button>
-          <button class="btn btn-primary" id="modal-confirm">Archivar</button>
+          <button class="btn btn-secondary" id="modal-cancel">${t("common.cancel")}</button>
+          <button class="btn btn-primary" id="modal-confirm">${t("caseDetail.archive")}</button>
         </div>
       </div>
     `;
@@ -353,7 +1472,7 @@ export class CaseDetailView {
         const date = modal.querySelector("#closure-date").value;
         try {
           await api.archiveCase(this.caseId, date);
-          showToast("Expediente archivado", "success");
+          showToast(t("caseDetail.archived"), "success");
           modal.remove();
           await this.render();
         } catch (error) {
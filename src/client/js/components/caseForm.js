@@ -6,41 +6,48 @@
 import { api } from "../api.js";
 import { router } from "../router.js";
 import { showToast } from "../app.js";
+import { t } from "../i18n.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
 
 export class CaseFormView {
-  constructor(container, caseId = null, defaultType = "ARAG") {
+  constructor(container, caseId = null, defaultType = "ARAG", clientId = null) {
     this.container = container;
     this.caseId = caseId;
     this.caseData = null;
     this.isEdit = !!caseId;
     this.defaultType = defaultType;
+    this.clientId = clientId;
   }
 
   async render() {
     try {
       if (this.isEdit) {
         this.caseData = await api.getCase(this.caseId);
+      } else if (this.clientId) {
+        // New case from a client profile: start linked to that client
+        const client = await api.getClient(this.clientId);
+        this.caseData = { clientId: client.id, clientName: client.name };
       }
       this.container.innerHTML = this.template();
       this.bindEvents();
     } catch (error) {
       console.error("Case form error:", error);
-      showToast("Error al cargar el formulario", "error");
+      showToast(t("cases.form.loadError"), "error");
     }
   }
 
   template() {
     const c = this.caseData || {};
     const today = new Date().toISOString().split("T")[0];
-    const title = this.isEdit ? "Editar Expediente" : "Nuevo Expediente";
+    const title = this.isEdit ? t("cases.form.editTitle") : t("cases.new");
 
     return `
       <div class="header">
         <div class="header-title">
           <nav class="breadcrumb" style="font-size: 12px; color: var(--text-dimmed); margin-bottom: 8px;">
-            <a href="#/" style="color: var(--text-dimmed); text-decoration: none;">Dashboard</a>
+            <a href="#/" style="color: var(--text-dimmed); text-decoration: none;">${t("nav.dashboard")}</a>
             <span style="margin: 0 8px;">›</span>
-            <a href="#/cases" style="color: var(--text-dimmed); text-decoration: none;">Expedientes</a>
+            <a href="#/cases" style="color: var(--text-dimmed); text-decoration: none;">${t("nav.cases")}</a>
             <span style="margin: 0 8px;">›</span>
             <span style="color: var(--text-muted);">${title}</span>
           </nav>
@@ -52,7 +59,7 @@ export class CaseFormView {
         <form id="case-form">
           <!-- Case Type -->
           <div style="margin-bottom: 20px;">
-            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 8px;">Tipo de Expediente *</label>
+            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 8px;">${t("cases.form.type")} *</label>
             <div class="filter-tabs" style="width: fit-content;">
               <button type="button" class="filter-tab type-tab ${
                 (c.type || this.defaultType) === "ARAG" ? "active" : ""
@@ -61,46 +68,53 @@ export class CaseFormView {
                 (c.type || this.defaultType) === "PARTICULAR" ? "active" : ""
               }" data-type="PARTICULAR" ${
       this.isEdit ? "disabled" : ""
-    }>Particular</button>
+    }>${t("cases.types.PARTICULAR")}</button>
               <button type="button" class="filter-tab type-tab ${
                 (c.type || this.defaultType) === "TURNO_OFICIO" ? "active" : ""
               }" data-type="TURNO_OFICIO" ${
       this.isEdit ? "disabled" : ""
-    }>Turno Oficio</button>
+    }>${t("cases.types.TURNO_OFICIO")}</button>
             </div>
             <input type="hidden" name="type" id="case-type" value="${
               c.type || this.defaultType
             }">
           </div>
 
-          <!-- Client Name -->
+          <!-- Client (picker over existing clients, free text allowed) -->
           <div style="margin-bottom: 20px;">
-            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Nombre del Cliente *</label>
-            <input type="text" name="clientName" id="client-name" value="${
-              c.clientName || ""
-            }" required
-              style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;"
-              placeholder="Nombre completo del cliente">
+            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("cases.form.clientName")} *</label>
+            <div class="client-picker">
+              <input type="text" name="clientName" id="client-name" value="${escapeAttr(
+                c.clientName || ""
+              )}" required autocomplete="off"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;"
+                placeholder="${t("cases.form.clientPlaceholder")}">
+              <div class="client-suggestions" id="client-suggestions" style="display: none;"></div>
+            </div>
+            <input type="hidden" name="clientId" id="client-id" value="${c.clientId || ""}">
+            <p id="client-link-hint" style="font-size: 11px; color: var(--text-dimmed); margin-top: 4px;">${this.clientHint(
+              c.clientId
+            )}</p>
           </div>
 
           <!-- ARAG Reference (ARAG only) -->
           <div id="arag-field" style="margin-bottom: 20px; ${
             (c.type || this.defaultType) !== "ARAG" ? "display: none;" : ""
           }">
-            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Referencia ARAG * <span style="font-size: 10px; color: var(--text-placeholder);">(DJ00xxxxxx)</span></label>
+            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("cases.form.aragReference")} * <span style="font-size: 10px; color: var(--text-placeholder);">(DJ00xxxxxx)</span></label>
             <input type="text" name="aragReference" id="arag-reference" value="${
               c.aragReference || ""
             }"
               style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-mono); font-size: 14px;"
               placeholder="DJ00123456" pattern="DJ00[0-9]{6}" maxlength="10">
-            <p id="arag-error" style="font-size: 11px; color: var(--status-error); margin-top: 4px; display: none;">Formato inválido. Debe ser DJ00 seguido de 6 dígitos.</p>
+            <p id="arag-error" style="font-size: 11px; color: var(--status-error); margin-top: 4px; display: none;">${t("cases.form.aragInvalid")}</p>
           </div>
 
           <!-- Designation (Turno only) -->
           <div id="turno-field" style="margin-bottom: 20px; ${
             (c.type || this.defaultType) !== "TURNO_OFICIO" ? "display: none;" : ""
           }">
-            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Número de Designación *</label>
+            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("cases.form.designation")} *</label>
             <input type="text" name="designation" id="designation" value="${
               c.designation || ""
             }"
@@ -110,7 +124,7 @@ export class CaseFormView {
 
           <!-- Entry Date -->
           <div style="margin-bottom: 20px;">
-            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Fecha de Entrada</label>
+            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("cases.form.entryDate")}</label>
             <input type="date" name="entryDate" id="entry-date" value="${
               c.entryDate || today
             }"
@@ -119,7 +133,7 @@ export class CaseFormView {
 
           <!-- Language -->
           <div style="margin-bottom: 24px;">
-            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Idioma del Cliente</label>
+            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("cases.form.language")}</label>
             <select name="language" id="case-language"
               style="width: 200px; padding: 10px 36px 10px 12px; background: var(--bg-input) url('data:image/svg+xml;charset=UTF-8,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2212%22 height=%2212%22 viewBox=%220 0 24 24%22 fill=%22none%22 stroke=%22%2371717a%22 stroke-width=%222%22 stroke-linecap=%22round%22 stroke-linejoin=%22round%22%3E%3Cpath d=%22m6 9 6 6 6-6%22/%3E%3C/svg%3E') no-repeat right 12px center; border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px; cursor: pointer; appearance: none; -webkit-appearance: none;">
               <option value="es" ${(c.language || "es") === "es" ? "selected" : ""}>Espa\u00f1ol</option>
@@ -129,9 +143,9 @@ export class CaseFormView {
 
           <!-- Actions -->
           <div style="display: flex; gap: 12px;">
-            <button type="button" class="btn btn-secondary" id="btn-cancel">Cancelar</button>
+            <button type="button" class="btn btn-secondary" id="btn-cancel">${t("common.cancel")}</button>
             <button type="submit" class="btn btn-primary">${
-              this.isEdit ? "Guardar Cambios" : "Crear Expediente"
+              this.isEdit ? t("common.saveChanges") : t("cases.form.create")
             }</button>
           </div>
         </form>
@@ -139,7 +153,117 @@ export class CaseFormView {
     `;
   }
 
+  clientHint(clientId) {
+    return clientId
+      ? `${t("cases.form.linkedTo")} <a href="#/clients/${clientId}" style="color: var(--text-secondary);">${t("cases.form.clientRecord")}</a> · <a href="#" id="client-unlink" style="color: inherit;">${t("cases.form.unlink")}</a>`
+      : t("cases.form.noClientRecord");
+  }
+
+  /**
+   * Link the form to a client (or unlink with null)
+   * @param {Object|null} client - Selected client
+   */
+  setClient(client) {
+    this.container.querySelector("#client-id").value = client ? client.id : "";
+    if (client) {
+      this.container.querySelector("#client-name").value = client.name;
+    }
+    this.container.querySelector("#client-link-hint").innerHTML = this.clientHint(
+      client?.id
+    );
+    this.container
+      .querySelector("#client-unlink")
+      ?.addEventListener("click", (e) => {
+        e.preventDefault();
+        this.setClient(null);
+      });
+  }
+
+  bindClientPicker() {
+    const input = this.container.querySelector("#client-name");
+    const suggestions = this.container.querySelector("#client-suggestions");
+    let timeout;
+    let results = [];
+
+    const hide = () => {
+      suggestions.style.display = "none";
+    };
+
+    const renderSuggestions = (term) => {
+      suggestions.innerHTML = `
+        ${results
+          .map(
+            (client, index) => `
+          <button type="button" class="client-suggestion" data-index="${index}">
+            <span>${escapeAttr(client.name)}</span>
+            <span class="client-suggestion-meta">${escapeAttr(
+              [client.nif, client.email].filter(Boolean).join(" · ")
+            )}</span>
+          </button>`
+          )
+          .join("")}
+        <button type="button" class="client-suggestion client-suggestion-create" data-create="1">
+          + ${t("cases.form.createClient", { name: escapeAttr(term) })}
+        </button>
+      `;
+      suggestions.style.display = "block";
+
+      suggestions.querySelectorAll(".client-suggestion").forEach((item) => {
+        // mousedown fires before the input's blur hides the list
+        item.addEventListener("mousedown", async (e) => {
+          e.preventDefault();
+          hide();
+          if (item.dataset.create) {
+            try {
+              const client = await api.createClient({ name: term });
+              this.setClient(client);
+              showToast(t("clients.form.created"), "success");
+            } catch (error) {
+              showToast(error.message, "error");
+            }
+          } else {
+            this.setClient(results[parseInt(item.dataset.index, 10)]);
+          }
+        });
+      });
+    };
+
+    input.addEventListener("input", () => {
+      // Editing the name breaks the link to the selected client
+      if (this.container.querySelector("#client-id").value) {
+        this.setClient(null);
+      }
+
+      clearTimeout(timeout);
+      const term = input.value.trim();
+      if (term.length < 2) {
+        hide();
+        return;
+      }
+
+      timeout = setTimeout(async () => {
+        try {
+          const data = await api.listClients(term, 1, 8);
+          results = data.clients || [];
+          renderSuggestions(term);
+        } catch (error) {
+          hide();
+        }
+      }, 300);
+    });
+
+    input.addEventListener("blur", hide);
+  }
+
   bindEvents() {
+    this.bindClientPicker();
+    this.container
+      .querySelector("#client-unlink")
+      ?.addEventListener("click", (e) => {
+        e.preventDefault();
+        this.setClient(null);
+      });
+
     const form = this.container.querySelector("#case-form");
     const typeInput = this.container.querySelector("#case-type");
     const aragField = this.container.querySelector("#arag-field");
@@ -154,7 +278,7 @@ export class CaseFormView {
 
         this.container
           .querySelectorAll(".type-tab")
-          .forEach((t) => t.classList.remove("active"));
+          .forEach((other) => other.classList.remove("active"));
         tab.classList.add("active");
         typeInput.value = tab.dataset.type;
 
@@ -200,19 +324,19 @@ export class CaseFormView {
 
       // Validation
       if (!clientName) {
-        showToast("El nombre del cliente es obligatorio", "error");
+        showToast(t("clients.form.nameRequired"), "error");
         return;
       }
 
-      const data = { type, clientName, entryDate, language };
+      const clientIdValue = this.container.querySelector("#client-id").value;
+      const clientId = clientIdValue ? parseInt(clientIdValue, 10) : null;
+
+      const data = { type, clientName, entryDate, language, clientId };
 
       if (type === "ARAG") {
         const aragReference = aragInput.value.trim();
         if (!aragReference || !/^DJ00\d{6}$/.test(aragReference)) {
-          showToast(
-            "La referencia ARAG es obligatoria y debe tener formato DJ00xxxxxx",
-            "error"
-          );
+          showToast(t("cases.form.aragRequired"), "error");
           return;
         }
         data.aragReference = aragReference;
@@ -223,7 +347,7 @@ export class CaseFormView {
           .querySelector("#designation")
           .value.trim();
         if (!designation) {
-          showToast("El número de designación es obligatorio", "error");
+          showToast(t("cases.form.designationRequired"), "error");
           return;
         }
         data.designation = designation;
@@ -232,11 +356,11 @@ export class CaseFormView {
       try {
         if (this.isEdit) {
           await api.updateCase(this.caseId, data);
-          showToast("Expediente actualizado", "success");
+          showToast(t("cases.form.updated"), "success");
           router.navigate(`/cases/${this.caseId}`);
         } else {
           const newCase = await api.createCase(data);
-          showToast("Expediente creado correctamente", "success");
+          showToast(t("cases.form.created"), "success");
           router.navigate(`/cases/${newCase.id}`);
         }
       } catch (error) {
@@ -5,7 +5,8 @@
 
 import { api } from "../api.js";
 import { router } from "../router.js";
-import { formatDate, showToast } from "../app.js";
+import { showToast } from "../app.js";
+import { t, formatDate } from "../i18n.js";
 
 export class CaseListView {
   constructor(container) {
@@ -31,7 +32,7 @@ export class CaseListView {
       this.bindEvents();
     } catch (error) {
       console.error("Case list error:", error);
-      showToast("Error al cargar expedientes", "error");
+      showToast(t("cases.list.loadError"), "error");
     }
   }
 
@@ -50,15 +51,15 @@ export class CaseListView {
     return `
       <div class="header">
         <div class="header-title">
-          <h1>Expedientes</h1>
-          <p>Gestión de todos los expedientes del despacho.</p>
+          <h1>${t("cases.list.title")}</h1>
+          <p>${t("cases.list.subtitle")}</p>
         </div>
         <div class="header-actions">
           <a href="#/cases/new" class="btn btn-primary">
             <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M7 1v12M1 7h12"/>
             </svg>
-            Nuevo Expediente
+            ${t("cases.new")}
           </a>
         </div>
       </div>
@@ -67,21 +68,21 @@ export class CaseListView {
         <div class="filter-tabs">
           <button class="filter-tab ${
             !this.filters.type ? "active" : ""
-          }" data-filter="">Todos</button>
+          }" data-filter="">${t("cases.list.all")}</button>
           <button class="filter-tab ${
             this.filters.type === "ARAG" ? "active" : ""
           }" data-filter="ARAG">ARAG</button>
           <button class="filter-tab ${
             this.filters.type === "PARTICULAR" ? "active" : ""
-          }" data-filter="PARTICULAR">Particulares</button>
+          }" data-filter="PARTICULAR">${t("nav.particulares")}</button>
           <button class="filter-tab ${
             this.filters.type === "TURNO_OFICIO" ? "active" : ""
-          }" data-filter="TURNO_OFICIO">Turno Oficio</button>
+          }" data-filter="TURNO_OFICIO">${t("cases.types.TURNO_OFICIO")}</button>
         </div>
         <div class="filter-tabs" style="margin-left: 12px;">
           <button class="filter-tab lang-tab ${
             !this.filters.language ? "active" : ""
-          }" data-lang="">Idioma</button>
+          }" data-lang="">${t("cases.list.language")}</button>
           <button class="filter-tab lang-tab ${
             this.filters.language === "es" ? "active" : ""
           }" data-lang="es">ES</button>
@@ -94,7 +95,7 @@ export class CaseListView {
             <circle cx="6" cy="6" r="4.5"/>
             <path d="M9.5 9.5L13 13"/>
           </svg>
-          <input type="text" placeholder="Buscar por referencia o cliente..." id="search-input" value="${
+          <input type="text" placeholder="${t("cases.list.searchPlaceholder")}" id="search-input" value="${
             this.filters.search
           }">
         </div>
@@ -104,12 +105,12 @@ export class CaseListView {
         <table class="data-table">
           <thead>
             <tr>
-              ${this.renderSortableHeader('Ref. Interna', 'internal_reference')}
-              ${this.renderSortableHeader('Cliente / Ref. Ext', 'client_name')}
-              ${this.renderSortableHeader('Tipo', 'type')}
-              ${this.renderSortableHeader('Estado', 'state')}
-              ${this.renderSortableHeader('Entrada', 'entry_date')}
-              <th>Docs</th>
+              ${this.renderSortableHeader(t("cases.list.internalReference"), 'internal_reference')}
+              ${this.renderSortableHeader(t("cases.list.clientExternalReference"), 'client_name')}
+              ${this.renderSortableHeader(t("cases.fields.type"), 'type')}
+              ${this.renderSortableHeader(t("cases.fields.state"), 'state')}
+              ${this.renderSortableHeader(t("cases.list.entry"), 'entry_date')}
+              <th>${t("cases.list.docs")}</th>
             </tr>
           </thead>
           <tbody id="cases-tbody">
@@ -117,20 +118,21 @@ export class CaseListView {
           </tbody>
         </table>
         <div class="table-footer">
-          <span class="table-info">Mostrando ${this.cases.length} de ${
-      this.total
-    } expedientes</span>
+          <span class="table-info">${t("cases.list.showing", {
+            count: this.cases.length,
+            total: this.total,
+          })}</span>
           <div class="pagination">
             <button class="btn btn-secondary ${
               this.page <= 1 ? "disabled" : ""
             }" id="prev-page" ${
       this.page <= 1 ? "disabled" : ""
-    }>Anterior</button>
+    }>${t("common.previous")}</button>
             <button class="btn btn-secondary ${
               this.cases.length < this.pageSize ? "disabled" : ""
             }" id="next-page" ${
       this.cases.length < this.pageSize ? "disabled" : ""
-    }>Siguiente</button>
+    }>${t("common.next")}</button>
           </div>
         </div>
       </div>
@@ -139,31 +141,29 @@ export class CaseListView {
 
   renderRows() {
     if (this.cases.length === 0) {
-      return '<tr><td colspan="6" class="empty-state">No hay expedientes</td></tr>';
+      return `<tr><td colspan="6" class="empty-state">${t("cases.list.empty")}</td></tr>`;
     }
 
     return this.cases
       .map((c) => {
         const typeBadges = {
-          ARAG: { class: "arag", label: "ARAG" },
-          PARTICULAR: { class: "particular", label: "Particular" },
-          TURNO_OFICIO: { class: "turno", label: "Turno Oficio" },
+          ARAG: "arag",
+          PARTICULAR: "particular",
+          TURNO_OFICIO: "turno",
         };
-        const badge = typeBadges[c.type] || { class: "turno", label: c.type };
+        const badgeClass = typeBadges[c.type] || "turno";
 
         let secondaryInfo = "";
         if (c.type === "ARAG" && c.aragReference) {
           secondaryInfo = `<span class="cell-client-ref">${c.aragReference}</span>`;
         } else if (c.type === "TURNO_OFICIO" && c.designation) {
-          secondaryInfo = `<span class="cell-client-desc">Designación: ${c.designation}</span>`;
+          secondaryInfo = `<span class="cell-client-desc">${t("cases.list.designation", { designation: c.designation })}</span>`;
         }
 
         const stateDisplay =
-          c.state === "ABIERTO"
-            ? "Abierto"
-            : c.state === "ARCHIVADO"
-            ? "Archivado"
-            : `Judicial${c.judicialDistrict ? ` (${c.judicialDistrict})` : ""}`;
+          c.state === "JUDICIAL" && c.judicialDistrict
+            ? `${t("cases.states.JUDICIAL")} (${c.judicialDistrict})`
+            : t(`cases.states.${c.state}`);
         const stateClass = c.state === "JUDICIAL" ? "judicial" : "";
 
         return `
@@ -181,9 +181,9 @@ export class CaseListView {
               ${secondaryInfo}
             </div>
           </td>
-          <td><span class="badge ${
-            badge.class
-          }"><span class="badge-dot"></span>${badge.label}</span></td>
+          <td><span class="badge ${badgeClass}"><span class="badge-dot"></span>${t(
+            `cases.types.${c.type}`
+          )}</span></td>
           <td><span class="cell-state ${stateClass}">${stateDisplay}</span></td>
           <td><span class="cell-date">${formatDate(c.entryDate)}</span></td>
           <td>
@@ -202,13 +202,13 @@ export class CaseListView {
       const minutaDone = c.minutaCount > 0;
       const suplidoDone = c.suplidoCount > 0;
       return `
-        <span class="doc-pill ${minutaDone ? "doc-pill-arag" : "doc-pill-pending"}" title="${minutaDone ? "Minuta generada" : "Minuta pendiente"}">Minuta</span>
-        ${suplidoDone ? '<span class="doc-pill doc-pill-arag" title="Suplido generado">Suplido</span>' : ""}
+        <span class="doc-pill ${minutaDone ? "doc-pill-arag" : "doc-pill-pending"}" title="${minutaDone ? t("cases.list.minutaDone") : t("cases.list.minutaPending")}">${t("documents.types.MINUTA")}</span>
+        ${suplidoDone ? `<span class="doc-pill doc-pill-arag" title="${t("cases.list.suplidoDone")}">${t("documents.types.SUPLIDO")}</span>` : ""}
       `;
     }
     if (c.type === "PARTICULAR") {
       const hojaDone = c.hojaCount > 0;
-      return `<span class="doc-pill ${hojaDone ? "doc-pill-particular" : "doc-pill-pending"}" title="${hojaDone ? "Hoja de Encargo generada" : "Hoja de Encargo pendiente"}">HdE</span>`;
+      return `<span class="doc-pill ${hojaDone ? "doc-pill-particular" : "doc-pill-pending"}" title="${hojaDone ? t("cases.list.hojaDone") : t("cases.list.hojaPending")}">${t("cases.list.hojaShort")}</span>`;
     }
     return '<span class="doc-pill-empty">—</span>';
   }
@@ -310,9 +310,10 @@ export class CaseListView {
   async refresh() {
     await this.loadCases();
     this.container.querySelector("#cases-tbody").innerHTML = this.renderRows();
-    this.container.querySelector(
-      ".table-info"
-    ).textContent = `Mostrando ${this.cases.length} de ${this.total} expedientes`;
+    this.container.querySelector(".table-info").textContent = t("cases.list.showing", {
+      count: this.cases.length,
+      total: this.total,
+    });
 
     // Update sort header classes
     this.container.querySelectorAll('th.sortable').forEach((th) => {
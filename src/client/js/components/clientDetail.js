@@ -0,0 +1,183 @@
+/**
+ * Client Detail Component
+ * Client profile with contact details and every linked case
+ */
+
+import { api } from "../api.js";
+import { router } from "../router.js";
+import { showToast } from "../app.js";
+import { t, plural, formatDate } from "../i18n.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+import { ClientFormModal } from "./clientFormModal.js";
+import { ConfirmModal } from "./confirmModal.js";
+
+// Badge classes; labels are cases.types.* and cases.states.*
+const TYPE_BADGES = {
+  ARAG: "arag",
+  PARTICULAR: "particular",
+  TURNO_OFICIO: "turno",
+};
+
+const STATE_CLASSES = {
+  ABIERTO: "status-blue",
+  JUDICIAL: "status-orange",
+  ARCHIVADO: "status-gray",
+};
+
+export class ClientDetailView {
+  constructor(container, clientId) {
+    this.container = container;
+    this.clientId = clientId;
+    this.client = null;
+    this.cases = [];
+  }
+
+  async render() {
+    try {
+      [this.client, this.cases] = await Promise.all([
+        api.getClient(this.clientId),
+        api.getClientCases(this.clientId),
+      ]);
+      this.container.innerHTML = this.template();
+      this.bindEvents();
+    } catch (error) {
+      console.error("Client detail error:", error);
+      if (error.status === 404) {
+        this.container.innerHTML = `
+          <div class="empty-state">
+            <h2>${t("clients.detail.notFound")}</h2>
+            <p>${t("clients.detail.notFoundHint")}</p>
+            <a href="#/clients" class="btn btn-secondary">${t("clients.detail.back")}</a>
+          </div>
+        `;
+      } else {
+        showToast(t("clients.detail.loadError"), "error");
+      }
+    }
+  }
+
+  template() {
+    const c = this.client;
+    const detail = (label, value, mono = false) => `
+      <div>
+        <label style="font-size: 10px; text-transform: uppercase; color: var(--text-dimmed); letter-spacing: 0.5px;">${label}</label>
+        <p style="${mono ? "font-family: var(--font-mono); " : ""}font-size: 14px; color: var(--text-secondary); margin-top: 4px;">${escapeAttr(
+          value || "-"
+        )}</p>
+      </div>
+    `;
+
+    return `
+      <div class="header">
+        <div class="header-title">
+          <nav class="breadcrumb" style="font-size: 12px; color: var(--text-dimmed); margin-bottom: 8px;">
+            <a href="#/" style="color: var(--text-dimmed); text-decoration: none;">${t("nav.dashboard")}</a>
+            <span style="margin: 0 8px;">›</span>
+            <a href="#/clients" style="color: var(--text-dimmed); text-decoration: none;">${t("nav.clients")}</a>
+            <span style="margin: 0 8px;">›</span>
+            <span style="color: var(--text-muted);">${escapeAttr(c.name)}</span>
+          </nav>
+          <h1>${escapeAttr(c.name)}</h1>
+        </div>
+        <div class="header-actions">
+          <a href="#/cases/new?clientId=${c.id}" class="btn btn-secondary">${t("cases.new")}</a>
+          <button class="btn btn-secondary" id="btn-edit-client">${t("common.edit")}</button>
+          ${
+            this.cases.length === 0
+              ? `<button class="btn btn-secondary btn-action-archive" id="btn-delete-client">${t("common.delete")}</button>`
+              : ""
+          }
+        </div>
+      </div>
+
+      <div class="data-table-container" style="padding: 24px; margin-bottom: 24px;">
+        <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 16px;">${t("clients.detail.data")}</h3>
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+          ${detail("NIF / NIE / CIF", c.nif, true)}
+          ${detail(t("clients.fields.email"), c.email)}
+          ${detail(t("clients.fields.phone"), c.phone)}
+          ${detail(t("clients.fields.address"), c.address)}
+        </div>
+        ${
+          c.notes
+            ? `<div style="margin-top: 16px;">${detail(t("clients.fields.notes"), c.notes)}</div>`
+            : ""
+        }
+      </div>
+
+      <div class="data-table-container">
+        ${this.renderCases()}
+      </div>
+    `;
+  }
+
+  renderCases() {
+    if (this.cases.length === 0) {
+      return `<p style="font-size: 12px; color: var(--text-dimmed); padding: 24px;">${t("clients.detail.noCases")}</p>`;
+    }
+
+    return `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>${t("cases.fields.reference")}</th>
+            <th>${t("cases.fields.type")}</th>
+            <th>${t("cases.fields.state")}</th>
+            <th>${t("cases.fields.entryDate")}</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.cases
+            .map((caseItem) => {
+              const badgeClass = TYPE_BADGES[caseItem.type] || "turno";
+              const stateClass = STATE_CLASSES[caseItem.state] || "status-gray";
+              return `
+            <tr data-case-id="${caseItem.id}" style="cursor: pointer;">
+              <td><span class="cell-reference mono">${caseItem.internalReference || "-"}</span></td>
+              <td><span class="badge ${badgeClass}"><span class="badge-dot"></span>${t(`cases.types.${caseItem.type}`)}</span></td>
+              <td><span class="case-status ${stateClass}">${t(`cases.states.${caseItem.state}`)}</span></td>
+              <td><span class="cell-date">${formatDate(caseItem.entryDate)}</span></td>
+            </tr>
+          `;
+            })
+            .join("")}
+        </tbody>
+      </table>
+      <div class="table-footer">
+        <span class="table-info">${plural("cases.count", this.cases.length)}</span>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    this.container.querySelectorAll("tr[data-case-id]").forEach((row) => {
+      row.addEventListener("click", () => {
+        router.navigate(`/cases/${row.dataset.caseId}`);
+      });
+    });
+
+    this.container.querySelector("#btn-edit-client")?.addEventListener("click", () => {
+      new ClientFormModal(this.client, () => this.render()).open();
+    });
+
+    this.container.querySelector("#btn-delete-client")?.addEventListener("click", () => {
+      new ConfirmModal({
+        title: t("clients.detail.deleteTitle"),
+        message: t("clients.detail.deleteMessage", { name: escapeAttr(this.client.name) }),
+        confirmText: t("common.delete"),
+        type: "danger",
+        onConfirm: async () => {
+          try {
+            await api.deleteClient(this.clientId);
+            showToast(t("clients.detail.deleted"), "success");
+            router.navigate("/clients");
+          } catch (error) {
+            showToast(error.message, "error");
+          }
+        },
+      }).show();
+    });
+  }
+}
+
+export default ClientDetailView;
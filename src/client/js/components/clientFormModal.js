@@ -0,0 +1,145 @@
+/**
+ * Client Form Modal
+ * Create or edit a client (name, NIF, contact details, address, notes)
+ */
+
+import { api } from "../api.js";
+import { showToast } from "../app.js";
+import { t } from "../i18n.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+
+export class ClientFormModal {
+  /**
+   * @param {Object|null} client - Client to edit, or null to create
+   * @param {Function} onSaved - Called with the saved client
+   */
+  constructor(client = null, onSaved = null) {
+    this.client = client;
+    this.onSaved = onSaved;
+    this.modal = null;
+  }
+
+  open() {
+    this.modal = document.createElement("div");
+    this.modal.className = "modal-overlay";
+    this.modal.innerHTML = this.template();
+    document.body.appendChild(this.modal);
+
+    requestAnimationFrame(() => {
+      this.modal.classList.add("modal-visible");
+    });
+
+    setTimeout(() => {
+      this.modal.querySelector("#client-form-name")?.focus();
+    }, 100);
+
+    this.bindEvents();
+  }
+
+  close() {
+    this.modal.classList.remove("modal-visible");
+    setTimeout(() => this.modal.remove(), 200);
+  }
+
+  template() {
+    const c = this.client || {};
+    const field = (id, label, value, attrs = "") => `
+      <div class="form-group">
+        <label class="form-label" for="client-form-${id}">${label}</label>
+        <input class="form-input" id="client-form-${id}" value="${escapeAttr(value)}" ${attrs}>
+      </div>
+    `;
+
+    return `
+      <div class="modal" style="max-width: 480px;">
+        <div class="modal-header">
+          <div class="modal-header-content">
+            <div class="icon-box icon-box-indigo">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <circle cx="12" cy="8" r="4"/>
+                <path d="M4 20c0-4 4-6 8-6s8 2 8 6"/>
+              </svg>
+            </div>
+            <div>
+              <h2 class="modal-title">${this.client ? t("clients.form.editTitle") : t("clients.form.newTitle")}</h2>
+              <p class="modal-subtitle">${t("clients.form.subtitle")}</p>
+            </div>
+          </div>
+          <button class="btn-icon modal-close" id="client-form-close">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </div>
+
+        <form id="client-form">
+          <div class="modal-body">
+            ${field("name", `${t("clients.fields.fullName")} *`, c.name, `required placeholder="${t("clients.form.namePlaceholder")}"`)}
+            ${field("nif", "NIF / NIE / CIF", c.nif, 'placeholder="12345678Z" maxlength="12" style="font-family: var(--font-mono);"')}
+            ${field("email", t("clients.fields.email"), c.email, `type="email" placeholder="${t("clients.form.emailPlaceholder")}"`)}
+            ${field("phone", t("clients.fields.phone"), c.phone, 'type="tel" placeholder="600 000 000"')}
+            ${field("address", t("clients.fields.address"), c.address, `placeholder="${t("clients.form.addressPlaceholder")}"`)}
+            <div class="form-group">
+              <label class="form-label" for="client-form-notes">${t("clients.fields.notes")}</label>
+              <textarea class="form-input" id="client-form-notes" rows="3" style="resize: vertical;">${escapeAttr(
+                c.notes || ""
+              )}</textarea>
+            </div>
+          </div>
+
+          <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" id="client-form-cancel">${t("common.cancel")}</button>
+            <button type="submit" class="btn btn-primary" id="client-form-save">${
+              this.client ? t("common.saveChanges") : t("clients.form.create")
+            }</button>
+          </div>
+        </form>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    this.modal.querySelector("#client-form-close").addEventListener("click", () => this.close());
+    this.modal.querySelector("#client-form-cancel").addEventListener("click", () => this.close());
+    this.modal.addEventListener("click", (e) => {
+      if (e.target === this.modal) this.close();
+    });
+
+    this.modal.querySelector("#client-form").addEventListener("submit", async (e) => {
+      e.preventDefault();
+
+      const value = (id) => this.modal.querySelector(`#client-form-${id}`).value.trim();
+      const data = {
+        name: value("name"),
+        nif: value("nif"),
+        email: value("email"),
+        phone: value("phone"),
+        address: value("address"),
+        notes: this.modal.querySelector("#client-form-notes").value,
+      };
+
+      if (!data.name) {
+        showToast(t("clients.form.nameRequired"), "error");
+        return;
+      }
+
+      const saveBtn = this.modal.querySelector("#client-form-save");
+      saveBtn.disabled = true;
+
+      try {
+        const saved = this.client
+          ? await api.updateClient(this.client.id, data)
+          : await api.createClient(data);
+        showToast(this.client ? t("clients.form.updated") : t("clients.form.created"), "success");
+        this.close();
+        if (this.onSaved) this.onSaved(saved);
+      } catch (error) {
+        showToast(error.message, "error");
+        saveBtn.disabled = false;
+      }
+    });
+  }
+}
+
+export default ClientFormModal;
@@ -0,0 +1,193 @@
+/**
+ * Client List View
+ * Clients (personas) shared across cases, with search and pagination
+ */
+
+import { api } from "../api.js";
+import { showToast } from "../app.js";
+import { t } from "../i18n.js";
+import { router } from "../router.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+import { ClientFormModal } from "./clientFormModal.js";
+
+export class ClientListView {
+  constructor(container) {
+    this.container = container;
+    this.clients = [];
+    this.total = 0;
+    this.page = 1;
+    this.pageSize = 20;
+    this.search = "";
+  }
+
+  async render() {
+    try {
+      await this.loadClients();
+      this.container.innerHTML = this.template();
+      this.bindEvents();
+    } catch (error) {
+      console.error("Client list error:", error);
+      showToast(t("clients.list.loadError"), "error");
+      this.container.innerHTML = `
+        <div class="error-state">
+          <p>${t("clients.list.loadError")}: ${error.message}</p>
+        </div>
+      `;
+    }
+  }
+
+  async loadClients() {
+    const data = await api.listClients(this.search, this.page, this.pageSize);
+    this.clients = data.clients || [];
+    this.total = data.total || 0;
+  }
+
+  template() {
+    return `
+      <div class="module-list-view">
+        <div class="header">
+          <div class="header-title">
+            <h1>${t("clients.list.title")}</h1>
+            <p>${t("clients.list.subtitle")}</p>
+          </div>
+          <div class="header-actions">
+            <button class="btn btn-primary" id="btn-new-client">
+              <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M7 1v12M1 7h12"/>
+              </svg>
+              ${t("clients.form.newTitle")}
+            </button>
+          </div>
+        </div>
+
+        <div class="filters-row">
+          <div class="search-input">
+            <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5">
+              <circle cx="6" cy="6" r="4.5"/>
+              <path d="M9.5 9.5L13 13"/>
+            </svg>
+            <input type="text" placeholder="${t("clients.list.searchPlaceholder")}" id="search-input" value="${escapeAttr(this.search)}">
+          </div>
+        </div>
+
+        <div id="client-list-content">
+          ${this.renderContent()}
+        </div>
+      </div>
+    `;
+  }
+
+  renderContent() {
+    if (this.clients.length === 0) {
+      return `
+        <div class="empty-state">
+          <h3>${this.search ? t("clients.list.noResults") : t("clients.list.empty")}</h3>
+          <p>${
+            this.search
+              ? t("common.tryOtherSearch")
+              : t("clients.list.emptyHint")
+          }</p>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="data-table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>${t("clients.list.name")}</th>
+              <th>NIF</th>
+              <th>${t("clients.list.contact")}</th>
+              <th>${t("clients.list.cases")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.clients
+              .map(
+                (c) => `
+              <tr data-client-id="${c.id}" style="cursor: pointer;">
+                <td><span class="cell-client-name">${escapeAttr(c.name)}</span></td>
+                <td><span class="cell-reference mono">${escapeAttr(c.nif || "-")}</span></td>
+                <td>
+                  <div class="cell-client">
+                    <span class="cell-client-name">${escapeAttr(c.email || "-")}</span>
+                    ${c.phone ? `<span class="cell-client-email">${escapeAttr(c.phone)}</span>` : ""}
+                  </div>
+                </td>
+                <td>${c.caseCount}</td>
+              </tr>
+            `
+              )
+              .join("")}
+          </tbody>
+        </table>
+        <div class="table-footer">
+          <span class="table-info">${t("clients.list.showing", { count: this.clients.length, total: this.total })}</span>
+          <div class="pagination">
+            <button class="btn btn-secondary" id="prev-page" ${this.page <= 1 ? "disabled" : ""}>${t("common.previous")}</button>
+            <button class="btn btn-secondary" id="next-page" ${
+              this.page * this.pageSize >= this.total ? "disabled" : ""
+            }>${t("common.next")}</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    this.container.querySelector("#btn-new-client")?.addEventListener("click", () => {
+      new ClientFormModal(null, (client) => router.navigate(`/clients/${client.id}`)).open();
+    });
+
+    const searchInput = this.container.querySelector("#search-input");
+    let timeout;
+    searchInput?.addEventListener("input", (e) => {
+      clearTimeout(timeout);
+      timeout = setTimeout(async () => {
+        this.search = e.target.value.trim();
+        this.page = 1;
+        await this.refresh();
+      }, 300);
+    });
+
+    this.bindContentEvents();
+  }
+
+  bindContentEvents() {
+    this.container.querySelectorAll("tr[data-client-id]").forEach((row) => {
+      row.addEventListener("click", () => {
+        router.navigate(`/clients/${row.dataset.clientId}`);
+      });
+    });
+
+    this.container.querySelector("#prev-page")?.addEventListener("click", async () => {
+      if (this.page > 1) {
+        this.page--;
+        await this.refresh();
+      }
+    });
+
+    this.container.querySelector("#next-page")?.addEventListener("click", async () => {
+      if (this.page * this.pageSize < this.total) {
+        this.page++;
+        await this.refresh();
+      }
+    });
+  }
+
+  async refresh() {
+    try {
+      await this.loadClients();
+      const content = this.container.querySelector("#client-list-content");
+      if (content) {
+        content.innerHTML = this.renderContent();
+        this.bindContentEvents();
+      }
+    } catch (error) {
+      showToast(t("clients.list.loadError"), "error");
+    }
+  }
+}
+
+export default ClientListView;
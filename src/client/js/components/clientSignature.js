@@ -0,0 +1,247 @@
+/**
+ * Client Signature Component
+ * Public page where the client reviews and signs the hoja de encargo
+ * (reached from the one-time link, without an account)
+ */
+
+import { api } from "../api.js";
+import { t, formatDateTime, getCatalogue, getLocale, LOCALES } from "../i18n.js";
+import { localeManager } from "../themeManager.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+
+// Signature methods (server values)
+const METHODS = { DRAWN: "DIBUJADA", TYPED: "ESCRITA" };
+
+const TYPED_NAME_MAX_LENGTH = 100;
+
+export class ClientSignatureView {
+  constructor(container, token) {
+    this.container = container;
+    this.token = token;
+    this.summary = null;
+    this.method = METHODS.DRAWN;
+    this.hasDrawing = false;
+  }
+
+  async render() {
+    document.body.classList.add("login-mode");
+
+    try {
+      const result = await api.getPublicSignature(this.token);
+      this.summary = result.data;
+    } catch (error) {
+      this.renderMessage(t("clientSignature.unavailable"), error.message, "error");
+      return;
+    }
+
+    this.container.innerHTML = this.template();
+    this.bindEvents();
+  }
+
+  /**
+   * Card with the office header (shared by every state of the page)
+   * @param {string} body - Card content
+   */
+  card(body) {
+    const nextLocale = LOCALES[(LOCALES.indexOf(getLocale()) + 1) % LOCALES.length];
+    return `
+      <div class="login-wrapper">
+        <div class="data-table-container client-signature-card">
+          <div class="client-signature-header">
+            <div class="sidebar-header" style="padding: 0;">
+              <div class="sidebar-logo">IY</div>
+              <span class="sidebar-title">${t("app.title")}</span>
+            </div>
+            <button type="button" class="btn btn-secondary btn-sm" id="client-signature-locale">${getCatalogue(nextLocale).localeName}</button>
+          </div>
+          ${body}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Final or error state
+   * @param {string} title - Heading
+   * @param {string} text - Explanation
+   * @param {string} type - "success" or "error"
+   */
+  renderMessage(title, text, type) {
+    const color = type === "success" ? "var(--status-success)" : "var(--status-error)";
+    this.container.innerHTML = this.card(`
+      <h1 class="client-signature-title" style="color: ${color};">${title}</h1>
+      <p class="client-signature-intro">${text}</p>
+    `);
+    this.bindLocaleToggle();
+  }
+
+  template() {
+    const s = this.summary;
+    return this.card(`
+      <h1 class="client-signature-title">${t("clientSignature.title")}</h1>
+      <p class="client-signature-intro">${t("clientSignature.intro", {
+        name: escapeAttr(s.signerName),
+        reference: escapeAttr(s.reference),
+      })}</p>
+
+      <iframe class="client-signature-document" src="${api.getPublicSignatureDocumentUrl(this.token)}" title="${escapeAttr(s.fileName)}"></iframe>
+      <p class="client-signature-hint">
+        <a href="${api.getPublicSignatureDocumentUrl(this.token)}" target="_blank" rel="noopener">${t("clientSignature.openDocument")}</a>
+        · ${t("clientSignature.expires", { date: formatDateTime(`${s.expiresAt.replace(" ", "T")}Z`) })}
+      </p>
+
+      <form id="client-signature-form">
+        <div class="filter-tabs" style="width: fit-content; margin-bottom: 12px;">
+          <button type="button" class="filter-tab signature-method-tab active" data-method="${METHODS.DRAWN}">${t("clientSignature.draw")}</button>
+          <button type="button" class="filter-tab signature-method-tab" data-method="${METHODS.TYPED}">${t("clientSignature.type")}</button>
+        </div>
+
+        <div id="signature-drawn">
+          <canvas class="signature-pad" id="signature-pad" aria-label="${t("clientSignature.drawHint")}"></canvas>
+          <div class="client-signature-hint" style="display: flex; justify-content: space-between;">
+            <span>${t("clientSignature.drawHint")}</span>
+            <button type="button" class="btn btn-secondary btn-sm" id="signature-clear">${t("clientSignature.clear")}</button>
+          </div>
+        </div>
+
+        <div id="signature-typed" style="display: none;">
+          <input type="text" class="form-input" id="signature-typed-name" maxlength="${TYPED_NAME_MAX_LENGTH}"
+            value="${escapeAttr(s.signerName)}" placeholder="${t("clientSignature.typedPlaceholder")}">
+          <div class="signature-typed-preview" id="signature-typed-preview">${escapeAttr(s.signerName)}</div>
+        </div>
+
+        <label class="checkbox-label" style="margin: 16px 0;">
+          <input type="checkbox" id="signature-accepted">
+          <span class="checkbox-custom"></span>
+          <span>${t("clientSignature.accept")}</span>
+        </label>
+
+        <p class="client-signature-hint">${t("clientSignature.evidenceNotice")}</p>
+        <p id="signature-error" style="font-size: 12px; color: var(--status-error); margin: 12px 0; display: none;"></p>
+        <button type="submit" class="btn btn-primary" id="signature-submit" style="width: 100%;">${t("clientSignature.submit")}</button>
+      </form>
+    `);
+  }
+
+  bindLocaleToggle() {
+    this.container.querySelector("#client-signature-locale")?.addEventListener("click", () => localeManager.toggle());
+  }
+
+  bindEvents() {
+    this.bindLocaleToggle();
+
+    this.container.querySelectorAll(".signature-method-tab").forEach((tab) => {
+      tab.addEventListener("click", () => {
+        this.method = tab.dataset.method;
+        this.container.querySelectorAll(".signature-method-tab").forEach((other) => {
+          other.classList.toggle("active", other === tab);
+        });
+        this.container.querySelector("#signature-drawn").style.display = this.method === METHODS.DRAWN ? "" : "none";
+        this.container.querySelector("#signature-typed").style.display = this.method === METHODS.TYPED ? "" : "none";
+      });
+    });
+
+    const typedInput = this.container.querySelector("#signature-typed-name");
+    typedInput.addEventListener("input", () => {
+      this.container.querySelector("#signature-typed-preview").textContent = typedInput.value;
+    });
+
+    this.setupSignaturePad(this.container.querySelector("#signature-pad"));
+
+    this.container.querySelector("#client-signature-form").addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.submit();
+    });
+  }
+
+  /**
+   * Draw with the mouse, a finger or a stylus
+   * The ink is dark on a transparent background so it prints on the PDF page.
+   * @param {HTMLCanvasElement} canvas - Signature pad
+   */
+  setupSignaturePad(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const { width, height } = canvas.getBoundingClientRect();
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const ctx = canvas.getContext("2d");
+    ctx.scale(ratio, ratio);
+    ctx.lineWidth = 2;
+    ctx.lineCap = "round";
+    ctx.lineJoin = "round";
+    ctx.strokeStyle = "#1a1a2e";
+
+    let drawing = false;
+    const point = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    };
+
+    canvas.addEventListener("pointerdown", (e) => {
+      drawing = true;
+      canvas.setPointerCapture(e.pointerId);
+      const { x, y } = point(e);
+      ctx.beginPath();
+      ctx.moveTo(x, y);
+    });
+    canvas.addEventListener("pointermove", (e) => {
+      if (!drawing) return;
+      const { x, y } = point(e);
+      ctx.lineTo(x, y);
+      ctx.stroke();
+      this.hasDrawing = true;
+    });
+    const stop = () => {
+      drawing = false;
+    };
+    canvas.addEventListener("pointerup", stop);
+    canvas.addEventListener("pointercancel", stop);
+
+    this.container.querySelector("#signature-clear").addEventListener("click", () => {
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      this.hasDrawing = false;
+    });
+  }
+
+  async submit() {
+    const errorEl = this.container.querySelector("#signature-error");
+    const submitBtn = this.container.querySelector("#signature-submit");
+    const showError = (message) => {
+      errorEl.textContent = message;
+      errorEl.style.display = "block";
+    };
+
+    const data = {
+      accepted: this.container.querySelector("#signature-accepted").checked,
+      method: this.method,
+    };
+    if (this.method === METHODS.DRAWN) {
+      if (!this.hasDrawing) return showError(t("clientSignature.drawRequired"));
+      data.image = this.container.querySelector("#signature-pad").toDataURL("image/png");
+    } else {
+      data.typedName = this.container.querySelector("#signature-typed-name").value.trim();
+      if (!data.typedName) return showError(t("clientSignature.typedRequired"));
+    }
+    if (!data.accepted) return showError(t("clientSignature.acceptRequired"));
+
+    errorEl.style.display = "none";
+    submitBtn.disabled = true;
+    submitBtn.textContent = t("clientSignature.signing");
+
+    try {
+      const result = await api.submitClientSignature(this.token, data);
+      this.renderMessage(
+        t("clientSignature.signedTitle"),
+        t("clientSignature.signedText", { date: formatDateTime(result.data.signedAt) }),
+        "success"
+      );
+    } catch (error) {
+      showError(error.message);
+      submitBtn.disabled = false;
+      submitBtn.textContent = t("clientSignature.submit");
+    }
+  }
+}
+
+export default ClientSignatureView;
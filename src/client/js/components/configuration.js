@@ -5,24 +5,61 @@
 
 import { api } from "../api.js";
 import { showToast } from "../app.js";
+import { t, formatDate } from "../i18n.js";
 import { escapeAttr } from "../utils/escapeHtml.js";
+import { EmailOutboxPanelView } from "./emailOutboxPanel.js";
+import { EmailTemplatesPanelView } from "./emailTemplatesPanel.js";
 
 const PASSWORD_PLACEHOLDER = "\u2022\u2022\u2022\u2022\u2022\u2022\u2022\u2022";
 
+// Delay before the template preview refreshes while typing
+const PREVIEW_DELAY_MS = 800;
+
+// Languages of the document templates (case language)
+const TEMPLATE_LANGUAGES = [
+  ["es", "Español"],
+  ["en", "English"],
+];
+
+// Directive syntax and its help text key (config.templates.directives.*)
+const TEMPLATE_DIRECTIVES_HELP = [
+  ["@titulo Texto", "titulo"],
+  ["@encabezado Texto", "encabezado"],
+  ["@seccion Texto", "seccion"],
+  ["@campos / @campos 1", "campos"],
+  ["@tabla A | B", "tabla"],
+  ["@total A | B", "total"],
+  ["@destacado Texto", "destacado"],
+  ["@importe Texto", "importe"],
+  ["@clausula Texto", "clausula"],
+  ["@nota Texto", "nota"],
+  ["@firmas A | B", "firmas"],
+  ["@pie Texto", "pie"],
+  ["@espacio / @salto-pagina", "espacio"],
+  ["@color #RRGGBB", "color"],
+];
+
 export class ConfigurationView {
   constructor(container) {
     this.container = container;
     this.config = null;
+    this.templates = [];
+    this.previewUrl = null;
+    this.previewTimer = null;
   }
 
   async render() {
     try {
-      this.config = await api.getConfig();
+      [this.config, this.templates] = await Promise.all([api.getConfig(), api.getTemplates()]);
       this.container.innerHTML = this.template();
       this.bindEvents();
+      await Promise.all([
+        new EmailTemplatesPanelView(this.container.querySelector("#email-templates-container")).render(),
+        new EmailOutboxPanelView(this.container.querySelector("#email-outbox-container")).render(),
+      ]);
     } catch (error) {
       console.error("Configuration error:", error);
-      showToast("Error al cargar la configuración", "error");
+      showToast(t("config.loadError"), "error");
     }
   }
 
@@ -41,38 +78,84 @@ export class ConfigurationView {
     return `
       <div class="header">
         <div class="header-title">
-          <h1>Configuración</h1>
-          <p>Parámetros del sistema y tarifas.</p>
+          <h1>${t("nav.config")}</h1>
+          <p>${t("config.subtitle")}</p>
         </div>
       </div>
 
       <form id="config-form" style="max-width: 800px;">
         <!-- ARAG Settings -->
         <div class="data-table-container" style="padding: 24px; margin-bottom: 24px;">
-          <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 16px;">Configuración ARAG</h3>
+          <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 16px;">${t("config.arag")}</h3>
           
           <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 16px;">
             <div>
-              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Tarifa Base (€)</label>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.baseFee")}</label>
               <input type="number" name="arag_base_fee" id="arag-fee" value="${escapeAttr(c.arag_base_fee ?? 203)}" step="0.01" min="0"
                 style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
             </div>
             <div>
-              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">IVA (%)</label>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.vat")}</label>
               <input type="number" name="vat_rate" id="vat-rate" value="${escapeAttr(c.vat_rate ?? 21)}" step="0.1" min="0" max="100"
                 style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
             </div>
             <div>
-              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Email Facturación</label>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.billingEmail")}</label>
               <input type="email" name="arag_email" id="arag-email" value="${escapeAttr(c.arag_email ?? "facturacionsiniestros@arag.es")}"
                 style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
             </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.invoiceSeries")}</label>
+              <input type="text" name="invoice_series" id="invoice-series" value="${escapeAttr(c.invoice_series ?? "M")}" maxlength="10"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-mono); font-size: 14px; text-transform: uppercase;">
+            </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.overdueDays")}</label>
+              <input type="number" name="payment_overdue_days" id="payment-overdue-days" value="${escapeAttr(c.payment_overdue_days ?? 60)}" step="1" min="1" max="365"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.hourlyRate")}</label>
+              <input type="number" name="default_hourly_rate" id="default-hourly-rate" value="${escapeAttr(c.default_hourly_rate ?? 150)}" step="0.01" min="0"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+          </div>
+        </div>
+
+        <!-- Court Calendar -->
+        <div class="data-table-container" style="padding: 24px; margin-bottom: 24px;">
+          <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 4px;">${t("config.courtCalendar")}</h3>
+          <p style="font-size: 12px; color: var(--text-dimmed); margin-bottom: 16px;">
+            ${t("config.holidaysHelp")}
+          </p>
+
+          <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px;">
+            ${[
+              ["holidays_national", "holidaysNational"],
+              ["holidays_regional", "holidaysRegional"],
+              ["holidays_local", "holidaysLocal"],
+            ]
+              .map(
+                ([key, label]) => `
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t(`config.fields.${label}`)}</label>
+              <input type="text" name="${key}" value="${escapeAttr(c[key] ?? "")}"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-mono); font-size: 13px;">
+            </div>
+            `
+              )
+              .join("")}
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.deadlineAlertDays")}</label>
+              <input type="number" name="deadline_alert_days" id="deadline-alert-days" value="${escapeAttr(c.deadline_alert_days ?? 5)}" step="1" min="1" max="60"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
           </div>
         </div>
 
         <!-- Mileage Table -->
         <div class="data-table-container" style="padding: 24px; margin-bottom: 24px;">
-          <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 16px;">Tabla de Kilometraje por Partido Judicial</h3>
+          <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 16px;">${t("config.mileage")}</h3>
           
           <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 16px;">
             ${districts
@@ -92,29 +175,29 @@ export class ConfigurationView {
         <!-- SMTP Configuration -->
         <div class="data-table-container" style="padding: 24px; margin-bottom: 24px;">
           <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
-            <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin: 0;">Configuración SMTP</h3>
+            <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin: 0;">${t("config.smtp")}</h3>
             <button type="button" id="btn-test-smtp" class="btn btn-outline" style="padding: 6px 12px; font-size: 12px;">
               <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="margin-right: 4px;">
                 <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/>
                 <polyline points="22,6 12,13 2,6"/>
               </svg>
-              Probar Conexión
+              ${t("config.testConnection")}
             </button>
           </div>
           
           <div style="display: grid; grid-template-columns: 2fr 1fr 1fr; gap: 16px; margin-bottom: 16px;">
             <div>
-              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Servidor SMTP</label>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.smtpHost")}</label>
               <input type="text" name="smtp_host" id="smtp-host" value="${escapeAttr(c.smtp_host ?? "")}" placeholder="smtp.example.com"
                 style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
             </div>
             <div>
-              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Puerto</label>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.smtpPort")}</label>
               <input type="number" name="smtp_port" id="smtp-port" value="${escapeAttr(c.smtp_port ?? 587)}" min="1" max="65535"
                 style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
             </div>
             <div>
-              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Seguridad</label>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.smtpSecurity")}</label>
               <select name="smtp_secure" id="smtp-secure"
                 style="width: 100%; padding: 10px 36px 10px 12px; background: var(--bg-input) url('data:image/svg+xml;charset=UTF-8,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2212%22 height=%2212%22 viewBox=%220 0 24 24%22 fill=%22none%22 stroke=%22%2371717a%22 stroke-width=%222%22 stroke-linecap=%22round%22 stroke-linejoin=%22round%22%3E%3Cpath d=%22m6 9 6 6 6-6%22/%3E%3C/svg%3E') no-repeat right 12px center; border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px; appearance: none; -webkit-appearance: none;">
                 <option value="false" ${c.smtp_secure !== "true" ? "selected" : ""}>STARTTLS (587)</option>
@@ -125,12 +208,12 @@ export class ConfigurationView {
           
           <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 16px; margin-bottom: 16px;">
             <div>
-              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Usuario SMTP</label>
-              <input type="text" name="smtp_user" id="smtp-user" value="${escapeAttr(c.smtp_user ?? "")}" placeholder="usuario@example.com"
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.smtpUser")}</label>
+              <input type="text" name="smtp_user" id="smtp-user" value="${escapeAttr(c.smtp_user ?? "")}" placeholder="${t("config.smtpUserPlaceholder")}"
                 style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
             </div>
             <div>
-              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Contraseña SMTP</label>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.smtpPassword")}</label>
               <div style="position: relative;">
                 <input type="password" name="smtp_password" id="smtp-password" value="${escapeAttr(c.smtp_password ?? "")}" placeholder="••••••••"
                   style="width: 100%; padding: 10px 12px; padding-right: 40px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
@@ -149,10 +232,25 @@ export class ConfigurationView {
             </div>
           </div>
           
-          <div>
-            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Dirección de Envío (From)</label>
-            <input type="email" name="smtp_from" id="smtp-from" value="${escapeAttr(c.smtp_from ?? "")}" placeholder="despacho@example.com"
-              style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+          <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 16px;">
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.smtpFrom")}</label>
+              <input type="email" name="smtp_from" id="smtp-from" value="${escapeAttr(c.smtp_from ?? "")}" placeholder="${t("config.smtpFromPlaceholder")}"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.emailMaxAttempts")}</label>
+              <input type="number" name="email_max_attempts" value="${escapeAttr(c.email_max_attempts ?? 6)}" min="1" max="20" step="1"
+                title="${t("config.emailMaxAttemptsHelp")}"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+          </div>
+
+          <div style="margin-top: 16px;">
+            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.emailSignature")}</label>
+            <textarea name="email_signature" rows="3" placeholder="${t("config.emailSignaturePlaceholder")}"
+              style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px; resize: vertical;">${escapeAttr(c.email_signature ?? "")}</textarea>
+            <p style="font-size: 11px; color: var(--text-dimmed); margin-top: 4px;">${t("config.emailSignatureHelp")}</p>
           </div>
           
           <div id="smtp-status" style="margin-top: 12px; display: none;">
@@ -163,26 +261,137 @@ export class ConfigurationView {
           </div>
         </div>
 
+        <!-- Inbound Email Configuration -->
+        <div class="data-table-container" style="padding: 24px; margin-bottom: 24px;">
+          <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin: 0 0 8px;">${t("config.inboundEmail")}</h3>
+          <p style="font-size: 12px; color: var(--text-dimmed); margin: 0 0 16px;">${t("config.inboundEmailHelp")}</p>
+
+          <div style="display: grid; grid-template-columns: 1fr 2fr 1fr; gap: 16px; margin-bottom: 16px;">
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.inboundEmailSource")}</label>
+              <select name="inbound_email_source"
+                style="width: 100%; padding: 10px 36px 10px 12px; background: var(--bg-input) url('data:image/svg+xml;charset=UTF-8,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2212%22 height=%2212%22 viewBox=%220 0 24 24%22 fill=%22none%22 stroke=%22%2371717a%22 stroke-width=%222%22 stroke-linecap=%22round%22 stroke-linejoin=%22round%22%3E%3Cpath d=%22m6 9 6 6 6-6%22/%3E%3C/svg%3E') no-repeat right 12px center; border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px; appearance: none; -webkit-appearance: none;">
+                ${["", "imap", "maildir", "mbox"]
+                  .map(
+                    (source) =>
+                      `<option value="${source}" ${(c.inbound_email_source ?? "") === source ? "selected" : ""}>${t(`config.inboundSources.${source || "off"}`)}</option>`
+                  )
+                  .join("")}
+              </select>
+            </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.imapHost")}</label>
+              <input type="text" name="imap_host" value="${escapeAttr(c.imap_host ?? "")}" placeholder="imap.example.com"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.inboundEmailInterval")}</label>
+              <input type="number" name="inbound_email_interval_minutes" value="${escapeAttr(c.inbound_email_interval_minutes ?? 5)}" min="1" max="1440" step="1"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+          </div>
+
+          <div style="display: grid; grid-template-columns: 1fr 1fr 1fr 1fr; gap: 16px; margin-bottom: 16px;">
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.imapUser")}</label>
+              <input type="text" name="imap_user" value="${escapeAttr(c.imap_user ?? "")}" placeholder="${t("config.smtpUserPlaceholder")}"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.imapPassword")}</label>
+              <div style="position: relative;">
+                <input type="password" name="imap_password" id="imap-password" value="${escapeAttr(c.imap_password ?? "")}" placeholder="••••••••"
+                  style="width: 100%; padding: 10px 12px; padding-right: 40px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+                <button type="button" class="toggle-password" data-target="imap-password" 
+                  style="position: absolute; right: 8px; top: 50%; transform: translateY(-50%); background: none; border: none; cursor: pointer; padding: 4px; color: var(--text-dimmed);">
+                  <svg class="eye-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M1 12s4-8 11-8 11 8 11 8-4 8-11 8-11-8-11-8z"/>
+                    <circle cx="12" cy="12" r="3"/>
+                  </svg>
+                  <svg class="eye-off-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="display: none;">
+                    <path d="M17.94 17.94A10.07 10.07 0 0 1 12 20c-7 0-11-8-11-8a18.45 18.45 0 0 1 5.06-5.94M9.9 4.24A9.12 9.12 0 0 1 12 4c7 0 11 8 11 8a18.5 18.5 0 0 1-2.16 3.19m-6.72-1.07a3 3 0 1 1-4.24-4.24"/>
+                    <line x1="1" y1="1" x2="23" y2="23"/>
+                  </svg>
+                </button>
+              </div>
+            </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.imapPort")}</label>
+              <input type="number" name="imap_port" value="${escapeAttr(c.imap_port ?? 993)}" min="1" max="65535"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.smtpSecurity")}</label>
+              <select name="imap_secure"
+                style="width: 100%; padding: 10px 36px 10px 12px; background: var(--bg-input) url('data:image/svg+xml;charset=UTF-8,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2212%22 height=%2212%22 viewBox=%220 0 24 24%22 fill=%22none%22 stroke=%22%2371717a%22 stroke-width=%222%22 stroke-linecap=%22round%22 stroke-linejoin=%22round%22%3E%3Cpath d=%22m6 9 6 6 6-6%22/%3E%3C/svg%3E') no-repeat right 12px center; border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px; appearance: none; -webkit-appearance: none;">
+                <option value="true" ${c.imap_secure !== "false" ? "selected" : ""}>SSL/TLS (993)</option>
+                <option value="false" ${c.imap_secure === "false" ? "selected" : ""}>STARTTLS (143)</option>
+              </select>
+            </div>
+          </div>
+
+          <div style="display: grid; grid-template-columns: 1fr 2fr; gap: 16px; margin-bottom: 16px;">
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.imapMailbox")}</label>
+              <input type="text" name="imap_mailbox" value="${escapeAttr(c.imap_mailbox ?? "INBOX")}" placeholder="INBOX"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.inboundEmailPath")}</label>
+              <input type="text" name="inbound_email_path" value="${escapeAttr(c.inbound_email_path ?? "")}" placeholder="/home/appuser/Maildir"
+                title="${t("config.inboundEmailPathHelp")}"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+          </div>
+
+          <p style="font-size: 12px; color: var(--text-dimmed); margin: 0 0 16px;">${t("config.bounceEmailHelp")}</p>
+          <div style="display: grid; grid-template-columns: 1fr 1fr 2fr; gap: 16px;">
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.bounceEmailSource")}</label>
+              <select name="bounce_email_source"
+                style="width: 100%; padding: 10px 36px 10px 12px; background: var(--bg-input) url('data:image/svg+xml;charset=UTF-8,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2212%22 height=%2212%22 viewBox=%220 0 24 24%22 fill=%22none%22 stroke=%22%2371717a%22 stroke-width=%222%22 stroke-linecap=%22round%22 stroke-linejoin=%22round%22%3E%3Cpath d=%22m6 9 6 6 6-6%22/%3E%3C/svg%3E') no-repeat right 12px center; border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px; appearance: none; -webkit-appearance: none;">
+                ${["", "imap", "maildir", "mbox"]
+                  .map(
+                    (source) =>
+                      `<option value="${source}" ${(c.bounce_email_source ?? "") === source ? "selected" : ""}>${t(`config.bounceSources.${source || "off"}`)}</option>`
+                  )
+                  .join("")}
+              </select>
+            </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.bounceImapMailbox")}</label>
+              <input type="text" name="bounce_imap_mailbox" value="${escapeAttr(c.bounce_imap_mailbox ?? "INBOX")}" placeholder="INBOX"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.bounceEmailPath")}</label>
+              <input type="text" name="bounce_email_path" value="${escapeAttr(c.bounce_email_path ?? "")}" placeholder="/home/appuser/Maildir/.Bounces"
+                title="${t("config.inboundEmailPathHelp")}"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+          </div>
+        </div>
+
         <!-- Certificate Configuration -->
         <div class="data-table-container" style="padding: 24px; margin-bottom: 24px;">
           <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 16px;">
-            <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin: 0;">Certificado Digital ACA (Firma)</h3>
+            <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin: 0;">${t("config.certificate")}</h3>
             <button type="button" id="btn-test-cert" class="btn btn-outline" style="padding: 6px 12px; font-size: 12px;">
               <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="margin-right: 4px;">
                 <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"/>
               </svg>
-              Probar Certificado
+              ${t("config.testCertificate")}
             </button>
           </div>
 
           <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 16px;">
             <div>
-              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Ruta del Certificado (.p12/.pfx)</label>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.certificatePath")}</label>
               <input type="text" name="certificate_path" id="cert-path" value="${escapeAttr(c.certificate_path ?? "")}" placeholder="/home/appuser/data/certificates/firma.p12"
                 style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
             </div>
             <div>
-              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Contraseña del Certificado</label>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.certificatePassword")}</label>
               <div style="position: relative;">
                 <input type="password" name="certificate_password" id="cert-password" value="${escapeAttr(c.certificate_password ?? "")}" placeholder="••••••••"
                   style="width: 100%; padding: 10px 12px; padding-right: 40px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
@@ -212,36 +421,251 @@ export class ConfigurationView {
           </div>
 
           <p style="font-size: 11px; color: var(--text-dimmed); margin-top: 8px;">
-            Certificado ACA (Autoridad de Certificación de la Abogacía) para firma digital de documentos PDF.
-            Sin certificado configurado, se usa firma visual.
+            ${t("config.certificateHelp")}
           </p>
+
+          <div style="margin-top: 16px;">
+            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.trustedRootsPath")}</label>
+            <input type="text" name="signature_trusted_roots_path" value="${escapeAttr(c.signature_trusted_roots_path ?? "")}" placeholder="/home/appuser/data/certificates/raices"
+              style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            <p style="font-size: 11px; color: var(--text-dimmed); margin-top: 8px;">${t("config.trustedRootsHelp")}</p>
+          </div>
+
+          <div style="display: grid; grid-template-columns: 2fr 1fr; gap: 16px; margin-top: 16px;">
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.tsaUrl")}</label>
+              <input type="url" name="signature_tsa_url" value="${escapeAttr(c.signature_tsa_url ?? "")}" placeholder="https://tsa.example.com/tsr"
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+            <div>
+              <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.ltvEnabled")}</label>
+              <select name="signature_ltv_enabled"
+                style="width: 100%; padding: 10px 36px 10px 12px; background: var(--bg-input) url('data:image/svg+xml;charset=UTF-8,%3Csvg xmlns=%22http://www.w3.org/2000/svg%22 width=%2212%22 height=%2212%22 viewBox=%220 0 24 24%22 fill=%22none%22 stroke=%22%2371717a%22 stroke-width=%222%22 stroke-linecap=%22round%22 stroke-linejoin=%22round%22%3E%3Cpath d=%22m6 9 6 6 6-6%22/%3E%3C/svg%3E') no-repeat right 12px center; border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px; appearance: none; -webkit-appearance: none;">
+                <option value="false" ${c.signature_ltv_enabled !== "true" ? "selected" : ""}>${t("config.ltvOptions.off")}</option>
+                <option value="true" ${c.signature_ltv_enabled === "true" ? "selected" : ""}>${t("config.ltvOptions.on")}</option>
+              </select>
+            </div>
+          </div>
+          <p style="font-size: 11px; color: var(--text-dimmed); margin-top: 8px;">${t("config.ltvHelp")}</p>
         </div>
 
         <!-- Documents Path -->
         <div class="data-table-container" style="padding: 24px; margin-bottom: 24px;">
-          <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 16px;">Almacenamiento de Documentos</h3>
+          <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 16px;">${t("config.storage")}</h3>
           
           <div>
-            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">Ruta de Documentos</label>
+            <label style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("config.fields.documentsPath")}</label>
             <input type="text" name="documents_path" id="docs-path" value="${escapeAttr(c.documents_path ?? "data/documents")}" placeholder="data/documents"
               style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
           </div>
           <p style="font-size: 11px; color: var(--text-dimmed); margin-top: 8px;">
-            Directorio donde se almacenan los PDFs generados (minutas y suplidos).
+            ${t("config.storageHelp")}
           </p>
         </div>
 
         <!-- Save Button -->
         <div style="display: flex; justify-content: flex-end;">
-          <button type="submit" class="btn btn-primary">Guardar Configuración</button>
+          <button type="submit" class="btn btn-primary">${t("config.save")}</button>
         </div>
       </form>
+
+      ${this.renderTemplatesSection()}
+
+      <div id="email-templates-container"></div>
+
+      <div id="email-outbox-container"></div>
     `;
   }
 
+  /**
+   * Document template editor (saved separately from the configuration form)
+   */
+  renderTemplatesSection() {
+    const first = this.templates[0];
+    if (!first) return "";
+
+    const types = this.templates.filter((template) => template.language === first.language);
+
+    return `
+      <div class="data-table-container" style="padding: 24px; margin-bottom: 24px;">
+        <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 16px;">${t("config.templates.title")}</h3>
+
+        <div style="display: flex; gap: 12px; align-items: center; margin-bottom: 12px;">
+          <select id="template-type"
+            style="padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            ${types
+              .map(
+                (template) =>
+                  `<option value="${escapeAttr(template.documentType)}">${t(`documents.types.${template.documentType}`)}</option>`
+              )
+              .join("")}
+          </select>
+          <select id="template-language" title="${t("config.templates.language")}"
+            style="padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            ${TEMPLATE_LANGUAGES.map(([code, label]) => `<option value="${code}">${label}</option>`).join("")}
+          </select>
+          <span id="template-status" class="template-status"></span>
+        </div>
+
+        <div class="template-editor">
+          <div>
+            <textarea id="template-body" spellcheck="false" rows="26" class="template-body"></textarea>
+            <ul id="template-errors" class="template-errors" style="display: none;"></ul>
+          </div>
+          <iframe id="template-preview" class="template-preview" title="${t("config.templates.preview")}"></iframe>
+        </div>
+
+        <details style="margin-top: 12px; font-size: 12px; color: var(--text-secondary);">
+          <summary style="cursor: pointer;">${t("config.templates.helpTitle")}</summary>
+          <p style="margin: 8px 0;">
+            ${t("config.templates.help")}
+          </p>
+          <div id="template-placeholders" class="template-placeholders"></div>
+          <table class="template-directives">
+            ${TEMPLATE_DIRECTIVES_HELP.map(
+              ([directive, help]) =>
+                `<tr><td><code>${escapeAttr(directive)}</code></td><td>${escapeAttr(t(`config.templates.directives.${help}`))}</td></tr>`
+            ).join("")}
+          </table>
+        </details>
+
+        <div style="display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px;">
+          <button type="button" class="btn btn-secondary" id="btn-template-reset">${t("config.templates.reset")}</button>
+          <button type="button" class="btn btn-primary" id="btn-template-save">${t("config.templates.save")}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Find a loaded template
+   * @param {string} type - Document type
+   * @param {string} language - Template language
+   * @returns {Object|undefined}
+   */
+  findTemplate(type, language) {
+    return this.templates.find((template) => template.documentType === type && template.language === language);
+  }
+
+  /**
+   * Replace a loaded template with the version returned by the API
+   * @param {Object} template - Saved or restored template
+   */
+  replaceTemplate(template) {
+    this.templates = this.templates.map((current) =>
+      current.documentType === template.documentType && current.language === template.language ? template : current
+    );
+  }
+
+  /**
+   * Show a template in the editor and refresh its preview
+   * @param {string} type - Document type
+   * @param {string} language - Template language
+   */
+  showTemplate(type, language) {
+    const template = this.findTemplate(type, language);
+    if (!template) return;
+
+    this.container.querySelector("#template-body").value = template.body;
+    this.container.querySelector("#template-status").textContent = template.customized
+      ? t("config.templates.customized")
+      : t("config.templates.default");
+    this.container.querySelector("#template-placeholders").innerHTML = template.placeholders
+      .map((path) => `<code class="template-placeholder" data-path="${escapeAttr(path)}">{{${escapeAttr(path)}}}</code>`)
+      .join("");
+    this.refreshPreview();
+  }
+
+  /**
+   * Render the template in the editor as PDF (sample data)
+   */
+  async refreshPreview() {
+    const type = this.container.querySelector("#template-type").value;
+    const language = this.container.querySelector("#template-language").value;
+    const body = this.container.querySelector("#template-body").value;
+    const errorList = this.container.querySelector("#template-errors");
+
+    try {
+      const pdf = await api.previewTemplate(type, body, null, language);
+      if (this.previewUrl) URL.revokeObjectURL(this.previewUrl);
+      this.previewUrl = URL.createObjectURL(pdf);
+      this.container.querySelector("#template-preview").src = this.previewUrl;
+      errorList.style.display = "none";
+    } catch (error) {
+      this.showTemplateErrors(error);
+    }
+  }
+
+  /**
+   * List the syntax errors of a template under the editor
+   * @param {Error} error - API error (details.errors holds the errors per line)
+   */
+  showTemplateErrors(error) {
+    const errorList = this.container.querySelector("#template-errors");
+    const errors = error.details?.errors || [{ line: null, message: error.message }];
+    errorList.innerHTML = errors
+      .map((e) => `<li>${e.line ? `${t("config.templates.line", { line: e.line })}: ` : ""}${escapeAttr(e.message)}</li>`)
+      .join("");
+    errorList.style.display = "block";
+  }
+
+  bindTemplateEvents() {
+    const typeSelect = this.container.querySelector("#template-type");
+    if (!typeSelect) return;
+
+    const languageSelect = this.container.querySelector("#template-language");
+    const bodyInput = this.container.querySelector("#template-body");
+    const showSelected = () => this.showTemplate(typeSelect.value, languageSelect.value);
+
+    typeSelect.addEventListener("change", showSelected);
+    languageSelect.addEventListener("change", showSelected);
+
+    bodyInput.addEventListener("input", () => {
+      clearTimeout(this.previewTimer);
+      this.previewTimer = setTimeout(() => this.refreshPreview(), PREVIEW_DELAY_MS);
+    });
+
+    // Insert a placeholder at the cursor
+    this.container.querySelector("#template-placeholders").addEventListener("click", (e) => {
+      const chip = e.target.closest(".template-placeholder");
+      if (!chip) return;
+      bodyInput.setRangeText(`{{${chip.dataset.path}}}`, bodyInput.selectionStart, bodyInput.selectionEnd, "end");
+      bodyInput.focus();
+      bodyInput.dispatchEvent(new Event("input"));
+    });
+
+    this.container.querySelector("#btn-template-save").addEventListener("click", async () => {
+      try {
+        const saved = await api.updateTemplate(typeSelect.value, bodyInput.value, languageSelect.value);
+        this.replaceTemplate(saved);
+        showSelected();
+        showToast(t("config.templates.saved"), "success");
+      } catch (error) {
+        this.showTemplateErrors(error);
+        showToast(error.message, "error");
+      }
+    });
+
+    this.container.querySelector("#btn-template-reset").addEventListener("click", async () => {
+      if (!confirm(t("config.templates.resetConfirm"))) return;
+      try {
+        const { template } = await api.resetTemplate(typeSelect.value, languageSelect.value);
+        this.replaceTemplate(template);
+        showSelected();
+        showToast(t("config.templates.restored"), "success");
+      } catch (error) {
+        showToast(error.message, "error");
+      }
+    });
+
+    showSelected();
+  }
+
   bindEvents() {
     const form = this.container.querySelector("#config-form");
 
+    this.bindTemplateEvents();
+
     // Password visibility toggles
     this.container.querySelectorAll(".toggle-password").forEach((btn) => {
       btn.addEventListener("click", () => {
@@ -274,7 +698,12 @@ export class ConfigurationView {
           key.includes("fee") ||
           key.includes("rate") ||
           key.includes("mileage") ||
-          key === "smtp_port"
+          key === "smtp_port" ||
+          key === "payment_overdue_days" ||
+          key === "email_max_attempts" ||
+          key === "imap_port" ||
+          key === "inbound_email_interval_minutes" ||
+          key === "deadline_alert_days"
         ) {
           data[key] = parseFloat(value) || 0;
         } else {
@@ -285,23 +714,54 @@ export class ConfigurationView {
       // Don't send password fields if they still have the server placeholder
       if (data.smtp_password === PASSWORD_PLACEHOLDER) delete data.smtp_password;
       if (data.certificate_password === PASSWORD_PLACEHOLDER) delete data.certificate_password;
+      if (data.imap_password === PASSWORD_PLACEHOLDER) delete data.imap_password;
 
       // Client-side range validation
       const fee = parseFloat(data.arag_base_fee);
       if (isNaN(fee) || fee < 0 || fee > 10000) {
-        showToast("Tarifa Base debe estar entre 0 y 10.000 €", "error");
+        showToast(t("config.validation.baseFee"), "error");
         return;
       }
       const vat = parseFloat(data.vat_rate);
       if (isNaN(vat) || vat < 0 || vat > 100) {
-        showToast("IVA debe estar entre 0% y 100%", "error");
+        showToast(t("config.validation.vat"), "error");
+        return;
+      }
+      const hourlyRate = parseFloat(data.default_hourly_rate);
+      if (isNaN(hourlyRate) || hourlyRate < 0 || hourlyRate > 10000) {
+        showToast(t("config.validation.hourlyRate"), "error");
+        return;
+      }
+      data.invoice_series = (data.invoice_series || "").trim().toUpperCase();
+      if (!/^[A-Z0-9]{1,10}$/.test(data.invoice_series)) {
+        showToast(t("config.validation.invoiceSeries"), "error");
+        return;
+      }
+      const overdueDays = data.payment_overdue_days;
+      if (!Number.isInteger(overdueDays) || overdueDays < 1 || overdueDays > 365) {
+        showToast(t("config.validation.overdueDays"), "error");
+        return;
+      }
+      const maxAttempts = data.email_max_attempts;
+      if (!Number.isInteger(maxAttempts) || maxAttempts < 1 || maxAttempts > 20) {
+        showToast(t("config.validation.emailMaxAttempts"), "error");
+        return;
+      }
+      const inboundInterval = data.inbound_email_interval_minutes;
+      if (!Number.isInteger(inboundInterval) || inboundInterval < 1 || inboundInterval > 1440) {
+        showToast(t("config.validation.inboundEmailInterval"), "error");
+        return;
+      }
+      const alertDays = data.deadline_alert_days;
+      if (!Number.isInteger(alertDays) || alertDays < 1 || alertDays > 60) {
+        showToast(t("config.validation.deadlineAlertDays"), "error");
         return;
       }
       for (const [key, value] of Object.entries(data)) {
         if (key.startsWith("mileage_")) {
           const val = parseFloat(value);
           if (isNaN(val) || val < 0 || val > 1000) {
-            showToast(`Kilometraje inválido (debe estar entre 0 y 1.000 €)`, "error");
+            showToast(t("config.validation.mileage"), "error");
             return;
           }
         }
@@ -309,7 +769,7 @@ export class ConfigurationView {
 
       try {
         await api.updateConfig(data);
-        showToast("Configuración guardada correctamente", "success");
+        showToast(t("config.saved"), "success");
       } catch (error) {
         showToast(error.message, "error");
       }
@@ -340,7 +800,7 @@ export class ConfigurationView {
           <circle cx="12" cy="12" r="10"/>
         </svg>
       `;
-      statusText.textContent = "Probando conexión...";
+      statusText.textContent = t("config.testingConnection");
       statusText.style.color = "var(--text-secondary)";
 
       try {
@@ -355,10 +815,10 @@ export class ConfigurationView {
               <polyline points="20 6 9 17 4 12"/>
             </svg>
           `;
-          statusText.textContent = "Conexión SMTP exitosa";
+          statusText.textContent = t("config.smtpOk");
           statusText.className = "status-text status-text-success";
         } else {
-          throw new Error(result.error || "Error de conexión");
+          throw new Error(result.error || t("config.connectionError"));
         }
       } catch (error) {
         statusDiv.querySelector("div").style.background = "";
@@ -370,7 +830,7 @@ export class ConfigurationView {
             <line x1="9" y1="9" x2="15" y2="15"/>
           </svg>
         `;
-        statusText.textContent = `Error: ${error.message}`;
+        statusText.textContent = t("common.errorMessage", { message: error.message });
         statusText.className = "status-text status-text-error";
       }
     });
@@ -397,7 +857,7 @@ export class ConfigurationView {
             <line x1="9" y1="9" x2="15" y2="15"/>
           </svg>
         `;
-        statusText.textContent = "Introduzca la ruta del certificado";
+        statusText.textContent = t("config.certificatePathRequired");
         statusText.className = "status-text status-text-error";
         certDetails.style.display = "none";
         return;
@@ -411,7 +871,7 @@ export class ConfigurationView {
           <circle cx="12" cy="12" r="10"/>
         </svg>
       `;
-      statusText.textContent = "Verificando certificado...";
+      statusText.textContent = t("config.verifyingCertificate");
       statusText.style.color = "var(--text-secondary)";
       certDetails.style.display = "none";
 
@@ -433,34 +893,35 @@ export class ConfigurationView {
           `;
 
           if (isExpiringSoon) {
-            statusText.textContent = `Certificado válido (caduca en ${result.daysUntilExpiration} días)`;
+            statusText.textContent = t("config.certificateExpiring", { days: result.daysUntilExpiration });
             statusText.className = "status-text status-text-warning";
           } else {
-            statusText.textContent = "Certificado válido";
+            statusText.textContent = t("config.certificateValid");
             statusText.className = "status-text status-text-success";
           }
 
           // Format dates
-          const validFrom = new Date(result.validFrom).toLocaleDateString("es-ES");
-          const validTo = new Date(result.validTo).toLocaleDateString("es-ES");
+          const shortDate = { day: "numeric", month: "numeric", year: "numeric" };
+          const validFrom = formatDate(result.validFrom, shortDate);
+          const validTo = formatDate(result.validTo, shortDate);
 
           certDetails.innerHTML = `
             <div style="display: grid; grid-template-columns: auto 1fr; gap: 4px 12px;">
-              <span style="color: var(--text-dimmed);">Titular:</span>
+              <span style="color: var(--text-dimmed);">${t("config.certificateDetails.holder")}:</span>
               <span style="font-weight: 500;">${escapeAttr(result.cn || "—")}</span>
-              <span style="color: var(--text-dimmed);">Organización:</span>
+              <span style="color: var(--text-dimmed);">${t("config.certificateDetails.organization")}:</span>
               <span>${escapeAttr(result.organization || "—")}</span>
-              <span style="color: var(--text-dimmed);">Emisor:</span>
+              <span style="color: var(--text-dimmed);">${t("config.certificateDetails.issuer")}:</span>
               <span>${escapeAttr(result.issuer || "—")}</span>
-              <span style="color: var(--text-dimmed);">Válido desde:</span>
+              <span style="color: var(--text-dimmed);">${t("config.certificateDetails.validFrom")}:</span>
               <span>${escapeAttr(validFrom)}</span>
-              <span style="color: var(--text-dimmed);">Válido hasta:</span>
+              <span style="color: var(--text-dimmed);">${t("config.certificateDetails.validTo")}:</span>
               <span class="${result.isExpired ? "status-text-expired" : ""}">${escapeAttr(validTo)}</span>
             </div>
           `;
           certDetails.style.display = "block";
         } else {
-          throw new Error(result.error || "Certificado inválido");
+          throw new Error(result.error || t("config.certificateInvalid"));
         }
       } catch (error) {
         statusDiv.querySelector("div").style.background = "";
@@ -472,7 +933,7 @@ export class ConfigurationView {
             <line x1="12" y1="16" x2="12.01" y2="16"/>
           </svg>
         `;
-        statusText.textContent = error.message || "Error al verificar el certificado";
+        statusText.textContent = error.message || t("config.certificateError");
         statusText.className = "status-text status-text-error";
         certDetails.style.display = "none";
       }
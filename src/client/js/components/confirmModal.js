@@ -3,12 +3,14 @@
  * Elegant confirmation dialog with customizable actions
  */
 
+import { t } from "../i18n.js";
+
 export class ConfirmModal {
   constructor(options = {}) {
-    this.title = options.title || "Confirmar";
-    this.message = options.message || "¿Está seguro?";
-    this.confirmText = options.confirmText || "Confirmar";
-    this.cancelText = options.cancelText || "Cancelar";
+    this.title = options.title || t("common.confirm");
+    this.message = options.message || t("common.areYouSure");
+    this.confirmText = options.confirmText || t("common.confirm");
+    this.cancelText = options.cancelText || t("common.cancel");
     this.type = options.type || "warning"; // 'warning', 'danger', 'info'
     this.icon = options.icon || null;
     this.onConfirm = options.onConfirm || (() => {});
@@ -112,7 +114,7 @@ export class ConfirmModal {
           <svg class="spin" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <circle cx="12" cy="12" r="10" stroke-dasharray="32" stroke-dashoffset="32"/>
           </svg>
-          Procesando...
+          ${t("common.processing")}
         `;
 
         try {
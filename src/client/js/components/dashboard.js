@@ -5,13 +5,22 @@
 
 import { api } from "../api.js";
 import { router } from "../router.js";
-import { formatDate, showToast } from "../app.js";
+import { showToast } from "../app.js";
+import { t, plural, formatDate, formatCurrency } from "../i18n.js";
 import { notificationCenter } from "./notificationCenter.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+import {
+  hearingTypeLabel,
+  formatHearingDateTime,
+  requestCalendarLink,
+} from "./hearingSchedule.js";
 
 export class DashboardView {
   constructor(container) {
     this.container = container;
     this.metrics = null;
+    this.receivables = null;
+    this.hearings = null;
     this.recentCases = [];
     this.currentFilter = "all";
     this.searchQuery = "";
@@ -20,12 +29,17 @@ export class DashboardView {
   async render() {
     try {
       // Fetch data in parallel
-      const [metricsData, casesData] = await Promise.all([
+      const [metricsData, casesData, receivables, hearings] = await Promise.all([
         api.getDashboard(),
         api.listCases({}, 1, 4),
+        // The ageing and hearings widgets are optional: the dashboard still renders without them
+        api.getReceivables().catch(() => null),
+        api.getUpcomingHearings({ days: 30, limit: 6 }).catch(() => null),
       ]);
 
       this.metrics = metricsData;
+      this.receivables = receivables;
+      this.hearings = hearings;
       this.recentCases = casesData.cases || [];
       this.totalCases = casesData.total || 0;
 
@@ -33,10 +47,10 @@ export class DashboardView {
       this.bindEvents();
     } catch (error) {
       console.error("Dashboard error:", error);
-      showToast("Error al cargar el dashboard", "error");
+      showToast(t("dashboard.loadError"), "error");
       this.container.innerHTML = `
         <div class="empty-state">
-          <p>Error al cargar el dashboard</p>
+          <p>${t("dashboard.loadError")}</p>
           <p>${error.message}</p>
         </div>
       `;
@@ -45,32 +59,18 @@ export class DashboardView {
 
   template() {
     const { entriesThisMonth, archivedThisMonth, pending } = this.metrics;
-    const monthNames = [
-      "Enero",
-      "Febrero",
-      "Marzo",
-      "Abril",
-      "Mayo",
-      "Junio",
-      "Julio",
-      "Agosto",
-      "Septiembre",
-      "Octubre",
-      "Noviembre",
-      "Diciembre",
-    ];
-    const currentMonth = monthNames[this.metrics.month - 1];
+    const currentMonth = t(`common.months.${this.metrics.month}`);
     const currentYear = this.metrics.year;
 
     return `
       <!-- Header -->
       <div class="header">
         <div class="header-title">
-          <h1>Dashboard</h1>
-          <p>Resumen mensual y gestión rápida.</p>
+          <h1>${t("nav.dashboard")}</h1>
+          <p>${t("dashboard.subtitle")}</p>
         </div>
         <div class="header-actions">
-          <button class="btn btn-icon" title="Notificaciones" id="notifications-bell">
+          <button class="btn btn-icon" title="${t("notifications.title")}" id="notifications-bell">
             <svg viewBox="0 0 18 18" fill="none" stroke="currentColor" stroke-width="1.5">
               <path d="M13.5 6.75a4.5 4.5 0 1 0-9 0c0 5.25-2.25 6.75-2.25 6.75h13.5s-2.25-1.5-2.25-6.75"/>
               <path d="M10.3 15a1.5 1.5 0 0 1-2.6 0"/>
@@ -81,7 +81,7 @@ export class DashboardView {
             <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M7 1v12M1 7h12"/>
             </svg>
-            Nuevo Expediente
+            ${t("cases.new")}
           </a>
         </div>
       </div>
@@ -97,9 +97,9 @@ export class DashboardView {
                 <path d="M8 8h4M8 12h4"/>
               </svg>
             </div>
-            <span class="metric-badge success">+12% vs año anterior</span>
+            <span class="metric-badge success">${t("dashboard.vsLastYear", { change: "+12%" })}</span>
           </div>
-          <div class="metric-label">Entradas del Mes</div>
+          <div class="metric-label">${t("dashboard.entries")}</div>
           <div class="metric-value">${entriesThisMonth.total}</div>
         </div>
 
@@ -115,7 +115,7 @@ export class DashboardView {
             </div>
             <span class="metric-badge neutral">${currentMonth} ${currentYear}</span>
           </div>
-          <div class="metric-label">Archivados del Mes</div>
+          <div class="metric-label">${t("dashboard.archived")}</div>
           <div class="metric-value">${archivedThisMonth.total}</div>
         </div>
 
@@ -128,35 +128,39 @@ export class DashboardView {
                 <path d="M10 6v4l2 2"/>
               </svg>
             </div>
-            <span class="metric-badge neutral">Ratio Cierre</span>
+            <span class="metric-badge neutral">${t("dashboard.closureRatio")}</span>
           </div>
-          <div class="metric-label">Pendientes</div>
+          <div class="metric-label">${t("dashboard.pending")}</div>
           <div class="metric-value">${pending.total}</div>
         </div>
       </div>
 
+      ${this.renderReceivables()}
+
+      ${this.renderHearings()}
+
       <!-- Filters Row -->
       <div class="filters-row">
         <div class="filter-tabs">
           <button class="filter-tab ${
             this.currentFilter === "all" ? "active" : ""
-          }" data-filter="all">Todos</button>
+          }" data-filter="all">${t("cases.list.all")}</button>
           <button class="filter-tab ${
             this.currentFilter === "ARAG" ? "active" : ""
           }" data-filter="ARAG">ARAG</button>
           <button class="filter-tab ${
             this.currentFilter === "PARTICULAR" ? "active" : ""
-          }" data-filter="PARTICULAR">Particulares</button>
+          }" data-filter="PARTICULAR">${t("stats.types.PARTICULAR")}</button>
           <button class="filter-tab ${
             this.currentFilter === "TURNO_OFICIO" ? "active" : ""
-          }" data-filter="TURNO_OFICIO">Turno Oficio</button>
+          }" data-filter="TURNO_OFICIO">${t("cases.types.TURNO_OFICIO")}</button>
         </div>
         <div class="search-input">
           <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5">
             <circle cx="6" cy="6" r="4.5"/>
             <path d="M9.5 9.5L13 13"/>
           </svg>
-          <input type="text" placeholder="Buscar por referencia o cliente..." id="search-input" value="${
+          <input type="text" placeholder="${t("cases.list.searchPlaceholder")}" id="search-input" value="${
             this.searchQuery
           }">
         </div>
@@ -167,12 +171,12 @@ export class DashboardView {
         <table class="data-table">
           <thead>
             <tr>
-              <th>Ref. Interna</th>
-              <th>Cliente / Ref. Ext</th>
-              <th>Tipo</th>
-              <th>Estado</th>
-              <th>Entrada</th>
-              <th>Docs</th>
+              <th>${t("cases.list.internalReference")}</th>
+              <th>${t("cases.list.clientExternalReference")}</th>
+              <th>${t("cases.fields.type")}</th>
+              <th>${t("cases.fields.state")}</th>
+              <th>${t("cases.list.entry")}</th>
+              <th>${t("cases.list.docs")}</th>
             </tr>
           </thead>
           <tbody id="cases-tbody">
@@ -180,23 +184,110 @@ export class DashboardView {
           </tbody>
         </table>
         <div class="table-footer">
-          <span class="table-info">Mostrando ${this.recentCases.length} de ${
-      this.totalCases
-    } expedientes</span>
+          <span class="table-info">${t("cases.list.showing", {
+            count: this.recentCases.length,
+            total: this.totalCases,
+          })}</span>
           <div class="pagination">
-            <button class="btn btn-secondary disabled" disabled>Anterior</button>
-            <a href="#/cases" class="btn btn-secondary">Ver todos</a>
+            <button class="btn btn-secondary disabled" disabled>${t("common.previous")}</button>
+            <a href="#/cases" class="btn btn-secondary">${t("dashboard.viewAll")}</a>
           </div>
         </div>
       </div>
     `;
   }
 
+  /**
+   * Receivables ageing widget: outstanding balance by days since issue
+   */
+  renderReceivables() {
+    if (!this.receivables) return "";
+
+    const { ageing, totals, overdueDays } = this.receivables;
+    const maxAmount = Math.max(...ageing.map((b) => b.amount), 0);
+
+    return `
+      <!-- Receivables Ageing -->
+      <div class="metric-card receivables-widget">
+        <div class="receivables-header">
+          <div>
+            <div class="metric-label">${t("dashboard.receivables")}</div>
+            <div class="receivables-total">${formatCurrency(totals.outstanding)}</div>
+          </div>
+          ${
+            totals.overdue > 0
+              ? `<span class="receivables-overdue">${t("dashboard.overdue", { amount: formatCurrency(totals.overdue), days: overdueDays })}</span>`
+              : `<span class="metric-badge neutral">${plural("dashboard.documents", totals.count)}</span>`
+          }
+        </div>
+        <div class="ageing-grid">
+          ${ageing
+            .map((bucket) => {
+              const width = maxAmount > 0 ? Math.round((bucket.amount / maxAmount) * 100) : 0;
+              const minDays = parseInt(bucket.bucket, 10);
+              return `
+            <div class="ageing-bucket">
+              <div class="ageing-bucket-label">${t("dashboard.bucket", { bucket: bucket.bucket })} · ${bucket.count}</div>
+              <div class="ageing-bucket-amount">${formatCurrency(bucket.amount)}</div>
+              <div class="ageing-bar">
+                <div class="ageing-bar-fill ${minDays >= overdueDays ? "overdue" : ""}" style="width: ${width}%"></div>
+              </div>
+            </div>
+          `;
+            })
+            .join("")}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Upcoming hearings widget ("próximos señalamientos", next 30 days)
+   */
+  renderHearings() {
+    if (!this.hearings) return "";
+
+    return `
+      <!-- Upcoming Hearings -->
+      <div class="metric-card hearings-widget">
+        <div class="receivables-header">
+          <div class="metric-label">${t("dashboard.hearings")}</div>
+          <button class="btn btn-secondary btn-sm" id="btn-calendar-link" title="${t("hearings.subscribeHint")}">
+            ${t("hearings.subscribe")}
+          </button>
+        </div>
+        <div class="hearings-calendar-link" id="calendar-link-box" hidden>
+          <input type="text" class="form-input mono" id="calendar-link-url" readonly>
+          <span class="cell-client-email">${t("hearings.subscribeHelp")}</span>
+        </div>
+        ${
+          this.hearings.length === 0
+            ? `<p class="hearings-empty">${t("dashboard.noHearings")}</p>`
+            : `<ul class="hearings-list">
+          ${this.hearings
+            .map(
+              (h) => `
+            <li class="hearings-item">
+              <span class="hearings-when mono">${formatHearingDateTime(h.startsAt)}</span>
+              <a href="#/cases/${h.caseId}" class="hearings-what">
+                ${hearingTypeLabel(h.hearingType)} · ${escapeAttr(h.clientName)}
+              </a>
+              <span class="hearings-where">${escapeAttr([h.court, h.judicialDistrict].filter(Boolean).join(", "))}</span>
+            </li>
+          `
+            )
+            .join("")}
+        </ul>`
+        }
+      </div>
+    `;
+  }
+
   renderCasesRows() {
     if (this.recentCases.length === 0) {
       return `
         <tr>
-          <td colspan="6" class="empty-state">No hay expedientes</td>
+          <td colspan="6" class="empty-state">${t("cases.list.empty")}</td>
         </tr>
       `;
     }
@@ -226,26 +317,24 @@ export class DashboardView {
     if (type === "ARAG" && aragReference) {
       secondaryInfo = `<span class="cell-client-ref">${aragReference}</span>`;
     } else if (type === "TURNO_OFICIO" && designation) {
-      secondaryInfo = `<span class="cell-client-desc">Designación: ${designation}</span>`;
+      secondaryInfo = `<span class="cell-client-desc">${t("cases.list.designation", { designation })}</span>`;
     } else if (type === "PARTICULAR") {
-      secondaryInfo = `<span class="cell-client-desc">Reclamación cantidad</span>`;
+      secondaryInfo = `<span class="cell-client-desc">${t("dashboard.claim")}</span>`;
     }
 
     // Type badge
     const typeBadges = {
-      ARAG: { class: "arag", label: "ARAG" },
-      PARTICULAR: { class: "particular", label: "Particular" },
-      TURNO_OFICIO: { class: "turno", label: "Turno Oficio" },
+      ARAG: "arag",
+      PARTICULAR: "particular",
+      TURNO_OFICIO: "turno",
     };
-    const badge = typeBadges[type] || { class: "turno", label: type };
+    const badge = { class: typeBadges[type] || "turno", label: t(`cases.types.${type}`) };
 
     // State display
     let stateDisplay =
-      state === "ABIERTO"
-        ? "Abierto"
-        : state === "ARCHIVADO"
-        ? "Archivado"
-        : `Judicial${judicialDistrict ? ` (${judicialDistrict})` : ""}`;
+      state === "JUDICIAL" && judicialDistrict
+        ? `${t("cases.states.JUDICIAL")} (${judicialDistrict})`
+        : t(`cases.states.${state}`);
     const stateClass = state === "JUDICIAL" ? "judicial" : "";
 
     // Document status indicator
@@ -283,18 +372,35 @@ export class DashboardView {
       const minutaDone = minutaCount > 0;
       const suplidoDone = suplidoCount > 0;
       return `
-        <span class="doc-pill ${minutaDone ? "doc-pill-arag" : "doc-pill-pending"}" title="${minutaDone ? "Minuta generada" : "Minuta pendiente"}">Minuta</span>
-        ${suplidoDone ? '<span class="doc-pill doc-pill-arag" title="Suplido generado">Suplido</span>' : ""}
+        <span class="doc-pill ${minutaDone ? "doc-pill-arag" : "doc-pill-pending"}" title="${minutaDone ? t("cases.list.minutaDone") : t("cases.list.minutaPending")}">${t("documents.types.MINUTA")}</span>
+        ${suplidoDone ? `<span class="doc-pill doc-pill-arag" title="${t("cases.list.suplidoDone")}">${t("documents.types.SUPLIDO")}</span>` : ""}
       `;
     }
     if (type === "PARTICULAR") {
       const hojaDone = hojaCount > 0;
-      return `<span class="doc-pill ${hojaDone ? "doc-pill-particular" : "doc-pill-pending"}" title="${hojaDone ? "Hoja de Encargo generada" : "Hoja de Encargo pendiente"}">HdE</span>`;
+      return `<span class="doc-pill ${hojaDone ? "doc-pill-particular" : "doc-pill-pending"}" title="${hojaDone ? t("cases.list.hojaDone") : t("cases.list.hojaPending")}">${t("cases.list.hojaShort")}</span>`;
     }
     return '<span class="doc-pill-empty">—</span>';
   }
 
   bindEvents() {
+    // Calendar subscription link
+    this.container.querySelector("#btn-calendar-link")?.addEventListener("click", async (e) => {
+      const button = e.currentTarget;
+      button.disabled = true;
+      try {
+        const url = await requestCalendarLink();
+        if (url) {
+          this.container.querySelector("#calendar-link-url").value = url;
+          this.container.querySelector("#calendar-link-box").hidden = false;
+        }
+      } catch (error) {
+        showToast(t("common.errorMessage", { message: error.message }), "error");
+      } finally {
+        button.disabled = false;
+      }
+    });
+
     // Notification bell
     const bellBtn = this.container.querySelector("#notifications-bell");
     if (bellBtn) {
@@ -356,7 +462,7 @@ export class DashboardView {
 
       // Update info
       const tableInfo = this.container.querySelector(".table-info");
-      tableInfo.textContent = `Mostrando ${this.recentCases.length} de ${this.totalCases} expedientes`;
+      tableInfo.textContent = t("cases.list.showing", { count: this.recentCases.length, total: this.totalCases });
 
       // Update filter tabs
       this.container.querySelectorAll(".filter-tab").forEach((tab) => {
@@ -370,7 +476,7 @@ export class DashboardView {
       this.bindRowEvents();
     } catch (error) {
       console.error("Filter error:", error);
-      showToast("Error al filtrar expedientes", "error");
+      showToast(t("dashboard.filterError"), "error");
     }
   }
 
@@ -0,0 +1,248 @@
+/**
+ * Deadline Calendar View
+ * Monthly calendar of procedural deadlines (plazos) across all cases
+ */
+
+import { api } from "../api.js";
+import { showToast } from "../app.js";
+import { t, plural, formatDate } from "../i18n.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+
+// Monday first
+const WEEKDAYS = [1, 2, 3, 4, 5, 6, 7];
+
+/**
+ * @param {string} status - Deadline status
+ * @returns {string} Label in the interface language
+ */
+export function deadlineStatusLabel(status) {
+  return t(`deadlines.statuses.${status}`);
+}
+
+/**
+ * Remaining-time label of a pending deadline
+ * @param {Object} deadline - Deadline from the API
+ * @returns {string}
+ */
+export function formatRemaining(deadline) {
+  if (deadline.remainingDays === null) return "";
+  if (deadline.remainingDays < 0) return plural("deadlines.overdueFor", -deadline.remainingDays);
+  if (deadline.remainingDays === 0) return t("deadlines.dueToday");
+  return plural("deadlines.remaining", deadline.remainingDays);
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+export class DeadlineCalendarView {
+  constructor(container) {
+    this.container = container;
+    const today = new Date();
+    this.year = today.getFullYear();
+    this.month = today.getMonth();
+    this.deadlines = [];
+    this.overdue = [];
+  }
+
+  async render() {
+    try {
+      await this.loadData();
+      this.container.innerHTML = this.template();
+      this.bindEvents();
+    } catch (error) {
+      console.error("Deadline calendar error:", error);
+      showToast(t("deadlines.loadError"), "error");
+      this.container.innerHTML = `
+        <div class="error-state">
+          <p>${t("deadlines.loadError")}: ${escapeAttr(error.message)}</p>
+        </div>
+      `;
+    }
+  }
+
+  async loadData() {
+    const lastDay = new Date(this.year, this.month + 1, 0).getDate();
+    const from = `${this.year}-${pad(this.month + 1)}-01`;
+    const to = `${this.year}-${pad(this.month + 1)}-${pad(lastDay)}`;
+
+    const [deadlines, pending] = await Promise.all([
+      api.listDeadlines({ from, to }),
+      api.listDeadlines({ pending: "true" }),
+    ]);
+    this.deadlines = deadlines;
+    this.overdue = pending.filter((d) => d.status === "VENCIDO");
+  }
+
+  template() {
+    return `
+      <div class="module-list-view">
+        <div class="header">
+          <div class="header-title">
+            <h1>${t("nav.deadlines")}</h1>
+            <p>${t("deadlines.subtitle")}</p>
+          </div>
+          <div class="header-actions">
+            <button class="btn btn-secondary" id="btn-prev-month">‹</button>
+            <span class="deadline-month-title">${t(`common.months.${this.month + 1}`)} ${this.year}</span>
+            <button class="btn btn-secondary" id="btn-next-month">›</button>
+            <button class="btn btn-secondary" id="btn-today">${t("common.today")}</button>
+          </div>
+        </div>
+
+        ${this.renderOverdue()}
+
+        <div class="data-table-container">
+          ${this.renderMonth()}
+        </div>
+
+        <div class="data-table-container" style="margin-top: 16px;">
+          <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin-bottom: 12px;">${t("deadlines.month")}</h3>
+          ${this.renderList(this.deadlines, t("deadlines.monthEmpty"))}
+        </div>
+      </div>
+    `;
+  }
+
+  renderOverdue() {
+    if (this.overdue.length === 0) return "";
+    return `
+      <div class="data-table-container deadline-overdue-panel">
+        <h3 style="font-size: 14px; font-weight: 500; color: var(--status-error); margin-bottom: 12px;">
+          ${t("deadlines.overdue", { count: this.overdue.length })}
+        </h3>
+        ${this.renderList(this.overdue)}
+      </div>
+    `;
+  }
+
+  renderMonth() {
+    const firstWeekday = (new Date(this.year, this.month, 1).getDay() + 6) % 7; // Monday first
+    const lastDay = new Date(this.year, this.month + 1, 0).getDate();
+    const now = new Date();
+    const todayIso = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+
+    const byDate = new Map();
+    for (const deadline of this.deadlines) {
+      if (!byDate.has(deadline.dueDate)) byDate.set(deadline.dueDate, []);
+      byDate.get(deadline.dueDate).push(deadline);
+    }
+
+    const cells = [];
+    for (let i = 0; i < firstWeekday; i++) {
+      cells.push('<div class="deadline-day deadline-day-empty"></div>');
+    }
+    for (let day = 1; day <= lastDay; day++) {
+      const date = `${this.year}-${pad(this.month + 1)}-${pad(day)}`;
+      const weekday = (firstWeekday + day - 1) % 7;
+      const classes = ["deadline-day"];
+      if (weekday >= 5) classes.push("deadline-day-weekend");
+      if (date === todayIso) classes.push("deadline-day-today");
+
+      cells.push(`
+        <div class="${classes.join(" ")}">
+          <span class="deadline-day-number">${day}</span>
+          ${(byDate.get(date) || [])
+            .map(
+              (d) => `
+            <a href="#/cases/${d.caseId}" class="deadline-chip deadline-chip-${d.status.toLowerCase()}" title="${escapeAttr(`${d.title} · ${d.clientName}`)}">
+              ${escapeAttr(d.title)}
+            </a>
+          `
+            )
+            .join("")}
+        </div>
+      `);
+    }
+
+    return `
+      <div class="deadline-calendar">
+        ${WEEKDAYS.map((day) => `<div class="deadline-weekday">${t(`common.weekdays.${day}`)}</div>`).join("")}
+        ${cells.join("")}
+      </div>
+    `;
+  }
+
+  renderList(deadlines, emptyMessage = "") {
+    if (deadlines.length === 0) {
+      return `<p style="font-size: 12px; color: var(--text-dimmed);">${emptyMessage}</p>`;
+    }
+
+    return `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>${t("deadlines.fields.dueDate")}</th>
+            <th>${t("deadlines.fields.title")}</th>
+            <th>${t("deadlines.fields.case")}</th>
+            <th>${t("cases.fields.state")}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${deadlines
+            .map(
+              (d) => `
+            <tr data-deadline-id="${d.id}" data-completed="${d.completedAt ? "true" : "false"}">
+              <td><span class="cell-date">${formatDate(d.dueDate)}</span></td>
+              <td>
+                ${escapeAttr(d.title)}
+                <span class="cell-client-email">${formatRemaining(d)}</span>
+              </td>
+              <td>
+                <a href="#/cases/${d.caseId}" class="cell-reference mono">${escapeAttr(d.internalReference || "-")}</a>
+                <span class="cell-client-email">${escapeAttr(d.clientName)}</span>
+              </td>
+              <td><span class="badge-deadline badge-deadline-${d.status.toLowerCase()}">${deadlineStatusLabel(d.status)}</span></td>
+              <td style="text-align: right;">
+                <button class="btn btn-secondary btn-sm deadline-toggle">
+                  ${d.completedAt ? t("deadlines.reopen") : t("deadlines.statuses.CUMPLIDO")}
+                </button>
+              </td>
+            </tr>
+          `
+            )
+            .join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  bindEvents() {
+    this.container.querySelector("#btn-prev-month")?.addEventListener("click", () => {
+      this.shiftMonth(-1);
+    });
+    this.container.querySelector("#btn-next-month")?.addEventListener("click", () => {
+      this.shiftMonth(1);
+    });
+    this.container.querySelector("#btn-today")?.addEventListener("click", () => {
+      const today = new Date();
+      this.year = today.getFullYear();
+      this.month = today.getMonth();
+      this.render();
+    });
+
+    this.container.querySelectorAll("tr[data-deadline-id]").forEach((row) => {
+      row.querySelector(".deadline-toggle")?.addEventListener("click", async (e) => {
+        const button = e.currentTarget;
+        button.disabled = true;
+        try {
+          await api.completeDeadline(row.dataset.deadlineId, row.dataset.completed !== "true");
+          await this.render();
+        } catch (error) {
+          showToast(t("common.errorMessage", { message: error.message }), "error");
+          button.disabled = false;
+        }
+      });
+    });
+  }
+
+  shiftMonth(delta) {
+    const date = new Date(this.year, this.month + delta, 1);
+    this.year = date.getFullYear();
+    this.month = date.getMonth();
+    this.render();
+  }
+}
+
+export default DeadlineCalendarView;
@@ -1,15 +1,66 @@
 /**
  * Document Upload Modal
- * Modal component for uploading documents to Turno de Oficio cases
+ * Modal component for uploading documents to a case of any type, with
+ * category, description and tags. With options.document it edits the
+ * details of an existing document instead.
  */
 
 import { api } from "../api.js";
 import { showToast } from "../app.js";
+import { t } from "../i18n.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+
+// Mirrors DOCUMENT_CATEGORIES in caseDocumentService.js
+export const DOCUMENT_CATEGORIES = [
+  "NOTIFICACION",
+  "IDENTIFICACION",
+  "PRUEBA",
+  "ESCRITO",
+  "CORRESPONDENCIA",
+  "OTRO",
+];
+
+// Mirrors ALLOWED_FILE_TYPES in caseDocumentService.js
+const UPLOAD_EXTENSIONS = [
+  ".pdf",
+  ".doc",
+  ".docx",
+  ".odt",
+  ".rtf",
+  ".txt",
+  ".xls",
+  ".xlsx",
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".heic",
+  ".eml",
+  ".msg",
+];
+
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Whether a file has an accepted extension
+ * @param {File} file - Selected file
+ * @returns {boolean}
+ */
+function isAcceptedFile(file) {
+  const dot = file.name.lastIndexOf(".");
+  return dot !== -1 && UPLOAD_EXTENSIONS.includes(file.name.slice(dot).toLowerCase());
+}
 
 export class DocumentUploadModal {
-  constructor(caseData, onComplete) {
+  /**
+   * @param {Object} caseData - Case the document belongs to
+   * @param {Function} [onComplete] - Called with the uploaded or updated document
+   * @param {Object} [options] - { document, category } — document to edit, default category
+   */
+  constructor(caseData, onComplete, options = {}) {
     this.caseData = caseData;
     this.onComplete = onComplete;
+    this.document = options.document || null;
+    this.defaultCategory = options.category || "OTRO";
     this.modal = null;
   }
 
@@ -33,11 +84,15 @@ export class DocumentUploadModal {
   }
 
   template() {
+    const doc = this.document;
+    const category = doc?.category || this.defaultCategory;
+    const submitLabel = doc ? t("common.saveChanges") : t("documents.upload.title");
+
     return `
       <div class="modal modal-upload">
         <div class="modal-header">
-          <h2>Subir Documento</h2>
-          <button class="btn-close" data-action="close" aria-label="Cerrar">
+          <h2>${doc ? t("documents.upload.editTitle") : t("documents.upload.title")}</h2>
+          <button class="btn-close" data-action="close" aria-label="${t("common.close")}">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <line x1="18" y1="6" x2="6" y2="18"/>
               <line x1="6" y1="6" x2="18" y2="18"/>
@@ -47,27 +102,48 @@ export class DocumentUploadModal {
         <div class="modal-body">
           <form id="upload-form">
             <div class="form-group">
-              <label>Expediente</label>
-              <input type="text" class="form-input" value="${this.caseData.internalReference || "Turno " + this.caseData.id} - ${this.caseData.clientName}" disabled>
+              <label>${t("documents.upload.case")}</label>
+              <input type="text" class="form-input" value="${escapeAttr(`${this.caseData.internalReference || t("documents.upload.caseRef", { id: this.caseData.id })} - ${this.caseData.clientName}`)}" disabled>
+            </div>
+
+            <div class="form-group">
+              <label for="upload-category">${t("documents.upload.category")}</label>
+              <select id="upload-category" name="category" class="form-input">
+                ${DOCUMENT_CATEGORIES.map(
+                  (value) => `<option value="${value}" ${value === category ? "selected" : ""}>${t(`documents.categories.${value}`)}</option>`
+                ).join("")}
+              </select>
             </div>
 
             <div class="form-group">
-              <label for="upload-description">Descripción del documento *</label>
+              <label for="upload-description">${t("documents.upload.description")}</label>
               <input
                 type="text"
                 id="upload-description"
                 name="description"
                 class="form-input"
-                placeholder="Ej: Escrito de defensa, Notificación juzgado..."
-                required
+                placeholder="${t("documents.upload.descriptionPlaceholder")}"
                 maxlength="200"
+                value="${escapeAttr(doc?.description)}"
               >
             </div>
 
             <div class="form-group">
-              <label>Archivo PDF *</label>
+              <label for="upload-tags">${t("documents.upload.tags")}</label>
+              <input
+                type="text"
+                id="upload-tags"
+                name="tags"
+                class="form-input"
+                placeholder="${t("documents.upload.tagsPlaceholder")}"
+                value="${escapeAttr((doc?.tags || []).join(", "))}"
+              >
+            </div>
+
+            <div class="form-group" ${doc ? 'style="display: none;"' : ""}>
+              <label>${t("documents.upload.file")} *</label>
               <div class="file-drop-zone" id="drop-zone">
-                <input type="file" id="upload-file" name="document" accept=".pdf,application/pdf" required hidden>
+                <input type="file" id="upload-file" name="document" accept="${UPLOAD_EXTENSIONS.join(",")}" ${doc ? "" : "required"} hidden>
                 <div class="drop-zone-content">
                   <div class="drop-zone-icon">
                     <svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5">
@@ -76,9 +152,9 @@ export class DocumentUploadModal {
                       <line x1="12" y1="3" x2="12" y2="15"/>
                     </svg>
                   </div>
-                  <p class="drop-zone-text">Arrastra un archivo PDF aquí</p>
-                  <p class="drop-zone-subtext">o <span class="drop-zone-link">selecciona un archivo</span></p>
-                  <p class="drop-zone-limit">Máximo 10 MB</p>
+                  <p class="drop-zone-text">${t("documents.upload.dropHere")}</p>
+                  <p class="drop-zone-subtext">${t("documents.upload.or")} <span class="drop-zone-link">${t("documents.upload.selectFile")}</span></p>
+                  <p class="drop-zone-limit">${t("documents.upload.maxSize")}</p>
                 </div>
                 <div class="file-selected" id="file-selected" style="display: none;">
                   <div class="file-info">
@@ -88,7 +164,7 @@ export class DocumentUploadModal {
                     </svg>
                     <span class="file-name" id="file-name"></span>
                   </div>
-                  <button type="button" class="btn-remove-file" id="btn-remove-file" aria-label="Eliminar archivo">
+                  <button type="button" class="btn-remove-file" id="btn-remove-file" aria-label="${t("documents.upload.removeFile")}">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                       <line x1="18" y1="6" x2="6" y2="18"/>
                       <line x1="6" y1="6" x2="18" y2="18"/>
@@ -102,21 +178,21 @@ export class DocumentUploadModal {
               <div class="progress-bar">
                 <div class="progress-fill" id="progress-fill"></div>
               </div>
-              <span class="progress-text">Subiendo documento...</span>
+              <span class="progress-text">${t("documents.upload.uploadingDocument")}</span>
             </div>
 
             <div id="upload-error" class="upload-error" style="display: none;"></div>
           </form>
         </div>
         <div class="modal-footer">
-          <button type="button" class="btn btn-secondary" data-action="close">Cancelar</button>
+          <button type="button" class="btn btn-secondary" data-action="close">${t("common.cancel")}</button>
           <button type="button" class="btn btn-primary btn-amber" data-action="upload" id="btn-upload">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
               <polyline points="17 8 12 3 7 8"/>
               <line x1="12" y1="3" x2="12" y2="15"/>
             </svg>
-            Subir Documento
+            ${submitLabel}
           </button>
         </div>
       </div>
@@ -139,8 +215,11 @@ export class DocumentUploadModal {
 
     // File selected via input
     fileInput.addEventListener("change", () => {
-      if (fileInput.files[0]) {
-        this.showSelectedFile(fileInput.files[0]);
+      const file = fileInput.files[0];
+      if (file && this.checkFile(file)) {
+        this.showSelectedFile(file);
+      } else if (file) {
+        fileInput.value = "";
       }
     });
 
@@ -167,14 +246,7 @@ export class DocumentUploadModal {
 
       const file = e.dataTransfer.files[0];
       if (file) {
-        if (file.type !== "application/pdf") {
-          this.showError("Solo se permiten archivos PDF");
-          return;
-        }
-        if (file.size > 10 * 1024 * 1024) {
-          this.showError("El archivo supera el tamaño máximo de 10 MB");
-          return;
-        }
+        if (!this.checkFile(file)) return;
         // Set the file to the input
         const dt = new DataTransfer();
         dt.items.add(file);
@@ -212,6 +284,23 @@ export class DocumentUploadModal {
     }
   };
 
+  /**
+   * Check the format and size of a selected file, showing the error if not valid
+   * @param {File} file - Selected file
+   * @returns {boolean} True if the file can be uploaded
+   */
+  checkFile(file) {
+    if (!isAcceptedFile(file)) {
+      this.showError(t("documents.upload.unsupportedFormat"));
+      return false;
+    }
+    if (file.size > MAX_UPLOAD_SIZE) {
+      this.showError(t("documents.upload.tooLarge"));
+      return false;
+    }
+    return true;
+  }
+
   showSelectedFile(file) {
     const dropZoneContent = this.modal.querySelector(".drop-zone-content");
     const fileSelected = this.modal.querySelector("#file-selected");
@@ -255,7 +344,7 @@ export class DocumentUploadModal {
       <svg class="spin" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
         <circle cx="12" cy="12" r="10" stroke-dasharray="32" stroke-dashoffset="32"/>
       </svg>
-      Subiendo...
+      ${t(this.document ? "common.processing" : "documents.upload.uploading")}
     `;
   }
 
@@ -268,45 +357,46 @@ export class DocumentUploadModal {
         <polyline points="17 8 12 3 7 8"/>
         <line x1="12" y1="3" x2="12" y2="15"/>
       </svg>
-      Subir Documento
+      ${this.document ? t("common.saveChanges") : t("documents.upload.title")}
     `;
   }
 
   async upload() {
-    const form = this.modal.querySelector("#upload-form");
     const fileInput = this.modal.querySelector("#upload-file");
-    const description = this.modal.querySelector("#upload-description").value.trim();
+    const details = {
+      category: this.modal.querySelector("#upload-category").value,
+      description: this.modal.querySelector("#upload-description").value.trim(),
+      tags: this.modal.querySelector("#upload-tags").value,
+    };
 
     // Validate form
-    if (!description) {
-      this.showError("La descripción es obligatoria");
-      this.modal.querySelector("#upload-description").focus();
-      return;
-    }
-
-    if (!fileInput.files[0]) {
-      this.showError("Seleccione un archivo PDF");
+    if (!this.document && !fileInput.files[0]) {
+      this.showError(t("documents.upload.fileRequired"));
       return;
     }
 
     this.hideError();
     this.showProgress();
 
-    const formData = new FormData();
-    formData.append("document", fileInput.files[0]);
-    formData.append("description", description);
-
     try {
-      const result = await api.uploadTurnoDocument(this.caseData.id, formData);
+      let result;
+      if (this.document) {
+        result = await api.updateCaseDocument(this.caseData.id, this.document.id, details);
+      } else {
+        const formData = new FormData();
+        formData.append("document", fileInput.files[0]);
+        Object.entries(details).forEach(([name, value]) => formData.append(name, value));
+        result = await api.uploadCaseDocument(this.caseData.id, formData);
+      }
       this.hideProgress();
-      showToast("Documento subido correctamente", "success");
+      showToast(t(this.document ? "documents.upload.updated" : "documents.upload.uploaded"), "success");
       this.close();
       if (this.onComplete) {
-        this.onComplete(result.data);
+        this.onComplete(result);
       }
     } catch (error) {
       this.hideProgress();
-      this.showError(error.message || "Error al subir el documento");
+      this.showError(error.message || t("documents.upload.error"));
     }
   }
 
@@ -0,0 +1,177 @@
+/**
+ * Email Outbox Panel Component
+ * Queue of outgoing emails: status, attempts, retry and cancel
+ */
+
+import { api } from "../api.js";
+import { showToast } from "../app.js";
+import { t, formatDateTime } from "../i18n.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+
+// Filter tabs (server statuses; "" shows everything)
+const FILTERS = ["", "PENDING", "DEAD_LETTER", "SENT", "CANCELLED"];
+
+const STATUS_DOTS = {
+  PENDING: "status-dot-amber",
+  SENDING: "status-dot-indigo",
+  SENT: "status-dot-green",
+  DEAD_LETTER: "status-dot-red",
+  CANCELLED: "status-dot-gray",
+};
+
+const RETRYABLE = ["PENDING", "DEAD_LETTER", "CANCELLED"];
+const CANCELLABLE = ["PENDING", "DEAD_LETTER"];
+
+/**
+ * Server timestamps are UTC without a zone ("YYYY-MM-DD HH:MM:SS")
+ * @param {string} value - SQLite datetime
+ */
+function formatServerDate(value) {
+  return value ? formatDateTime(`${value.replace(" ", "T")}Z`) : "-";
+}
+
+export class EmailOutboxPanelView {
+  constructor(container) {
+    this.container = container;
+    this.items = [];
+    this.summary = {};
+    this.filter = "";
+  }
+
+  async render() {
+    try {
+      const result = await api.getEmailOutbox({ status: this.filter });
+      this.items = result.data.items;
+      this.summary = result.data.summary;
+      this.container.innerHTML = this.template();
+      this.bindEvents();
+    } catch (error) {
+      console.error("Email outbox error:", error);
+      this.container.innerHTML = "";
+      showToast(t("emailOutbox.loadError"), "error");
+    }
+  }
+
+  template() {
+    return `
+      <div class="data-table-container" style="padding: 24px; margin-bottom: 24px;">
+        <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 8px;">
+          <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin: 0;">${t("emailOutbox.title")}</h3>
+          <button type="button" id="btn-outbox-refresh" class="btn btn-outline" style="padding: 6px 12px; font-size: 12px;">${t("emailOutbox.refresh")}</button>
+        </div>
+        <p style="font-size: 12px; color: var(--text-dimmed); margin: 0 0 16px;">${t("emailOutbox.help")}</p>
+
+        <div class="filter-tabs" style="width: fit-content; margin-bottom: 16px;">
+          ${FILTERS.map(
+            (status) => `
+            <button type="button" class="filter-tab outbox-filter ${this.filter === status ? "active" : ""}" data-status="${status}">
+              ${status ? t(`emailOutbox.status.${status}`) : t("emailOutbox.all")}
+              ${status ? `<span class="outbox-count">${this.summary[status] || 0}</span>` : ""}
+            </button>
+          `
+          ).join("")}
+        </div>
+
+        ${this.items.length > 0 ? this.renderTable() : `<p style="font-size: 13px; color: var(--text-dimmed); margin: 0;">${t("emailOutbox.empty")}</p>`}
+      </div>
+    `;
+  }
+
+  renderTable() {
+    return `
+      <table class="data-table outbox-table">
+        <thead>
+          <tr>
+            <th>${t("emailOutbox.columns.created")}</th>
+            <th>${t("emailOutbox.columns.case")}</th>
+            <th>${t("emailOutbox.columns.email")}</th>
+            <th>${t("emailOutbox.columns.status")}</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.items.map((item) => this.renderRow(item)).join("")}
+        </tbody>
+      </table>
+    `;
+  }
+
+  /**
+   * One queued email
+   * @param {Object} item - Queue entry
+   */
+  renderRow(item) {
+    let detail = "";
+    if (item.status === "PENDING" && item.attempts > 0) {
+      detail = t("emailOutbox.nextAttempt", { date: formatServerDate(item.nextAttemptAt) });
+    } else if (item.status === "SENT") {
+      detail = formatServerDate(item.sentAt);
+    }
+
+    return `
+      <tr>
+        <td>${formatServerDate(item.createdAt)}</td>
+        <td><a href="#/cases/${item.caseId}">${escapeAttr(item.caseReference || "")}</a></td>
+        <td>
+          <div>${escapeAttr(item.recipient)}</div>
+          <div class="outbox-subject">${escapeAttr(item.subject)}${item.attachmentNames.length > 0 ? ` · ${escapeAttr(item.attachmentNames.join(", "))}` : ""}</div>
+        </td>
+        <td>
+          <div class="outbox-status">
+            <span class="status-dot ${STATUS_DOTS[item.status]}"></span>
+            ${t(`emailOutbox.status.${item.status}`)}
+            <span class="outbox-attempts">${t("emailOutbox.attempts", { attempts: item.attempts, max: item.maxAttempts })}</span>
+          </div>
+          ${detail ? `<div class="outbox-subject">${detail}</div>` : ""}
+          ${item.lastError && item.status !== "SENT" ? `<div class="outbox-error" title="${escapeAttr(item.lastError)}">${escapeAttr(item.lastError)}</div>` : ""}
+        </td>
+        <td class="outbox-actions">
+          ${RETRYABLE.includes(item.status) ? `<button type="button" class="btn btn-secondary btn-sm btn-outbox-retry" data-id="${item.id}">${item.status === "PENDING" ? t("emailOutbox.sendNow") : t("emailOutbox.retry")}</button>` : ""}
+          ${CANCELLABLE.includes(item.status) ? `<button type="button" class="btn btn-secondary btn-sm btn-outbox-cancel" data-id="${item.id}">${t("emailOutbox.cancel")}</button>` : ""}
+        </td>
+      </tr>
+    `;
+  }
+
+  bindEvents() {
+    this.container.querySelector("#btn-outbox-refresh").addEventListener("click", () => this.render());
+
+    this.container.querySelectorAll(".outbox-filter").forEach((tab) => {
+      tab.addEventListener("click", () => {
+        this.filter = tab.dataset.status;
+        this.render();
+      });
+    });
+
+    this.container.querySelectorAll(".btn-outbox-retry").forEach((btn) => {
+      btn.addEventListener("click", () => this.runAction(btn, () => api.retryOutboxEmail(btn.dataset.id), "emailOutbox.retried"));
+    });
+
+    this.container.querySelectorAll(".btn-outbox-cancel").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        if (!confirm(t("emailOutbox.confirmCancel"))) return;
+        this.runAction(btn, () => api.cancelOutboxEmail(btn.dataset.id), "emailOutbox.cancelled");
+      });
+    });
+  }
+
+  /**
+   * Run a row action and reload the queue
+   * @param {HTMLButtonElement} btn - Clicked button
+   * @param {Function} action - API call
+   * @param {string} successKey - Toast message key
+   */
+  async runAction(btn, action, successKey) {
+    btn.disabled = true;
+    try {
+      await action();
+      showToast(t(successKey), "success");
+      await this.render();
+    } catch (error) {
+      showToast(error.message, "error");
+      btn.disabled = false;
+    }
+  }
+}
+
+export default EmailOutboxPanelView;
@@ -0,0 +1,249 @@
+/**
+ * Email Templates Panel Component
+ * Subject, plain text and HTML of the workflow emails, with a live preview
+ * (sample data, signature included)
+ */
+
+import { api } from "../api.js";
+import { showToast } from "../app.js";
+import { t } from "../i18n.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+
+// Delay before the preview refreshes while typing
+const PREVIEW_DELAY_MS = 600;
+
+// Languages of the templates (case language)
+const TEMPLATE_LANGUAGES = [
+  ["es", "Español"],
+  ["en", "English"],
+];
+
+// Template parts, as named by the API errors (field)
+const EDITOR_FIELDS = ["subject", "text", "html"];
+
+const INPUT_STYLE =
+  "width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;";
+
+export class EmailTemplatesPanelView {
+  constructor(container) {
+    this.container = container;
+    this.templates = [];
+    this.previewTimer = null;
+    // Field the placeholder chips insert into
+    this.activeField = null;
+  }
+
+  async render() {
+    try {
+      this.templates = await api.getEmailTemplates();
+      this.container.innerHTML = this.template();
+      this.bindEvents();
+    } catch (error) {
+      console.error("Email templates error:", error);
+      this.container.innerHTML = "";
+      showToast(t("config.emailTemplates.loadError"), "error");
+    }
+  }
+
+  template() {
+    const keys = [...new Set(this.templates.map((template) => template.templateKey))];
+
+    return `
+      <div class="data-table-container" style="padding: 24px; margin-bottom: 24px;">
+        <h3 style="font-size: 14px; font-weight: 500; color: var(--text-primary-alt); margin: 0 0 8px;">${t("config.emailTemplates.title")}</h3>
+        <p style="font-size: 12px; color: var(--text-dimmed); margin: 0 0 16px;">${t("config.emailTemplates.help")}</p>
+
+        <div style="display: flex; gap: 12px; align-items: center; margin-bottom: 12px;">
+          <select id="email-template-key" style="${INPUT_STYLE} width: auto;">
+            ${keys.map((key) => `<option value="${escapeAttr(key)}">${t(`config.emailTemplates.keys.${key}`)}</option>`).join("")}
+          </select>
+          <select id="email-template-language" title="${t("config.templates.language")}" style="${INPUT_STYLE} width: auto;">
+            ${TEMPLATE_LANGUAGES.map(([code, label]) => `<option value="${code}">${label}</option>`).join("")}
+          </select>
+          <span id="email-template-status" class="template-status"></span>
+        </div>
+
+        <div class="template-editor">
+          <div>
+            <label class="email-template-label" for="email-template-subject">${t("config.emailTemplates.subject")}</label>
+            <input type="text" id="email-template-subject" class="email-template-field" spellcheck="false" style="${INPUT_STYLE} font-family: var(--font-mono); font-size: 12px;">
+
+            <label class="email-template-label" for="email-template-text">${t("config.emailTemplates.text")}</label>
+            <textarea id="email-template-text" class="template-body email-template-field" spellcheck="false" rows="12"></textarea>
+
+            <label class="email-template-label" for="email-template-html">${t("config.emailTemplates.html")}</label>
+            <textarea id="email-template-html" class="template-body email-template-field" spellcheck="false" rows="8" placeholder="${t("config.emailTemplates.htmlPlaceholder")}"></textarea>
+
+            <ul id="email-template-errors" class="template-errors" style="display: none;"></ul>
+          </div>
+
+          <div class="email-template-preview">
+            <div class="email-template-label">${t("config.emailTemplates.preview")}</div>
+            <div id="email-preview-subject" class="email-preview-subject"></div>
+            <pre id="email-preview-text" class="email-preview-text"></pre>
+            <iframe id="email-preview-html" class="email-preview-html" sandbox="" title="${t("config.emailTemplates.html")}"></iframe>
+          </div>
+        </div>
+
+        <details style="margin-top: 12px; font-size: 12px; color: var(--text-secondary);">
+          <summary style="cursor: pointer;">${t("config.emailTemplates.placeholders")}</summary>
+          <p style="margin: 8px 0;">${t("config.templates.help")}</p>
+          <div id="email-template-placeholders" class="template-placeholders"></div>
+        </details>
+
+        <div style="display: flex; justify-content: flex-end; gap: 8px; margin-top: 16px;">
+          <button type="button" class="btn btn-secondary" id="btn-email-template-reset">${t("config.templates.reset")}</button>
+          <button type="button" class="btn btn-primary" id="btn-email-template-save">${t("config.templates.save")}</button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Selected template key and language
+   * @returns {{key: string, language: string}}
+   */
+  selection() {
+    return {
+      key: this.container.querySelector("#email-template-key").value,
+      language: this.container.querySelector("#email-template-language").value,
+    };
+  }
+
+  /**
+   * Subject and bodies in the editor
+   * @returns {{subject: string, text: string, html: string}}
+   */
+  editorContent() {
+    return {
+      subject: this.container.querySelector("#email-template-subject").value,
+      text: this.container.querySelector("#email-template-text").value,
+      html: this.container.querySelector("#email-template-html").value,
+    };
+  }
+
+  /**
+   * Replace a loaded template with the version returned by the API
+   * @param {Object} template - Saved or restored template
+   */
+  replaceTemplate(template) {
+    this.templates = this.templates.map((current) =>
+      current.templateKey === template.templateKey && current.language === template.language ? template : current
+    );
+  }
+
+  /**
+   * Show the selected template in the editor and refresh its preview
+   */
+  showSelected() {
+    const { key, language } = this.selection();
+    const template = this.templates.find((current) => current.templateKey === key && current.language === language);
+    if (!template) return;
+
+    this.container.querySelector("#email-template-subject").value = template.subject;
+    this.container.querySelector("#email-template-text").value = template.text;
+    this.container.querySelector("#email-template-html").value = template.html || "";
+    this.container.querySelector("#email-template-status").textContent = template.customized
+      ? t("config.templates.customized")
+      : t("config.templates.default");
+    this.container.querySelector("#email-template-placeholders").innerHTML = template.placeholders
+      .map((path) => `<code class="template-placeholder" data-path="${escapeAttr(path)}">{{${escapeAttr(path)}}}</code>`)
+      .join("");
+    this.refreshPreview();
+  }
+
+  /**
+   * Render the template in the editor with sample data
+   */
+  async refreshPreview() {
+    const { key, language } = this.selection();
+    const htmlFrame = this.container.querySelector("#email-preview-html");
+
+    try {
+      const email = await api.previewEmailTemplate(key, this.editorContent(), null, language);
+      this.container.querySelector("#email-preview-subject").textContent = email.subject;
+      this.container.querySelector("#email-preview-text").textContent = email.text;
+      htmlFrame.style.display = email.html ? "block" : "none";
+      htmlFrame.srcdoc = email.html || "";
+      this.container.querySelector("#email-template-errors").style.display = "none";
+    } catch (error) {
+      this.showErrors(error);
+    }
+  }
+
+  /**
+   * List the errors of a template under the editor
+   * @param {Error} error - API error (details.errors holds the errors per line)
+   */
+  showErrors(error) {
+    const errorList = this.container.querySelector("#email-template-errors");
+    const part = EDITOR_FIELDS.includes(error.field) ? `${t(`config.emailTemplates.${error.field}`)} · ` : "";
+    const errors = error.details?.errors || [{ line: null, message: error.message }];
+    errorList.innerHTML = errors
+      .map(
+        (e) =>
+          `<li>${escapeAttr(part)}${e.line ? `${t("config.templates.line", { line: e.line })}: ` : ""}${escapeAttr(e.message)}</li>`
+      )
+      .join("");
+    errorList.style.display = "block";
+  }
+
+  bindEvents() {
+    const keySelect = this.container.querySelector("#email-template-key");
+    const languageSelect = this.container.querySelector("#email-template-language");
+    const fields = this.container.querySelectorAll(".email-template-field");
+    this.activeField = this.container.querySelector("#email-template-text");
+
+    keySelect.addEventListener("change", () => this.showSelected());
+    languageSelect.addEventListener("change", () => this.showSelected());
+
+    fields.forEach((field) => {
+      field.addEventListener("focus", () => {
+        this.activeField = field;
+      });
+      field.addEventListener("input", () => {
+        clearTimeout(this.previewTimer);
+        this.previewTimer = setTimeout(() => this.refreshPreview(), PREVIEW_DELAY_MS);
+      });
+    });
+
+    // Insert a placeholder at the cursor of the last field used
+    this.container.querySelector("#email-template-placeholders").addEventListener("click", (e) => {
+      const chip = e.target.closest(".template-placeholder");
+      if (!chip) return;
+      const field = this.activeField;
+      field.setRangeText(`{{${chip.dataset.path}}}`, field.selectionStart, field.selectionEnd, "end");
+      field.focus();
+      field.dispatchEvent(new Event("input"));
+    });
+
+    this.container.querySelector("#btn-email-template-save").addEventListener("click", async () => {
+      const { key, language } = this.selection();
+      try {
+        this.replaceTemplate(await api.updateEmailTemplate(key, this.editorContent(), language));
+        this.showSelected();
+        showToast(t("config.templates.saved"), "success");
+      } catch (error) {
+        this.showErrors(error);
+        showToast(error.message, "error");
+      }
+    });
+
+    this.container.querySelector("#btn-email-template-reset").addEventListener("click", async () => {
+      if (!confirm(t("config.templates.resetConfirm"))) return;
+      const { key, language } = this.selection();
+      try {
+        const { template } = await api.resetEmailTemplate(key, language);
+        this.replaceTemplate(template);
+        this.showSelected();
+        showToast(t("config.templates.restored"), "success");
+      } catch (error) {
+        showToast(error.message, "error");
+      }
+    });
+
+    this.showSelected();
+  }
+}
+
+export default EmailTemplatesPanelView;
@@ -5,11 +5,9 @@
 
 import { api } from "../api.js";
 import { showToast } from "../app.js";
+import { t, plural } from "../i18n.js";
 
-const MONTH_LABELS = [
-  "Ene", "Feb", "Mar", "Abr", "May", "Jun",
-  "Jul", "Ago", "Sep", "Oct", "Nov", "Dic",
-];
+const MONTHS = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
 
 export class EstadisticasView {
   constructor(container) {
@@ -30,8 +28,8 @@ export class EstadisticasView {
       <div class="stats-view">
         <div class="stats-header">
           <div class="stats-header-info">
-            <h1 class="stats-title">Estadísticas</h1>
-            <p class="stats-subtitle">Cargando datos...</p>
+            <h1 class="stats-title">${t("stats.title")}</h1>
+            <p class="stats-subtitle">${t("stats.loading")}</p>
           </div>
         </div>
         <div class="stats-kpi-grid">
@@ -55,8 +53,8 @@ export class EstadisticasView {
         <div class="stats-view">
           <div class="stats-header">
             <div class="stats-header-info">
-              <h1 class="stats-title">Estadísticas</h1>
-              <p class="stats-subtitle" style="color: var(--color-rose-400)">Error al cargar estadísticas: ${error.message}</p>
+              <h1 class="stats-title">${t("stats.title")}</h1>
+              <p class="stats-subtitle" style="color: var(--color-rose-400)">${t("stats.loadError", { message: error.message })}</p>
             </div>
           </div>
         </div>
@@ -74,8 +72,8 @@ export class EstadisticasView {
         <!-- Header -->
         <div class="stats-header">
           <div class="stats-header-info">
-            <h1 class="stats-title">Estadísticas</h1>
-            <p class="stats-subtitle">Análisis de expedientes y actividad del despacho.</p>
+            <h1 class="stats-title">${t("stats.title")}</h1>
+            <p class="stats-subtitle">${t("stats.subtitle")}</p>
           </div>
           <div class="stats-header-actions">
             ${this.renderYearSelector(s.availableYears)}
@@ -104,31 +102,31 @@ export class EstadisticasView {
         <!-- KPI Cards -->
         <div class="stats-kpi-grid">
           ${this.renderKpiCard(
-            "Expedientes Nuevos",
+            t("stats.kpis.new"),
             s.kpis.newThisMonth.count.toString(),
             s.kpis.newThisMonth.changePercent,
-            `${s.kpis.newThisMonth.previousMonth} mes anterior`,
+            t("stats.kpis.previousMonth", { count: s.kpis.newThisMonth.previousMonth }),
             "indigo"
           )}
           ${this.renderKpiCard(
-            "Expedientes Archivados",
+            t("stats.kpis.archived"),
             s.kpis.archivedThisMonth.count.toString(),
             s.kpis.archivedThisMonth.changePercent,
-            `${s.kpis.archivedThisMonth.previousMonth} mes anterior`,
+            t("stats.kpis.previousMonth", { count: s.kpis.archivedThisMonth.previousMonth }),
             "pink"
           )}
           ${this.renderKpiCard(
-            "Expedientes Pendientes",
+            t("stats.kpis.pending"),
             s.kpis.pending.count.toString(),
             null,
-            "Abiertos + Judiciales",
+            t("stats.kpis.pendingDetail"),
             "cyan"
           )}
           ${this.renderKpiCard(
-            "Media Mensual",
+            t("stats.kpis.monthlyAverage"),
             s.kpis.monthlyAverage.count.toString(),
             null,
-            `Promedio ${this.selectedYear}`,
+            t("stats.kpis.average", { year: this.selectedYear }),
             "orange"
           )}
         </div>
@@ -138,11 +136,11 @@ export class EstadisticasView {
           <!-- Monthly Evolution Chart (Stacked Bars) -->
           <div class="stats-chart-card stats-chart-main">
             <div class="stats-chart-header">
-              <h3>Evolución Mensual</h3>
+              <h3>${t("stats.monthly")}</h3>
               <div class="stats-chart-legend">
                 <span class="stats-legend-item"><span class="stats-legend-dot" style="background: var(--color-yellow-500)"></span>ARAG</span>
-                <span class="stats-legend-item"><span class="stats-legend-dot" style="background: var(--color-indigo-500)"></span>Particulares</span>
-                <span class="stats-legend-item"><span class="stats-legend-dot" style="background: var(--color-zinc-500)"></span>Turno</span>
+                <span class="stats-legend-item"><span class="stats-legend-dot" style="background: var(--color-indigo-500)"></span>${t("stats.types.PARTICULAR")}</span>
+                <span class="stats-legend-item"><span class="stats-legend-dot" style="background: var(--color-zinc-500)"></span>${t("stats.types.TURNO_OFICIO")}</span>
               </div>
             </div>
             <div class="stats-bar-chart">
@@ -152,14 +150,14 @@ export class EstadisticasView {
 
           <!-- Case Distribution -->
           <div class="stats-chart-card stats-chart-side">
-            <h3 class="stats-distribution-title">Distribución por Tipo</h3>
+            <h3 class="stats-distribution-title">${t("stats.distribution")}</h3>
             <div class="stats-distribution-list">
               ${this.renderDistributionItem("ARAG", s.distribution.arag, "var(--color-yellow-500)")}
-              ${this.renderDistributionItem("Particulares", s.distribution.particular, "var(--color-indigo-500)")}
-              ${this.renderDistributionItem("Turno de Oficio", s.distribution.turno, "var(--color-zinc-500)")}
+              ${this.renderDistributionItem(t("stats.types.PARTICULAR"), s.distribution.particular, "var(--color-indigo-500)")}
+              ${this.renderDistributionItem(t("cases.types.TURNO_OFICIO"), s.distribution.turno, "var(--color-zinc-500)")}
             </div>
             <div class="stats-distribution-total">
-              <span>Total</span>
+              <span>${t("stats.total")}</span>
               <span class="mono">${s.distribution.total}</span>
             </div>
           </div>
@@ -181,15 +179,10 @@ export class EstadisticasView {
   }
 
   renderTypeFilter() {
-    const types = [
-      { value: "ALL", label: "Todos" },
-      { value: "ARAG", label: "ARAG" },
-      { value: "PARTICULAR", label: "Particulares" },
-      { value: "TURNO_OFICIO", label: "Turno" },
-    ];
+    const types = ["ALL", "ARAG", "PARTICULAR", "TURNO_OFICIO"];
     return `
       <select class="stats-type-select" id="stats-type-select">
-        ${types.map((t) => `<option value="${t.value}" ${t.value === this.selectedType ? "selected" : ""}>${t.label}</option>`).join("")}
+        ${types.map((type) => `<option value="${type}" ${type === this.selectedType ? "selected" : ""}>${t(`stats.types.${type}`)}</option>`).join("")}
       </select>
     `;
   }
@@ -227,9 +220,10 @@ export class EstadisticasView {
 
     const tooltipParts = [];
     if (d.arag > 0) tooltipParts.push(`ARAG: ${d.arag}`);
-    if (d.particular > 0) tooltipParts.push(`Part: ${d.particular}`);
-    if (d.turno > 0) tooltipParts.push(`Turno: ${d.turno}`);
-    const tooltipText = `${d.label}: ${d.total} exp.${tooltipParts.length ? " (" + tooltipParts.join(", ") + ")" : ""}`;
+    if (d.particular > 0) tooltipParts.push(`${t("stats.tooltip.particular")}: ${d.particular}`);
+    if (d.turno > 0) tooltipParts.push(`${t("stats.types.TURNO_OFICIO")}: ${d.turno}`);
+    const label = t(`stats.months.${d.month}`);
+    const tooltipText = `${label}: ${t("stats.tooltip.cases", { count: d.total })}${tooltipParts.length ? " (" + tooltipParts.join(", ") + ")" : ""}`;
 
     return `
       <div class="stats-bar-col">
@@ -241,7 +235,7 @@ export class EstadisticasView {
             <div class="stats-bar-tooltip">${tooltipText}</div>
           </div>
         </div>
-        <span class="stats-bar-label ${d.current ? "stats-bar-label-current" : ""}">${d.label}</span>
+        <span class="stats-bar-label ${d.current ? "stats-bar-label-current" : ""}">${label}</span>
       </div>
     `;
   }
@@ -259,7 +253,7 @@ export class EstadisticasView {
         <div class="stats-distribution-bar-bg">
           <div class="stats-distribution-bar" style="width: ${data.percent}%; background: ${color}"></div>
         </div>
-        <div class="stats-distribution-amount">${data.count} expedientes</div>
+        <div class="stats-distribution-amount">${plural("cases.count", data.count)}</div>
       </div>
     `;
   }
@@ -281,7 +275,7 @@ export class EstadisticasView {
     return `
       <div class="stats-chart-card stats-yoy-card">
         <div class="stats-chart-header">
-          <h3>Comparación Interanual</h3>
+          <h3>${t("stats.yearOverYear")}</h3>
           <div class="stats-chart-legend">
             ${years.sort((a, b) => b - a).map((y) => `
               <span class="stats-legend-item">
@@ -291,7 +285,7 @@ export class EstadisticasView {
           </div>
         </div>
         <div class="stats-yoy-chart">
-          ${MONTH_LABELS.map((label, i) => `
+          ${MONTHS.map((month, i) => `
             <div class="stats-yoy-col">
               <div class="stats-yoy-bars">
                 ${years.sort((a, b) => b - a).map((y) => {
@@ -300,7 +294,7 @@ export class EstadisticasView {
                   return `<div class="stats-yoy-bar" style="height: ${h}%; background: ${colors[y]}" title="${y}: ${val}"></div>`;
                 }).join("")}
               </div>
-              <span class="stats-bar-label">${label}</span>
+              <span class="stats-bar-label">${t(`stats.months.${month}`)}</span>
             </div>
           `).join("")}
         </div>
@@ -346,6 +340,6 @@ export class EstadisticasView {
     a.click();
     document.body.removeChild(a);
 
-    showToast(`Descargando ${format.toUpperCase()}...`, "success");
+    showToast(t("stats.downloading", { format: format.toUpperCase() }), "success");
   }
 }
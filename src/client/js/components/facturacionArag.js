@@ -4,7 +4,12 @@
  */
 
 import { api } from "../api.js";
-import { showToast, formatDate } from "../app.js";
+import { showToast } from "../app.js";
+import { t, formatCurrency, formatDate, formatDateTime } from "../i18n.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+
+// Payment methods of a cobro (see paymentService PAYMENT_METHODS)
+const PAYMENT_METHODS = ["TRANSFERENCIA", "CHEQUE", "EFECTIVO", "TARJETA", "OTRO"];
 
 export class FacturacionAragView {
   constructor(container, caseId) {
@@ -35,8 +40,8 @@ export class FacturacionAragView {
     } catch (error) {
       this.container.innerHTML = `
         <div class="error-state">
-          <p>Error al cargar el expediente: ${error.message}</p>
-          <a href="#/cases" class="btn btn-secondary">Volver a Expedientes</a>
+          <p>${t("particulares.loadError", { message: error.message })}</p>
+          <a href="#/cases" class="btn btn-secondary">${t("caseDetail.backToCases")}</a>
         </div>
       `;
       return;
@@ -46,8 +51,8 @@ export class FacturacionAragView {
     if (this.caseData.type !== "ARAG") {
       this.container.innerHTML = `
         <div class="error-state">
-          <p>Este módulo solo está disponible para expedientes ARAG.</p>
-          <a href="#/cases/${this.caseId}" class="btn btn-secondary">Volver al Expediente</a>
+          <p>${t("aragBilling.onlyArag")}</p>
+          <a href="#/cases/${this.caseId}" class="btn btn-secondary">${t("particulares.backToCase")}</a>
         </div>
       `;
       return;
@@ -89,9 +94,9 @@ export class FacturacionAragView {
         <div class="facturacion-header">
           <div class="facturacion-header-top">
             <nav class="breadcrumb">
-              <a href="#/">Dashboard</a>
+              <a href="#/">${t("nav.dashboard")}</a>
               <span class="separator">›</span>
-              <a href="#/cases">Expedientes</a>
+              <a href="#/cases">${t("nav.cases")}</a>
               <span class="separator">›</span>
               <span class="current">ARAG</span>
               <span class="separator">›</span>
@@ -122,7 +127,7 @@ export class FacturacionAragView {
                   </span>
                   <span class="ref-divider"></span>
                   <span class="ref-item">
-                    <span class="ref-label">Ref:</span>
+                    <span class="ref-label">${t("particulares.ref")}</span>
                     <span class="ref-value">${c.internalReference}</span>
                   </span>
                 </div>
@@ -135,13 +140,13 @@ export class FacturacionAragView {
                   <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
                   <polyline points="14 2 14 8 20 8"/>
                 </svg>
-                Volver a Ficha
+                ${t("aragBilling.backToRecord")}
               </a>
               <button class="btn btn-danger-outline" id="btn-close-case">
                 <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                   <path d="M18 6L6 18M6 6l12 12"/>
                 </svg>
-                Archivar
+                ${t("caseDetail.archive")}
               </button>
             </div>
           </div>
@@ -153,10 +158,10 @@ export class FacturacionAragView {
           <div class="facturacion-sidebar">
             <!-- Case Data Card -->
             <div class="card card-glass">
-              <h3 class="card-section-title">Datos del Expediente</h3>
+              <h3 class="card-section-title">${t("aragBilling.caseData")}</h3>
               
               <div class="form-group">
-                <label class="form-label">Fecha de Entrada</label>
+                <label class="form-label">${t("cases.form.entryDate")}</label>
                 <div class="input-readonly">
                   <span class="mono">${this.formatDateInput(c.entryDate)}</span>
                   <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -169,7 +174,7 @@ export class FacturacionAragView {
               </div>
 
               <div class="form-group">
-                <label class="form-label">Estado Procesal</label>
+                <label class="form-label">${t("aragBilling.proceduralState")}</label>
                 ${c.state === "ARCHIVADO"
                   ? `<div class="status-display status-${statusInfo.color}">
                       <span class="status-dot"></span>
@@ -177,8 +182,8 @@ export class FacturacionAragView {
                     </div>`
                   : `<div class="select-wrapper select-wrapper-status select-wrapper-${statusInfo.color}">
                       <select class="form-select form-select-status" id="estado-procesal">
-                        <option value="ABIERTO" ${c.state === "ABIERTO" ? "selected" : ""}>Abierto</option>
-                        <option value="JUDICIAL" ${c.state === "JUDICIAL" ? "selected" : ""}>Judicial</option>
+                        <option value="ABIERTO" ${c.state === "ABIERTO" ? "selected" : ""}>${t("cases.states.ABIERTO")}</option>
+                        <option value="JUDICIAL" ${c.state === "JUDICIAL" ? "selected" : ""}>${t("cases.states.JUDICIAL")}</option>
                       </select>
                       <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <polyline points="6 9 12 15 18 9"/>
@@ -187,9 +192,7 @@ export class FacturacionAragView {
                 }
                 ${
                   c.judicialDate
-                    ? `<p class="form-hint">Pasado a judicial el ${formatDate(
-                        c.judicialDate,
-                      )}</p>`
+                    ? `<p class="form-hint">${t("aragBilling.judicialSince", { date: formatDate(c.judicialDate) })}</p>`
                     : ""
                 }
               </div>
@@ -197,8 +200,8 @@ export class FacturacionAragView {
               <div class="divider"></div>
 
               <div class="form-group">
-                <label class="form-label">Observaciones</label>
-                <textarea class="form-textarea" id="observations" placeholder="Añadir notas internas...">${
+                <label class="form-label">${t("caseDetail.info.observations")}</label>
+                <textarea class="form-textarea" id="observations" placeholder="${t("aragBilling.observationsPlaceholder")}">${
                   c.observations || ""
                 }</textarea>
               </div>
@@ -213,10 +216,10 @@ export class FacturacionAragView {
                   <line x1="12" y1="9" x2="12" y2="13"/>
                   <line x1="12" y1="17" x2="12.01" y2="17"/>
                 </svg>
-                <h3 class="card-section-title card-section-title-danger">Archivar Expediente</h3>
+                <h3 class="card-section-title card-section-title-danger">${t("caseDetail.archiveTitle")}</h3>
               </div>
               <p class="card-description-danger">
-                Requerido para archivar. El estado pasará a "Archivado" permanentemente.
+                ${t("aragBilling.archiveHint")}
               </p>
               <div class="archive-form">
                 <input type="date" class="form-input form-input-danger" id="closure-date" value="${
@@ -246,29 +249,29 @@ export class FacturacionAragView {
                       <line x1="16" y1="17" x2="8" y2="17"/>
                     </svg>
                   </div>
-                  <span class="card-title">Minuta ARAG Fija</span>
+                  <span class="card-title">${t("aragBilling.minuta.title")}</span>
                 </div>
-                <span class="badge badge-auto">Automático</span>
+                <span class="badge badge-auto">${t("aragBilling.minuta.automatic")}</span>
               </div>
               
               <div class="minuta-content">
                 <div class="minuta-breakdown">
                   <div class="minuta-row">
-                    <span class="minuta-label">Honorarios Base</span>
-                    <span class="minuta-value mono">${this.formatCurrency(
+                    <span class="minuta-label">${t("particulares.hoja.baseFee")}</span>
+                    <span class="minuta-value mono">${formatCurrency(
                       baseRate,
                     )}</span>
                   </div>
                   <div class="minuta-row">
-                    <span class="minuta-label">IVA (${vatRate}%)</span>
-                    <span class="minuta-value mono">${this.formatCurrency(
+                    <span class="minuta-label">${t("aragBilling.minuta.vat", { rate: vatRate })}</span>
+                    <span class="minuta-value mono">${formatCurrency(
                       vatAmount,
                     )}</span>
                   </div>
                   <div class="divider"></div>
                   <div class="minuta-row minuta-total">
-                    <span class="minuta-label-total">Total a Facturar</span>
-                    <span class="minuta-value-total mono">${this.formatCurrency(
+                    <span class="minuta-label-total">${t("aragBilling.minuta.total")}</span>
+                    <span class="minuta-value-total mono">${formatCurrency(
                       totalAmount,
                     )}</span>
                   </div>
@@ -280,20 +283,20 @@ export class FacturacionAragView {
                       <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <polyline points="20 6 9 17 4 12"/>
                       </svg>
-                      <span>Plantilla PDF v2.4</span>
+                      <span>${t("aragBilling.minuta.template")}</span>
                     </div>
                     <div class="feature-item">
                       <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <polyline points="20 6 9 17 4 12"/>
                       </svg>
-                      <span>Firma Digital Auto</span>
+                      <span>${t("aragBilling.minuta.autoSignature")}</span>
                     </div>
                     <div class="feature-item">
                       <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/>
                         <polyline points="22,6 12,13 2,6"/>
                       </svg>
-                      <span>Envío a<br>${
+                      <span>${t("aragBilling.minuta.sentTo")}<br>${
                         cfg.arag_email ||
                         "facturacionsiniestros@arag.es"
                       }</span>
@@ -304,7 +307,7 @@ export class FacturacionAragView {
                       <path d="M22 2L11 13"/>
                       <path d="M22 2l-7 20-4-9-9-4 20-7z"/>
                     </svg>
-                    Generar y Enviar
+                    ${t("aragBilling.minuta.generate")}
                   </button>
                 </div>
               </div>
@@ -320,18 +323,18 @@ export class FacturacionAragView {
                       <polygon points="16.24 7.76 14.12 14.12 7.76 16.24 9.88 9.88 16.24 7.76"/>
                     </svg>
                   </div>
-                  <span class="card-title">Suplidos por Desplazamiento</span>
+                  <span class="card-title">${t("aragBilling.suplido.title")}</span>
                 </div>
-                <span class="card-subtitle">Módulo Judicial</span>
+                <span class="card-subtitle">${t("aragBilling.suplido.subtitle")}</span>
               </div>
               
               <div class="suplidos-content">
                 <div class="suplidos-form">
                   <div class="form-group form-group-wide">
-                    <label class="form-label form-label-upper">Partido Judicial (Destino)</label>
+                    <label class="form-label form-label-upper">${t("aragBilling.suplido.district")}</label>
                     <div class="select-wrapper">
                       <select class="form-select" id="suplido-district">
-                        <option value="">Seleccionar destino...</option>
+                        <option value="">${t("aragBilling.suplido.selectDistrict")}</option>
                         <option value="torrox" ${
                           c.judicialDistrict === "Torrox" ? "selected" : ""
                         }>Torrox</option>
@@ -364,9 +367,9 @@ export class FacturacionAragView {
                     </div>
                   </div>
                   <div class="form-group form-group-narrow">
-                    <label class="form-label form-label-right">Importe Calc.</label>
+                    <label class="form-label form-label-right">${t("aragBilling.suplido.amount")}</label>
                     <div class="amount-display">
-                      <span class="mono" id="suplido-amount">${this.formatCurrency(
+                      <span class="mono" id="suplido-amount">${formatCurrency(
                         mileageAmount,
                       )}</span>
                     </div>
@@ -377,12 +380,12 @@ export class FacturacionAragView {
                   <label class="checkbox-label">
                     <input type="checkbox" id="include-signature" checked>
                     <span class="checkbox-custom"></span>
-                    <span>Incluir Firma Digital</span>
+                    <span>${t("aragBilling.suplido.includeSignature")}</span>
                   </label>
                   <button class="btn btn-white" id="btn-generate-suplido" ${
                     c.state !== "JUDICIAL" ? "disabled" : ""
                   }>
-                    Generar Suplido
+                    ${t("aragBilling.suplido.generate")}
                   </button>
                 </div>
               </div>
@@ -393,8 +396,8 @@ export class FacturacionAragView {
           <div class="facturacion-history">
             <div class="card card-glass">
               <div class="card-header-simple">
-                <h3 class="card-section-title">Historial</h3>
-                <button class="btn-icon" title="Actualizar">
+                <h3 class="card-section-title">${t("particulares.history")}</h3>
+                <button class="btn-icon" title="${t("particulares.refresh")}">
                   <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polyline points="23 4 23 10 17 10"/>
                     <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
@@ -422,7 +425,9 @@ export class FacturacionAragView {
         // API returns snake_case and uppercase document_type
         const docType = (doc.document_type || "").toUpperCase();
         const isMinuta = docType === "MINUTA";
+        const isRectificativa = docType === "MINUTA_RECTIFICATIVA";
         const isSuplido = docType === "SUPLIDO";
+        const superseded = !!doc.superseded_by;
 
         // Extract filename from file_path
         const filename = doc.file_path
@@ -432,12 +437,14 @@ export class FacturacionAragView {
         events.push({
           date: doc.created_at,
           title: isMinuta
-            ? "Minuta Generada"
-            : isSuplido
-              ? "Suplido Generado"
-              : "Documento Generado",
+            ? t("aragBilling.timeline.minuta")
+            : isRectificativa
+              ? t("aragBilling.timeline.rectificativa")
+              : isSuplido
+                ? t("aragBilling.timeline.suplido")
+                : t("aragBilling.timeline.document"),
           type: "document",
-          color: doc.signed ? "green" : "indigo",
+          color: superseded ? "gray" : doc.signed ? "green" : "indigo",
           documents: [
             {
               id: doc.id,
@@ -445,8 +452,20 @@ export class FacturacionAragView {
               type: "file",
               link: true,
               signed: doc.signed,
+              superseded,
+              paymentStatus: superseded ? null : doc.payment_status,
             },
           ],
+          rectifyDocId:
+            (isMinuta || isRectificativa) && !superseded && c.state !== "ARCHIVADO"
+              ? doc.id
+              : null,
+          paymentDocId:
+            doc.payment_status && doc.payment_status !== "PAGADO" && !superseded ? doc.id : null,
+          outstanding:
+            doc.amount_due !== null && doc.amount_due !== undefined
+              ? Math.max(0, Math.round((doc.amount_due - (doc.paid_amount || 0)) * 100) / 100)
+              : null,
         });
       });
     }
@@ -454,10 +473,15 @@ export class FacturacionAragView {
     // Add email history events
     if (history.emails && history.emails.length > 0) {
       history.emails.forEach((email) => {
-        const isError = email.status === "ERROR";
+        const isError = email.status === "ERROR" || email.status === "BOUNCED";
         events.push({
           date: email.sent_at,
-          title: isError ? "Error al Enviar Email" : "Email Enviado",
+          title:
+            email.status === "BOUNCED"
+              ? t("aragBilling.timeline.emailBounced")
+              : isError
+                ? t("particulares.timeline.emailError")
+                : t("aragBilling.timeline.emailSent"),
           type: "email",
           color: isError ? "red" : "green",
           emailDetails: {
@@ -475,7 +499,9 @@ export class FacturacionAragView {
     if (c.state === "JUDICIAL" && c.judicialDate) {
       events.push({
         date: c.judicialDate,
-        title: `Cambio de estado a <span class="text-yellow">Judicial</span>`,
+        title: t("aragBilling.timeline.stateChange", {
+          state: `<span class="text-yellow">${t("cases.states.JUDICIAL")}</span>`,
+        }),
         user: "Admin",
         type: "status",
         color: "yellow",
@@ -485,7 +511,7 @@ export class FacturacionAragView {
     // Add case creation event
     events.push({
       date: c.entryDate,
-      title: "Expediente Creado",
+      title: t("aragBilling.timeline.created"),
       user: null,
       type: "created",
       color: "gray",
@@ -495,7 +521,7 @@ export class FacturacionAragView {
     events.sort((a, b) => new Date(b.date) - new Date(a.date));
 
     if (events.length === 0) {
-      return '<p class="timeline-empty">No hay eventos registrados</p>';
+      return `<p class="timeline-empty">${t("particulares.timeline.empty")}</p>`;
     }
 
     return events
@@ -506,7 +532,7 @@ export class FacturacionAragView {
         <div class="timeline-content">
           <span class="timeline-date mono">${this.formatTimelineDate(event.date)}</span>
           <p class="timeline-title">${event.title}</p>
-          ${event.user ? `<span class="timeline-user">Usuario: ${event.user}</span>` : ""}
+          ${event.user ? `<span class="timeline-user">${t("aragBilling.timeline.user", { user: event.user })}</span>` : ""}
           ${
             event.documents
               ? `
@@ -514,18 +540,34 @@ export class FacturacionAragView {
               ${event.documents
                 .map(
                   (doc) => `
-                <div class="timeline-doc ${doc.link ? "timeline-doc-clickable" : ""}" ${doc.link ? `data-doc-id="${doc.id}"` : ""}>
+                <div class="timeline-doc ${doc.link ? "timeline-doc-clickable" : ""} ${doc.superseded ? "timeline-doc-superseded" : ""}" ${doc.link ? `data-doc-id="${doc.id}"` : ""}>
                   <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
                     <polyline points="14 2 14 8 20 8"/>
                   </svg>
                   <span class="${doc.link ? "timeline-doc-link" : ""}">${doc.name}</span>
-                  ${doc.signed ? '<span class="badge badge-signed">Firmado</span>' : ""}
+                  ${doc.signed ? `<span class="badge badge-signed">${t("caseDetail.signed")}</span>` : ""}
+                  ${doc.superseded ? `<span class="badge badge-superseded">${t("aragBilling.superseded")}</span>` : ""}
+                  ${
+                    doc.paymentStatus
+                      ? `<span class="badge badge-payment badge-payment-${doc.paymentStatus.toLowerCase()}">${t(`aragBilling.paymentStatus.${doc.paymentStatus}`)}</span>`
+                      : ""
+                  }
                 </div>
               `,
                 )
                 .join("")}
             </div>
+            ${
+              event.rectifyDocId
+                ? `<button class="rectify-minuta-btn" data-doc-id="${event.rectifyDocId}">${t("aragBilling.rectify.action")}</button>`
+                : ""
+            }
+            ${
+              event.paymentDocId
+                ? `<button class="register-payment-btn" data-doc-id="${event.paymentDocId}" data-outstanding="${event.outstanding ?? ""}">${t("aragBilling.payment.action")}</button>`
+                : ""
+            }
           `
               : ""
           }
@@ -542,10 +584,10 @@ export class FacturacionAragView {
               </div>
               <span class="timeline-email-subject">${event.emailDetails.subject}</span>
               ${
-                event.emailDetails.status === "ERROR"
+                event.emailDetails.status === "ERROR" || event.emailDetails.status === "BOUNCED"
                   ? `
                 <div class="timeline-email-error-container">
-                  <span class="timeline-email-error">${event.emailDetails.error || "Error desconocido"}</span>
+                  <span class="timeline-email-error">${event.emailDetails.error || t("errors.UNKNOWN")}</span>
                   <button class="btn btn-small btn-outline retry-email-btn"
                           data-email-id="${event.emailDetails.id}"
                           data-case-id="${this.caseId}">
@@ -553,7 +595,7 @@ export class FacturacionAragView {
                       <polyline points="23 4 23 10 17 10"/>
                       <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
                     </svg>
-                    Reintentar
+                    ${t("common.retry")}
                   </button>
                 </div>
               `
@@ -574,20 +616,20 @@ export class FacturacionAragView {
     switch (state) {
       case "JUDICIAL":
         return {
-          label: "Judicial",
-          text: "En Vía Judicial",
+          label: t("cases.states.JUDICIAL"),
+          text: t("aragBilling.inCourt"),
           color: "yellow",
         };
       case "ARCHIVADO":
         return {
-          label: "Archivado",
-          text: "Archivado",
+          label: t("cases.states.ARCHIVADO"),
+          text: t("cases.states.ARCHIVADO"),
           color: "gray",
         };
       default:
         return {
-          label: "Abierto",
-          text: "Abierto",
+          label: t("cases.states.ABIERTO"),
+          text: t("cases.states.ABIERTO"),
           color: "green",
         };
     }
@@ -595,11 +637,7 @@ export class FacturacionAragView {
 
   formatDateInput(dateStr) {
     if (!dateStr) return "--/--/----";
-    const date = new Date(dateStr);
-    const day = date.getDate().toString().padStart(2, "0");
-    const month = (date.getMonth() + 1).toString().padStart(2, "0");
-    const year = date.getFullYear();
-    return `${day}/${month}/${year}`;
+    return formatDate(dateStr, { day: "2-digit", month: "2-digit", year: "numeric" });
   }
 
   formatTimelineDate(dateStr) {
@@ -609,38 +647,10 @@ export class FacturacionAragView {
     const isToday = date.toDateString() === now.toDateString();
 
     if (isToday) {
-      return `Hoy, ${date.getHours().toString().padStart(2, "0")}:${date
-        .getMinutes()
-        .toString()
-        .padStart(2, "0")}`;
+      return `${t("common.today")}, ${formatDateTime(date, { hour: "2-digit", minute: "2-digit" })}`;
     }
 
-    const day = date.getDate();
-    const months = [
-      "Ene",
-      "Feb",
-      "Mar",
-      "Abr",
-      "May",
-      "Jun",
-      "Jul",
-      "Ago",
-      "Sep",
-      "Oct",
-      "Nov",
-      "Dic",
-    ];
-    return `${day} ${months[date.getMonth()]}, ${date
-      .getHours()
-      .toString()
-      .padStart(2, "0")}:${date.getMinutes().toString().padStart(2, "0")}`;
-  }
-
-  formatCurrency(amount) {
-    return new Intl.NumberFormat("es-ES", {
-      style: "currency",
-      currency: "EUR",
-    }).format(amount);
+    return formatDateTime(date, { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
   }
 
   attachEventListeners() {
@@ -654,32 +664,33 @@ export class FacturacionAragView {
           <svg class="spinner" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <circle cx="12" cy="12" r="10"/>
           </svg>
-          Generando...
+          ${t("hojaEncargo.status.generating")}
         `;
 
         try {
-          showToast("Generando minuta ARAG...", "info");
+          showToast(t("aragBilling.minuta.generating"), "info");
           const result = await api.generateMinuta(this.caseId);
 
           if (result.success) {
             const emailStatus = result.data.steps.find(
               (s) => s.step === "email",
             );
-            if (emailStatus?.status === "completed") {
-              showToast("Minuta generada y enviada correctamente", "success");
+            const invoiceNumber = result.data.invoice?.invoiceNumber;
+            const label = invoiceNumber
+              ? t("aragBilling.minuta.generatedNumber", { number: invoiceNumber })
+              : t("aragBilling.minuta.generated");
+            if (emailStatus?.status === "queued") {
+              showToast(t("aragBilling.emailQueued", { label }), "success");
             } else if (emailStatus?.status === "skipped") {
-              showToast(
-                "Minuta generada. SMTP no configurado - email no enviado.",
-                "warning",
-              );
+              showToast(t("aragBilling.smtpSkipped", { label }), "warning");
             } else {
-              showToast("Minuta generada correctamente", "success");
+              showToast(label, "success");
             }
             // Refresh to show updated history
             await this.render();
           }
         } catch (error) {
-          showToast(`Error: ${error.message}`, "error");
+          showToast(t("common.errorMessage", { message: error.message }), "error");
         } finally {
           btn.disabled = false;
           btn.innerHTML = `
@@ -687,7 +698,7 @@ export class FacturacionAragView {
               <path d="M22 2L11 13"/>
               <path d="M22 2l-7 20-4-9-9-4 20-7z"/>
             </svg>
-            Generar y Enviar
+            ${t("aragBilling.minuta.generate")}
           `;
         }
       });
@@ -699,7 +710,7 @@ export class FacturacionAragView {
         const districtSelect = document.getElementById("suplido-district");
         const districtValue = districtSelect.value;
         if (!districtValue) {
-          showToast("Selecciona un partido judicial", "error");
+          showToast(t("aragBilling.suplido.districtRequired"), "error");
           return;
         }
 
@@ -717,25 +728,25 @@ export class FacturacionAragView {
 
         const btn = document.getElementById("btn-generate-suplido");
         btn.disabled = true;
-        btn.textContent = "Generando...";
+        btn.textContent = t("hojaEncargo.status.generating");
 
         try {
-          showToast("Generando suplido...", "info");
+          showToast(t("aragBilling.suplido.generating"), "info");
           const result = await api.generateSuplido(this.caseId, district);
 
           if (result.success) {
             showToast(
-              `Suplido generado: ${this.formatCurrency(result.data.amount)}`,
+              t("aragBilling.suplido.generated", { amount: formatCurrency(result.data.amount) }),
               "success",
             );
             // Refresh to show updated history
             await this.render();
           }
         } catch (error) {
-          showToast(`Error: ${error.message}`, "error");
+          showToast(t("common.errorMessage", { message: error.message }), "error");
         } finally {
           btn.disabled = false;
-          btn.textContent = "Generar Suplido";
+          btn.textContent = t("aragBilling.suplido.generate");
         }
       });
 
@@ -747,7 +758,7 @@ export class FacturacionAragView {
         const districtKey = `mileage_${districtValue.replace(/-/g, "_")}`;
         const amount = parseFloat(this.config[districtKey]) || 0;
         document.getElementById("suplido-amount").textContent =
-          this.formatCurrency(amount);
+          formatCurrency(amount);
       });
 
     // Estado Procesal change - transition to judicial
@@ -760,7 +771,7 @@ export class FacturacionAragView {
         if (newState === "JUDICIAL" && this.caseData.state === "ABIERTO") {
           // Ask for judicial date and district
           const judicialDate = prompt(
-            "Fecha de paso a judicial (YYYY-MM-DD):",
+            t("aragBilling.judicialDatePrompt"),
             new Date().toISOString().split("T")[0]
           );
 
@@ -774,10 +785,7 @@ export class FacturacionAragView {
           let district = districtSelect?.value;
 
           if (!district) {
-            district = prompt(
-              "Partido judicial:",
-              "Vélez-Málaga"
-            );
+            district = prompt(`${t("caseDetail.judicialDistrict")}:`, "Vélez-Málaga");
           } else {
             // Map select value to proper district name
             const districtMap = {
@@ -799,19 +807,19 @@ export class FacturacionAragView {
           }
 
           try {
-            showToast("Cambiando estado a judicial...", "info");
+            showToast(t("aragBilling.judicialChanging"), "info");
             await api.transitionToJudicial(this.caseId, judicialDate, district);
-            showToast("Estado cambiado a Judicial", "success");
+            showToast(t("aragBilling.judicialChanged"), "success");
             // Refresh to show updated state
             await this.render();
           } catch (error) {
-            showToast(`Error: ${error.message}`, "error");
+            showToast(t("common.errorMessage", { message: error.message }), "error");
             // Revert select on error
             e.target.value = this.caseData.state;
           }
         } else if (newState === "ABIERTO" && this.caseData.state === "JUDICIAL") {
           // Can't go back from JUDICIAL to ABIERTO
-          showToast("No se puede volver de Judicial a Abierto", "error");
+          showToast(t("aragBilling.cannotReopen"), "error");
           e.target.value = this.caseData.state;
         }
       });
@@ -822,24 +830,22 @@ export class FacturacionAragView {
       ?.addEventListener("click", async () => {
         const closureDate = document.getElementById("closure-date").value;
         if (!closureDate) {
-          showToast("Selecciona una fecha de cierre", "error");
+          showToast(t("particulares.finalize.dateRequired"), "error");
           return;
         }
 
         if (
-          !confirm(
-            "¿Estás seguro de archivar este expediente? Esta acción no se puede deshacer.",
-          )
+          !confirm(t("aragBilling.archiveConfirm"))
         ) {
           return;
         }
 
         try {
           await api.archiveCase(this.caseId, closureDate);
-          showToast("Expediente archivado correctamente", "success");
+          showToast(t("caseDetail.archived"), "success");
           window.location.hash = `#/cases/${this.caseId}`;
         } catch (error) {
-          showToast(`Error: ${error.message}`, "error");
+          showToast(t("common.errorMessage", { message: error.message }), "error");
         }
       });
 
@@ -866,10 +872,10 @@ export class FacturacionAragView {
         if (!docId) return;
 
         try {
-          showToast("Descargando documento...", "info");
+          showToast(t("aragBilling.downloading"), "info");
           await api.downloadDocument(docId);
         } catch (error) {
-          showToast(`Error al descargar: ${error.message}`, "error");
+          showToast(t("aragBilling.downloadError", { message: error.message }), "error");
         }
       });
     });
@@ -877,6 +883,10 @@ export class FacturacionAragView {
     // Email retry button clicks
     this.attachRetryEventListeners();
 
+    // Minuta rectification and payment button clicks
+    this.attachRectifyEventListeners();
+    this.attachPaymentEventListeners();
+
     // Refresh history button
     document
       .querySelector(".facturacion-history .btn-icon")
@@ -899,16 +909,18 @@ export class FacturacionAragView {
                   try {
                     await api.downloadDocument(docId);
                   } catch (error) {
-                    showToast(`Error al descargar: ${error.message}`, "error");
+                    showToast(t("aragBilling.downloadError", { message: error.message }), "error");
                   }
                 });
               });
-            // Re-attach retry button listeners
+            // Re-attach retry, rectify and payment button listeners
             this.attachRetryEventListeners();
+            this.attachRectifyEventListeners();
+            this.attachPaymentEventListeners();
           }
-          showToast("Historial actualizado", "success");
+          showToast(t("particulares.historyUpdated"), "success");
         } catch (error) {
-          showToast(`Error: ${error.message}`, "error");
+          showToast(t("common.errorMessage", { message: error.message }), "error");
         }
       });
   }
@@ -932,13 +944,13 @@ export class FacturacionAragView {
           <svg class="spinner" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <circle cx="12" cy="12" r="10"/>
           </svg>
-          Reintentando...
+          ${t("aragBilling.retrying")}
         `;
 
         try {
-          showToast("Reintentando envío de email...", "info");
+          showToast(t("aragBilling.retryingEmail"), "info");
           await api.retryEmail(caseId, emailId);
-          showToast("Email reenviado correctamente", "success");
+          showToast(t("aragBilling.emailRequeued"), "success");
 
           // Refresh history to show updated status
           const historyResult = await api.getCaseHistory(caseId);
@@ -948,6 +960,8 @@ export class FacturacionAragView {
           if (timelineContainer) {
             timelineContainer.innerHTML = this.renderTimeline(this.caseData);
             this.attachRetryEventListeners();
+            this.attachRectifyEventListeners();
+            this.attachPaymentEventListeners();
             // Re-attach document click listeners
             document
               .querySelectorAll(".timeline-doc-clickable")
@@ -958,13 +972,13 @@ export class FacturacionAragView {
                   try {
                     await api.downloadDocument(docId);
                   } catch (error) {
-                    showToast(`Error al descargar: ${error.message}`, "error");
+                    showToast(t("aragBilling.downloadError", { message: error.message }), "error");
                   }
                 });
               });
           }
         } catch (error) {
-          showToast(`Error al reenviar: ${error.message}`, "error");
+          showToast(t("aragBilling.resendError", { message: error.message }), "error");
           // Restore button state
           e.currentTarget.disabled = false;
           e.currentTarget.innerHTML = originalContent;
@@ -972,4 +986,198 @@ export class FacturacionAragView {
       });
     });
   }
+
+  /**
+   * Attach event listeners to minuta rectify buttons
+   * Called after render and after history refresh
+   */
+  attachRectifyEventListeners() {
+    document.querySelectorAll(".rectify-minuta-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        const docId = e.currentTarget.dataset.docId;
+        if (docId) this.openRectifyModal(docId);
+      });
+    });
+  }
+
+  /**
+   * Ask for the rectification reason and issue the factura rectificativa
+   * @param {string} documentId - Minuta being rectified
+   */
+  openRectifyModal(documentId) {
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal" style="max-width: 480px;">
+        <div class="modal-header">
+          <div class="modal-header-content">
+            <div>
+              <h2 class="modal-title">${t("aragBilling.rectify.title")}</h2>
+              <p class="modal-subtitle">${t("aragBilling.rectify.subtitle")}</p>
+            </div>
+          </div>
+        </div>
+        <form id="rectify-form">
+          <div class="modal-body">
+            <div class="form-group">
+              <label class="form-label" for="rectify-reason">${t("aragBilling.rectify.reason")} *</label>
+              <textarea class="form-input" id="rectify-reason" rows="3" required style="resize: vertical;"
+                placeholder="${t("aragBilling.rectify.reasonPlaceholder")}"></textarea>
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" id="rectify-cancel">${t("common.cancel")}</button>
+            <button type="submit" class="btn btn-primary" id="rectify-submit">${t("aragBilling.rectify.submit")}</button>
+          </div>
+        </form>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    requestAnimationFrame(() => modal.classList.add("modal-visible"));
+    setTimeout(() => modal.querySelector("#rectify-reason")?.focus(), 100);
+
+    const close = () => {
+      modal.classList.remove("modal-visible");
+      setTimeout(() => modal.remove(), 200);
+    };
+    modal.querySelector("#rectify-cancel").addEventListener("click", close);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) close();
+    });
+
+    modal.querySelector("#rectify-form").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const reason = modal.querySelector("#rectify-reason").value.trim();
+      if (!reason) {
+        showToast(t("aragBilling.rectify.reasonRequired"), "error");
+        return;
+      }
+
+      const submitBtn = modal.querySelector("#rectify-submit");
+      submitBtn.disabled = true;
+
+      try {
+        const result = await api.rectifyMinuta(this.caseId, documentId, reason);
+        const emailStatus = result.data.steps.find((s) => s.step === "email");
+        const label = t("aragBilling.rectify.issued", { number: result.data.invoice.invoiceNumber });
+        if (emailStatus?.status === "queued") {
+          showToast(t("aragBilling.emailQueued", { label }), "success");
+        } else if (emailStatus?.status === "skipped") {
+          showToast(t("aragBilling.smtpSkipped", { label }), "warning");
+        } else {
+          showToast(label, "success");
+        }
+        close();
+        await this.render();
+      } catch (error) {
+        showToast(t("common.errorMessage", { message: error.message }), "error");
+        submitBtn.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * Attach event listeners to register payment buttons
+   * Called after render and after history refresh
+   */
+  attachPaymentEventListeners() {
+    document.querySelectorAll(".register-payment-btn").forEach((btn) => {
+      btn.addEventListener("click", (e) => {
+        const { docId, outstanding } = e.currentTarget.dataset;
+        if (docId) this.openPaymentModal(docId, outstanding);
+      });
+    });
+  }
+
+  /**
+   * Record a payment received for a minuta or suplido
+   * @param {string} documentId - Billed document
+   * @param {string} outstanding - Outstanding balance, suggested as the amount
+   */
+  openPaymentModal(documentId, outstanding) {
+    const today = new Date().toISOString().split("T")[0];
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal" style="max-width: 480px;">
+        <div class="modal-header">
+          <div class="modal-header-content">
+            <div>
+              <h2 class="modal-title">${t("aragBilling.payment.title")}</h2>
+              <p class="modal-subtitle">${t("aragBilling.payment.outstanding", { amount: formatCurrency(parseFloat(outstanding) || 0) })}</p>
+            </div>
+          </div>
+        </div>
+        <form id="payment-form">
+          <div class="modal-body">
+            <div class="form-group">
+              <label class="form-label" for="payment-amount">${t("aragBilling.payment.amount")} *</label>
+              <input type="number" class="form-input" id="payment-amount" step="0.01" min="0.01" required
+                value="${escapeAttr(outstanding || "")}">
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="payment-date">${t("aragBilling.payment.date")} *</label>
+              <input type="date" class="form-input" id="payment-date" required value="${today}">
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="payment-method">${t("aragBilling.payment.method")}</label>
+              <select class="form-input" id="payment-method">
+                ${PAYMENT_METHODS.map(
+                  (value) => `<option value="${value}">${t(`aragBilling.paymentMethods.${value}`)}</option>`
+                ).join("")}
+              </select>
+            </div>
+            <div class="form-group">
+              <label class="form-label" for="payment-reference">${t("cases.fields.reference")}</label>
+              <input type="text" class="form-input" id="payment-reference"
+                placeholder="${t("aragBilling.payment.referencePlaceholder")}">
+            </div>
+          </div>
+          <div class="modal-footer">
+            <button type="button" class="btn btn-secondary" id="payment-cancel">${t("common.cancel")}</button>
+            <button type="submit" class="btn btn-primary" id="payment-submit">${t("particulares.provisions.record")}</button>
+          </div>
+        </form>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    requestAnimationFrame(() => modal.classList.add("modal-visible"));
+    setTimeout(() => modal.querySelector("#payment-amount")?.focus(), 100);
+
+    const close = () => {
+      modal.classList.remove("modal-visible");
+      setTimeout(() => modal.remove(), 200);
+    };
+    modal.querySelector("#payment-cancel").addEventListener("click", close);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) close();
+    });
+
+    modal.querySelector("#payment-form").addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const amount = parseFloat(modal.querySelector("#payment-amount").value);
+      if (!(amount > 0)) {
+        showToast(t("aragBilling.payment.amountRequired"), "error");
+        return;
+      }
+
+      const submitBtn = modal.querySelector("#payment-submit");
+      submitBtn.disabled = true;
+
+      try {
+        await api.createPayment(documentId, {
+          amount,
+          paymentDate: modal.querySelector("#payment-date").value,
+          method: modal.querySelector("#payment-method").value,
+          reference: modal.querySelector("#payment-reference").value.trim(),
+        });
+        showToast(t("aragBilling.payment.recorded", { amount: formatCurrency(amount) }), "success");
+        close();
+        await this.render();
+      } catch (error) {
+        showToast(t("common.errorMessage", { message: error.message }), "error");
+        submitBtn.disabled = false;
+      }
+    });
+  }
 }
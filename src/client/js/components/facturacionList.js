@@ -4,7 +4,7 @@
  */
 
 import { api } from "../api.js";
-import { formatDate } from "../app.js";
+import { t, formatDate } from "../i18n.js";
 
 export class FacturacionListView {
   constructor(container) {
@@ -20,7 +20,7 @@ export class FacturacionListView {
     } catch (error) {
       this.container.innerHTML = `
         <div class="error-state">
-          <p>Error al cargar expedientes: ${error.message}</p>
+          <p>${t("cases.list.loadError")}: ${error.message}</p>
         </div>
       `;
       return;
@@ -37,15 +37,16 @@ export class FacturacionListView {
       <div class="module-list-view">
         <div class="header">
           <div class="header-title">
-            <h1>Facturación ARAG</h1>
-            <p>Gestión de minutas y suplidos para expedientes ARAG</p>
+            <h1>${t("nav.invoicing")}</h1>
+            <p>${t("aragList.subtitle")}</p>
           </div>
           <div class="header-actions">
+            <a href="#/invoices" class="btn btn-secondary">${t("invoices.title")}</a>
             <a href="#/cases/new?type=ARAG" class="btn btn-primary">
               <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M7 1v12M1 7h12"/>
               </svg>
-              Nuevo Expediente
+              ${t("cases.new")}
             </a>
           </div>
         </div>
@@ -57,10 +58,10 @@ export class FacturacionListView {
             <div class="section-header">
               <div class="section-title">
                 <span class="section-dot section-dot-yellow"></span>
-                <h2>En Vía Judicial</h2>
+                <h2>${t("aragList.judicial")}</h2>
                 <span class="section-count">${judicialCases.length}</span>
               </div>
-              <p class="section-subtitle">Listos para generar suplidos</p>
+              <p class="section-subtitle">${t("aragList.judicialHint")}</p>
             </div>
             <div class="case-cards">
               ${judicialCases
@@ -79,10 +80,10 @@ export class FacturacionListView {
             <div class="section-header">
               <div class="section-title">
                 <span class="section-dot section-dot-green"></span>
-                <h2>Abiertos</h2>
+                <h2>${t("aragList.open")}</h2>
                 <span class="section-count">${openCases.length}</span>
               </div>
-              <p class="section-subtitle">Pendientes de pasar a judicial</p>
+              <p class="section-subtitle">${t("aragList.openHint")}</p>
             </div>
             <div class="case-cards">
               ${openCases.map((c) => this.renderCaseCard(c, "open")).join("")}
@@ -102,9 +103,9 @@ export class FacturacionListView {
                 <path d="M2 7h20M6 11h4M6 15h8"/>
               </svg>
             </div>
-            <h3>No hay expedientes ARAG activos</h3>
-            <p>Los expedientes ARAG aparecerán aquí cuando se creen.</p>
-            <a href="#/cases/new?type=ARAG" class="btn btn-primary">Nuevo Expediente</a>
+            <h3>${t("aragList.empty")}</h3>
+            <p>${t("aragList.emptyHint")}</p>
+            <a href="#/cases/new?type=ARAG" class="btn btn-primary">${t("cases.new")}</a>
           </div>
         `
             : ""
@@ -117,8 +118,8 @@ export class FacturacionListView {
     const statusClass = type === "judicial" ? "status-yellow" : "status-green";
     const statusText =
       type === "judicial"
-        ? `Judicial${c.judicialDistrict ? ` • ${c.judicialDistrict}` : ""}`
-        : "Abierto";
+        ? `${t("cases.states.JUDICIAL")}${c.judicialDistrict ? ` • ${c.judicialDistrict}` : ""}`
+        : t("cases.states.ABIERTO");
 
     return `
       <a href="#/invoicing/${c.id}" class="case-card case-card-arag">
@@ -142,13 +143,13 @@ export class FacturacionListView {
             </span>
             ${
               c.internalReference
-                ? `<span class="case-internal-ref">Ref: ${c.internalReference}</span>`
+                ? `<span class="case-internal-ref">${t("cases.refShort", { reference: c.internalReference })}</span>`
                 : ""
             }
           </div>
         </div>
         <div class="case-card-footer">
-          <span class="case-action">Facturar →</span>
+          <span class="case-action">${t("aragList.bill")} →</span>
         </div>
       </a>
     `;
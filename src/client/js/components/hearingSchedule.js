@@ -0,0 +1,57 @@
+/**
+ * Hearing Schedule helpers
+ * Labels, formatting and calendar subscription shared by the dashboard and case detail
+ */
+
+import { api } from "../api.js";
+import { showToast } from "../app.js";
+import { t, formatDate } from "../i18n.js";
+
+export const HEARING_TYPES = ["JUICIO", "AUDIENCIA_PREVIA", "VISTA", "COMPARECENCIA", "DECLARACION", "OTRO"];
+
+export const HEARING_STATUSES = ["PROGRAMADO", "CELEBRADO", "SUSPENDIDO"];
+
+/**
+ * @param {string} type - Hearing type
+ * @returns {string} Label in the interface language
+ */
+export function hearingTypeLabel(type) {
+  return t(`hearings.types.${type}`);
+}
+
+/**
+ * @param {string} status - Hearing status
+ * @returns {string} Label in the interface language
+ */
+export function hearingStatusLabel(status) {
+  return t(`hearings.statuses.${status}`);
+}
+
+/**
+ * Format a hearing start (YYYY-MM-DDTHH:MM, Madrid time)
+ * @param {string} startsAt - Local date/time
+ * @returns {string} e.g. "3 nov 2026 10:30" ("3 Nov 2026 10:30" in English)
+ */
+export function formatHearingDateTime(startsAt) {
+  const [date, time] = (startsAt || "").split("T");
+  return date ? `${formatDate(date)} ${time || ""}`.trim() : "-";
+}
+
+/**
+ * Generate (or rotate) the user's iCalendar subscription link
+ * Copies it to the clipboard when possible.
+ * @returns {Promise<string|null>} Subscription URL or null if cancelled
+ */
+export async function requestCalendarLink() {
+  const confirmed = confirm(t("hearings.calendarLinkConfirm"));
+  if (!confirmed) return null;
+
+  const { url } = await api.createCalendarToken();
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast(t("hearings.calendarLinkCopied"), "success");
+  } catch {
+    showToast(t("hearings.calendarLinkCreated"), "success");
+  }
+  return url;
+}
@@ -6,6 +6,7 @@
 
 import { api } from "../api.js";
 import { showToast } from "../app.js";
+import { t } from "../i18n.js";
 
 export class HojaEncargoModal {
   constructor(caseData, config, onComplete) {
@@ -75,7 +76,7 @@ export class HojaEncargoModal {
               </svg>
             </div>
             <div>
-              <h2 class="modal-title">Hoja de Encargo</h2>
+              <h2 class="modal-title">${t("documents.types.HOJA_ENCARGO")}</h2>
               <p class="modal-subtitle">${c.clientName} · <span class="mono">${c.internalReference}</span></p>
             </div>
           </div>
@@ -91,18 +92,18 @@ export class HojaEncargoModal {
           <!-- Input Form Section -->
           <div class="hoja-form-section" id="form-section">
             <div class="form-group">
-              <label class="form-label">Servicios Profesionales *</label>
+              <label class="form-label">${t("hojaEncargo.services")} *</label>
               <textarea
                 class="form-textarea"
                 id="hoja-services"
                 rows="4"
-                placeholder="Describe los servicios a prestar al cliente..."
+                placeholder="${t("hojaEncargo.servicesPlaceholder")}"
               >${c.services || ""}</textarea>
-              <span class="form-hint">Descripción de los servicios legales a prestar</span>
+              <span class="form-hint">${t("hojaEncargo.servicesHint")}</span>
             </div>
 
             <div class="form-group">
-              <label class="form-label">Honorarios (€) *</label>
+              <label class="form-label">${t("hojaEncargo.fees")} *</label>
               <div class="input-with-suffix">
                 <input
                   type="number"
@@ -115,7 +116,16 @@ export class HojaEncargoModal {
                 >
                 <span class="input-suffix">EUR</span>
               </div>
-              <span class="form-hint">Importe de los honorarios profesionales (sin IVA)</span>
+              <span class="form-hint">${t("hojaEncargo.feesHint")}</span>
+            </div>
+
+            <div class="form-group">
+              <label class="checkbox-label">
+                <input type="checkbox" id="hoja-bilingual" ${c.language === "en" ? "checked" : ""}>
+                <span class="checkbox-custom"></span>
+                <span>${t("hojaEncargo.bilingual")}</span>
+              </label>
+              <span class="form-hint">${t("hojaEncargo.bilingualHint")}</span>
             </div>
           </div>
 
@@ -141,8 +151,8 @@ export class HojaEncargoModal {
                   </svg>
                 </div>
                 <div class="step-content">
-                  <span class="step-title">Generar PDF</span>
-                  <span class="step-status" id="status-generate">Pendiente</span>
+                  <span class="step-title">${t("hojaEncargo.steps.generate")}</span>
+                  <span class="step-status" id="status-generate">${t("hojaEncargo.status.pending")}</span>
                 </div>
               </div>
 
@@ -164,8 +174,8 @@ export class HojaEncargoModal {
                   </svg>
                 </div>
                 <div class="step-content">
-                  <span class="step-title">Firmar Digitalmente</span>
-                  <span class="step-status" id="status-sign">Pendiente</span>
+                  <span class="step-title">${t("hojaEncargo.steps.sign")}</span>
+                  <span class="step-status" id="status-sign">${t("hojaEncargo.status.pending")}</span>
                 </div>
               </div>
 
@@ -188,8 +198,8 @@ export class HojaEncargoModal {
                   </svg>
                 </div>
                 <div class="step-content">
-                  <span class="step-title">Enviar por Email</span>
-                  <span class="step-status" id="status-send">Pendiente</span>
+                  <span class="step-title">${t("hojaEncargo.steps.send")}</span>
+                  <span class="step-status" id="status-send">${t("hojaEncargo.status.pending")}</span>
                 </div>
               </div>
             </div>
@@ -197,12 +207,12 @@ export class HojaEncargoModal {
             <!-- Email Input (shown after signing) -->
             <div class="email-section" id="email-section" style="display: none;">
               <div class="form-group">
-                <label class="form-label">Email del Cliente *</label>
+                <label class="form-label">${t("hojaEncargo.clientEmail")} *</label>
                 <input
                   type="email"
                   class="form-input"
                   id="hoja-email"
-                  placeholder="cliente@ejemplo.com"
+                  placeholder="${t("clients.form.emailPlaceholder")}"
                   value="${this.caseData.clientEmail || ""}"
                 >
               </div>
@@ -217,7 +227,7 @@ export class HojaEncargoModal {
                 </svg>
                 <div class="preview-info">
                   <span class="preview-filename" id="preview-filename">hoja_encargo.pdf</span>
-                  <span class="preview-status" id="preview-status">Generado</span>
+                  <span class="preview-status" id="preview-status">${t("hojaEncargo.status.generated")}</span>
                 </div>
                 <button class="btn btn-outline btn-sm" id="btn-download">
                   <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -225,7 +235,7 @@ export class HojaEncargoModal {
                     <polyline points="7 10 12 15 17 10"/>
                     <line x1="12" y1="15" x2="12" y2="3"/>
                   </svg>
-                  Descargar
+                  ${t("common.download")}
                 </button>
               </div>
             </div>
@@ -233,13 +243,13 @@ export class HojaEncargoModal {
         </div>
 
         <div class="modal-footer">
-          <button class="btn btn-secondary" id="btn-cancel">Cancelar</button>
+          <button class="btn btn-secondary" id="btn-cancel">${t("common.cancel")}</button>
           <button class="btn btn-primary" id="btn-action">
             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
               <polyline points="14 2 14 8 20 8"/>
             </svg>
-            Generar Documento
+            ${t("hojaEncargo.actions.generate")}
           </button>
         </div>
       </div>
@@ -289,43 +299,44 @@ export class HojaEncargoModal {
   async generateDocument() {
     const services = this.modal.querySelector("#hoja-services").value.trim();
     const fees = parseFloat(this.modal.querySelector("#hoja-fees").value);
+    const bilingual = this.modal.querySelector("#hoja-bilingual").checked;
 
     // Validation
     if (!services) {
-      showToast("Los servicios son obligatorios", "error");
+      showToast(t("hojaEncargo.servicesRequired"), "error");
       this.modal.querySelector("#hoja-services").focus();
       return;
     }
 
     if (!fees || fees <= 0) {
-      showToast("Los honorarios deben ser un número positivo", "error");
+      showToast(t("hojaEncargo.feesInvalid"), "error");
       this.modal.querySelector("#hoja-fees").focus();
       return;
     }
 
     // Update UI
-    this.updateStep("generate", "loading", "Generando...");
+    this.updateStep("generate", "loading", t("hojaEncargo.status.generating"));
     this.showWorkflowSection();
     this.disableActionButton();
 
     try {
-      const result = await api.generateHojaEncargo(this.caseData.id, services, fees);
+      const result = await api.generateHojaEncargo(this.caseData.id, services, fees, bilingual);
 
       if (result.success) {
         this.workflow.generate.status = "completed";
         this.workflow.generate.data = result.data;
         this.currentDocument = result.data;
 
-        this.updateStep("generate", "completed", "Completado");
+        this.updateStep("generate", "completed", t("hojaEncargo.status.completed"));
         this.showDocumentPreview(result.data);
-        this.updateActionButton("Firmar Documento", "sign");
-        showToast("Documento generado correctamente", "success");
+        this.updateActionButton(t("hojaEncargo.actions.sign"), "sign");
+        showToast(t("hojaEncargo.generated"), "success");
       }
     } catch (error) {
       this.workflow.generate.status = "error";
       this.updateStep("generate", "error", error.message);
-      showToast(`Error: ${error.message}`, "error");
-      this.updateActionButton("Reintentar", "generate");
+      showToast(t("common.errorMessage", { message: error.message }), "error");
+      this.updateActionButton(t("common.retry"), "generate");
     }
   }
 
@@ -334,11 +345,11 @@ export class HojaEncargoModal {
    */
   async signDocument() {
     if (!this.currentDocument) {
-      showToast("No hay documento para firmar", "error");
+      showToast(t("hojaEncargo.noDocumentToSign"), "error");
       return;
     }
 
-    this.updateStep("sign", "loading", "Firmando...");
+    this.updateStep("sign", "loading", t("hojaEncargo.status.signing"));
     this.disableActionButton();
 
     try {
@@ -349,24 +360,24 @@ export class HojaEncargoModal {
         this.workflow.sign.data = result.data;
         this.currentDocument = { ...this.currentDocument, ...result.data, signed: true };
 
-        this.updateStep("sign", "completed", "Firmado");
-        this.updatePreviewStatus("Firmado");
+        this.updateStep("sign", "completed", t("hojaEncargo.status.signed"));
+        this.updatePreviewStatus(t("hojaEncargo.status.signed"));
         this.showEmailSection();
-        this.updateActionButton("Enviar por Email", "send");
-        showToast("Documento firmado correctamente", "success");
+        this.updateActionButton(t("hojaEncargo.steps.send"), "send");
+        showToast(t("hojaEncargo.signedToast"), "success");
       }
     } catch (error) {
       this.workflow.sign.status = "error";
       this.updateStep("sign", "error", error.message);
-      showToast(`Error al firmar: ${error.message}`, "error");
+      showToast(t("hojaEncargo.signError", { message: error.message }), "error");
 
       // Allow skipping signature if certificate not configured
       if (error.message.includes("certificado") || error.message.includes("certificate")) {
         this.showEmailSection();
-        this.updateActionButton("Enviar sin Firma", "send");
-        this.updateStep("sign", "skipped", "Omitido (sin certificado)");
+        this.updateActionButton(t("hojaEncargo.actions.sendUnsigned"), "send");
+        this.updateStep("sign", "skipped", t("hojaEncargo.status.skipped"));
       } else {
-        this.updateActionButton("Reintentar Firma", "sign");
+        this.updateActionButton(t("hojaEncargo.actions.retrySign"), "sign");
       }
     }
   }
@@ -380,12 +391,12 @@ export class HojaEncargoModal {
     // Basic email validation
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!email || !emailRegex.test(email)) {
-      showToast("Introduce un email válido", "error");
+      showToast(t("hojaEncargo.emailInvalid"), "error");
       this.modal.querySelector("#hoja-email").focus();
       return;
     }
 
-    this.updateStep("send", "loading", "Enviando...");
+    this.updateStep("send", "loading", t("hojaEncargo.status.sending"));
     this.disableActionButton();
 
     try {
@@ -399,18 +410,18 @@ export class HojaEncargoModal {
         this.workflow.send.status = "completed";
         this.workflow.send.data = result.data;
 
-        this.updateStep("send", "completed", "Enviado");
-        showToast("Documento enviado correctamente", "success");
+        this.updateStep("send", "completed", t("hojaEncargo.status.queued"));
+        showToast(t("hojaEncargo.queuedToast"), "success");
 
         // Show completion state
         this.modal.querySelector("#btn-action").style.display = "none";
-        this.modal.querySelector("#btn-cancel").textContent = "Cerrar";
+        this.modal.querySelector("#btn-cancel").textContent = t("common.close");
       }
     } catch (error) {
       this.workflow.send.status = "error";
       this.updateStep("send", "error", error.message);
-      showToast(`Error al enviar: ${error.message}`, "error");
-      this.updateActionButton("Reintentar Envío", "send");
+      showToast(t("hojaEncargo.sendError", { message: error.message }), "error");
+      this.updateActionButton(t("hojaEncargo.actions.retrySend"), "send");
     }
   }
 
@@ -419,7 +430,7 @@ export class HojaEncargoModal {
    */
   downloadDocument() {
     if (!this.currentDocument || !this.currentDocument.documentId) {
-      showToast("No hay documento para descargar", "error");
+      showToast(t("hojaEncargo.noDocumentToDownload"), "error");
       return;
     }
 
@@ -510,7 +521,7 @@ export class HojaEncargoModal {
       <svg class="spinner" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
         <circle cx="12" cy="12" r="10"/>
       </svg>
-      Procesando...
+      ${t("common.processing")}
     `;
   }
 }
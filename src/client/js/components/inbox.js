@@ -0,0 +1,310 @@
+/**
+ * Inbox View
+ * Emails imported from the office mailbox: the "bandeja sin asignar" with the
+ * messages that could not be matched to a case, manual assignment and discard
+ */
+
+import { api } from "../api.js";
+import { showToast } from "../app.js";
+import { t, plural, formatDateTime } from "../i18n.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+
+// Filter tabs (server statuses)
+const FILTERS = ["UNASSIGNED", "ASSIGNED", "DISCARDED"];
+
+// Cases offered in the assign dialog per search
+const CASE_SEARCH_SIZE = 8;
+
+/**
+ * Server timestamps are UTC without a zone ("YYYY-MM-DD HH:MM:SS")
+ * @param {string} value - SQLite datetime
+ */
+function formatServerDate(value) {
+  return value ? formatDateTime(`${value.replace(" ", "T")}Z`) : "-";
+}
+
+export class InboxView {
+  constructor(container) {
+    this.container = container;
+    this.items = [];
+    this.summary = {};
+    this.filter = "UNASSIGNED";
+  }
+
+  async render() {
+    try {
+      const result = await api.getInbox({ status: this.filter });
+      this.items = result.data.items;
+      this.summary = result.data.summary;
+      this.container.innerHTML = this.template();
+      this.bindEvents();
+    } catch (error) {
+      console.error("Inbox error:", error);
+      showToast(t("inbox.loadError"), "error");
+      this.container.innerHTML = `
+        <div class="error-state">
+          <p>${t("inbox.loadError")}: ${escapeAttr(error.message)}</p>
+        </div>
+      `;
+    }
+  }
+
+  template() {
+    return `
+      <div class="module-list-view">
+        <div class="header">
+          <div class="header-title">
+            <h1>${t("inbox.title")}</h1>
+            <p>${t("inbox.subtitle")}</p>
+          </div>
+          <div class="header-actions">
+            <button class="btn btn-primary" id="btn-inbox-fetch">${t("inbox.fetch")}</button>
+          </div>
+        </div>
+
+        <div class="filter-tabs" style="width: fit-content; margin-bottom: 16px;">
+          ${FILTERS.map(
+            (status) => `
+            <button type="button" class="filter-tab inbox-filter ${this.filter === status ? "active" : ""}" data-status="${status}">
+              ${t(`inbox.status.${status}`)}
+              <span class="inbox-count">${this.summary[status] || 0}</span>
+            </button>
+          `
+          ).join("")}
+        </div>
+
+        ${this.items.length > 0 ? this.renderTable() : this.renderEmpty()}
+      </div>
+    `;
+  }
+
+  renderEmpty() {
+    return `
+      <div class="empty-state">
+        <h3>${t(`inbox.empty.${this.filter}`)}</h3>
+        ${this.filter === "UNASSIGNED" ? `<p>${t("inbox.emptyHint")}</p>` : ""}
+      </div>
+    `;
+  }
+
+  renderTable() {
+    return `
+      <div class="data-table-container">
+        <table class="data-table inbox-table">
+          <thead>
+            <tr>
+              <th>${t("inbox.columns.received")}</th>
+              <th>${t("inbox.columns.from")}</th>
+              <th>${t("inbox.columns.subject")}</th>
+              <th>${this.filter === "ASSIGNED" ? t("inbox.columns.case") : t("inbox.columns.reason")}</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.items.map((item) => this.renderRow(item)).join("")}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  /**
+   * One imported email
+   * @param {Object} item - Inbound email
+   */
+  renderRow(item) {
+    const assigned = item.status === "ASSIGNED";
+    const matchCell = assigned
+      ? `<a href="#/cases/${item.caseId}">${escapeAttr(item.caseReference || "")}</a>
+         <div class="inbox-meta">${t(`inbox.matchMethod.${item.matchMethod}`)}</div>`
+      : item.unassignedReason
+        ? `${t(`inbox.reason.${item.unassignedReason}`)}
+           ${item.references.length > 0 ? `<div class="inbox-meta mono">${escapeAttr(item.references.join(", "))}</div>` : ""}`
+        : "-";
+
+    return `
+      <tr>
+        <td>${formatServerDate(item.receivedAt)}</td>
+        <td>
+          <div>${escapeAttr(item.fromName || item.fromAddress || "")}</div>
+          ${item.fromName ? `<div class="inbox-meta">${escapeAttr(item.fromAddress || "")}</div>` : ""}
+        </td>
+        <td>
+          <div>${escapeAttr(item.subject || t("inbox.noSubject"))}</div>
+          ${
+            item.attachmentNames.length > 0
+              ? `<div class="inbox-meta">${plural("inbox.attachments", item.attachmentNames.length)}: ${escapeAttr(item.attachmentNames.join(", "))}</div>`
+              : ""
+          }
+        </td>
+        <td>${matchCell}</td>
+        <td class="inbox-actions">
+          ${assigned ? "" : `<button type="button" class="btn btn-secondary btn-sm btn-inbox-assign" data-id="${item.id}">${t("inbox.assign")}</button>`}
+          ${item.status === "UNASSIGNED" ? `<button type="button" class="btn btn-secondary btn-sm btn-inbox-discard" data-id="${item.id}">${t("inbox.discard")}</button>` : ""}
+          <button type="button" class="btn btn-secondary btn-sm btn-inbox-download" data-id="${item.id}">.eml</button>
+        </td>
+      </tr>
+    `;
+  }
+
+  bindEvents() {
+    this.container.querySelector("#btn-inbox-fetch").addEventListener("click", (e) => this.fetchMailbox(e.currentTarget));
+
+    this.container.querySelectorAll(".inbox-filter").forEach((tab) => {
+      tab.addEventListener("click", () => {
+        this.filter = tab.dataset.status;
+        this.render();
+      });
+    });
+
+    this.container.querySelectorAll(".btn-inbox-assign").forEach((btn) => {
+      btn.addEventListener("click", () => this.showAssignModal(parseInt(btn.dataset.id, 10)));
+    });
+
+    this.container.querySelectorAll(".btn-inbox-discard").forEach((btn) => {
+      btn.addEventListener("click", async () => {
+        if (!confirm(t("inbox.confirmDiscard"))) return;
+        btn.disabled = true;
+        try {
+          await api.discardInboundEmail(btn.dataset.id);
+          showToast(t("inbox.discarded"), "success");
+          await this.render();
+        } catch (error) {
+          showToast(error.message, "error");
+          btn.disabled = false;
+        }
+      });
+    });
+
+    this.container.querySelectorAll(".btn-inbox-download").forEach((btn) => {
+      btn.addEventListener("click", () => api.downloadInboundEmail(btn.dataset.id));
+    });
+  }
+
+  /**
+   * Read the mailbox now and show what was imported
+   * @param {HTMLButtonElement} btn - Fetch button
+   */
+  async fetchMailbox(btn) {
+    btn.disabled = true;
+    btn.textContent = t("inbox.fetching");
+    try {
+      const result = (await api.fetchInbox()).data;
+      const key = result.failed > 0 ? "inbox.fetchedWithErrors" : result.imported > 0 ? "inbox.fetched" : "inbox.nothingNew";
+      showToast(t(key, result), result.failed > 0 ? "error" : "success");
+      await this.render();
+    } catch (error) {
+      showToast(error.message, "error");
+      btn.disabled = false;
+      btn.textContent = t("inbox.fetch");
+    }
+  }
+
+  /**
+   * Dialog with the email and a case search to file it
+   * @param {number} id - Inbound email ID
+   */
+  async showAssignModal(id) {
+    let email;
+    try {
+      email = (await api.getInboundEmail(id)).data;
+    } catch (error) {
+      showToast(error.message, "error");
+      return;
+    }
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal" style="background: var(--bg-card); border: 1px solid var(--border-light); border-radius: 16px; padding: 24px; max-width: 640px; width: 90%;">
+        <h3 style="font-size: 16px; font-weight: 500; color: var(--text-primary); margin-bottom: 4px;">${escapeAttr(email.subject || t("inbox.noSubject"))}</h3>
+        <p style="font-size: 12px; color: var(--text-dimmed); margin-bottom: 12px;">
+          ${escapeAttr([email.fromName, email.fromAddress].filter(Boolean).join(" · "))} · ${formatServerDate(email.receivedAt)}
+        </p>
+        ${
+          email.attachmentNames.length > 0
+            ? `<p style="font-size: 12px; color: var(--text-secondary); margin-bottom: 12px;">${plural("inbox.attachments", email.attachmentNames.length)}: ${escapeAttr(email.attachmentNames.join(", "))}</p>`
+            : ""
+        }
+        <pre class="inbox-preview">${escapeAttr(email.textPreview || "")}</pre>
+
+        <label for="inbox-case-search" style="font-size: 12px; color: var(--text-dimmed); display: block; margin: 16px 0 4px;">${t("inbox.caseSearch")}</label>
+        <input type="search" id="inbox-case-search" class="form-input" placeholder="${t("inbox.caseSearchPlaceholder")}" value="${escapeAttr(email.references[0] || "")}">
+        <div id="inbox-case-results" class="inbox-case-results"></div>
+        <p style="font-size: 11px; color: var(--text-dimmed); margin: 8px 0 24px;">${t("inbox.assignHelp")}</p>
+
+        <div style="display: flex; gap: 8px; justify-content: flex-end;">
+          <button class="btn btn-secondary" id="modal-cancel">${t("common.cancel")}</button>
+          <button class="btn btn-primary" id="modal-confirm" disabled>${t("inbox.assign")}</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    requestAnimationFrame(() => modal.classList.add("modal-visible"));
+
+    const close = () => {
+      modal.classList.remove("modal-visible");
+      setTimeout(() => modal.remove(), 200);
+    };
+    const searchInput = modal.querySelector("#inbox-case-search");
+    const results = modal.querySelector("#inbox-case-results");
+    const confirmBtn = modal.querySelector("#modal-confirm");
+    let selectedCaseId = null;
+    let searchTimer = null;
+
+    const search = async () => {
+      selectedCaseId = null;
+      confirmBtn.disabled = true;
+      try {
+        const data = await api.listCases({ search: searchInput.value.trim() }, 1, CASE_SEARCH_SIZE);
+        const cases = (data.cases || []).filter((c) => c.state !== "ARCHIVADO");
+        results.innerHTML =
+          cases.length > 0
+            ? cases
+                .map(
+                  (c) => `
+              <label class="inbox-case-option">
+                <input type="radio" name="inbox-case" value="${c.id}">
+                <span class="mono">${escapeAttr(c.internalReference || "")}</span>
+                ${c.aragReference ? `<span class="mono" style="color: var(--text-dimmed);">${escapeAttr(c.aragReference)}</span>` : ""}
+                <span>${escapeAttr(c.clientName || "")}</span>
+              </label>`
+                )
+                .join("")
+            : `<p style="font-size: 12px; color: var(--text-dimmed); margin: 8px 0 0;">${t("inbox.noCases")}</p>`;
+        results.querySelectorAll('input[name="inbox-case"]').forEach((radio) => {
+          radio.addEventListener("change", () => {
+            selectedCaseId = parseInt(radio.value, 10);
+            confirmBtn.disabled = false;
+          });
+        });
+      } catch (error) {
+        showToast(error.message, "error");
+      }
+    };
+
+    searchInput.addEventListener("input", () => {
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(search, 300);
+    });
+    modal.querySelector("#modal-cancel").addEventListener("click", close);
+    confirmBtn.addEventListener("click", async () => {
+      if (!selectedCaseId) return;
+      confirmBtn.disabled = true;
+      try {
+        const assigned = (await api.assignInboundEmail(id, selectedCaseId)).data;
+        showToast(t("inbox.assigned", { reference: assigned.caseReference }), "success");
+        close();
+        await this.render();
+      } catch (error) {
+        showToast(error.message, "error");
+        confirmBtn.disabled = false;
+      }
+    });
+
+    search();
+    searchInput.focus();
+  }
+}
+
+export default InboxView;
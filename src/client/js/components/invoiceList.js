@@ -0,0 +1,196 @@
+/**
+ * Invoice Register View
+ * Issued minuta invoices (and rectifying invoices) by date range, with totals and CSV export for the gestoría
+ */
+
+import { api } from "../api.js";
+import { showToast } from "../app.js";
+import { t, plural, formatDate, formatCurrency } from "../i18n.js";
+import { router } from "../router.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+
+export class InvoiceListView {
+  constructor(container) {
+    this.container = container;
+    this.invoices = [];
+    this.totals = { count: 0, baseAmount: 0, vatAmount: 0, total: 0 };
+
+    // Default range: current quarter (VAT returns are quarterly)
+    const today = new Date();
+    const quarterStart = new Date(today.getFullYear(), Math.floor(today.getMonth() / 3) * 3, 1);
+    this.filters = {
+      from: this.toIsoDate(quarterStart),
+      to: this.toIsoDate(today),
+    };
+  }
+
+  async render() {
+    try {
+      await this.loadInvoices();
+      this.container.innerHTML = this.template();
+      this.bindEvents();
+    } catch (error) {
+      console.error("Invoice list error:", error);
+      showToast(t("invoices.loadError"), "error");
+      this.container.innerHTML = `
+        <div class="error-state">
+          <p>${t("invoices.loadError")}: ${error.message}</p>
+        </div>
+      `;
+    }
+  }
+
+  async loadInvoices() {
+    const data = await api.listInvoices(this.filters);
+    this.invoices = data.invoices || [];
+    this.totals = data.totals || this.totals;
+  }
+
+  template() {
+    const dateInput = (id, value) => `
+      <input type="date" class="form-input" id="${id}" value="${value || ""}" style="width: auto;">
+    `;
+
+    return `
+      <div class="module-list-view">
+        <div class="header">
+          <div class="header-title">
+            <h1>${t("invoices.title")}</h1>
+            <p>${t("invoices.subtitle")}</p>
+          </div>
+          <div class="header-actions">
+            <a href="#/invoicing" class="btn btn-secondary">${t("nav.invoicing")}</a>
+            <a href="#/reconciliation" class="btn btn-secondary">${t("reconciliation.title")}</a>
+            <button class="btn btn-primary" id="btn-export-invoices">${t("invoices.exportCsv")}</button>
+          </div>
+        </div>
+
+        <div class="filters-row" style="gap: 8px; align-items: center;">
+          <label class="form-label" for="invoice-from" style="margin: 0;">${t("common.from")}</label>
+          ${dateInput("invoice-from", this.filters.from)}
+          <label class="form-label" for="invoice-to" style="margin: 0;">${t("common.to")}</label>
+          ${dateInput("invoice-to", this.filters.to)}
+        </div>
+
+        <div id="invoice-list-content">
+          ${this.renderContent()}
+        </div>
+      </div>
+    `;
+  }
+
+  renderContent() {
+    if (this.invoices.length === 0) {
+      return `
+        <div class="empty-state">
+          <h3>${t("invoices.empty")}</h3>
+          <p>${t("invoices.emptyHint")}</p>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="data-table-container">
+        <table class="data-table">
+          <thead>
+            <tr>
+              <th>${t("invoices.number")}</th>
+              <th>${t("common.date")}</th>
+              <th>${t("cases.fields.client")}</th>
+              <th>${t("cases.fields.aragReference")}</th>
+              <th style="text-align: right;">${t("invoices.base")}</th>
+              <th style="text-align: right;">${t("invoices.vat")}</th>
+              <th style="text-align: right;">${t("invoices.total")}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${this.invoices
+              .map(
+                (inv) => `
+              <tr data-case-id="${inv.caseId}" style="cursor: pointer;">
+                <td>
+                  <div class="cell-client">
+                    <span class="cell-reference mono">${escapeAttr(inv.invoiceNumber)}</span>
+                    ${
+                      inv.rectificationReason
+                        ? `<span class="cell-client-email">${t("invoices.rectifies", {
+                            number: escapeAttr(inv.rectifiedInvoiceNumber || t("invoices.previousMinuta")),
+                          })}</span>`
+                        : ""
+                    }
+                  </div>
+                </td>
+                <td><span class="cell-date">${formatDate(inv.issueDate)}</span></td>
+                <td><span class="cell-client-name">${escapeAttr(inv.clientName)}</span></td>
+                <td><span class="cell-reference mono">${escapeAttr(inv.aragReference || "-")}</span></td>
+                <td style="text-align: right;">${formatCurrency(inv.baseAmount)}</td>
+                <td style="text-align: right;">${formatCurrency(inv.vatAmount)}</td>
+                <td style="text-align: right;">${formatCurrency(inv.total)}</td>
+              </tr>
+            `
+              )
+              .join("")}
+          </tbody>
+        </table>
+        <div class="table-footer">
+          <span class="table-info">${plural("invoices.count", this.totals.count)}</span>
+          <span class="table-info">
+            ${t("invoices.base")} ${formatCurrency(this.totals.baseAmount)} ·
+            ${t("invoices.vat")} ${formatCurrency(this.totals.vatAmount)} ·
+            ${t("invoices.total")} ${formatCurrency(this.totals.total)}
+          </span>
+        </div>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    const onDateChange = async () => {
+      this.filters.from = this.container.querySelector("#invoice-from").value;
+      this.filters.to = this.container.querySelector("#invoice-to").value;
+      await this.refresh();
+    };
+    this.container.querySelector("#invoice-from")?.addEventListener("change", onDateChange);
+    this.container.querySelector("#invoice-to")?.addEventListener("change", onDateChange);
+
+    this.container.querySelector("#btn-export-invoices")?.addEventListener("click", () => {
+      const a = document.createElement("a");
+      a.href = api.getInvoicesExportUrl(this.filters);
+      a.download = "facturas.csv";
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+    });
+
+    this.bindContentEvents();
+  }
+
+  bindContentEvents() {
+    this.container.querySelectorAll("tr[data-case-id]").forEach((row) => {
+      row.addEventListener("click", () => {
+        router.navigate(`/invoicing/${row.dataset.caseId}`);
+      });
+    });
+  }
+
+  async refresh() {
+    try {
+      await this.loadInvoices();
+      const content = this.container.querySelector("#invoice-list-content");
+      if (content) {
+        content.innerHTML = this.renderContent();
+        this.bindContentEvents();
+      }
+    } catch (error) {
+      showToast(error.message || t("invoices.loadError"), "error");
+    }
+  }
+
+  toIsoDate(date) {
+    const month = (date.getMonth() + 1).toString().padStart(2, "0");
+    const day = date.getDate().toString().padStart(2, "0");
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+}
+
+export default InvoiceListView;
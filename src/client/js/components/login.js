@@ -0,0 +1,84 @@
+/**
+ * Login Component
+ * Username/password form shown when the API answers 401
+ */
+
+import { api } from "../api.js";
+import { router } from "../router.js";
+import { showToast, loadCurrentUser } from "../app.js";
+import { t } from "../i18n.js";
+
+export class LoginView {
+  constructor(container) {
+    this.container = container;
+  }
+
+  async render() {
+    document.body.classList.add("login-mode");
+    this.container.innerHTML = this.template();
+    this.bindEvents();
+    this.container.querySelector("#login-username")?.focus();
+  }
+
+  template() {
+    return `
+      <div class="login-wrapper">
+        <div class="data-table-container login-card">
+          <div class="sidebar-header" style="padding: 0 0 24px 0;">
+            <div class="sidebar-logo">IY</div>
+            <span class="sidebar-title">${t("app.title")}</span>
+          </div>
+          <h1 style="font-size: 18px; font-weight: 500; color: var(--text-primary); margin-bottom: 4px;">${t("login.title")}</h1>
+          <p style="font-size: 12px; color: var(--text-dimmed); margin-bottom: 24px;">${t("login.intro")}</p>
+          <form id="login-form">
+            <div style="margin-bottom: 16px;">
+              <label for="login-username" style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("login.username")}</label>
+              <input type="text" id="login-username" name="username" autocomplete="username" required
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+            <div style="margin-bottom: 24px;">
+              <label for="login-password" style="font-size: 12px; color: var(--text-dimmed); display: block; margin-bottom: 4px;">${t("login.password")}</label>
+              <input type="password" id="login-password" name="password" autocomplete="current-password" required
+                style="width: 100%; padding: 10px 12px; background: var(--bg-input); border: 1px solid var(--border-default); border-radius: 8px; color: var(--text-primary); font-family: var(--font-sans); font-size: 14px;">
+            </div>
+            <p id="login-error" style="font-size: 12px; color: var(--status-error); margin-bottom: 16px; display: none;"></p>
+            <button type="submit" class="btn btn-primary" id="login-submit" style="width: 100%;">${t("login.submit")}</button>
+          </form>
+        </div>
+      </div>
+    `;
+  }
+
+  bindEvents() {
+    const form = this.container.querySelector("#login-form");
+    form?.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const username = form.querySelector("#login-username").value.trim();
+      const password = form.querySelector("#login-password").value;
+      const errorEl = form.querySelector("#login-error");
+      const submit = form.querySelector("#login-submit");
+
+      errorEl.style.display = "none";
+      submit.disabled = true;
+
+      try {
+        const { user } = await api.login(username, password);
+        document.body.classList.remove("login-mode");
+        await loadCurrentUser();
+        showToast(t("login.welcome", { name: user.fullName || user.username }), "success");
+
+        const redirect = router.getQueryParams().get("redirect");
+        router.navigate(redirect && !redirect.startsWith("/login") ? redirect : "/");
+      } catch (error) {
+        errorEl.textContent = error.message;
+        errorEl.style.display = "block";
+        form.querySelector("#login-password").value = "";
+        form.querySelector("#login-password").focus();
+      } finally {
+        submit.disabled = false;
+      }
+    });
+  }
+}
+
+export default LoginView;
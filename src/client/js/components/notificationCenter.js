@@ -5,6 +5,7 @@
 
 import { api } from "../api.js";
 import { router } from "../router.js";
+import { t, plural, hasTranslation } from "../i18n.js";
 
 const STORAGE_KEY = "notifications_last_seen";
 
@@ -40,7 +41,8 @@ const SEVERITY_CONFIG = {
  */
 function getNotificationRoute(notification) {
   switch (notification.type) {
-    case "failed_emails": {
+    case "failed_emails":
+    case "bounced_minutas": {
       const firstCase = notification.items?.[0];
       if (firstCase) {
         if (firstCase.caseType === "ARAG") return `#/invoicing/${firstCase.caseId}`;
@@ -53,6 +55,12 @@ function getNotificationRoute(notification) {
       return "#/invoicing";
     case "missing_suplido":
       return "#/invoicing";
+    case "unpaid_minutas":
+      // Dashboard shows the receivables ageing widget
+      return "#/";
+    case "overdue_deadlines":
+    case "upcoming_deadlines":
+      return "#/deadlines";
     case "missing_hoja":
       return "#/particulares";
     case "stale_cases":
@@ -66,6 +74,30 @@ function getNotificationRoute(notification) {
   }
 }
 
+/**
+ * Notification text in the interface language
+ * The server message (Spanish) is kept for unknown notification types.
+ */
+function getNotificationMessage(notification) {
+  const { type, count } = notification;
+  const days = notification.params?.days;
+
+  switch (type) {
+    case "certificate_expiry":
+      return days > 0
+        ? plural("notifications.certificateExpiring", days)
+        : t("notifications.certificateExpired");
+    case "backup_stale":
+      return days == null
+        ? t("notifications.noBackups")
+        : t("notifications.backupStale", { days });
+    default: {
+      const key = `notifications.types.${type}`;
+      return hasTranslation(`${key}.one`) ? plural(key, count, { days }) : notification.message;
+    }
+  }
+}
+
 /**
  * Render a single notification item
  */
@@ -81,7 +113,7 @@ function renderNotificationItem(notification) {
         return `<span class="notif-detail-ref">${item.reference}</span> ${item.clientName || ""}`;
       }
       if (item.daysInactive) {
-        return `${item.clientName} — ${item.daysInactive}d inactivo`;
+        return `${item.clientName} — ${t("notifications.daysInactive", { days: item.daysInactive })}`;
       }
       return item.clientName || "";
     });
@@ -89,7 +121,7 @@ function renderNotificationItem(notification) {
     details = `
       <div class="notif-details">
         ${itemLines.map((line) => `<div class="notif-detail-line">${line}</div>`).join("")}
-        ${notification.count > 5 ? `<div class="notif-detail-more">+${notification.count - 5} más</div>` : ""}
+        ${notification.count > 5 ? `<div class="notif-detail-more">${t("notifications.more", { count: notification.count - 5 })}</div>` : ""}
       </div>
     `;
   }
@@ -98,7 +130,7 @@ function renderNotificationItem(notification) {
     <a href="${route}" class="notif-item ${config.class}" data-notif-type="${notification.type}">
       <div class="notif-icon">${config.icon}</div>
       <div class="notif-content">
-        <div class="notif-message">${notification.message}</div>
+        <div class="notif-message">${getNotificationMessage(notification)}</div>
         ${details}
       </div>
       <div class="notif-arrow">
@@ -189,10 +221,10 @@ export class NotificationCenter {
     this.dropdownEl.className = "notif-dropdown";
     this.dropdownEl.innerHTML = `
       <div class="notif-header">
-        <span class="notif-title">Notificaciones</span>
+        <span class="notif-title">${t("notifications.title")}</span>
       </div>
       <div class="notif-body">
-        <div class="notif-loading">Cargando...</div>
+        <div class="notif-loading">${t("common.loading")}</div>
       </div>
     `;
 
@@ -243,7 +275,7 @@ export class NotificationCenter {
             <path d="M9 12l2 2 4-4"/>
             <circle cx="12" cy="12" r="10"/>
           </svg>
-          <span>Todo en orden</span>
+          <span>${t("notifications.empty")}</span>
         </div>
       `;
       return;
@@ -1,10 +1,13 @@
 /**
  * Particulares View
- * Engagement letter (Hoja de Encargo) screen for PARTICULAR cases
+ * Engagement letter (Hoja de Encargo), time tracking and provisiones de fondos
+ * screen for PARTICULAR cases
  */
 
 import { api } from "../api.js";
-import { showToast, formatDate } from "../app.js";
+import { showToast } from "../app.js";
+import { t, formatCurrency, formatDate, formatDateTime, formatNumber } from "../i18n.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
 
 export class ParticularesView {
   constructor(container, caseId) {
@@ -13,6 +16,11 @@ export class ParticularesView {
     this.caseData = null;
     this.config = null;
     this.history = { documents: [], emails: [] };
+    this.timeEntries = { entries: [], summary: null };
+    this.runningTimer = null;
+    this.timerInterval = null;
+    this.provisions = { movements: [], balance: null };
+    this.signatureRequests = [];
   }
 
   async render() {
@@ -32,11 +40,40 @@ export class ParticularesView {
       } catch (e) {
         this.history = { documents: [], emails: [] };
       }
+
+      // Load time entries and the user's running timer
+      try {
+        const [timeEntries, runningTimer] = await Promise.all([
+          api.listTimeEntries(this.caseId),
+          api.getRunningTimer(),
+        ]);
+        this.timeEntries = timeEntries;
+        this.runningTimer = runningTimer;
+      } catch (e) {
+        this.timeEntries = { entries: [], summary: null };
+        this.runningTimer = null;
+      }
+
+      // Load provisiones de fondos ledger
+      try {
+        const provisionsResult = await api.getProvisions(this.caseId);
+        this.provisions = provisionsResult.data || { movements: [], balance: null };
+      } catch (e) {
+        this.provisions = { movements: [], balance: null };
+      }
+
+      // Load client signing links
+      try {
+        const signatureResult = await api.getClientSignatureRequests(this.caseId);
+        this.signatureRequests = signatureResult.data || [];
+      } catch (e) {
+        this.signatureRequests = [];
+      }
     } catch (error) {
       this.container.innerHTML = `
         <div class="error-state">
-          <p>Error al cargar el expediente: ${error.message}</p>
-          <a href="#/cases" class="btn btn-secondary">Volver a Expedientes</a>
+          <p>${t("particulares.loadError", { message: error.message })}</p>
+          <a href="#/cases" class="btn btn-secondary">${t("caseDetail.backToCases")}</a>
         </div>
       `;
       return;
@@ -46,8 +83,8 @@ export class ParticularesView {
     if (this.caseData.type !== "PARTICULAR") {
       this.container.innerHTML = `
         <div class="error-state">
-          <p>Este módulo solo está disponible para expedientes Particulares.</p>
-          <a href="#/cases/${this.caseId}" class="btn btn-secondary">Volver al Expediente</a>
+          <p>${t("particulares.onlyParticular")}</p>
+          <a href="#/cases/${this.caseId}" class="btn btn-secondary">${t("particulares.backToCase")}</a>
         </div>
       `;
       return;
@@ -78,9 +115,9 @@ export class ParticularesView {
         <div class="particulares-header">
           <div class="particulares-header-top">
             <nav class="breadcrumb">
-              <a href="#/cases">Expedientes</a>
+              <a href="#/cases">${t("nav.cases")}</a>
               <span class="separator">›</span>
-              <span class="current text-green">Particular</span>
+              <span class="current text-green">${t("cases.types.PARTICULAR")}</span>
               <span class="separator">›</span>
               <span class="current">${c.internalReference}</span>
             </nav>
@@ -102,12 +139,12 @@ export class ParticularesView {
                 <div class="client-refs">
                   <span class="ref-item">
                     <span class="ref-dot ref-dot-green"></span>
-                    <span class="ref-label">Ref:</span>
+                    <span class="ref-label">${t("particulares.ref")}</span>
                     <span class="ref-value">${c.internalReference}</span>
                   </span>
                   <span class="ref-divider"></span>
                   <span class="ref-item">
-                    <span class="ref-label">Particular</span>
+                    <span class="ref-label">${t("cases.types.PARTICULAR")}</span>
                   </span>
                 </div>
               </div>
@@ -119,7 +156,7 @@ export class ParticularesView {
                   <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
                   <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
                 </svg>
-                Editar Ficha
+                ${t("particulares.editRecord")}
               </a>
             </div>
           </div>
@@ -131,10 +168,10 @@ export class ParticularesView {
           <div class="particulares-sidebar">
             <!-- Client Data Card -->
             <div class="card card-glass">
-              <h3 class="card-section-title">Datos del Cliente</h3>
+              <h3 class="card-section-title">${t("particulares.clientData")}</h3>
               
               <div class="form-group">
-                <label class="form-label">Referencia Interna (Auto)</label>
+                <label class="form-label">${t("particulares.internalReference")}</label>
                 <div class="input-readonly input-readonly-dark">
                   <span class="mono">${c.internalReference}</span>
                   <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -145,14 +182,14 @@ export class ParticularesView {
               </div>
 
               <div class="form-group">
-                <label class="form-label">Nombre Completo</label>
+                <label class="form-label">${t("clients.fields.fullName")}</label>
                 <div class="input-display">
                   <span>${c.clientName}</span>
                 </div>
               </div>
 
               <div class="form-group">
-                <label class="form-label">Fecha de Entrada</label>
+                <label class="form-label">${t("cases.form.entryDate")}</label>
                 <div class="input-display">
                   <span class="mono">${this.formatDateInput(c.entryDate)}</span>
                 </div>
@@ -161,7 +198,7 @@ export class ParticularesView {
               <div class="divider"></div>
 
               <div class="form-group">
-                <label class="form-label">Email de Contacto</label>
+                <label class="form-label">${t("particulares.contactEmail")}</label>
                 <div class="input-display">
                   <span>${c.clientEmail || "-"}</span>
                 </div>
@@ -177,14 +214,14 @@ export class ParticularesView {
                   <line x1="12" y1="9" x2="12" y2="13"/>
                   <line x1="12" y1="17" x2="12.01" y2="17"/>
                 </svg>
-                <h3 class="card-section-title card-section-title-danger">Finalizar Expediente</h3>
+                <h3 class="card-section-title card-section-title-danger">${t("particulares.finalize.title")}</h3>
               </div>
               <p class="card-description-danger">
-                Requiere fecha de cierre. El estado cambiará automáticamente a "Archivado".
+                ${t("particulares.finalize.hint")}
               </p>
               <div class="archive-form">
                 <div class="form-group">
-                  <label class="form-label form-label-danger">Fecha de Cierre</label>
+                  <label class="form-label form-label-danger">${t("caseDetail.closureDate")}</label>
                   <input type="date" class="form-input form-input-danger" id="closure-date" value="${
                     new Date().toISOString().split("T")[0]
                   }">
@@ -194,7 +231,7 @@ export class ParticularesView {
                     <polyline points="3 6 5 6 21 6"/>
                     <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
                   </svg>
-                  Marcar como Finalizado
+                  ${t("particulares.finalize.submit")}
                 </button>
               </div>
             </div>
@@ -215,11 +252,11 @@ export class ParticularesView {
                     </svg>
                   </div>
                   <div class="card-header-text">
-                    <span class="card-title">Hoja de Encargo</span>
-                    <span class="card-subtitle-green">Generación Automática • Plantilla v2</span>
+                    <span class="card-title">${t("documents.types.HOJA_ENCARGO")}</span>
+                    <span class="card-subtitle-green">${t("particulares.hoja.subtitle")}</span>
                   </div>
                 </div>
-                <button class="btn-icon" title="Expandir">
+                <button class="btn-icon" title="${t("particulares.expand")}">
                   <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polyline points="15 3 21 3 21 9"/>
                     <polyline points="9 21 3 21 3 15"/>
@@ -232,16 +269,15 @@ export class ParticularesView {
               <!-- Card Content -->
               <div class="hoja-encargo-content">
                 <div class="form-group">
-                  <label class="form-label">Servicios Contratados</label>
-                  <textarea class="form-textarea form-textarea-large" id="services" placeholder="Descripción de los servicios contratados...">${
-                    c.services ||
-                    "Reclamación extrajudicial y judicial por incumplimiento de contrato de obra. Incluye redacción de burofax y demanda."
+                  <label class="form-label">${t("particulares.hoja.services")}</label>
+                  <textarea class="form-textarea form-textarea-large" id="services" placeholder="${t("particulares.hoja.servicesPlaceholder")}">${
+                    c.services || t("particulares.hoja.servicesDefault")
                   }</textarea>
                 </div>
 
                 <div class="form-row">
                   <div class="form-group form-group-half">
-                    <label class="form-label">Honorarios Base</label>
+                    <label class="form-label">${t("particulares.hoja.baseFee")}</label>
                     <div class="input-currency">
                       <span class="currency-symbol">€</span>
                       <input type="number" class="form-input form-input-currency" id="base-fee" value="${baseFee.toFixed(
@@ -250,7 +286,7 @@ export class ParticularesView {
                     </div>
                   </div>
                   <div class="form-group form-group-half">
-                    <label class="form-label">Provisión de Fondos</label>
+                    <label class="form-label">${t("particulares.hoja.provision")}</label>
                     <div class="input-currency">
                       <span class="currency-symbol">€</span>
                       <input type="number" class="form-input form-input-currency" id="provision" value="${provision.toFixed(
@@ -264,26 +300,32 @@ export class ParticularesView {
                 <div class="totals-box">
                   <div class="totals-left">
                     <div class="total-row">
-                      <span class="total-label">IVA (${vatRate}%):</span>
-                      <span class="total-value" id="vat-amount">${this.formatCurrency(
+                      <span class="total-label">${t("particulares.hoja.vat", { rate: vatRate })}</span>
+                      <span class="total-value" id="vat-amount">${formatCurrency(
                         vatAmount
                       )}</span>
                     </div>
                     <div class="total-row">
-                      <span class="total-label">Total Estimado:</span>
-                      <span class="total-value" id="subtotal-amount">${this.formatCurrency(
+                      <span class="total-label">${t("particulares.hoja.estimatedTotal")}</span>
+                      <span class="total-value" id="subtotal-amount">${formatCurrency(
                         totalAmount
                       )}</span>
                     </div>
                   </div>
                   <div class="totals-right">
-                    <span class="total-label-green">Total Hoja Encargo</span>
-                    <span class="total-amount-large" id="total-amount">${this.formatCurrency(
+                    <span class="total-label-green">${t("particulares.hoja.total")}</span>
+                    <span class="total-amount-large" id="total-amount">${formatCurrency(
                       totalAmount
                     )}</span>
                   </div>
                 </div>
 
+                <label class="checkbox-label">
+                  <input type="checkbox" id="hoja-bilingual" ${c.language === "en" ? "checked" : ""}>
+                  <span class="checkbox-custom"></span>
+                  <span>${t("hojaEncargo.bilingual")}</span>
+                </label>
+
                 <div class="divider-gradient"></div>
 
                 <!-- Document Status Section -->
@@ -293,14 +335,20 @@ export class ParticularesView {
               <!-- Card Footer -->
               ${this.renderDocumentFooter()}
             </div>
+
+            <!-- Time Tracking -->
+            ${this.renderTimeTracking()}
+
+            <!-- Provisiones de Fondos -->
+            ${this.renderProvisions()}
           </div>
 
           <!-- Right Column: History -->
           <div class="particulares-history">
             <div class="card card-glass">
               <div class="card-header-simple">
-                <h3 class="card-section-title">Historial</h3>
-                <button class="btn-icon" title="Actualizar">
+                <h3 class="card-section-title">${t("particulares.history")}</h3>
+                <button class="btn-icon" title="${t("particulares.refresh")}">
                   <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polyline points="23 4 23 10 17 10"/>
                     <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
@@ -327,9 +375,12 @@ export class ParticularesView {
       history.documents.forEach((doc) => {
         // Extract filename from file_path (database returns snake_case)
         const filename = doc.file_path ? doc.file_path.split("/").pop() : "documento.pdf";
+        let title = doc.signed ? t("particulares.timeline.hojaSigned") : t("particulares.timeline.hojaGenerated");
+        if (doc.document_type === "FACTURA_HORAS") title = t("particulares.timeline.hourlyInvoice");
+        if (doc.document_type === "SOLICITUD_PROVISION") title = t("particulares.timeline.provisionRequested");
         events.push({
           date: doc.generated_at,
-          title: doc.signed ? "Hoja de Encargo Firmada" : "Hoja de Encargo Generada",
+          title,
           type: "document",
           color: doc.signed ? "green" : "indigo",
           documents: [{
@@ -344,10 +395,15 @@ export class ParticularesView {
     // Add email history events
     if (history.emails && history.emails.length > 0) {
       history.emails.forEach((email) => {
-        const isError = email.status === "ERROR";
+        const isError = email.status === "ERROR" || email.status === "BOUNCED";
         events.push({
           date: email.sent_at,
-          title: isError ? "Error al Enviar Email" : "Hoja de Encargo Enviada",
+          title:
+            email.status === "BOUNCED"
+              ? t("particulares.timeline.emailBounced")
+              : isError
+                ? t("particulares.timeline.emailError")
+                : t("particulares.timeline.hojaSent"),
           type: "email",
           color: isError ? "red" : "green",
           emailDetails: {
@@ -360,21 +416,35 @@ export class ParticularesView {
       });
     }
 
+    // Signatures of the client (signing link)
+    this.signatureRequests
+      .filter((request) => request.evidence)
+      .forEach((request) => {
+        events.push({
+          date: request.evidence.signedAt,
+          title: t("particulares.clientSignature.timeline", { name: escapeAttr(request.signerName) }),
+          user: `IP ${escapeAttr(request.evidence.ip || "-")}`,
+          type: "signature",
+          color: "green",
+          tags: [t(`particulares.clientSignature.methods.${request.evidence.method}`)],
+        });
+      });
+
     // Case creation
     events.push({
       date: c.entryDate,
-      title: `Alta de Expediente <span class="text-green">${c.internalReference}</span>`,
+      title: t("particulares.timeline.created", { reference: `<span class="text-green">${c.internalReference}</span>` }),
       user: null,
       type: "created",
       color: "indigo",
-      tags: ["Particular"],
+      tags: [t("cases.types.PARTICULAR")],
     });
 
     // Sort events by date descending (most recent first)
     events.sort((a, b) => new Date(b.date) - new Date(a.date));
 
     if (events.length === 0) {
-      return '<p class="timeline-empty">No hay eventos registrados</p>';
+      return `<p class="timeline-empty">${t("particulares.timeline.empty")}</p>`;
     }
 
     return events
@@ -412,7 +482,7 @@ export class ParticularesView {
                     <polyline points="14 2 14 8 20 8"/>
                   </svg>
                   <span class="timeline-doc-link">${doc.name}</span>
-                  ${doc.signed ? '<span class="badge badge-signed">Firmado</span>' : ""}
+                  ${doc.signed ? `<span class="badge badge-signed">${t("caseDetail.signed")}</span>` : ""}
                 </div>
               `).join("")}
             </div>
@@ -430,8 +500,8 @@ export class ParticularesView {
                 </svg>
                 <span class="timeline-email-to">${event.emailDetails.to}</span>
               </div>
-              ${event.emailDetails.status === "ERROR" ? `
-                <span class="timeline-email-error">${event.emailDetails.error || "Error desconocido"}</span>
+              ${event.emailDetails.status === "ERROR" || event.emailDetails.status === "BOUNCED" ? `
+                <span class="timeline-email-error">${event.emailDetails.error || t("errors.UNKNOWN")}</span>
               ` : ""}
             </div>
           `
@@ -447,11 +517,11 @@ export class ParticularesView {
   getStatusInfo(state) {
     switch (state) {
       case "JUDICIAL":
-        return { label: "Judicial", color: "yellow" };
+        return { label: t("cases.states.JUDICIAL"), color: "yellow" };
       case "ARCHIVADO":
-        return { label: "Archivado", color: "gray" };
+        return { label: t("cases.states.ARCHIVADO"), color: "gray" };
       default:
-        return { label: "Activo", color: "blue" };
+        return { label: t("particulares.active"), color: "blue" };
     }
   }
 
@@ -459,7 +529,7 @@ export class ParticularesView {
    * Get the latest generated document from history
    */
   getLatestDocument() {
-    const docs = this.history?.documents || [];
+    const docs = (this.history?.documents || []).filter((d) => d.document_type === "HOJA_ENCARGO");
     if (docs.length === 0) return null;
     // Sort by generated_at descending and return the most recent (database uses snake_case)
     const sorted = [...docs].sort((a, b) => new Date(b.generated_at) - new Date(a.generated_at));
@@ -471,7 +541,7 @@ export class ParticularesView {
    */
   getLatestEmail() {
     const emails = this.history?.emails || [];
-    const sent = emails.filter(e => e.status === 'SENT');
+    const sent = emails.filter(e => e.status === 'SENT' || e.status === 'DELIVERED');
     if (sent.length === 0) return null;
     // Sort by sent_at descending and return the most recent (database uses snake_case)
     const sorted = [...sent].sort((a, b) => new Date(b.sent_at) - new Date(a.sent_at));
@@ -499,14 +569,14 @@ export class ParticularesView {
                 <line x1="9" y1="15" x2="15" y2="15"/>
               </svg>
             </div>
-            <p class="document-empty-text">No se ha generado ningún documento todavía</p>
+            <p class="document-empty-text">${t("particulares.document.none")}</p>
             ${!isArchived ? `
               <button class="btn btn-doc-generate" id="btn-generate">
                 <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                   <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
                   <polyline points="14 2 14 8 20 8"/>
                 </svg>
-                Generar Documento
+                ${t("hojaEncargo.actions.generate")}
               </button>
             ` : ''}
           </div>
@@ -520,7 +590,7 @@ export class ParticularesView {
 
     return `
       <div class="document-status">
-        <span class="document-status-title">Estado del Documento</span>
+        <span class="document-status-title">${t("particulares.document.status")}</span>
         
         <div class="status-steps">
           <!-- Generated Step - Always complete if we have a doc -->
@@ -531,7 +601,7 @@ export class ParticularesView {
               </svg>
             </div>
             <div class="status-step-content">
-              <span class="status-step-label">Generado</span>
+              <span class="status-step-label">${t("hojaEncargo.status.generated")}</span>
               <span class="status-step-meta">${this.formatTimelineDate(latestDoc.generated_at)}</span>
             </div>
           </div>
@@ -550,7 +620,7 @@ export class ParticularesView {
               `}
             </div>
             <div class="status-step-content">
-              <span class="status-step-label">${isSigned ? 'Firmado' : 'Sin firmar'}</span>
+              <span class="status-step-label">${isSigned ? t("hojaEncargo.status.signed") : t("particulares.document.unsigned")}</span>
             </div>
           </div>
 
@@ -568,12 +638,14 @@ export class ParticularesView {
               `}
             </div>
             <div class="status-step-content">
-              <span class="status-step-label">${isSent ? 'Enviado' : 'No enviado'}</span>
+              <span class="status-step-label">${isSent ? t("hojaEncargo.status.sent") : t("particulares.document.notSent")}</span>
               ${isSent ? `<span class="status-step-email">${latestEmail.recipient}</span>` : ''}
             </div>
           </div>
         </div>
 
+        ${this.renderClientSignatureStatus(latestDoc, isArchived)}
+
         <!-- Action Buttons based on state -->
         <div class="document-actions">
           <!-- Download is always available -->
@@ -583,7 +655,7 @@ export class ParticularesView {
               <polyline points="7 10 12 15 17 10"/>
               <line x1="12" y1="15" x2="12" y2="3"/>
             </svg>
-            Descargar
+            ${t("common.download")}
           </button>
 
           ${!isArchived ? `
@@ -593,17 +665,26 @@ export class ParticularesView {
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                   <path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"/>
                 </svg>
-                Firmar
+                ${t("particulares.document.sign")}
               </button>
             ` : ''}
 
+            <!-- Signing link for the client -->
+            <button class="btn btn-doc-sign" id="btn-client-sign">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"/>
+                <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"/>
+              </svg>
+              ${t("particulares.clientSignature.request")}
+            </button>
+
             <!-- Send/Resend button -->
             <button class="btn btn-doc-send" id="btn-send">
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M22 2L11 13"/>
                 <path d="M22 2l-7 20-4-9-9-4 20-7z"/>
               </svg>
-              ${isSent ? 'Reenviar' : 'Enviar'}
+              ${isSent ? t("particulares.document.resend") : t("particulares.document.send")}
             </button>
 
             <!-- Regenerate button -->
@@ -612,7 +693,7 @@ export class ParticularesView {
                 <polyline points="23 4 23 10 17 10"/>
                 <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
               </svg>
-              Regenerar
+              ${t("particulares.document.regenerate")}
             </button>
           ` : ''}
         </div>
@@ -620,6 +701,481 @@ export class ParticularesView {
     `;
   }
 
+  /**
+   * Client signing link of the document: signed by the client, or link pending
+   * @param {Object} doc - Latest hoja de encargo
+   * @param {boolean} isArchived - Archived case (no cancel action)
+   */
+  renderClientSignatureStatus(doc, isArchived) {
+    const requests = this.signatureRequests.filter((request) => request.documentId === doc.id);
+    const signed = requests.find((request) => request.evidence);
+    const pending = requests.find((request) => request.status === "PENDIENTE" && !request.expired);
+
+    if (signed) {
+      return `
+        <div class="client-signature-status">
+          <span class="status-dot status-dot-green"></span>
+          <span>${t("particulares.clientSignature.signed", {
+            name: escapeAttr(signed.signerName),
+            date: this.formatTimelineDate(signed.evidence.signedAt),
+          })}</span>
+        </div>
+      `;
+    }
+
+    if (pending) {
+      return `
+        <div class="client-signature-status">
+          <span class="status-dot status-dot-amber"></span>
+          <span>${t("particulares.clientSignature.pending", {
+            name: escapeAttr(pending.signerName),
+            date: this.formatDateInput(pending.expiresAt),
+          })}</span>
+          ${!isArchived ? `
+            <button class="btn btn-secondary btn-sm" id="btn-client-sign-cancel" data-request-id="${pending.id}">
+              ${t("particulares.clientSignature.cancel")}
+            </button>
+          ` : ""}
+        </div>
+      `;
+    }
+
+    return "";
+  }
+
+  /**
+   * Render the time tracking card: timer, manual entry, entries and fee note action
+   */
+  renderTimeTracking() {
+    const { entries = [], summary } = this.timeEntries || {};
+    const isArchived = this.caseData.state === "ARCHIVADO";
+    const timer = this.runningTimer;
+    const timerHere = timer && timer.caseId === Number(this.caseId);
+    const defaultRate = parseFloat(this.config.default_hourly_rate) || 150;
+    const today = new Date().toISOString().split("T")[0];
+
+    let timerBar = "";
+    if (timerHere) {
+      timerBar = `
+        <div class="time-timer time-timer-running">
+          <span class="status-dot status-dot-green"></span>
+          <span class="time-timer-activity">${escapeAttr(timer.activity)}</span>
+          <span class="time-timer-elapsed mono" id="timer-elapsed" data-started-at="${escapeAttr(timer.timerStartedAt)}">
+            ${this.formatElapsed(timer.timerStartedAt)}
+          </span>
+          <button class="btn btn-secondary btn-sm" id="btn-timer-stop" data-entry-id="${timer.id}">${t("particulares.time.stop")}</button>
+        </div>
+      `;
+    } else if (timer) {
+      timerBar = `
+        <div class="time-timer">
+          <span class="time-timer-activity">
+            ${t("particulares.time.timerElsewhere", {
+              link: `<a href="#/particulares/${timer.caseId}">${t("particulares.time.otherCase")}</a>`,
+            })}
+          </span>
+        </div>
+      `;
+    } else if (!isArchived) {
+      timerBar = `
+        <div class="time-timer">
+          <input type="text" class="form-input" id="timer-activity" placeholder="${t("particulares.time.timerActivityPlaceholder")}">
+          <button class="btn btn-secondary btn-sm" id="btn-timer-start">${t("particulares.time.start")}</button>
+        </div>
+      `;
+    }
+
+    const rows = entries
+      .map((e) => {
+        let status = "";
+        if (e.timerRunning) status = `<span class="badge badge-blue">${t("particulares.time.running")}</span>`;
+        else if (e.documentId) status = `<span class="badge badge-signed">${t("particulares.time.billed")}</span>`;
+        else if (!e.billable) status = `<span class="badge">${t("particulares.time.notBillable")}</span>`;
+
+        const canDelete = !e.documentId && !e.timerRunning && !isArchived;
+        return `
+          <tr>
+            <td class="mono">${formatDate(e.entryDate)}</td>
+            <td>${escapeAttr(e.activity)}<span class="time-entry-user">${escapeAttr(e.userName || "")}</span></td>
+            <td class="mono text-right">${e.timerRunning ? "-" : this.formatHours(e.durationMinutes)}</td>
+            <td class="mono text-right">${e.timerRunning ? "-" : formatCurrency(e.amount)}</td>
+            <td>${status}</td>
+            <td class="text-right">
+              ${canDelete ? `
+                <button class="btn-icon btn-time-delete" data-entry-id="${e.id}" title="${t("common.delete")}">
+                  <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="3 6 5 6 21 6"/>
+                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                  </svg>
+                </button>
+              ` : ""}
+            </td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    const unbilledMinutes = summary?.unbilledMinutes || 0;
+
+    return `
+      <div class="card card-glass time-tracking-card">
+        <div class="card-header-simple">
+          <h3 class="card-section-title">${t("particulares.time.title")}</h3>
+          ${summary ? `
+            <span class="time-summary mono">
+              ${t("particulares.time.summary", {
+                total: this.formatHours(summary.totalMinutes),
+                pending: this.formatHours(unbilledMinutes),
+              })}
+            </span>
+          ` : ""}
+        </div>
+
+        ${timerBar}
+
+        ${!isArchived ? `
+          <form class="time-entry-form" id="time-entry-form">
+            <input type="date" class="form-input" name="entryDate" value="${today}" required>
+            <input type="text" class="form-input time-entry-activity" name="activity" placeholder="${t("particulares.time.activity")}" required>
+            <input type="number" class="form-input" name="hours" placeholder="${t("particulares.time.hours")}" step="0.25" min="0.25" max="24" required>
+            <input type="number" class="form-input" name="hourlyRate" value="${defaultRate.toFixed(2)}" step="0.01" min="0" title="${t("particulares.time.rate")}">
+            <label class="time-entry-billable">
+              <input type="checkbox" name="billable" checked> ${t("particulares.time.billable")}
+            </label>
+            <button type="submit" class="btn btn-secondary btn-sm">${t("particulares.time.add")}</button>
+          </form>
+        ` : ""}
+
+        ${entries.length > 0 ? `
+          <table class="data-table time-entries-table">
+            <thead>
+              <tr>
+                <th>${t("common.date")}</th>
+                <th>${t("particulares.time.activity")}</th>
+                <th class="text-right">${t("particulares.time.hours")}</th>
+                <th class="text-right">${t("common.amount")}</th>
+                <th></th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        ` : `<p class="timeline-empty">${t("particulares.time.empty")}</p>`}
+
+        <div class="time-billing">
+          <span>
+            ${t("particulares.time.unbilled")}
+            <strong>${formatCurrency(summary?.unbilledAmount || 0)}</strong>
+            <span class="mono">(${this.formatHours(unbilledMinutes)} h)</span>
+          </span>
+          <button class="btn btn-primary btn-sm" id="btn-factura-horas" ${unbilledMinutes > 0 ? "" : "disabled"}>
+            ${t("particulares.time.invoice")}
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Format minutes as decimal hours (e.g. 90 → "1,50")
+   */
+  formatHours(minutes) {
+    return formatNumber((minutes || 0) / 60, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+  }
+
+  /**
+   * Format the time elapsed since a timer started (HH:MM:SS)
+   */
+  formatElapsed(startedAt) {
+    const seconds = Math.max(0, Math.floor((Date.now() - Date.parse(startedAt)) / 1000));
+    return [Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60]
+      .map((n) => n.toString().padStart(2, "0"))
+      .join(":");
+  }
+
+  /**
+   * Tick the running timer display; stops when the view is gone
+   */
+  startTimerDisplay() {
+    clearInterval(this.timerInterval);
+    this.timerInterval = setInterval(() => {
+      const el = document.getElementById("timer-elapsed");
+      if (!el) {
+        clearInterval(this.timerInterval);
+        return;
+      }
+      el.textContent = this.formatElapsed(el.dataset.startedAt);
+    }, 1000);
+  }
+
+  /**
+   * Run a time tracking action and refresh the view
+   * @param {Function} action - Async API call
+   * @param {string} successMessage - Toast on success
+   */
+  async runTimeAction(action, successMessage) {
+    try {
+      await action();
+      showToast(successMessage, "success");
+      await this.render();
+    } catch (error) {
+      showToast(t("common.errorMessage", { message: error.message }), "error");
+    }
+  }
+
+  /**
+   * Attach time tracking event listeners
+   */
+  attachTimeTrackingListeners() {
+    if (document.getElementById("timer-elapsed")) {
+      this.startTimerDisplay();
+    }
+
+    document.getElementById("btn-timer-start")?.addEventListener("click", () => {
+      const activity = document.getElementById("timer-activity")?.value.trim();
+      if (!activity) {
+        showToast(t("particulares.time.activityRequired"), "error");
+        document.getElementById("timer-activity")?.focus();
+        return;
+      }
+      this.runTimeAction(
+        () => api.startTimer({ caseId: this.caseId, activity }),
+        t("particulares.time.started")
+      );
+    });
+
+    document.getElementById("btn-timer-stop")?.addEventListener("click", (e) => {
+      const entryId = e.currentTarget.dataset.entryId;
+      this.runTimeAction(() => api.stopTimer(entryId), t("particulares.time.stopped"));
+    });
+
+    document.getElementById("time-entry-form")?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const form = new FormData(e.target);
+      const durationMinutes = Math.round(parseFloat(form.get("hours")) * 60);
+      this.runTimeAction(
+        () =>
+          api.createTimeEntry({
+            caseId: this.caseId,
+            entryDate: form.get("entryDate"),
+            activity: form.get("activity"),
+            durationMinutes,
+            hourlyRate: parseFloat(form.get("hourlyRate")),
+            billable: form.get("billable") === "on",
+          }),
+        t("particulares.time.added")
+      );
+    });
+
+    document.querySelectorAll(".btn-time-delete").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        if (!confirm(t("particulares.time.deleteConfirm"))) return;
+        this.runTimeAction(
+          () => api.deleteTimeEntry(btn.dataset.entryId),
+          t("particulares.time.deleted")
+        );
+      });
+    });
+
+    document.getElementById("btn-factura-horas")?.addEventListener("click", () => {
+      const summary = this.timeEntries.summary;
+      const confirmed = confirm(
+        t("particulares.time.invoiceConfirm", {
+          hours: this.formatHours(summary.unbilledMinutes),
+          amount: formatCurrency(summary.unbilledAmount),
+        })
+      );
+      if (!confirmed) return;
+
+      this.runTimeAction(async () => {
+        const result = await api.generateFacturaHoras(this.caseId);
+        window.open(api.getDocumentDownloadUrl(result.data.documentId), "_blank");
+      }, t("particulares.time.invoiced"));
+    });
+  }
+
+  /**
+   * Render the provisiones de fondos card: request, ledger with running balance and movements
+   */
+  renderProvisions() {
+    const { movements = [], balance } = this.provisions || {};
+    const isArchived = this.caseData.state === "ARCHIVADO";
+    const today = new Date().toISOString().split("T")[0];
+
+    // Invoices of the case that still owe something can receive funds
+    const openInvoices = (this.history.documents || []).filter(
+      (d) => d.amount_due !== null && d.amount_due !== undefined && d.amount_due - (d.paid_amount || 0) > 0
+    );
+
+    const rows = movements
+      .map((m) => {
+        const sign = m.movementType === "RECIBIDA" ? "+" : m.movementType === "SOLICITADA" ? "" : "−";
+        const detail = [m.notes, m.reference].filter(Boolean).join(" · ");
+        return `
+          <tr class="${m.movementType === "SOLICITADA" ? "provision-row-requested" : ""}">
+            <td class="mono">${formatDate(m.movementDate)}</td>
+            <td>
+              ${t(`particulares.provisions.movements.${m.movementType}`)}
+              ${detail ? `<span class="provision-detail">${escapeAttr(detail)}</span>` : ""}
+            </td>
+            <td class="mono text-right">${sign}${formatCurrency(m.amount)}</td>
+            <td class="mono text-right">${formatCurrency(m.balance)}</td>
+            <td class="text-right">
+              ${m.documentId ? `
+                <button class="btn-icon btn-provision-doc" data-doc-id="${m.documentId}" title="${t("particulares.provisions.viewDocument")}">
+                  <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
+                    <polyline points="14 2 14 8 20 8"/>
+                  </svg>
+                </button>
+              ` : ""}
+              ${!isArchived ? `
+                <button class="btn-icon btn-provision-delete" data-movement-id="${m.id}" title="${t("common.delete")}">
+                  <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <polyline points="3 6 5 6 21 6"/>
+                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                  </svg>
+                </button>
+              ` : ""}
+            </td>
+          </tr>
+        `;
+      })
+      .join("");
+
+    return `
+      <div class="card card-glass provisions-card">
+        <div class="card-header-simple">
+          <h3 class="card-section-title">${t("particulares.provisions.title")}</h3>
+          ${balance?.pendingRequest > 0 ? `
+            <span class="provision-summary mono">${t("particulares.provisions.pendingRequest", { amount: formatCurrency(balance.pendingRequest) })}</span>
+          ` : ""}
+        </div>
+
+        ${!isArchived ? `
+          <form class="provision-form" id="provision-request-form">
+            <input type="number" class="form-input" name="amount" placeholder="${t("common.amount")}" step="0.01" min="0.01" required>
+            <input type="text" class="form-input provision-form-wide" name="concept" placeholder="${t("particulares.provisions.conceptPlaceholder")}">
+            <button type="submit" class="btn btn-secondary btn-sm">${t("particulares.provisions.request")}</button>
+          </form>
+
+          <form class="provision-form" id="provision-movement-form">
+            <select class="form-input" name="movementType">
+              <option value="RECIBIDA">${t("particulares.provisions.movements.RECIBIDA")}</option>
+              <option value="APLICADA" ${openInvoices.length === 0 ? "disabled" : ""}>${t("particulares.provisions.apply")}</option>
+              <option value="DEVUELTA">${t("particulares.provisions.refund")}</option>
+            </select>
+            <input type="date" class="form-input" name="movementDate" value="${today}" required>
+            <input type="number" class="form-input" name="amount" placeholder="${t("common.amount")}" step="0.01" min="0.01" required>
+            <select class="form-input provision-form-wide" name="documentId" hidden>
+              ${openInvoices.map((d) => `
+                <option value="${d.id}">
+                  ${escapeAttr(d.file_path ? d.file_path.split("/").pop() : `${t("common.document")} ${d.id}`)}
+                  (${t("particulares.provisions.outstanding", { amount: formatCurrency(d.amount_due - (d.paid_amount || 0)) })})
+                </option>
+              `).join("")}
+            </select>
+            <input type="text" class="form-input provision-form-wide" name="reference" placeholder="${t("cases.fields.reference")}">
+            <button type="submit" class="btn btn-secondary btn-sm">${t("particulares.provisions.record")}</button>
+          </form>
+        ` : ""}
+
+        ${movements.length > 0 ? `
+          <table class="data-table provisions-table">
+            <thead>
+              <tr>
+                <th>${t("common.date")}</th>
+                <th>${t("particulares.provisions.movement")}</th>
+                <th class="text-right">${t("common.amount")}</th>
+                <th class="text-right">${t("particulares.provisions.balance")}</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+        ` : `<p class="timeline-empty">${t("particulares.provisions.empty")}</p>`}
+
+        <div class="provision-balance">
+          <span>
+            ${t("particulares.provisions.totals", {
+              received: formatCurrency(balance?.received || 0),
+              applied: formatCurrency(balance?.applied || 0),
+              refunded: formatCurrency(balance?.refunded || 0),
+            })}
+          </span>
+          <span>
+            ${t("particulares.provisions.available")}
+            <strong>${formatCurrency(balance?.available || 0)}</strong>
+          </span>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Attach provisiones de fondos event listeners
+   */
+  attachProvisionListeners() {
+    document.getElementById("provision-request-form")?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      const form = new FormData(e.target);
+      this.runTimeAction(async () => {
+        const result = await api.requestProvision(this.caseId, {
+          amount: parseFloat(form.get("amount")),
+          concept: form.get("concept"),
+        });
+        window.open(api.getDocumentDownloadUrl(result.data.documentId), "_blank");
+      }, t("particulares.provisions.requested"));
+    });
+
+    const movementForm = document.getElementById("provision-movement-form");
+    if (movementForm) {
+      const typeSelect = movementForm.elements.movementType;
+      const invoiceSelect = movementForm.elements.documentId;
+      typeSelect.addEventListener("change", () => {
+        invoiceSelect.hidden = typeSelect.value !== "APLICADA";
+      });
+
+      movementForm.addEventListener("submit", (e) => {
+        e.preventDefault();
+        const form = new FormData(movementForm);
+        const movementType = form.get("movementType");
+        this.runTimeAction(
+          () =>
+            api.createProvisionMovement(this.caseId, {
+              movementType,
+              movementDate: form.get("movementDate"),
+              amount: parseFloat(form.get("amount")),
+              reference: form.get("reference"),
+              documentId: movementType === "APLICADA" ? form.get("documentId") : null,
+            }),
+          t("particulares.provisions.recorded")
+        );
+      });
+    }
+
+    document.querySelectorAll(".btn-provision-doc").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        window.open(api.getDocumentDownloadUrl(btn.dataset.docId), "_blank");
+      });
+    });
+
+    document.querySelectorAll(".btn-provision-delete").forEach((btn) => {
+      btn.addEventListener("click", () => {
+        if (!confirm(t("particulares.provisions.deleteConfirm"))) {
+          return;
+        }
+        this.runTimeAction(
+          () => api.deleteProvisionMovement(this.caseId, btn.dataset.movementId),
+          t("particulares.provisions.deleted")
+        );
+      });
+    });
+  }
+
   /**
    * Render the card footer based on document state
    */
@@ -627,18 +1183,18 @@ export class ParticularesView {
     const latestDoc = this.getLatestDocument();
     const latestEmail = this.getLatestEmail();
 
-    let statusText = 'Pendiente de generación';
+    let statusText = t("particulares.footer.pending");
     let statusClass = 'status-dot-gray';
 
     if (latestDoc) {
       if (latestEmail) {
-        statusText = 'Enviado al cliente';
+        statusText = t("particulares.footer.sent");
         statusClass = 'status-dot-green';
       } else if (latestDoc.signed) {
-        statusText = 'Firmado, pendiente de envío';
+        statusText = t("particulares.footer.signed");
         statusClass = 'status-dot-green';
       } else {
-        statusText = 'Generado, pendiente de firma';
+        statusText = t("particulares.footer.generated");
         statusClass = 'status-dot-indigo';
       }
     }
@@ -665,16 +1221,17 @@ export class ParticularesView {
     const baseFee = parseFloat(document.getElementById("base-fee")?.value) || 0;
     const provision = parseFloat(document.getElementById("provision")?.value) || 0;
     const totalFees = baseFee + provision;
+    const bilingual = document.getElementById("hoja-bilingual")?.checked || false;
 
     // Validation
     if (!services) {
-      showToast("Los servicios son obligatorios", "error");
+      showToast(t("hojaEncargo.servicesRequired"), "error");
       document.getElementById("services")?.focus();
       return;
     }
 
     if (totalFees <= 0) {
-      showToast("Los honorarios deben ser mayores que 0", "error");
+      showToast(t("particulares.hoja.feesRequired"), "error");
       document.getElementById("base-fee")?.focus();
       return;
     }
@@ -688,20 +1245,20 @@ export class ParticularesView {
         <svg class="spin" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <circle cx="12" cy="12" r="10"/>
         </svg>
-        Generando...
+        ${t("hojaEncargo.status.generating")}
       `;
     }
 
     try {
-      const result = await api.generateHojaEncargo(this.caseId, services, totalFees);
+      const result = await api.generateHojaEncargo(this.caseId, services, totalFees, bilingual);
       
       if (result.success) {
-        showToast("Documento generado correctamente", "success");
+        showToast(t("hojaEncargo.generated"), "success");
         // Refresh the view to show new state
         await this.render();
       }
     } catch (error) {
-      showToast(`Error: ${error.message}`, "error");
+      showToast(t("common.errorMessage", { message: error.message }), "error");
       // Restore button
       if (btn) {
         btn.disabled = false;
@@ -716,7 +1273,7 @@ export class ParticularesView {
   async handleSignDocument() {
     const latestDoc = this.getLatestDocument();
     if (!latestDoc) {
-      showToast("No hay documento para firmar", "error");
+      showToast(t("hojaEncargo.noDocumentToSign"), "error");
       return;
     }
 
@@ -729,7 +1286,7 @@ export class ParticularesView {
         <svg class="spin" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <circle cx="12" cy="12" r="10"/>
         </svg>
-        Firmando...
+        ${t("hojaEncargo.status.signing")}
       `;
     }
 
@@ -737,12 +1294,12 @@ export class ParticularesView {
       const result = await api.signHojaEncargo(this.caseId, latestDoc.id);
       
       if (result.success) {
-        showToast("Documento firmado correctamente", "success");
+        showToast(t("hojaEncargo.signedToast"), "success");
         // Refresh the view to show new state
         await this.render();
       }
     } catch (error) {
-      showToast(`Error al firmar: ${error.message}`, "error");
+      showToast(t("hojaEncargo.signError", { message: error.message }), "error");
       // Restore button
       if (btn) {
         btn.disabled = false;
@@ -757,7 +1314,7 @@ export class ParticularesView {
   openSendEmailModal() {
     const latestDoc = this.getLatestDocument();
     if (!latestDoc) {
-      showToast("No hay documento para enviar", "error");
+      showToast(t("particulares.document.noDocumentToSend"), "error");
       return;
     }
 
@@ -775,8 +1332,8 @@ export class ParticularesView {
               </svg>
             </div>
             <div>
-              <h2 class="modal-title">Enviar Documento</h2>
-              <p class="modal-subtitle">Hoja de Encargo</p>
+              <h2 class="modal-title">${t("particulares.sendModal.title")}</h2>
+              <p class="modal-subtitle">${t("documents.types.HOJA_ENCARGO")}</p>
             </div>
           </div>
           <button class="btn-icon modal-close" id="email-modal-close">
@@ -789,15 +1346,15 @@ export class ParticularesView {
 
         <div class="modal-body">
           <div class="form-group">
-            <label class="form-label">Email del Cliente *</label>
+            <label class="form-label">${t("hojaEncargo.clientEmail")} *</label>
             <input
               type="email"
               class="form-input"
               id="send-email-input"
-              placeholder="cliente@ejemplo.com"
+              placeholder="${t("clients.form.emailPlaceholder")}"
               value="${this.caseData.clientEmail || ""}"
             >
-            <span class="form-hint">El documento se enviará a esta dirección</span>
+            <span class="form-hint">${t("particulares.sendModal.hint")}</span>
           </div>
 
           ${!latestDoc.signed ? `
@@ -807,19 +1364,19 @@ export class ParticularesView {
                 <line x1="12" y1="9" x2="12" y2="13"/>
                 <line x1="12" y1="17" x2="12.01" y2="17"/>
               </svg>
-              El documento no está firmado digitalmente
+              ${t("particulares.sendModal.unsigned")}
             </div>
           ` : ''}
         </div>
 
         <div class="modal-footer">
-          <button class="btn btn-secondary" id="email-modal-cancel">Cancelar</button>
+          <button class="btn btn-secondary" id="email-modal-cancel">${t("common.cancel")}</button>
           <button class="btn btn-primary btn-send" id="email-modal-send">
             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M22 2L11 13"/>
               <path d="M22 2l-7 20-4-9-9-4 20-7z"/>
             </svg>
-            Enviar
+            ${t("particulares.document.send")}
           </button>
         </div>
       </div>
@@ -855,7 +1412,7 @@ export class ParticularesView {
       // Validate email
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (!email || !emailRegex.test(email)) {
-        showToast("Introduce un email válido", "error");
+        showToast(t("hojaEncargo.emailInvalid"), "error");
         document.getElementById("send-email-input")?.focus();
         return;
       }
@@ -867,77 +1424,179 @@ export class ParticularesView {
         <svg class="spin" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
           <circle cx="12" cy="12" r="10"/>
         </svg>
-        Enviando...
+        ${t("hojaEncargo.status.sending")}
       `;
 
       try {
         const result = await api.sendHojaEncargo(this.caseId, latestDoc.id, email);
         
         if (result.success) {
-          showToast("Documento enviado correctamente", "success");
+          showToast(t("hojaEncargo.queuedToast"), "success");
           closeModal();
           // Refresh the view to show new state
           await this.render();
         }
       } catch (error) {
-        showToast(`Error al enviar: ${error.message}`, "error");
+        showToast(t("hojaEncargo.sendError", { message: error.message }), "error");
         sendBtn.disabled = false;
         sendBtn.innerHTML = `
           <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <path d="M22 2L11 13"/>
             <path d="M22 2l-7 20-4-9-9-4 20-7z"/>
           </svg>
-          Enviar
+          ${t("particulares.document.send")}
         `;
       }
     });
   }
 
+  /**
+   * Modal to create the client's signing link and copy it
+   */
+  openClientSignatureModal() {
+    const latestDoc = this.getLatestDocument();
+    if (!latestDoc) {
+      showToast(t("hojaEncargo.noDocumentToSign"), "error");
+      return;
+    }
+
+    const modal = document.createElement("div");
+    modal.className = "modal-overlay";
+    modal.innerHTML = `
+      <div class="modal" style="max-width: 440px;">
+        <div class="modal-header">
+          <div class="modal-header-content">
+            <div class="icon-box icon-box-green">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M17 3a2.828 2.828 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5L17 3z"/>
+              </svg>
+            </div>
+            <div>
+              <h2 class="modal-title">${t("particulares.clientSignature.modalTitle")}</h2>
+              <p class="modal-subtitle">${t("documents.types.HOJA_ENCARGO")}</p>
+            </div>
+          </div>
+          <button class="btn-icon modal-close" id="client-sign-modal-close">
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+              <line x1="18" y1="6" x2="6" y2="18"/>
+              <line x1="6" y1="6" x2="18" y2="18"/>
+            </svg>
+          </button>
+        </div>
+
+        <div class="modal-body" id="client-sign-modal-body">
+          <div class="form-group">
+            <label class="form-label">${t("particulares.clientSignature.signerName")} *</label>
+            <input type="text" class="form-input" id="client-sign-name" value="${escapeAttr(this.caseData.clientName)}">
+          </div>
+          <div class="form-group">
+            <label class="form-label">${t("particulares.clientSignature.signerEmail")}</label>
+            <input type="email" class="form-input" id="client-sign-email" value="${escapeAttr(this.caseData.clientEmail)}"
+              placeholder="${t("clients.form.emailPlaceholder")}">
+          </div>
+          <span class="form-hint">${t("particulares.clientSignature.modalHint")}</span>
+        </div>
+
+        <div class="modal-footer">
+          <button class="btn btn-secondary" id="client-sign-modal-cancel">${t("common.cancel")}</button>
+          <button class="btn btn-primary" id="client-sign-modal-create">${t("particulares.clientSignature.create")}</button>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+    requestAnimationFrame(() => {
+      modal.classList.add("modal-visible");
+    });
+
+    let link = null;
+    const closeModal = () => {
+      modal.classList.remove("modal-visible");
+      setTimeout(() => modal.remove(), 200);
+      // The new link replaces the pending one: refresh the status
+      if (link) this.render();
+    };
+
+    modal.querySelector("#client-sign-modal-close")?.addEventListener("click", closeModal);
+    modal.querySelector("#client-sign-modal-cancel")?.addEventListener("click", closeModal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) closeModal();
+    });
+
+    // Create the link, then the same button copies it
+    const createBtn = modal.querySelector("#client-sign-modal-create");
+    createBtn.addEventListener("click", async () => {
+      if (link) {
+        try {
+          await navigator.clipboard.writeText(link);
+        } catch {
+          modal.querySelector("#client-sign-link").select();
+          document.execCommand("copy");
+        }
+        showToast(t("particulares.clientSignature.copied"), "success");
+        return;
+      }
+
+      createBtn.disabled = true;
+      try {
+        const result = await api.createClientSignatureRequest(this.caseId, {
+          documentId: latestDoc.id,
+          signerName: modal.querySelector("#client-sign-name").value.trim(),
+          signerEmail: modal.querySelector("#client-sign-email").value.trim() || null,
+        });
+        link = api.getClientSignatureLink(result.data.token);
+        modal.querySelector("#client-sign-modal-body").innerHTML = `
+          <div class="form-group">
+            <label class="form-label">${t("particulares.clientSignature.link")}</label>
+            <input type="text" class="form-input mono" id="client-sign-link" value="${escapeAttr(link)}" readonly>
+            <span class="form-hint">${t("particulares.clientSignature.linkHint", {
+              date: this.formatDateInput(result.data.request.expiresAt),
+            })}</span>
+          </div>
+        `;
+        createBtn.textContent = t("particulares.clientSignature.copy");
+        createBtn.disabled = false;
+        modal.querySelector("#client-sign-modal-cancel").textContent = t("common.close");
+      } catch (error) {
+        showToast(error.message, "error");
+        createBtn.disabled = false;
+      }
+    });
+  }
+
+  /**
+   * Cancel the pending signing link of the document
+   * @param {number} requestId - Signature request ID
+   */
+  async handleCancelClientSignature(requestId) {
+    if (!confirm(t("particulares.clientSignature.cancelConfirm"))) return;
+
+    try {
+      await api.cancelClientSignatureRequest(this.caseId, requestId);
+      showToast(t("particulares.clientSignature.cancelled"), "success");
+      await this.render();
+    } catch (error) {
+      showToast(error.message, "error");
+    }
+  }
+
   formatDateInput(dateStr) {
     if (!dateStr) return "--/--/----";
-    const date = new Date(dateStr);
-    const day = date.getDate().toString().padStart(2, "0");
-    const month = (date.getMonth() + 1).toString().padStart(2, "0");
-    const year = date.getFullYear();
-    return `${day}/${month}/${year}`;
+    return formatDate(dateStr, { day: "2-digit", month: "2-digit", year: "numeric" });
   }
 
   formatTimelineDate(dateStr) {
-    if (!dateStr) return "Pendiente";
+    if (!dateStr) return t("hojaEncargo.status.pending");
     const date = new Date(dateStr);
     const now = new Date();
     const diffMs = now - date;
     const diffMins = Math.floor(diffMs / 60000);
 
     if (diffMins < 60) {
-      return `Hace ${diffMins} min`;
+      return t("particulares.minutesAgo", { minutes: diffMins });
     }
 
-    const day = date.getDate();
-    const months = [
-      "Ene",
-      "Feb",
-      "Mar",
-      "Abr",
-      "May",
-      "Jun",
-      "Jul",
-      "Ago",
-      "Sep",
-      "Oct",
-      "Nov",
-      "Dic",
-    ];
-    const hours = date.getHours().toString().padStart(2, "0");
-    const mins = date.getMinutes().toString().padStart(2, "0");
-    return `${day} ${months[date.getMonth()]}, ${hours}:${mins}`;
-  }
-
-  formatCurrency(amount) {
-    return new Intl.NumberFormat("es-ES", {
-      style: "currency",
-      currency: "EUR",
-    }).format(amount);
+    return formatDateTime(date, { day: "numeric", month: "short", hour: "2-digit", minute: "2-digit" });
   }
 
   updateTotals() {
@@ -951,14 +1610,17 @@ export class ParticularesView {
     const totalAmount = subtotal + vatAmount;
 
     document.getElementById("vat-amount").textContent =
-      this.formatCurrency(vatAmount);
+      formatCurrency(vatAmount);
     document.getElementById("subtotal-amount").textContent =
-      this.formatCurrency(totalAmount);
+      formatCurrency(totalAmount);
     document.getElementById("total-amount").textContent =
-      this.formatCurrency(totalAmount);
+      formatCurrency(totalAmount);
   }
 
   attachEventListeners() {
+    this.attachTimeTrackingListeners();
+    this.attachProvisionListeners();
+
     // Update totals on input change
     document
       .getElementById("base-fee")
@@ -989,6 +1651,15 @@ export class ParticularesView {
       await this.handleSignDocument();
     });
 
+    // Client signature - Signing link modal
+    document.getElementById("btn-client-sign")?.addEventListener("click", () => {
+      this.openClientSignatureModal();
+    });
+
+    document.getElementById("btn-client-sign-cancel")?.addEventListener("click", (e) => {
+      this.handleCancelClientSignature(Number(e.currentTarget.dataset.requestId));
+    });
+
     // Send Document - Opens simple email modal
     document.getElementById("btn-send")?.addEventListener("click", () => {
       this.openSendEmailModal();
@@ -996,7 +1667,7 @@ export class ParticularesView {
 
     // Regenerate Document - Confirm then regenerate
     document.getElementById("btn-regenerate")?.addEventListener("click", async () => {
-      if (confirm("¿Regenerar el documento? Esto creará una nueva versión.")) {
+      if (confirm(t("particulares.document.regenerateConfirm"))) {
         await this.handleGenerateDocument();
       }
     });
@@ -1007,24 +1678,22 @@ export class ParticularesView {
       ?.addEventListener("click", async () => {
         const closureDate = document.getElementById("closure-date").value;
         if (!closureDate) {
-          showToast("Selecciona una fecha de cierre", "error");
+          showToast(t("particulares.finalize.dateRequired"), "error");
           return;
         }
 
         if (
-          !confirm(
-            "¿Estás seguro de finalizar este expediente? Esta acción no se puede deshacer."
-          )
+          !confirm(t("particulares.finalize.confirm"))
         ) {
           return;
         }
 
         try {
           await api.archiveCase(this.caseId, closureDate);
-          showToast("Expediente finalizado correctamente", "success");
+          showToast(t("particulares.finalize.done"), "success");
           window.location.hash = `#/cases/${this.caseId}`;
         } catch (error) {
-          showToast(`Error: ${error.message}`, "error");
+          showToast(t("common.errorMessage", { message: error.message }), "error");
         }
       });
 
@@ -1092,9 +1761,9 @@ export class ParticularesView {
               });
             });
           }
-          showToast("Historial actualizado", "success");
+          showToast(t("particulares.historyUpdated"), "success");
         } catch (error) {
-          showToast(`Error: ${error.message}`, "error");
+          showToast(t("common.errorMessage", { message: error.message }), "error");
         }
       });
   }
@@ -5,7 +5,8 @@
  */
 
 import { api } from "../api.js";
-import { formatDate, showToast } from "../app.js";
+import { showToast } from "../app.js";
+import { t, formatDate } from "../i18n.js";
 import { router } from "../router.js";
 
 export class ParticularesListView {
@@ -29,10 +30,10 @@ export class ParticularesListView {
       this.bindEvents();
     } catch (error) {
       console.error("Particulares list error:", error);
-      showToast("Error al cargar expedientes", "error");
+      showToast(t("cases.list.loadError"), "error");
       this.container.innerHTML = `
         <div class="error-state">
-          <p>Error al cargar expedientes: ${error.message}</p>
+          <p>${t("cases.list.loadError")}: ${error.message}</p>
         </div>
       `;
     }
@@ -49,15 +50,15 @@ export class ParticularesListView {
       <div class="module-list-view">
         <div class="header">
           <div class="header-title">
-            <h1>Particulares</h1>
-            <p>Gestión de Hojas de Encargo para clientes particulares</p>
+            <h1>${t("nav.particulares")}</h1>
+            <p>${t("particularesList.subtitle")}</p>
           </div>
           <div class="header-actions">
             <a href="#/cases/new?type=PARTICULAR" class="btn btn-primary btn-green">
               <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M7 1v12M1 7h12"/>
               </svg>
-              Nuevo Expediente
+              ${t("cases.new")}
             </a>
           </div>
         </div>
@@ -66,23 +67,23 @@ export class ParticularesListView {
           <div class="filter-tabs">
             <button class="filter-tab filter-tab-green ${
               !this.filters.state ? "active" : ""
-            }" data-filter="">Todos</button>
+            }" data-filter="">${t("cases.list.all")}</button>
             <button class="filter-tab filter-tab-green ${
               this.filters.state === "ABIERTO" ? "active" : ""
-            }" data-filter="ABIERTO">Abiertos</button>
+            }" data-filter="ABIERTO">${t("cases.statesPlural.ABIERTO")}</button>
             <button class="filter-tab filter-tab-green ${
               this.filters.state === "JUDICIAL" ? "active" : ""
-            }" data-filter="JUDICIAL">Judicial</button>
+            }" data-filter="JUDICIAL">${t("cases.statesPlural.JUDICIAL")}</button>
             <button class="filter-tab filter-tab-green ${
               this.filters.state === "ARCHIVADO" ? "active" : ""
-            }" data-filter="ARCHIVADO">Archivados</button>
+            }" data-filter="ARCHIVADO">${t("cases.statesPlural.ARCHIVADO")}</button>
           </div>
           <div class="search-input">
             <svg viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="1.5">
               <circle cx="6" cy="6" r="4.5"/>
               <path d="M9.5 9.5L13 13"/>
             </svg>
-            <input type="text" placeholder="Buscar por referencia o cliente..." id="search-input" value="${this.filters.search}">
+            <input type="text" placeholder="${t("cases.list.searchPlaceholder")}" id="search-input" value="${this.filters.search}">
           </div>
         </div>
 
@@ -101,11 +102,11 @@ export class ParticularesListView {
         <table class="data-table">
           <thead>
             <tr>
-              <th>Referencia</th>
-              <th>Cliente</th>
-              <th>Estado</th>
-              <th>Fecha Entrada</th>
-              <th>Docs</th>
+              <th>${t("cases.fields.reference")}</th>
+              <th>${t("cases.fields.client")}</th>
+              <th>${t("cases.fields.state")}</th>
+              <th>${t("cases.fields.entryDate")}</th>
+              <th>${t("cases.list.docs")}</th>
             </tr>
           </thead>
           <tbody id="cases-tbody">
@@ -113,16 +114,16 @@ export class ParticularesListView {
           </tbody>
         </table>
         <div class="table-footer">
-          <span class="table-info">Mostrando ${this.cases.length} de ${this.total} expedientes</span>
+          <span class="table-info">${t("cases.list.showing", { count: this.cases.length, total: this.total })}</span>
           <div class="pagination">
             <button class="btn btn-secondary ${
               this.page <= 1 ? "disabled" : ""
-            }" id="prev-page" ${this.page <= 1 ? "disabled" : ""}>Anterior</button>
+            }" id="prev-page" ${this.page <= 1 ? "disabled" : ""}>${t("common.previous")}</button>
             <button class="btn btn-secondary ${
               this.cases.length < this.pageSize ? "disabled" : ""
             }" id="next-page" ${
       this.cases.length < this.pageSize ? "disabled" : ""
-    }>Siguiente</button>
+    }>${t("common.next")}</button>
           </div>
         </div>
       </div>
@@ -132,15 +133,12 @@ export class ParticularesListView {
   renderRows() {
     return this.cases
       .map((c) => {
-        const stateLabels = {
-          ABIERTO: { label: "Abierto", class: "status-blue" },
-          JUDICIAL: { label: "Judicial", class: "status-orange" },
-          ARCHIVADO: { label: "Archivado", class: "status-gray" },
-        };
-        const state = stateLabels[c.state] || {
-          label: c.state,
-          class: "status-gray",
+        const stateClasses = {
+          ABIERTO: "status-blue",
+          JUDICIAL: "status-orange",
+          ARCHIVADO: "status-gray",
         };
+        const stateClass = stateClasses[c.state] || "status-gray";
 
         return `
           <tr data-case-id="${c.id}">
@@ -151,11 +149,11 @@ export class ParticularesListView {
                 ${c.clientEmail ? `<span class="cell-client-email">${c.clientEmail}</span>` : ""}
               </div>
             </td>
-            <td><span class="case-status ${state.class}">${state.label}</span></td>
+            <td><span class="case-status ${stateClass}">${t(`cases.states.${c.state}`)}</span></td>
             <td><span class="cell-date">${formatDate(c.entryDate)}</span></td>
             <td>
               <div class="cell-doc-status">
-                <span class="doc-pill ${c.hojaCount > 0 ? "doc-pill-particular" : "doc-pill-pending"}" title="${c.hojaCount > 0 ? "Hoja de Encargo generada" : "Hoja de Encargo pendiente"}">HdE</span>
+                <span class="doc-pill ${c.hojaCount > 0 ? "doc-pill-particular" : "doc-pill-pending"}" title="${c.hojaCount > 0 ? t("cases.list.hojaDone") : t("cases.list.hojaPending")}">${t("cases.list.hojaShort")}</span>
               </div>
             </td>
           </tr>
@@ -183,15 +181,15 @@ export class ParticularesListView {
             }
           </svg>
         </div>
-        <h3>${searchActive ? "No se encontraron expedientes" : "No hay expedientes Particulares"}</h3>
+        <h3>${searchActive ? t("cases.list.noResults") : t("particularesList.empty")}</h3>
         <p>${
           searchActive
-            ? "Prueba con otros términos de búsqueda o filtros."
-            : "Los expedientes de clientes particulares aparecerán aquí."
+            ? t("cases.list.noResultsHint")
+            : t("particularesList.emptyHint")
         }</p>
         ${
           !searchActive
-            ? `<a href="#/cases/new?type=PARTICULAR" class="btn btn-primary btn-green">Nuevo Expediente</a>`
+            ? `<a href="#/cases/new?type=PARTICULAR" class="btn btn-primary btn-green">${t("cases.new")}</a>`
             : ""
         }
       </div>
@@ -283,7 +281,7 @@ export class ParticularesListView {
     // Update table info
     const tableInfo = this.container.querySelector(".table-info");
     if (tableInfo) {
-      tableInfo.textContent = `Mostrando ${this.cases.length} de ${this.total} expedientes`;
+      tableInfo.textContent = t("cases.list.showing", { count: this.cases.length, total: this.total });
     }
 
     // Update filter tabs
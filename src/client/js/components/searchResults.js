@@ -0,0 +1,131 @@
+/**
+ * Search Results View
+ * Full-text search across cases, email subjects and document contents
+ */
+
+import { api } from "../api.js";
+import { router } from "../router.js";
+import { showToast } from "../app.js";
+import { t, formatDate } from "../i18n.js";
+import { escapeAttr } from "../utils/escapeHtml.js";
+
+// Result type filters ("" = all types), labelled by search.filters.*
+const TYPE_FILTERS = ["", "case", "document", "email"];
+
+export class SearchResultsView {
+  constructor(container) {
+    this.container = container;
+    const params = router.getQueryParams();
+    this.query = params.get("q") || "";
+    this.type = params.get("type") || "";
+    this.results = [];
+    this.error = null;
+  }
+
+  async render() {
+    syncGlobalSearchInput(this.query);
+
+    if (this.query.trim()) {
+      try {
+        const data = await api.search(this.query, { type: this.type, limit: 50 });
+        this.results = data.results;
+      } catch (error) {
+        // Too-short queries come back as a validation message
+        this.error = error.message;
+        if (error.status !== 400) showToast(t("search.error"), "error");
+      }
+    }
+
+    this.container.innerHTML = this.template();
+    this.bindEvents();
+  }
+
+  template() {
+    return `
+      <div class="module-list-view">
+        <div class="header">
+          <div class="header-title">
+            <h1>${t("search.title")}</h1>
+            <p>${
+              this.query
+                ? t("search.resultsFor", { query: escapeAttr(this.query) })
+                : t("search.hint")
+            }</p>
+          </div>
+        </div>
+
+        <div class="filter-tabs" style="margin-bottom: 16px;">
+          ${TYPE_FILTERS.map(
+            (type) =>
+              `<button class="filter-tab ${this.type === type ? "active" : ""}" data-type="${type}">${t(`search.filters.${type || "all"}`)}</button>`
+          ).join("")}
+        </div>
+
+        <div class="data-table-container">
+          ${this.renderResults()}
+        </div>
+      </div>
+    `;
+  }
+
+  renderResults() {
+    if (this.error) {
+      return `<p style="font-size: 12px; color: var(--text-dimmed);">${escapeAttr(this.error)}</p>`;
+    }
+    if (!this.query.trim()) return "";
+    if (this.results.length === 0) {
+      return `<p style="font-size: 12px; color: var(--text-dimmed);">${t("search.noResults")}</p>`;
+    }
+
+    // title and snippet are escaped by the server; only <mark> is HTML
+    return this.results
+      .map(
+        (r) => `
+        <a href="#/cases/${r.caseId}" class="search-result">
+          <div>
+            <span class="search-result-type">${t(`search.types.${r.type}`)}</span>
+            <span class="search-result-title">${r.title}</span>
+            <span class="search-result-meta">
+              ${escapeAttr(r.case.internalReference || "-")} · ${escapeAttr(r.case.clientName)}
+              ${r.document ? ` · ${formatDate(r.document.generatedAt)}` : ""}
+              ${r.email ? ` · ${formatDate(r.email.sentAt)}` : ""}
+            </span>
+          </div>
+          ${r.snippet && r.snippet !== r.title ? `<div class="search-result-snippet">${r.snippet}</div>` : ""}
+        </a>
+      `
+      )
+      .join("");
+  }
+
+  bindEvents() {
+    this.container.querySelectorAll(".filter-tab[data-type]").forEach((tab) => {
+      tab.addEventListener("click", () => {
+        router.navigate(searchRoute(this.query, tab.dataset.type));
+      });
+    });
+  }
+}
+
+/**
+ * Build the search route for a query
+ * @param {string} q - Search text
+ * @param {string} [type] - Result type filter
+ * @returns {string}
+ */
+export function searchRoute(q, type = "") {
+  const params = new URLSearchParams({ q });
+  if (type) params.set("type", type);
+  return `/search?${params}`;
+}
+
+/**
+ * Keep the sidebar search box in sync with the current query
+ * @param {string} q - Search text
+ */
+function syncGlobalSearchInput(q) {
+  const input = document.getElementById("global-search-input");
+  if (input && document.activeElement !== input) input.value = q;
+}
+
+export default SearchResultsView;
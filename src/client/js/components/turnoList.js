@@ -4,7 +4,7 @@
  */
 
 import { api } from "../api.js";
-import { formatDate } from "../app.js";
+import { t, plural, formatDate } from "../i18n.js";
 
 export class TurnoListView {
   constructor(container) {
@@ -23,7 +23,7 @@ export class TurnoListView {
     } catch (error) {
       this.container.innerHTML = `
         <div class="error-state">
-          <p>Error al cargar expedientes: ${error.message}</p>
+          <p>${t("cases.list.loadError")}: ${error.message}</p>
         </div>
       `;
       return;
@@ -69,15 +69,15 @@ export class TurnoListView {
       <div class="module-list-view">
         <div class="header">
           <div class="header-title">
-            <h1>Turno de Oficio</h1>
-            <p>Gestión de expedientes de turno de oficio</p>
+            <h1>${t("nav.turno")}</h1>
+            <p>${t("turnoList.subtitle")}</p>
           </div>
           <div class="header-actions">
             <a href="#/cases/new?type=TURNO_OFICIO" class="btn btn-primary btn-amber">
               <svg width="14" height="14" viewBox="0 0 14 14" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M7 1v12M1 7h12"/>
               </svg>
-              Nuevo Expediente
+              ${t("cases.new")}
             </a>
           </div>
         </div>
@@ -86,19 +86,19 @@ export class TurnoListView {
         <div class="list-controls">
           <div class="filter-tabs">
             <button class="filter-tab ${this.currentFilter === "all" ? "active" : ""}" data-filter="all">
-              Todos
+              ${t("cases.list.all")}
               <span class="filter-count">${this.allCases.length}</span>
             </button>
             <button class="filter-tab ${this.currentFilter === "ABIERTO" ? "active" : ""}" data-filter="ABIERTO">
-              Abiertos
+              ${t("cases.statesPlural.ABIERTO")}
               <span class="filter-count">${allOpen}</span>
             </button>
             <button class="filter-tab ${this.currentFilter === "JUDICIAL" ? "active" : ""}" data-filter="JUDICIAL">
-              Finalizados
+              ${t("turnoList.finalized")}
               <span class="filter-count">${allFinalized}</span>
             </button>
             <button class="filter-tab ${this.currentFilter === "ARCHIVADO" ? "active" : ""}" data-filter="ARCHIVADO">
-              Archivados
+              ${t("cases.statesPlural.ARCHIVADO")}
               <span class="filter-count">${allArchived}</span>
             </button>
           </div>
@@ -110,11 +110,11 @@ export class TurnoListView {
             <input
               type="text"
               id="search-input"
-              placeholder="Buscar por nombre, referencia o designación..."
+              placeholder="${t("turnoList.searchPlaceholder")}"
               value="${this.searchQuery}"
             />
             ${this.searchQuery ? `
-              <button class="search-clear" id="search-clear" aria-label="Limpiar búsqueda">
+              <button class="search-clear" id="search-clear" aria-label="${t("common.clearSearch")}">
                 <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                   <line x1="18" y1="6" x2="6" y2="18"/>
                   <line x1="6" y1="6" x2="18" y2="18"/>
@@ -127,7 +127,7 @@ export class TurnoListView {
         <!-- Results -->
         <div class="list-results">
           ${this.searchQuery ? `
-            <p class="results-count">${this.cases.length} resultado${this.cases.length !== 1 ? "s" : ""} encontrado${this.cases.length !== 1 ? "s" : ""}</p>
+            <p class="results-count">${plural("common.resultsFound", this.cases.length)}</p>
           ` : ""}
 
           ${openCases.length > 0 && (this.currentFilter === "ABIERTO" || this.currentFilter === "all") ? `
@@ -135,10 +135,10 @@ export class TurnoListView {
               <div class="section-header">
                 <div class="section-title">
                   <span class="section-dot section-dot-amber"></span>
-                  <h2>Abiertos</h2>
+                  <h2>${t("cases.statesPlural.ABIERTO")}</h2>
                   <span class="section-count">${openCases.length}</span>
                 </div>
-                <p class="section-subtitle">Pendientes de gestión</p>
+                <p class="section-subtitle">${t("turnoList.openHint")}</p>
               </div>
               <div class="case-cards">
                 ${openCases.map((c) => this.renderCaseCard(c, "open")).join("")}
@@ -151,10 +151,10 @@ export class TurnoListView {
               <div class="section-header">
                 <div class="section-title">
                   <span class="section-dot section-dot-blue"></span>
-                  <h2>Finalizados</h2>
+                  <h2>${t("turnoList.finalized")}</h2>
                   <span class="section-count">${finalizedCases.length}</span>
                 </div>
-                <p class="section-subtitle">Pendientes de archivo</p>
+                <p class="section-subtitle">${t("turnoList.finalizedHint")}</p>
               </div>
               <div class="case-cards">
                 ${finalizedCases.map((c) => this.renderCaseCard(c, "finalized")).join("")}
@@ -167,10 +167,10 @@ export class TurnoListView {
               <div class="section-header">
                 <div class="section-title">
                   <span class="section-dot section-dot-gray"></span>
-                  <h2>Archivados</h2>
+                  <h2>${t("cases.statesPlural.ARCHIVADO")}</h2>
                   <span class="section-count">${archivedCases.length}</span>
                 </div>
-                <p class="section-subtitle">Expedientes cerrados</p>
+                <p class="section-subtitle">${t("turnoList.archivedHint")}</p>
               </div>
               <div class="case-cards">
                 ${archivedCases.map((c) => this.renderCaseCard(c, "archived")).join("")}
@@ -188,13 +188,13 @@ export class TurnoListView {
                 </svg>
               </div>
               ${this.searchQuery ? `
-                <h3>No se encontraron expedientes</h3>
-                <p>Intenta con otros términos de búsqueda.</p>
-                <button class="btn btn-secondary" id="btn-clear-search">Limpiar búsqueda</button>
+                <h3>${t("cases.list.noResults")}</h3>
+                <p>${t("common.tryOtherSearch")}</p>
+                <button class="btn btn-secondary" id="btn-clear-search">${t("common.clearSearch")}</button>
               ` : `
-                <h3>No hay expedientes de Turno de Oficio ${this.getFilterLabel()}</h3>
-                <p>Los expedientes aparecerán aquí cuando se creen.</p>
-                <a href="#/cases/new?type=TURNO_OFICIO" class="btn btn-primary btn-amber">Nuevo Expediente</a>
+                <h3>${t(`turnoList.empty.${this.currentFilter}`)}</h3>
+                <p>${t("turnoList.emptyHint")}</p>
+                <a href="#/cases/new?type=TURNO_OFICIO" class="btn btn-primary btn-amber">${t("cases.new")}</a>
               `}
             </div>
           ` : ""}
@@ -203,21 +203,11 @@ export class TurnoListView {
     `;
   }
 
-  getFilterLabel() {
-    const labels = {
-      ABIERTO: "abiertos",
-      JUDICIAL: "finalizados",
-      ARCHIVADO: "archivados",
-      all: "",
-    };
-    return labels[this.currentFilter] || "";
-  }
-
   renderCaseCard(c, type) {
     const statusConfig = {
-      open: { class: "status-amber", text: "Abierto" },
-      finalized: { class: "status-blue", text: "Finalizado" },
-      archived: { class: "status-gray", text: "Archivado" },
+      open: { class: "status-amber", text: t("cases.states.ABIERTO") },
+      finalized: { class: "status-blue", text: t("turnoList.finalizedOne") },
+      archived: { class: "status-gray", text: t("cases.states.ARCHIVADO") },
     };
 
     const status = statusConfig[type] || statusConfig.open;
@@ -252,7 +242,7 @@ export class TurnoListView {
           </div>
         </div>
         <div class="case-card-footer case-card-footer-amber">
-          <span class="case-action">Gestionar →</span>
+          <span class="case-action">${t("turnoList.manage")} →</span>
         </div>
       </a>
     `;
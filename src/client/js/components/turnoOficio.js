@@ -4,7 +4,8 @@
  */
 
 import { api } from "../api.js";
-import { formatDate, showToast } from "../app.js";
+import { showToast } from "../app.js";
+import { t, formatDate } from "../i18n.js";
 import { DocumentUploadModal } from "./documentUploadModal.js";
 import { ConfirmModal } from "./confirmModal.js";
 
@@ -33,8 +34,8 @@ export class TurnoOficioView {
     } catch (error) {
       this.container.innerHTML = `
         <div class="error-state">
-          <p>Error al cargar el expediente: ${error.message}</p>
-          <a href="#/turno" class="btn btn-secondary">Volver</a>
+          <p>${t("turnoOficio.loadError", { message: error.message })}</p>
+          <a href="#/turno" class="btn btn-secondary">${t("turnoOficio.back")}</a>
         </div>
       `;
       return;
@@ -54,11 +55,11 @@ export class TurnoOficioView {
         <!-- Header -->
         <div class="turno-header-section">
           <nav class="turno-breadcrumb">
-            <a href="#/cases" class="turno-breadcrumb-link">Expedientes</a>
+            <a href="#/cases" class="turno-breadcrumb-link">${t("nav.cases")}</a>
             <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <polyline points="9 18 15 12 9 6"/>
             </svg>
-            <a href="#/turno" class="turno-breadcrumb-link turno-breadcrumb-amber">Turno de Oficio</a>
+            <a href="#/turno" class="turno-breadcrumb-link turno-breadcrumb-amber">${t("nav.turno")}</a>
             <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <polyline points="9 18 15 12 9 6"/>
             </svg>
@@ -82,12 +83,12 @@ export class TurnoOficioView {
                 <div class="turno-meta-row">
                   <div class="turno-ref-group">
                     <span class="turno-ref-dot"></span>
-                    <span class="turno-ref-label">Ref:</span>
+                    <span class="turno-ref-label">${t("turnoOficio.ref")}</span>
                     <span class="turno-ref-value">${c.internalReference || `TO-${c.id}`}</span>
                   </div>
                   ${c.designation ? `
                     <span class="turno-meta-divider"></span>
-                    <span class="turno-meta-type">Designación: ${c.designation}</span>
+                    <span class="turno-meta-type">${t("cases.list.designation", { designation: c.designation })}</span>
                   ` : ""}
                 </div>
               </div>
@@ -98,7 +99,7 @@ export class TurnoOficioView {
                   <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <polyline points="20 6 9 17 4 12"/>
                   </svg>
-                  Finalizar
+                  ${t("turnoOficio.finalize")}
                 </button>
               ` : ""}
               ${isFinalized && !isArchived ? `
@@ -107,7 +108,7 @@ export class TurnoOficioView {
                     <path d="M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8"/>
                     <path d="M3 3v5h5"/>
                   </svg>
-                  Reabrir
+                  ${t("deadlines.reopen")}
                 </button>
               ` : ""}
               <button class="turno-print-btn" id="btn-print">
@@ -116,7 +117,7 @@ export class TurnoOficioView {
                   <path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/>
                   <rect x="6" y="14" width="12" height="8"/>
                 </svg>
-                Imprimir
+                ${t("turnoOficio.print")}
               </button>
             </div>
           </div>
@@ -128,13 +129,13 @@ export class TurnoOficioView {
           <div class="turno-sidebar">
             <!-- Datos del Justiciable -->
             <div class="glass-card">
-              <h3 class="card-section-title">Datos del Justiciable</h3>
+              <h3 class="card-section-title">${t("turnoOficio.defendantData")}</h3>
               <div class="form-fields">
                 <div class="form-field">
-                  <label>Referencia Interna</label>
+                  <label>${t("turnoOficio.internalReference")}</label>
                   <div class="input-with-icon">
                     <input type="text" class="form-input mono" value="${c.internalReference || `TO-${c.id}`}" readonly />
-                    <button class="input-icon-btn" id="btn-copy-ref" title="Copiar">
+                    <button class="input-icon-btn" id="btn-copy-ref" title="${t("turnoOficio.copy")}">
                       <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
                         <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
@@ -143,26 +144,26 @@ export class TurnoOficioView {
                   </div>
                 </div>
                 <div class="form-field">
-                  <label>Nombre Completo</label>
+                  <label>${t("clients.fields.fullName")}</label>
                   <input type="text" class="form-input" value="${c.clientName}" readonly />
                 </div>
                 <div class="form-field">
-                  <label>Fecha de Entrada</label>
+                  <label>${t("cases.form.entryDate")}</label>
                   <input type="text" class="form-input mono" value="${this.formatDateInput(c.entryDate)}" readonly />
                 </div>
 
                 <!-- Designación de Turno -->
                 <div class="designation-box">
                   <div class="designation-header">
-                    <span class="designation-label">Designación de Turno</span>
-                    <span class="designation-required">Obligatorio</span>
+                    <span class="designation-label">${t("turnoOficio.designation")}</span>
+                    <span class="designation-required">${t("turnoOficio.required")}</span>
                   </div>
                   <div class="designation-value">
                     <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                       <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
                       <polyline points="14 2 14 8 20 8"/>
                     </svg>
-                    <span class="designation-text">${c.designation || "No especificada"}</span>
+                    <span class="designation-text">${c.designation || t("turnoOficio.designationMissing")}</span>
                   </div>
                 </div>
               </div>
@@ -170,7 +171,7 @@ export class TurnoOficioView {
 
             <!-- Estado del Expediente -->
             <div class="glass-card">
-              <h3 class="card-section-title">Estado del Expediente</h3>
+              <h3 class="card-section-title">${t("turnoOficio.caseState")}</h3>
               ${isArchived ? `
                 <div class="archive-info">
                   <div class="archive-badge">
@@ -179,22 +180,22 @@ export class TurnoOficioView {
                       <path d="M1 3h22v5H1z"/>
                       <path d="M10 12h4"/>
                     </svg>
-                    Archivado
+                    ${t("cases.states.ARCHIVADO")}
                   </div>
-                  <p class="archive-date">Fecha de cierre: ${this.formatDateInput(c.closureDate)}</p>
+                  <p class="archive-date">${t("turnoOficio.closureDate", { date: this.formatDateInput(c.closureDate) })}</p>
                 </div>
               ` : `
                 <div class="archive-section">
                   <label class="checkbox-row">
                     <input type="checkbox" id="archive-checkbox" />
-                    <span>Archivar Expediente</span>
+                    <span>${t("turnoOficio.archive")}</span>
                   </label>
                   <div class="archive-date-section" id="archive-date-section" style="display: none;">
-                    <label>Fecha de Cierre (Requerida)</label>
+                    <label>${t("turnoOficio.closureDateRequired")}</label>
                     <input type="date" class="form-input" id="close-date" value="${new Date().toISOString().split("T")[0]}" />
                   </div>
                   <button class="btn btn-archive" id="btn-confirm-archive" style="display: none;">
-                    Confirmar Archivo
+                    ${t("turnoOficio.confirmArchive")}
                   </button>
                 </div>
               `}
@@ -213,14 +214,14 @@ export class TurnoOficioView {
                     <line x1="16" y1="13" x2="8" y2="13"/>
                     <line x1="16" y1="17" x2="8" y2="17"/>
                   </svg>
-                  <span>Observaciones y Notas</span>
+                  <span>${t("turnoOficio.notes")}</span>
                 </div>
-                <span class="autosave-label" id="autosave-status">Auto-guardado activo</span>
+                <span class="autosave-label" id="autosave-status">${t("turnoOficio.autosave")}</span>
               </div>
               <textarea
                 class="notes-textarea"
                 id="case-notes"
-                placeholder="Escriba aquí los detalles relevantes del procedimiento, juzgado asignado, número de autos, etc..."
+                placeholder="${t("turnoOficio.notesPlaceholder")}"
               >${c.observations || ""}</textarea>
             </div>
 
@@ -228,11 +229,11 @@ export class TurnoOficioView {
             <div class="glass-card documents-card">
               <div class="tabs-header">
                 <button class="tab-btn ${this.activeTab === "documents" ? "active" : ""}" data-tab="documents">
-                  Histórico Documentos
+                  ${t("turnoOficio.documentHistory")}
                   ${this.documents.length > 0 ? `<span class="tab-count">${this.documents.length}</span>` : ""}
                 </button>
                 <button class="tab-btn ${this.activeTab === "emails" ? "active" : ""}" data-tab="emails">
-                  Histórico Envíos
+                  ${t("turnoOficio.emailHistory")}
                   ${this.emails.length > 0 ? `<span class="tab-count">${this.emails.length}</span>` : ""}
                 </button>
               </div>
@@ -249,7 +250,7 @@ export class TurnoOficioView {
                       <polyline points="17 8 12 3 7 8"/>
                       <line x1="12" y1="3" x2="12" y2="15"/>
                     </svg>
-                    Subir Documento
+                    ${t("documents.upload.title")}
                   </button>
                 </div>
               ` : ""}
@@ -260,7 +261,7 @@ export class TurnoOficioView {
           <div class="turno-timeline">
             <div class="glass-card">
               <div class="timeline-header">
-                <h3 class="card-section-title">Historial</h3>
+                <h3 class="card-section-title">${t("turnoOficio.history")}</h3>
               </div>
               <div class="timeline-content">
                 ${this.renderTimeline()}
@@ -282,7 +283,7 @@ export class TurnoOficioView {
             <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"/>
             <polyline points="14 2 14 8 20 8"/>
           </svg>
-          <p>No hay documentos subidos</p>
+          <p>${t("turnoOficio.noDocuments")}</p>
         </div>
       `;
     }
@@ -300,11 +301,11 @@ export class TurnoOficioView {
           </div>
           <div class="document-details">
             <span class="document-name">${this.getDocumentName(doc)}</span>
-            <span class="document-date">Subido el ${this.formatDateInput(doc.generated_at)}</span>
+            <span class="document-date">${t("turnoOficio.uploadedOn", { date: this.formatDateInput(doc.generated_at) })}</span>
           </div>
         </div>
         <div class="document-actions">
-          <a href="${api.getDocumentDownloadUrl(doc.id)}" class="btn-icon btn-icon-download" title="Descargar" target="_blank">
+          <a href="${api.getDocumentDownloadUrl(doc.id)}" class="btn-icon btn-icon-download" title="${t("common.download")}" target="_blank">
             <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
               <polyline points="7 10 12 15 17 10"/>
@@ -312,7 +313,7 @@ export class TurnoOficioView {
             </svg>
           </a>
           ${!isArchived && doc.document_type === "MANUAL_UPLOAD" ? `
-            <button class="btn-icon btn-icon-delete" data-action="delete-doc" data-doc-id="${doc.id}" data-doc-name="${this.getDocumentName(doc)}" title="Eliminar documento">
+            <button class="btn-icon btn-icon-delete" data-action="delete-doc" data-doc-id="${doc.id}" data-doc-name="${this.getDocumentName(doc)}" title="${t("turnoOficio.deleteDocument")}">
               <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <path d="M3 6h18"/>
                 <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6"/>
@@ -337,7 +338,7 @@ export class TurnoOficioView {
             <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/>
             <polyline points="22,6 12,13 2,6"/>
           </svg>
-          <p>No hay envíos registrados</p>
+          <p>${t("turnoOficio.noEmails")}</p>
         </div>
       `;
     }
@@ -347,21 +348,21 @@ export class TurnoOficioView {
         (email) => `
       <div class="document-row">
         <div class="document-info">
-          <div class="document-icon ${email.status === "ERROR" ? "icon-error" : "icon-success"}">
+          <div class="document-icon ${["SENT", "DELIVERED"].includes(email.status) ? "icon-success" : "icon-error"}">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"/>
               <polyline points="22,6 12,13 2,6"/>
             </svg>
           </div>
           <div class="document-details">
-            <span class="document-name">${email.subject || "Sin asunto"}</span>
+            <span class="document-name">${email.subject || t("turnoOficio.noSubject")}</span>
             <span class="document-date">
-              ${email.status === "SENT" ? "Enviado a" : "Error enviando a"} ${email.recipient} - ${this.formatDateInput(email.sent_at)}
+              ${t(["SENT", "DELIVERED"].includes(email.status) ? "turnoOficio.sentTo" : "turnoOficio.failedTo", { recipient: email.recipient })} - ${this.formatDateInput(email.sent_at)}
             </span>
           </div>
         </div>
-        <span class="email-status ${email.status === "SENT" ? "status-success" : "status-error"}">
-          ${email.status === "SENT" ? "Enviado" : "Error"}
+        <span class="email-status ${["SENT", "DELIVERED"].includes(email.status) ? "status-success" : "status-error"}">
+          ${["SENT", "DELIVERED"].includes(email.status) ? t("hojaEncargo.status.sent") : t("turnoOficio.error")}
         </span>
       </div>
     `
@@ -376,7 +377,7 @@ export class TurnoOficioView {
     // Entry event
     events.push({
       date: this.formatDateInput(c.entryDate),
-      title: "Entrada del Expediente",
+      title: t("turnoOficio.timeline.entry"),
       status: "completed",
     });
 
@@ -384,7 +385,7 @@ export class TurnoOficioView {
     this.documents.forEach((doc) => {
       events.push({
         date: this.formatDateInput(doc.generated_at),
-        title: `Documento: ${this.getDocumentName(doc)}`,
+        title: t("turnoOficio.timeline.document", { name: this.getDocumentName(doc) }),
         status: "completed",
       });
     });
@@ -393,7 +394,7 @@ export class TurnoOficioView {
     if (c.state === "JUDICIAL") {
       events.push({
         date: "",
-        title: "Expediente Finalizado",
+        title: t("turnoOficio.timeline.finalized"),
         status: "completed",
       });
     }
@@ -402,17 +403,17 @@ export class TurnoOficioView {
     if (c.state === "ARCHIVADO") {
       events.push({
         date: this.formatDateInput(c.closureDate),
-        title: "Expediente Archivado",
+        title: t("turnoOficio.timeline.archived"),
         status: "completed",
       });
     } else if (c.state === "ABIERTO") {
       events.push({
-        title: "Pendiente de Finalización",
+        title: t("turnoOficio.timeline.pendingFinalization"),
         status: "pending",
       });
     } else if (c.state === "JUDICIAL") {
       events.push({
-        title: "Pendiente de Archivo",
+        title: t("turnoOficio.timeline.pendingArchive"),
         status: "pending",
       });
     }
@@ -439,30 +440,24 @@ export class TurnoOficioView {
   }
 
   getDocumentName(doc) {
+    if (doc.original_name) {
+      return doc.original_name;
+    }
     if (doc.file_path) {
       const parts = doc.file_path.split("/");
       return parts[parts.length - 1];
     }
-    return doc.document_type === "MANUAL_UPLOAD" ? "Documento Subido" : doc.document_type;
+    return doc.document_type === "MANUAL_UPLOAD" ? t("turnoOficio.uploadedDocument") : doc.document_type;
   }
 
   formatDateInput(dateStr) {
     if (!dateStr) return "";
-    const date = new Date(dateStr);
-    if (isNaN(date.getTime())) return dateStr;
-    const day = String(date.getDate()).padStart(2, "0");
-    const month = String(date.getMonth() + 1).padStart(2, "0");
-    const year = date.getFullYear();
-    return `${day}/${month}/${year}`;
+    return formatDate(dateStr, { day: "2-digit", month: "2-digit", year: "numeric" });
   }
 
   getStateLabel(state) {
-    const labels = {
-      ABIERTO: "Abierto",
-      JUDICIAL: "Finalizado", // For Turno de Oficio, JUDICIAL means Finalizado
-      ARCHIVADO: "Archivado",
-    };
-    return labels[state] || state;
+    // For Turno de Oficio, JUDICIAL means Finalizado
+    return state === "JUDICIAL" ? t("turnoList.finalizedOne") : t(`cases.states.${state}`);
   }
 
   getStateBadgeClass(state) {
@@ -480,9 +475,9 @@ export class TurnoOficioView {
       const ref = this.caseData.internalReference || `TO-${this.caseData.id}`;
       try {
         await navigator.clipboard.writeText(ref);
-        showToast("Referencia copiada", "success");
+        showToast(t("turnoOficio.copied"), "success");
       } catch (e) {
-        showToast("Error al copiar", "error");
+        showToast(t("turnoOficio.copyError"), "error");
       }
     });
 
@@ -490,10 +485,10 @@ export class TurnoOficioView {
     document.getElementById("btn-finalize")?.addEventListener("click", async () => {
       try {
         await api.finalizeTurnoCase(this.caseId);
-        showToast("Expediente marcado como finalizado", "success");
+        showToast(t("turnoOficio.finalizedToast"), "success");
         this.render(); // Refresh view
       } catch (error) {
-        showToast("Error: " + error.message, "error");
+        showToast(t("common.errorMessage", { message: error.message }), "error");
       }
     });
 
@@ -501,10 +496,10 @@ export class TurnoOficioView {
     document.getElementById("btn-reopen")?.addEventListener("click", async () => {
       try {
         await api.reopenTurnoCase(this.caseId);
-        showToast("Expediente reabierto", "success");
+        showToast(t("turnoOficio.reopened"), "success");
         this.render(); // Refresh view
       } catch (error) {
-        showToast("Error: " + error.message, "error");
+        showToast(t("common.errorMessage", { message: error.message }), "error");
       }
     });
 
@@ -527,15 +522,15 @@ export class TurnoOficioView {
     confirmBtn?.addEventListener("click", async () => {
       const closeDate = document.getElementById("close-date")?.value;
       if (!closeDate) {
-        showToast("Debe indicar la fecha de cierre", "error");
+        showToast(t("turnoOficio.closureDateMissing"), "error");
         return;
       }
       try {
         await api.archiveCase(this.caseId, closeDate);
-        showToast("Expediente archivado correctamente", "success");
+        showToast(t("turnoOficio.archived"), "success");
         window.location.hash = "#/turno";
       } catch (error) {
-        showToast("Error al archivar: " + error.message, "error");
+        showToast(t("turnoOficio.archiveError", { message: error.message }), "error");
       }
     });
 
@@ -545,20 +540,20 @@ export class TurnoOficioView {
 
     notesTextarea?.addEventListener("input", () => {
       clearTimeout(this.saveTimeout);
-      autosaveStatus.textContent = "Guardando...";
+      autosaveStatus.textContent = t("turnoOficio.saving");
       autosaveStatus.classList.add("saving");
 
       this.saveTimeout = setTimeout(async () => {
         try {
           await api.updateCase(this.caseId, { observations: notesTextarea.value });
-          autosaveStatus.textContent = "Guardado";
+          autosaveStatus.textContent = t("turnoOficio.saved");
           autosaveStatus.classList.remove("saving");
           setTimeout(() => {
-            autosaveStatus.textContent = "Auto-guardado activo";
+            autosaveStatus.textContent = t("turnoOficio.autosave");
           }, 2000);
         } catch (error) {
           console.error("Error saving notes:", error);
-          autosaveStatus.textContent = "Error al guardar";
+          autosaveStatus.textContent = t("turnoOficio.saveError");
           autosaveStatus.classList.add("error");
         }
       }, 1000);
@@ -605,10 +600,10 @@ export class TurnoOficioView {
 
   showDeleteConfirmation(docId, docName) {
     const modal = new ConfirmModal({
-      title: "Eliminar Documento",
-      message: `¿Está seguro de que desea eliminar "${docName}"? Esta acción no se puede deshacer.`,
-      confirmText: "Eliminar",
-      cancelText: "Cancelar",
+      title: t("turnoOficio.deleteTitle"),
+      message: t("turnoOficio.deleteMessage", { name: docName }),
+      confirmText: t("common.delete"),
+      cancelText: t("common.cancel"),
       type: "danger",
       onConfirm: async () => {
         await this.deleteDocument(docId);
@@ -620,7 +615,7 @@ export class TurnoOficioView {
   async deleteDocument(docId) {
     try {
       await api.deleteTurnoDocument(this.caseId, docId);
-      showToast("Documento eliminado correctamente", "success");
+      showToast(t("turnoOficio.deleted"), "success");
 
       // Animate the row removal
       const row = document.querySelector(`.document-row[data-doc-id="${docId}"]`);
@@ -639,7 +634,7 @@ export class TurnoOficioView {
         }, 300);
       }
     } catch (error) {
-      showToast("Error al eliminar: " + error.message, "error");
+      showToast(t("turnoOficio.deleteError", { message: error.message }), "error");
       throw error; // Re-throw to keep modal open
     }
   }
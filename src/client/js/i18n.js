@@ -0,0 +1,227 @@
+/**
+ * Internationalisation
+ * Message catalogues of the interface, the user's locale (localStorage) and
+ * locale-aware formatting of dates, numbers and amounts.
+ *
+ * Texts use {name} parameters: t("cases.list.showing", { count: 3, total: 10 }).
+ * Static markup in index.html is translated through data-i18n attributes.
+ */
+
+import es from "./locales/es.js";
+import en from "./locales/en.js";
+
+const STORAGE_KEY = "recordplus-locale";
+
+// Language of the server messages (errorMessages.js)
+const SERVER_LOCALE = "es";
+
+export const DEFAULT_LOCALE = "es";
+
+const CATALOGUES = { es, en };
+
+// Locales offered in the switcher, in display order
+export const LOCALES = Object.keys(CATALOGUES);
+
+let currentLocale = detectLocale();
+
+/**
+ * Saved locale, or the browser language when it has a catalogue
+ * @returns {string} Locale code
+ */
+function detectLocale() {
+  const saved = globalThis.localStorage?.getItem(STORAGE_KEY);
+  if (CATALOGUES[saved]) return saved;
+
+  const browser = globalThis.navigator?.language?.slice(0, 2);
+  return CATALOGUES[browser] ? browser : DEFAULT_LOCALE;
+}
+
+/**
+ * Look up a dotted key in a catalogue
+ * @param {Object} catalogue - Catalogue
+ * @param {string} key - e.g. "cases.list.title"
+ * @returns {*} Value or undefined
+ */
+function lookup(catalogue, key) {
+  return key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), catalogue);
+}
+
+/**
+ * Current locale code
+ * @returns {string} 'es' or 'en'
+ */
+export function getLocale() {
+  return currentLocale;
+}
+
+/**
+ * Change the locale and remember it
+ * Dispatches a "localechange" event on window so the app can re-render.
+ * @param {string} locale - Locale code
+ */
+export function setLocale(locale) {
+  if (!CATALOGUES[locale] || locale === currentLocale) return;
+  currentLocale = locale;
+  globalThis.localStorage?.setItem(STORAGE_KEY, locale);
+  if (globalThis.document) {
+    document.documentElement.lang = locale;
+    translateDocument();
+  }
+  globalThis.dispatchEvent?.(new CustomEvent("localechange", { detail: { locale } }));
+}
+
+/**
+ * Catalogue of a locale (used to check all catalogues define the same keys)
+ * @param {string} locale - Locale code
+ * @returns {Object} Catalogue
+ */
+export function getCatalogue(locale) {
+  return CATALOGUES[locale];
+}
+
+/**
+ * Whether the current locale (or Spanish) defines a key
+ * @param {string} key - Dotted key
+ * @returns {boolean}
+ */
+export function hasTranslation(key) {
+  return lookup(CATALOGUES[currentLocale], key) !== undefined || lookup(CATALOGUES[DEFAULT_LOCALE], key) !== undefined;
+}
+
+/**
+ * Translate a key in the current locale
+ * Keys missing in a locale fall back to Spanish, then to the key itself.
+ * @param {string} key - Dotted key
+ * @param {Object} [params] - Values for the {name} parameters
+ * @returns {string} Text
+ */
+export function t(key, params = {}) {
+  const text = lookup(CATALOGUES[currentLocale], key) ?? lookup(CATALOGUES[DEFAULT_LOCALE], key) ?? key;
+  return String(text).replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+}
+
+/**
+ * Translate a key with singular and plural forms ({key}.one / {key}.other)
+ * @param {string} key - Dotted key of the forms
+ * @param {number} count - Quantity, available as {count}
+ * @param {Object} [params] - Other parameters
+ * @returns {string} Text
+ */
+export function plural(key, count, params = {}) {
+  return t(`${key}.${count === 1 ? "one" : "other"}`, { ...params, count });
+}
+
+/**
+ * Intl locale of the current locale
+ * @returns {string} e.g. 'es-ES' or 'en-GB'
+ */
+export function getIntlLocale() {
+  return t("intlLocale");
+}
+
+/**
+ * Format a date
+ * @param {string|Date} value - ISO date, datetime or Date
+ * @param {Object} [options] - Intl.DateTimeFormat options (default: 5 ene 2026)
+ * @returns {string} Formatted date, or "-" when empty
+ */
+export function formatDate(value, options = { day: "numeric", month: "short", year: "numeric" }) {
+  if (!value) return "-";
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleDateString(getIntlLocale(), options);
+}
+
+/**
+ * Format a date and time
+ * @param {string|Date} value - ISO datetime or Date
+ * @param {Object} [options] - Intl.DateTimeFormat options
+ * @returns {string} Formatted date and time, or "-" when empty
+ */
+export function formatDateTime(
+  value,
+  options = { day: "2-digit", month: "2-digit", year: "numeric", hour: "2-digit", minute: "2-digit" }
+) {
+  if (!value) return "-";
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return date.toLocaleString(getIntlLocale(), options);
+}
+
+/**
+ * Format an amount in euros
+ * @param {number} amount - Amount
+ * @returns {string} e.g. "1.234,50 €" or "€1,234.50"
+ */
+export function formatCurrency(amount) {
+  return new Intl.NumberFormat(getIntlLocale(), { style: "currency", currency: "EUR" }).format(Number(amount) || 0);
+}
+
+/**
+ * Format a number
+ * @param {number} value - Number
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string}
+ */
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(getIntlLocale(), options).format(Number(value) || 0);
+}
+
+/**
+ * Message of an API error in the current locale
+ * The server writes its messages in Spanish; other locales translate the
+ * specific message code (errors.<messageCode>) or the generic error code
+ * (errors.<code>), and fall back to the server text.
+ * @param {Object} error - { code, messageCode, message, field, details }
+ * @returns {string} Message
+ */
+export function translateError(error) {
+  const details = error.details && typeof error.details === "object" ? error.details : {};
+  const params = { field: error.field };
+  for (const [name, value] of Object.entries(details)) {
+    params[name] = Array.isArray(value) ? value.join(", ") : value;
+  }
+
+  if (currentLocale !== SERVER_LOCALE && error.messageCode && hasTranslation(`errors.${error.messageCode}`)) {
+    return t(`errors.${error.messageCode}`, params);
+  }
+  if (error.message && (currentLocale === SERVER_LOCALE || !hasTranslation(`errors.${error.code}`))) {
+    return error.message;
+  }
+  return hasTranslation(`errors.${error.code}`) ? t(`errors.${error.code}`, params) : t("errors.UNKNOWN");
+}
+
+/**
+ * Translate the static markup (index.html) marked with data-i18n attributes
+ * data-i18n sets the text, data-i18n-placeholder / -title / -aria-label the attribute.
+ * @param {ParentNode} [root] - Root element
+ */
+export function translateDocument(root = document) {
+  root.querySelectorAll("[data-i18n]").forEach((el) => {
+    el.textContent = t(el.dataset.i18n);
+  });
+  for (const attribute of ["placeholder", "title", "aria-label"]) {
+    const dataKey = `i18n${attribute.replace(/(^|-)(\w)/g, (m, dash, c) => c.toUpperCase())}`;
+    root.querySelectorAll(`[data-i18n-${attribute}]`).forEach((el) => {
+      el.setAttribute(attribute, t(el.dataset[dataKey]));
+    });
+  }
+}
+
+export default {
+  DEFAULT_LOCALE,
+  LOCALES,
+  getLocale,
+  setLocale,
+  getCatalogue,
+  hasTranslation,
+  t,
+  plural,
+  getIntlLocale,
+  formatDate,
+  formatDateTime,
+  formatCurrency,
+  formatNumber,
+  translateError,
+  translateDocument,
+};
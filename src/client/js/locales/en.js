@@ -0,0 +1,1830 @@
+// English catalogue
+// Same keys as es.js, plus English versions of the server error messages (errors.*).
+
+export default {
+  intlLocale: "en-GB",
+  localeName: "English",
+
+  // Shared texts
+  common: {
+    loading: "Loading...",
+    processing: "Processing...",
+    confirm: "Confirm",
+    cancel: "Cancel",
+    areYouSure: "Are you sure?",
+    saveChanges: "Save Changes",
+    previous: "Previous",
+    next: "Next",
+    tryOtherSearch: "Try other search terms.",
+    edit: "Edit",
+    delete: "Delete",
+    clearSearch: "Clear search",
+    resultsFound: {
+      one: "{count} result found",
+      other: "{count} results found",
+    },
+    from: "From",
+    to: "To",
+    date: "Date",
+    concept: "Description",
+    amount: "Amount",
+    document: "Document",
+    errorMessage: "Error: {message}",
+    download: "Download",
+    retry: "Retry",
+    close: "Close",
+    today: "Today",
+    months: {
+      "1": "January",
+      "2": "February",
+      "3": "March",
+      "4": "April",
+      "5": "May",
+      "6": "June",
+      "7": "July",
+      "8": "August",
+      "9": "September",
+      "10": "October",
+      "11": "November",
+      "12": "December",
+    },
+    weekdays: {
+      "1": "Mon",
+      "2": "Tue",
+      "3": "Wed",
+      "4": "Thu",
+      "5": "Fri",
+      "6": "Sat",
+      "7": "Sun",
+    },
+  },
+
+  // Application shell (index.html, app.js, router.js)
+  app: {
+    title: "Legal Practice",
+    pageTitle: "Legal Practice - Dashboard",
+    searchPlaceholder: "Search cases and documents...",
+    searchLabel: "Global search",
+    theme: "Theme",
+    switchLocale: "Change language",
+    logout: "Log out",
+    pageLoadError: "Error loading the page",
+    pageNotFound: "Page not found",
+    routeNotFound: 'The route "{route}" does not exist.',
+    backToDashboard: "Back to Dashboard",
+    roles: {
+      admin: "Administrator",
+      abogado: "Lawyer",
+      administrativo: "Administrative staff",
+    },
+  },
+
+  // Sidebar navigation
+  nav: {
+    dashboard: "Dashboard",
+    cases: "Cases",
+    deadlines: "Deadlines",
+    clients: "Clients",
+    invoicing: "ARAG Invoicing",
+    particulares: "Private clients",
+    turno: "Legal Aid",
+    stats: "Statistics",
+    guide: "Guide",
+    config: "Settings",
+    admin: "Admin",
+    inbox: "Inbox",
+  },
+
+  // Login view
+  login: {
+    title: "Log in",
+    intro: "Enter your credentials to access the office.",
+    username: "Username",
+    password: "Password",
+    submit: "Log in",
+    welcome: "Welcome, {name}",
+  },
+
+  // Notification center
+  notifications: {
+    title: "Notifications",
+    empty: "All clear",
+    more: "+{count} more",
+    daysInactive: "{days}d inactive",
+    certificateExpired: "The digital certificate has expired",
+    certificateExpiring: {
+      one: "Certificate expires in {count} day",
+      other: "Certificate expires in {count} days",
+    },
+    noBackups: "No backups recorded",
+    backupStale: "Last backup {days} days ago",
+    types: {
+      failed_emails: {
+        one: "1 failed email pending resend",
+        other: "{count} failed emails pending resend",
+      },
+      missing_minuta: {
+        one: "1 ARAG case without a fee note",
+        other: "{count} ARAG cases without a fee note",
+      },
+      missing_suplido: {
+        one: "1 court case without a disbursement",
+        other: "{count} court cases without a disbursement",
+      },
+      missing_hoja: {
+        one: "1 case without an engagement letter",
+        other: "{count} cases without an engagement letter",
+      },
+      unpaid_minutas: {
+        one: "1 fee note unpaid after {days} days",
+        other: "{count} fee notes unpaid after {days} days",
+      },
+      overdue_deadlines: {
+        one: "1 overdue deadline not completed",
+        other: "{count} overdue deadlines not completed",
+      },
+      upcoming_deadlines: {
+        one: "1 deadline due in the next {days} days",
+        other: "{count} deadlines due in the next {days} days",
+      },
+      stale_cases: {
+        one: "1 case with no activity in 30+ days",
+        other: "{count} cases with no activity in 30+ days",
+      },
+      bounced_minutas: {
+        one: "1 fee note returned by the recipient's server",
+        other: "{count} fee notes returned by the recipient's server",
+      },
+    },
+  },
+
+  // Global search
+  search: {
+    title: "Search",
+    resultsFor: "Results for “{query}”",
+    hint: "Search by client, reference, notes, email subject or PDF contents",
+    error: "Search failed",
+    noResults: "No results found",
+    filters: {
+      all: "All",
+      case: "Cases",
+      document: "Documents",
+      email: "Emails",
+    },
+    types: {
+      case: "Case",
+      document: "Document",
+      email: "Email",
+    },
+  },
+
+  // Hearings (señalamientos)
+  hearings: {
+    types: {
+      JUICIO: "Trial",
+      AUDIENCIA_PREVIA: "Pre-trial hearing",
+      VISTA: "Hearing",
+      COMPARECENCIA: "Appearance",
+      DECLARACION: "Statement",
+      OTRO: "Other",
+    },
+    statuses: {
+      PROGRAMADO: "Scheduled",
+      CELEBRADO: "Held",
+      SUSPENDIDO: "Postponed",
+    },
+    calendarLinkConfirm: "A subscription link to your hearings will be generated for your phone calendar app.\n\nIf you already had one, the previous link will stop working. Continue?",
+    calendarLinkCopied: "Calendar link copied to the clipboard",
+    calendarLinkCreated: "Calendar link generated",
+    subscribe: "Subscribe to calendar",
+    subscribeHint: "Subscribe from your calendar app",
+    subscribeHelp: "Add this link as a subscribed calendar (iCalendar) on your phone.",
+  },
+
+  // Clients
+  clients: {
+    fields: {
+      fullName: "Full name",
+      email: "Email",
+      phone: "Phone",
+      address: "Address",
+      notes: "Notes",
+    },
+    form: {
+      newTitle: "New Client",
+      editTitle: "Edit Client",
+      subtitle: "Contact and billing details",
+      namePlaceholder: "Full name or company name",
+      emailPlaceholder: "client@example.com",
+      addressPlaceholder: "Street, number, postcode and town",
+      create: "Create Client",
+      nameRequired: "The client name is required",
+      updated: "Client updated",
+      created: "Client created",
+    },
+    list: {
+      title: "Clients",
+      subtitle: "Client records shared across cases",
+      loadError: "Error loading clients",
+      searchPlaceholder: "Search by name, NIF, email or phone...",
+      noResults: "No clients found",
+      empty: "No clients",
+      emptyHint: "Create a client record or link one when creating a case.",
+      name: "Name",
+      contact: "Contact",
+      cases: "Cases",
+      showing: "Showing {count} of {total} clients",
+    },
+    detail: {
+      notFound: "Client not found",
+      notFoundHint: "The requested client does not exist.",
+      back: "Back to clients",
+      loadError: "Error loading the client",
+      data: "Client Details",
+      noCases: "This client has no linked cases",
+      deleteTitle: "Delete client",
+      deleteMessage: "Delete the record of {name}? This action cannot be undone.",
+      deleted: "Client deleted",
+    },
+  },
+
+  // Cases (expedientes)
+  cases: {
+    new: "New Case",
+    count: {
+      one: "{count} case",
+      other: "{count} cases",
+    },
+    types: {
+      ARAG: "ARAG",
+      PARTICULAR: "Private",
+      TURNO_OFICIO: "Legal Aid",
+    },
+    states: {
+      ABIERTO: "Open",
+      JUDICIAL: "In court",
+      ARCHIVADO: "Archived",
+    },
+    fields: {
+      reference: "Reference",
+      type: "Type",
+      state: "Status",
+      entryDate: "Entry Date",
+      client: "Client",
+      aragReference: "ARAG Ref.",
+    },
+    list: {
+      title: "Cases",
+      subtitle: "Management of all the cases of the office.",
+      loadError: "Error loading cases",
+      all: "All",
+      language: "Language",
+      searchPlaceholder: "Search by reference or client...",
+      internalReference: "Internal Ref.",
+      clientExternalReference: "Client / Ext. Ref.",
+      entry: "Entry",
+      docs: "Docs",
+      showing: "Showing {count} of {total} cases",
+      empty: "No cases",
+      designation: "Appointment: {designation}",
+      minutaDone: "Fee note generated",
+      minutaPending: "Fee note pending",
+      suplidoDone: "Disbursement generated",
+      hojaDone: "Engagement letter generated",
+      hojaPending: "Engagement letter pending",
+      hojaShort: "EL",
+      noResults: "No cases found",
+      noResultsHint: "Try other search terms or filters.",
+    },
+    refShort: "Ref: {reference}",
+    statesPlural: {
+      ABIERTO: "Open",
+      JUDICIAL: "In court",
+      ARCHIVADO: "Archived",
+    },
+    form: {
+      loadError: "Error loading the form",
+      editTitle: "Edit Case",
+      type: "Case Type",
+      clientName: "Client Name",
+      clientPlaceholder: "Search an existing client or type the full name",
+      aragReference: "ARAG Reference",
+      aragInvalid: "Invalid format. It must be DJ00 followed by 6 digits.",
+      designation: "Designation Number",
+      entryDate: "Entry Date",
+      language: "Client Language",
+      create: "Create Case",
+      linkedTo: "Linked to the",
+      clientRecord: "client record",
+      unlink: "Unlink",
+      noClientRecord: "No client record. Search an existing one or create it from the suggestions.",
+      createClient: "Create client “{name}”",
+      aragRequired: "The ARAG reference is required and must have the format DJ00xxxxxx",
+      designationRequired: "The designation number is required",
+      updated: "Case updated",
+      created: "Case created",
+    },
+  },
+
+  // Document types and documents
+  documents: {
+    types: {
+      MINUTA: "Fee note",
+      SUPLIDO: "Disbursement",
+      HOJA_ENCARGO: "Engagement letter",
+      MANUAL_UPLOAD: "Uploaded document",
+    },
+    upload: {
+      title: "Upload Document",
+      case: "Case",
+      description: "Document description",
+      descriptionPlaceholder: "E.g. Defence brief, court notice...",
+      or: "or",
+      selectFile: "choose a file",
+      removeFile: "Remove file",
+      uploadingDocument: "Uploading document...",
+      uploading: "Uploading...",
+      tooLarge: "The file exceeds the 10 MB maximum size",
+      uploaded: "Document uploaded",
+      error: "Error uploading the document",
+      caseRef: "Case {id}",
+      file: "File",
+      dropHere: "Drag a file here",
+      maxSize: "PDF, Word, Excel, images or emails · 10 MB max",
+      unsupportedFormat: "Unsupported format. Upload a PDF, Word or OpenDocument document, spreadsheet, image (JPG, PNG, HEIC), text file or email (EML, MSG)",
+      fileRequired: "Select a file",
+      category: "Category",
+      tags: "Tags",
+      tagsPlaceholder: "Comma-separated, e.g. court, opposing party",
+      editTitle: "Document details",
+      updated: "Document updated",
+    },
+    categories: {
+      NOTIFICACION: "Notification",
+      IDENTIFICACION: "Identification",
+      PRUEBA: "Evidence",
+      ESCRITO: "Filing",
+      CORRESPONDENCIA: "Correspondence",
+      OTRO: "Other",
+    },
+  },
+
+  // ARAG invoicing list
+  aragList: {
+    subtitle: "Fee notes and disbursements for ARAG cases",
+    judicial: "In Court",
+    judicialHint: "Ready for disbursements",
+    open: "Open",
+    openHint: "Not yet in court",
+    empty: "No active ARAG cases",
+    emptyHint: "ARAG cases will appear here once created.",
+    bill: "Bill",
+  },
+
+  // Invoice register
+  invoices: {
+    title: "Invoice Register",
+    subtitle: "Invoices issued for ARAG fee notes",
+    loadError: "Error loading invoices",
+    exportCsv: "Export CSV",
+    empty: "No invoices",
+    emptyHint: "No invoice was issued in the selected period.",
+    number: "Invoice No.",
+    base: "Net",
+    vat: "VAT",
+    total: "Total",
+    rectifies: "Corrects {number}",
+    previousMinuta: "previous fee note",
+    count: {
+      one: "{count} invoice",
+      other: "{count} invoices",
+    },
+  },
+
+  // Private client (Particulares) list
+  particularesList: {
+    subtitle: "Engagement letters for private clients",
+    empty: "No private client cases",
+    emptyHint: "Private client cases will appear here.",
+  },
+
+  // Legal aid (Turno de Oficio) list
+  turnoList: {
+    subtitle: "Legal aid case management",
+    finalized: "Finished",
+    finalizedOne: "Finished",
+    searchPlaceholder: "Search by name, reference or appointment...",
+    openHint: "Pending",
+    finalizedHint: "Pending archiving",
+    archivedHint: "Closed cases",
+    empty: {
+      all: "No legal aid cases",
+      ABIERTO: "No open legal aid cases",
+      JUDICIAL: "No finished legal aid cases",
+      ARCHIVADO: "No archived legal aid cases",
+    },
+    emptyHint: "Cases will appear here once created.",
+    manage: "Manage",
+  },
+
+  // Bank reconciliation
+  reconciliation: {
+    title: "Bank Reconciliation",
+    subtitle: "ARAG payments from Norma 43 or CSV statements",
+    loadError: "Error loading the bank reconciliation",
+    import: "Import Statement",
+    empty: "No statements imported",
+    emptyHint: "Import a bank statement to propose fee note payments.",
+    statement: "Statement",
+    pending: {
+      one: "{count} pending",
+      other: "{count} pending",
+    },
+    noNew: "No new transactions",
+    alreadyImported: {
+      one: "{count} credit was already imported in previous statements.",
+      other: "{count} credits were already imported in previous statements.",
+    },
+    credits: {
+      one: "{count} credit",
+      other: "{count} credits",
+    },
+    duplicates: {
+      one: "{count} already imported",
+      other: "{count} already imported",
+    },
+    unassigned: "Unassigned",
+    proposal: "Proposal: {confidence}",
+    confidence: {
+      ALTA: "Reference and amount",
+      MEDIA: "ARAG reference",
+      BAJA: "Amount only",
+    },
+    statuses: {
+      CONFIRMADO: "Reconciled",
+      DESCARTADO: "Dismissed",
+    },
+    dismiss: "Dismiss",
+    selectDocument: "Select the document the payment belongs to",
+    paymentRecorded: "Payment recorded",
+    imported: "{credits} imported, {proposals} with a payment proposal",
+    importError: "Import failed: {message}",
+    transactionsLoadError: "Error loading transactions",
+    split: "Split across documents",
+    remaining: "Left to assign: {amount}",
+  },
+
+  // Admin panel
+  admin: {
+    title: "Administration Panel",
+    subtitle: "Database and backup management.",
+    loadError: "Error loading the administration panel",
+    selectOnly: "SELECT only",
+    database: "Database",
+    backups: "Backups",
+    tables: "Tables",
+    runQueryTitle: "Run Query",
+    runQuery: "Run (Ctrl+Enter)",
+    results: "Results",
+    resultsHint: "Select a table or run a query",
+    table: "Table: {table}",
+    tableRows: "{count} of {total} rows",
+    queryRequired: "Enter an SQL query",
+    running: "Running...",
+    queryOk: "OK {count} rows in {duration}ms",
+    queryResult: "Query Result",
+    rows: "{count} rows",
+    noResults: "No results",
+  },
+
+  // Backups (admin panel)
+  backups: {
+    never: "Never",
+    lastBackup: "Last backup",
+    storage: "Storage",
+    count: {
+      one: "{count} backup",
+      other: "{count} backups",
+    },
+    sync: "Sync",
+    syncNotConfigured: "Not configured",
+    manualDownload: "Manual download",
+    creating: "Creating...",
+    create: "Create Backup Now",
+    history: "Backup History",
+    files: {
+      one: "{count} file",
+      other: "{count} files",
+    },
+    file: "File",
+    size: "Size",
+    empty: "No backups",
+    emptyHint: "Create your first backup",
+    loadError: "Error loading backups",
+    csvExported: "{count} cases exported",
+    csvTitle: "CSV Export",
+    csvSubtitle: "Download every case as CSV for Excel/Numbers",
+    exporting: "Exporting...",
+    csvDownload: "Download Cases CSV",
+    created: "Backup created",
+    createError: "Error creating the backup",
+    downloading: "Downloading backup...",
+    deleteConfirm: "Delete {filename}?",
+    deleted: "Backup deleted",
+    deleteError: "Error deleting the backup",
+    csvError: "Error exporting CSV",
+    justNow: "Just now",
+    minutesAgo: "{count} min ago",
+    hoursAgo: {
+      one: "{count} hour ago",
+      other: "{count} hours ago",
+    },
+    daysAgo: {
+      one: "{count} day ago",
+      other: "{count} days ago",
+    },
+  },
+
+  // Statistics
+  stats: {
+    title: "Statistics",
+    loading: "Loading data...",
+    loadError: "Error loading statistics: {message}",
+    subtitle: "Analysis of cases and firm activity.",
+    kpis: {
+      new: "New Cases",
+      archived: "Archived Cases",
+      pending: "Pending Cases",
+      pendingDetail: "Open + Judicial",
+      monthlyAverage: "Monthly Average",
+      previousMonth: "{count} previous month",
+      average: "{year} average",
+    },
+    monthly: "Monthly Trend",
+    distribution: "Distribution by Type",
+    total: "Total",
+    yearOverYear: "Year-over-Year Comparison",
+    types: {
+      ALL: "All",
+      ARAG: "ARAG",
+      PARTICULAR: "Private",
+      TURNO_OFICIO: "Duty",
+    },
+    tooltip: {
+      particular: "Priv",
+      cases: "{count} cases",
+    },
+    downloading: "Downloading {format}...",
+    months: {
+      "1": "Jan",
+      "2": "Feb",
+      "3": "Mar",
+      "4": "Apr",
+      "5": "May",
+      "6": "Jun",
+      "7": "Jul",
+      "8": "Aug",
+      "9": "Sep",
+      "10": "Oct",
+      "11": "Nov",
+      "12": "Dec",
+    },
+  },
+
+  // Procedural deadlines (plazos)
+  deadlines: {
+    statuses: {
+      PENDIENTE: "Pending",
+      PROXIMO: "Due soon",
+      VENCIDO: "Overdue",
+      CUMPLIDO: "Done",
+    },
+    overdueFor: {
+      one: "Overdue by {count} day",
+      other: "Overdue by {count} days",
+    },
+    dueToday: "Due today",
+    remaining: {
+      one: "{count} working day left",
+      other: "{count} working days left",
+    },
+    loadError: "Error loading deadlines",
+    subtitle: "Procedural deadlines in working days (LEC / LJCA)",
+    month: "Deadlines this month",
+    monthEmpty: "No deadlines this month",
+    overdue: "Overdue deadlines not completed ({count})",
+    fields: {
+      dueDate: "Due",
+      title: "Step",
+      case: "Case",
+    },
+    reopen: "Reopen",
+  },
+
+  // Hoja de encargo workflow modal
+  hojaEncargo: {
+    services: "Professional Services",
+    servicesPlaceholder: "Describe the services to provide to the client...",
+    servicesHint: "Description of the legal services to provide",
+    fees: "Fees (€)",
+    feesHint: "Professional fees (excluding VAT)",
+    bilingual: "Bilingual version (Spanish / English)",
+    bilingualHint: "For foreign clients: both versions in a single signed document",
+    steps: {
+      generate: "Generate PDF",
+      sign: "Sign Digitally",
+      send: "Send by Email",
+    },
+    status: {
+      pending: "Pending",
+      generating: "Generating...",
+      generated: "Generated",
+      completed: "Completed",
+      signing: "Signing...",
+      signed: "Signed",
+      skipped: "Skipped (no certificate)",
+      sending: "Sending...",
+      sent: "Sent",
+      queued: "Queued for sending",
+    },
+    clientEmail: "Client Email",
+    actions: {
+      generate: "Generate Document",
+      sign: "Sign Document",
+      sendUnsigned: "Send Unsigned",
+      retrySign: "Retry Signature",
+      retrySend: "Retry Sending",
+    },
+    servicesRequired: "The services are required",
+    feesInvalid: "The fees must be a positive number",
+    generated: "Document generated",
+    noDocumentToSign: "There is no document to sign",
+    signedToast: "Document signed",
+    signError: "Error signing: {message}",
+    emailInvalid: "Enter a valid email",
+    sendError: "Error sending: {message}",
+    noDocumentToDownload: "There is no document to download",
+    queuedToast: "Document queued for sending",
+  },
+
+  // Dashboard
+  dashboard: {
+    loadError: "Error loading the dashboard",
+    subtitle: "Monthly summary and quick actions.",
+    vsLastYear: "{change} vs last year",
+    entries: "New This Month",
+    archived: "Archived This Month",
+    closureRatio: "Closure Ratio",
+    pending: "Pending",
+    viewAll: "View all",
+    receivables: "Outstanding Receivables",
+    overdue: "{amount} overdue (more than {days} days)",
+    documents: {
+      one: "{count} document",
+      other: "{count} documents",
+    },
+    bucket: "{bucket} days",
+    hearings: "Upcoming Hearings",
+    noHearings: "No hearings in the next 30 days",
+    claim: "Money claim",
+    filterError: "Error filtering cases",
+  },
+
+  // Turno de oficio case detail
+  turnoOficio: {
+    loadError: "Error loading the case: {message}",
+    back: "Back",
+    ref: "Ref:",
+    finalize: "Finalise",
+    print: "Print",
+    defendantData: "Defendant Details",
+    internalReference: "Internal Reference",
+    copy: "Copy",
+    designation: "Duty Designation",
+    required: "Required",
+    designationMissing: "Not specified",
+    caseState: "Case Status",
+    closureDate: "Closure date: {date}",
+    archive: "Archive Case",
+    closureDateRequired: "Closure Date (Required)",
+    confirmArchive: "Confirm Archive",
+    notes: "Observations and Notes",
+    autosave: "Autosave on",
+    notesPlaceholder: "Write the relevant details of the proceedings here: assigned court, case number, etc...",
+    documentHistory: "Document History",
+    emailHistory: "Email History",
+    history: "History",
+    noDocuments: "No documents uploaded",
+    uploadedOn: "Uploaded on {date}",
+    deleteDocument: "Delete document",
+    noEmails: "No emails sent",
+    noSubject: "No subject",
+    sentTo: "Sent to {recipient}",
+    failedTo: "Error sending to {recipient}",
+    error: "Error",
+    timeline: {
+      entry: "Case Opened",
+      document: "Document: {name}",
+      finalized: "Case Finalised",
+      archived: "Case Archived",
+      pendingFinalization: "Awaiting Finalisation",
+      pendingArchive: "Awaiting Archive",
+    },
+    uploadedDocument: "Uploaded Document",
+    copied: "Reference copied",
+    copyError: "Error copying",
+    finalizedToast: "Case marked as finalised",
+    reopened: "Case reopened",
+    closureDateMissing: "Enter the closure date",
+    archived: "Case archived",
+    archiveError: "Error archiving: {message}",
+    saving: "Saving...",
+    saved: "Saved",
+    saveError: "Error saving",
+    deleteTitle: "Delete Document",
+    deleteMessage: 'Are you sure you want to delete "{name}"? It can be restored from the case page.',
+    deleted: "Document deleted",
+    deleteError: "Error deleting: {message}",
+  },
+
+  // Configuration
+  config: {
+    fields: {
+      baseFee: "Base Fee (€)",
+      vat: "VAT (%)",
+      billingEmail: "Billing Email",
+      invoiceSeries: "Invoice Series",
+      overdueDays: "Days Until Unpaid",
+      hourlyRate: "Private Client Hourly Rate (€/h)",
+      deadlineAlertDays: "Deadline Alert (days before)",
+      smtpHost: "SMTP Server",
+      smtpPort: "Port",
+      smtpSecurity: "Security",
+      smtpUser: "SMTP User",
+      smtpPassword: "SMTP Password",
+      smtpFrom: "Sender Address (From)",
+      certificatePath: "Certificate Path (.p12/.pfx)",
+      certificatePassword: "Certificate Password",
+      documentsPath: "Documents Path",
+      holidaysNational: "National Holidays and Non-Working Days (24 and 31 Dec)",
+      holidaysRegional: "Andalusian Holidays",
+      holidaysLocal: "Local Holidays (Málaga)",
+      trustedRootsPath: "Trusted Root Certificates Folder",
+      tsaUrl: "Timestamp Authority (URL)",
+      ltvEnabled: "Long-Term Validation (LTV)",
+      emailMaxAttempts: "Delivery attempts",
+      inboundEmailSource: "Source",
+      imapHost: "IMAP server",
+      imapPort: "Port",
+      imapUser: "IMAP user",
+      imapPassword: "IMAP password",
+      imapMailbox: "Folder",
+      inboundEmailPath: "Maildir / mbox path",
+      inboundEmailInterval: "Check every (min)",
+      emailSignature: "Email signature",
+      bounceEmailSource: "Delivery reports",
+      bounceImapMailbox: "Reports folder",
+      bounceEmailPath: "Reports path (Maildir/mbox)",
+    },
+    loadError: "Error loading the settings",
+    subtitle: "System parameters and fees.",
+    arag: "ARAG Settings",
+    courtCalendar: "Court Calendar",
+    holidaysHelp: "Holidays for deadline calculation: MM-DD for yearly holidays or YYYY-MM-DD for a given year, separated by commas. Maundy Thursday and Good Friday are calculated automatically.",
+    mileage: "Mileage Table by Judicial District",
+    smtp: "SMTP Settings",
+    testConnection: "Test Connection",
+    smtpUserPlaceholder: "user@example.com",
+    smtpFromPlaceholder: "office@example.com",
+    certificate: "ACA Digital Certificate (Signature)",
+    testCertificate: "Test Certificate",
+    certificateHelp: "ACA certificate (Spanish Bar certification authority) for digitally signing PDF documents. Without a certificate, a visual signature is used.",
+    storage: "Document Storage",
+    storageHelp: "Directory where generated PDFs (minutas and suplidos) are stored.",
+    save: "Save Settings",
+    saved: "Settings saved",
+    validation: {
+      baseFee: "Base Fee must be between €0 and €10,000",
+      vat: "VAT must be between 0% and 100%",
+      hourlyRate: "The hourly rate must be between €0 and €10,000",
+      invoiceSeries: "The invoice series only accepts letters and digits (max. 10)",
+      overdueDays: "Days until unpaid must be a whole number between 1 and 365",
+      deadlineAlertDays: "The deadline alert must be a whole number between 1 and 60 days",
+      mileage: "Invalid mileage (must be between €0 and €1,000)",
+      emailMaxAttempts: "Delivery attempts must be a whole number between 1 and 20",
+      inboundEmailInterval: "The mail check must be a whole number of minutes between 1 and 1440",
+    },
+    testingConnection: "Testing connection...",
+    smtpOk: "SMTP connection successful",
+    connectionError: "Connection error",
+    certificatePathRequired: "Enter the certificate path",
+    verifyingCertificate: "Verifying certificate...",
+    certificateExpiring: "Valid certificate (expires in {days} days)",
+    certificateValid: "Valid certificate",
+    certificateInvalid: "Invalid certificate",
+    certificateError: "Error verifying the certificate",
+    certificateDetails: {
+      holder: "Holder",
+      organization: "Organisation",
+      issuer: "Issuer",
+      validFrom: "Valid from",
+      validTo: "Valid to",
+    },
+    templates: {
+      title: "Document Templates",
+      language: "Case language",
+      preview: "Preview",
+      helpTitle: "Available placeholders and directives",
+      help: "Use <code>{{field}}</code> or <code>{{field | currency}}</code> (formats: <code>currency</code>, <code>date</code>, <code>upper</code>) and sections <code>{{#if field}}…{{else}}…{{/if}}</code>. Click a placeholder to insert it.",
+      reset: "Restore default",
+      save: "Save Template",
+      customized: "Customised",
+      default: "Default",
+      line: "Line {line}",
+      saved: "Template saved",
+      resetConfirm: "Restore the default template? Saved changes will be lost.",
+      restored: "Default template restored",
+      directives: {
+        titulo: "Title band in the document colour",
+        encabezado: "Centred, underlined title",
+        seccion: "Section heading",
+        campos: "“Label: value” rows in 2 columns (or 1) up to a blank line",
+        tabla: "Table with “item | amount” rows",
+        total: "Highlighted total row",
+        destacado: "Highlighted box",
+        importe: "Large highlighted amount",
+        clausula: "Small-print clause",
+        nota: "Centred note at the end",
+        firmas: "Two signature lines",
+        pie: "Page footer",
+        espacio: "Vertical space / new page",
+        color: "Colour of the title, totals and amounts",
+      },
+    },
+    trustedRootsHelp: "Certificates (.cer, .crt, .pem) of the authorities used to check PDF signatures, e.g. the FNMT or ACA root.",
+    ltvOptions: {
+      off: "Off",
+      on: "On",
+    },
+    ltvHelp: "With a TSA URL (RFC 3161) every signature carries a timestamp. With LTV on, the certificates and revocation lists are embedded in the PDF so the signature can be validated after the certificate expires.",
+    emailMaxAttemptsHelp: "Attempts per email before it is marked as failed",
+    inboundEmail: "Inbound Email",
+    inboundEmailHelp: "Received emails are stored in the case whose reference (DJ00…, IY… or IY-YY-NNN) appears in the subject. The rest wait in the unassigned inbox.",
+    inboundSources: {
+      off: "Disabled",
+      imap: "IMAP",
+      maildir: "Maildir (local)",
+      mbox: "mbox (local)",
+    },
+    inboundEmailPathHelp: "Only for the Maildir and mbox sources: Maildir directory (with cur/ and new/) or mbox file on the server",
+    emailSignaturePlaceholder: "Law firm…\nPhone …",
+    emailSignatureHelp: 'Added at the end of the fee note, travel expenses and engagement letter emails, after a "-- " line.',
+    emailTemplates: {
+      title: "Email Templates",
+      help: "Subject and text of the emails sent with each document, in the case language. Placeholders are replaced with the case data.",
+      keys: {
+        MINUTA: "Fee note / corrective invoice",
+        SUPLIDO: "Travel expenses",
+        HOJA_ENCARGO: "Engagement letter",
+        GENERIC: "Generic email",
+      },
+      subject: "Subject",
+      text: "Text",
+      html: "HTML (optional)",
+      htmlPlaceholder: "Empty: the email is sent as plain text only",
+      preview: "Preview with sample data and the saved signature",
+      placeholders: "Available placeholders",
+      loadError: "Error loading the email templates",
+    },
+    bounceEmailHelp: "Delivery reports (bounces) of the emails sent mark the email as returned or delivered. They are read from the inbound mailbox; set another mailbox here if they arrive in a different folder or account (it uses the IMAP account above).",
+    bounceSources: {
+      off: "Inbound mailbox only",
+      imap: "IMAP folder",
+      maildir: "Maildir (local)",
+      mbox: "mbox (local)",
+    },
+  },
+
+  // User guide (prose, may contain markup)
+  guide: {
+    header: {
+      "1": "User Guide",
+      "2": "Everything you need to manage your legal cases",
+    },
+    toc: {
+      "1": "Contents",
+      "2": "Overview",
+      "3": "Cases",
+      "4": "Create a Case",
+      "5": "ARAG Invoicing",
+      "6": "Private Clients",
+      "7": "Duty Solicitor",
+      "8": "Statistics",
+      "9": "Settings",
+    },
+    inicio: {
+      "1": "Overview — Dashboard",
+      "2": "The main screen shows a summary of all your cases.",
+      "3": "Dashboard - Control panel",
+      "4": "Dashboard: overview with metrics and recent cases",
+      "5": "<strong>Quick metrics</strong> — At the top you will see four cards: New This Month, Archived This Month, Pending and Closure Ratio.",
+      "6": "<strong>Recent cases table</strong> — Shows the most recent cases with their type, reference, client and status. Click any row to see the details.",
+      "7": "<strong>New Case</strong> — The button in the top right corner takes you straight to the creation form.",
+    },
+    expedientes: {
+      "1": "Cases",
+      "2": "Full list of all the firm's cases.",
+      "3": "Case list",
+      "4": "Case list with type filters and search box",
+      "5": '<strong>Filter by type</strong> — Use the <span class="guide-badge guide-badge-arag">ARAG</span> <span class="guide-badge guide-badge-particular">Private</span> <span class="guide-badge guide-badge-turno">Duty</span> tabs to see only one type of case.',
+      "6": "<strong>Search</strong> — Type the client name or the reference in the search box to find a case quickly.",
+      "7": "<strong>Sort columns</strong> — Click the column headers (Internal Ref., Client, Entry) to sort the table.",
+      "8": "<strong>View details</strong> — Click any row to open the full case record.",
+      "9": "<strong>Case statuses</strong><br/>",
+      "10": '<span class="guide-status guide-status-open">Open</span> — Active case in progress<br/>',
+      "11": '<span class="guide-status guide-status-judicial">Judicial</span> — Case in court proceedings (ARAG only)<br/>',
+      "12": '<span class="guide-status guide-status-archived">Archived</span> — Closed case (read only)',
+    },
+    crearExpediente: {
+      "1": "Create a New Case",
+      "2": "How to open a new case according to its type.",
+      "3": "New case form",
+      "4": "Case creation form",
+      "5": "<strong>Select the type</strong> — Choose between ARAG, Private or Duty Solicitor. The form fields change with the type.",
+      "6": "<strong>Client details</strong> — Client name (required), entry date and client language.",
+      "7": "<strong>References</strong><br/>",
+      "8": '&bull; <span class="guide-badge guide-badge-arag">ARAG</span>: Enter the ARAG reference (format DJ00XXXXXX). The internal IY reference is generated automatically.<br/>',
+      "9": '&bull; <span class="guide-badge guide-badge-particular">Private</span>: The IY-YY-NNN reference is generated automatically.<br/>',
+      "10": '&bull; <span class="guide-badge guide-badge-turno">Duty Solicitor</span>: Enter the designation number.',
+      "11": '<strong>Save</strong> — Press the "Create Case" button to save it.',
+      "12": "<strong>Important</strong><br/>",
+      "13": "References are never reused, not even when a case is deleted. The ARAG reference (DJ00...) must be unique.",
+    },
+    facturacion: {
+      "1": "ARAG Invoicing",
+      "2": "Generate minutas and suplidos for ARAG cases and send them by email.",
+      "3": "ARAG invoicing list",
+      "4": "List of ARAG cases pending invoicing",
+      "5": "Invoicing flow",
+      "6": "Generate PDF",
+      "7": "Sign",
+      "8": "Send email",
+      "9": "ARAG invoicing detail",
+      "10": "ARAG case detail with document history",
+      "11": '<strong>Generate Minuta</strong> — Press "Generate and Send" to create the invoice PDF, sign it and send it by email. The amount is always €203 + 21% VAT = €245.63.',
+      "12": '<strong>Generate Suplido</strong> — Only available when the case is in <span class="guide-status guide-status-judicial">Judicial</span> status. Select the judicial district and the travel amount is calculated automatically.',
+      "13": "<strong>History</strong> — The right-hand panel shows the full history: generated documents and sent emails with their status.",
+      "14": '<strong>Retry email</strong> — If an email failed, a "Retry" button appears next to the record to send it again.',
+    },
+    particulares: {
+      "1": "Private Clients — Hoja de Encargo",
+      "2": "Manage the engagement letters (hojas de encargo) of private clients.",
+      "3": "Private clients view",
+      "4": "List of private client cases",
+      "5": "<strong>Filter and search</strong> — Use the tabs (All, Open, Judicial, Archived) and the search box to find a case.",
+      "6": "<strong>HdE column</strong> — Shows whether the case already has a Hoja de Encargo. Click the row to open the details.",
+      "7": "Hoja de Encargo detail",
+      "8": "Private case detail with Hoja de Encargo",
+      "9": "<strong>Hoja de Encargo details</strong> — Fill in the contracted services, base fees, advance on costs and VAT. The total is calculated automatically.",
+      "10": '<strong>Generate and Send</strong> — Press "Generate and Send" to create the PDF, sign it digitally and email it to the client in a single step.',
+      "11": "<strong>Document status</strong> — The right-hand panel shows the progress: Generated → Signed → Sent. Each step is ticked automatically.",
+      "12": "<strong>History</strong> — The right-hand column shows the full history of actions on the case and its documents.",
+    },
+    turno: {
+      "1": "Duty Solicitor",
+      "2": "Legal aid defence cases assigned by the court.",
+      "3": "Duty solicitor view",
+      "4": "Duty solicitor cases grouped by status",
+      "5": "<strong>Filter by status</strong> — Use the tabs (All, Open, Finalised, Archived) to see the cases in each phase. Each tab shows the number of cases.",
+      "6": '<strong>Case cards</strong> — Each card shows the reference, designation, date and status. Press "Manage →" to open the details.',
+      "7": "Duty solicitor case detail",
+      "8": "Detail of a duty solicitor case",
+      "9": "<strong>Defendant details</strong> — Internal reference, name, entry date and duty designation.",
+      "10": "<strong>Observations and notes</strong> — Autosaved text field for details of the proceedings, assigned court, etc.",
+      "11": '<strong>Documents and emails</strong> — The "Document History" and "Email History" tabs show the uploaded files and the emails sent.',
+      "12": '<strong>Status and closure</strong> — The bottom left shows the current status and the closure date. If the case is open, you will see the "Mark as Finalised" button. Press "Print" at the top right to print a copy.',
+      "13": "Duty solicitor cases do not generate invoices. Only documents and the case status are managed.",
+    },
+    estadisticas: {
+      "1": "Statistics",
+      "2": "See the firm's activity in charts and metrics.",
+      "3": "Statistics",
+      "4": "Statistics panel with activity charts",
+      "5": "<strong>Select year</strong> — Use the year selector to see statistics for earlier periods.",
+      "6": "<strong>Filter by type</strong> — Filter the statistics by case type (ARAG, Private, Duty Solicitor or all).",
+      "7": "<strong>Key metrics</strong> — Cards with the year totals: New Cases, Archived Cases, Pending Cases and Monthly Average.",
+      "8": "<strong>Monthly chart</strong> — The bar chart shows activity month by month. Hover over a bar to see the breakdown.",
+    },
+    configuracion: {
+      "1": "Settings",
+      "2": "System settings: email, digital certificate, fees and backups.",
+      "3": "Fees",
+      "4": "<strong>ARAG settings</strong> — Base fee (€203), VAT percentage (21%) and the email address minutas and suplidos are sent to.",
+      "5": "ARAG settings",
+      "6": "ARAG settings: base fee, VAT and billing email",
+      "7": "Km",
+      "8": "<strong>Travel suplidos</strong> — Amounts in euros per judicial district (Torrox, Vélez-Málaga, Torremolinos, Fuengirola, Marbella, Estepona, Antequera). These values are applied automatically when generating a suplido.",
+      "9": "Mileage Table",
+      "10": "Mileage table by judicial district",
+      "11": "SMTP",
+      "12": '<strong>Email settings</strong> — SMTP server, port, security, user, password and sender address. Press "Test Connection" to check that the connection works.',
+      "13": "SMTP settings",
+      "14": "Email server (SMTP) settings",
+      "15": "Cert",
+      "16": '<strong>Digital certificate</strong> — Path to the .p12 file and password of the ACA certificate. Press "Test Certificate" to check it. When configured, documents are digitally signed with legal validity. Without a certificate, a visual signature is used.',
+      "17": "Digital Certificate",
+      "18": "ACA digital certificate for signing PDF documents",
+      "19": "Docs",
+      "20": '<strong>Document storage</strong> — Directory where generated PDFs (minutas and suplidos) are saved. Press "Save Settings" to apply all the changes on this page.',
+      "21": "Document Storage",
+      "22": "Document storage path and save button",
+      "23": "<strong>Restricted access</strong><br/>",
+      "24": "Settings changes affect how the whole system works. Only change these values if you are sure of what you are doing.",
+    },
+    referencia: {
+      "1": "Quick Reference",
+      "2": "Shortcuts and key concepts to use Record+ efficiently.",
+      "3": "Case Types",
+      "4": "ARAG",
+      "5": "Legal expenses insurance. Ref: DJ00XXXXXX",
+      "6": "Private",
+      "7": "Private client. Ref: IY-YY-NNN",
+      "8": "Duty",
+      "9": "Legal aid defence. Ref: Designation",
+      "10": "Navigation",
+      "11": "Dashboard",
+      "12": "Overview and metrics",
+      "13": "Cases",
+      "14": "All cases",
+      "15": "Invoicing",
+      "16": "ARAG minutas and suplidos",
+      "17": "Private Clients",
+      "18": "Engagement letters",
+      "19": "Duty",
+      "20": "Legal aid cases",
+      "21": "Workflow",
+      "22": "Create a case with the client details",
+      "23": "Manage documents and invoices",
+      "24": "Send documents by email",
+      "25": "Archive when the case is closed",
+    },
+    screenshotMissing: "Screenshot not added yet",
+  },
+
+  // Case detail
+  caseDetail: {
+    notFound: "Case not found",
+    notFoundHint: "The requested case does not exist.",
+    backToCases: "Back to cases",
+    loadError: "Error loading the case",
+    viewClient: "View client record",
+    state: "Status: {state}",
+    tabs: {
+      info: "Details",
+      deadlines: "Deadlines",
+      hearings: "Hearings",
+      audit: "Change history",
+      emails: "Emails",
+    },
+    loadingAudit: "Loading history...",
+    loadingDeadlines: "Loading deadlines...",
+    loadingHearings: "Loading hearings...",
+    info: {
+      title: "Case Details",
+      internalReference: "Internal Reference",
+      designation: "Appointment",
+      judicialDate: "Court Date",
+      observations: "Notes",
+      observationsPlaceholder: "Add notes...",
+    },
+    closureDate: "Closing Date",
+    judicialDistrict: "Judicial district",
+    documents: "Documents",
+    noDocuments: "No documents generated",
+    signed: "Signed",
+    auditLoadError: "Error loading the change history",
+    noAudit: "No changes recorded",
+    audit: {
+      system: "System",
+      actions: {
+        CREATE: "Created",
+        UPDATE: "Modified",
+        ARCHIVE: "Archived",
+        JUDICIAL: "Taken to court",
+        FINALIZE: "Finalised",
+        REOPEN: "Reopened",
+        DELETE: "Deleted",
+      },
+      fields: {
+        type: "Type",
+        clientName: "Client",
+        internalReference: "Internal reference",
+        aragReference: "ARAG reference",
+        designation: "Appointment",
+        state: "Status",
+        entryDate: "Entry date",
+        judicialDate: "Court date",
+        judicialDistrict: "Judicial district",
+        closureDate: "Closing date",
+        observations: "Notes",
+        language: "Language",
+        clientId: "Client record",
+      },
+    },
+    deadlineForm: {
+      title: "New deadline",
+      titlePlaceholder: "Statement of defence",
+      startDate: "Notification date",
+      days: "Days",
+      dayType: "Counting",
+      dayTypes: {
+        HABILES: "Working days",
+        NATURALES: "Calendar days",
+      },
+      judicial: "Court deadline (August excluded)",
+      submit: "Add deadline",
+    },
+    noDeadlines: "No deadlines recorded",
+    computation: {
+      HABILES: "{days} working days from {date}",
+      NATURALES: "{days} calendar days from {date}",
+      fixed: "Fixed date",
+    },
+    deleteDeadlineConfirm: "Delete this deadline?",
+    dueOn: "Due on {date}",
+    deadlineAdded: "Deadline added",
+    hearingForm: {
+      title: "New hearing",
+      startsAt: "Date and time",
+      duration: "Minutes",
+      court: "Court",
+      courtPlaceholder: "Court of First Instance no. 2",
+      notesPlaceholder: "Notes (courtroom, witnesses, documents…)",
+      submit: "Add hearing",
+    },
+    hearingsLoadError: "Error loading hearings",
+    noHearings: "No hearings recorded",
+    hearingStatusUpdated: "Hearing status updated",
+    deleteHearingConfirm: "Delete this hearing?",
+    hearingAdded: "Hearing added",
+    calendarLinkPrompt: "Subscription link (iCalendar):",
+    observationsSaved: "Notes saved",
+    saveError: "Error saving",
+    toJudicial: "Take to Court",
+    judicialDone: "Case taken to court",
+    manage: "Manage Case",
+    archive: "Archive",
+    archiveTitle: "Archive Case",
+    archived: "Case archived",
+    uploadDocument: "Upload document",
+    allCategories: "All categories",
+    allTags: "All tags",
+    noDocumentsFiltered: "No documents match the filters",
+    deleteDocumentTitle: "Delete document",
+    deleteDocumentMessage: "Delete “{name}”? It will be moved to the trash and can be restored.",
+    documentDeleted: "Document deleted",
+    showDeleted: "Trash",
+    noDeletedDocuments: "The trash is empty",
+    deletedOn: "Deleted on {date}",
+    restoreDocument: "Restore",
+    documentRestored: "Document restored",
+    versionHistory: "Version history",
+    noVersions: "This document has no recorded versions",
+    versionReasons: {
+      CREACION: "Created",
+      FIRMA: "Signed",
+      REGISTRO_INICIAL: "Initial record",
+    },
+    verifyIntegrity: "Verify",
+    verifyIntegrityHint: "Check that the stored files have not been modified (SHA-256)",
+    integrityOk: "Integrity OK: {count} versions checked",
+    integrityProblems: "{count} document(s) with integrity problems",
+    integrityProblemHint: "The stored file does not match its SHA-256 hash or is missing",
+    integrityStatus: {
+      CORRECTO: "OK",
+      MODIFICADO: "Modified",
+      NO_ENCONTRADO: "Missing",
+      SIN_HASH: "Not hashed",
+    },
+    verifySignature: "Verify signature",
+    loadingEmails: "Loading emails...",
+    emailsLoadError: "Error loading emails",
+    noEmails: "No emails have been sent for this case",
+    sendEmail: "Send email",
+    emailStatus: {
+      SENT: "Sent",
+      ERROR: "Failed",
+      DELIVERED: "Delivered",
+      BOUNCED: "Bounced",
+    },
+    email: {
+      to: "To",
+      cc: "CC",
+      bcc: "BCC",
+      subject: "Subject",
+      text: "Message",
+      attachments: "Attachments",
+      addressesHelp: "Separate several addresses with commas.",
+      noDocuments: "The case has no documents to attach.",
+      size: "{size} MB",
+      total: "Attachments: {size} MB of {max} MB at most",
+      send: "Send",
+      queued: "Email queued for sending",
+      smtpMissing: "Set up the SMTP server in Settings to send emails",
+    },
+  },
+
+  // Particular case screen: hoja de encargo, time entries and provisiones de fondos
+  particulares: {
+    loadError: "Error loading the case: {message}",
+    onlyParticular: "This module is only available for private client cases.",
+    backToCase: "Back to Case",
+    ref: "Ref:",
+    editRecord: "Edit Record",
+    clientData: "Client Details",
+    internalReference: "Internal Reference (Auto)",
+    contactEmail: "Contact Email",
+    active: "Active",
+    expand: "Expand",
+    history: "History",
+    refresh: "Refresh",
+    historyUpdated: "History updated",
+    minutesAgo: "{minutes} min ago",
+    finalize: {
+      title: "Close Case",
+      hint: 'Requires a closing date. The status will change to "Archived" automatically.',
+      submit: "Mark as Closed",
+      dateRequired: "Select a closing date",
+      confirm: "Are you sure you want to close this case? This cannot be undone.",
+      done: "Case closed",
+    },
+    hoja: {
+      subtitle: "Automatic Generation • Template v2",
+      services: "Services Engaged",
+      servicesPlaceholder: "Description of the services engaged...",
+      servicesDefault: "Out-of-court and court claim for breach of a construction contract. Includes drafting the burofax and the statement of claim.",
+      baseFee: "Base Fees",
+      provision: "Payment on Account",
+      vat: "VAT ({rate}%):",
+      estimatedTotal: "Estimated Total:",
+      total: "Engagement Letter Total",
+      feesRequired: "Fees must be greater than 0",
+    },
+    timeline: {
+      hojaSigned: "Engagement Letter Signed",
+      hojaGenerated: "Engagement Letter Generated",
+      hourlyInvoice: "Hourly Invoice Issued",
+      provisionRequested: "Payment on Account Requested",
+      emailError: "Error Sending Email",
+      hojaSent: "Engagement Letter Sent",
+      created: "Case Opened {reference}",
+      empty: "No events recorded",
+      emailBounced: "Email Bounced",
+    },
+    document: {
+      none: "No document has been generated yet",
+      status: "Document Status",
+      unsigned: "Not signed",
+      notSent: "Not sent",
+      sign: "Sign",
+      send: "Send",
+      resend: "Resend",
+      regenerate: "Regenerate",
+      regenerateConfirm: "Regenerate the document? This will create a new version.",
+      noDocumentToSend: "There is no document to send",
+    },
+    footer: {
+      pending: "Pending generation",
+      sent: "Sent to the client",
+      signed: "Signed, pending sending",
+      generated: "Generated, pending signature",
+    },
+    sendModal: {
+      title: "Send Document",
+      hint: "The document will be sent to this address",
+      unsigned: "The document is not digitally signed",
+    },
+    time: {
+      title: "Time Entries",
+      summary: "{total} h total · {pending} h unbilled",
+      stop: "Stop",
+      timerElsewhere: "You have a timer running on {link}.",
+      otherCase: "another case",
+      timerActivityPlaceholder: "Activity (e.g. Drafting the claim)",
+      start: "Start timer",
+      running: "Running",
+      billed: "Billed",
+      notBillable: "Not billable",
+      activity: "Activity",
+      hours: "Hours",
+      rate: "Rate (€/h)",
+      billable: "Billable",
+      add: "Add",
+      empty: "No time recorded",
+      unbilled: "Unbilled:",
+      invoice: "Generate hourly invoice",
+      activityRequired: "Enter the activity before starting the timer",
+      started: "Timer started",
+      stopped: "Time recorded",
+      added: "Hours recorded",
+      deleteConfirm: "Delete this time entry?",
+      deleted: "Time entry deleted",
+      invoiceConfirm: "A numbered invoice will be issued for {hours} h ({amount} + VAT).\n\nBilled hours can no longer be changed. Continue?",
+      invoiced: "Hourly invoice generated",
+    },
+    provisions: {
+      title: "Payments on Account",
+      movements: {
+        SOLICITADA: "Requested",
+        RECIBIDA: "Received",
+        APLICADA: "Applied to invoice",
+        DEVUELTA: "Refunded",
+      },
+      viewDocument: "View document",
+      pendingRequest: "Pending receipt: {amount}",
+      conceptPlaceholder: "Description (optional)",
+      request: "Request payment",
+      apply: "Apply to invoice",
+      refund: "Refund",
+      outstanding: "outstanding {amount}",
+      record: "Record",
+      movement: "Movement",
+      balance: "Balance",
+      empty: "No payments on account",
+      totals: "Received {received} · Applied {applied} · Refunded {refunded}",
+      available: "Available balance:",
+      requested: "Payment request generated",
+      recorded: "Movement recorded",
+      deleteConfirm: "Delete this movement? If it was applied to an invoice, the payment will be deleted as well.",
+      deleted: "Movement deleted",
+    },
+    clientSignature: {
+      request: "Client signature",
+      modalTitle: "Signing link for the client",
+      signerName: "Signer",
+      signerEmail: "Signer email",
+      modalHint: "The client reviews the engagement letter and signs it from the link, without an account. A new link cancels the previous pending one.",
+      create: "Create link",
+      link: "Signing link",
+      linkHint: "Send this link to the client. It can only be used once and expires on {date}.",
+      copy: "Copy link",
+      copied: "Link copied",
+      pending: "Signing link pending for {name} (expires on {date})",
+      signed: "Signed by the client ({name}) · {date}",
+      cancel: "Cancel link",
+      cancelConfirm: "Cancel the signing link? The client will no longer be able to use it.",
+      cancelled: "Signing link cancelled",
+      timeline: "Engagement letter signed by {name}",
+      methods: {
+        DIBUJADA: "Drawn signature",
+        ESCRITA: "Typed signature",
+      },
+    },
+  },
+
+  // ARAG billing screen: minuta, suplidos and cobros
+  aragBilling: {
+    onlyArag: "This module is only available for ARAG cases.",
+    backToRecord: "Back to Record",
+    caseData: "Case Details",
+    proceduralState: "Procedural Status",
+    inCourt: "In Court Proceedings",
+    judicialSince: "Taken to court on {date}",
+    observationsPlaceholder: "Add internal notes...",
+    archiveHint: 'Required to archive. The status will change to "Archived" permanently.',
+    archiveConfirm: "Are you sure you want to archive this case? This cannot be undone.",
+    minuta: {
+      title: "Fixed ARAG Fee Note",
+      automatic: "Automatic",
+      vat: "VAT ({rate}%)",
+      total: "Total to Invoice",
+      template: "PDF template v2.4",
+      autoSignature: "Automatic Digital Signature",
+      sentTo: "Sent to",
+      generate: "Generate and Send",
+      generating: "Generating ARAG fee note...",
+      generated: "Fee note generated",
+      generatedNumber: "Fee note {number} generated",
+    },
+    smtpSkipped: "{label}. SMTP not configured - email not sent.",
+    suplido: {
+      title: "Travel Disbursements",
+      subtitle: "Court Module",
+      district: "Judicial District (Destination)",
+      selectDistrict: "Select destination...",
+      amount: "Calc. Amount",
+      includeSignature: "Include Digital Signature",
+      generate: "Generate Disbursement",
+      districtRequired: "Select a judicial district",
+      generating: "Generating disbursement...",
+      generated: "Disbursement generated: {amount}",
+    },
+    timeline: {
+      minuta: "Fee Note Generated",
+      rectificativa: "Corrective Fee Note Generated",
+      suplido: "Disbursement Generated",
+      document: "Document Generated",
+      emailSent: "Email Sent",
+      stateChange: "Status changed to {state}",
+      created: "Case Created",
+      user: "User: {user}",
+      emailBounced: "Email Bounced",
+    },
+    superseded: "Superseded",
+    paymentStatus: {
+      PAGADO: "Paid",
+      PARCIAL: "Partially paid",
+      VENCIDO: "Unpaid",
+      PENDIENTE: "Awaiting payment",
+    },
+    paymentMethods: {
+      TRANSFERENCIA: "Bank transfer",
+      CHEQUE: "Cheque",
+      EFECTIVO: "Cash",
+      TARJETA: "Card",
+      OTRO: "Other",
+    },
+    judicialDatePrompt: "Date taken to court (YYYY-MM-DD):",
+    judicialChanging: "Changing status to in court...",
+    judicialChanged: "Status changed to In court",
+    cannotReopen: "A case in court cannot go back to Open",
+    downloading: "Downloading document...",
+    downloadError: "Error downloading: {message}",
+    retrying: "Retrying...",
+    retryingEmail: "Retrying email delivery...",
+    resendError: "Error resending: {message}",
+    rectify: {
+      action: "Correct",
+      title: "Correct Fee Note",
+      subtitle: "A corrective invoice replacing the fee note will be issued",
+      reason: "Reason for the correction",
+      reasonPlaceholder: "E.g. Wrong fee amount",
+      submit: "Issue Corrective Invoice",
+      reasonRequired: "Enter the reason for the correction",
+      issued: "Corrective invoice {number} issued",
+    },
+    payment: {
+      action: "Record payment",
+      title: "Record Payment",
+      outstanding: "Outstanding: {amount}",
+      amount: "Amount (€)",
+      date: "Payment date",
+      method: "Payment method",
+      referencePlaceholder: "E.g. transfer reference",
+      amountRequired: "The amount must be greater than zero",
+      recorded: "Payment of {amount} recorded",
+    },
+    emailQueued: "{label}. Email queued for sending.",
+    emailRequeued: "Email queued again",
+  },
+
+  // Signature verification
+  signatures: {
+    status: {
+      VALIDA: "Valid signature",
+      MODIFICADA: "Document modified after signing",
+      NO_CONFIABLE: "Intact signature, untrusted certificate",
+      NO_VALIDA: "Invalid signature",
+    },
+    problems: {
+      MALFORMED: "The signature is damaged or cannot be read",
+      UNSUPPORTED: "Unsupported signature format or algorithm",
+      DIGEST_MISMATCH: "The signed content does not match the signature digest",
+      SIGNATURE_INVALID: "The signature does not match the signer certificate",
+      SIGNER_NOT_FOUND: "The signature does not include the signer certificate",
+      MODIFIED_AFTER_SIGNING: "The PDF has changes added after signing",
+      CHAIN_UNTRUSTED: "The certificate does not chain to a trusted root",
+      CERTIFICATE_NOT_VALID_AT_SIGNING: "The certificate was not valid at signing time",
+      TIMESTAMP_INVALID: "The timestamp is invalid or does not cover the signature",
+    },
+    signer: "Signer",
+    organization: "Organization",
+    issuer: "Issuer",
+    signingTime: "Signing time",
+    reason: "Reason",
+    location: "Location",
+    notSigned: "The document has no digital signatures.",
+    noTrustedRoots: "No trusted root certificates are configured: check the path in Settings.",
+    timestamp: "Timestamp",
+    validationData: "Includes long-term validation data: {certificates} certificates and {crls} revocation lists.",
+  },
+
+  // Client's signing page (public link)
+  clientSignature: {
+    title: "Engagement letter signature",
+    intro: "{name}, please review the engagement letter for case {reference} and sign it at the bottom of this page.",
+    openDocument: "Open the document in a new tab",
+    expires: "The link expires on {date}",
+    draw: "Draw",
+    type: "Type",
+    drawHint: "Sign with the mouse or your finger in the box",
+    clear: "Clear",
+    typedPlaceholder: "Full name",
+    accept: "I have read and accept the engagement letter",
+    evidenceNotice: "As evidence of the signature, the date and time, IP address, browser and the document fingerprint (SHA-256) will be recorded. The office will seal the signed document with its certificate.",
+    submit: "Sign document",
+    signing: "Signing...",
+    drawRequired: "Draw your signature in the box.",
+    typedRequired: "Type your full name.",
+    acceptRequired: "Confirm that you have read and accept the engagement letter.",
+    signedTitle: "Document signed",
+    signedText: "Thank you. The engagement letter was signed on {date}. The office will send you a copy.",
+    unavailable: "Link unavailable",
+  },
+
+  // Outgoing email queue (configuration screen)
+  emailOutbox: {
+    title: "Outgoing email queue",
+    help: "Emails are sent in the background. If the mail server fails they are retried with growing delays; after the last attempt they are marked as failed.",
+    refresh: "Refresh",
+    all: "All",
+    status: {
+      PENDING: "Pending",
+      SENDING: "Sending",
+      SENT: "Sent",
+      DEAD_LETTER: "Failed",
+      CANCELLED: "Cancelled",
+    },
+    columns: {
+      created: "Date",
+      case: "Case",
+      email: "Email",
+      status: "Status",
+    },
+    attempts: "{attempts}/{max} attempts",
+    nextAttempt: "Next attempt: {date}",
+    empty: "No emails in the queue",
+    sendNow: "Send now",
+    retry: "Retry",
+    cancel: "Cancel",
+    confirmCancel: "Remove this email from the queue?",
+    retried: "Email queued",
+    cancelled: "Email cancelled",
+    loadError: "Error loading the email queue",
+  },
+
+  // Inbound emails and the unassigned inbox
+  inbox: {
+    title: "Inbox",
+    subtitle: "Received emails that could not be matched to a case.",
+    fetch: "Check mail",
+    fetching: "Checking...",
+    fetched: "{imported} emails imported ({assigned} stored in their case, {unassigned} unassigned)",
+    fetchedWithErrors: "{imported} emails imported; {failed} could not be read and will be retried",
+    nothingNew: "No new emails",
+    loadError: "Error loading the inbox",
+    status: {
+      UNASSIGNED: "Unassigned",
+      ASSIGNED: "Assigned",
+      DISCARDED: "Discarded",
+    },
+    empty: {
+      UNASSIGNED: "No unassigned emails",
+      ASSIGNED: "No assigned emails",
+      DISCARDED: "No discarded emails",
+    },
+    emptyHint: "Emails with a case reference in the subject are stored in that case automatically.",
+    columns: {
+      received: "Received",
+      from: "From",
+      subject: "Subject",
+      reason: "Reason",
+      case: "Case",
+    },
+    reason: {
+      NO_REFERENCE: "No reference in the subject",
+      UNKNOWN_REFERENCE: "Unknown reference",
+      AMBIGUOUS: "Several cases",
+      CASE_ARCHIVED: "Archived case",
+    },
+    matchMethod: {
+      AUTO: "By reference",
+      MANUAL: "Manual",
+    },
+    noSubject: "(no subject)",
+    attachments: {
+      one: "{count} attachment",
+      other: "{count} attachments",
+    },
+    assign: "Assign",
+    discard: "Discard",
+    confirmDiscard: 'Discard this email? You can still assign it later from "Discarded".',
+    discarded: "Email discarded",
+    assigned: "Email stored in case {reference}",
+    caseSearch: "Case",
+    caseSearchPlaceholder: "Search by reference or client",
+    noCases: "No matching open cases",
+    assignHelp: "The email (.eml) and its attachments are stored as correspondence documents of the case.",
+  },
+
+  // API errors by code. es.js only needs the generic codes (the server already answers
+  // in Spanish); en.js also translates the specific messageCode of errorMessages.js.
+  errors: {
+    UNKNOWN: "An unexpected error occurred. Please try again.",
+    HTTP_ERROR: "The server returned an error. Please try again.",
+    SESSION_EXPIRED: "Session expired. Please reload the page.",
+    NETWORK_ERROR: "Could not connect to the server",
+    VALIDATION_ERROR: "The data entered is not valid.",
+    NOT_FOUND: "The requested resource was not found.",
+    CONFLICT_ERROR: "The operation conflicts with existing data.",
+    DATABASE_ERROR: "A database error occurred. Please try again.",
+    AUTHENTICATION_ERROR: "Your session has expired or is not valid. Please log in again.",
+    AUTHORIZATION_ERROR: "You do not have permission to perform this action.",
+    FORBIDDEN: "You do not have permission to perform this action.",
+    INVALID_CASE_TYPE: "The case type is not valid for this operation.",
+    CASE_ARCHIVED: "The case is archived and cannot be modified.",
+    UPLOAD_ERROR: "The file could not be uploaded.",
+    FILE_TOO_LARGE: "The file exceeds the maximum allowed size.",
+    INVALID_FILE_TYPE: "File type not allowed.",
+    DELETE_ERROR: "The record could not be deleted.",
+    SMTP_NOT_CONFIGURED: "The mail server is not configured. Check the SMTP settings.",
+    SMTP_ERROR: "The email could not be sent.",
+    DB_CONSTRAINT: "The operation violates a data constraint.",
+    DB_BUSY: "The database is busy. Please wait a few seconds and try again.",
+    SERVER_ERROR: "An internal server error occurred. Please try again later.",
+    CONFIG_VALIDATION_NUMERIC: "The value of '{field}' must be a positive number. Value received: '{received}'. Please enter a number such as {example}.",
+    CONFIG_VALIDATION_EMAIL: "The email '{received}' is not valid. Please use the format name@domain.com.",
+    CONFIG_VALIDATION_RANGE: "The value of '{field}' ({received}) is outside the valid range ({min}–{max}). Please enter a correct value.",
+    CONFIG_UNKNOWN_KEY: "The configuration key '{unknownKey}' is not recognised.",
+    CONFIG_SAVE_FAILED: "The settings could not be saved. Please check the data and try again. If the problem persists, contact support.",
+    CONFIG_VALIDATION_INVOICE_SERIES: "The invoice series '{received}' is not valid. Use 1 to 10 capital letters or digits (example: M).",
+    CONFIG_VALIDATION_HOLIDAYS: "Invalid holidays in '{field}': {invalid}. Use MM-DD for yearly holidays (example: 12-25) or YYYY-MM-DD for a holiday in a specific year.",
+    CONFIG_LOAD_FAILED: "The settings could not be loaded. Please reload the page. If the problem persists, contact support.",
+    CASE_NOT_FOUND: "Case with ID {searchedId} was not found. It may have been deleted or the ID may be wrong.",
+    CASE_REQUIRED_FIELD: "The field '{field}' is required. Please fill it in before continuing.",
+    CASE_ARAG_REFERENCE_INVALID: "The ARAG reference '{received}' is not in the correct format. It must be DJ00 followed by 6 digits (example: DJ00123456).",
+    CASE_ARAG_REFERENCE_DUPLICATE: "A case with the ARAG reference '{duplicateReference}' already exists. Each ARAG reference must be unique. Check the number and try again.",
+    CASE_INVALID_STATE_TRANSITION: "The status cannot change from '{currentState}' to '{attemptedState}'. Valid statuses from '{currentState}' are: {validTransitions}.",
+    CASE_ARCHIVE_REQUIRES_CLOSURE_DATE: "A closing date is required to archive a case. Please select a closing date before archiving.",
+    CASE_ARCHIVED_READ_ONLY: "The field '{field}' of an archived case cannot be modified. Archived cases are read-only (except notes).",
+    CASE_DATE_INVALID: "The date '{received}' in the field '{field}' is not valid. Use the format YYYY-MM-DD (example: 2024-12-31).",
+    CASE_TYPE_INVALID: "The case type '{received}' is not valid. Valid types are: {validTypes}.",
+    CASE_REFERENCE_GENERATION_FAILED: "The internal reference for the {caseType} case could not be generated. Please try again.",
+    CONFLICT_VERSION_MISMATCH: "The case was modified by another user while you were editing it. Your changes have not been saved. Please reload the page to see the current version and make your changes again.",
+    CONFLICT_RESOURCE_LOCKED: "The resource is being used by another process. Please wait a few seconds and try again.",
+    CONFLICT_DUPLICATE: "A record with the value '{duplicateValue}' in the field '{field}' already exists. Please use a different value.",
+    DB_CONNECTION_FAILED: "Could not connect to the database. The service may be temporarily unavailable. Please try again in a few minutes.",
+    DB_QUERY_TIMEOUT: "The operation took too long and was cancelled. Please try again. If the problem persists, contact support.",
+    DB_TRANSACTION_FAILED: "The operation failed and the changes have been rolled back. Please check the data and try again.",
+    DB_INTEGRITY_VIOLATION: "The operation violates a data integrity constraint. This can happen when deleting a record that has related data.",
+    DB_ERROR: "A database error occurred. Please try again. If the problem persists, contact technical support.",
+    AUTH_INVALID_CREDENTIALS: "Incorrect username or password. Please check your details and try again.",
+    AUTH_SESSION_EXPIRED: "Your session has expired or is not valid. Please log in again.",
+    AUTH_FORBIDDEN_ROLE: "You do not have access to this section. One of the following roles is required: {requiredRoles}.",
+    AUTH_ROLE_INVALID: "The role '{received}' is not valid. Valid roles are: {validRoles}.",
+    AUTH_PASSWORD_TOO_SHORT: "The password must be at least {minLength} characters long. Please choose a longer password.",
+    AUTH_USERNAME_DUPLICATE: "A user named '{duplicateUsername}' already exists. Please choose another username.",
+    AUTH_USER_NOT_FOUND: "User with ID {searchedId} was not found.",
+    AUTH_LAST_ADMIN: "The last active administrator cannot be deactivated or change role. Create another administrator before continuing.",
+    AUTH_CALENDAR_TOKEN_INVALID: "The calendar link is not valid or has been revoked. Generate a new subscription link from the application.",
+    CLIENT_NOT_FOUND: "Client with ID {searchedId} was not found. It may have been deleted or the ID may be wrong.",
+    CLIENT_NIF_INVALID: "The NIF '{received}' is not valid. Enter a correct DNI (12345678Z), NIE (X1234567L) or CIF (B12345678).",
+    CLIENT_NIF_DUPLICATE: "A client with the NIF '{duplicateNif}' already exists. Look it up in the client list instead of creating a new one.",
+    CLIENT_EMAIL_INVALID: "The email '{received}' is not valid (example: client@example.com).",
+    CLIENT_HAS_CASES: "The client cannot be deleted because it has {caseCount} linked case(s).",
+    INVOICE_NUMBER_TAKEN: "Invoice number {invoiceNumber} has already been assigned to another invoice. Please try again.",
+    INVOICE_DOCUMENT_NOT_FOUND: "Fee note with ID {documentId} was not found in this case.",
+    INVOICE_NOT_RECTIFIABLE: "Only fee notes can be corrected. The selected document is of type {documentType}.",
+    INVOICE_ALREADY_RECTIFIED: "The fee note has already been replaced by a corrective invoice. Correct the latest invoice issued.",
+    INVOICE_RECTIFICATION_REASON_REQUIRED: "Enter the reason for the correction. It must appear on the corrective invoice.",
+    INVOICE_DATE_INVALID: "The date '{received}' is not valid. Use the format YYYY-MM-DD.",
+    PAYMENT_NOT_FOUND: "Payment with ID {searchedId} was not found.",
+    PAYMENT_DOCUMENT_NOT_FOUND: "Document with ID {documentId} was not found.",
+    PAYMENT_DOCUMENT_NOT_BILLABLE: "Payments can only be recorded for fee notes, hourly invoices and disbursements. The document is of type {documentType}.",
+    PAYMENT_AMOUNT_INVALID: "The payment amount must be a positive number. Value received: '{received}'.",
+    PAYMENT_DATE_INVALID: "The payment date '{received}' is not valid. Use the format YYYY-MM-DD.",
+    PAYMENT_METHOD_INVALID: "The payment method '{received}' is not valid. Allowed values: {validMethods}.",
+    BANK_IMPORT_FILE_EMPTY: "The bank statement is empty or no file was provided.",
+    BANK_IMPORT_FORMAT_UNKNOWN: "Statement format not recognised. Use an AEB Norma 43 file or a CSV with date, description and amount columns.",
+    BANK_IMPORT_LINE_INVALID: "Line {line} of the statement is not valid: {reason}.",
+    BANK_IMPORT_CSV_COLUMNS_MISSING: "The CSV is missing the required columns: {missing}.",
+    BANK_IMPORT_NOT_FOUND: "Bank import with ID {searchedId} was not found.",
+    BANK_TRANSACTION_NOT_FOUND: "Bank transaction with ID {searchedId} was not found.",
+    BANK_TRANSACTION_NOT_PENDING: "The transaction has already been processed ({status}).",
+    BANK_TRANSACTION_DOCUMENT_REQUIRED: "Select the fee note or disbursement the payment belongs to.",
+    DEADLINE_NOT_FOUND: "Deadline with ID {searchedId} was not found.",
+    DEADLINE_CASE_NOT_FOUND: "Case with ID {caseId} was not found.",
+    DEADLINE_TITLE_REQUIRED: "Enter the procedural step of the deadline (for example: Defence to the claim).",
+    DEADLINE_DATE_INVALID: "The date '{received}' is not valid. Use the format YYYY-MM-DD.",
+    DEADLINE_DAYS_INVALID: "The number of days must be a whole number between {min} and {max}. Value received: '{received}'.",
+    DEADLINE_DAY_TYPE_INVALID: "Invalid day count type: '{received}'. Allowed values: {validTypes}.",
+    DEADLINE_DUE_DATE_REQUIRED: "Enter the notification date and the number of days, or the due date.",
+    HEARING_NOT_FOUND: "Hearing with ID {searchedId} was not found.",
+    HEARING_CASE_NOT_FOUND: "Case with ID {caseId} was not found.",
+    HEARING_TYPE_INVALID: "Invalid hearing type: '{received}'. Allowed values: {validTypes}.",
+    HEARING_STARTS_AT_INVALID: "The date and time '{received}' is not valid. Use the format YYYY-MM-DDTHH:MM (Madrid time).",
+    HEARING_DURATION_INVALID: "The duration must be a whole number of minutes between {min} and {max}. Value received: '{received}'.",
+    HEARING_COURT_REQUIRED: "Enter the court of the hearing (for example: Juzgado de Primera Instancia nº 2).",
+    HEARING_DISTRICT_INVALID: "Invalid judicial district: '{received}'. It must be one of: {validDistricts}.",
+    HEARING_STATUS_INVALID: "Invalid hearing status: '{received}'. Allowed values: {validStatuses}.",
+    HEARING_LAWYER_NOT_FOUND: "User with ID {userId} was not found to be assigned the hearing.",
+    SEARCH_QUERY_TOO_SHORT: "Type at least {minLength} letters or numbers to search.",
+    TIME_ENTRY_NOT_FOUND: "Time entry with ID {searchedId} was not found.",
+    TIME_ENTRY_CASE_NOT_FOUND: "Case with ID {caseId} was not found.",
+    TIME_ENTRY_CASE_TYPE_INVALID: "Hours can only be recorded on private client cases (type received: {caseType}).",
+    TIME_ENTRY_DATE_INVALID: "The date '{received}' is not valid. Use the format YYYY-MM-DD.",
+    TIME_ENTRY_DURATION_INVALID: "The duration must be a whole number of minutes between {min} and {max}. Value received: '{received}'.",
+    TIME_ENTRY_ACTIVITY_REQUIRED: "Describe the work carried out.",
+    TIME_ENTRY_RATE_INVALID: "The hourly rate must be an amount between {min} and {max} €. Value received: '{received}'.",
+    TIME_ENTRY_LAWYER_NOT_FOUND: "User with ID {userId} does not exist.",
+    TIME_ENTRY_ALREADY_BILLED: "This entry is already included in an hourly invoice and cannot be modified. Delete the invoice if you need to correct it.",
+    TIME_ENTRY_TIMER_RUNNING: "You already have a timer running. Stop it before starting another one.",
+    TIME_ENTRY_TIMER_NOT_RUNNING: "The timer of this entry is not running.",
+    TIME_ENTRY_NOTHING_TO_BILL: "There are no billable hours pending invoicing in this case.",
+    PROVISION_NOT_FOUND: "Funds on account entry with ID {searchedId} was not found.",
+    PROVISION_CASE_NOT_FOUND: "Case with ID {caseId} was not found.",
+    PROVISION_CASE_TYPE_INVALID: "Funds on account can only be recorded on private client cases (type received: {caseType}).",
+    PROVISION_TYPE_INVALID: "The entry type '{received}' is not valid. Allowed values: {allowed}.",
+    PROVISION_AMOUNT_INVALID: "The amount must be a positive number. Value received: '{received}'.",
+    PROVISION_DATE_INVALID: "The date '{received}' is not valid. Use the format YYYY-MM-DD.",
+    PROVISION_METHOD_INVALID: "The payment method '{received}' is not valid. Allowed values: {allowed}.",
+    PROVISION_INVOICE_REQUIRED: "Select the invoice the funds are applied to.",
+    PROVISION_INVOICE_INVALID: "Funds can only be applied to an invoice with an amount from this same case.",
+    PROVISION_EXCEEDS_OUTSTANDING: "The amount ({amount} €) exceeds the outstanding balance of the invoice ({outstanding} €).",
+    PROVISION_INSUFFICIENT_BALANCE: "The available funds on account ({available} €) do not cover the amount of {amount} €.",
+    PROVISION_RECEIPT_IN_USE: "This receipt cannot be deleted: part of the funds has already been applied or refunded. Delete those entries first.",
+    TEMPLATE_TYPE_INVALID: "There is no template for the document type '{documentType}'. Available types: {validTypes}.",
+    TEMPLATE_LANGUAGE_INVALID: "Invalid template language: '{language}'. Available languages: {validLanguages}.",
+    TEMPLATE_BODY_REQUIRED: "The template content is required.",
+    TEMPLATE_BODY_TOO_LONG: "The template cannot exceed {maxLength} characters (it has {length}).",
+    TEMPLATE_CASE_NOT_FOUND: "Case with ID {caseId} was not found.",
+    SERVER_INTERNAL_ERROR: "An internal server error occurred. Please try again later. If the problem persists, contact support.",
+    SERVER_UNAVAILABLE: "The service is temporarily unavailable. Please try again in a few minutes.",
+    SERVER_RATE_LIMITED: "You have made too many requests. Please wait a moment before continuing.",
+    SERVER_INVALID_REQUEST: "The request is not in the expected format. Please reload the page and try again.",
+    TEMPLATE_SYNTAX_INVALID: "The template contains errors. Check the lines marked in the editor.",
+    CASE_DOCUMENT_NOT_FOUND: "Document {searchedId} was not found in this case.",
+    CASE_DOCUMENT_CASE_NOT_FOUND: "Case {caseId} was not found.",
+    CASE_DOCUMENT_CASE_ARCHIVED: "Documents cannot be uploaded to or deleted from archived cases.",
+    CASE_DOCUMENT_FILE_REQUIRED: "No file was provided.",
+    CASE_DOCUMENT_FILE_TYPE_INVALID: "Unsupported file format: '{fileName}'. Accepted formats: {allowedExtensions}.",
+    CASE_DOCUMENT_CATEGORY_INVALID: "Invalid document category: '{value}'. Valid categories: {validCategories}.",
+    CASE_DOCUMENT_DESCRIPTION_TOO_LONG: "The description cannot exceed {maxLength} characters.",
+    CASE_DOCUMENT_TAGS_INVALID: "Use at most {maxTags} tags of up to {maxLength} characters each.",
+    CASE_DOCUMENT_NOT_UPLOADED: "Only manually uploaded documents can be deleted.",
+    CASE_DOCUMENT_FILE_MISSING: "The document file is missing on the server.",
+    CASE_DOCUMENT_NOT_DELETED: "The document is not deleted.",
+    CASE_DOCUMENT_VERSION_NOT_FOUND: "Document version {versionNumber} was not found.",
+    SIGNATURE_DOCUMENT_REQUIRED: "Attach a PDF or choose the case document you want to verify.",
+    SIGNATURE_DOCUMENT_NOT_FOUND: "Document with ID {searchedId} not found.",
+    SIGNATURE_FILE_MISSING: "The document file is not on the server.",
+    SIGNATURE_NOT_PDF: "Only signatures of PDF files can be verified: '{fileName}'.",
+    CONFIG_VALIDATION_URL: "The address '{received}' is not valid. Use an http or https URL (example: https://tsa.example.com/tsr).",
+    CLIENT_SIGNATURE_DOCUMENT_REQUIRED: "Choose the engagement letter the client must sign.",
+    CLIENT_SIGNATURE_DOCUMENT_NOT_FOUND: "Engagement letter {searchedId} was not found in this case.",
+    CLIENT_SIGNATURE_DOCUMENT_TYPE_INVALID: "The client can only sign engagement letters (type received: {documentType}).",
+    CLIENT_SIGNATURE_FILE_MISSING: "The engagement letter file is not on the server.",
+    CLIENT_SIGNATURE_SIGNER_REQUIRED: "Enter the name of the person who must sign.",
+    CLIENT_SIGNATURE_EMAIL_INVALID: "The email '{received}' is not valid. Use the format name@domain.com.",
+    CLIENT_SIGNATURE_REQUEST_NOT_FOUND: "Signature request {searchedId} was not found.",
+    CLIENT_SIGNATURE_LINK_INVALID: "The signing link is not valid. Check that you copied it completely or ask the office for a new one.",
+    CLIENT_SIGNATURE_LINK_EXPIRED: "The signing link has expired. Ask the office for a new one.",
+    CLIENT_SIGNATURE_LINK_CANCELLED: "The signing link was cancelled by the office.",
+    CLIENT_SIGNATURE_ALREADY_SIGNED: "This document has already been signed with this link.",
+    CLIENT_SIGNATURE_NOT_PENDING: "Only pending signature requests can be cancelled (current status: {status}).",
+    CLIENT_SIGNATURE_DOCUMENT_CHANGED: "The engagement letter has changed since the link was sent. Ask the office for a new one.",
+    CLIENT_SIGNATURE_ACCEPTANCE_REQUIRED: "You must confirm that you have read and accept the engagement letter.",
+    CLIENT_SIGNATURE_METHOD_INVALID: "Invalid signature method: '{received}'. Allowed values: {validValues}.",
+    CLIENT_SIGNATURE_IMAGE_INVALID: "Draw your signature before sending it (PNG image).",
+    CLIENT_SIGNATURE_TYPED_NAME_INVALID: "Type your full name as your signature (maximum {maxLength} characters).",
+    EMAIL_OUTBOX_NOT_FOUND: "Email with ID {searchedId} not found in the queue.",
+    EMAIL_OUTBOX_STATUS_INVALID: "Invalid status: '{received}'. Allowed values: {validValues}.",
+    EMAIL_OUTBOX_NOT_RETRYABLE: "This email cannot be retried (current status: {status}). Only pending, failed or cancelled emails can be sent again.",
+    EMAIL_OUTBOX_NOT_CANCELLABLE: "This email cannot be cancelled (current status: {status}). Only pending or failed emails can be cancelled.",
+    EMAIL_OUTBOX_ATTACHMENT_MISSING: "The attachment '{fileName}' is no longer on the server. Generate the document again and resend it.",
+    CONFIG_VALIDATION_OPTION: "The value '{received}' is not valid for this option.",
+    INBOUND_EMAIL_NOT_FOUND: "Received email with ID {searchedId} not found.",
+    INBOUND_EMAIL_STATUS_INVALID: "Invalid status: '{received}'.",
+    INBOUND_EMAIL_CASE_REQUIRED: "Select the case to assign the email to.",
+    INBOUND_EMAIL_ALREADY_ASSIGNED: "This email is already assigned to case {reference}.",
+    INBOUND_EMAIL_NOT_DISCARDABLE: "Only unassigned emails can be discarded (current status: {status}).",
+    INBOUND_EMAIL_FILE_MISSING: "The original email file is no longer on the server.",
+    INBOUND_EMAIL_SOURCE_NOT_CONFIGURED: "No inbound mailbox is configured. Set up inbound email (IMAP) in Settings.",
+    INBOUND_EMAIL_SOURCE_UNAVAILABLE: "The inbound mailbox ({source}) could not be read: {reason}. Check the inbound email settings.",
+    EMAIL_TEMPLATE_KEY_INVALID: "There is no email template '{templateKey}'. Available templates: {validKeys}.",
+    EMAIL_TEMPLATE_PART_REQUIRED: "The subject and the text of the email are required.",
+    EMAIL_TEMPLATE_SUBJECT_INVALID: "The subject must be a single line of up to {maxLength} characters.",
+    EMAIL_TEMPLATE_PART_TOO_LONG: "The email {field} cannot exceed {maxLength} characters (it has {length}).",
+    EMAIL_TEMPLATE_SYNTAX_INVALID: "The email template contains errors. Check the lines marked in the editor.",
+    CASE_EMAIL_CASE_NOT_FOUND: "Case {caseId} was not found.",
+    CASE_EMAIL_SMTP_NOT_CONFIGURED: "SMTP is not configured. Set up the mail server in Settings before sending emails.",
+    CASE_EMAIL_RECIPIENT_REQUIRED: "Enter at least one recipient.",
+    CASE_EMAIL_ADDRESS_INVALID: "The address '{address}' is not a valid email. Separate several addresses with commas.",
+    CASE_EMAIL_TOO_MANY_RECIPIENTS: "The email has {count} recipients (copies included). The maximum is {max}.",
+    CASE_EMAIL_SUBJECT_INVALID: "Enter a single-line subject of up to {maxLength} characters.",
+    CASE_EMAIL_BODY_INVALID: "Write the text of the email (up to {maxLength} characters).",
+    CASE_EMAIL_DOCUMENTS_INVALID: "The attached documents must be a list of IDs of documents of the case.",
+    CASE_EMAIL_ATTACHMENT_MISSING: "The file of '{fileName}' is not on the server and cannot be attached.",
+    CASE_EMAIL_ATTACHMENTS_TOO_LARGE: "The attachments take {sizeMb} MB. The maximum per email is {maxSizeMb} MB.",
+    EMAIL_DELIVERY_SOURCE_NOT_CONFIGURED: "No delivery reports mailbox is configured. Set it up in Settings (inbound email).",
+    EMAIL_DELIVERY_SOURCE_UNAVAILABLE: "The delivery reports mailbox ({source}) could not be read: {reason}. Check the settings.",
+    AUTH_BEARER_REQUIRED: "This operation needs the session token in the Authorization header. Reload the application and try again.",
+    PAYMENT_DOCUMENT_SUPERSEDED: "The document has been replaced by a corrective fee note. Record the payment on the corrective one.",
+    PAYMENT_AMOUNT_EXCEEDS_OUTSTANDING: "The amount ({amount} €) exceeds what the document still owes ({outstanding} €).",
+    BANK_TRANSACTION_EXCEEDS_OUTSTANDING: "The amount assigned ({amount} €) is larger than the outstanding balance of the document ({outstanding} €).",
+    BANK_TRANSACTION_ALLOCATION_INVALID: "Enter an amount greater than zero for each document, without repeating any.",
+    BANK_TRANSACTION_ALLOCATION_MISMATCH: "The amounts assigned add up to {total} € and the transfer has {remaining} € left to assign.",
+    EMAIL_OUTBOX_ALREADY_REQUEUED: "This email is already in the send queue or was sent after the failure (current status: {status}).",
+    EMAIL_HISTORY_NOT_FAILED: "Only emails that failed can be retried (current status: {status}).",
+  },
+};
@@ -0,0 +1,1647 @@
+// Spanish catalogue (default locale)
+// Texts of the interface; {name} marks a parameter.
+// en.js must define the same keys (checked by i18n.test.js).
+
+export default {
+  intlLocale: "es-ES",
+  localeName: "Español",
+
+  // Shared texts
+  common: {
+    loading: "Cargando...",
+    processing: "Procesando...",
+    confirm: "Confirmar",
+    cancel: "Cancelar",
+    areYouSure: "¿Está seguro?",
+    saveChanges: "Guardar Cambios",
+    previous: "Anterior",
+    next: "Siguiente",
+    tryOtherSearch: "Prueba con otros términos de búsqueda.",
+    edit: "Editar",
+    delete: "Eliminar",
+    clearSearch: "Limpiar búsqueda",
+    resultsFound: {
+      one: "{count} resultado encontrado",
+      other: "{count} resultados encontrados",
+    },
+    from: "Desde",
+    to: "Hasta",
+    date: "Fecha",
+    concept: "Concepto",
+    amount: "Importe",
+    document: "Documento",
+    errorMessage: "Error: {message}",
+    download: "Descargar",
+    retry: "Reintentar",
+    close: "Cerrar",
+    today: "Hoy",
+    months: {
+      "1": "Enero",
+      "2": "Febrero",
+      "3": "Marzo",
+      "4": "Abril",
+      "5": "Mayo",
+      "6": "Junio",
+      "7": "Julio",
+      "8": "Agosto",
+      "9": "Septiembre",
+      "10": "Octubre",
+      "11": "Noviembre",
+      "12": "Diciembre",
+    },
+    weekdays: {
+      "1": "Lun",
+      "2": "Mar",
+      "3": "Mié",
+      "4": "Jue",
+      "5": "Vie",
+      "6": "Sáb",
+      "7": "Dom",
+    },
+  },
+
+  // Application shell (index.html, app.js, router.js)
+  app: {
+    title: "Gestión Jurídica",
+    pageTitle: "Gestión Jurídica - Panel de Control",
+    searchPlaceholder: "Buscar en expedientes y documentos...",
+    searchLabel: "Búsqueda global",
+    theme: "Tema",
+    switchLocale: "Cambiar idioma",
+    logout: "Cerrar sesión",
+    pageLoadError: "Error al cargar la página",
+    pageNotFound: "Página no encontrada",
+    routeNotFound: 'La ruta "{route}" no existe.',
+    backToDashboard: "Volver al Dashboard",
+    roles: {
+      admin: "Administrador",
+      abogado: "Abogado/a",
+      administrativo: "Administrativo/a",
+    },
+  },
+
+  // Sidebar navigation
+  nav: {
+    dashboard: "Dashboard",
+    cases: "Expedientes",
+    deadlines: "Plazos",
+    clients: "Clientes",
+    invoicing: "Facturación ARAG",
+    particulares: "Particulares",
+    turno: "Turno de Oficio",
+    stats: "Estadísticas",
+    guide: "Guía",
+    config: "Configuración",
+    admin: "Admin",
+    inbox: "Bandeja",
+  },
+
+  // Login view
+  login: {
+    title: "Iniciar sesión",
+    intro: "Introduzca sus credenciales para acceder al despacho.",
+    username: "Usuario",
+    password: "Contraseña",
+    submit: "Entrar",
+    welcome: "Bienvenido/a, {name}",
+  },
+
+  // Notification center
+  notifications: {
+    title: "Notificaciones",
+    empty: "Todo en orden",
+    more: "+{count} más",
+    daysInactive: "{days}d inactivo",
+    certificateExpired: "El certificado digital ha expirado",
+    certificateExpiring: {
+      one: "Certificado expira en {count} día",
+      other: "Certificado expira en {count} días",
+    },
+    noBackups: "No hay backups registrados",
+    backupStale: "Último backup hace {days} días",
+    types: {
+      failed_emails: {
+        one: "1 email fallido pendiente de reenvío",
+        other: "{count} emails fallidos pendientes de reenvío",
+      },
+      missing_minuta: {
+        one: "1 expediente ARAG sin minuta",
+        other: "{count} expedientes ARAG sin minuta",
+      },
+      missing_suplido: {
+        one: "1 expediente judicial sin suplido",
+        other: "{count} expedientes judiciales sin suplido",
+      },
+      missing_hoja: {
+        one: "1 expediente sin Hoja de Encargo",
+        other: "{count} expedientes sin Hoja de Encargo",
+      },
+      unpaid_minutas: {
+        one: "1 minuta impagada tras {days} días",
+        other: "{count} minutas impagadas tras {days} días",
+      },
+      overdue_deadlines: {
+        one: "1 plazo vencido sin cumplimentar",
+        other: "{count} plazos vencidos sin cumplimentar",
+      },
+      upcoming_deadlines: {
+        one: "1 plazo vence en los próximos {days} días",
+        other: "{count} plazos vencen en los próximos {days} días",
+      },
+      stale_cases: {
+        one: "1 expediente sin actividad en 30+ días",
+        other: "{count} expedientes sin actividad en 30+ días",
+      },
+      bounced_minutas: {
+        one: "1 minuta devuelta por el servidor del destinatario",
+        other: "{count} minutas devueltas por el servidor del destinatario",
+      },
+    },
+  },
+
+  // Global search
+  search: {
+    title: "Búsqueda",
+    resultsFor: "Resultados para «{query}»",
+    hint: "Busque por cliente, referencia, observaciones, asunto de email o contenido de los PDF",
+    error: "Error al buscar",
+    noResults: "No se encontraron resultados",
+    filters: {
+      all: "Todo",
+      case: "Expedientes",
+      document: "Documentos",
+      email: "Emails",
+    },
+    types: {
+      case: "Expediente",
+      document: "Documento",
+      email: "Email",
+    },
+  },
+
+  // Hearings (señalamientos)
+  hearings: {
+    types: {
+      JUICIO: "Juicio",
+      AUDIENCIA_PREVIA: "Audiencia previa",
+      VISTA: "Vista",
+      COMPARECENCIA: "Comparecencia",
+      DECLARACION: "Declaración",
+      OTRO: "Otro",
+    },
+    statuses: {
+      PROGRAMADO: "Programado",
+      CELEBRADO: "Celebrado",
+      SUSPENDIDO: "Suspendido",
+    },
+    calendarLinkConfirm: "Se generará un enlace de suscripción a sus señalamientos para la app de calendario del móvil.\n\nSi ya tenía uno, el enlace anterior dejará de funcionar. ¿Continuar?",
+    calendarLinkCopied: "Enlace de calendario copiado al portapapeles",
+    calendarLinkCreated: "Enlace de calendario generado",
+    subscribe: "Suscribirse al calendario",
+    subscribeHint: "Suscribirse desde la app de calendario",
+    subscribeHelp: "Añada este enlace como calendario suscrito (iCalendar) en su móvil.",
+  },
+
+  // Clients
+  clients: {
+    fields: {
+      fullName: "Nombre completo",
+      email: "Email",
+      phone: "Teléfono",
+      address: "Dirección",
+      notes: "Notas",
+    },
+    form: {
+      newTitle: "Nuevo Cliente",
+      editTitle: "Editar Cliente",
+      subtitle: "Datos de contacto y facturación",
+      namePlaceholder: "Nombre y apellidos o razón social",
+      emailPlaceholder: "cliente@ejemplo.com",
+      addressPlaceholder: "Calle, número, CP y localidad",
+      create: "Crear Cliente",
+      nameRequired: "El nombre del cliente es obligatorio",
+      updated: "Cliente actualizado",
+      created: "Cliente creado",
+    },
+    list: {
+      title: "Clientes",
+      subtitle: "Fichas de clientes compartidas entre expedientes",
+      loadError: "Error al cargar clientes",
+      searchPlaceholder: "Buscar por nombre, NIF, email o teléfono...",
+      noResults: "No se encontraron clientes",
+      empty: "No hay clientes",
+      emptyHint: "Cree una ficha de cliente o vincúlela al crear un expediente.",
+      name: "Nombre",
+      contact: "Contacto",
+      cases: "Expedientes",
+      showing: "Mostrando {count} de {total} clientes",
+    },
+    detail: {
+      notFound: "Cliente no encontrado",
+      notFoundHint: "El cliente solicitado no existe.",
+      back: "Volver a clientes",
+      loadError: "Error al cargar el cliente",
+      data: "Datos del Cliente",
+      noCases: "Este cliente no tiene expedientes vinculados",
+      deleteTitle: "Eliminar cliente",
+      deleteMessage: "¿Eliminar la ficha de {name}? Esta acción no se puede deshacer.",
+      deleted: "Cliente eliminado",
+    },
+  },
+
+  // Cases (expedientes)
+  cases: {
+    new: "Nuevo Expediente",
+    count: {
+      one: "{count} expediente",
+      other: "{count} expedientes",
+    },
+    types: {
+      ARAG: "ARAG",
+      PARTICULAR: "Particular",
+      TURNO_OFICIO: "Turno Oficio",
+    },
+    states: {
+      ABIERTO: "Abierto",
+      JUDICIAL: "Judicial",
+      ARCHIVADO: "Archivado",
+    },
+    fields: {
+      reference: "Referencia",
+      type: "Tipo",
+      state: "Estado",
+      entryDate: "Fecha Entrada",
+      client: "Cliente",
+      aragReference: "Ref. ARAG",
+    },
+    list: {
+      title: "Expedientes",
+      subtitle: "Gestión de todos los expedientes del despacho.",
+      loadError: "Error al cargar expedientes",
+      all: "Todos",
+      language: "Idioma",
+      searchPlaceholder: "Buscar por referencia o cliente...",
+      internalReference: "Ref. Interna",
+      clientExternalReference: "Cliente / Ref. Ext",
+      entry: "Entrada",
+      docs: "Docs",
+      showing: "Mostrando {count} de {total} expedientes",
+      empty: "No hay expedientes",
+      designation: "Designación: {designation}",
+      minutaDone: "Minuta generada",
+      minutaPending: "Minuta pendiente",
+      suplidoDone: "Suplido generado",
+      hojaDone: "Hoja de Encargo generada",
+      hojaPending: "Hoja de Encargo pendiente",
+      hojaShort: "HdE",
+      noResults: "No se encontraron expedientes",
+      noResultsHint: "Prueba con otros términos de búsqueda o filtros.",
+    },
+    refShort: "Ref: {reference}",
+    statesPlural: {
+      ABIERTO: "Abiertos",
+      JUDICIAL: "Judicial",
+      ARCHIVADO: "Archivados",
+    },
+    form: {
+      loadError: "Error al cargar el formulario",
+      editTitle: "Editar Expediente",
+      type: "Tipo de Expediente",
+      clientName: "Nombre del Cliente",
+      clientPlaceholder: "Buscar cliente existente o escribir nombre completo",
+      aragReference: "Referencia ARAG",
+      aragInvalid: "Formato inválido. Debe ser DJ00 seguido de 6 dígitos.",
+      designation: "Número de Designación",
+      entryDate: "Fecha de Entrada",
+      language: "Idioma del Cliente",
+      create: "Crear Expediente",
+      linkedTo: "Vinculado a la",
+      clientRecord: "ficha de cliente",
+      unlink: "Desvincular",
+      noClientRecord: "Sin ficha de cliente. Busque uno existente o créelo desde la lista de sugerencias.",
+      createClient: "Crear cliente «{name}»",
+      aragRequired: "La referencia ARAG es obligatoria y debe tener formato DJ00xxxxxx",
+      designationRequired: "El número de designación es obligatorio",
+      updated: "Expediente actualizado",
+      created: "Expediente creado correctamente",
+    },
+  },
+
+  // Document types and documents
+  documents: {
+    types: {
+      MINUTA: "Minuta",
+      SUPLIDO: "Suplido",
+      HOJA_ENCARGO: "Hoja de Encargo",
+      MANUAL_UPLOAD: "Documento subido",
+    },
+    upload: {
+      title: "Subir Documento",
+      case: "Expediente",
+      description: "Descripción del documento",
+      descriptionPlaceholder: "Ej: Escrito de defensa, Notificación juzgado...",
+      or: "o",
+      selectFile: "selecciona un archivo",
+      removeFile: "Eliminar archivo",
+      uploadingDocument: "Subiendo documento...",
+      uploading: "Subiendo...",
+      tooLarge: "El archivo supera el tamaño máximo de 10 MB",
+      uploaded: "Documento subido correctamente",
+      error: "Error al subir el documento",
+      caseRef: "Expediente {id}",
+      file: "Archivo",
+      dropHere: "Arrastra un archivo aquí",
+      maxSize: "PDF, Word, Excel, imágenes o emails · máximo 10 MB",
+      unsupportedFormat: "Formato no admitido. Suba un PDF, documento de Word u OpenDocument, hoja de cálculo, imagen (JPG, PNG, HEIC), texto o email (EML, MSG)",
+      fileRequired: "Seleccione un archivo",
+      category: "Categoría",
+      tags: "Etiquetas",
+      tagsPlaceholder: "Separadas por comas. Ej: juzgado, contrario",
+      editTitle: "Datos del documento",
+      updated: "Documento actualizado",
+    },
+    categories: {
+      NOTIFICACION: "Notificación",
+      IDENTIFICACION: "Identificación",
+      PRUEBA: "Prueba",
+      ESCRITO: "Escrito",
+      CORRESPONDENCIA: "Correspondencia",
+      OTRO: "Otro",
+    },
+  },
+
+  // ARAG invoicing list
+  aragList: {
+    subtitle: "Gestión de minutas y suplidos para expedientes ARAG",
+    judicial: "En Vía Judicial",
+    judicialHint: "Listos para generar suplidos",
+    open: "Abiertos",
+    openHint: "Pendientes de pasar a judicial",
+    empty: "No hay expedientes ARAG activos",
+    emptyHint: "Los expedientes ARAG aparecerán aquí cuando se creen.",
+    bill: "Facturar",
+  },
+
+  // Invoice register
+  invoices: {
+    title: "Registro de Facturas",
+    subtitle: "Facturas expedidas por minutas ARAG",
+    loadError: "Error al cargar facturas",
+    exportCsv: "Exportar CSV",
+    empty: "No hay facturas",
+    emptyHint: "No se expidió ninguna factura en el periodo seleccionado.",
+    number: "Nº Factura",
+    base: "Base",
+    vat: "IVA",
+    total: "Total",
+    rectifies: "Rectifica {number}",
+    previousMinuta: "minuta anterior",
+    count: {
+      one: "{count} factura",
+      other: "{count} facturas",
+    },
+  },
+
+  // Private client (Particulares) list
+  particularesList: {
+    subtitle: "Gestión de Hojas de Encargo para clientes particulares",
+    empty: "No hay expedientes Particulares",
+    emptyHint: "Los expedientes de clientes particulares aparecerán aquí.",
+  },
+
+  // Legal aid (Turno de Oficio) list
+  turnoList: {
+    subtitle: "Gestión de expedientes de turno de oficio",
+    finalized: "Finalizados",
+    finalizedOne: "Finalizado",
+    searchPlaceholder: "Buscar por nombre, referencia o designación...",
+    openHint: "Pendientes de gestión",
+    finalizedHint: "Pendientes de archivo",
+    archivedHint: "Expedientes cerrados",
+    empty: {
+      all: "No hay expedientes de Turno de Oficio",
+      ABIERTO: "No hay expedientes de Turno de Oficio abiertos",
+      JUDICIAL: "No hay expedientes de Turno de Oficio finalizados",
+      ARCHIVADO: "No hay expedientes de Turno de Oficio archivados",
+    },
+    emptyHint: "Los expedientes aparecerán aquí cuando se creen.",
+    manage: "Gestionar",
+  },
+
+  // Bank reconciliation
+  reconciliation: {
+    title: "Conciliación Bancaria",
+    subtitle: "Cobros de ARAG desde extractos Norma 43 o CSV",
+    loadError: "Error al cargar la conciliación bancaria",
+    import: "Importar Extracto",
+    empty: "No hay extractos importados",
+    emptyHint: "Importe un extracto bancario para proponer cobros de minutas.",
+    statement: "Extracto",
+    pending: {
+      one: "{count} pendiente",
+      other: "{count} pendientes",
+    },
+    noNew: "Sin movimientos nuevos",
+    alreadyImported: {
+      one: "{count} abono ya estaba importado en extractos anteriores.",
+      other: "{count} abonos ya estaban importados en extractos anteriores.",
+    },
+    credits: {
+      one: "{count} abono",
+      other: "{count} abonos",
+    },
+    duplicates: {
+      one: "{count} ya importado",
+      other: "{count} ya importados",
+    },
+    unassigned: "Sin asignar",
+    proposal: "Propuesta: {confidence}",
+    confidence: {
+      ALTA: "Referencia e importe",
+      MEDIA: "Referencia ARAG",
+      BAJA: "Solo importe",
+    },
+    statuses: {
+      CONFIRMADO: "Conciliado",
+      DESCARTADO: "Descartado",
+    },
+    dismiss: "Descartar",
+    selectDocument: "Seleccione el documento al que corresponde el cobro",
+    paymentRecorded: "Cobro registrado",
+    imported: "{credits} importado(s), {proposals} con propuesta de cobro",
+    importError: "Error al importar: {message}",
+    transactionsLoadError: "Error al cargar movimientos",
+    split: "Repartir entre documentos",
+    remaining: "Por asignar: {amount}",
+  },
+
+  // Admin panel
+  admin: {
+    title: "Panel de Administracion",
+    subtitle: "Gestion de base de datos y copias de seguridad.",
+    loadError: "Error al cargar el panel de administracion",
+    selectOnly: "Solo SELECT",
+    database: "Base de Datos",
+    backups: "Copias de Seguridad",
+    tables: "Tablas",
+    runQueryTitle: "Ejecutar Query",
+    runQuery: "Ejecutar (Ctrl+Enter)",
+    results: "Resultados",
+    resultsHint: "Selecciona una tabla o ejecuta una query",
+    table: "Tabla: {table}",
+    tableRows: "{count} de {total} registros",
+    queryRequired: "Introduce una query SQL",
+    running: "Ejecutando...",
+    queryOk: "OK {count} filas en {duration}ms",
+    queryResult: "Resultado de Query",
+    rows: "{count} filas",
+    noResults: "Sin resultados",
+  },
+
+  // Backups (admin panel)
+  backups: {
+    never: "Nunca",
+    lastBackup: "Ultima copia",
+    storage: "Almacenamiento",
+    count: {
+      one: "{count} copia",
+      other: "{count} copias",
+    },
+    sync: "Sincronizacion",
+    syncNotConfigured: "No configurada",
+    manualDownload: "Descarga manual",
+    creating: "Creando...",
+    create: "Crear Copia Ahora",
+    history: "Historial de Copias",
+    files: {
+      one: "{count} archivo",
+      other: "{count} archivos",
+    },
+    file: "Archivo",
+    size: "Tamano",
+    empty: "No hay copias de seguridad",
+    emptyHint: "Crea tu primera copia de seguridad",
+    loadError: "Error al cargar copias de seguridad",
+    csvExported: "{count} expedientes exportados",
+    csvTitle: "Exportacion CSV",
+    csvSubtitle: "Descarga todos los expedientes en formato CSV para Excel/Numbers",
+    exporting: "Exportando...",
+    csvDownload: "Descargar Expedientes CSV",
+    created: "Copia de seguridad creada correctamente",
+    createError: "Error al crear copia de seguridad",
+    downloading: "Descargando copia de seguridad...",
+    deleteConfirm: "¿Eliminar {filename}?",
+    deleted: "Copia de seguridad eliminada",
+    deleteError: "Error al eliminar copia",
+    csvError: "Error al exportar CSV",
+    justNow: "Ahora mismo",
+    minutesAgo: "Hace {count} min",
+    hoursAgo: {
+      one: "Hace {count} hora",
+      other: "Hace {count} horas",
+    },
+    daysAgo: {
+      one: "Hace {count} dia",
+      other: "Hace {count} dias",
+    },
+  },
+
+  // Statistics
+  stats: {
+    title: "Estadísticas",
+    loading: "Cargando datos...",
+    loadError: "Error al cargar estadísticas: {message}",
+    subtitle: "Análisis de expedientes y actividad del despacho.",
+    kpis: {
+      new: "Expedientes Nuevos",
+      archived: "Expedientes Archivados",
+      pending: "Expedientes Pendientes",
+      pendingDetail: "Abiertos + Judiciales",
+      monthlyAverage: "Media Mensual",
+      previousMonth: "{count} mes anterior",
+      average: "Promedio {year}",
+    },
+    monthly: "Evolución Mensual",
+    distribution: "Distribución por Tipo",
+    total: "Total",
+    yearOverYear: "Comparación Interanual",
+    types: {
+      ALL: "Todos",
+      ARAG: "ARAG",
+      PARTICULAR: "Particulares",
+      TURNO_OFICIO: "Turno",
+    },
+    tooltip: {
+      particular: "Part",
+      cases: "{count} exp.",
+    },
+    downloading: "Descargando {format}...",
+    months: {
+      "1": "Ene",
+      "2": "Feb",
+      "3": "Mar",
+      "4": "Abr",
+      "5": "May",
+      "6": "Jun",
+      "7": "Jul",
+      "8": "Ago",
+      "9": "Sep",
+      "10": "Oct",
+      "11": "Nov",
+      "12": "Dic",
+    },
+  },
+
+  // Procedural deadlines (plazos)
+  deadlines: {
+    statuses: {
+      PENDIENTE: "Pendiente",
+      PROXIMO: "Próximo",
+      VENCIDO: "Vencido",
+      CUMPLIDO: "Cumplido",
+    },
+    overdueFor: {
+      one: "Vencido hace {count} día",
+      other: "Vencido hace {count} días",
+    },
+    dueToday: "Vence hoy",
+    remaining: {
+      one: "Queda {count} día hábil",
+      other: "Quedan {count} días hábiles",
+    },
+    loadError: "Error al cargar los plazos",
+    subtitle: "Vencimientos procesales en días hábiles (LEC / LJCA)",
+    month: "Plazos del mes",
+    monthEmpty: "No hay plazos este mes",
+    overdue: "Plazos vencidos sin cumplimentar ({count})",
+    fields: {
+      dueDate: "Vencimiento",
+      title: "Trámite",
+      case: "Expediente",
+    },
+    reopen: "Reabrir",
+  },
+
+  // Hoja de encargo workflow modal
+  hojaEncargo: {
+    services: "Servicios Profesionales",
+    servicesPlaceholder: "Describe los servicios a prestar al cliente...",
+    servicesHint: "Descripción de los servicios legales a prestar",
+    fees: "Honorarios (€)",
+    feesHint: "Importe de los honorarios profesionales (sin IVA)",
+    bilingual: "Versión bilingüe (español / inglés)",
+    bilingualHint: "Para clientes extranjeros: ambas versiones en un único documento firmado",
+    steps: {
+      generate: "Generar PDF",
+      sign: "Firmar Digitalmente",
+      send: "Enviar por Email",
+    },
+    status: {
+      pending: "Pendiente",
+      generating: "Generando...",
+      generated: "Generado",
+      completed: "Completado",
+      signing: "Firmando...",
+      signed: "Firmado",
+      skipped: "Omitido (sin certificado)",
+      sending: "Enviando...",
+      sent: "Enviado",
+      queued: "En cola de envío",
+    },
+    clientEmail: "Email del Cliente",
+    actions: {
+      generate: "Generar Documento",
+      sign: "Firmar Documento",
+      sendUnsigned: "Enviar sin Firma",
+      retrySign: "Reintentar Firma",
+      retrySend: "Reintentar Envío",
+    },
+    servicesRequired: "Los servicios son obligatorios",
+    feesInvalid: "Los honorarios deben ser un número positivo",
+    generated: "Documento generado correctamente",
+    noDocumentToSign: "No hay documento para firmar",
+    signedToast: "Documento firmado correctamente",
+    signError: "Error al firmar: {message}",
+    emailInvalid: "Introduce un email válido",
+    sendError: "Error al enviar: {message}",
+    noDocumentToDownload: "No hay documento para descargar",
+    queuedToast: "Documento en cola de envío",
+  },
+
+  // Dashboard
+  dashboard: {
+    loadError: "Error al cargar el dashboard",
+    subtitle: "Resumen mensual y gestión rápida.",
+    vsLastYear: "{change} vs año anterior",
+    entries: "Entradas del Mes",
+    archived: "Archivados del Mes",
+    closureRatio: "Ratio Cierre",
+    pending: "Pendientes",
+    viewAll: "Ver todos",
+    receivables: "Cobros Pendientes",
+    overdue: "{amount} vencido (más de {days} días)",
+    documents: {
+      one: "{count} documento",
+      other: "{count} documentos",
+    },
+    bucket: "{bucket} días",
+    hearings: "Próximos Señalamientos",
+    noHearings: "No hay señalamientos en los próximos 30 días",
+    claim: "Reclamación cantidad",
+    filterError: "Error al filtrar expedientes",
+  },
+
+  // Turno de oficio case detail
+  turnoOficio: {
+    loadError: "Error al cargar el expediente: {message}",
+    back: "Volver",
+    ref: "Ref:",
+    finalize: "Finalizar",
+    print: "Imprimir",
+    defendantData: "Datos del Justiciable",
+    internalReference: "Referencia Interna",
+    copy: "Copiar",
+    designation: "Designación de Turno",
+    required: "Obligatorio",
+    designationMissing: "No especificada",
+    caseState: "Estado del Expediente",
+    closureDate: "Fecha de cierre: {date}",
+    archive: "Archivar Expediente",
+    closureDateRequired: "Fecha de Cierre (Requerida)",
+    confirmArchive: "Confirmar Archivo",
+    notes: "Observaciones y Notas",
+    autosave: "Auto-guardado activo",
+    notesPlaceholder: "Escriba aquí los detalles relevantes del procedimiento, juzgado asignado, número de autos, etc...",
+    documentHistory: "Histórico Documentos",
+    emailHistory: "Histórico Envíos",
+    history: "Historial",
+    noDocuments: "No hay documentos subidos",
+    uploadedOn: "Subido el {date}",
+    deleteDocument: "Eliminar documento",
+    noEmails: "No hay envíos registrados",
+    noSubject: "Sin asunto",
+    sentTo: "Enviado a {recipient}",
+    failedTo: "Error enviando a {recipient}",
+    error: "Error",
+    timeline: {
+      entry: "Entrada del Expediente",
+      document: "Documento: {name}",
+      finalized: "Expediente Finalizado",
+      archived: "Expediente Archivado",
+      pendingFinalization: "Pendiente de Finalización",
+      pendingArchive: "Pendiente de Archivo",
+    },
+    uploadedDocument: "Documento Subido",
+    copied: "Referencia copiada",
+    copyError: "Error al copiar",
+    finalizedToast: "Expediente marcado como finalizado",
+    reopened: "Expediente reabierto",
+    closureDateMissing: "Debe indicar la fecha de cierre",
+    archived: "Expediente archivado correctamente",
+    archiveError: "Error al archivar: {message}",
+    saving: "Guardando...",
+    saved: "Guardado",
+    saveError: "Error al guardar",
+    deleteTitle: "Eliminar Documento",
+    deleteMessage: '¿Está seguro de que desea eliminar "{name}"? Podrá restaurarlo desde la ficha del expediente.',
+    deleted: "Documento eliminado correctamente",
+    deleteError: "Error al eliminar: {message}",
+  },
+
+  // Configuration
+  config: {
+    fields: {
+      baseFee: "Tarifa Base (€)",
+      vat: "IVA (%)",
+      billingEmail: "Email Facturación",
+      invoiceSeries: "Serie de Facturas",
+      overdueDays: "Días hasta Impago",
+      hourlyRate: "Tarifa Horaria Particulares (€/h)",
+      deadlineAlertDays: "Aviso de Plazos (días antes)",
+      smtpHost: "Servidor SMTP",
+      smtpPort: "Puerto",
+      smtpSecurity: "Seguridad",
+      smtpUser: "Usuario SMTP",
+      smtpPassword: "Contraseña SMTP",
+      smtpFrom: "Dirección de Envío (From)",
+      certificatePath: "Ruta del Certificado (.p12/.pfx)",
+      certificatePassword: "Contraseña del Certificado",
+      documentsPath: "Ruta de Documentos",
+      holidaysNational: "Festivos Nacionales e Inhábiles (24 y 31 dic.)",
+      holidaysRegional: "Festivos de Andalucía",
+      holidaysLocal: "Festivos Locales (Málaga)",
+      trustedRootsPath: "Carpeta de Certificados Raíz de Confianza",
+      tsaUrl: "Autoridad de Sellado de Tiempo (URL)",
+      ltvEnabled: "Validación a Largo Plazo (LTV)",
+      emailMaxAttempts: "Intentos de envío",
+      inboundEmailSource: "Origen",
+      imapHost: "Servidor IMAP",
+      imapPort: "Puerto",
+      imapUser: "Usuario IMAP",
+      imapPassword: "Contraseña IMAP",
+      imapMailbox: "Carpeta",
+      inboundEmailPath: "Ruta Maildir / mbox",
+      inboundEmailInterval: "Comprobar cada (min)",
+      emailSignature: "Firma de los emails",
+      bounceEmailSource: "Avisos de entrega",
+      bounceImapMailbox: "Carpeta de avisos",
+      bounceEmailPath: "Ruta de avisos (Maildir/mbox)",
+    },
+    loadError: "Error al cargar la configuración",
+    subtitle: "Parámetros del sistema y tarifas.",
+    arag: "Configuración ARAG",
+    courtCalendar: "Calendario Judicial",
+    holidaysHelp: "Festivos para el cómputo de plazos: MM-DD para festivos anuales o AAAA-MM-DD para un año concreto, separados por comas. Jueves y Viernes Santo se calculan automáticamente.",
+    mileage: "Tabla de Kilometraje por Partido Judicial",
+    smtp: "Configuración SMTP",
+    testConnection: "Probar Conexión",
+    smtpUserPlaceholder: "usuario@example.com",
+    smtpFromPlaceholder: "despacho@example.com",
+    certificate: "Certificado Digital ACA (Firma)",
+    testCertificate: "Probar Certificado",
+    certificateHelp: "Certificado ACA (Autoridad de Certificación de la Abogacía) para firma digital de documentos PDF. Sin certificado configurado, se usa firma visual.",
+    storage: "Almacenamiento de Documentos",
+    storageHelp: "Directorio donde se almacenan los PDFs generados (minutas y suplidos).",
+    save: "Guardar Configuración",
+    saved: "Configuración guardada correctamente",
+    validation: {
+      baseFee: "Tarifa Base debe estar entre 0 y 10.000 €",
+      vat: "IVA debe estar entre 0% y 100%",
+      hourlyRate: "La tarifa horaria debe estar entre 0 y 10.000 €",
+      invoiceSeries: "La serie de facturas solo admite letras y dígitos (máx. 10)",
+      overdueDays: "Días hasta impago debe ser un número entero entre 1 y 365",
+      deadlineAlertDays: "El aviso de plazos debe ser un número entero entre 1 y 60 días",
+      mileage: "Kilometraje inválido (debe estar entre 0 y 1.000 €)",
+      emailMaxAttempts: "Los intentos de envío deben ser un número entero entre 1 y 20",
+      inboundEmailInterval: "La comprobación del correo debe ser un número entero de minutos entre 1 y 1440",
+    },
+    testingConnection: "Probando conexión...",
+    smtpOk: "Conexión SMTP exitosa",
+    connectionError: "Error de conexión",
+    certificatePathRequired: "Introduzca la ruta del certificado",
+    verifyingCertificate: "Verificando certificado...",
+    certificateExpiring: "Certificado válido (caduca en {days} días)",
+    certificateValid: "Certificado válido",
+    certificateInvalid: "Certificado inválido",
+    certificateError: "Error al verificar el certificado",
+    certificateDetails: {
+      holder: "Titular",
+      organization: "Organización",
+      issuer: "Emisor",
+      validFrom: "Válido desde",
+      validTo: "Válido hasta",
+    },
+    templates: {
+      title: "Plantillas de Documentos",
+      language: "Idioma del expediente",
+      preview: "Vista previa",
+      helpTitle: "Marcadores y directivas disponibles",
+      help: "Use <code>{{campo}}</code> o <code>{{campo | currency}}</code> (formatos: <code>currency</code>, <code>date</code>, <code>upper</code>) y secciones <code>{{#if campo}}…{{else}}…{{/if}}</code>. Haga clic en un marcador para insertarlo.",
+      reset: "Restaurar predeterminada",
+      save: "Guardar Plantilla",
+      customized: "Personalizada",
+      default: "Predeterminada",
+      line: "Línea {line}",
+      saved: "Plantilla guardada correctamente",
+      resetConfirm: "¿Restaurar la plantilla predeterminada? Se perderán los cambios guardados.",
+      restored: "Plantilla predeterminada restaurada",
+      directives: {
+        titulo: "Banda de título con el color del documento",
+        encabezado: "Título centrado y subrayado",
+        seccion: "Cabecera de sección",
+        campos: "Filas «Etiqueta: valor» en 2 columnas (o 1) hasta una línea en blanco",
+        tabla: "Tabla con filas «concepto | importe»",
+        total: "Fila de total destacada",
+        destacado: "Recuadro resaltado",
+        importe: "Importe grande destacado",
+        clausula: "Cláusula en letra pequeña",
+        nota: "Nota centrada al final",
+        firmas: "Dos líneas de firma",
+        pie: "Pie de página",
+        espacio: "Espacio vertical / nueva página",
+        color: "Color de título, totales e importes",
+      },
+    },
+    trustedRootsHelp: "Certificados (.cer, .crt, .pem) de las autoridades con las que se comprueban las firmas de los PDF, p. ej. la raíz de la FNMT o de la ACA.",
+    ltvOptions: {
+      off: "Desactivada",
+      on: "Activada",
+    },
+    ltvHelp: "Con una URL de TSA (RFC 3161) cada firma lleva un sello de tiempo. Con LTV activada se incorporan al PDF los certificados y las listas de revocación para poder validar la firma aunque el certificado caduque.",
+    emailMaxAttemptsHelp: "Reintentos de cada email antes de marcarlo como fallido",
+    inboundEmail: "Correo Entrante",
+    inboundEmailHelp: "Los emails recibidos se guardan en el expediente cuya referencia (DJ00…, IY… o IY-AA-NNN) aparece en el asunto. Los demás quedan en la bandeja sin asignar.",
+    inboundSources: {
+      off: "Desactivado",
+      imap: "IMAP",
+      maildir: "Maildir (local)",
+      mbox: "mbox (local)",
+    },
+    inboundEmailPathHelp: "Solo para los orígenes Maildir y mbox: directorio Maildir (con cur/ y new/) o archivo mbox del servidor",
+    emailSignaturePlaceholder: "Despacho…\nTel. …",
+    emailSignatureHelp: "Se añade al final de los emails de minutas, suplidos y hojas de encargo, separada por «-- ».",
+    emailTemplates: {
+      title: "Plantillas de Email",
+      help: "Asunto y texto de los emails que se envían con cada documento, en el idioma del expediente. Los marcadores se sustituyen por los datos del expediente.",
+      keys: {
+        MINUTA: "Minuta / factura rectificativa",
+        SUPLIDO: "Suplido",
+        HOJA_ENCARGO: "Hoja de encargo",
+        GENERIC: "Email genérico",
+      },
+      subject: "Asunto",
+      text: "Texto",
+      html: "HTML (opcional)",
+      htmlPlaceholder: "Vacío: el email se envía solo como texto",
+      preview: "Vista previa con datos de ejemplo y la firma guardada",
+      placeholders: "Marcadores disponibles",
+      loadError: "Error al cargar las plantillas de email",
+    },
+    bounceEmailHelp: "Los avisos de entrega (rebotes) de los emails enviados marcan el email como devuelto o entregado. Se leen del buzón de entrada; configure aquí otro buzón si llegan a una carpeta o cuenta distinta (usa la cuenta IMAP de arriba).",
+    bounceSources: {
+      off: "Solo buzón de entrada",
+      imap: "Carpeta IMAP",
+      maildir: "Maildir (local)",
+      mbox: "mbox (local)",
+    },
+  },
+
+  // User guide (prose, may contain markup)
+  guide: {
+    header: {
+      "1": "Guía de Usuario",
+      "2": "Todo lo que necesitas para gestionar tus expedientes jurídicos",
+    },
+    toc: {
+      "1": "Contenido",
+      "2": "Vista General",
+      "3": "Expedientes",
+      "4": "Crear Expediente",
+      "5": "Facturación ARAG",
+      "6": "Particulares",
+      "7": "Turno de Oficio",
+      "8": "Estadísticas",
+      "9": "Configuración",
+    },
+    inicio: {
+      "1": "Vista General — Dashboard",
+      "2": "La pantalla principal muestra un resumen de todos tus expedientes.",
+      "3": "Dashboard - Panel de control",
+      "4": "Dashboard: vista general con métricas y expedientes recientes",
+      "5": "<strong>Métricas rápidas</strong> — En la parte superior verás cuatro tarjetas: Entradas del Mes, Archivados del Mes, Pendientes y Ratio de Cierre.",
+      "6": "<strong>Tabla de expedientes recientes</strong> — Muestra los expedientes más recientes con su tipo, referencia, cliente y estado. Haz clic en cualquier fila para ver los detalles.",
+      "7": "<strong>Nuevo Expediente</strong> — El botón en la esquina superior derecha te lleva directamente al formulario de creación.",
+    },
+    expedientes: {
+      "1": "Expedientes",
+      "2": "Lista completa de todos los expedientes del despacho.",
+      "3": "Lista de expedientes",
+      "4": "Lista de expedientes con filtros por tipo y buscador",
+      "5": '<strong>Filtrar por tipo</strong> — Usa las pestañas <span class="guide-badge guide-badge-arag">ARAG</span> <span class="guide-badge guide-badge-particular">Particulares</span> <span class="guide-badge guide-badge-turno">Turno Oficio</span> para ver solo un tipo de expediente.',
+      "6": "<strong>Buscar</strong> — Escribe el nombre del cliente o la referencia en el campo de búsqueda para encontrar un expediente rápidamente.",
+      "7": "<strong>Ordenar columnas</strong> — Haz clic en los encabezados de columna (Ref. Interna, Cliente, Entrada) para ordenar la tabla.",
+      "8": "<strong>Ver detalle</strong> — Haz clic en cualquier fila para abrir la ficha completa del expediente.",
+      "9": "<strong>Estados de un expediente</strong><br/>",
+      "10": '<span class="guide-status guide-status-open">Abierto</span> — Expediente activo en tramitación<br/>',
+      "11": '<span class="guide-status guide-status-judicial">Judicial</span> — Expediente en fase judicial (solo ARAG)<br/>',
+      "12": '<span class="guide-status guide-status-archived">Archivado</span> — Expediente cerrado (solo lectura)',
+    },
+    crearExpediente: {
+      "1": "Crear un Nuevo Expediente",
+      "2": "Cómo dar de alta un nuevo expediente según su tipo.",
+      "3": "Formulario de nuevo expediente",
+      "4": "Formulario de creación de expediente",
+      "5": "<strong>Selecciona el tipo</strong> — Elige entre ARAG, Particular o Turno de Oficio. Los campos del formulario cambian según el tipo.",
+      "6": "<strong>Datos del cliente</strong> — Nombre del cliente (obligatorio), fecha de entrada e idioma del cliente.",
+      "7": "<strong>Referencias</strong><br/>",
+      "8": '&bull; <span class="guide-badge guide-badge-arag">ARAG</span>: Introduce la referencia ARAG (formato DJ00XXXXXX). La referencia interna IY se genera automáticamente.<br/>',
+      "9": '&bull; <span class="guide-badge guide-badge-particular">Particular</span>: La referencia IY-AA-NNN se genera automáticamente.<br/>',
+      "10": '&bull; <span class="guide-badge guide-badge-turno">Turno de Oficio</span>: Introduce el número de designación.',
+      "11": '<strong>Guardar</strong> — Pulsa el botón "Crear Expediente" para guardarlo.',
+      "12": "<strong>Importante</strong><br/>",
+      "13": "Las referencias nunca se reutilizan, ni siquiera si se elimina un expediente. La referencia ARAG (DJ00...) debe ser única.",
+    },
+    facturacion: {
+      "1": "Facturación ARAG",
+      "2": "Genera minutas y suplidos para los expedientes ARAG y envíalos por email.",
+      "3": "Lista de facturación ARAG",
+      "4": "Lista de expedientes ARAG pendientes de facturación",
+      "5": "Flujo de facturación",
+      "6": "Generar PDF",
+      "7": "Firmar",
+      "8": "Enviar email",
+      "9": "Detalle de facturación ARAG",
+      "10": "Detalle de un expediente ARAG con historial de documentos",
+      "11": '<strong>Generar Minuta</strong> — Pulsa "Generar y Enviar" para crear el PDF de la factura, firmarlo y enviarlo por email. El importe es siempre 203€ + 21% IVA = 245,63€.',
+      "12": '<strong>Generar Suplido</strong> — Solo disponible cuando el expediente está en estado <span class="guide-status guide-status-judicial">Judicial</span>. Selecciona el partido judicial y se calculará el importe de desplazamiento automáticamente.',
+      "13": "<strong>Historial</strong> — En el panel derecho verás el historial completo: documentos generados y emails enviados con su estado.",
+      "14": '<strong>Reintentar email</strong> — Si un email falló, verás un botón "Reintentar" junto al registro para volver a enviarlo.',
+    },
+    particulares: {
+      "1": "Particulares — Hoja de Encargo",
+      "2": "Gestiona las hojas de encargo de los clientes particulares.",
+      "3": "Vista de Particulares",
+      "4": "Lista de expedientes de clientes particulares",
+      "5": "<strong>Filtrar y buscar</strong> — Usa las pestañas (Todos, Abiertos, Judicial, Archivados) y el buscador para localizar un expediente.",
+      "6": "<strong>Columna HdE</strong> — Indica si el expediente ya tiene una Hoja de Encargo generada. Haz clic en la fila para acceder al detalle.",
+      "7": "Detalle de Hoja de Encargo",
+      "8": "Detalle de un expediente particular con Hoja de Encargo",
+      "9": "<strong>Datos de la Hoja de Encargo</strong> — Rellena los servicios contratados, honorarios base, provisión de fondos e IVA. El total se calcula automáticamente.",
+      "10": '<strong>Generar y Enviar</strong> — Pulsa "Generar y Enviar" para crear el PDF, firmarlo digitalmente y enviarlo por email al cliente en un solo paso.',
+      "11": "<strong>Estado del documento</strong> — El panel derecho muestra el progreso: Generado → Firmado → Enviado. Cada paso se marca automáticamente.",
+      "12": "<strong>Historial</strong> — En la columna derecha verás el historial completo con las acciones realizadas sobre el expediente y sus documentos.",
+    },
+    turno: {
+      "1": "Turno de Oficio",
+      "2": "Expedientes de defensa de oficio asignados por el juzgado.",
+      "3": "Vista de Turno de Oficio",
+      "4": "Lista de expedientes de turno de oficio agrupados por estado",
+      "5": "<strong>Filtrar por estado</strong> — Usa las pestañas (Todos, Abiertos, Finalizados, Archivados) para ver los expedientes según su fase. Cada pestaña muestra el número de casos.",
+      "6": '<strong>Tarjetas de expediente</strong> — Cada tarjeta muestra la referencia, designación, fecha y estado. Pulsa "Gestionar →" para abrir el detalle.',
+      "7": "Detalle de expediente Turno de Oficio",
+      "8": "Detalle de un expediente de turno de oficio",
+      "9": "<strong>Datos del justiciable</strong> — Referencia interna, nombre, fecha de entrada y designación del turno de oficio.",
+      "10": "<strong>Observaciones y notas</strong> — Campo de texto con autoguardado para anotar detalles del procedimiento, juzgado asignado, etc.",
+      "11": '<strong>Documentos y envíos</strong> — Las pestañas "Histórico Documentos" e "Histórico Envíos" muestran los archivos subidos y los correos enviados.',
+      "12": '<strong>Estado y cierre</strong> — En la parte inferior izquierda se muestra el estado actual y la fecha de cierre. Si el expediente está abierto, verás el botón "Marcar como Finalizado". Pulsa "Imprimir" en la parte superior derecha para generar una copia impresa.',
+      "13": "Los expedientes de Turno de Oficio no generan facturas. Solo se gestionan documentos y el estado del caso.",
+    },
+    estadisticas: {
+      "1": "Estadísticas",
+      "2": "Visualiza la actividad del despacho con gráficos y métricas.",
+      "3": "Estadísticas",
+      "4": "Panel de estadísticas con gráficos de actividad",
+      "5": "<strong>Seleccionar año</strong> — Usa el selector de año para ver estadísticas de períodos anteriores.",
+      "6": "<strong>Filtrar por tipo</strong> — Filtra las estadísticas por tipo de expediente (ARAG, Particular, Turno de Oficio o todos).",
+      "7": "<strong>Métricas clave</strong> — Tarjetas con los totales del año: Expedientes Nuevos, Expedientes Archivados, Expedientes Pendientes y Media Mensual.",
+      "8": "<strong>Gráfico mensual</strong> — El gráfico de barras muestra la actividad mes a mes. Pasa el ratón sobre una barra para ver el detalle.",
+    },
+    configuracion: {
+      "1": "Configuración",
+      "2": "Ajustes del sistema: email, certificado digital, tarifas y copias de seguridad.",
+      "3": "Tarifas",
+      "4": "<strong>Configuración ARAG</strong> — Tarifa base (203€), porcentaje de IVA (21%) y la dirección de email donde se envían las minutas y suplidos.",
+      "5": "Configuración ARAG",
+      "6": "Configuración ARAG: tarifa base, IVA y email de facturación",
+      "7": "Km",
+      "8": "<strong>Suplidos por desplazamiento</strong> — Importes en euros por partido judicial (Torrox, Vélez-Málaga, Torremolinos, Fuengirola, Marbella, Estepona, Antequera). Estos valores se aplican automáticamente al generar un suplido.",
+      "9": "Tabla de Kilometraje",
+      "10": "Tabla de kilometraje por partido judicial",
+      "11": "SMTP",
+      "12": '<strong>Configuración de email</strong> — Servidor SMTP, puerto, seguridad, usuario, contraseña y dirección de envío. Pulsa "Probar Conexión" para verificar que la conexión funciona correctamente.',
+      "13": "Configuración SMTP",
+      "14": "Configuración del servidor de correo electrónico (SMTP)",
+      "15": "Cert",
+      "16": '<strong>Certificado digital</strong> — Ruta al archivo .p12 y contraseña del certificado ACA. Pulsa "Probar Certificado" para verificar. Cuando está configurado, los documentos se firman digitalmente con validez legal. Sin certificado, se usa firma visual.',
+      "17": "Certificado Digital",
+      "18": "Certificado digital ACA para firma de documentos PDF",
+      "19": "Docs",
+      "20": '<strong>Almacenamiento de documentos</strong> — Directorio donde se guardan los PDFs generados (minutas y suplidos). Pulsa "Guardar Configuración" para aplicar todos los cambios de esta página.',
+      "21": "Almacenamiento de Documentos",
+      "22": "Ruta de almacenamiento de documentos y botón de guardar",
+      "23": "<strong>Acceso restringido</strong><br/>",
+      "24": "Los cambios en la configuración afectan al funcionamiento de todo el sistema. Solo modifica estos valores si estás segura de lo que haces.",
+    },
+    referencia: {
+      "1": "Referencia Rápida",
+      "2": "Atajos y conceptos clave para usar Record+ de forma eficiente.",
+      "3": "Tipos de Expediente",
+      "4": "ARAG",
+      "5": "Seguro de defensa jurídica. Ref: DJ00XXXXXX",
+      "6": "Particular",
+      "7": "Cliente privado. Ref: IY-AA-NNN",
+      "8": "Turno Oficio",
+      "9": "Defensa de oficio. Ref: Designación",
+      "10": "Navegación",
+      "11": "Dashboard",
+      "12": "Vista general y métricas",
+      "13": "Expedientes",
+      "14": "Todos los casos",
+      "15": "Facturación",
+      "16": "Minutas y suplidos ARAG",
+      "17": "Particulares",
+      "18": "Hojas de encargo",
+      "19": "Turno",
+      "20": "Casos de oficio",
+      "21": "Flujo de Trabajo",
+      "22": "Crear expediente con datos del cliente",
+      "23": "Gestionar documentos y facturas",
+      "24": "Enviar documentos por email",
+      "25": "Archivar cuando se cierre el caso",
+    },
+    screenshotMissing: "Captura pendiente de añadir",
+  },
+
+  // Case detail
+  caseDetail: {
+    notFound: "Expediente no encontrado",
+    notFoundHint: "El expediente solicitado no existe.",
+    backToCases: "Volver a expedientes",
+    loadError: "Error al cargar el expediente",
+    viewClient: "Ver ficha del cliente",
+    state: "Estado: {state}",
+    tabs: {
+      info: "Información",
+      deadlines: "Plazos",
+      hearings: "Señalamientos",
+      audit: "Historial de cambios",
+      emails: "Emails",
+    },
+    loadingAudit: "Cargando historial...",
+    loadingDeadlines: "Cargando plazos...",
+    loadingHearings: "Cargando señalamientos...",
+    info: {
+      title: "Información del Expediente",
+      internalReference: "Referencia Interna",
+      designation: "Designación",
+      judicialDate: "Fecha Judicial",
+      observations: "Observaciones",
+      observationsPlaceholder: "Añadir observaciones...",
+    },
+    closureDate: "Fecha de Cierre",
+    judicialDistrict: "Partido judicial",
+    documents: "Documentos",
+    noDocuments: "No hay documentos generados",
+    signed: "Firmado",
+    auditLoadError: "Error al cargar el historial de cambios",
+    noAudit: "No hay cambios registrados",
+    audit: {
+      system: "Sistema",
+      actions: {
+        CREATE: "Creación",
+        UPDATE: "Modificación",
+        ARCHIVE: "Archivado",
+        JUDICIAL: "Paso a judicial",
+        FINALIZE: "Finalización",
+        REOPEN: "Reapertura",
+        DELETE: "Eliminación",
+      },
+      fields: {
+        type: "Tipo",
+        clientName: "Cliente",
+        internalReference: "Referencia interna",
+        aragReference: "Referencia ARAG",
+        designation: "Designación",
+        state: "Estado",
+        entryDate: "Fecha de entrada",
+        judicialDate: "Fecha judicial",
+        judicialDistrict: "Partido judicial",
+        closureDate: "Fecha de cierre",
+        observations: "Observaciones",
+        language: "Idioma",
+        clientId: "Ficha de cliente",
+      },
+    },
+    deadlineForm: {
+      title: "Nuevo plazo",
+      titlePlaceholder: "Contestación a la demanda",
+      startDate: "Fecha de notificación",
+      days: "Días",
+      dayType: "Cómputo",
+      dayTypes: {
+        HABILES: "Días hábiles",
+        NATURALES: "Días naturales",
+      },
+      judicial: "Plazo judicial (agosto inhábil)",
+      submit: "Añadir plazo",
+    },
+    noDeadlines: "No hay plazos registrados",
+    computation: {
+      HABILES: "{days} días hábiles desde {date}",
+      NATURALES: "{days} días naturales desde {date}",
+      fixed: "Fecha fijada",
+    },
+    deleteDeadlineConfirm: "¿Eliminar este plazo?",
+    dueOn: "Vence el {date}",
+    deadlineAdded: "Plazo añadido",
+    hearingForm: {
+      title: "Nuevo señalamiento",
+      startsAt: "Fecha y hora",
+      duration: "Minutos",
+      court: "Juzgado",
+      courtPlaceholder: "Juzgado de Primera Instancia nº 2",
+      notesPlaceholder: "Notas (sala, testigos, documentación…)",
+      submit: "Añadir señalamiento",
+    },
+    hearingsLoadError: "Error al cargar los señalamientos",
+    noHearings: "No hay señalamientos registrados",
+    hearingStatusUpdated: "Estado del señalamiento actualizado",
+    deleteHearingConfirm: "¿Eliminar este señalamiento?",
+    hearingAdded: "Señalamiento añadido",
+    calendarLinkPrompt: "Enlace de suscripción (iCalendar):",
+    observationsSaved: "Observaciones guardadas",
+    saveError: "Error al guardar",
+    toJudicial: "Pasar a Judicial",
+    judicialDone: "Expediente pasado a judicial",
+    manage: "Gestionar Expediente",
+    archive: "Archivar",
+    archiveTitle: "Archivar Expediente",
+    archived: "Expediente archivado",
+    uploadDocument: "Subir documento",
+    allCategories: "Todas las categorías",
+    allTags: "Todas las etiquetas",
+    noDocumentsFiltered: "Ningún documento coincide con los filtros",
+    deleteDocumentTitle: "Eliminar documento",
+    deleteDocumentMessage: "¿Eliminar «{name}»? Pasará a la papelera y podrá restaurarlo.",
+    documentDeleted: "Documento eliminado",
+    showDeleted: "Papelera",
+    noDeletedDocuments: "La papelera está vacía",
+    deletedOn: "Eliminado el {date}",
+    restoreDocument: "Restaurar",
+    documentRestored: "Documento restaurado",
+    versionHistory: "Historial de versiones",
+    noVersions: "Este documento no tiene versiones registradas",
+    versionReasons: {
+      CREACION: "Creación",
+      FIRMA: "Firma",
+      REGISTRO_INICIAL: "Registro inicial",
+    },
+    verifyIntegrity: "Verificar",
+    verifyIntegrityHint: "Comprobar que los archivos guardados no se han modificado (SHA-256)",
+    integrityOk: "Integridad correcta: {count} versiones comprobadas",
+    integrityProblems: "{count} documento(s) con problemas de integridad",
+    integrityProblemHint: "El archivo guardado no coincide con su hash SHA-256 o no se encuentra",
+    integrityStatus: {
+      CORRECTO: "Correcto",
+      MODIFICADO: "Modificado",
+      NO_ENCONTRADO: "No encontrado",
+      SIN_HASH: "Sin hash",
+    },
+    verifySignature: "Verificar firma",
+    loadingEmails: "Cargando emails...",
+    emailsLoadError: "Error al cargar los emails",
+    noEmails: "No se ha enviado ningún email de este expediente",
+    sendEmail: "Enviar email",
+    emailStatus: {
+      SENT: "Enviado",
+      ERROR: "Error",
+      DELIVERED: "Entregado",
+      BOUNCED: "Devuelto",
+    },
+    email: {
+      to: "Para",
+      cc: "CC",
+      bcc: "CCO",
+      subject: "Asunto",
+      text: "Mensaje",
+      attachments: "Adjuntos",
+      addressesHelp: "Separe varias direcciones con comas.",
+      noDocuments: "El expediente no tiene documentos para adjuntar.",
+      size: "{size} MB",
+      total: "Adjuntos: {size} MB de {max} MB como máximo",
+      send: "Enviar",
+      queued: "Email en cola de envío",
+      smtpMissing: "Configure el servidor SMTP en Configuración para enviar emails",
+    },
+  },
+
+  // Particular case screen: hoja de encargo, time entries and provisiones de fondos
+  particulares: {
+    loadError: "Error al cargar el expediente: {message}",
+    onlyParticular: "Este módulo solo está disponible para expedientes Particulares.",
+    backToCase: "Volver al Expediente",
+    ref: "Ref:",
+    editRecord: "Editar Ficha",
+    clientData: "Datos del Cliente",
+    internalReference: "Referencia Interna (Auto)",
+    contactEmail: "Email de Contacto",
+    active: "Activo",
+    expand: "Expandir",
+    history: "Historial",
+    refresh: "Actualizar",
+    historyUpdated: "Historial actualizado",
+    minutesAgo: "Hace {minutes} min",
+    finalize: {
+      title: "Finalizar Expediente",
+      hint: 'Requiere fecha de cierre. El estado cambiará automáticamente a "Archivado".',
+      submit: "Marcar como Finalizado",
+      dateRequired: "Selecciona una fecha de cierre",
+      confirm: "¿Estás seguro de finalizar este expediente? Esta acción no se puede deshacer.",
+      done: "Expediente finalizado correctamente",
+    },
+    hoja: {
+      subtitle: "Generación Automática • Plantilla v2",
+      services: "Servicios Contratados",
+      servicesPlaceholder: "Descripción de los servicios contratados...",
+      servicesDefault: "Reclamación extrajudicial y judicial por incumplimiento de contrato de obra. Incluye redacción de burofax y demanda.",
+      baseFee: "Honorarios Base",
+      provision: "Provisión de Fondos",
+      vat: "IVA ({rate}%):",
+      estimatedTotal: "Total Estimado:",
+      total: "Total Hoja Encargo",
+      feesRequired: "Los honorarios deben ser mayores que 0",
+    },
+    timeline: {
+      hojaSigned: "Hoja de Encargo Firmada",
+      hojaGenerated: "Hoja de Encargo Generada",
+      hourlyInvoice: "Factura de Horas Emitida",
+      provisionRequested: "Provisión de Fondos Solicitada",
+      emailError: "Error al Enviar Email",
+      hojaSent: "Hoja de Encargo Enviada",
+      created: "Alta de Expediente {reference}",
+      empty: "No hay eventos registrados",
+      emailBounced: "Email Devuelto",
+    },
+    document: {
+      none: "No se ha generado ningún documento todavía",
+      status: "Estado del Documento",
+      unsigned: "Sin firmar",
+      notSent: "No enviado",
+      sign: "Firmar",
+      send: "Enviar",
+      resend: "Reenviar",
+      regenerate: "Regenerar",
+      regenerateConfirm: "¿Regenerar el documento? Esto creará una nueva versión.",
+      noDocumentToSend: "No hay documento para enviar",
+    },
+    footer: {
+      pending: "Pendiente de generación",
+      sent: "Enviado al cliente",
+      signed: "Firmado, pendiente de envío",
+      generated: "Generado, pendiente de firma",
+    },
+    sendModal: {
+      title: "Enviar Documento",
+      hint: "El documento se enviará a esta dirección",
+      unsigned: "El documento no está firmado digitalmente",
+    },
+    time: {
+      title: "Registro de Horas",
+      summary: "{total} h totales · {pending} h pendientes",
+      stop: "Detener",
+      timerElsewhere: "Tiene un cronómetro en marcha en {link}.",
+      otherCase: "otro expediente",
+      timerActivityPlaceholder: "Actividad (p. ej. Redacción de demanda)",
+      start: "Iniciar cronómetro",
+      running: "En curso",
+      billed: "Facturada",
+      notBillable: "No facturable",
+      activity: "Actividad",
+      hours: "Horas",
+      rate: "Tarifa (€/h)",
+      billable: "Facturable",
+      add: "Añadir",
+      empty: "No hay horas registradas",
+      unbilled: "Pendiente de facturar:",
+      invoice: "Generar factura de horas",
+      activityRequired: "Indique la actividad antes de iniciar el cronómetro",
+      started: "Cronómetro iniciado",
+      stopped: "Tiempo registrado",
+      added: "Horas registradas",
+      deleteConfirm: "¿Eliminar este registro de horas?",
+      deleted: "Registro de horas eliminado",
+      invoiceConfirm: "Se emitirá una factura numerada por {hours} h ({amount} + IVA).\n\nLas horas facturadas ya no se podrán modificar. ¿Continuar?",
+      invoiced: "Factura de horas generada",
+    },
+    provisions: {
+      title: "Provisiones de Fondos",
+      movements: {
+        SOLICITADA: "Solicitada",
+        RECIBIDA: "Recibida",
+        APLICADA: "Aplicada a factura",
+        DEVUELTA: "Devuelta",
+      },
+      viewDocument: "Ver documento",
+      pendingRequest: "Pendiente de recibir: {amount}",
+      conceptPlaceholder: "Concepto (opcional)",
+      request: "Solicitar provisión",
+      apply: "Aplicar a factura",
+      refund: "Devolución",
+      outstanding: "pendiente {amount}",
+      record: "Registrar",
+      movement: "Movimiento",
+      balance: "Saldo",
+      empty: "No hay provisiones de fondos",
+      totals: "Recibido {received} · Aplicado {applied} · Devuelto {refunded}",
+      available: "Saldo disponible:",
+      requested: "Solicitud de provisión generada",
+      recorded: "Movimiento de provisión registrado",
+      deleteConfirm: "¿Eliminar este movimiento? Si se aplicó a una factura, se eliminará también el cobro.",
+      deleted: "Movimiento de provisión eliminado",
+    },
+    clientSignature: {
+      request: "Firma del cliente",
+      modalTitle: "Enlace de firma para el cliente",
+      signerName: "Firmante",
+      signerEmail: "Email del firmante",
+      modalHint: "El cliente revisará la hoja de encargo y la firmará desde el enlace, sin necesidad de cuenta. Un enlace nuevo anula el anterior pendiente.",
+      create: "Crear enlace",
+      link: "Enlace de firma",
+      linkHint: "Envíe este enlace al cliente. Solo se puede usar una vez y caduca el {date}.",
+      copy: "Copiar enlace",
+      copied: "Enlace copiado",
+      pending: "Enlace de firma pendiente para {name} (caduca el {date})",
+      signed: "Firmada por el cliente ({name}) · {date}",
+      cancel: "Anular enlace",
+      cancelConfirm: "¿Anular el enlace de firma? El cliente ya no podrá usarlo.",
+      cancelled: "Enlace de firma anulado",
+      timeline: "Hoja de encargo firmada por {name}",
+      methods: {
+        DIBUJADA: "Firma dibujada",
+        ESCRITA: "Firma escrita",
+      },
+    },
+  },
+
+  // ARAG billing screen: minuta, suplidos and cobros
+  aragBilling: {
+    onlyArag: "Este módulo solo está disponible para expedientes ARAG.",
+    backToRecord: "Volver a Ficha",
+    caseData: "Datos del Expediente",
+    proceduralState: "Estado Procesal",
+    inCourt: "En Vía Judicial",
+    judicialSince: "Pasado a judicial el {date}",
+    observationsPlaceholder: "Añadir notas internas...",
+    archiveHint: 'Requerido para archivar. El estado pasará a "Archivado" permanentemente.',
+    archiveConfirm: "¿Estás seguro de archivar este expediente? Esta acción no se puede deshacer.",
+    minuta: {
+      title: "Minuta ARAG Fija",
+      automatic: "Automático",
+      vat: "IVA ({rate}%)",
+      total: "Total a Facturar",
+      template: "Plantilla PDF v2.4",
+      autoSignature: "Firma Digital Auto",
+      sentTo: "Envío a",
+      generate: "Generar y Enviar",
+      generating: "Generando minuta ARAG...",
+      generated: "Minuta generada",
+      generatedNumber: "Minuta {number} generada",
+    },
+    smtpSkipped: "{label}. SMTP no configurado - email no enviado.",
+    suplido: {
+      title: "Suplidos por Desplazamiento",
+      subtitle: "Módulo Judicial",
+      district: "Partido Judicial (Destino)",
+      selectDistrict: "Seleccionar destino...",
+      amount: "Importe Calc.",
+      includeSignature: "Incluir Firma Digital",
+      generate: "Generar Suplido",
+      districtRequired: "Selecciona un partido judicial",
+      generating: "Generando suplido...",
+      generated: "Suplido generado: {amount}",
+    },
+    timeline: {
+      minuta: "Minuta Generada",
+      rectificativa: "Minuta Rectificativa Generada",
+      suplido: "Suplido Generado",
+      document: "Documento Generado",
+      emailSent: "Email Enviado",
+      stateChange: "Cambio de estado a {state}",
+      created: "Expediente Creado",
+      user: "Usuario: {user}",
+      emailBounced: "Email Devuelto",
+    },
+    superseded: "Sustituida",
+    paymentStatus: {
+      PAGADO: "Cobrado",
+      PARCIAL: "Cobro parcial",
+      VENCIDO: "Impagado",
+      PENDIENTE: "Pendiente de cobro",
+    },
+    paymentMethods: {
+      TRANSFERENCIA: "Transferencia",
+      CHEQUE: "Cheque",
+      EFECTIVO: "Efectivo",
+      TARJETA: "Tarjeta",
+      OTRO: "Otro",
+    },
+    judicialDatePrompt: "Fecha de paso a judicial (YYYY-MM-DD):",
+    judicialChanging: "Cambiando estado a judicial...",
+    judicialChanged: "Estado cambiado a Judicial",
+    cannotReopen: "No se puede volver de Judicial a Abierto",
+    downloading: "Descargando documento...",
+    downloadError: "Error al descargar: {message}",
+    retrying: "Reintentando...",
+    retryingEmail: "Reintentando envío de email...",
+    resendError: "Error al reenviar: {message}",
+    rectify: {
+      action: "Rectificar",
+      title: "Rectificar Minuta",
+      subtitle: "Se emitirá una factura rectificativa que sustituye a la minuta",
+      reason: "Motivo de la rectificación",
+      reasonPlaceholder: "Ej.: Error en el importe de los honorarios",
+      submit: "Emitir Rectificativa",
+      reasonRequired: "Indique el motivo de la rectificación",
+      issued: "Factura rectificativa {number} emitida",
+    },
+    payment: {
+      action: "Registrar cobro",
+      title: "Registrar Cobro",
+      outstanding: "Pendiente: {amount}",
+      amount: "Importe (€)",
+      date: "Fecha de cobro",
+      method: "Forma de pago",
+      referencePlaceholder: "Ej.: concepto de la transferencia",
+      amountRequired: "El importe debe ser mayor que cero",
+      recorded: "Cobro de {amount} registrado",
+    },
+    emailQueued: "{label}. Email en cola de envío.",
+    emailRequeued: "Email añadido de nuevo a la cola de envío",
+  },
+
+  // Signature verification
+  signatures: {
+    status: {
+      VALIDA: "Firma válida",
+      MODIFICADA: "Documento modificado tras la firma",
+      NO_CONFIABLE: "Firma correcta, certificado no confiable",
+      NO_VALIDA: "Firma no válida",
+    },
+    problems: {
+      MALFORMED: "La firma está dañada o no se puede leer",
+      UNSUPPORTED: "Formato o algoritmo de firma no soportado",
+      DIGEST_MISMATCH: "El contenido firmado no coincide con la huella de la firma",
+      SIGNATURE_INVALID: "La firma no corresponde al certificado del firmante",
+      SIGNER_NOT_FOUND: "La firma no incluye el certificado del firmante",
+      MODIFIED_AFTER_SIGNING: "El PDF tiene cambios añadidos después de la firma",
+      CHAIN_UNTRUSTED: "El certificado no procede de una autoridad raíz de confianza",
+      CERTIFICATE_NOT_VALID_AT_SIGNING: "El certificado no estaba vigente en el momento de la firma",
+      TIMESTAMP_INVALID: "El sello de tiempo no es válido o no corresponde a la firma",
+    },
+    signer: "Firmante",
+    organization: "Organización",
+    issuer: "Emisor",
+    signingTime: "Fecha de firma",
+    reason: "Motivo",
+    location: "Lugar",
+    notSigned: "El documento no contiene firmas digitales.",
+    noTrustedRoots: "No hay certificados raíz de confianza configurados: revise la ruta en Configuración.",
+    timestamp: "Sello de tiempo",
+    validationData: "Incluye datos de validación a largo plazo: {certificates} certificados y {crls} listas de revocación.",
+  },
+
+  // Client's signing page (public link)
+  clientSignature: {
+    title: "Firma de la hoja de encargo",
+    intro: "{name}, revise la hoja de encargo del expediente {reference} y fírmela al final de esta página.",
+    openDocument: "Abrir el documento en otra pestaña",
+    expires: "El enlace caduca el {date}",
+    draw: "Dibujar",
+    type: "Escribir",
+    drawHint: "Firme con el ratón o con el dedo en el recuadro",
+    clear: "Borrar",
+    typedPlaceholder: "Nombre y apellidos",
+    accept: "He leído y acepto la hoja de encargo",
+    evidenceNotice: "Como prueba de la firma se registrarán la fecha y hora, la dirección IP, el navegador y la huella (SHA-256) del documento. El despacho sellará el documento firmado con su certificado.",
+    submit: "Firmar documento",
+    signing: "Firmando...",
+    drawRequired: "Dibuje su firma en el recuadro.",
+    typedRequired: "Escriba su nombre completo.",
+    acceptRequired: "Confirme que ha leído y acepta la hoja de encargo.",
+    signedTitle: "Documento firmado",
+    signedText: "Gracias. La hoja de encargo quedó firmada el {date}. El despacho le hará llegar una copia.",
+    unavailable: "Enlace no disponible",
+  },
+
+  // Outgoing email queue (configuration screen)
+  emailOutbox: {
+    title: "Cola de envío de emails",
+    help: "Los emails se envían en segundo plano. Si el servidor de correo falla, se reintentan cada vez más espaciados; tras el último intento quedan como fallidos.",
+    refresh: "Actualizar",
+    all: "Todos",
+    status: {
+      PENDING: "Pendiente",
+      SENDING: "Enviando",
+      SENT: "Enviado",
+      DEAD_LETTER: "Fallido",
+      CANCELLED: "Cancelado",
+    },
+    columns: {
+      created: "Fecha",
+      case: "Expediente",
+      email: "Email",
+      status: "Estado",
+    },
+    attempts: "{attempts}/{max} intentos",
+    nextAttempt: "Próximo intento: {date}",
+    empty: "No hay emails en la cola",
+    sendNow: "Enviar ahora",
+    retry: "Reintentar",
+    cancel: "Cancelar",
+    confirmCancel: "¿Quitar este email de la cola de envío?",
+    retried: "Email en cola de envío",
+    cancelled: "Email cancelado",
+    loadError: "Error al cargar la cola de envío",
+  },
+
+  // Inbound emails and the unassigned inbox
+  inbox: {
+    title: "Bandeja de Entrada",
+    subtitle: "Emails recibidos que no se han podido asignar a un expediente.",
+    fetch: "Comprobar correo",
+    fetching: "Comprobando...",
+    fetched: "{imported} emails importados ({assigned} guardados en su expediente, {unassigned} sin asignar)",
+    fetchedWithErrors: "{imported} emails importados; {failed} no se han podido leer y se reintentarán",
+    nothingNew: "No hay emails nuevos",
+    loadError: "Error al cargar la bandeja de entrada",
+    status: {
+      UNASSIGNED: "Sin asignar",
+      ASSIGNED: "Asignados",
+      DISCARDED: "Descartados",
+    },
+    empty: {
+      UNASSIGNED: "No hay emails sin asignar",
+      ASSIGNED: "No hay emails asignados",
+      DISCARDED: "No hay emails descartados",
+    },
+    emptyHint: "Los emails con la referencia de un expediente en el asunto se guardan en él automáticamente.",
+    columns: {
+      received: "Recibido",
+      from: "Remitente",
+      subject: "Asunto",
+      reason: "Motivo",
+      case: "Expediente",
+    },
+    reason: {
+      NO_REFERENCE: "Sin referencia en el asunto",
+      UNKNOWN_REFERENCE: "Referencia desconocida",
+      AMBIGUOUS: "Varios expedientes",
+      CASE_ARCHIVED: "Expediente archivado",
+    },
+    matchMethod: {
+      AUTO: "Por referencia",
+      MANUAL: "Manual",
+    },
+    noSubject: "(sin asunto)",
+    attachments: {
+      one: "{count} adjunto",
+      other: "{count} adjuntos",
+    },
+    assign: "Asignar",
+    discard: "Descartar",
+    confirmDiscard: "¿Descartar este email? Podrá asignarlo más tarde desde «Descartados».",
+    discarded: "Email descartado",
+    assigned: "Email guardado en el expediente {reference}",
+    caseSearch: "Expediente",
+    caseSearchPlaceholder: "Buscar por referencia o cliente",
+    noCases: "No hay expedientes abiertos que coincidan",
+    assignHelp: "El email (.eml) y sus adjuntos se guardan como documentos de correspondencia del expediente.",
+  },
+
+  // API errors by code. es.js only needs the generic codes (the server already answers
+  // in Spanish); en.js also translates the specific messageCode of errorMessages.js.
+  errors: {
+    UNKNOWN: "Ha ocurrido un error inesperado. Por favor, inténtelo de nuevo.",
+    HTTP_ERROR: "El servidor ha devuelto un error. Por favor, inténtelo de nuevo.",
+    SESSION_EXPIRED: "Sesión expirada. Por favor, recargue la página.",
+    NETWORK_ERROR: "Error de conexión con el servidor",
+    VALIDATION_ERROR: "Los datos introducidos no son válidos.",
+    NOT_FOUND: "No se encontró el recurso solicitado.",
+    CONFLICT_ERROR: "La operación entra en conflicto con los datos existentes.",
+    DATABASE_ERROR: "Ha ocurrido un error en la base de datos. Por favor, inténtelo de nuevo.",
+    AUTHENTICATION_ERROR: "Su sesión ha caducado o no es válida. Por favor, inicie sesión de nuevo.",
+    AUTHORIZATION_ERROR: "No tiene permisos para realizar esta acción.",
+    FORBIDDEN: "No tiene permisos para realizar esta acción.",
+    INVALID_CASE_TYPE: "El tipo de expediente no es válido para esta operación.",
+    CASE_ARCHIVED: "El expediente está archivado y no se puede modificar.",
+    UPLOAD_ERROR: "No se pudo subir el archivo.",
+    FILE_TOO_LARGE: "El archivo supera el tamaño máximo permitido.",
+    INVALID_FILE_TYPE: "Tipo de archivo no permitido.",
+    DELETE_ERROR: "No se pudo eliminar el registro.",
+    SMTP_NOT_CONFIGURED: "El servidor de correo no está configurado. Revise la configuración SMTP.",
+    SMTP_ERROR: "No se pudo enviar el email.",
+    DB_CONSTRAINT: "La operación viola una restricción de los datos.",
+    DB_BUSY: "La base de datos está ocupada. Por favor, espere unos segundos e inténtelo de nuevo.",
+    SERVER_ERROR: "Ha ocurrido un error interno del servidor. Por favor, inténtelo más tarde.",
+  },
+};
@@ -1,3 +1,5 @@
+import { t } from "./i18n.js";
+
 /**
  * SPA Router - Hash-based routing
  * Task 7.2 - Requirements: 5.1, 6.1
@@ -54,7 +56,7 @@ class Router {
       try {
         // Show loading state
         if (this.container) {
-          this.container.innerHTML = '<div class="loading">Cargando...</div>';
+          this.container.innerHTML = `<div class="loading">${t("common.loading")}</div>`;
         }
 
         // Execute route handler
@@ -64,7 +66,7 @@ class Router {
         if (this.container) {
           this.container.innerHTML = `
             <div class="empty-state">
-              <p>Error al cargar la página</p>
+              <p>${t("app.pageLoadError")}</p>
               <p>${error.message}</p>
             </div>
           `;
@@ -75,9 +77,9 @@ class Router {
       if (this.container) {
         this.container.innerHTML = `
           <div class="empty-state">
-            <h2>Página no encontrada</h2>
-            <p>La ruta "${hash}" no existe.</p>
-            <a href="#/" class="btn btn-secondary">Volver al Dashboard</a>
+            <h2>${t("app.pageNotFound")}</h2>
+            <p>${t("app.routeNotFound", { route: hash })}</p>
+            <a href="#/" class="btn btn-secondary">${t("app.backToDashboard")}</a>
           </div>
         `;
       }
@@ -1,9 +1,12 @@
 /**
  * Theme Manager
  * Handles dark/light theme toggle with localStorage persistence
- * and OS preference detection.
+ * and OS preference detection, and the interface language switcher
+ * next to it.
  */
 
+import { LOCALES, getLocale, getCatalogue, setLocale, translateDocument } from "./i18n.js";
+
 const STORAGE_KEY = "recordplus-theme";
 
 class ThemeManager {
@@ -65,4 +68,28 @@ class ThemeManager {
   }
 }
 
+/**
+ * Locale switcher (sidebar button next to the theme toggle)
+ * Cycles through the available locales; the choice is stored by i18n.js.
+ */
+class LocaleManager {
+  init() {
+    document.documentElement.lang = getLocale();
+    translateDocument();
+    this.updateToggleLabel();
+  }
+
+  toggle() {
+    const next = LOCALES[(LOCALES.indexOf(getLocale()) + 1) % LOCALES.length];
+    setLocale(next);
+    this.updateToggleLabel();
+  }
+
+  updateToggleLabel() {
+    const label = document.querySelector("#locale-toggle .locale-label");
+    if (label) label.textContent = getCatalogue(getLocale()).localeName;
+  }
+}
+
 export const themeManager = new ThemeManager();
+export const localeManager = new LocaleManager();
@@ -18,6 +18,18 @@ const EXPECTED_TABLES = [
   "email_history",
   "configuration",
   "reference_counters",
+  "audit_log",
+  "invoices",
+  "payments",
+  "bank_imports",
+  "bank_transactions",
+  "deadlines",
+  "hearings",
+  "time_entries",
+  "provision_movements",
+  "document_templates",
+  "document_versions",
+  "email_templates",
 ];
 
 // Dangerous keywords that should be blocked
@@ -37,6 +37,7 @@ describe("ARAG Integration Tests", () => {
       arag_base_fee: "203",
       vat_rate: "21",
       arag_email: "test@arag.es",
+      invoice_series: "TAI",
       documents_path: testDocsPath,
       mileage_torrox: "45.50",
       mileage_marbella: "75.00",
@@ -48,6 +49,8 @@ describe("ARAG Integration Tests", () => {
     // Cleanup test data
     execute("DELETE FROM email_history WHERE case_id = ?", [testCaseId]);
     execute("DELETE FROM document_history WHERE case_id = ?", [testCaseId]);
+    execute("DELETE FROM invoices WHERE series = ?", ["TAI"]);
+    execute("DELETE FROM reference_counters WHERE type LIKE ?", ["INVOICE_TAI_%"]);
     execute("DELETE FROM cases WHERE id = ?", [testCaseId]);
   });
 
@@ -0,0 +1,139 @@
+/**
+ * Audit Service Tests
+ * Field-level diffs and the audit trail written by case mutations
+ */
+import { describe, it, expect, afterAll } from "vitest";
+import fc from "fast-check";
+import { diffCases, getByCaseId, AUDIT_ACTIONS } from "../services/auditService.js";
+import {
+  create,
+  update,
+  archive,
+  finalizeTurno,
+  reopenTurno,
+  deleteCase,
+  CASE_TYPES,
+} from "../services/caseService.js";
+import { ConflictError } from "../errors.js";
+import { execute } from "../database.js";
+
+const CLIENT_PREFIX = "Test Audit";
+const actor = { id: 999999, username: "test_audit_user" };
+
+describe("Audit Service", () => {
+  const caseIds = [];
+
+  afterAll(() => {
+    for (const id of caseIds) {
+      deleteCase(id);
+      execute("DELETE FROM audit_log WHERE case_id = ?", [id]);
+    }
+  });
+
+  describe("diffCases", () => {
+    it("should report exactly the changed fields", () => {
+      fc.assert(
+        fc.property(
+          fc.dictionary(fc.constantFrom("a", "b", "c", "d"), fc.oneof(fc.string(), fc.integer())),
+          fc.dictionary(fc.constantFrom("a", "b", "c", "d"), fc.oneof(fc.string(), fc.integer())),
+          (before, after) => {
+            const diff = diffCases(before, after);
+            for (const key of ["a", "b", "c", "d"]) {
+              const oldValue = before[key] ?? null;
+              const newValue = after[key] ?? null;
+              if (oldValue === newValue) {
+                expect(diff).not.toHaveProperty(key);
+              } else {
+                expect(diff[key]).toEqual({ before: oldValue, after: newValue });
+              }
+            }
+          }
+        ),
+        { numRuns: 50 }
+      );
+    });
+
+    it("should ignore bookkeeping fields", () => {
+      const diff = diffCases(
+        { version: 1, updatedAt: "2024-01-01", observations: "" },
+        { version: 2, updatedAt: "2024-01-02", observations: "" }
+      );
+      expect(diff).toEqual({});
+    });
+  });
+
+  describe("case mutations", () => {
+    it("should record creation and updates with the actor and a gap-free version sequence", () => {
+      const created = create(
+        { type: CASE_TYPES.PARTICULAR, clientName: `${CLIENT_PREFIX} Uno` },
+        actor
+      );
+      caseIds.push(created.id);
+
+      update(created.id, { observations: "Primera nota" }, created.version, actor);
+      update(created.id, { clientName: `${CLIENT_PREFIX} Dos` }, null, actor);
+      archive(created.id, "2024-06-30", actor);
+
+      const trail = getByCaseId(created.id);
+      expect(trail.map((e) => e.action)).toEqual([
+        AUDIT_ACTIONS.ARCHIVE,
+        AUDIT_ACTIONS.UPDATE,
+        AUDIT_ACTIONS.UPDATE,
+        AUDIT_ACTIONS.CREATE,
+      ]);
+      expect(trail.map((e) => e.caseVersion)).toEqual([4, 3, 2, 1]);
+      expect(trail.every((e) => e.actor?.username === actor.username)).toBe(true);
+
+      expect(trail[0].changes).toEqual({
+        state: { before: "ABIERTO", after: "ARCHIVADO" },
+        closureDate: { before: null, after: "2024-06-30" },
+      });
+      expect(trail[1].changes).toEqual({
+        clientName: { before: `${CLIENT_PREFIX} Uno`, after: `${CLIENT_PREFIX} Dos` },
+      });
+      expect(trail[3].changes.clientName).toEqual({
+        before: null,
+        after: `${CLIENT_PREFIX} Uno`,
+      });
+    });
+
+    it("should not record anything when an update is rejected", () => {
+      const created = create({ type: CASE_TYPES.PARTICULAR, clientName: `${CLIENT_PREFIX} Tres` });
+      caseIds.push(created.id);
+
+      expect(() => update(created.id, { observations: "x" }, created.version + 5)).toThrow(
+        ConflictError
+      );
+
+      const trail = getByCaseId(created.id);
+      expect(trail).toHaveLength(1);
+      expect(trail[0].actor).toBeNull();
+    });
+
+    it("should record turno finalize/reopen and keep the trail after deletion", () => {
+      const created = create({
+        type: CASE_TYPES.TURNO_OFICIO,
+        clientName: `${CLIENT_PREFIX} Turno`,
+        designation: "TEST-AUDIT-001",
+      });
+      caseIds.push(created.id);
+
+      finalizeTurno(created.id, actor);
+      reopenTurno(created.id, actor);
+      expect(deleteCase(created.id, actor)).toBe(true);
+
+      const trail = getByCaseId(created.id);
+      expect(trail.map((e) => e.action)).toEqual([
+        AUDIT_ACTIONS.DELETE,
+        AUDIT_ACTIONS.REOPEN,
+        AUDIT_ACTIONS.FINALIZE,
+        AUDIT_ACTIONS.CREATE,
+      ]);
+      expect(trail[0].caseVersion).toBe(4);
+      expect(trail[0].changes.designation).toEqual({
+        before: "TEST-AUDIT-001",
+        after: null,
+      });
+    });
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Auth Service Tests
+ * Password hashing, login/session lifecycle, role validation and middleware
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import fc from "fast-check";
+import {
+  hashPassword,
+  verifyPassword,
+  createUser,
+  updateUser,
+  login,
+  logout,
+  getSessionUser,
+  ensureInitialAdmin,
+  createCalendarToken,
+  revokeCalendarToken,
+  getCalendarTokenUser,
+  USER_ROLES,
+} from "../services/authService.js";
+import { requireAuth, requireRole, getRequestToken, canViewDeleted } from "../middleware/auth.js";
+import {
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+  AuthenticationError,
+  AuthorizationError,
+} from "../errors.js";
+import { execute, query } from "../database.js";
+
+const PREFIX = "test_auth_";
+
+describe("Auth Service", () => {
+  beforeAll(() => {
+    execute("DELETE FROM users WHERE username LIKE ?", [`${PREFIX}%`]);
+  });
+
+  afterAll(() => {
+    execute("DELETE FROM users WHERE username LIKE ?", [`${PREFIX}%`]);
+  });
+
+  describe("Password hashing", () => {
+    it("should verify the original password and reject others", () => {
+      fc.assert(
+        fc.property(
+          fc.string({ minLength: 1, maxLength: 30 }),
+          fc.string({ minLength: 1, maxLength: 30 }),
+          (password, other) => {
+            const stored = hashPassword(password);
+            expect(verifyPassword(password, stored)).toBe(true);
+            if (other !== password) {
+              expect(verifyPassword(other, stored)).toBe(false);
+            }
+          }
+        ),
+        { numRuns: 20 }
+      );
+    });
+
+    it("should salt hashes so equal passwords produce different hashes", () => {
+      expect(hashPassword("secreto123")).not.toBe(hashPassword("secreto123"));
+    });
+
+    it("should reject malformed stored hashes", () => {
+      expect(verifyPassword("x", "")).toBe(false);
+      expect(verifyPassword("x", "md5$abc$def")).toBe(false);
+      expect(verifyPassword(undefined, hashPassword("x"))).toBe(false);
+    });
+  });
+
+  describe("createUser", () => {
+    it("should create a user without exposing the password hash", () => {
+      const user = createUser({
+        username: `${PREFIX}ana`,
+        password: "contraseña-segura",
+        fullName: "Ana Pérez",
+        role: USER_ROLES.ABOGADO,
+      });
+
+      expect(user.username).toBe(`${PREFIX}ana`);
+      expect(user.role).toBe("abogado");
+      expect(user.active).toBe(true);
+      expect(user).not.toHaveProperty("password_hash");
+      expect(user).not.toHaveProperty("passwordHash");
+    });
+
+    it("should reject duplicate usernames (case-insensitive)", () => {
+      expect(() =>
+        createUser({ username: `${PREFIX}ANA`, password: "otra-clave-123" })
+      ).toThrow(ConflictError);
+    });
+
+    it("should reject short passwords and invalid roles", () => {
+      expect(() =>
+        createUser({ username: `${PREFIX}short`, password: "123" })
+      ).toThrow(ValidationError);
+      expect(() =>
+        createUser({
+          username: `${PREFIX}badrole`,
+          password: "contraseña-segura",
+          role: "superuser",
+        })
+      ).toThrow(ValidationError);
+    });
+  });
+
+  describe("login / session", () => {
+    it("should open a session that resolves to the user and close it on logout", () => {
+      const { token, user } = login(`${PREFIX}ana`, "contraseña-segura");
+      expect(token).toMatch(/^[0-9a-f]{64}$/);
+
+      const sessionUser = getSessionUser(token);
+      expect(sessionUser.id).toBe(user.id);
+
+      // Only the hash is stored
+      const stored = query("SELECT token_hash FROM sessions WHERE user_id = ?", [user.id]);
+      expect(stored.map((s) => s.token_hash)).not.toContain(token);
+
+      expect(logout(token)).toBe(true);
+      expect(getSessionUser(token)).toBeNull();
+    });
+
+    it("should reject wrong credentials with AuthenticationError", () => {
+      expect(() => login(`${PREFIX}ana`, "incorrecta")).toThrow(AuthenticationError);
+      expect(() => login(`${PREFIX}nadie`, "contraseña-segura")).toThrow(
+        AuthenticationError
+      );
+    });
+
+    it("should treat expired sessions as invalid", () => {
+      const { token, user } = login(`${PREFIX}ana`, "contraseña-segura");
+      execute("UPDATE sessions SET expires_at = ? WHERE user_id = ?", [
+        "2000-01-01T00:00:00.000Z",
+        user.id,
+      ]);
+      expect(getSessionUser(token)).toBeNull();
+    });
+
+    it("should revoke sessions when the user is deactivated", () => {
+      const { token, user } = login(`${PREFIX}ana`, "contraseña-segura");
+      updateUser(user.id, { active: false });
+
+      expect(getSessionUser(token)).toBeNull();
+      expect(() => login(`${PREFIX}ana`, "contraseña-segura")).toThrow(
+        AuthenticationError
+      );
+
+      updateUser(user.id, { active: true });
+    });
+  });
+
+  describe("calendar feed token", () => {
+    it("should resolve the token to its user and invalidate it on rotation or revocation", () => {
+      const user = createUser({ username: `${PREFIX}cal`, password: "contraseña-segura" });
+
+      const first = createCalendarToken(user.id);
+      expect(first).toMatch(/^[0-9a-f]{48}$/);
+      expect(getCalendarTokenUser(first).id).toBe(user.id);
+      expect(getCalendarTokenUser(first).hasCalendarFeed).toBe(true);
+
+      const second = createCalendarToken(user.id);
+      expect(getCalendarTokenUser(first)).toBeNull();
+      expect(getCalendarTokenUser(second).id).toBe(user.id);
+
+      updateUser(user.id, { active: false });
+      expect(getCalendarTokenUser(second)).toBeNull();
+      updateUser(user.id, { active: true });
+
+      expect(revokeCalendarToken(user.id)).toBe(true);
+      expect(revokeCalendarToken(user.id)).toBe(false);
+      expect(getCalendarTokenUser(second)).toBeNull();
+      expect(getCalendarTokenUser(undefined)).toBeNull();
+      expect(() => createCalendarToken(999999999)).toThrow(NotFoundError);
+    });
+  });
+
+  describe("ensureInitialAdmin", () => {
+    it("should do nothing when users already exist", () => {
+      expect(
+        ensureInitialAdmin({ ADMIN_USERNAME: `${PREFIX}root`, ADMIN_PASSWORD: "x".repeat(12) })
+      ).toBeNull();
+    });
+  });
+
+  describe("middleware", () => {
+    function runMiddleware(mw, req) {
+      let error = null;
+      let called = false;
+      mw(req, {}, (err) => {
+        called = true;
+        error = err || null;
+      });
+      return { called, error };
+    }
+
+    it("should read the token from the Authorization header or cookie", () => {
+      expect(getRequestToken({ headers: { authorization: "Bearer abc" } })).toBe("abc");
+      expect(
+        getRequestToken({ headers: { cookie: "foo=1; rp_session=xyz" } })
+      ).toBe("xyz");
+      expect(getRequestToken({ headers: {} })).toBeNull();
+    });
+
+    it("requireAuth should set req.user for a valid session and reject otherwise", () => {
+      const { token } = login(`${PREFIX}ana`, "contraseña-segura");
+
+      const req = { headers: { authorization: `Bearer ${token}` } };
+      const ok = runMiddleware(requireAuth, req);
+      expect(ok.error).toBeNull();
+      expect(req.user.username).toBe(`${PREFIX}ana`);
+
+      const bad = runMiddleware(requireAuth, { headers: {} });
+      expect(bad.error).toBeInstanceOf(AuthenticationError);
+
+      // The cookie alone authenticates downloads, never changes (CSRF)
+      const cookie = `rp_session=${token}`;
+      expect(runMiddleware(requireAuth, { method: "GET", headers: { cookie } }).error).toBeNull();
+      const write = runMiddleware(requireAuth, { method: "POST", headers: { cookie } });
+      expect(write.error).toBeInstanceOf(AuthorizationError);
+      expect(write.error.messageCode).toBe("AUTH_BEARER_REQUIRED");
+      expect(
+        runMiddleware(requireAuth, { method: "DELETE", headers: { cookie, authorization: `Bearer ${token}` } }).error
+      ).toBeNull();
+
+      logout(token);
+    });
+
+    it("requireRole should only let listed roles through", () => {
+      const adminOnly = requireRole(USER_ROLES.ADMIN);
+
+      const asLawyer = runMiddleware(adminOnly, { user: { role: "abogado" } });
+      expect(asLawyer.error).toBeInstanceOf(AuthorizationError);
+
+      const asAdmin = runMiddleware(adminOnly, { user: { role: "admin" } });
+      expect(asAdmin.called).toBe(true);
+      expect(asAdmin.error).toBeNull();
+    });
+
+    it("canViewDeleted should only let admins preview the trash on request", () => {
+      expect(canViewDeleted({ query: { deleted: "1" }, user: { role: "admin" } })).toBe(true);
+      expect(canViewDeleted({ query: {}, user: { role: "admin" } })).toBe(false);
+      expect(canViewDeleted({ query: { deleted: "1" }, user: { role: "abogado" } })).toBe(false);
+    });
+  });
+});
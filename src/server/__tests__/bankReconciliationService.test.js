@@ -0,0 +1,227 @@
+/**
+ * Bank Reconciliation Service Tests
+ * Match proposals, statement import and payment confirmation
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { readFileSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import {
+  findAragReferences,
+  proposeMatches,
+  importStatement,
+  confirmTransaction,
+  dismissTransaction,
+  getTransaction,
+  MATCH_CONFIDENCE,
+  TRANSACTION_STATUS,
+} from "../services/bankReconciliationService.js";
+import { deletePayment, getByDocumentId } from "../services/paymentService.js";
+import { ConflictError, ValidationError } from "../errors.js";
+import { execute } from "../database.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const NORMA43_PATH = join(__dirname, "fixtures/extracto-norma43.n43");
+const FILENAME = "test-extracto-norma43.n43";
+
+describe("Bank Reconciliation Service", () => {
+  const caseIds = [];
+  const documentIds = {};
+
+  beforeAll(() => {
+    // Cases referenced by the fixture statement (DJ00999301, DJ00999302)
+    for (const [key, aragReference, amountDue] of [
+      ["full", "DJ00999301", 245.63],
+      ["partial", "DJ00999302", 245.63],
+      ["byAmount", "DJ00999303", 37.19],
+    ]) {
+      const caseResult = execute(
+        `INSERT INTO cases (type, state, client_name, internal_reference, arag_reference, entry_date)
+         VALUES ('ARAG', 'ABIERTO', ?, ?, ?, date('now'))`,
+        [`Reconciliation ${key}`, `IY99930${caseIds.length + 1}`, aragReference]
+      );
+      caseIds.push(caseResult.lastInsertRowid);
+
+      const docResult = execute(
+        `INSERT INTO document_history (case_id, document_type, file_path, generated_at, signed, amount_due)
+         VALUES (?, 'MINUTA', '/tmp/minuta.pdf', '2026-09-01 10:00:00', 1, ?)`,
+        [caseResult.lastInsertRowid, amountDue]
+      );
+      documentIds[key] = docResult.lastInsertRowid;
+    }
+  });
+
+  afterAll(() => {
+    execute("DELETE FROM bank_imports WHERE filename = ?", [FILENAME]);
+    for (const id of caseIds) {
+      execute("DELETE FROM document_history WHERE case_id = ?", [id]);
+      execute("DELETE FROM cases WHERE id = ?", [id]);
+    }
+  });
+
+  describe("proposeMatches", () => {
+    const candidates = [
+      { documentId: 1, aragReference: "DJ00000001", outstanding: 245.63 },
+      { documentId: 2, aragReference: "DJ00000002", outstanding: 245.63 },
+      { documentId: 3, aragReference: "DJ00000003", outstanding: 61.71 },
+    ];
+    const movement = (amount, concept) => ({ amount, concept, reference: "" });
+
+    it("should extract ARAG references even when spaced", () => {
+      expect(findAragReferences("ARAG dj00 000001 y DJ00000002")).toEqual([
+        "DJ00000001",
+        "DJ00000002",
+      ]);
+    });
+
+    it("should rank reference plus amount over reference over amount", () => {
+      const [exact, partial, byAmount, remainder] = proposeMatches(
+        [
+          movement(245.63, "ARAG DJ00000002"),
+          movement(100, "ARAG DJ00000001"),
+          movement(61.71, "TRANSFERENCIA"),
+          movement(145.63, "TRANSFERENCIA"),
+        ],
+        candidates
+      );
+
+      expect(exact).toMatchObject({ proposedDocumentId: 2, matchConfidence: MATCH_CONFIDENCE.HIGH });
+      expect(partial).toMatchObject({
+        proposedDocumentId: 1,
+        matchConfidence: MATCH_CONFIDENCE.MEDIUM,
+      });
+      expect(byAmount).toMatchObject({ proposedDocumentId: 3, matchConfidence: MATCH_CONFIDENCE.LOW });
+      // After the partial payment, 145.63 is exactly what document 1 still owes
+      expect(remainder.proposedDocumentId).toBe(1);
+    });
+
+    it("should not propose a remittance larger than each referenced balance", () => {
+      // 245.63 + 61.71: it pays both minutas and has to be split
+      const [result] = proposeMatches([movement(307.34, "ARAG DJ00000001 DJ00000003")], candidates);
+      expect(result).toMatchObject({ proposedDocumentId: null, matchConfidence: null });
+    });
+
+    it("should not propose an amount shared by several documents", () => {
+      const [result] = proposeMatches([movement(245.63, "TRANSFERENCIA")], candidates);
+      expect(result.proposedDocumentId).toBeNull();
+    });
+
+    it("should not propose the same document twice once its balance is covered", () => {
+      const results = proposeMatches(
+        [movement(61.71, "DJ00000003"), movement(61.71, "DJ00000003")],
+        candidates
+      );
+      expect(results.map((r) => r.proposedDocumentId)).toEqual([3, null]);
+    });
+  });
+
+  describe("importStatement", () => {
+    let imported;
+
+    it("should import only incoming transfers with proposed matches", () => {
+      imported = importStatement(readFileSync(NORMA43_PATH), FILENAME);
+
+      expect(imported.import.format).toBe("NORMA43");
+      expect(imported.import.transactionCount).toBe(3);
+      expect(imported.transactions.every((tx) => tx.amount > 0)).toBe(true);
+
+      const byAmount = new Map(imported.transactions.map((tx) => [tx.amount, tx]));
+      expect(byAmount.get(245.63)).toMatchObject({
+        proposedDocumentId: documentIds.full,
+        matchConfidence: MATCH_CONFIDENCE.HIGH,
+      });
+      expect(byAmount.get(100)).toMatchObject({
+        proposedDocumentId: documentIds.partial,
+        matchConfidence: MATCH_CONFIDENCE.MEDIUM,
+      });
+      expect(byAmount.get(37.19).proposedDocumentId).toBe(documentIds.byAmount);
+    });
+
+    it("should skip movements already imported", () => {
+      const again = importStatement(readFileSync(NORMA43_PATH), FILENAME);
+      expect(again.import.transactionCount).toBe(0);
+      expect(again.import.duplicateCount).toBe(3);
+    });
+
+    it("should record a payment when a match is confirmed", () => {
+      const tx = imported.transactions.find((t) => t.amount === 100);
+
+      const confirmed = confirmTransaction(tx.id, tx.proposedDocumentId);
+      expect(confirmed.status).toBe(TRANSACTION_STATUS.CONFIRMED);
+      expect(confirmed.payments).toMatchObject([{ documentId: documentIds.partial, amount: 100 }]);
+      expect(confirmed.remainingAmount).toBe(0);
+
+      const balance = getByDocumentId(documentIds.partial);
+      expect(balance.paidAmount).toBe(100);
+      expect(balance.payments[0]).toMatchObject({
+        paymentDate: "2026-09-20",
+        method: "TRANSFERENCIA",
+      });
+
+      expect(() => confirmTransaction(tx.id, tx.proposedDocumentId)).toThrow(ConflictError);
+    });
+
+    it("should refuse a transfer larger than the outstanding balance", () => {
+      const tx = imported.transactions.find((t) => t.amount === 245.63);
+
+      expect(() => confirmTransaction(tx.id, documentIds.partial)).toThrow(
+        expect.objectContaining({ messageCode: "BANK_TRANSACTION_EXCEEDS_OUTSTANDING" })
+      );
+      expect(() => confirmTransaction(tx.id, documentIds.partial)).toThrow(ConflictError);
+      expect(getByDocumentId(documentIds.partial).paidAmount).toBe(100);
+    });
+
+    it("should split a remittance across several documents", () => {
+      const tx = imported.transactions.find((t) => t.amount === 245.63);
+      const confirmSplit = (allocations) => () => confirmTransaction(tx.id, allocations);
+
+      expect(confirmSplit([{ documentId: documentIds.partial, amount: 145.63 }])).toThrow(
+        expect.objectContaining({ messageCode: "BANK_TRANSACTION_ALLOCATION_MISMATCH" })
+      );
+      expect(
+        confirmSplit([
+          { documentId: documentIds.partial, amount: 145.63 },
+          { documentId: documentIds.partial, amount: 100 },
+        ])
+      ).toThrow(expect.objectContaining({ messageCode: "BANK_TRANSACTION_ALLOCATION_INVALID" }));
+      expect(getByDocumentId(documentIds.partial).paidAmount).toBe(100);
+
+      const confirmed = confirmSplit([
+        { documentId: documentIds.partial, amount: 145.63 },
+        { documentId: documentIds.full, amount: 100 },
+      ])();
+      expect(confirmed.status).toBe(TRANSACTION_STATUS.CONFIRMED);
+      expect(confirmed.payments.map((p) => [p.documentId, p.amount])).toEqual([
+        [documentIds.partial, 145.63],
+        [documentIds.full, 100],
+      ]);
+      expect(getByDocumentId(documentIds.partial).outstanding).toBe(0);
+      expect(getByDocumentId(documentIds.full).outstanding).toBe(145.63);
+    });
+
+    it("should return a transfer to pending when one of its payments is deleted", () => {
+      const tx = imported.transactions.find((t) => t.amount === 245.63);
+      const [payment] = getTransaction(tx.id).payments;
+      deletePayment(payment.id);
+
+      const pending = getTransaction(tx.id);
+      expect(pending).toMatchObject({ status: TRANSACTION_STATUS.PENDING, remainingAmount: 145.63 });
+      expect(pending.payments).toHaveLength(1);
+
+      // Only the amount of the deleted payment is assigned again
+      expect(confirmTransaction(tx.id, documentIds.partial)).toMatchObject({
+        status: TRANSACTION_STATUS.CONFIRMED,
+        remainingAmount: 0,
+      });
+      expect(getByDocumentId(documentIds.full).paidAmount).toBe(100);
+    });
+
+    it("should require a document and allow dismissing unrelated transfers", () => {
+      const tx = imported.transactions.find((t) => t.amount === 37.19);
+      expect(() => confirmTransaction(tx.id, null)).toThrow(ValidationError);
+
+      expect(dismissTransaction(tx.id).status).toBe(TRANSACTION_STATUS.DISMISSED);
+      expect(getByDocumentId(documentIds.byAmount).payments).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Bank Statement Parser Tests
+ * AEB Norma 43 and generic CSV statements
+ */
+import { describe, it, expect } from "vitest";
+import fc from "fast-check";
+import { readFileSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import {
+  parseStatement,
+  parseAmount,
+  parseCsvDate,
+  STATEMENT_FORMATS,
+} from "../services/bankStatementParser.js";
+import { ValidationError } from "../errors.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const NORMA43_PATH = join(__dirname, "fixtures/extracto-norma43.n43");
+
+describe("Bank Statement Parser", () => {
+  describe("Norma 43", () => {
+    it("should parse movements, signs and concept records from a latin1 file", () => {
+      const statement = parseStatement(readFileSync(NORMA43_PATH));
+
+      expect(statement.format).toBe(STATEMENT_FORMATS.NORMA43);
+      expect(statement.account).toBe("2100-1234-0200123456");
+      expect(statement.movements.map((m) => m.amount)).toEqual([245.63, -50, 100, 37.19]);
+
+      const [first, , third, fourth] = statement.movements;
+      expect(first.operationDate).toBe("2026-09-15");
+      expect(first.concept).toBe("TRANSF ARAG SE DJ00999301 MINUTA");
+      expect(first.reference).toBe("ARAG REMESA 09");
+      expect(third.concept).toBe("ARAG DJ00 999302 PAGO PARCIAL");
+      expect(fourth.concept).toBe("TRANSFERENCIA PEÑA MARTIN");
+    });
+
+    it("should reject unknown record types with the line number", () => {
+      const text = readFileSync(NORMA43_PATH, "latin1").replace(/^23/m, "99");
+      expect(() => parseStatement(text)).toThrow(/Línea 3/);
+    });
+  });
+
+  describe("CSV", () => {
+    it("should parse a semicolon CSV with Spanish amounts and dates", () => {
+      const csv = [
+        "Fecha;Fecha valor;Concepto;Importe (€);Saldo",
+        '15/09/2026;15/09/2026;"TRANSF ARAG; DJ00999301";1.245,63;3.000,00',
+        "16/09/2026;16/09/2026;RECIBO LUZ;-50,00;2.950,00",
+      ].join("\n");
+
+      const { format, movements } = parseStatement(Buffer.from(`\uFEFF${csv}`, "utf8"));
+
+      expect(format).toBe(STATEMENT_FORMATS.CSV);
+      expect(movements).toHaveLength(2);
+      expect(movements[0]).toMatchObject({
+        operationDate: "2026-09-15",
+        amount: 1245.63,
+        concept: "TRANSF ARAG; DJ00999301",
+      });
+      expect(movements[1].amount).toBe(-50);
+    });
+
+    it("should combine separate credit and debit columns", () => {
+      const csv = [
+        "Date,Description,Debit,Credit",
+        "2026-09-15,ARAG DJ00999301,,245.63",
+        "2026-09-16,Electricity,50.00,",
+      ].join("\n");
+
+      const amounts = parseStatement(csv).movements.map((m) => m.amount);
+      expect(amounts).toEqual([245.63, -50]);
+    });
+
+    it("should report missing columns and malformed rows", () => {
+      expect(() => parseStatement("Fecha;Saldo\n15/09/2026;10")).toThrow(ValidationError);
+      expect(() => parseStatement("Fecha;Concepto;Importe\n31/02/2026;X;10")).toThrow(/Línea 2/);
+      expect(() => parseStatement("")).toThrow(ValidationError);
+      expect(() => parseStatement("sin formato")).toThrow(ValidationError);
+    });
+  });
+
+  describe("parseAmount", () => {
+    it("should read Spanish and English notation of the same amount alike", () => {
+      fc.assert(
+        fc.property(fc.integer({ min: -100000000, max: 100000000 }), (cents) => {
+          const value = cents / 100;
+          const es = new Intl.NumberFormat("es-ES", {
+            minimumFractionDigits: 2,
+            useGrouping: "always",
+          }).format(value);
+          const en = new Intl.NumberFormat("en-US", { minimumFractionDigits: 2 }).format(value);
+          expect(parseAmount(es)).toBe(value);
+          expect(parseAmount(en)).toBe(value);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it("should treat a lone dot group of three digits as thousands", () => {
+      expect(parseAmount("1.234")).toBe(1234);
+      expect(parseAmount("12.5")).toBe(12.5);
+      expect(parseAmount("abc")).toBeNull();
+    });
+  });
+
+  describe("parseCsvDate", () => {
+    it("should accept common bank date formats and reject impossible dates", () => {
+      expect(parseCsvDate("05/09/2026")).toBe("2026-09-05");
+      expect(parseCsvDate("5-9-26")).toBe("2026-09-05");
+      expect(parseCsvDate("2026-09-05")).toBe("2026-09-05");
+      expect(parseCsvDate("30/02/2026")).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Case Document Service Tests
+ * Uploads to any case type: accepted formats, categories, tags, filters, deletion and restore
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync, mkdirSync, rmSync, writeFileSync } from "fs";
+import { join } from "path";
+import {
+  deleteDocument,
+  getFile,
+  getStoredFileName,
+  getVersionFile,
+  isAllowedFile,
+  listByCase,
+  listTags,
+  normalizeTags,
+  restoreDocument,
+  updateMetadata,
+  upload,
+} from "../services/caseDocumentService.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { execute } from "../database.js";
+
+const TEST_DOCS_PATH = "./data/documents/test-case-documents";
+
+/**
+ * Write a file as multer would have stored it
+ * @param {string} name - File name
+ * @returns {Object} { path, originalName, size }
+ */
+function storedFile(name) {
+  const path = join(TEST_DOCS_PATH, getStoredFileName(name));
+  writeFileSync(path, `contenido de ${name}`);
+  return { path, originalName: name, size: 20 };
+}
+
+describe("Case Document Service", () => {
+  let aragCaseId;
+  let particularCaseId;
+  let archivedCaseId;
+  let generatedId;
+
+  beforeAll(() => {
+    mkdirSync(TEST_DOCS_PATH, { recursive: true });
+
+    aragCaseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, arag_reference, entry_date)
+       VALUES ('ARAG', 'ABIERTO', 'Documents ARAG', 'IY-DOC-001', 'DJ00990201', date('now'))`
+    ).lastInsertRowid;
+    particularCaseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+       VALUES ('PARTICULAR', 'ABIERTO', 'Documents Particular', 'IY-DOC-002', date('now'))`
+    ).lastInsertRowid;
+    archivedCaseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date, closure_date)
+       VALUES ('PARTICULAR', 'ARCHIVADO', 'Documents Archived', 'IY-DOC-003', date('now'), date('now'))`
+    ).lastInsertRowid;
+    generatedId = execute(
+      `INSERT INTO document_history (case_id, document_type, file_path, generated_at, signed)
+       VALUES (?, 'MINUTA', '/tmp/minuta_doc_test.pdf', datetime('now', '-1 day'), 1)`,
+      [aragCaseId]
+    ).lastInsertRowid;
+  });
+
+  afterAll(() => {
+    execute("DELETE FROM search_index WHERE case_id IN (?, ?, ?)", [aragCaseId, particularCaseId, archivedCaseId]);
+    execute("DELETE FROM document_history WHERE case_id IN (?, ?, ?)", [aragCaseId, particularCaseId, archivedCaseId]);
+    execute("DELETE FROM cases WHERE id IN (?, ?, ?)", [aragCaseId, particularCaseId, archivedCaseId]);
+    rmSync(TEST_DOCS_PATH, { recursive: true, force: true });
+  });
+
+  it("should accept common office formats by extension", () => {
+    for (const name of ["a.pdf", "b.DOCX", "c.jpg", "d.png", "e.eml", "f.xlsx", "g.heic"]) {
+      expect(isAllowedFile(name)).toBe(true);
+    }
+    for (const name of ["script.exe", "page.html", "archive.zip", "noextension", ""]) {
+      expect(isAllowedFile(name)).toBe(false);
+    }
+    expect(getStoredFileName("Notificación juzgado.PDF")).toMatch(/^Notificacion_juzgado_\d+\.pdf$/);
+  });
+
+  it("should normalize tags from arrays, JSON and comma-separated text", () => {
+    expect(normalizeTags([" Contrario ", "contrario", "2026"])).toEqual(["Contrario", "2026"]);
+    expect(normalizeTags('["a", "b"]')).toEqual(["a", "b"]);
+    expect(normalizeTags("juzgado,  sentencia , ")).toEqual(["juzgado", "sentencia"]);
+    expect(normalizeTags(null)).toEqual([]);
+    expect(() => normalizeTags(["x".repeat(31)])).toThrow(ValidationError);
+    expect(() => normalizeTags(Array.from({ length: 11 }, (_, i) => `t${i}`))).toThrow(/etiquetas/);
+    expect(() => normalizeTags("[not json")).toThrow(ValidationError);
+  });
+
+  it("should upload files with metadata to any case type", () => {
+    const notification = upload(
+      aragCaseId,
+      storedFile("Notificación juzgado.pdf"),
+      { category: "NOTIFICACION", description: " Auto de admisión ", tags: "juzgado, Torrox" },
+      { id: 7 }
+    );
+    expect(notification).toMatchObject({
+      caseId: aragCaseId,
+      documentType: "MANUAL_UPLOAD",
+      fileName: "Notificación juzgado.pdf",
+      mimeType: "application/pdf",
+      category: "NOTIFICACION",
+      description: "Auto de admisión",
+      tags: ["juzgado", "Torrox"],
+      uploaded: true,
+      uploadedByUserId: 7,
+      versionCount: 1,
+      deleted: false,
+    });
+    expect(notification.sha256).toMatch(/^[0-9a-f]{64}$/);
+
+    const photo = upload(particularCaseId, storedFile("dni.JPG"));
+    expect(photo).toMatchObject({ category: "OTRO", mimeType: "image/jpeg", description: null, tags: [] });
+    expect(getFile(particularCaseId, photo.id)).toMatchObject({ fileName: "dni.JPG", path: photo.filePath });
+  });
+
+  it("should reject invalid uploads and remove the stored file", () => {
+    const badCategory = storedFile("prueba.pdf");
+    expect(() => upload(aragCaseId, badCategory, { category: "FACTURA" })).toThrow(/Categoría/);
+    expect(existsSync(badCategory.path)).toBe(false);
+
+    const badType = storedFile("programa.exe");
+    expect(() => upload(aragCaseId, badType)).toThrow(/Formato de archivo/);
+    expect(existsSync(badType.path)).toBe(false);
+
+    const archived = storedFile("tarde.pdf");
+    expect(() => upload(archivedCaseId, archived)).toThrow(/archivados/);
+    expect(existsSync(archived.path)).toBe(false);
+
+    expect(() => upload(999999, storedFile("nadie.pdf"))).toThrow(NotFoundError);
+    expect(() => upload(aragCaseId, null)).toThrow(/ningún archivo/);
+  });
+
+  it("should list generated and uploaded documents filtered by category or tag", () => {
+    const all = listByCase(aragCaseId);
+    expect(all.map((d) => d.documentType)).toEqual(["MANUAL_UPLOAD", "MINUTA"]);
+    expect(all[1]).toMatchObject({ id: generatedId, fileName: "minuta_doc_test.pdf", category: null, uploaded: false });
+
+    expect(listByCase(aragCaseId, { category: "NOTIFICACION" })).toHaveLength(1);
+    expect(listByCase(aragCaseId, { category: "PRUEBA" })).toHaveLength(0);
+    expect(listByCase(aragCaseId, { tag: "torrox" })).toHaveLength(1);
+    expect(() => listByCase(aragCaseId, { category: "NADA" })).toThrow(ValidationError);
+    expect(listTags(aragCaseId)).toEqual(["juzgado", "Torrox"]);
+  });
+
+  it("should update metadata of any document of the case", () => {
+    const updated = updateMetadata(aragCaseId, generatedId, { tags: ["cobrada"], description: "Minuta inicial" });
+    expect(updated).toMatchObject({ tags: ["cobrada"], description: "Minuta inicial", category: null });
+
+    // Fields not sent are kept
+    const recategorized = updateMetadata(aragCaseId, generatedId, { category: "ESCRITO" });
+    expect(recategorized).toMatchObject({ tags: ["cobrada"], category: "ESCRITO" });
+
+    expect(() => updateMetadata(particularCaseId, generatedId, { tags: [] })).toThrow(NotFoundError);
+  });
+
+  it("should move uploaded documents only to the trash and keep their files", () => {
+    const [uploaded] = listByCase(aragCaseId, { category: "NOTIFICACION" });
+    expect(() => deleteDocument(aragCaseId, generatedId)).toThrow(/subidos manualmente/);
+    expect(() => deleteDocument(particularCaseId, uploaded.id)).toThrow(NotFoundError);
+
+    expect(deleteDocument(aragCaseId, uploaded.id, { id: 7 })).toBe(true);
+    expect(existsSync(uploaded.filePath)).toBe(true);
+    expect(listByCase(aragCaseId).map((d) => d.id)).not.toContain(uploaded.id);
+    expect(listTags(aragCaseId)).toEqual(["cobrada"]);
+    expect(listByCase(aragCaseId, { deleted: true })).toMatchObject([
+      { id: uploaded.id, deleted: true, deletedByUserId: 7 },
+    ]);
+    // Files in the trash are only served on request (admin preview)
+    expect(() => getFile(aragCaseId, uploaded.id)).toThrow(NotFoundError);
+    expect(getFile(aragCaseId, uploaded.id, { includeDeleted: true }).path).toBe(uploaded.filePath);
+    expect(() => getVersionFile(aragCaseId, uploaded.id, 1)).toThrow(NotFoundError);
+    expect(() => updateMetadata(aragCaseId, uploaded.id, { tags: [] })).toThrow(NotFoundError);
+  });
+
+  it("should restore documents from the trash", () => {
+    const [deleted] = listByCase(aragCaseId, { deleted: true });
+    expect(() => restoreDocument(aragCaseId, generatedId)).toThrow(/no está eliminado/);
+
+    expect(restoreDocument(aragCaseId, deleted.id)).toMatchObject({ id: deleted.id, deleted: false, deletedAt: null });
+    expect(listByCase(aragCaseId, { deleted: true })).toHaveLength(0);
+    expect(listTags(aragCaseId)).toEqual(["cobrada", "juzgado", "Torrox"]);
+  });
+});
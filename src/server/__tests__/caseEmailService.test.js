@@ -0,0 +1,200 @@
+/**
+ * Case Email Service Tests
+ * Emails written from a case: recipients with CC/BCC, several documents
+ * attached and the record in email_history once the outbox sends them
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdirSync, rmSync, writeFileSync } from "fs";
+import { getDraft, listByCase, parseAddresses, send } from "../services/caseEmailService.js";
+import { getById as getQueued, processOutbox } from "../services/emailOutboxService.js";
+import { update as updateConfig } from "../services/configurationService.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { execute } from "../database.js";
+import { createFakeEmailService } from "./helpers/fakeEmailService.js";
+
+const TEST_DIR = "./data/documents/test-case-emails";
+
+/**
+ * Store a document of the case
+ */
+function addDocument(caseId, fileName, options = {}) {
+  const path = `${TEST_DIR}/${fileName}`;
+  writeFileSync(path, options.content ?? "%PDF-1.4\n");
+  return Number(
+    execute(
+      `INSERT INTO document_history (case_id, document_type, file_path, original_name, generated_at, deleted_at)
+       VALUES (?, 'UPLOAD', ?, ?, datetime('now'), ?)`,
+      [caseId, path, fileName, options.deleted ? new Date().toISOString() : null]
+    ).lastInsertRowid
+  );
+}
+
+describe("Case Email Service", () => {
+  let caseId;
+  let otherCaseId;
+  let documents;
+
+  const email = (overrides = {}) => ({
+    to: "ana@example.com",
+    subject: "Documentación del expediente",
+    text: "Adjunto la documentación.",
+    ...overrides,
+  });
+
+  const errorOf = (fn) => {
+    try {
+      fn();
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  beforeAll(() => {
+    mkdirSync(TEST_DIR, { recursive: true });
+    const clientId = execute("INSERT INTO clients (name, email) VALUES ('Ana Ruiz', 'ana@example.com')").lastInsertRowid;
+    caseId = Number(
+      execute(
+        `INSERT INTO cases (type, state, client_id, client_name, internal_reference, entry_date)
+         VALUES ('PARTICULAR', 'ABIERTO', ?, 'Ana Ruiz', 'IY-26-MAIL', date('now'))`,
+        [clientId]
+      ).lastInsertRowid
+    );
+    otherCaseId = Number(
+      execute(
+        `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+         VALUES ('PARTICULAR', 'ABIERTO', 'Otro Cliente', 'IY-26-MAIL2', date('now'))`
+      ).lastInsertRowid
+    );
+    documents = {
+      demanda: addDocument(caseId, "demanda.pdf"),
+      poder: addDocument(caseId, "poder.pdf"),
+      deleted: addDocument(caseId, "borrado.pdf", { deleted: true }),
+      other: addDocument(otherCaseId, "ajeno.pdf"),
+    };
+    updateConfig({ smtp_host: "smtp.example.com", smtp_user: "despacho@example.com", email_signature: "" });
+  });
+
+  afterAll(() => {
+    execute("DELETE FROM email_outbox WHERE case_id IN (?, ?)", [caseId, otherCaseId]);
+    execute("DELETE FROM email_history WHERE case_id IN (?, ?)", [caseId, otherCaseId]);
+    execute("DELETE FROM document_history WHERE case_id IN (?, ?)", [caseId, otherCaseId]);
+    execute("DELETE FROM cases WHERE id IN (?, ?)", [caseId, otherCaseId]);
+    execute("DELETE FROM clients WHERE name = 'Ana Ruiz' AND email = 'ana@example.com'");
+    execute("DELETE FROM configuration WHERE key IN ('smtp_host', 'smtp_user', 'email_signature')");
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it("should split address lists and reject invalid addresses", () => {
+    expect(parseAddresses("a@example.com, b@example.com;\nA@example.com ,a@example.com", "cc")).toEqual([
+      "a@example.com",
+      "b@example.com",
+      "A@example.com",
+    ]);
+    expect(parseAddresses(["x@example.es", " "], "bcc")).toEqual(["x@example.es"]);
+    expect(parseAddresses(undefined, "cc")).toEqual([]);
+    expect(errorOf(() => parseAddresses("a@example.com, ana", "cc"))).toMatchObject({
+      messageCode: "CASE_EMAIL_ADDRESS_INVALID",
+      field: "cc",
+    });
+  });
+
+  it("should prefill a draft with the client and the attachable documents", () => {
+    const draft = getDraft(caseId);
+
+    expect(draft).toMatchObject({
+      to: "ana@example.com",
+      cc: "",
+      bcc: "",
+      subject: "Expediente IY-26-MAIL",
+      smtpConfigured: true,
+    });
+    expect(draft.text).toContain("Estimado/a Ana Ruiz");
+    expect(draft.documents.map((doc) => doc.fileName).sort()).toEqual(["demanda.pdf", "poder.pdf"]);
+    expect(() => getDraft(999999)).toThrow(NotFoundError);
+  });
+
+  it("should send with CC/BCC and several attachments and log the document IDs", async () => {
+    const queued = send(
+      caseId,
+      email({
+        to: "ana@example.com, socio@example.com",
+        cc: "procurador@example.com",
+        bcc: "archivo@example.com",
+        documentIds: [documents.demanda, String(documents.poder), documents.demanda],
+      })
+    );
+    expect(queued).toMatchObject({
+      recipient: "ana@example.com, socio@example.com",
+      cc: "procurador@example.com",
+      bcc: "archivo@example.com",
+      attachmentNames: ["demanda.pdf", "poder.pdf"],
+    });
+
+    const emailService = createFakeEmailService();
+    await processOutbox({ emailService });
+    expect(emailService.sent).toContainEqual(
+      expect.objectContaining({
+        to: "ana@example.com, socio@example.com",
+        cc: "procurador@example.com",
+        bcc: "archivo@example.com",
+        body: "Adjunto la documentación.",
+        attachments: [
+          expect.objectContaining({ documentId: documents.demanda, fileName: "demanda.pdf" }),
+          expect.objectContaining({ documentId: documents.poder, fileName: "poder.pdf" }),
+        ],
+      })
+    );
+    expect(getQueued(queued.id).status).toBe("SENT");
+
+    const [history] = listByCase(caseId);
+    expect(history).toMatchObject({
+      recipient: "ana@example.com, socio@example.com",
+      cc: "procurador@example.com",
+      bcc: "archivo@example.com",
+      status: "SENT",
+      attachments: [
+        { documentId: documents.demanda, fileName: "demanda.pdf" },
+        { documentId: documents.poder, fileName: "poder.pdf" },
+      ],
+    });
+  });
+
+  it("should reject emails without recipient, subject or body", () => {
+    expect(errorOf(() => send(caseId, email({ to: " " })))).toMatchObject({
+      messageCode: "CASE_EMAIL_RECIPIENT_REQUIRED",
+    });
+    expect(errorOf(() => send(caseId, email({ subject: "Línea 1\nLínea 2" })))).toMatchObject({
+      messageCode: "CASE_EMAIL_SUBJECT_INVALID",
+    });
+    expect(errorOf(() => send(caseId, email({ text: "" })))).toMatchObject({ messageCode: "CASE_EMAIL_BODY_INVALID" });
+
+    const many = Array.from({ length: 21 }, (_, i) => `copia${i}@example.com`).join(", ");
+    expect(errorOf(() => send(caseId, email({ cc: many })))).toMatchObject({
+      messageCode: "CASE_EMAIL_TOO_MANY_RECIPIENTS",
+    });
+  });
+
+  it("should only attach current documents of the case", () => {
+    expect(() => send(caseId, email({ documentIds: [documents.other] }))).toThrow(NotFoundError);
+    expect(() => send(caseId, email({ documentIds: [documents.deleted] }))).toThrow(NotFoundError);
+    expect(errorOf(() => send(caseId, email({ documentIds: "1,2" })))).toMatchObject({
+      messageCode: "CASE_EMAIL_DOCUMENTS_INVALID",
+    });
+
+    rmSync(`${TEST_DIR}/poder.pdf`);
+    expect(errorOf(() => send(caseId, email({ documentIds: [documents.poder] })))).toMatchObject({
+      messageCode: "CASE_EMAIL_ATTACHMENT_MISSING",
+    });
+    expect(getDraft(caseId).documents.map((doc) => doc.fileName)).toEqual(["demanda.pdf"]);
+  });
+
+  it("should not queue emails while SMTP is not configured", () => {
+    updateConfig({ smtp_host: "" });
+    const error = errorOf(() => send(caseId, email()));
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.messageCode).toBe("CASE_EMAIL_SMTP_NOT_CONFIGURED");
+    expect(getDraft(caseId).smtpConfigured).toBe(false);
+  });
+});
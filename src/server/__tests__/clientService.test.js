@@ -0,0 +1,151 @@
+/**
+ * Client Service Tests
+ * NIF validation, client CRUD and case linking
+ */
+import { describe, it, expect, afterAll } from "vitest";
+import fc from "fast-check";
+import {
+  create,
+  getById,
+  list,
+  update,
+  deleteClient,
+  normalizeNif,
+  isValidNif,
+} from "../services/clientService.js";
+import {
+  create as createCase,
+  update as updateCase,
+  getById as getCaseById,
+  list as listCases,
+  deleteCase,
+  CASE_TYPES,
+} from "../services/caseService.js";
+import { ValidationError, ConflictError, NotFoundError } from "../errors.js";
+import { execute } from "../database.js";
+
+const PREFIX = "Test Cliente";
+const DNI_LETTERS = "TRWAGMYFPDXBNJZSQVHLCKE";
+
+describe("Client Service", () => {
+  const caseIds = [];
+
+  afterAll(() => {
+    for (const id of caseIds) {
+      deleteCase(id);
+      execute("DELETE FROM audit_log WHERE case_id = ?", [id]);
+    }
+    execute("DELETE FROM clients WHERE name LIKE ?", [`${PREFIX}%`]);
+  });
+
+  describe("NIF validation", () => {
+    it("should accept any DNI with its correct control letter and reject others", () => {
+      fc.assert(
+        fc.property(fc.integer({ min: 0, max: 99999999 }), (number) => {
+          const digits = String(number).padStart(8, "0");
+          const letter = DNI_LETTERS[number % 23];
+          expect(isValidNif(`${digits}${letter}`)).toBe(true);
+
+          const wrong = DNI_LETTERS[(number + 1) % 23];
+          expect(isValidNif(`${digits}${wrong}`)).toBe(false);
+        }),
+        { numRuns: 100 }
+      );
+    });
+
+    it("should validate NIE and CIF control characters", () => {
+      expect(isValidNif("X1234567L")).toBe(true);
+      expect(isValidNif("X1234567A")).toBe(false);
+      expect(isValidNif("B12345674")).toBe(true);
+      expect(isValidNif("B12345675")).toBe(false);
+      expect(isValidNif("Q1234567D")).toBe(true);
+      expect(isValidNif("12345")).toBe(false);
+    });
+
+    it("should normalize spacing, dashes and case", () => {
+      expect(normalizeNif(" 12.345.678-z ")).toBe("12345678Z");
+    });
+  });
+
+  describe("CRUD", () => {
+    it("should create a client with a normalized NIF", () => {
+      const client = create({
+        name: `${PREFIX} Ana`,
+        nif: "12345678-z",
+        email: "ana@ejemplo.com",
+        phone: "600000000",
+      });
+
+      expect(client.id).toBeDefined();
+      expect(client.nif).toBe("12345678Z");
+      expect(client.caseCount).toBe(0);
+      expect(getById(client.id).email).toBe("ana@ejemplo.com");
+    });
+
+    it("should reject duplicate NIFs, invalid NIFs and invalid emails", () => {
+      expect(() => create({ name: `${PREFIX} Dup`, nif: "12345678Z" })).toThrow(ConflictError);
+      expect(() => create({ name: `${PREFIX} Bad`, nif: "12345678A" })).toThrow(ValidationError);
+      expect(() => create({ name: `${PREFIX} Bad`, email: "no-es-email" })).toThrow(
+        ValidationError
+      );
+      expect(() => create({ name: "  " })).toThrow(ValidationError);
+    });
+
+    it("should allow several clients without NIF", () => {
+      const a = create({ name: `${PREFIX} Sin NIF 1` });
+      const b = create({ name: `${PREFIX} Sin NIF 2`, nif: "" });
+      expect(a.nif).toBeNull();
+      expect(b.nif).toBeNull();
+    });
+
+    it("should update only the provided fields and search by NIF", () => {
+      const { clients } = list({ search: "12345678Z" });
+      expect(clients).toHaveLength(1);
+
+      const updated = update(clients[0].id, { address: "Calle Mayor 1, Madrid" });
+      expect(updated.address).toBe("Calle Mayor 1, Madrid");
+      expect(updated.email).toBe("ana@ejemplo.com");
+
+      expect(() => update(999999999, { name: "x" })).toThrow(NotFoundError);
+    });
+  });
+
+  describe("case linking", () => {
+    it("should link cases of different types to the same client", () => {
+      const client = create({ name: `${PREFIX} Compartido`, email: "compartido@ejemplo.com" });
+
+      const particular = createCase({ type: CASE_TYPES.PARTICULAR, clientId: client.id });
+      const turno = createCase({
+        type: CASE_TYPES.TURNO_OFICIO,
+        clientName: `${PREFIX} Compartido`,
+        designation: "TEST-CLI-001",
+        clientId: client.id,
+      });
+      caseIds.push(particular.id, turno.id);
+
+      // Client name is taken from the client when omitted
+      expect(particular.clientName).toBe(`${PREFIX} Compartido`);
+      expect(particular.clientId).toBe(client.id);
+      expect(getCaseById(particular.id).clientEmail).toBe("compartido@ejemplo.com");
+
+      const { cases } = listCases({ clientId: client.id });
+      expect(cases.map((c) => c.id).sort()).toEqual([particular.id, turno.id].sort());
+      expect(getById(client.id).caseCount).toBe(2);
+
+      // Cannot delete a client that still has cases
+      expect(() => deleteClient(client.id)).toThrow(ConflictError);
+
+      // Unlinking frees the client
+      updateCase(particular.id, { clientId: null });
+      updateCase(turno.id, { clientId: null });
+      expect(getCaseById(particular.id).clientId).toBeNull();
+      expect(deleteClient(client.id)).toBe(true);
+    });
+
+    it("should reject links to unknown clients", () => {
+      expect(() =>
+        createCase({ type: CASE_TYPES.PARTICULAR, clientName: `${PREFIX} X`, clientId: 999999999 })
+      ).toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Client Signature Service Tests
+ * One-time signing links for the hoja de encargo, the signed PDF and its evidence
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { join, dirname } from "path";
+import { fileURLToPath } from "url";
+import { PDFDocument } from "pdf-lib";
+import { HojaEncargoWorkflowService } from "../services/hojaEncargoWorkflowService.js";
+import {
+  REQUEST_STATUS,
+  SIGNATURE_METHODS,
+  cancelRequest,
+  createRequest,
+  getById,
+  getPublicSummary,
+  listByCase,
+  readSourceDocument,
+  validateSignature,
+} from "../services/clientSignatureService.js";
+import { DocumentHistoryService } from "../services/documentHistoryService.js";
+import { listVersions, sha256 } from "../services/documentVersionService.js";
+import { verifyPdf } from "../services/signatureVerificationService.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors.js";
+import { execute } from "../database.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_DOCS_PATH = "./data/documents/test-client-signatures";
+
+// 1x1 transparent PNG
+const SIGNATURE_PNG =
+  "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==";
+
+describe("Client Signature Service", () => {
+  let workflow;
+  let caseId;
+  let caseData;
+
+  const config = {
+    documents_path: TEST_DOCS_PATH,
+    certificate_path: join(__dirname, "fixtures/test-certificate.p12"),
+    certificate_password: "testpassword",
+  };
+
+  /**
+   * Generate a hoja de encargo for the test case
+   * @returns {Promise<Object>} Document record
+   */
+  async function generateHoja() {
+    const { documentId } = await workflow.generateHojaEncargo(caseData, { services: "Divorcio", fees: 900 });
+    return new DocumentHistoryService().getById(documentId);
+  }
+
+  beforeAll(() => {
+    workflow = new HojaEncargoWorkflowService(config);
+    caseId = Number(
+      execute(
+        `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+         VALUES ('PARTICULAR', 'ABIERTO', 'Lucía Fernández', 'IY-26-CSG', date('now'))`
+      ).lastInsertRowid
+    );
+    caseData = {
+      id: caseId,
+      clientName: "Lucía Fernández",
+      internalReference: "IY-26-CSG",
+      type: "PARTICULAR",
+      state: "ABIERTO",
+    };
+  });
+
+  afterAll(() => {
+    execute("DELETE FROM client_signature_requests WHERE case_id = ?", [caseId]);
+    execute("DELETE FROM document_history WHERE case_id = ?", [caseId]);
+    execute("DELETE FROM cases WHERE id = ?", [caseId]);
+    rmSync(TEST_DOCS_PATH, { recursive: true, force: true });
+  });
+
+  it("should create one-time links and keep only the newest pending", async () => {
+    const doc = await generateHoja();
+
+    const first = createRequest(caseId, { documentId: doc.id, signerName: "Lucía Fernández" }, { id: 1 });
+    const second = createRequest(caseId, {
+      documentId: doc.id,
+      signerName: "Lucía Fernández",
+      signerEmail: "lucia@example.com",
+    });
+
+    expect(second.token).toMatch(/^[\w-]{43}$/);
+    expect(second.request).toMatchObject({ status: REQUEST_STATUS.PENDING, expired: false, evidence: null });
+    expect(second.request).not.toHaveProperty("tokenHash");
+    expect(getById(first.request.id).status).toBe(REQUEST_STATUS.CANCELLED);
+    expect(() => getPublicSummary(first.token)).toThrow(ConflictError);
+
+    expect(getPublicSummary(second.token)).toMatchObject({
+      signerName: "Lucía Fernández",
+      reference: "IY-26-CSG",
+      fileName: doc.file_path.split("/").pop(),
+    });
+    expect(readSourceDocument(second.token).buffer.equals(readFileSync(doc.file_path))).toBe(true);
+    expect(() => getPublicSummary("no-such-token")).toThrow(NotFoundError);
+  });
+
+  it("should validate the request and the submitted signature", async () => {
+    const doc = await generateHoja();
+
+    expect(() => createRequest(caseId, { signerName: "Lucía" })).toThrow(ValidationError);
+    expect(() => createRequest(caseId, { documentId: doc.id, signerName: " " })).toThrow(ValidationError);
+    expect(() => createRequest(caseId, { documentId: doc.id, signerName: "Lucía", signerEmail: "x@" })).toThrow(
+      ValidationError
+    );
+    expect(() => createRequest(caseId, { documentId: 999999999, signerName: "Lucía" })).toThrow(NotFoundError);
+
+    const drawn = { accepted: true, method: SIGNATURE_METHODS.DRAWN, image: SIGNATURE_PNG };
+    expect(validateSignature(drawn).image.length).toBeGreaterThan(0);
+    expect(() => validateSignature({ ...drawn, accepted: false })).toThrow(ValidationError);
+    expect(() => validateSignature({ ...drawn, method: "HUELLA" })).toThrow(ValidationError);
+    expect(() => validateSignature({ ...drawn, image: "data:image/png;base64,R0lGODlhAQABAAAAACw=" })).toThrow(
+      ValidationError
+    );
+    expect(() => validateSignature({ accepted: true, method: SIGNATURE_METHODS.TYPED, typedName: "" })).toThrow(
+      ValidationError
+    );
+  });
+
+  it("should sign with the client's signature, seal the PDF and record the evidence", async () => {
+    const doc = await generateHoja();
+    const originalPages = (await PDFDocument.load(readFileSync(doc.file_path))).getPageCount();
+    const { request, token } = createRequest(caseId, { documentId: doc.id, signerName: "Lucía Fernández" });
+
+    const result = await workflow.signByClient(
+      token,
+      { accepted: true, method: SIGNATURE_METHODS.DRAWN, image: SIGNATURE_PNG },
+      { ip: "203.0.113.7", userAgent: "Mozilla/5.0 (Test)" }
+    );
+
+    const signedDoc = new DocumentHistoryService().getById(doc.id);
+    const signedPdf = readFileSync(signedDoc.file_path);
+    expect(signedDoc.signed).toBe(1);
+    expect(result.signedSha256).toBe(sha256(signedPdf));
+    expect(listVersions(doc.id).map((version) => version.reason)).toEqual(["CREACION", "FIRMA"]);
+    expect((await PDFDocument.load(signedPdf)).getPageCount()).toBe(originalPages + 1);
+
+    // Office seal over the whole document
+    const verification = verifyPdf(signedPdf, { trustedRoots: [] });
+    expect(verification.modifiedAfterLastSignature).toBe(false);
+    expect(verification.signatures[0]).toMatchObject({ digestValid: true, signatureValid: true });
+
+    expect(getById(request.id)).toMatchObject({
+      status: REQUEST_STATUS.SIGNED,
+      evidence: {
+        ip: "203.0.113.7",
+        userAgent: "Mozilla/5.0 (Test)",
+        method: SIGNATURE_METHODS.DRAWN,
+        signedSha256: result.signedSha256,
+      },
+    });
+    expect(listByCase(caseId)[0].id).toBe(request.id);
+
+    // One-time link and immutable evidence
+    await expect(
+      workflow.signByClient(token, { accepted: true, method: SIGNATURE_METHODS.TYPED, typedName: "Lucía" })
+    ).rejects.toThrow(ConflictError);
+    expect(() =>
+      execute("UPDATE client_signature_requests SET signer_ip = '0.0.0.0' WHERE id = ?", [request.id])
+    ).toThrow(/no se pueden modificar/);
+  });
+
+  it("should sign again from the unsigned version with a typed name", async () => {
+    const doc = await generateHoja();
+    const originalPath = doc.file_path;
+    await workflow.signDocument(doc.id);
+
+    const { token } = createRequest(caseId, { documentId: doc.id, signerName: "Lucía Fernández" });
+    expect(readSourceDocument(token).buffer.equals(readFileSync(originalPath))).toBe(true);
+
+    await workflow.signByClient(token, { accepted: true, method: SIGNATURE_METHODS.TYPED, typedName: "Lucía Fernández" });
+    const signedPdf = readFileSync(new DocumentHistoryService().getById(doc.id).file_path);
+    expect(verifyPdf(signedPdf, { trustedRoots: [] }).signatures).toHaveLength(1);
+  });
+
+  it("should refuse expired, cancelled and changed documents", async () => {
+    const doc = await generateHoja();
+
+    const expired = createRequest(caseId, { documentId: doc.id, signerName: "Lucía" });
+    execute("UPDATE client_signature_requests SET expires_at = datetime('now', '-1 minute') WHERE id = ?", [
+      expired.request.id,
+    ]);
+    expect(getById(expired.request.id).expired).toBe(true);
+    expect(() => getPublicSummary(expired.token)).toThrow(ConflictError);
+
+    const cancelled = createRequest(caseId, { documentId: doc.id, signerName: "Lucía" });
+    expect(cancelRequest(caseId, cancelled.request.id).status).toBe(REQUEST_STATUS.CANCELLED);
+    expect(() => cancelRequest(caseId, cancelled.request.id)).toThrow(ConflictError);
+    expect(() => readSourceDocument(cancelled.token)).toThrow(ConflictError);
+
+    const changed = createRequest(caseId, { documentId: doc.id, signerName: "Lucía" });
+    writeFileSync(doc.file_path, Buffer.concat([readFileSync(doc.file_path), Buffer.from("\n%cambio\n")]));
+    await expect(
+      workflow.signByClient(changed.token, { accepted: true, method: SIGNATURE_METHODS.TYPED, typedName: "Lucía" })
+    ).rejects.toThrow(ConflictError);
+    expect(existsSync(doc.file_path)).toBe(true);
+  });
+});
@@ -9,6 +9,7 @@ import {
   get,
   update,
   isValidEmail,
+  isValidUrl,
   isPositiveNumber,
   isValidNumericConfig,
   DEFAULT_CONFIG,
@@ -348,6 +349,21 @@ describe("Configuration Service - Property Tests", () => {
     });
   });
 
+  describe("URL validation", () => {
+    it("should accept http and https URLs only", () => {
+      expect(isValidUrl("https://freetsa.org/tsr")).toBe(true);
+      expect(isValidUrl("http://127.0.0.1:3180/tsa")).toBe(true);
+      expect(isValidUrl("ftp://tsa.example.com")).toBe(false);
+      expect(isValidUrl("tsa.example.com")).toBe(false);
+    });
+
+    it("should reject invalid TSA URLs via update() and allow clearing them", () => {
+      expect(() => update({ signature_tsa_url: "no es una url" })).toThrow(ConfigValidationError);
+      update({ signature_tsa_url: "" });
+      expect(get("signature_tsa_url")).toBe("");
+    });
+  });
+
   describe("Self-healing on read", () => {
     it("should reset corrupted numeric values to defaults", () => {
       execute(
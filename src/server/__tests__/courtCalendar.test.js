@@ -0,0 +1,112 @@
+/**
+ * Court Calendar Tests
+ * Business-day computation for procedural deadlines
+ */
+import { describe, it, expect } from "vitest";
+import fc from "fast-check";
+import {
+  easterSunday,
+  parseHolidayList,
+  getHolidaysForYear,
+  isBusinessDay,
+  computeDueDate,
+  businessDaysUntil,
+  DAY_TYPES,
+} from "../services/courtCalendar.js";
+import { DEFAULT_CONFIG } from "../services/configurationService.js";
+
+// Default national, Andalusian and Málaga holidays
+const HOLIDAYS = ["holidays_national", "holidays_regional", "holidays_local"].flatMap(
+  (key) => parseHolidayList(DEFAULT_CONFIG[key]).entries
+);
+
+describe("Court Calendar", () => {
+  describe("holidays", () => {
+    it("should compute Easter and add Jueves and Viernes Santo", () => {
+      expect(easterSunday(2024)).toBe("2024-03-31");
+      expect(easterSunday(2025)).toBe("2025-04-20");
+      expect(easterSunday(2026)).toBe("2026-04-05");
+
+      const holidays = getHolidaysForYear(2026, ["12-25", "2026-03-19", "2027-03-19"]);
+      expect([...holidays].sort()).toEqual([
+        "2026-03-19",
+        "2026-04-02",
+        "2026-04-03",
+        "2026-12-25",
+      ]);
+    });
+
+    it("should accept yearly and dated entries and report invalid ones", () => {
+      expect(parseHolidayList("01-01, 02-29;2026-03-19\n13-01, 2026-02-30, abc")).toEqual({
+        entries: ["01-01", "02-29", "2026-03-19"],
+        invalid: ["13-01", "2026-02-30", "abc"],
+      });
+      expect(parseHolidayList("").entries).toEqual([]);
+    });
+
+    it("should exclude weekends, holidays and August only for judicial deadlines", () => {
+      expect(isBusinessDay("2026-09-07", { holidays: HOLIDAYS })).toBe(true);
+      expect(isBusinessDay("2026-09-05", { holidays: HOLIDAYS })).toBe(false); // Saturday
+      expect(isBusinessDay("2026-09-08", { holidays: HOLIDAYS })).toBe(false); // Virgen de la Victoria
+      expect(isBusinessDay("2026-12-24", { holidays: HOLIDAYS })).toBe(false);
+      expect(isBusinessDay("2026-08-04", { holidays: HOLIDAYS })).toBe(false);
+      expect(isBusinessDay("2026-08-04", { holidays: HOLIDAYS, judicial: false })).toBe(true);
+    });
+  });
+
+  describe("computeDueDate", () => {
+    it("should start counting the day after notification and skip August", () => {
+      // Notified Friday 24 July 2026
+      expect(computeDueDate("2026-07-24", 5, { holidays: HOLIDAYS })).toBe("2026-07-31");
+      expect(computeDueDate("2026-07-24", 10, { holidays: HOLIDAYS })).toBe("2026-09-07");
+      expect(computeDueDate("2026-07-24", 11, { holidays: HOLIDAYS })).toBe("2026-09-09");
+      expect(computeDueDate("2026-07-24", 10, { holidays: HOLIDAYS, judicial: false })).toBe(
+        "2026-08-07"
+      );
+    });
+
+    it("should skip Holy Week holidays", () => {
+      expect(computeDueDate("2026-03-30", 3, { holidays: HOLIDAYS })).toBe("2026-04-06");
+    });
+
+    it("should move calendar-day deadlines ending on a non-business day", () => {
+      const options = { holidays: HOLIDAYS, dayType: DAY_TYPES.CALENDAR };
+      expect(computeDueDate("2026-12-20", 4, options)).toBe("2026-12-28");
+      expect(computeDueDate("2026-10-07", 5, options)).toBe("2026-10-13"); // 12 October
+    });
+
+    it("should reject invalid input", () => {
+      expect(computeDueDate("2026-02-30", 5)).toBeNull();
+      expect(computeDueDate("2026-03-02", 0)).toBeNull();
+      expect(computeDueDate("2026-03-02", 1.5)).toBeNull();
+    });
+
+    it("should always land on a business day exactly N business days later", () => {
+      fc.assert(
+        fc.property(
+          fc.date({ min: new Date("2024-01-01"), max: new Date("2030-12-31") }),
+          fc.integer({ min: 1, max: 60 }),
+          fc.boolean(),
+          (start, days, judicial) => {
+            const startDate = start.toISOString().slice(0, 10);
+            const options = { holidays: HOLIDAYS, judicial };
+            const dueDate = computeDueDate(startDate, days, options);
+
+            expect(dueDate > startDate).toBe(true);
+            expect(isBusinessDay(dueDate, options)).toBe(true);
+            expect(businessDaysUntil(dueDate, startDate, options)).toBe(days);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe("businessDaysUntil", () => {
+    it("should count remaining business days and negative calendar days when overdue", () => {
+      expect(businessDaysUntil("2026-09-07", "2026-07-24", { holidays: HOLIDAYS })).toBe(10);
+      expect(businessDaysUntil("2026-09-07", "2026-09-07")).toBe(0);
+      expect(businessDaysUntil("2026-09-07", "2026-09-10")).toBe(-3);
+    });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Deadline Service Tests
+ * Deadlines per case, status and alert window
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import {
+  calculate,
+  create,
+  getByCaseId,
+  getUpcoming,
+  update,
+  setCompleted,
+  deleteDeadline,
+  DEADLINE_STATUS,
+} from "../services/deadlineService.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { execute } from "../database.js";
+
+describe("Deadline Service", () => {
+  let caseId;
+
+  beforeAll(() => {
+    const result = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+       VALUES ('PARTICULAR', 'JUDICIAL', 'Deadline Test Client', 'IY-DL-001', date('now'))`
+    );
+    caseId = result.lastInsertRowid;
+  });
+
+  afterAll(() => {
+    execute("DELETE FROM deadlines WHERE case_id = ?", [caseId]);
+    execute("DELETE FROM cases WHERE id = ?", [caseId]);
+  });
+
+  it("should compute the due date with the configured holidays", () => {
+    const result = calculate({ startDate: "2026-07-24", days: "10" });
+    expect(result).toEqual({
+      startDate: "2026-07-24",
+      days: 10,
+      dayType: "HABILES",
+      judicial: true,
+      dueDate: "2026-09-07",
+    });
+  });
+
+  it("should validate the deadline input", () => {
+    expect(() => create(caseId, { startDate: "2026-07-24", days: 10 })).toThrow(ValidationError);
+    expect(() => create(caseId, { title: "Recurso", days: 0, startDate: "2026-07-24" })).toThrow(
+      ValidationError
+    );
+    expect(() =>
+      create(caseId, { title: "Recurso", dayType: "MESES", days: 5, startDate: "2026-07-24" })
+    ).toThrow(ValidationError);
+    expect(() => create(caseId, { title: "Recurso" })).toThrow(ValidationError);
+    expect(() => create(999999999, { title: "Recurso", dueDate: "2026-07-24" })).toThrow(
+      NotFoundError
+    );
+  });
+
+  it("should create computed and fixed deadlines listed by due date", () => {
+    const computed = create(caseId, {
+      title: "Contestación a la demanda",
+      startDate: "2026-07-24",
+      days: 20,
+    });
+    const fixed = create(caseId, { title: "Audiencia previa", dueDate: "2026-09-01" });
+
+    expect(computed.dueDate).toBe("2026-09-22");
+    expect(computed.clientName).toBe("Deadline Test Client");
+    expect(fixed).toMatchObject({ days: null, dueDate: "2026-09-01", judicial: true });
+
+    expect(getByCaseId(caseId).map((d) => d.id)).toEqual([fixed.id, computed.id]);
+  });
+
+  it("should flag overdue and upcoming deadlines until completed", () => {
+    const [fixed, computed] = getByCaseId(caseId);
+    const today = "2026-09-15";
+
+    const upcoming = getUpcoming({ today, alertDays: 7 });
+    const overdueIds = upcoming.overdue.map((d) => d.id);
+    const dueSoon = upcoming.dueSoon.find((d) => d.id === computed.id);
+
+    expect(overdueIds).toContain(fixed.id);
+    expect(dueSoon).toMatchObject({ status: DEADLINE_STATUS.DUE_SOON, remainingDays: 5 });
+
+    const completed = setCompleted(fixed.id);
+    expect(completed.status).toBe(DEADLINE_STATUS.COMPLETED);
+    expect(getUpcoming({ today, alertDays: 7 }).overdue.map((d) => d.id)).not.toContain(fixed.id);
+
+    expect(setCompleted(fixed.id, false).completedAt).toBeNull();
+  });
+
+  it("should keep the due date unless the computation changes", () => {
+    const [, computed] = getByCaseId(caseId);
+
+    const renamed = update(computed.id, { title: "Contestación (reconvención)" });
+    expect(renamed).toMatchObject({ title: "Contestación (reconvención)", dueDate: "2026-09-22" });
+
+    const shortened = update(computed.id, { days: 5 });
+    expect(shortened.dueDate).toBe("2026-07-31");
+
+    const fixed = update(computed.id, { dueDate: "2026-10-01" });
+    expect(fixed).toMatchObject({ days: null, dueDate: "2026-10-01" });
+  });
+
+  it("should delete deadlines", () => {
+    const [deadline] = getByCaseId(caseId);
+    expect(deleteDeadline(deadline.id)).toBe(true);
+    expect(() => deleteDeadline(deadline.id)).toThrow(NotFoundError);
+  });
+});
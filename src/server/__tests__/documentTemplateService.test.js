@@ -0,0 +1,146 @@
+/**
+ * Document Template Service Tests
+ * Editable PDF templates: validation, saving, restoring defaults and generation
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync, readFileSync, rmSync } from "fs";
+import { PDFDocument } from "pdf-lib";
+import {
+  buildContext,
+  get,
+  getBody,
+  getPreviewContext,
+  list,
+  reset,
+  update,
+} from "../services/documentTemplateService.js";
+import { DEFAULT_TEMPLATES } from "../services/defaultTemplates.js";
+import { PDFGeneratorService } from "../services/pdfGeneratorService.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { execute } from "../database.js";
+
+const TEST_DOCS_PATH = "./data/documents/test-templates";
+
+describe("Document Template Service", () => {
+  let clientId;
+  let caseId;
+
+  beforeAll(() => {
+    reset("HOJA_ENCARGO");
+    clientId = execute(
+      `INSERT INTO clients (name, nif, email) VALUES ('Template Test Client', '12345678Z', 'tpl@example.com')`
+    ).lastInsertRowid;
+    caseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date, client_id)
+       VALUES ('PARTICULAR', 'ABIERTO', 'Template Test Client', 'IY-TPL-001', date('now'), ?)`,
+      [clientId]
+    ).lastInsertRowid;
+  });
+
+  afterAll(() => {
+    reset("HOJA_ENCARGO");
+    execute("DELETE FROM cases WHERE id = ?", [caseId]);
+    execute("DELETE FROM clients WHERE id = ?", [clientId]);
+    rmSync(TEST_DOCS_PATH, { recursive: true, force: true });
+  });
+
+  it("should list the built-in templates of minuta, suplido and hoja de encargo in each language", () => {
+    const templates = list();
+    expect(templates.map((t) => `${t.documentType}:${t.language}`)).toEqual([
+      "MINUTA:es",
+      "MINUTA:en",
+      "SUPLIDO:es",
+      "SUPLIDO:en",
+      "HOJA_ENCARGO:es",
+      "HOJA_ENCARGO:en",
+    ]);
+    expect(templates.every((t) => t.defaultBody === DEFAULT_TEMPLATES[t.documentType].body[t.language])).toBe(true);
+    expect(get("MINUTA").placeholders).toContain("document.amounts.total");
+
+    expect(() => get("FACTURA_HORAS")).toThrow(ValidationError);
+    expect(() => get("MINUTA", "fr")).toThrow(/Idioma de plantilla no válido/);
+  });
+
+  it("should reject templates with syntax errors, listing them by line", () => {
+    expect(() => update("HOJA_ENCARGO", "  ")).toThrow(/obligatorio/);
+
+    try {
+      update("HOJA_ENCARGO", "@seccion DATOS\n{{client.iban}}\n{{#if client.nif}}");
+      expect.unreachable();
+    } catch (error) {
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.details.errors.map((e) => e.line)).toEqual([2, 3]);
+    }
+    expect(get("HOJA_ENCARGO").customized).toBe(false);
+  });
+
+  it("should save a custom template and restore the default", () => {
+    const body = DEFAULT_TEMPLATES.HOJA_ENCARGO.body.es.replace("@firmas", "@salto-pagina\n@firmas");
+    const saved = update("HOJA_ENCARGO", body);
+    expect(saved).toMatchObject({ customized: true, body });
+    expect(getBody("HOJA_ENCARGO")).toBe(body);
+
+    // Saving again replaces it
+    update("HOJA_ENCARGO", `${body}\n@nota Actualizada`);
+    expect(getBody("HOJA_ENCARGO")).toMatch(/Actualizada$/);
+
+    const restored = reset("HOJA_ENCARGO");
+    expect(restored.customized).toBe(false);
+    expect(getBody("HOJA_ENCARGO")).toBe(DEFAULT_TEMPLATES.HOJA_ENCARGO.body.es);
+    // The English template is separate
+    expect(get("HOJA_ENCARGO", "en").customized).toBe(false);
+  });
+
+  it("should generate documents from the template in use", async () => {
+    const pdfService = new PDFGeneratorService(TEST_DOCS_PATH);
+    const caseData = { client_name: "Template Test Client", internal_reference: "IY-TPL-001" };
+    const hojaData = { services: "Asesoramiento", fees: 900 };
+    const pageCount = async (path) => (await PDFDocument.load(readFileSync(path))).getPageCount();
+
+    const standard = await pdfService.generateHojaEncargo(caseData, hojaData);
+    expect(await pageCount(standard)).toBe(1);
+
+    update("HOJA_ENCARGO", DEFAULT_TEMPLATES.HOJA_ENCARGO.body.es.replace("@firmas", "@salto-pagina\n@firmas"));
+    const custom = await pdfService.generateHojaEncargo(caseData, hojaData);
+    expect(existsSync(custom)).toBe(true);
+    expect(await pageCount(custom)).toBe(2);
+    reset("HOJA_ENCARGO");
+  });
+
+  it("should generate the hoja de encargo in the case language or in both", async () => {
+    const pdfService = new PDFGeneratorService(TEST_DOCS_PATH);
+    const caseData = { client_name: "Template Test Client", internal_reference: "IY-TPL-001", language: "en" };
+    const pageCount = async (path) => (await PDFDocument.load(readFileSync(path))).getPageCount();
+
+    const english = await pdfService.generateHojaEncargo(caseData, { services: "Advice", fees: 900 });
+    expect(await pageCount(english)).toBe(1);
+
+    // Spanish version first, then the English one, in a single document
+    const bilingual = await pdfService.generateHojaEncargo(caseData, { services: "Advice", fees: 900, bilingual: true });
+    expect(await pageCount(bilingual)).toBe(2);
+  });
+
+  it("should give templates the linked client and no credentials", () => {
+    const context = buildContext(
+      { id: caseId, clientName: "Template Test Client", clientId },
+      { fees: 900 },
+      { vat_rate: 21, smtp_password: "secret", certificate_path: "/certs/aca.p12" }
+    );
+
+    expect(context.client).toMatchObject({ name: "Template Test Client", nif: "12345678Z", email: "tpl@example.com" });
+    expect(context.config).toEqual({ vat_rate: 21 });
+    expect(context.document.fees).toBe(900);
+    expect(context.document.date).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+  });
+
+  it("should preview with a real case or with sample data", async () => {
+    const preview = getPreviewContext("HOJA_ENCARGO", caseId);
+    expect(preview.case.internalReference).toBe("IY-TPL-001");
+    expect(preview.document.services).toBeTruthy();
+    expect(getPreviewContext("SUPLIDO").document.district).toBeTruthy();
+    expect(() => getPreviewContext("MINUTA", 999999)).toThrow(NotFoundError);
+
+    const pdf = await new PDFGeneratorService().renderTemplateToBuffer(getBody("MINUTA"), getPreviewContext("MINUTA"));
+    expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Document Version Service Tests
+ * Immutable versions with SHA-256 hashes, integrity checks and version downloads
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdirSync, rmSync, unlinkSync, writeFileSync } from "fs";
+import { join } from "path";
+import {
+  INTEGRITY_STATUS,
+  VERSION_REASONS,
+  listVersions,
+  registerMissingVersions,
+  sha256,
+  verifyDocument,
+  verifyDocuments,
+} from "../services/documentVersionService.js";
+import { DocumentHistoryService } from "../services/documentHistoryService.js";
+import { getVersionFile, listVersions as listCaseDocumentVersions } from "../services/caseDocumentService.js";
+import { NotFoundError } from "../errors.js";
+import { execute, queryOne } from "../database.js";
+
+const TEST_DOCS_PATH = "./data/documents/test-document-versions";
+
+/**
+ * Write a test file
+ * @param {string} name - File name
+ * @param {string} content - File content
+ * @returns {string} Path
+ */
+function writeTestFile(name, content) {
+  const path = join(TEST_DOCS_PATH, name);
+  writeFileSync(path, content);
+  return path;
+}
+
+describe("Document Version Service", () => {
+  const documentHistory = new DocumentHistoryService();
+  let caseId;
+  let hojaId;
+
+  beforeAll(() => {
+    mkdirSync(TEST_DOCS_PATH, { recursive: true });
+    caseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+       VALUES ('PARTICULAR', 'ABIERTO', 'Versions Test', 'IY-VER-001', date('now'))`
+    ).lastInsertRowid;
+  });
+
+  afterAll(() => {
+    execute("DELETE FROM search_index WHERE case_id = ?", [caseId]);
+    execute(
+      "DELETE FROM document_versions WHERE document_id IN (SELECT id FROM document_history WHERE case_id = ?)",
+      [caseId]
+    );
+    execute("DELETE FROM document_history WHERE case_id = ?", [caseId]);
+    execute("DELETE FROM cases WHERE id = ?", [caseId]);
+    rmSync(TEST_DOCS_PATH, { recursive: true, force: true });
+  });
+
+  it("should record the hash of the file when a document is created", () => {
+    const filePath = writeTestFile("hoja_encargo.pdf", "%PDF hoja de encargo sin firmar");
+    const doc = documentHistory.create({ caseId, documentType: "HOJA_ENCARGO", filePath });
+    hojaId = doc.id;
+
+    expect(doc.sha256).toBe(sha256("%PDF hoja de encargo sin firmar"));
+    expect(listVersions(doc.id)).toMatchObject([
+      { versionNumber: 1, filePath, sha256: doc.sha256, fileSize: 31, reason: VERSION_REASONS.CREATED },
+    ]);
+  });
+
+  it("should keep the unsigned file as a version when the signed one replaces it", async () => {
+    const signedPath = writeTestFile("hoja_encargo_signed.pdf", "%PDF hoja de encargo firmada");
+    documentHistory.updateSigned(hojaId, true);
+    documentHistory.updateFilePath(hojaId, signedPath);
+
+    const versions = listVersions(hojaId);
+    expect(versions.map((v) => v.reason)).toEqual([VERSION_REASONS.CREATED, VERSION_REASONS.SIGNED]);
+    expect(documentHistory.getById(hojaId)).toMatchObject({ file_path: signedPath, sha256: versions[1].sha256 });
+
+    const result = await verifyDocument(hojaId);
+    expect(result.status).toBe(INTEGRITY_STATUS.OK);
+    expect(result.versions.every((v) => v.actualSha256 === v.sha256)).toBe(true);
+  });
+
+  it("should not allow versions to be modified", () => {
+    expect(() =>
+      execute("UPDATE document_versions SET sha256 = NULL WHERE document_id = ?", [hojaId])
+    ).toThrow(/no se pueden modificar/);
+  });
+
+  it("should download every version of a document", () => {
+    expect(listCaseDocumentVersions(caseId, hojaId)).toMatchObject([
+      { versionNumber: 1, fileName: "hoja_encargo.pdf" },
+      { versionNumber: 2, fileName: "hoja_encargo_signed.pdf" },
+    ]);
+    expect(getVersionFile(caseId, hojaId, 1)).toMatchObject({
+      fileName: "hoja_encargo.pdf",
+      path: join(TEST_DOCS_PATH, "hoja_encargo.pdf"),
+    });
+    expect(getVersionFile(caseId, hojaId, 2).fileName).toBe("hoja_encargo_signed.pdf");
+    expect(() => getVersionFile(caseId, hojaId, 3)).toThrow(NotFoundError);
+  });
+
+  it("should detect modified and missing files", async () => {
+    const [unsigned, signed] = listVersions(hojaId);
+
+    writeFileSync(unsigned.filePath, "%PDF hoja de encargo alterada");
+    expect((await verifyDocument(hojaId)).status).toBe(INTEGRITY_STATUS.MODIFIED);
+
+    writeFileSync(unsigned.filePath, "%PDF hoja de encargo sin firmar");
+    unlinkSync(signed.filePath);
+    const result = await verifyDocument(hojaId);
+    expect(result.status).toBe(INTEGRITY_STATUS.MISSING);
+    expect(result.versions.map((v) => v.status)).toEqual([INTEGRITY_STATUS.OK, INTEGRITY_STATUS.MISSING]);
+  });
+
+  it("should register documents created before versioning and check them with the case", async () => {
+    const filePath = writeTestFile("minuta_antigua.pdf", "%PDF minuta antigua");
+    const legacyId = execute(
+      `INSERT INTO document_history (case_id, document_type, file_path, generated_at, signed)
+       VALUES (?, 'MINUTA', ?, datetime('now'), 0)`,
+      [caseId, filePath]
+    ).lastInsertRowid;
+
+    expect(registerMissingVersions()).toBeGreaterThanOrEqual(1);
+    expect(listVersions(legacyId)).toMatchObject([
+      { versionNumber: 1, reason: VERSION_REASONS.BACKFILL, sha256: sha256("%PDF minuta antigua") },
+    ]);
+    expect(queryOne("SELECT sha256 FROM document_history WHERE id = ?", [legacyId]).sha256).toBe(
+      sha256("%PDF minuta antigua")
+    );
+
+    // Deleted documents keep their files and are checked too
+    documentHistory.delete(legacyId);
+    const report = await verifyDocuments(caseId);
+    expect(report.documents).toEqual([
+      expect.objectContaining({ documentId: hojaId, status: INTEGRITY_STATUS.MISSING, deleted: false }),
+      expect.objectContaining({ documentId: legacyId, status: INTEGRITY_STATUS.OK, deleted: true }),
+    ]);
+    expect(report.versions).toBe(3);
+    expect(report.counts).toMatchObject({ [INTEGRITY_STATUS.OK]: 2, [INTEGRITY_STATUS.MISSING]: 1 });
+    expect(report.problems).toHaveLength(1);
+  });
+});
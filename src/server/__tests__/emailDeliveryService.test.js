@@ -0,0 +1,353 @@
+/**
+ * Email Delivery Service Tests
+ * Delivery status notifications (DSN) matched to the emails sent by their
+ * Message-ID: BOUNCED and DELIVERED, the bounced minutas notification and the
+ * reports that reach the inbound mailbox
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync, mkdirSync, rmSync, unlinkSync, writeFileSync } from "fs";
+import { join } from "path";
+import {
+  DELIVERY_STATUS,
+  fetchNow,
+  parseDeliveryReport,
+  processMessage,
+} from "../services/emailDeliveryService.js";
+import { fetchNow as fetchInbound } from "../services/inboundEmailService.js";
+import { enqueue, processOutbox } from "../services/emailOutboxService.js";
+import { getNotifications } from "../services/notificationService.js";
+import { update as updateConfig } from "../services/configurationService.js";
+import { execute, query, queryOne } from "../database.js";
+import { createFakeEmailService } from "./helpers/fakeEmailService.js";
+
+const TEST_DIR = "./data/documents/test-email-delivery";
+const BOUNCES = `${TEST_DIR}/Bounces`;
+const INBOX = `${TEST_DIR}/Inbox`;
+const CONFIG_KEYS = ["bounce_email_source", "bounce_email_path", "inbound_email_source", "inbound_email_path"];
+const RUN = Date.now();
+
+/**
+ * Delivery status notification (RFC 3464) about an email sent
+ * @param {Object} options - { messageId, recipient, action, status, diagnostic, original }
+ */
+function report({ messageId, recipient, action, status, diagnostic, original = "text/rfc822-headers" }) {
+  const fields = [`Final-Recipient: rfc822; ${recipient}`, `Action: ${action}`, `Status: ${status}`];
+  if (diagnostic) {
+    // Long diagnostics come folded over several lines
+    const fold = diagnostic.indexOf(" ", 30);
+    fields.push(`Diagnostic-Code: smtp; ${diagnostic.slice(0, fold)}`, `    ${diagnostic.slice(fold + 1)}`);
+  }
+  return [
+    "Return-Path: <>",
+    "From: Mail Delivery System <MAILER-DAEMON@mx.example.com>",
+    "To: despacho@example.com",
+    `Subject: ${action === "failed" ? "Undelivered Mail Returned to Sender" : "Delivery Status Notification"}`,
+    `Message-ID: <${RUN}-${Math.random().toString(36).slice(2)}@mx.example.com>`,
+    "MIME-Version: 1.0",
+    'Content-Type: multipart/report; report-type=delivery-status;',
+    '\tboundary="dsn"',
+    "",
+    "--dsn",
+    "Content-Type: text/plain; charset=us-ascii",
+    "",
+    "This is the mail system at host mx.example.com.",
+    "",
+    "--dsn",
+    "Content-Type: message/delivery-status",
+    "",
+    "Reporting-MTA: dns; mx.example.com",
+    "",
+    ...fields,
+    "",
+    "--dsn",
+    `Content-Type: ${original}`,
+    "",
+    "From: despacho@example.com",
+    `To: ${recipient}`,
+    `Message-ID: ${messageId}`,
+    "Subject: Minuta",
+    "",
+    "--dsn--",
+    "",
+  ].join("\r\n");
+}
+
+/**
+ * Deliver a message to a test maildir
+ */
+function deliver(maildir, name, content) {
+  writeFileSync(join(maildir, "new", name), content);
+}
+
+describe("Email Delivery Service", () => {
+  let caseId;
+  let minutaId;
+
+  /**
+   * Send an email of the case through the outbox
+   * @returns {Object} email_history row
+   */
+  const sendEmail = async (options = {}) => {
+    const queued = enqueue({
+      caseId,
+      documentId: options.documentId ?? null,
+      recipient: options.recipient || "facturacion@arag.example",
+      subject: options.subject || "Minuta",
+      body: "Adjunto la minuta.",
+    });
+    await processOutbox({ emailService: createFakeEmailService() });
+    const { email_history_id: historyId } = queryOne("SELECT email_history_id FROM email_outbox WHERE id = ?", [
+      queued.id,
+    ]);
+    return queryOne("SELECT * FROM email_history WHERE id = ?", [historyId]);
+  };
+
+  const getHistory = (id) => queryOne("SELECT * FROM email_history WHERE id = ?", [id]);
+
+  beforeAll(() => {
+    for (const maildir of [BOUNCES, INBOX]) {
+      for (const dir of ["new", "cur", "tmp"]) mkdirSync(join(maildir, dir), { recursive: true });
+    }
+    caseId = Number(
+      execute(
+        `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+         VALUES ('ARAG', 'ABIERTO', 'Luis Bounce', 'IY-99-950', date('now'))`
+      ).lastInsertRowid
+    );
+    minutaId = Number(
+      execute(
+        `INSERT INTO document_history (case_id, document_type, file_path, generated_at)
+         VALUES (?, 'MINUTA', ?, datetime('now'))`,
+        [caseId, `${TEST_DIR}/minuta.pdf`]
+      ).lastInsertRowid
+    );
+  });
+
+  afterAll(() => {
+    execute("DELETE FROM email_outbox WHERE case_id = ?", [caseId]);
+    execute("DELETE FROM email_history WHERE case_id = ?", [caseId]);
+    for (const row of query("SELECT raw_path FROM inbound_emails WHERE dedupe_key LIKE ?", [`<${RUN}-%`])) {
+      if (existsSync(row.raw_path)) unlinkSync(row.raw_path);
+    }
+    execute("DELETE FROM inbound_emails WHERE dedupe_key LIKE ?", [`<${RUN}-%`]);
+    execute("DELETE FROM search_index WHERE case_id = ?", [caseId]);
+    execute("DELETE FROM document_history WHERE case_id = ?", [caseId]);
+    execute("DELETE FROM cases WHERE id = ?", [caseId]);
+    execute(`DELETE FROM configuration WHERE key IN (${CONFIG_KEYS.map(() => "?").join(", ")})`, CONFIG_KEYS);
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it("should read the recipients and the original Message-ID of a report", async () => {
+    const parsed = await parseDeliveryReport(
+      report({
+        messageId: "<abc-123@example.com>",
+        recipient: "nadie@arag.example",
+        action: "failed",
+        status: "5.1.1",
+        diagnostic: "550 5.1.1 <nadie@arag.example>: Recipient address rejected: User unknown",
+        original: "message/rfc822",
+      })
+    );
+
+    expect(parsed).toEqual({
+      messageIds: ["<abc-123@example.com>"],
+      recipients: [
+        {
+          recipient: "nadie@arag.example",
+          action: "failed",
+          status: "5.1.1",
+          diagnostic: "550 5.1.1 <nadie@arag.example>: Recipient address rejected: User unknown",
+        },
+      ],
+    });
+    expect(await parseDeliveryReport("From: ana@example.com\r\nSubject: Hola\r\n\r\nTexto\r\n")).toBeNull();
+  });
+
+  it("should decode quoted-printable reports", async () => {
+    const raw = report({ messageId: "<qp-1@example.com>", recipient: "nadie@arag.example", action: "failed", status: "5.1.1" })
+      .replace(
+        "Content-Type: message/delivery-status\r\n",
+        "Content-Type: message/delivery-status\r\nContent-Transfer-Encoding: quoted-printable\r\n"
+      )
+      .replace(
+        "Status: 5.1.1",
+        "Status: 5.1.1\r\nDiagnostic-Code: smtp; 550 5.1.1 Buz=C3=B3n inexistente: la direcci=C3=B3n no =\r\nexiste"
+      );
+
+    expect((await parseDeliveryReport(raw)).recipients).toEqual([
+      {
+        recipient: "nadie@arag.example",
+        action: "failed",
+        status: "5.1.1",
+        diagnostic: "550 5.1.1 Buzón inexistente: la dirección no existe",
+      },
+    ]);
+  });
+
+  it("should read bounces written as plain text", async () => {
+    const email = await sendEmail({ documentId: minutaId, recipient: "antiguo@arag.example" });
+    const bounce = (from, subject) =>
+      [
+        `From: ${from}`,
+        "To: despacho@example.com",
+        `Subject: ${subject}`,
+        `Message-ID: <${RUN}-${Math.random().toString(36).slice(2)}@mx.example.com>`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        "I'm sorry to have to inform you that your message could not be delivered.",
+        "",
+        "<antiguo@arag.example>: host mx.arag.example said: 550 5.1.1 User unknown",
+        "",
+        "------ This is a copy of the message's headers. ------",
+        "",
+        "> From: despacho@example.com",
+        `> Message-ID: ${email.message_id}`,
+        "> Subject: Minuta",
+        "",
+      ].join("\r\n");
+
+    // Not from the mail system, or not a bounce subject: an ordinary email
+    expect(await processMessage(bounce("ana@example.com", "failure notice"))).toBeNull();
+    expect(await processMessage(bounce("postmaster@mx.example.com", "Re: Minuta"))).toBeNull();
+
+    expect(await processMessage(bounce("MAILER-DAEMON@mx.example.com", "failure notice"))).toMatchObject({
+      matched: true,
+      status: DELIVERY_STATUS.BOUNCED,
+    });
+    expect(getHistory(email.id)).toMatchObject({
+      status: DELIVERY_STATUS.BOUNCED,
+      error_message: "antiguo@arag.example: 550 5.1.1 User unknown",
+    });
+  });
+
+  it("should keep the Message-ID of the emails sent", async () => {
+    const email = await sendEmail({ documentId: minutaId });
+
+    expect(email.status).toBe("SENT");
+    expect(email.message_id).toMatch(/^<\d+-\d+@test>$/);
+  });
+
+  it("should mark bounced emails from the delivery reports mailbox", async () => {
+    const email = await sendEmail({ documentId: minutaId, recipient: "nadie@arag.example" });
+    updateConfig({ bounce_email_source: "maildir", bounce_email_path: BOUNCES });
+    deliver(
+      BOUNCES,
+      "1.bounce",
+      report({
+        messageId: email.message_id,
+        recipient: "nadie@arag.example",
+        action: "failed",
+        status: "5.1.1",
+        diagnostic: "550 5.1.1 Recipient address rejected: User unknown",
+      })
+    );
+    deliver(BOUNCES, "2.other", "From: ana@example.com\r\nSubject: Hola\r\n\r\nTexto\r\n");
+
+    expect(await fetchNow()).toMatchObject({ read: 2, reports: 1, bounced: 1, delivered: 0, unmatched: 0 });
+
+    const bounced = getHistory(email.id);
+    expect(bounced.status).toBe(DELIVERY_STATUS.BOUNCED);
+    expect(bounced.error_message).toBe("nadie@arag.example: 550 5.1.1 Recipient address rejected: User unknown");
+    expect(bounced.delivery_updated_at).not.toBeNull();
+
+    // A later delivery report does not hide the bounce
+    await processMessage(report({ messageId: email.message_id, recipient: "nadie@arag.example", action: "delivered", status: "2.0.0" }));
+    expect(getHistory(email.id).status).toBe(DELIVERY_STATUS.BOUNCED);
+  });
+
+  it("should mark delivered emails and ignore delays", async () => {
+    const email = await sendEmail({ subject: "Documentación" });
+    const reportOf = (action, status) =>
+      report({ messageId: email.message_id, recipient: "facturacion@arag.example", action, status });
+
+    expect(await processMessage(reportOf("delayed", "4.4.1"))).toMatchObject({ matched: true, status: null, emails: [] });
+    expect(getHistory(email.id).status).toBe("SENT");
+
+    expect(await processMessage(reportOf("delivered", "2.0.0"))).toMatchObject({
+      matched: true,
+      status: DELIVERY_STATUS.DELIVERED,
+    });
+    expect(getHistory(email.id)).toMatchObject({ status: DELIVERY_STATUS.DELIVERED, error_message: null });
+
+    expect(await processMessage(report({ messageId: "<unknown@example.com>", recipient: "x@example.com", action: "failed", status: "5.0.0" })))
+      .toMatchObject({ matched: false });
+  });
+
+  it("should notify bounced minutas as critical until the minuta is sent again", async () => {
+    const bouncedMinutas = () => getNotifications().notifications.find((n) => n.type === "bounced_minutas");
+
+    const notification = bouncedMinutas();
+    expect(notification).toMatchObject({ severity: "critical" });
+    expect(notification.caseIds).toContain(caseId);
+    expect(notification.items.find((item) => item.caseId === caseId)).toMatchObject({
+      reference: "IY-99-950",
+      caseType: "ARAG",
+      error: expect.stringContaining("User unknown"),
+    });
+
+    await sendEmail({ documentId: minutaId, recipient: "facturacion@arag.example" });
+    expect(bouncedMinutas()?.caseIds ?? []).not.toContain(caseId);
+  });
+
+  it("should notify bounced rectificativas until that document is sent again", async () => {
+    const rectificativaId = Number(
+      execute(
+        `INSERT INTO document_history (case_id, document_type, file_path, generated_at, rectifies_document_id)
+         VALUES (?, 'MINUTA_RECTIFICATIVA', ?, datetime('now'), ?)`,
+        [caseId, `${TEST_DIR}/rectificativa.pdf`, minutaId]
+      ).lastInsertRowid
+    );
+    const email = await sendEmail({ documentId: rectificativaId, recipient: "nadie@arag.example" });
+    await processMessage(report({ messageId: email.message_id, recipient: "nadie@arag.example", action: "failed", status: "5.1.1" }));
+    const bouncedCases = () =>
+      getNotifications().notifications.find((n) => n.type === "bounced_minutas")?.caseIds ?? [];
+    expect(bouncedCases()).toContain(caseId);
+
+    // Sending the minuta it replaces again does not deliver the rectificativa
+    await sendEmail({ documentId: minutaId, recipient: "facturacion@arag.example" });
+    expect(bouncedCases()).toContain(caseId);
+
+    await sendEmail({ documentId: rectificativaId, recipient: "facturacion@arag.example" });
+    expect(bouncedCases()).not.toContain(caseId);
+
+    // A bounced minuta is settled by sending its rectificativa
+    const minuta = await sendEmail({ documentId: minutaId, recipient: "nadie@arag.example" });
+    await processMessage(report({ messageId: minuta.message_id, recipient: "nadie@arag.example", action: "failed", status: "5.1.1" }));
+    expect(bouncedCases()).toContain(caseId);
+    await sendEmail({ documentId: rectificativaId, recipient: "facturacion@arag.example" });
+    expect(bouncedCases()).not.toContain(caseId);
+  });
+
+  it("should apply reports reaching the inbound mailbox instead of importing them", async () => {
+    const email = await sendEmail({ subject: "Minuta IY-99-950" });
+    updateConfig({ inbound_email_source: "maildir", inbound_email_path: INBOX });
+    deliver(
+      INBOX,
+      "1.bounce",
+      report({ messageId: email.message_id, recipient: "facturacion@arag.example", action: "failed", status: "5.2.2" })
+    );
+    // Reports about emails the application did not send are imported as usual
+    deliver(
+      INBOX,
+      "2.bounce",
+      report({ messageId: `<${RUN}-outlook@example.com>`, recipient: "otro@example.com", action: "failed", status: "5.1.1" })
+    );
+
+    expect(await fetchInbound()).toMatchObject({ read: 2, deliveryReports: 1, imported: 1 });
+    expect(getHistory(email.id)).toMatchObject({
+      status: DELIVERY_STATUS.BOUNCED,
+      error_message: "facturacion@arag.example: 5.2.2",
+    });
+    expect(query("SELECT subject FROM inbound_emails WHERE dedupe_key LIKE ?", [`<${RUN}-%`])).toEqual([
+      { subject: "Undelivered Mail Returned to Sender" },
+    ]);
+  });
+
+  it("should report a delivery reports mailbox that is not configured", async () => {
+    updateConfig({ bounce_email_source: "" });
+    await expect(fetchNow()).rejects.toMatchObject({ messageCode: "EMAIL_DELIVERY_SOURCE_NOT_CONFIGURED" });
+
+    updateConfig({ bounce_email_source: "maildir", bounce_email_path: `${TEST_DIR}/missing` });
+    await expect(fetchNow()).rejects.toMatchObject({ messageCode: "EMAIL_DELIVERY_SOURCE_UNAVAILABLE" });
+  });
+});
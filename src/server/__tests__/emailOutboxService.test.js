@@ -0,0 +1,238 @@
+/**
+ * Email Outbox Service Tests
+ * Queued emails, retries with exponential backoff and the dead letter state
+ */
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from "vitest";
+import { mkdirSync, rmSync, writeFileSync } from "fs";
+import {
+  OUTBOX_STATUS,
+  BACKOFF_BASE_SECONDS,
+  BACKOFF_MAX_SECONDS,
+  cancel,
+  enqueue,
+  getBackoffSeconds,
+  getById,
+  getSummary,
+  list,
+  processOutbox,
+  requeueFailedEmail,
+  retry,
+} from "../services/emailOutboxService.js";
+import { EmailHistoryService } from "../services/emailHistoryService.js";
+import { SmtpError } from "../services/emailService.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors.js";
+import { execute, queryOne } from "../database.js";
+import { createFakeEmailService } from "./helpers/fakeEmailService.js";
+
+const TEST_DIR = "./data/documents/test-email-outbox";
+const ATTACHMENT = `${TEST_DIR}/minuta.pdf`;
+
+/**
+ * Error as mapped by EmailService from a nodemailer error code
+ */
+function smtpError(code) {
+  return new SmtpError(`Error ${code}`, "Fallo de prueba.", "Reintente.", code);
+}
+
+/**
+ * Make a queued email due now (instead of waiting for the backoff)
+ */
+function makeDue(id) {
+  execute("UPDATE email_outbox SET next_attempt_at = datetime('now', '-1 second') WHERE id = ?", [id]);
+}
+
+describe("Email Outbox Service", () => {
+  let caseId;
+  let emailService;
+
+  const queue = (overrides = {}) =>
+    enqueue({
+      caseId,
+      recipient: "facturacion@example.com",
+      subject: "Minuta - Ref: TEST-OUTBOX",
+      body: "Adjunto la minuta.",
+      attachmentPath: ATTACHMENT,
+      ...overrides,
+    });
+
+  beforeAll(() => {
+    mkdirSync(TEST_DIR, { recursive: true });
+    writeFileSync(ATTACHMENT, "%PDF-1.4\n");
+    caseId = Number(
+      execute(
+        `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+         VALUES ('PARTICULAR', 'ABIERTO', 'Marta Ruiz', 'IY-26-OUT', date('now'))`
+      ).lastInsertRowid
+    );
+  });
+
+  beforeEach(() => {
+    emailService = createFakeEmailService();
+  });
+
+  afterAll(() => {
+    execute("DELETE FROM email_outbox WHERE case_id = ?", [caseId]);
+    execute("DELETE FROM email_history WHERE case_id = ?", [caseId]);
+    execute("DELETE FROM cases WHERE id = ?", [caseId]);
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it("should double the delay after each failure up to the maximum", () => {
+    expect(getBackoffSeconds(1)).toBe(BACKOFF_BASE_SECONDS);
+    expect(getBackoffSeconds(2)).toBe(BACKOFF_BASE_SECONDS * 2);
+    expect(getBackoffSeconds(3)).toBe(BACKOFF_BASE_SECONDS * 4);
+    expect(getBackoffSeconds(30)).toBe(BACKOFF_MAX_SECONDS);
+  });
+
+  it("should send a queued email and record it in the case history", async () => {
+    const queued = queue();
+    expect(queued).toMatchObject({
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      maxAttempts: 6,
+      caseReference: "IY-26-OUT",
+      attachmentName: "minuta.pdf",
+    });
+
+    const result = await processOutbox({ emailService });
+    expect(result.sent).toBeGreaterThanOrEqual(1);
+    expect(emailService.sent).toContainEqual(
+      expect.objectContaining({ to: "facturacion@example.com", attachmentPath: ATTACHMENT })
+    );
+
+    const sent = getById(queued.id);
+    expect(sent).toMatchObject({ status: OUTBOX_STATUS.SENT, attempts: 1, lastError: null });
+    expect(sent.sentAt).toBeTruthy();
+    expect(new EmailHistoryService().getById(sent.emailHistoryId)).toMatchObject({
+      case_id: caseId,
+      status: "SENT",
+    });
+  });
+
+  it("should leave emails waiting while SMTP is not configured", async () => {
+    const queued = queue();
+    const result = await processOutbox({ emailService: { isConfigured: () => false } });
+
+    expect(result.skipped).toBe(true);
+    expect(getById(queued.id)).toMatchObject({ status: OUTBOX_STATUS.PENDING, attempts: 0 });
+    cancel(queued.id);
+  });
+
+  it("should retry with backoff and move to dead letter after the last attempt", async () => {
+    const queued = queue();
+    execute("UPDATE email_outbox SET max_attempts = 2 WHERE id = ?", [queued.id]);
+    emailService.failures.push(smtpError("ECONNREFUSED"));
+
+    await processOutbox({ emailService });
+    const waiting = getById(queued.id);
+    expect(waiting).toMatchObject({ status: OUTBOX_STATUS.PENDING, attempts: 1 });
+    expect(waiting.lastError).toMatch(/ECONNREFUSED/);
+    const delay = queryOne(
+      `SELECT strftime('%s', next_attempt_at) - strftime('%s', 'now') AS seconds
+       FROM email_outbox WHERE id = ?`,
+      [queued.id]
+    ).seconds;
+    expect(delay).toBeGreaterThan(BACKOFF_BASE_SECONDS - 5);
+    expect(delay).toBeLessThanOrEqual(BACKOFF_BASE_SECONDS);
+
+    // Not due yet: nothing is sent
+    await processOutbox({ emailService });
+    expect(getById(queued.id).attempts).toBe(1);
+
+    makeDue(queued.id);
+    emailService.failures.push(smtpError("ECONNREFUSED"));
+    const result = await processOutbox({ emailService });
+    expect(result.deadLettered).toBe(1);
+
+    const dead = getById(queued.id);
+    expect(dead).toMatchObject({ status: OUTBOX_STATUS.DEAD_LETTER, attempts: 2 });
+    expect(new EmailHistoryService().getById(dead.emailHistoryId)).toMatchObject({ status: "ERROR" });
+    expect(getSummary()[OUTBOX_STATUS.DEAD_LETTER]).toBeGreaterThanOrEqual(1);
+    expect(list({ status: OUTBOX_STATUS.DEAD_LETTER, caseId }).map((email) => email.id)).toContain(queued.id);
+
+    // Retrying from the panel starts over
+    expect(retry(queued.id)).toMatchObject({ status: OUTBOX_STATUS.PENDING, attempts: 0 });
+    await processOutbox({ emailService });
+    expect(getById(queued.id).status).toBe(OUTBOX_STATUS.SENT);
+    expect(() => retry(queued.id)).toThrow(ConflictError);
+  });
+
+  it("should not retry rejected recipients or missing attachments", async () => {
+    const rejected = queue({ recipient: "nadie@example.invalid" });
+    emailService.failures.push(smtpError("EENVELOPE"));
+    const missing = queue({ attachmentPath: `${TEST_DIR}/borrado.pdf` });
+
+    await processOutbox({ emailService });
+
+    expect(getById(rejected.id)).toMatchObject({ status: OUTBOX_STATUS.DEAD_LETTER, attempts: 1 });
+    const dead = getById(missing.id);
+    expect(dead.status).toBe(OUTBOX_STATUS.DEAD_LETTER);
+    expect(dead.lastError).toMatch(/borrado\.pdf/);
+  });
+
+  it("should queue again the email of a failed history record", async () => {
+    const queued = queue();
+    execute("UPDATE email_outbox SET max_attempts = 1 WHERE id = ?", [queued.id]);
+    emailService.failures.push(smtpError("ETIMEDOUT"));
+    await processOutbox({ emailService });
+    const historyEmail = new EmailHistoryService().getById(getById(queued.id).emailHistoryId);
+
+    // The dead letter entry is reused, and only once
+    expect(requeueFailedEmail(historyEmail, ATTACHMENT).id).toBe(queued.id);
+    expect(getById(queued.id).status).toBe(OUTBOX_STATUS.PENDING);
+    expect(() => requeueFailedEmail(historyEmail, ATTACHMENT)).toThrow(ConflictError);
+
+    // Nor once the retry was sent
+    await processOutbox({ emailService });
+    expect(getById(queued.id).status).toBe(OUTBOX_STATUS.SENT);
+    expect(() => requeueFailedEmail(historyEmail, ATTACHMENT)).toThrow(ConflictError);
+
+    // Failures from before the outbox existed are queued anew
+    const legacy = new EmailHistoryService().create({
+      caseId,
+      recipient: "facturacion@example.com",
+      subject: "Minuta antigua",
+      status: "ERROR",
+      errorMessage: "timeout",
+    });
+    const requeued = requeueFailedEmail(legacy, ATTACHMENT, "en");
+    expect(requeued.id).not.toBe(queued.id);
+    expect(requeued).toMatchObject({ status: OUTBOX_STATUS.PENDING, subject: "Minuta antigua" });
+    expect(() => requeueFailedEmail(new EmailHistoryService().getById(legacy.id), ATTACHMENT)).toThrow(
+      ConflictError
+    );
+
+    await processOutbox({ emailService });
+    expect(emailService.sent.find((email) => email.subject === "Minuta antigua")).toMatchObject({
+      body: null,
+      language: "en",
+    });
+  });
+
+  it("should queue a copy of a cancelled email with its body", async () => {
+    const queued = queue({ subject: "Minuta cancelada", bodyHtml: "<p>Adjunto la minuta.</p>" });
+    execute("UPDATE email_outbox SET max_attempts = 1 WHERE id = ?", [queued.id]);
+    emailService.failures.push(smtpError("ETIMEDOUT"));
+    await processOutbox({ emailService });
+    const historyEmail = new EmailHistoryService().getById(getById(queued.id).emailHistoryId);
+    cancel(queued.id);
+
+    const copy = requeueFailedEmail(historyEmail, null);
+    expect(copy.id).not.toBe(queued.id);
+    expect(getById(queued.id).status).toBe(OUTBOX_STATUS.CANCELLED);
+
+    await processOutbox({ emailService });
+    expect(emailService.sent.find((email) => email.subject === "Minuta cancelada")).toMatchObject({
+      body: "Adjunto la minuta.",
+      html: "<p>Adjunto la minuta.</p>",
+    });
+  });
+
+  it("should cancel pending emails only", () => {
+    const queued = queue();
+    expect(cancel(queued.id).status).toBe(OUTBOX_STATUS.CANCELLED);
+    expect(() => cancel(queued.id)).toThrow(ConflictError);
+    expect(() => getById(999999)).toThrow(NotFoundError);
+    expect(() => list({ status: "LOST" })).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Email Template Service Tests
+ * Property 8: Email Subject Format (default templates)
+ * Validates: Requirements 4.3
+ * Editable templates: validation, HTML escaping, signature and restoring defaults
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import fc from "fast-check";
+import {
+  EMAIL_TEMPLATE_KEYS,
+  get,
+  list,
+  preview,
+  render,
+  reset,
+  update,
+} from "../services/emailTemplateService.js";
+import { update as updateConfig } from "../services/configurationService.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { execute } from "../database.js";
+
+const digits = fc.stringOf(fc.constantFrom("0", "1", "2", "3", "4", "5", "6", "7", "8", "9"), {
+  minLength: 6,
+  maxLength: 6,
+});
+
+/**
+ * Case as the workflows pass it
+ */
+function aragCase(aragReference, language = "es") {
+  return { id: 1, type: "ARAG", clientName: "Cliente Email", internalReference: "IY000001", aragReference, language };
+}
+
+describe("Email Template Service", () => {
+  let caseId;
+
+  beforeAll(() => {
+    EMAIL_TEMPLATE_KEYS.forEach((key) => ["es", "en"].forEach((language) => reset(key, language)));
+    caseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+       VALUES ('PARTICULAR', 'ABIERTO', 'Email <Template> Client', 'IY-ETP-001', date('now'))`
+    ).lastInsertRowid;
+  });
+
+  afterAll(() => {
+    EMAIL_TEMPLATE_KEYS.forEach((key) => ["es", "en"].forEach((language) => reset(key, language)));
+    execute("DELETE FROM cases WHERE id = ?", [caseId]);
+    execute("DELETE FROM configuration WHERE key = 'email_signature'");
+  });
+
+  /**
+   * Property 8: Email Subject Format
+   * Validates: Requirements 4.3
+   */
+  it('should format the minuta subject as "{aragReference} - MINUTA"', () => {
+    fc.assert(
+      fc.property(digits, (value) => {
+        const aragReference = `DJ00${value}`;
+        const email = render("MINUTA", aragCase(aragReference), { invoiceNumber: "M-2026-0001", rectification: null });
+
+        expect(email.subject).toBe(`${aragReference} - MINUTA`);
+        expect(email.text).toBe(`Adjunto minuta (factura M-2026-0001) para el expediente ${aragReference}.`);
+        expect(email.html).toBeNull();
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it("should format the suplido subject with reference and district", () => {
+    const districts = ["Torrox", "Vélez-Málaga", "Torremolinos", "Fuengirola", "Marbella", "Estepona", "Antequera"];
+
+    fc.assert(
+      fc.property(digits, fc.constantFrom(...districts), (value, district) => {
+        const aragReference = `DJ00${value}`;
+        expect(render("SUPLIDO", aragCase(aragReference), { district, amount: 10 }).subject).toBe(
+          `${aragReference} - SUPLIDO - ${district}`
+        );
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it("should translate the emails for English-language cases", () => {
+    const englishCase = aragCase("DJ00123456", "en");
+    const rectification = { invoiceNumber: null, issueDate: "2025-12-01", reason: "Datos" };
+
+    expect(render("MINUTA", englishCase, { invoiceNumber: "M-2026-0001", rectification: null }).subject).toBe(
+      "DJ00123456 - FEE NOTE"
+    );
+    expect(render("MINUTA", englishCase, { invoiceNumber: "R-2026-0001", rectification })).toEqual({
+      subject: "DJ00123456 - CORRECTIVE INVOICE",
+      text: "Please find attached corrective invoice R-2026-0001 for case DJ00123456, which replaces fee note of 01/12/2025.",
+      html: null,
+    });
+    expect(render("SUPLIDO", englishCase, { district: "Torrox" }).subject).toBe(
+      "DJ00123456 - TRAVEL EXPENSES - Torrox"
+    );
+    expect(
+      render("MINUTA", aragCase("DJ00123456"), {
+        invoiceNumber: "R-2026-0002",
+        rectification: { ...rectification, invoiceNumber: "M-2025-0042" },
+      }).text
+    ).toBe("Adjunto factura rectificativa R-2026-0002 para el expediente DJ00123456, que sustituye a la minuta M-2025-0042.");
+  });
+
+  it("should list a template per email and language", () => {
+    expect(list().map((t) => `${t.templateKey}:${t.language}`)).toEqual([
+      "MINUTA:es",
+      "MINUTA:en",
+      "SUPLIDO:es",
+      "SUPLIDO:en",
+      "HOJA_ENCARGO:es",
+      "HOJA_ENCARGO:en",
+      "GENERIC:es",
+      "GENERIC:en",
+    ]);
+    expect(get("SUPLIDO").placeholders).toContain("document.district");
+    expect(get("GENERIC").placeholders).not.toContain("document.district");
+    expect(() => get("FACTURA")).toThrow(ValidationError);
+    expect(() => get("MINUTA", "fr")).toThrow(ValidationError);
+  });
+
+  it("should render a custom template with escaped HTML values and the signature", () => {
+    const saved = update(
+      "HOJA_ENCARGO",
+      {
+        subject: "Encargo {{case.internalReference}}\t- {{client.name}}",
+        text: "Hola {{client.name}},\n@adjunto la hoja de encargo.",
+        html: "<p>Hola <b>{{client.name}}</b></p>",
+      },
+      { id: 1 }
+    );
+    expect(saved).toMatchObject({ customized: true, updatedByUserId: 1 });
+    updateConfig({ email_signature: "Despacho García & Asociados\nTel. 952 000 000" });
+
+    const email = render("HOJA_ENCARGO", { clientName: "Ana <Ruiz>", internalReference: "IY-26-001" });
+    expect(email.subject).toBe("Encargo IY-26-001 - Ana <Ruiz>");
+    expect(email.text).toBe(
+      "Hola Ana <Ruiz>,\n@adjunto la hoja de encargo.\n\n-- \nDespacho García & Asociados\nTel. 952 000 000"
+    );
+    expect(email.html).toBe(
+      "<p>Hola <b>Ana &lt;Ruiz&gt;</b></p>\n" +
+        '<p class="signature">-- <br>Despacho García &amp; Asociados<br>Tel. 952 000 000</p>'
+    );
+
+    // Other languages keep their default
+    expect(get("HOJA_ENCARGO", "en").customized).toBe(false);
+
+    const restored = reset("HOJA_ENCARGO");
+    expect(restored.customized).toBe(false);
+    expect(restored.subject).toBe(restored.defaults.subject);
+  });
+
+  it("should reject invalid templates", () => {
+    const valid = { subject: "Asunto", text: "Texto" };
+    const errorOf = (content) => {
+      try {
+        update("GENERIC", content);
+      } catch (error) {
+        return error;
+      }
+      return null;
+    };
+
+    expect(errorOf({ ...valid, subject: " " })).toMatchObject({ messageCode: "EMAIL_TEMPLATE_PART_REQUIRED", field: "subject" });
+    expect(errorOf({ subject: "Asunto" })).toMatchObject({ messageCode: "EMAIL_TEMPLATE_PART_REQUIRED", field: "text" });
+    expect(errorOf({ ...valid, subject: "Línea 1\nLínea 2" })).toMatchObject({
+      messageCode: "EMAIL_TEMPLATE_SUBJECT_INVALID",
+    });
+    expect(errorOf({ ...valid, html: "<p>{{document.district}}</p>" })).toMatchObject({
+      messageCode: "EMAIL_TEMPLATE_SYNTAX_INVALID",
+      field: "html",
+    });
+    expect(errorOf({ ...valid, text: "{{#if case.aragReference}}sin cerrar" })).toBeInstanceOf(ValidationError);
+    expect(() => update("FACTURA", valid)).toThrow(ValidationError);
+    expect(get("GENERIC").customized).toBe(false);
+  });
+
+  it("should preview a template with sample data or a case", () => {
+    updateConfig({ email_signature: "" });
+
+    expect(preview("SUPLIDO")).toEqual({
+      subject: "DJ00123456 - SUPLIDO - Torrox",
+      text: "Adjunto suplido por desplazamiento a Torrox para el expediente DJ00123456.",
+      html: null,
+    });
+    expect(preview("MINUTA", null, null, "en").subject).toBe("DJ00123456 - CORRECTIVE INVOICE");
+
+    const email = preview("GENERIC", { subject: "{{case.internalReference}}", text: "x", html: "{{client.name}}" }, caseId);
+    expect(email).toEqual({ subject: "IY-ETP-001", text: "x", html: "Email &lt;Template&gt; Client" });
+    expect(() => preview("GENERIC", null, 999999)).toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Hearing Service Tests
+ * Hearings per case, upcoming list and per-user calendar feed
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import {
+  create,
+  list,
+  getUpcoming,
+  update,
+  deleteHearing,
+  normalizeStartsAt,
+  buildCalendarFeed,
+  HEARING_STATUS,
+} from "../services/hearingService.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { madridNow } from "../utils.js";
+import { execute } from "../database.js";
+
+describe("Hearing Service", () => {
+  let caseId;
+  let lawyerId;
+  let otherLawyerId;
+
+  beforeAll(() => {
+    const result = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date, judicial_district)
+       VALUES ('PARTICULAR', 'JUDICIAL', 'Hearing Test Client', 'IY-HR-001', date('now'), 'Marbella')`
+    );
+    caseId = result.lastInsertRowid;
+
+    execute("DELETE FROM users WHERE username LIKE 'test_hearing_%'");
+    lawyerId = execute(
+      `INSERT INTO users (username, password_hash, full_name, role)
+       VALUES ('test_hearing_ana', 'x', 'Ana Letrada', 'abogado')`
+    ).lastInsertRowid;
+    otherLawyerId = execute(
+      `INSERT INTO users (username, password_hash, full_name, role)
+       VALUES ('test_hearing_luis', 'x', 'Luis Letrado', 'abogado')`
+    ).lastInsertRowid;
+  });
+
+  afterAll(() => {
+    execute("DELETE FROM hearings WHERE case_id = ?", [caseId]);
+    execute("DELETE FROM cases WHERE id = ?", [caseId]);
+    execute("DELETE FROM users WHERE username LIKE 'test_hearing_%'");
+  });
+
+  it("should convert the current instant to Madrid wall-clock time", () => {
+    expect(madridNow(new Date("2026-07-15T08:30:00Z"))).toBe("2026-07-15T10:30"); // CEST
+    expect(madridNow(new Date("2026-12-31T23:30:00Z"))).toBe("2027-01-01T00:30"); // CET
+    expect(normalizeStartsAt("2026-11-03 09:05")).toBe("2026-11-03T09:05");
+    expect(normalizeStartsAt("2026-02-30T10:00")).toBeNull();
+    expect(normalizeStartsAt("2026-11-03T24:00")).toBeNull();
+  });
+
+  it("should validate the hearing input", () => {
+    const valid = { startsAt: "2026-11-03T10:30", court: "Juzgado de lo Social nº 1" };
+
+    expect(() => create(caseId, { ...valid, hearingType: "MEDIACION" })).toThrow(ValidationError);
+    expect(() => create(caseId, { ...valid, startsAt: "03/11/2026 10:30" })).toThrow(
+      ValidationError
+    );
+    expect(() => create(caseId, { ...valid, durationMinutes: 0 })).toThrow(ValidationError);
+    expect(() => create(caseId, { ...valid, court: "  " })).toThrow(ValidationError);
+    expect(() => create(caseId, { ...valid, judicialDistrict: "Málaga" })).toThrow(
+      ValidationError
+    );
+    expect(() => create(caseId, { ...valid, lawyerUserId: 999999999 })).toThrow(ValidationError);
+    expect(() => create(999999999, valid)).toThrow(NotFoundError);
+  });
+
+  it("should create hearings with the case district and list them chronologically", () => {
+    const later = create(caseId, {
+      hearingType: "JUICIO",
+      startsAt: "2026-11-20T12:00",
+      court: "Juzgado de Primera Instancia nº 3",
+      lawyerUserId: lawyerId,
+    });
+    const earlier = create(caseId, {
+      hearingType: "AUDIENCIA_PREVIA",
+      startsAt: "2026-11-05 09:30",
+      durationMinutes: "30",
+      court: "Juzgado de Primera Instancia nº 3",
+      judicialDistrict: "",
+    });
+
+    expect(later.judicialDistrict).toBe("Marbella");
+    expect(later.lawyerName).toBe("Ana Letrada");
+    expect(later.status).toBe(HEARING_STATUS.SCHEDULED);
+    expect(earlier.startsAt).toBe("2026-11-05T09:30");
+    expect(earlier.durationMinutes).toBe(30);
+    expect(earlier.judicialDistrict).toBeNull();
+
+    expect(list({ caseId }).map((h) => h.id)).toEqual([earlier.id, later.id]);
+    expect(list({ caseId, to: "2026-11-05" }).map((h) => h.id)).toEqual([earlier.id]);
+  });
+
+  it("should list upcoming scheduled hearings only", () => {
+    const now = new Date("2026-11-01T09:00:00Z");
+    const upcoming = getUpcoming({ now, days: 30 }).filter((h) => h.caseId === caseId);
+    expect(upcoming.map((h) => h.startsAt)).toEqual(["2026-11-05T09:30", "2026-11-20T12:00"]);
+
+    update(upcoming[0].id, { status: HEARING_STATUS.POSTPONED });
+    const remaining = getUpcoming({ now, days: 30 }).filter((h) => h.caseId === caseId);
+    expect(remaining.map((h) => h.startsAt)).toEqual(["2026-11-20T12:00"]);
+    expect(getUpcoming({ now, days: 10 }).filter((h) => h.caseId === caseId)).toEqual([]);
+  });
+
+  it("should build each user's feed with their hearings and unassigned ones", () => {
+    const now = new Date("2026-11-01T09:00:00Z");
+    const feed = buildCalendarFeed({ id: lawyerId, fullName: "Ana Letrada" }, { now });
+    expect(feed).toContain("X-WR-CALNAME:Señalamientos - Ana Letrada");
+    expect(feed).toContain("DTSTART;TZID=Europe/Madrid:20261120T120000");
+    expect(feed).toContain("SUMMARY:Juicio: Hearing Test Client (IY-HR-001)");
+    expect(feed).toContain("LOCATION:Juzgado de Primera Instancia nº 3\\, Marbella");
+    // The postponed unassigned hearing stays in the feed as cancelled
+    expect(feed).toContain("DTSTART;TZID=Europe/Madrid:20261105T093000");
+    expect(feed).toContain("STATUS:CANCELLED");
+
+    const otherFeed = buildCalendarFeed({ id: otherLawyerId, username: "luis" }, { now });
+    expect(otherFeed).not.toContain("20261120T120000");
+    expect(otherFeed).toContain("20261105T093000");
+  });
+
+  it("should update and delete hearings", () => {
+    const [hearing] = list({ caseId });
+    const updated = update(hearing.id, { court: "Juzgado nº 4", lawyerUserId: otherLawyerId });
+    expect(updated.court).toBe("Juzgado nº 4");
+    expect(updated.lawyerName).toBe("Luis Letrado");
+    expect(() => update(hearing.id, { status: "APLAZADO" })).toThrow(ValidationError);
+
+    expect(deleteHearing(hearing.id)).toBe(true);
+    expect(() => deleteHearing(hearing.id)).toThrow(NotFoundError);
+    expect(() => update(hearing.id, {})).toThrow(NotFoundError);
+  });
+});
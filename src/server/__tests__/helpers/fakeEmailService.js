@@ -0,0 +1,31 @@
+/**
+ * SMTP stand-in for the email tests
+ *
+ * Records what it sends and fails with the queued errors first. Message-IDs
+ * are unique across instances and test runs (the test database is kept), so
+ * delivery reports can be matched to the email they are about.
+ */
+
+const RUN = Date.now();
+
+let sentCount = 0;
+
+/**
+ * Fake EmailService
+ * @returns {Object} { sent, failures, isConfigured, sendEmail }; push errors to
+ *   failures to make the next sends fail
+ */
+export function createFakeEmailService() {
+  return {
+    sent: [],
+    failures: [],
+    isConfigured: () => true,
+    async sendEmail(options) {
+      const failure = this.failures.shift();
+      if (failure) throw failure;
+      this.sent.push(options);
+      sentCount++;
+      return { messageId: `<${RUN}-${sentCount}@test>` };
+    },
+  };
+}
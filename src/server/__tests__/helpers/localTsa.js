@@ -0,0 +1,164 @@
+/**
+ * Local stand-in TSA for offline signature tests
+ *
+ * Creates a throwaway PKI with OpenSSL (root CA, TSA certificate and a signer
+ * .p12 whose CRL distribution point is this server) and serves over HTTP:
+ * - POST /tsa       RFC 3161 timestamp replies (openssl ts -reply)
+ * - GET  /root.crl  CRL of the root CA (DER)
+ */
+import { createServer } from "http";
+import { copyFile, mkdir, mkdtemp, readFile, rm, writeFile } from "fs/promises";
+import { join } from "path";
+import { tmpdir } from "os";
+import { execFile as execFileCb } from "child_process";
+import { promisify } from "util";
+
+const execFile = promisify(execFileCb);
+
+export const SIGNER_PASSWORD = "ltv-test";
+
+/**
+ * OpenSSL configuration: certificate profiles, TSA and CA (CRL) sections
+ * @param {string} dir - Working directory
+ * @param {string} crlUrl - CRL distribution point of issued certificates
+ * @returns {string}
+ */
+function opensslConfig(dir, crlUrl) {
+  return `[ req ]
+distinguished_name = dn
+prompt = no
+[ dn ]
+CN = Raiz de Pruebas LTV
+[ root ]
+basicConstraints = critical,CA:TRUE
+keyUsage = critical,keyCertSign,cRLSign
+subjectKeyIdentifier = hash
+[ signer ]
+basicConstraints = CA:FALSE
+keyUsage = critical,digitalSignature,nonRepudiation
+crlDistributionPoints = URI:${crlUrl}
+[ tsa ]
+basicConstraints = CA:FALSE
+keyUsage = critical,digitalSignature
+extendedKeyUsage = critical,timeStamping
+crlDistributionPoints = URI:${crlUrl}
+[ tsa_config ]
+serial = ${join(dir, "tsaserial")}
+signer_cert = ${join(dir, "tsa.pem")}
+signer_key = ${join(dir, "tsa.key")}
+certs = ${join(dir, "root.pem")}
+signer_digest = sha256
+default_policy = 1.3.6.1.4.1.99999.1
+digests = sha256, sha384, sha512
+accuracy = secs:1
+ordering = no
+tsa_name = yes
+ess_cert_id_chain = no
+ess_cert_id_alg = sha256
+[ ca ]
+default_ca = ca_default
+[ ca_default ]
+database = ${join(dir, "index.txt")}
+crlnumber = ${join(dir, "crlnumber")}
+default_md = sha256
+default_crl_days = 30
+`;
+}
+
+/**
+ * Issue a certificate signed by the test root
+ * @param {string} dir - Working directory
+ * @param {string} name - File prefix and config profile
+ * @param {string} subject - Subject DN
+ */
+async function issue(dir, name, subject) {
+  const file = (ext) => join(dir, `${name}.${ext}`);
+  await execFile("openssl", ["req", "-newkey", "rsa:2048", "-nodes", "-keyout", file("key"), "-out", file("csr"), "-subj", subject]);
+  await execFile("openssl", [
+    "x509", "-req", "-in", file("csr"), "-CA", join(dir, "root.pem"), "-CAkey", join(dir, "root.key"),
+    "-CAcreateserial", "-days", "30", "-out", file("pem"), "-extfile", join(dir, "openssl.cnf"), "-extensions", name,
+  ]);
+}
+
+/**
+ * Start the local TSA and CRL server
+ * @returns {Promise<Object>} { tsaUrl, crlUrl, rootPem, signerP12Path, requests, close }
+ *   requests counts the timestamp and CRL requests served
+ */
+export async function startLocalTsa() {
+  const dir = await mkdtemp(join(tmpdir(), "local-tsa-"));
+  const requests = { tsa: 0, crl: 0 };
+  let queries = 0;
+
+  const server = createServer(async (req, res) => {
+    try {
+      if (req.method === "POST" && req.url === "/tsa") {
+        const chunks = [];
+        for await (const chunk of req) chunks.push(chunk);
+        const queryPath = join(dir, `query-${++queries}.tsq`);
+        const replyPath = join(dir, `reply-${queries}.tsr`);
+        await writeFile(queryPath, Buffer.concat(chunks));
+        await execFile("openssl", [
+          "ts", "-reply", "-config", join(dir, "openssl.cnf"), "-section", "tsa_config",
+          "-queryfile", queryPath, "-out", replyPath,
+        ]);
+        requests.tsa++;
+        res.writeHead(200, { "Content-Type": "application/timestamp-reply" });
+        res.end(await readFile(replyPath));
+      } else if (req.method === "GET" && req.url === "/root.crl") {
+        requests.crl++;
+        res.writeHead(200, { "Content-Type": "application/pkix-crl" });
+        res.end(await readFile(join(dir, "root.crl.der")));
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    } catch (err) {
+      res.writeHead(500);
+      res.end(err.message);
+    }
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  const crlUrl = `${baseUrl}/root.crl`;
+
+  await writeFile(join(dir, "openssl.cnf"), opensslConfig(dir, crlUrl));
+  await Promise.all([
+    writeFile(join(dir, "index.txt"), ""),
+    writeFile(join(dir, "crlnumber"), "01\n"),
+    writeFile(join(dir, "tsaserial"), "01\n"),
+  ]);
+  await execFile("openssl", [
+    "req", "-x509", "-newkey", "rsa:2048", "-nodes", "-keyout", join(dir, "root.key"), "-out", join(dir, "root.pem"),
+    "-days", "30", "-config", join(dir, "openssl.cnf"), "-extensions", "root",
+  ]);
+  await issue(dir, "tsa", "/CN=TSA de Pruebas");
+  await issue(dir, "signer", "/CN=Letrada de Pruebas/O=Test Law Firm");
+  await execFile("openssl", [
+    "ca", "-gencrl", "-config", join(dir, "openssl.cnf"), "-keyfile", join(dir, "root.key"),
+    "-cert", join(dir, "root.pem"), "-out", join(dir, "root.crl"),
+  ]);
+  await execFile("openssl", ["crl", "-in", join(dir, "root.crl"), "-outform", "DER", "-out", join(dir, "root.crl.der")]);
+
+  // The signer's folder also holds the root, as the CA chain next to a real .p12
+  const signerDir = join(dir, "firma");
+  await mkdir(signerDir);
+  await copyFile(join(dir, "root.pem"), join(signerDir, "raiz.pem"));
+  const signerP12Path = join(signerDir, "firma.p12");
+  await execFile("openssl", [
+    "pkcs12", "-export", "-inkey", join(dir, "signer.key"), "-in", join(dir, "signer.pem"),
+    "-passout", `pass:${SIGNER_PASSWORD}`, "-out", signerP12Path,
+  ]);
+
+  return {
+    tsaUrl: `${baseUrl}/tsa`,
+    crlUrl,
+    rootPem: await readFile(join(dir, "root.pem"), "utf8"),
+    signerP12Path,
+    requests,
+    async close() {
+      await new Promise((resolve) => server.close(resolve));
+      await rm(dir, { recursive: true, force: true });
+    },
+  };
+}
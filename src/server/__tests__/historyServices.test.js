@@ -121,7 +121,7 @@ describe("DocumentHistoryService", () => {
   });
 
   describe("delete", () => {
-    it("should delete document record from database", () => {
+    it("should soft delete the document and hide it from the case", () => {
       const doc = documentHistory.create({
         caseId: testCaseId,
         documentType: "MINUTA",
@@ -129,20 +129,21 @@ describe("DocumentHistoryService", () => {
         signed: 0,
       });
 
-      expect(documentHistory.getById(doc.id)).toBeTruthy();
-
-      const result = documentHistory.delete(doc.id, false);
+      const result = documentHistory.delete(doc.id, 3);
 
       expect(result).toBe(true);
-      expect(documentHistory.getById(doc.id)).toBeFalsy();
+      expect(documentHistory.getById(doc.id)).toMatchObject({ deleted_by_user_id: 3 });
+      expect(documentHistory.getById(doc.id).deleted_at).toBeTruthy();
+      expect(documentHistory.getByCaseId(testCaseId).some((d) => d.id === doc.id)).toBe(false);
+      expect(documentHistory.delete(doc.id)).toBe(false);
     });
 
     it("should return false for non-existent document", () => {
-      const result = documentHistory.delete(999999, false);
+      const result = documentHistory.delete(999999);
       expect(result).toBe(false);
     });
 
-    it("should handle missing file gracefully when deleteFile is true", () => {
+    it("should restore a deleted document", () => {
       const doc = documentHistory.create({
         caseId: testCaseId,
         documentType: "MINUTA",
@@ -150,10 +151,36 @@ describe("DocumentHistoryService", () => {
         signed: 0,
       });
 
-      // Should not throw even though file doesn't exist
-      const result = documentHistory.delete(doc.id, true);
-      expect(result).toBe(true);
-      expect(documentHistory.getById(doc.id)).toBeFalsy();
+      expect(documentHistory.restore(doc.id)).toBe(false);
+      documentHistory.delete(doc.id);
+      expect(documentHistory.restore(doc.id)).toBe(true);
+      expect(documentHistory.getById(doc.id)).toMatchObject({ deleted_at: null, deleted_by_user_id: null });
+      expect(documentHistory.getByCaseId(testCaseId).some((d) => d.id === doc.id)).toBe(true);
+    });
+
+    it("should not count a deleted rectifying document", () => {
+      const original = documentHistory.create({
+        caseId: testCaseId,
+        documentType: "MINUTA",
+        filePath: "/nonexistent/path/rectified.pdf",
+        signed: 1,
+      });
+      const rectifying = documentHistory.create({
+        caseId: testCaseId,
+        documentType: "MINUTA_RECTIFICATIVA",
+        filePath: "/nonexistent/path/rectificativa.pdf",
+        signed: 1,
+        rectifiesDocumentId: original.id,
+      });
+
+      const supersededBy = () =>
+        documentHistory.getByCaseId(testCaseId).find((d) => d.id === original.id).superseded_by;
+
+      expect(documentHistory.getRectifyingDocument(original.id)).toMatchObject({ id: rectifying.id });
+      expect(supersededBy()).toBe(rectifying.id);
+      documentHistory.delete(rectifying.id);
+      expect(documentHistory.getRectifyingDocument(original.id)).toBeUndefined();
+      expect(supersededBy()).toBeNull();
     });
   });
 });
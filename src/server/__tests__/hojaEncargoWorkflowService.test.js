@@ -8,7 +8,11 @@ import fc from "fast-check";
 import { HojaEncargoWorkflowService } from "../services/hojaEncargoWorkflowService.js";
 import { DocumentHistoryService } from "../services/documentHistoryService.js";
 import { EmailHistoryService } from "../services/emailHistoryService.js";
-import { execute } from "../database.js";
+import { create as createTimeEntry, getById as getTimeEntry } from "../services/timeEntryService.js";
+import { getByDocumentId as getInvoiceByDocumentId } from "../services/invoiceService.js";
+import { getBalance as getProvisionBalance } from "../services/provisionService.js";
+import { execute, query } from "../database.js";
+import { ConflictError, ValidationError } from "../errors.js";
 import { existsSync, rmdirSync } from "fs";
 
 const TEST_DOCS_PATH = "./data/documents/test-hoja-encargo";
@@ -27,6 +31,7 @@ describe("HojaEncargoWorkflowService", () => {
     smtp_host: "", // No SMTP configured for tests
     smtp_user: "",
     vat_rate: "21",
+    invoice_series: "THE",
   };
 
   beforeAll(() => {
@@ -53,7 +58,11 @@ describe("HojaEncargoWorkflowService", () => {
   afterAll(() => {
     // Cleanup test data
     execute("DELETE FROM email_history WHERE case_id = ?", [testCaseId]);
+    execute("DELETE FROM time_entries WHERE case_id = ?", [testCaseId]);
+    execute("DELETE FROM provision_movements WHERE case_id = ?", [testCaseId]);
     execute("DELETE FROM document_history WHERE case_id = ?", [testCaseId]);
+    execute("DELETE FROM invoices WHERE series = ?", ["THE"]);
+    execute("DELETE FROM reference_counters WHERE type LIKE ?", ["INVOICE_THE_%"]);
     execute("DELETE FROM cases WHERE id = ?", [testCaseId]);
 
     // Cleanup test documents
@@ -219,6 +228,20 @@ describe("HojaEncargoWorkflowService", () => {
     });
   });
 
+  describe("sendByEmail", () => {
+    it("should default the recipient to the linked client's email", async () => {
+      // Without recipient nor client email the address is rejected up front
+      await expect(workflowService.sendByEmail(testCaseData, 1)).rejects.toThrow(
+        "Formato de email inválido"
+      );
+
+      // With a client email validation passes and it stops at the SMTP check
+      await expect(
+        workflowService.sendByEmail({ ...testCaseData, clientEmail: "cliente@ejemplo.com" }, 1)
+      ).rejects.toThrow("SMTP no configurado");
+    });
+  });
+
   describe("getDocumentsForCase", () => {
     it("should return only HOJA_ENCARGO documents for the case", async () => {
       // Generate a document first
@@ -244,6 +267,126 @@ describe("HojaEncargoWorkflowService", () => {
     });
   });
 
+  describe("generateFacturaHoras", () => {
+    it("should invoice unbilled billable hours in a numbered fee note", async () => {
+      const first = createTimeEntry(testCaseId, {
+        entryDate: "2026-10-01",
+        durationMinutes: 90,
+        activity: "Estudio del asunto",
+        hourlyRate: 150,
+      });
+      const second = createTimeEntry(testCaseId, {
+        entryDate: "2026-10-02",
+        durationMinutes: 30,
+        activity: "Reunión con el cliente",
+        hourlyRate: 100,
+      });
+      const notBillable = createTimeEntry(testCaseId, {
+        entryDate: "2026-10-02",
+        durationMinutes: 15,
+        activity: "Gestión interna",
+        billable: false,
+      });
+
+      const result = await workflowService.generateFacturaHoras(testCaseData);
+
+      expect(result.success).toBe(true);
+      expect(result.entryCount).toBe(2);
+      expect(result.amounts).toEqual({ baseAmount: 275, vatRate: 21, vatAmount: 57.75, total: 332.75 });
+      expect(result.invoice.invoiceNumber).toMatch(/^THE-\d{4}-\d{4}$/);
+      expect(result.invoice.concept).toBe("Honorarios profesionales por horas de trabajo");
+      expect(result.filename).toMatch(/^factura_horas_THE-.*_signed\.pdf$/);
+      expect(existsSync(result.filePath)).toBe(true);
+
+      const doc = documentHistory.getById(result.documentId);
+      expect(doc.document_type).toBe("FACTURA_HORAS");
+      expect(doc.amount_due).toBe(332.75);
+      expect(getInvoiceByDocumentId(result.documentId).total).toBe(332.75);
+
+      expect(getTimeEntry(first.id).documentId).toBe(result.documentId);
+      expect(getTimeEntry(second.id).documentId).toBe(result.documentId);
+      expect(getTimeEntry(notBillable.id).documentId).toBeNull();
+
+      // Billed entries are locked and not invoiced twice
+      await expect(workflowService.generateFacturaHoras(testCaseData)).rejects.toThrow(
+        ValidationError
+      );
+    });
+
+    it("should not record the fee note if the entries change meanwhile", async () => {
+      const entry = createTimeEntry(testCaseId, {
+        entryDate: "2026-10-03",
+        durationMinutes: 60,
+        activity: "Escrito de alegaciones",
+        hourlyRate: 150,
+      });
+      const documentsBefore = documentHistory.getByCaseIdAndType(testCaseId, "FACTURA_HORAS").length;
+
+      // Simulate another user invoicing the entry while the PDF is generated
+      const original = workflowService.pdfGenerator.generateFacturaHoras.bind(workflowService.pdfGenerator);
+      workflowService.pdfGenerator.generateFacturaHoras = async (...args) => {
+        const path = await original(...args);
+        execute("UPDATE time_entries SET updated_at = '2000-01-01 00:00:00' WHERE id = ?", [entry.id]);
+        return path;
+      };
+
+      try {
+        await expect(workflowService.generateFacturaHoras(testCaseData)).rejects.toThrow(ConflictError);
+      } finally {
+        workflowService.pdfGenerator.generateFacturaHoras = original;
+      }
+
+      expect(documentHistory.getByCaseIdAndType(testCaseId, "FACTURA_HORAS")).toHaveLength(
+        documentsBefore
+      );
+      expect(getTimeEntry(entry.id).documentId).toBeNull();
+      expect(
+        query("SELECT COUNT(*) as count FROM invoices WHERE series = 'THE'")[0].count
+      ).toBe(documentsBefore);
+    });
+  });
+
+  describe("generateSolicitudProvision", () => {
+    it("should sign the solicitud and record the requested provision", async () => {
+      const result = await workflowService.generateSolicitudProvision(
+        testCaseData,
+        { amount: "600", movementDate: "2026-10-19" },
+        null
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.signed).toBe(true);
+      expect(result.filename).toMatch(/^solicitud_provision_.*_signed\.pdf$/);
+      expect(existsSync(result.filePath)).toBe(true);
+
+      const doc = documentHistory.getById(result.documentId);
+      expect(doc.document_type).toBe("SOLICITUD_PROVISION");
+      expect(doc.signed).toBe(1);
+      expect(doc.amount_due).toBeNull();
+
+      expect(result.movement).toMatchObject({
+        movementType: "SOLICITADA",
+        amount: 600,
+        movementDate: "2026-10-19",
+        notes: "Provisión de fondos a cuenta de honorarios y suplidos",
+        documentId: result.documentId,
+      });
+      expect(getProvisionBalance(testCaseId)).toMatchObject({ requested: 600, available: 0 });
+    });
+
+    it("should reject an invalid amount before generating the PDF", async () => {
+      const documentsBefore = documentHistory.getByCaseIdAndType(testCaseId, "SOLICITUD_PROVISION").length;
+
+      await expect(
+        workflowService.generateSolicitudProvision(testCaseData, { amount: 0 })
+      ).rejects.toThrow(ValidationError);
+
+      expect(documentHistory.getByCaseIdAndType(testCaseId, "SOLICITUD_PROVISION")).toHaveLength(
+        documentsBefore
+      );
+    });
+  });
+
   describe("Workflow Properties", () => {
     /**
      * Property: Generate workflow returns correct structure
@@ -0,0 +1,90 @@
+/**
+ * iCalendar Service Tests
+ * RFC 5545 escaping, line folding and event output
+ */
+import { describe, it, expect } from "vitest";
+import fc from "fast-check";
+import {
+  escapeText,
+  foldLine,
+  formatLocalDateTime,
+  formatUtcDateTime,
+  buildCalendar,
+} from "../services/icalendarService.js";
+
+describe("iCalendar Service", () => {
+  it("should escape TEXT values", () => {
+    expect(escapeText("Juzgado nº 2, Sala 3; planta 1\nC:\\expedientes")).toBe(
+      "Juzgado nº 2\\, Sala 3\\; planta 1\\nC:\\\\expedientes"
+    );
+    expect(escapeText(null)).toBe("");
+  });
+
+  it("should fold lines at 75 octets without splitting UTF-8 characters", () => {
+    fc.assert(
+      fc.property(fc.string({ unit: "grapheme", maxLength: 300 }), (text) => {
+        const line = `DESCRIPTION:${text}`;
+        const folded = foldLine(line);
+        const parts = folded.split("\r\n");
+
+        for (const part of parts) {
+          expect(Buffer.byteLength(part, "utf8")).toBeLessThanOrEqual(75);
+        }
+        expect(parts.slice(1).every((part) => part.startsWith(" "))).toBe(true);
+        expect(parts.map((part, i) => (i === 0 ? part : part.slice(1))).join("")).toBe(line);
+      }),
+      { numRuns: 100 }
+    );
+  });
+
+  it("should format local and UTC date-times", () => {
+    expect(formatLocalDateTime("2026-11-03T10:30")).toBe("20261103T103000");
+    expect(formatUtcDateTime("2026-10-19 08:15:00")).toBe("20261019T081500Z");
+    expect(formatUtcDateTime(new Date("2026-10-19T08:15:00.000Z"))).toBe("20261019T081500Z");
+  });
+
+  it("should build a calendar with Europe/Madrid events", () => {
+    const body = buildCalendar({
+      name: "Señalamientos - Ana",
+      events: [
+        {
+          uid: "hearing-1@recordplus",
+          start: "2026-11-03T10:30",
+          durationMinutes: 90,
+          summary: "Juicio: Cliente, S.L.",
+          location: "Juzgado de lo Social nº 1, Marbella",
+          stamp: "2026-10-19 08:15:00",
+        },
+        {
+          uid: "hearing-2@recordplus",
+          start: "2026-11-04T09:00",
+          durationMinutes: 30,
+          summary: "Vista",
+          cancelled: true,
+        },
+      ],
+    });
+
+    expect(body.endsWith("\r\n")).toBe(true);
+    expect(body.split("\r\n").filter((line) => line && !line.startsWith(" "))).toEqual(
+      expect.arrayContaining([
+        "BEGIN:VCALENDAR",
+        "VERSION:2.0",
+        "BEGIN:VTIMEZONE",
+        "TZID:Europe/Madrid",
+        "UID:hearing-1@recordplus",
+        "DTSTAMP:20261019T081500Z",
+        "DTSTART;TZID=Europe/Madrid:20261103T103000",
+        "DURATION:PT90M",
+        "SUMMARY:Juicio: Cliente\\, S.L.",
+        "LOCATION:Juzgado de lo Social nº 1\\, Marbella",
+        "STATUS:CONFIRMED",
+        "DTSTART;TZID=Europe/Madrid:20261104T090000",
+        "STATUS:CANCELLED",
+        "END:VCALENDAR",
+      ])
+    );
+    expect(body.match(/BEGIN:VEVENT/g)).toHaveLength(2);
+    expect(body).not.toMatch(/[^\r]\n/);
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Inbound Email Service Tests
+ * Reading a maildir/mbox, matching emails to cases by the reference in the subject,
+ * the unassigned inbox, manual assignment and discard
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { existsSync, mkdirSync, readdirSync, rmSync, unlinkSync, writeFileSync } from "fs";
+import { join } from "path";
+import {
+  INBOUND_STATUS,
+  MATCH_METHODS,
+  UNASSIGNED_REASONS,
+  assign,
+  discard,
+  extractReferences,
+  fetchNow,
+  getById,
+  getRawFile,
+  getSummary,
+  list,
+} from "../services/inboundEmailService.js";
+import { splitMbox } from "../services/mailboxReader.js";
+import { listByCase } from "../services/caseDocumentService.js";
+import { update as updateConfig } from "../services/configurationService.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors.js";
+import { execute, query } from "../database.js";
+
+const TEST_DIR = "./data/documents/test-inbound";
+const MAILDIR = `${TEST_DIR}/Maildir`;
+const MBOX = `${TEST_DIR}/inbox.mbox`;
+const CASE_REFERENCES = ["IY-99-901", "IY999902", "IY-99-903"];
+const CONFIG_KEYS = ["inbound_email_source", "inbound_email_path"];
+
+/**
+ * RFC 822 message, optionally with a PDF attachment
+ * @param {Object} options - { id, subject, body, attachment }
+ */
+function message({ id, subject, body = "Buenos días,\nLes remito la documentación.", attachment }) {
+  const headers = [
+    "From: Juzgado de Vélez <notificaciones@example.com>",
+    "To: despacho@example.com",
+    `Subject: ${subject}`,
+    `Message-ID: <${id}@test.example.com>`,
+    "Date: Mon, 19 Oct 2026 09:30:00 +0200",
+    "MIME-Version: 1.0",
+  ];
+  if (!attachment) {
+    return [...headers, "Content-Type: text/plain; charset=utf-8", "", body, ""].join("\r\n");
+  }
+  return [
+    ...headers,
+    'Content-Type: multipart/mixed; boundary="b1"',
+    "",
+    "--b1",
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    body,
+    "--b1",
+    `Content-Type: application/pdf; name="${attachment}"`,
+    `Content-Disposition: attachment; filename="${attachment}"`,
+    "Content-Transfer-Encoding: base64",
+    "",
+    Buffer.from("%PDF-1.4\n%test\n").toString("base64"),
+    "--b1--",
+    "",
+  ].join("\r\n");
+}
+
+/**
+ * Deliver a message to the test maildir
+ */
+function deliver(name, content) {
+  writeFileSync(join(MAILDIR, "new", name), content);
+}
+
+describe("Inbound Email Service", () => {
+  let aragCaseId;
+  let particularCaseId;
+  let otherCaseId;
+
+  beforeAll(() => {
+    for (const folder of ["new", "cur", "tmp"]) mkdirSync(join(MAILDIR, folder), { recursive: true });
+
+    aragCaseId = Number(
+      execute(
+        `INSERT INTO cases (type, state, client_name, internal_reference, arag_reference, entry_date)
+         VALUES ('ARAG', 'ABIERTO', 'Inbox ARAG', 'IY999902', 'DJ00999901', date('now'))`
+      ).lastInsertRowid
+    );
+    particularCaseId = Number(
+      execute(
+        `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+         VALUES ('PARTICULAR', 'ABIERTO', 'Inbox Particular', 'IY-99-901', date('now'))`
+      ).lastInsertRowid
+    );
+    otherCaseId = Number(
+      execute(
+        `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+         VALUES ('PARTICULAR', 'ABIERTO', 'Inbox Other', 'IY-99-903', date('now'))`
+      ).lastInsertRowid
+    );
+    updateConfig({ inbound_email_source: "maildir", inbound_email_path: MAILDIR });
+  });
+
+  afterAll(() => {
+    const caseIds = [aragCaseId, particularCaseId, otherCaseId];
+    for (const row of query("SELECT raw_path FROM inbound_emails WHERE dedupe_key LIKE '%@test.example.com>'")) {
+      if (existsSync(row.raw_path)) unlinkSync(row.raw_path);
+    }
+    execute("DELETE FROM inbound_emails WHERE dedupe_key LIKE '%@test.example.com>'");
+    execute("DELETE FROM search_index WHERE case_id IN (?, ?, ?)", caseIds);
+    execute("DELETE FROM document_history WHERE case_id IN (?, ?, ?)", caseIds);
+    execute("DELETE FROM cases WHERE id IN (?, ?, ?)", caseIds);
+    execute(`DELETE FROM configuration WHERE key IN (${CONFIG_KEYS.map(() => "?").join(", ")})`, CONFIG_KEYS);
+    for (const ref of CASE_REFERENCES) {
+      rmSync(join("./data/documents", String(new Date().getFullYear()), ref), { recursive: true, force: true });
+    }
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  it("should find ARAG and internal references in a subject", () => {
+    expect(extractReferences("RE: Siniestro DJ00123456 - expte. iy-26-004 (IY260012)")).toEqual([
+      "DJ00123456",
+      "IY-26-004",
+      "IY260012",
+    ]);
+    expect(extractReferences("Factura DJ001234567 IY-2026-004 y pedido 123456")).toEqual([]);
+    expect(extractReferences(undefined)).toEqual([]);
+  });
+
+  it("should file matched emails in their case and leave the rest unassigned", async () => {
+    deliver(
+      "1.msg:2,",
+      message({ id: "arag", subject: "Notificación siniestro DJ00999901", attachment: "Decreto.pdf" })
+    );
+    deliver("2.msg", message({ id: "particular", subject: "Re: Expediente IY-99-901" }));
+    deliver("3.msg", message({ id: "none", subject: "Consulta sin referencia" }));
+    deliver("4.msg", message({ id: "unknown", subject: "Asunto DJ00999999" }));
+    deliver("5.msg", message({ id: "both", subject: "IY-99-901 / IY-99-903" }));
+
+    const result = await fetchNow();
+    expect(result).toMatchObject({ read: 5, failed: 0, imported: 5, assigned: 2, unassigned: 3 });
+
+    // Read messages are marked as seen in cur/
+    expect(readdirSync(join(MAILDIR, "new"))).toEqual([]);
+    expect(readdirSync(join(MAILDIR, "cur")).sort()).toEqual(
+      ["1.msg:2,S", "2.msg:2,S", "3.msg:2,S", "4.msg:2,S", "5.msg:2,S"]
+    );
+
+    const aragDocuments = listByCase(aragCaseId);
+    expect(aragDocuments.map((doc) => doc.fileName).sort()).toEqual([
+      "Decreto.pdf",
+      "Notificación siniestro DJ00999901.eml",
+    ]);
+    expect(aragDocuments.every((doc) => doc.category === "CORRESPONDENCIA" && doc.tags.includes("email"))).toBe(true);
+
+    const filed = list({ status: INBOUND_STATUS.ASSIGNED }).find((email) => email.caseId === aragCaseId);
+    expect(filed).toMatchObject({
+      matchMethod: MATCH_METHODS.AUTO,
+      caseReference: "IY999902",
+      fromAddress: "notificaciones@example.com",
+      attachmentNames: ["Decreto.pdf"],
+      references: ["DJ00999901"],
+    });
+    expect(aragDocuments.map((doc) => doc.id)).toContain(filed.documentId);
+    expect(listByCase(particularCaseId)).toHaveLength(1);
+
+    const reasons = Object.fromEntries(
+      list()
+        .filter((email) => email.messageId?.endsWith("@test.example.com>"))
+        .map((email) => [email.subject, email.unassignedReason])
+    );
+    expect(reasons).toEqual({
+      "Consulta sin referencia": UNASSIGNED_REASONS.NO_REFERENCE,
+      "Asunto DJ00999999": UNASSIGNED_REASONS.UNKNOWN_REFERENCE,
+      "IY-99-901 / IY-99-903": UNASSIGNED_REASONS.AMBIGUOUS,
+    });
+    expect(getSummary()[INBOUND_STATUS.UNASSIGNED]).toBeGreaterThanOrEqual(3);
+  });
+
+  it("should not import the same email twice", async () => {
+    deliver("6.msg", message({ id: "arag", subject: "Notificación siniestro DJ00999901", attachment: "Decreto.pdf" }));
+
+    const result = await fetchNow();
+    expect(result).toMatchObject({ read: 1, imported: 0, duplicates: 1 });
+    expect(listByCase(aragCaseId)).toHaveLength(2);
+  });
+
+  it("should assign and discard emails of the unassigned inbox", async () => {
+    const pending = list().filter((email) => email.messageId?.endsWith("@test.example.com>"));
+    const ambiguous = pending.find((email) => email.unassignedReason === UNASSIGNED_REASONS.AMBIGUOUS);
+    const unrelated = pending.find((email) => email.unassignedReason === UNASSIGNED_REASONS.NO_REFERENCE);
+
+    expect(getById(ambiguous.id).textPreview).toBe("Buenos días,\nLes remito la documentación.");
+    expect(getRawFile(ambiguous.id).fileName).toBe("IY-99-901 _ IY-99-903.eml");
+
+    await expect(assign(ambiguous.id, null)).rejects.toThrow(ValidationError);
+    const assigned = await assign(ambiguous.id, otherCaseId, { id: 1 });
+    expect(assigned).toMatchObject({
+      status: INBOUND_STATUS.ASSIGNED,
+      caseId: otherCaseId,
+      matchMethod: MATCH_METHODS.MANUAL,
+      assignedByUserId: 1,
+      unassignedReason: null,
+    });
+    expect(listByCase(otherCaseId)).toHaveLength(1);
+    await expect(assign(ambiguous.id, particularCaseId)).rejects.toThrow(ConflictError);
+
+    expect(discard(unrelated.id).status).toBe(INBOUND_STATUS.DISCARDED);
+    expect(() => discard(unrelated.id)).toThrow(ConflictError);
+    // A discarded email can still be filed later
+    expect((await assign(unrelated.id, otherCaseId)).status).toBe(INBOUND_STATUS.ASSIGNED);
+
+    expect(() => getById(999999)).toThrow(NotFoundError);
+    expect(() => list({ status: "LOST" })).toThrow(ValidationError);
+  });
+
+  it("should read every message of an mbox file", async () => {
+    const first = message({ id: "mbox-1", subject: "Escrito IY999902", body: "From the court:\nadjunto" });
+    const second = message({ id: "mbox-2", subject: "Sin referencia" });
+    writeFileSync(
+      MBOX,
+      `From a@example.com Mon Oct 19 09:30:00 2026\n${first.replace("From the court", ">From the court")}\n` +
+        `From b@example.com Mon Oct 19 09:31:00 2026\n${second}\n`
+    );
+    expect(splitMbox(Buffer.from(`From x\n${first}\n`))[0].toString()).toContain("Subject: Escrito IY999902");
+
+    updateConfig({ inbound_email_source: "mbox", inbound_email_path: MBOX });
+    expect(await fetchNow()).toMatchObject({ read: 2, imported: 2, assigned: 1, unassigned: 1 });
+    // mbox messages cannot be marked as read: the next check skips them as duplicates
+    expect(await fetchNow()).toMatchObject({ read: 2, imported: 0, duplicates: 2 });
+
+    const filed = list({ status: INBOUND_STATUS.ASSIGNED }).find((email) => email.subject === "Escrito IY999902");
+    expect(getById(filed.id).textPreview).toBe("From the court:\nadjunto");
+  });
+
+  it("should report a mailbox that is not configured or cannot be read", async () => {
+    updateConfig({ inbound_email_source: "maildir", inbound_email_path: `${TEST_DIR}/missing` });
+    await expect(fetchNow()).rejects.toMatchObject({ messageCode: "INBOUND_EMAIL_SOURCE_UNAVAILABLE" });
+
+    updateConfig({ inbound_email_source: "" });
+    await expect(fetchNow()).rejects.toMatchObject({ messageCode: "INBOUND_EMAIL_SOURCE_NOT_CONFIGURED" });
+    expect(() => updateConfig({ inbound_email_source: "pop3" })).toThrow(ValidationError);
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Invoice Service Tests
+ * Per-series, per-year gap-free numbering and the invoice register
+ */
+import { describe, it, expect, afterAll } from "vitest";
+import fc from "fast-check";
+import {
+  calculateMinutaAmounts,
+  reserveInvoiceNumber,
+  issueInvoiceInTransaction,
+  list,
+  exportRegisterCsv,
+} from "../services/invoiceService.js";
+import { formatInvoiceNumber } from "../services/referenceGenerator.js";
+import { ConflictError, ValidationError } from "../errors.js";
+import { execute, getDatabase, transaction } from "../database.js";
+
+const SERIES = "TINV";
+
+const caseData = {
+  id: 999001,
+  clientName: "Invoice Test Client",
+  internalReference: "IY999001",
+  aragReference: "DJ00999001",
+};
+
+function issue(reserved) {
+  return transaction(() =>
+    issueInvoiceInTransaction(getDatabase(), {
+      reserved,
+      caseData,
+      amounts: calculateMinutaAmounts({ arag_base_fee: "203.00", vat_rate: "21" }),
+    })
+  );
+}
+
+describe("Invoice Service", () => {
+  afterAll(() => {
+    execute("DELETE FROM invoices WHERE series = ?", [SERIES]);
+    execute("DELETE FROM reference_counters WHERE type LIKE ?", [`INVOICE_${SERIES}_%`]);
+  });
+
+  describe("calculateMinutaAmounts", () => {
+    it("should always add up to the total in cents", () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 1000000 }),
+          fc.constantFrom("0", "4", "10", "21"),
+          (cents, vat) => {
+            const amounts = calculateMinutaAmounts({
+              arag_base_fee: (cents / 100).toFixed(2),
+              vat_rate: vat,
+            });
+            expect(Math.round(amounts.total * 100)).toBe(
+              Math.round(amounts.baseAmount * 100) + Math.round(amounts.vatAmount * 100)
+            );
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+  });
+
+  describe("numbering", () => {
+    it("should number invoices sequentially without gaps and restart every year", () => {
+      const numbers = [];
+      for (let i = 0; i < 3; i++) {
+        numbers.push(issue(reserveInvoiceNumber(SERIES, "2098-12-30")).invoiceNumber);
+      }
+      expect(numbers).toEqual([
+        formatInvoiceNumber(SERIES, 2098, 1),
+        formatInvoiceNumber(SERIES, 2098, 2),
+        formatInvoiceNumber(SERIES, 2098, 3),
+      ]);
+      expect(numbers[0]).toBe("TINV-2098-0001");
+
+      const nextYear = issue(reserveInvoiceNumber(SERIES, "2099-01-02"));
+      expect(nextYear.invoiceNumber).toBe("TINV-2099-0001");
+    });
+
+    it("should date invoices issued after midnight in Madrid on the new day and year", () => {
+      // 00:30 on 1 January in Madrid is still 31 December in UTC
+      const reserved = reserveInvoiceNumber(SERIES, null, { now: new Date("2099-12-31T23:30:00Z") });
+      expect(reserved).toMatchObject({ issueDate: "2100-01-01", year: 2100, sequence: 1 });
+      expect(reserved.invoiceNumber).toBe("TINV-2100-0001");
+    });
+
+    it("should not consume a number until the invoice is issued", () => {
+      const reserved = reserveInvoiceNumber(SERIES, "2099-01-03");
+      expect(reserveInvoiceNumber(SERIES, "2099-01-03").invoiceNumber).toBe(
+        reserved.invoiceNumber
+      );
+      expect(issue(reserved).invoiceNumber).toBe(reserved.invoiceNumber);
+    });
+
+    it("should reject a reserved number taken by a concurrent issue and roll back", () => {
+      const first = reserveInvoiceNumber(SERIES, "2099-01-04");
+      const second = reserveInvoiceNumber(SERIES, "2099-01-04");
+      issue(first);
+
+      expect(() => issue(second)).toThrow(ConflictError);
+
+      // The failed attempt did not advance the counter
+      const next = reserveInvoiceNumber(SERIES, "2099-01-04");
+      expect(next.sequence).toBe(first.sequence + 1);
+    });
+  });
+
+  describe("register", () => {
+    it("should filter by date range and sum totals", () => {
+      const { invoices, totals } = list({ series: SERIES, from: "2099-01-01", to: "2099-01-03" });
+
+      expect(invoices.map((i) => i.invoiceNumber)).toEqual(["TINV-2099-0001", "TINV-2099-0002"]);
+      expect(totals.count).toBe(2);
+      expect(totals.baseAmount).toBe(406);
+      expect(totals.vatAmount).toBe(85.26);
+      expect(totals.total).toBe(491.26);
+    });
+
+    it("should reject malformed dates", () => {
+      expect(() => list({ from: "01/01/2099" })).toThrow(ValidationError);
+      expect(() => list({ to: "2026-02-31" })).toThrow(ValidationError);
+      expect(() => list({ from: "2026-13-01" })).toThrow(ValidationError);
+      expect(() => list({ from: "2024-02-29", to: "2024-02-29" })).not.toThrow();
+    });
+
+    it("should export the register as CSV with Spanish headers", () => {
+      const csv = exportRegisterCsv({ series: SERIES, from: "2098-01-01", to: "2098-12-31" });
+      const lines = csv.replace("\uFEFF", "").trim().split("\n");
+
+      expect(lines[0]).toContain("Numero de Factura");
+      expect(lines).toHaveLength(4);
+      expect(lines[1]).toContain("TINV-2098-0001");
+      expect(lines[1]).toContain("245.63");
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Locale Service Tests
+ * Catalogues of the generated documents and emails per case language
+ */
+import { describe, it, expect } from "vitest";
+import {
+  SUPPORTED_LANGUAGES,
+  getCaseLanguage,
+  getCatalogue,
+  getIntlLocale,
+  getTranslator,
+  translate,
+} from "../services/localeService.js";
+
+/**
+ * Dotted keys of a catalogue
+ * @param {Object} catalogue - Catalogue or nested section
+ * @param {string} [prefix] - Key prefix
+ * @returns {Array<string>}
+ */
+function keysOf(catalogue, prefix = "") {
+  return Object.entries(catalogue).flatMap(([key, value]) =>
+    typeof value === "object" ? keysOf(value, `${prefix}${key}.`) : [`${prefix}${key}`]
+  );
+}
+
+describe("Locale Service", () => {
+  it("should define the same keys in every catalogue", () => {
+    const spanishKeys = keysOf(getCatalogue("es")).sort();
+    for (const language of SUPPORTED_LANGUAGES) {
+      expect(keysOf(getCatalogue(language)).sort()).toEqual(spanishKeys);
+    }
+  });
+
+  it("should translate keys with parameters", () => {
+    expect(translate("es", "clientSignature.subtitle", { reference: "IY-26-001" })).toBe(
+      "Hoja de encargo IY-26-001, firmada electrónicamente por el cliente"
+    );
+    expect(translate("en", "clientSignature.subtitle", { reference: "IY-26-001" })).toBe(
+      "Engagement letter IY-26-001, signed electronically by the client"
+    );
+
+    const t = getTranslator("en", "facturaHoras");
+    expect(t("vat", { rate: 21 })).toBe("VAT (21%)");
+    // Missing parameters are left visible
+    expect(t("totalHours")).toBe("Total hours: {hours} h");
+  });
+
+  it("should fall back to Spanish for unknown languages and to the key for unknown keys", () => {
+    expect(getCaseLanguage({ language: "en" })).toBe("en");
+    expect(getCaseLanguage({ language: "fr" })).toBe("es");
+    expect(getCaseLanguage({})).toBe("es");
+
+    expect(translate("fr", "minuta.untitled")).toBe("Minuta");
+    expect(translate("en", "email.unknownKey")).toBe("email.unknownKey");
+    expect(getIntlLocale("en")).toBe("en-GB");
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * LTV Service Tests
+ * RFC 3161 timestamps and PAdES-LTV validation data, against a local stand-in TSA
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { X509Certificate } from "node:crypto";
+import { PDFDocument } from "pdf-lib";
+import { SignatureService, CryptoSignatureStrategy } from "../services/signatureService.js";
+import { addDssDictionary, getCrlUrls } from "../services/ltvService.js";
+import {
+  SIGNATURE_PROBLEMS,
+  SIGNATURE_STATUS,
+  findSignatures,
+  parseCms,
+  verifyPdf,
+} from "../services/signatureVerificationService.js";
+import { HttpTimestampAuthority, parseTimestampToken } from "../services/timestampAuthority.js";
+import { SIGNER_PASSWORD, startLocalTsa } from "./helpers/localTsa.js";
+
+describe("LTV Service", () => {
+  let tsa;
+  let trustedRoots;
+  let unsignedPdf;
+
+  beforeAll(async () => {
+    tsa = await startLocalTsa();
+    trustedRoots = [new X509Certificate(tsa.rootPem)];
+
+    const doc = await PDFDocument.create();
+    doc.addPage().drawText("Minuta");
+    unsignedPdf = Buffer.from(await doc.save());
+  }, 60_000);
+
+  afterAll(async () => {
+    await tsa?.close();
+  });
+
+  it("should get timestamp tokens from the TSA", async () => {
+    const token = await new HttpTimestampAuthority(tsa.tsaUrl).timestamp(Buffer.from("firma"));
+    const info = parseTimestampToken(token);
+
+    expect(info.policy).toBe("1.3.6.1.4.1.99999.1");
+    expect(info.hashAlgorithm).toBe("2.16.840.1.101.3.4.2.1");
+    expect(Math.abs(Date.now() - info.genTime.getTime())).toBeLessThan(60_000);
+  });
+
+  it("should timestamp signatures", async () => {
+    const service = new SignatureService(tsa.signerP12Path, SIGNER_PASSWORD, { tsaUrl: tsa.tsaUrl });
+    const signedPdf = await service.strategy.sign(unsignedPdf);
+
+    const result = verifyPdf(signedPdf, { trustedRoots });
+    expect(result.status).toBe(SIGNATURE_STATUS.VALID);
+    expect(result.validationData).toBeNull();
+    expect(result.signatures[0].timestamp).toMatchObject({ valid: true, trusted: true });
+  });
+
+  it("should embed certificates and CRLs without breaking the signature", async () => {
+    const crlRequests = tsa.requests.crl;
+    const strategy = new CryptoSignatureStrategy(tsa.signerP12Path, SIGNER_PASSWORD, {
+      timestampAuthority: new HttpTimestampAuthority(tsa.tsaUrl),
+      embedValidationData: true,
+    });
+    const ltvPdf = await strategy.sign(unsignedPdf);
+
+    const result = verifyPdf(ltvPdf, { trustedRoots });
+    expect(result).toMatchObject({ status: SIGNATURE_STATUS.VALID, modifiedAfterLastSignature: false });
+    // Signer, TSA and root certificates; one CRL shared by signer and TSA
+    expect(result.validationData).toMatchObject({ certificates: 3, crls: 1 });
+    expect(tsa.requests.crl).toBe(crlRequests + 1);
+
+    // The updated PDF still loads and keeps its page
+    const reloaded = await PDFDocument.load(ltvPdf);
+    expect(reloaded.getPageCount()).toBe(1);
+  });
+
+  it("should extend an existing DSS", async () => {
+    const signedPdf = await new SignatureService(tsa.signerP12Path, SIGNER_PASSWORD).strategy.sign(unsignedPdf);
+    const certificate = Buffer.from(trustedRoots[0].raw);
+
+    const once = await addDssDictionary(signedPdf, { certificates: [certificate] });
+    const twice = await addDssDictionary(once, { crls: [Buffer.from("crl")] });
+
+    expect(verifyPdf(twice, { trustedRoots })).toMatchObject({
+      status: SIGNATURE_STATUS.VALID,
+      validationData: { certificates: 1, crls: 1 },
+    });
+  });
+
+  it("should read CRL distribution points", async () => {
+    const signedPdf = await new SignatureService(tsa.signerP12Path, SIGNER_PASSWORD).strategy.sign(unsignedPdf);
+    const signer = parseCms(findSignatures(signedPdf)[0].contents).certificates.find(
+      (certificate) => certificate.subject !== certificate.issuer
+    );
+
+    expect(getCrlUrls(signer)).toEqual([tsa.crlUrl]);
+    expect(getCrlUrls(trustedRoots[0])).toEqual([]);
+  });
+
+  it("should fail the signature when the TSA is unreachable", async () => {
+    const service = new SignatureService(tsa.signerP12Path, SIGNER_PASSWORD, {
+      tsaUrl: "http://127.0.0.1:9/tsa",
+    });
+
+    await expect(service.strategy.sign(unsignedPdf)).rejects.toThrow(/sello de tiempo/);
+  });
+
+  it("should flag timestamps that do not cover the signature", async () => {
+    const wrongData = {
+      timestamp: () => new HttpTimestampAuthority(tsa.tsaUrl).timestamp(Buffer.from("otra firma")),
+    };
+    const strategy = new CryptoSignatureStrategy(tsa.signerP12Path, SIGNER_PASSWORD, { timestampAuthority: wrongData });
+    const signedPdf = await strategy.sign(unsignedPdf);
+
+    const result = verifyPdf(signedPdf, { trustedRoots });
+    expect(result.status).toBe(SIGNATURE_STATUS.UNTRUSTED);
+    expect(result.signatures[0].problems).toContain(SIGNATURE_PROBLEMS.TIMESTAMP_INVALID);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Mailbox Reader Tests
+ * IMAP folders read by UID: progress kept across reads and UIDVALIDITY changes,
+ * failed messages read again, and the \Seen flag left alone
+ */
+import { describe, it, expect, afterAll } from "vitest";
+import { MAILBOX_SOURCES, readMailbox } from "../services/mailboxReader.js";
+import { execute } from "../database.js";
+
+const IMAP = { host: "imap.test.example.com", user: "despacho", mailbox: "INBOX" };
+
+/**
+ * IMAP server stand-in with the ImapFlow methods the reader uses
+ * @param {Object} folder - { uidValidity, messages: Map<uid, source> }
+ */
+function createFakeImapClient(folder) {
+  return {
+    commands: [],
+    mailbox: null,
+    async connect() {},
+    async getMailboxLock(path) {
+      this.mailbox = { path, uidValidity: folder.uidValidity };
+      return { release: () => {} };
+    },
+    async search(criteria, options) {
+      this.commands.push(["search", criteria, options]);
+      const uids = [...folder.messages.keys()].sort((a, b) => a - b);
+      const from = Number(criteria.uid.split(":")[0]);
+      // Like a real server, "N:*" includes the newest message even when below N
+      return [...new Set([...uids.filter((uid) => uid >= from), uids.at(-1)])].filter(Boolean);
+    },
+    async fetchOne(uid, query, options) {
+      this.commands.push(["fetch", uid, options]);
+      return { uid, source: Buffer.from(folder.messages.get(uid)) };
+    },
+    async messageFlagsAdd() {
+      this.commands.push(["flags"]);
+    },
+    async logout() {},
+  };
+}
+
+describe("Mailbox Reader", () => {
+  afterAll(() => {
+    execute("DELETE FROM mailbox_sync_state WHERE mailbox_key LIKE ?", [`%@${IMAP.host}/%`]);
+  });
+
+  it("should read each IMAP message once by UID without setting flags", async () => {
+    const folder = { uidValidity: 7n, messages: new Map([[3, "uno"], [5, "dos"]]) };
+    const clients = [];
+    const read = async (name = "test-reads") => {
+      const received = [];
+      const result = await readMailbox(
+        { source: MAILBOX_SOURCES.IMAP, imap: IMAP, name },
+        async (raw) => received.push(raw.toString()),
+        {
+          createImapClient: () => {
+            clients.push(createFakeImapClient(folder));
+            return clients.at(-1);
+          },
+        }
+      );
+      return { ...result, received };
+    };
+
+    expect(await read()).toMatchObject({ read: 2, failed: 0, received: ["uno", "dos"] });
+    expect(await read()).toMatchObject({ read: 0, received: [] });
+
+    folder.messages.set(9, "tres");
+    expect(await read()).toMatchObject({ read: 1, received: ["tres"] });
+    expect(clients.at(-1).commands[0]).toEqual(["search", { uid: "6:*" }, { uid: true }]);
+
+    // Other readers of the folder keep their own progress
+    expect(await read("test-other")).toMatchObject({ read: 3 });
+
+    // A recreated folder is read again
+    folder.uidValidity = 8n;
+    expect(await read()).toMatchObject({ read: 3 });
+
+    expect(clients.flatMap((client) => client.commands).some(([command]) => command === "flags")).toBe(false);
+  });
+
+  it("should read again the messages after a failed one", async () => {
+    const folder = { uidValidity: 1n, messages: new Map([[1, "uno"], [2, "falla"], [3, "tres"]]) };
+    let failing = true;
+    const read = async () => {
+      const received = [];
+      const result = await readMailbox(
+        { source: MAILBOX_SOURCES.IMAP, imap: IMAP, name: "test-failures" },
+        async (raw) => {
+          if (failing && raw.toString() === "falla") throw new Error("Base de datos ocupada");
+          received.push(raw.toString());
+        },
+        { createImapClient: () => createFakeImapClient(folder) }
+      );
+      return { ...result, received };
+    };
+
+    expect(await read()).toMatchObject({ read: 2, failed: 1, received: ["uno", "tres"] });
+    failing = false;
+    expect(await read()).toMatchObject({ read: 2, failed: 0, received: ["falla", "tres"] });
+    expect(await read()).toMatchObject({ read: 0, failed: 0 });
+  });
+});
@@ -8,6 +8,7 @@ import { MinutaWorkflowService } from "../services/minutaWorkflowService.js";
 import { DocumentHistoryService } from "../services/documentHistoryService.js";
 import { EmailHistoryService } from "../services/emailHistoryService.js";
 import { execute, query } from "../database.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors.js";
 import { existsSync, rmdirSync } from "fs";
 
 const TEST_DOCS_PATH = "./data/documents/test-workflow";
@@ -28,6 +29,7 @@ describe("MinutaWorkflowService", () => {
     arag_base_fee: "203.00",
     vat_rate: "21",
     arag_email: "test@arag.es",
+    invoice_series: "TWF",
   };
 
   beforeAll(() => {
@@ -52,8 +54,11 @@ describe("MinutaWorkflowService", () => {
 
   afterAll(() => {
     // Cleanup test data
+    execute("DELETE FROM email_outbox WHERE case_id = ?", [testCaseId]);
     execute("DELETE FROM email_history WHERE case_id = ?", [testCaseId]);
     execute("DELETE FROM document_history WHERE case_id = ?", [testCaseId]);
+    execute("DELETE FROM invoices WHERE series IN (?, ?)", ["TWF", "TWFR"]);
+    execute("DELETE FROM reference_counters WHERE type LIKE ?", ["INVOICE_TWF_%"]);
     execute("DELETE FROM cases WHERE id = ?", [testCaseId]);
 
     // Cleanup test documents
@@ -106,6 +111,18 @@ describe("MinutaWorkflowService", () => {
       expect(doc.signed).toBe(1);
     });
 
+    it("should issue a sequentially numbered invoice with the minuta", async () => {
+      const first = await workflowService.executeMinutaWorkflow(testCaseData, config);
+      const second = await workflowService.executeMinutaWorkflow(testCaseData, config);
+
+      const year = new Date().getUTCFullYear();
+      expect(first.invoice.invoiceNumber).toMatch(new RegExp(`^TWF-${year}-\\d{4}$`));
+      expect(second.invoice.sequence).toBe(first.invoice.sequence + 1);
+      expect(first.invoice.documentId).toBe(first.documentId);
+      expect(first.invoice.total).toBe(245.63);
+      expect(first.steps[1].path).toContain(first.invoice.invoiceNumber);
+    });
+
     it("should generate PDF file that exists", async () => {
       const result = await workflowService.executeMinutaWorkflow(
         testCaseData,
@@ -125,6 +142,72 @@ describe("MinutaWorkflowService", () => {
     });
   });
 
+  describe("executeRectificationWorkflow", () => {
+    it("should issue a rectifying minuta that supersedes the original", async () => {
+      const original = await workflowService.executeMinutaWorkflow(testCaseData, config);
+      const result = await workflowService.executeRectificationWorkflow(
+        testCaseData,
+        original.documentId,
+        "Error en el importe",
+        { ...config, arag_base_fee: "250.00" },
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.invoice.series).toBe("TWFR");
+      expect(result.invoice.rectifiedInvoiceNumber).toBe(original.invoice.invoiceNumber);
+      expect(result.invoice.rectificationReason).toBe("Error en el importe");
+      expect(result.invoice.baseAmount).toBe(250);
+
+      const doc = documentHistory.getById(result.documentId);
+      expect(doc.document_type).toBe("MINUTA_RECTIFICATIVA");
+      expect(doc.rectifies_document_id).toBe(original.documentId);
+
+      const history = documentHistory.getByCaseId(testCaseId);
+      expect(history.find((d) => d.id === original.documentId).superseded_by).toBe(
+        result.documentId,
+      );
+      expect(history.find((d) => d.id === result.documentId).superseded_by).toBeNull();
+
+      // The original can only be rectified once; the rectificativa itself can be
+      await expect(
+        workflowService.executeRectificationWorkflow(
+          testCaseData,
+          original.documentId,
+          "Otra vez",
+          config,
+        ),
+      ).rejects.toThrow(ConflictError);
+
+      const second = await workflowService.executeRectificationWorkflow(
+        testCaseData,
+        result.documentId,
+        "Segunda corrección",
+        config,
+      );
+      expect(second.invoice.rectifiedInvoiceNumber).toBe(result.invoice.invoiceNumber);
+    });
+
+    it("should require a reason and an existing minuta of the case", async () => {
+      const original = await workflowService.executeMinutaWorkflow(testCaseData, config);
+      const suplido = await workflowService.executeSuplidoWorkflow(
+        testCaseData,
+        "Torrox",
+        45.5,
+        config,
+      );
+
+      await expect(
+        workflowService.executeRectificationWorkflow(testCaseData, original.documentId, "  ", config),
+      ).rejects.toThrow(ValidationError);
+      await expect(
+        workflowService.executeRectificationWorkflow(testCaseData, suplido.documentId, "x", config),
+      ).rejects.toThrow(ValidationError);
+      await expect(
+        workflowService.executeRectificationWorkflow(testCaseData, 999999999, "x", config),
+      ).rejects.toThrow(NotFoundError);
+    });
+  });
+
   describe("executeSuplidoWorkflow", () => {
     it("should generate suplido document", async () => {
       const result = await workflowService.executeSuplidoWorkflow(
@@ -165,4 +248,24 @@ describe("MinutaWorkflowService", () => {
       expect(result.steps[2].status).toBe("skipped");
     });
   });
+
+  describe("retryEmail", () => {
+    it("should queue failed emails once and refuse emails that were sent", async () => {
+      const email = (status) =>
+        emailHistory.create({
+          caseId: testCaseId,
+          recipient: "test@arag.es",
+          subject: `Reintento ${status}`,
+          status,
+        });
+
+      const failed = email("ERROR");
+      const result = await workflowService.retryEmail(failed.id, testCaseId, "es");
+      expect(result.queued).toBe(true);
+      await expect(workflowService.retryEmail(failed.id, testCaseId, "es")).rejects.toThrow(ConflictError);
+
+      const sent = email("SENT");
+      await expect(workflowService.retryEmail(sent.id, testCaseId, "es")).rejects.toThrow(ConflictError);
+    });
+  });
 });
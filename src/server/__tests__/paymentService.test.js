@@ -0,0 +1,237 @@
+/**
+ * Payment Service Tests
+ * Payment status, payment records and the receivables report
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import fc from "fast-check";
+import {
+  computePaymentStatus,
+  daysSince,
+  create,
+  getByDocumentId,
+  deletePayment,
+  attachPaymentStatus,
+  getReceivables,
+  PAYMENT_STATUS,
+} from "../services/paymentService.js";
+import { DocumentHistoryService } from "../services/documentHistoryService.js";
+import { ValidationError, NotFoundError } from "../errors.js";
+import { execute } from "../database.js";
+
+const TODAY = new Date("2099-06-30T12:00:00Z");
+
+/**
+ * Insert a billed document issued on a given date
+ */
+function insertDocument(caseId, documentType, generatedAt, amountDue, rectifiesDocumentId = null) {
+  const result = execute(
+    `INSERT INTO document_history (case_id, document_type, file_path, generated_at, signed,
+       rectifies_document_id, amount_due)
+     VALUES (?, ?, ?, ?, 0, ?, ?)`,
+    [caseId, documentType, `/tmp/${documentType}.pdf`, generatedAt, rectifiesDocumentId, amountDue]
+  );
+  return result.lastInsertRowid;
+}
+
+describe("Payment Service", () => {
+  let caseId;
+
+  beforeAll(() => {
+    const result = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, arag_reference, entry_date)
+       VALUES ('ARAG', 'ABIERTO', 'Payment Test Client', 'IY999201', 'DJ00999201', date('now'))`
+    );
+    caseId = result.lastInsertRowid;
+  });
+
+  afterAll(() => {
+    // Payments are removed by ON DELETE CASCADE
+    execute("DELETE FROM document_history WHERE case_id = ?", [caseId]);
+    execute("DELETE FROM cases WHERE id = ?", [caseId]);
+  });
+
+  describe("computePaymentStatus", () => {
+    it("should be paid whenever the payments cover the amount due, whatever the age", () => {
+      fc.assert(
+        fc.property(
+          fc.integer({ min: 1, max: 1000000 }),
+          fc.integer({ min: 0, max: 1000 }),
+          fc.integer({ min: 0, max: 1000 }),
+          (cents, extraCents, ageDays) => {
+            const status = computePaymentStatus({
+              amountDue: cents / 100,
+              paidAmount: (cents + extraCents) / 100,
+              ageDays,
+              overdueDays: 60,
+            });
+            expect(status).toBe(PAYMENT_STATUS.PAID);
+          }
+        ),
+        { numRuns: 100 }
+      );
+    });
+
+    it("should be overdue past the threshold, partial or pending before it", () => {
+      const base = { amountDue: 245.63, overdueDays: 60 };
+      expect(computePaymentStatus({ ...base, paidAmount: 0, ageDays: 60 })).toBe(
+        PAYMENT_STATUS.PENDING
+      );
+      expect(computePaymentStatus({ ...base, paidAmount: 100, ageDays: 10 })).toBe(
+        PAYMENT_STATUS.PARTIAL
+      );
+      expect(computePaymentStatus({ ...base, paidAmount: 0, ageDays: 61 })).toBe(
+        PAYMENT_STATUS.OVERDUE
+      );
+      expect(computePaymentStatus({ ...base, paidAmount: 100, ageDays: 61 })).toBe(
+        PAYMENT_STATUS.OVERDUE
+      );
+    });
+
+    it("should count whole days since the issue date", () => {
+      expect(daysSince("2099-06-30 23:59:00", TODAY)).toBe(0);
+      expect(daysSince("2099-05-31 08:00:00", TODAY)).toBe(30);
+    });
+  });
+
+  describe("payments", () => {
+    it("should record payments and reduce the outstanding balance", () => {
+      const documentId = insertDocument(caseId, "MINUTA", "2099-06-01 10:00:00", 245.63);
+
+      const payment = create(documentId, {
+        amount: "100",
+        paymentDate: "2099-06-15",
+        method: "TRANSFERENCIA",
+        reference: " TRF-001 ",
+      });
+      expect(payment.amount).toBe(100);
+      expect(payment.reference).toBe("TRF-001");
+
+      let balance = getByDocumentId(documentId);
+      expect(balance.payments).toHaveLength(1);
+      expect(balance.paidAmount).toBe(100);
+      expect(balance.outstanding).toBe(145.63);
+
+      create(documentId, { amount: 145.63, paymentDate: "2099-06-20", method: "CHEQUE" });
+      balance = getByDocumentId(documentId);
+      expect(balance.outstanding).toBe(0);
+      expect(balance.status).toBe(PAYMENT_STATUS.PAID);
+
+      expect(deletePayment(payment.id)).toBe(true);
+      expect(getByDocumentId(documentId).paidAmount).toBe(145.63);
+      expect(() => deletePayment(payment.id)).toThrow(NotFoundError);
+    });
+
+    it("should reject invalid amounts, dates, methods and non-billable documents", () => {
+      const documentId = insertDocument(caseId, "SUPLIDO", "2099-06-01 10:00:00", 30);
+
+      expect(() => create(documentId, { amount: 0 })).toThrow(ValidationError);
+      expect(() => create(documentId, { amount: "abc" })).toThrow(ValidationError);
+      expect(() => create(documentId, { amount: 10, paymentDate: "15/06/2099" })).toThrow(
+        ValidationError
+      );
+      expect(() => create(documentId, { amount: 10, paymentDate: "2099-02-31" })).toThrow(
+        expect.objectContaining({ messageCode: "PAYMENT_DATE_INVALID" })
+      );
+      expect(() => create(documentId, { amount: 10, method: "BIZUM" })).toThrow(ValidationError);
+      expect(() => create(999999999, { amount: 10 })).toThrow(NotFoundError);
+
+      const hoja = insertDocument(caseId, "HOJA_ENCARGO", "2099-06-01 10:00:00", null);
+      expect(() => create(hoja, { amount: 10 })).toThrow(ValidationError);
+    });
+
+    it("should not accept more than the outstanding balance", () => {
+      const documentId = insertDocument(caseId, "SUPLIDO", "2099-06-01 10:00:00", 80);
+      create(documentId, { amount: 50, paymentDate: "2099-06-10" });
+
+      let error = null;
+      try {
+        create(documentId, { amount: 30.01, paymentDate: "2099-06-11" });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.messageCode).toBe("PAYMENT_AMOUNT_EXCEEDS_OUTSTANDING");
+
+      create(documentId, { amount: 30, paymentDate: "2099-06-11" });
+      expect(() => create(documentId, { amount: 0.01, paymentDate: "2099-06-12" })).toThrow(ValidationError);
+      expect(getByDocumentId(documentId).paidAmount).toBe(80);
+    });
+
+    it("should reject payments of rectified or deleted documents", () => {
+      const rectified = insertDocument(caseId, "MINUTA", "2099-05-20 10:00:00", 245.63);
+      insertDocument(caseId, "MINUTA_RECTIFICATIVA", "2099-05-25 10:00:00", 200, rectified);
+      let error = null;
+      try {
+        create(rectified, { amount: 10, paymentDate: "2099-06-10" });
+      } catch (e) {
+        error = e;
+      }
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.messageCode).toBe("PAYMENT_DOCUMENT_SUPERSEDED");
+
+      const deleted = insertDocument(caseId, "MINUTA", "2099-05-20 10:00:00", 245.63);
+      execute("UPDATE document_history SET deleted_at = datetime('now') WHERE id = ?", [deleted]);
+      expect(() => create(deleted, { amount: 10, paymentDate: "2099-06-10" })).toThrow(NotFoundError);
+    });
+
+    it("should attach payment status to billed documents only", () => {
+      const history = new DocumentHistoryService().getByCaseId(caseId);
+      const documents = attachPaymentStatus(history, 60);
+
+      const hoja = documents.find((d) => d.document_type === "HOJA_ENCARGO");
+      expect(hoja.payment_status).toBeNull();
+
+      const minuta = documents.find((d) => d.document_type === "MINUTA");
+      expect(minuta.paid_amount).toBe(145.63);
+      expect(minuta.payment_status).toBe(PAYMENT_STATUS.PARTIAL);
+    });
+  });
+
+  describe("getReceivables", () => {
+    it("should bucket outstanding documents by age and skip superseded ones", () => {
+      const recent = insertDocument(caseId, "SUPLIDO", "2099-06-20 10:00:00", 50);
+      const old = insertDocument(caseId, "MINUTA", "2099-03-01 10:00:00", 245.63);
+      create(old, { amount: 45.63, paymentDate: "2099-04-01" });
+
+      // A rectified minuta is no longer owed; its rectifying minuta is
+      const rectified = insertDocument(caseId, "MINUTA", "2099-05-01 10:00:00", 245.63);
+      const rectifying = insertDocument(
+        caseId,
+        "MINUTA_RECTIFICATIVA",
+        "2099-05-10 10:00:00",
+        200,
+        rectified
+      );
+
+      const report = getReceivables({ overdueDays: 60, today: TODAY });
+      const ours = report.documents.filter((d) => d.caseId === caseId);
+      const byId = new Map(ours.map((d) => [d.documentId, d]));
+
+      expect(byId.has(rectified)).toBe(false);
+
+      // A deleted minuta is not owed
+      const deleted = insertDocument(caseId, "MINUTA", "2099-06-01 10:00:00", 99);
+      execute("UPDATE document_history SET deleted_at = datetime('now') WHERE id = ?", [deleted]);
+      expect(
+        getReceivables({ overdueDays: 60, today: TODAY }).documents.some((d) => d.documentId === deleted)
+      ).toBe(false);
+      expect(byId.get(recent).status).toBe(PAYMENT_STATUS.PENDING);
+      expect(byId.get(old).outstanding).toBe(200);
+      expect(byId.get(old).ageDays).toBe(121);
+      expect(byId.get(old).status).toBe(PAYMENT_STATUS.OVERDUE);
+      expect(byId.get(rectifying).ageDays).toBe(51);
+
+      const bucket = (key) => report.ageing.find((b) => b.bucket === key);
+      expect(bucket("0-30").amount).toBeGreaterThanOrEqual(50);
+      expect(bucket("31-60").amount).toBeGreaterThanOrEqual(200);
+      expect(bucket("90+").amount).toBeGreaterThanOrEqual(200);
+      expect(report.totals.overdue).toBeGreaterThanOrEqual(200);
+
+      // Once its rectificativa is deleted, the rectified minuta is owed again
+      execute("UPDATE document_history SET deleted_at = datetime('now') WHERE id = ?", [rectifying]);
+      const owed = getReceivables({ overdueDays: 60, today: TODAY }).documents.map((d) => d.documentId);
+      expect(owed).toContain(rectified);
+      expect(owed).not.toContain(rectifying);
+    });
+  });
+});
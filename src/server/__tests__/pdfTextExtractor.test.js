@@ -0,0 +1,71 @@
+/**
+ * PDF Text Extractor Tests
+ * Text layer of PDFKit and pdf-lib documents and ToUnicode CMaps
+ */
+import { describe, it, expect } from "vitest";
+import PDFDocument from "pdfkit";
+import { PDFDocument as PDFLibDocument, StandardFonts } from "pdf-lib";
+import { extractPdfText, parseToUnicodeCMap } from "../services/pdfTextExtractor.js";
+
+function renderPdfKit(draw) {
+  return new Promise((resolve) => {
+    const doc = new PDFDocument();
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    draw(doc);
+    doc.end();
+  });
+}
+
+describe("PDF Text Extractor", () => {
+  it("should extract WinAnsi text from PDFKit documents", async () => {
+    const pdf = await renderPdfKit((doc) => {
+      doc.font("Helvetica").text("Minuta de honorarios — Núñez, 1.234,56 €");
+      doc.text("Nota (entre paréntesis) con \\ barra");
+      doc.addPage().text("Página dos");
+    });
+
+    expect(await extractPdfText(pdf)).toBe(
+      "Minuta de honorarios — Núñez, 1.234,56 €\nNota (entre paréntesis) con \\ barra\n\nPágina dos"
+    );
+  });
+
+  it("should extract text from pdf-lib documents with object streams", async () => {
+    const doc = await PDFLibDocument.create();
+    const font = await doc.embedFont(StandardFonts.TimesRoman);
+    const page = doc.addPage();
+    page.drawText("Hoja de encargo: José Peña", { x: 50, y: 700, font });
+    page.drawText("Vélez-Málaga", { x: 50, y: 680, font });
+
+    expect(await extractPdfText(await doc.save({ useObjectStreams: true }))).toBe(
+      "Hoja de encargo: José Peña\nVélez-Málaga"
+    );
+  });
+
+  it("should parse bfchar and bfrange entries of ToUnicode CMaps", () => {
+    const { codeLength, map } = parseToUnicodeCMap(`
+      1 begincodespacerange <0000> <ffff> endcodespacerange
+      2 beginbfchar <0003> <0020> <0010> <00F1> endbfchar
+      2 beginbfrange
+      <0020> <0022> <0061>
+      <0030> <0031> [<0066 0069> <20AC>]
+      endbfrange
+    `);
+
+    expect(codeLength).toBe(2);
+    expect([3, 0x10, 0x20, 0x21, 0x22, 0x30, 0x31].map((code) => map.get(code))).toEqual([
+      " ",
+      "ñ",
+      "a",
+      "b",
+      "c",
+      "fi",
+      "€",
+    ]);
+  });
+
+  it("should reject files that are not PDFs", async () => {
+    await expect(extractPdfText(Buffer.from("no es un PDF"))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Provision Service Tests
+ * Provisiones de fondos ledger: balance, applying funds to invoices and refunds
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import {
+  create,
+  deleteMovement,
+  getBalance,
+  getById,
+  listByCase,
+} from "../services/provisionService.js";
+import { getByDocumentId as getPayments } from "../services/paymentService.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors.js";
+import { execute, queryOne } from "../database.js";
+
+describe("Provision Service", () => {
+  let caseId;
+  let otherCaseId;
+  let aragCaseId;
+  let invoiceId;
+
+  beforeAll(() => {
+    caseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+       VALUES ('PARTICULAR', 'ABIERTO', 'Provision Test Client', 'IY-PF-001', date('now'))`
+    ).lastInsertRowid;
+    otherCaseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+       VALUES ('PARTICULAR', 'ABIERTO', 'Provision Other Client', 'IY-PF-002', date('now'))`
+    ).lastInsertRowid;
+    aragCaseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, arag_reference, entry_date)
+       VALUES ('ARAG', 'ABIERTO', 'Provision ARAG', 'IY-PF-003', 'DJ00990101', date('now'))`
+    ).lastInsertRowid;
+    invoiceId = execute(
+      `INSERT INTO document_history (case_id, document_type, file_path, generated_at, signed, amount_due)
+       VALUES (?, 'FACTURA_HORAS', '/tmp/factura_horas.pdf', datetime('now'), 1, 300)`,
+      [caseId]
+    ).lastInsertRowid;
+  });
+
+  afterAll(() => {
+    // Movements and payments are removed by ON DELETE CASCADE
+    execute("DELETE FROM document_history WHERE case_id IN (?, ?, ?)", [caseId, otherCaseId, aragCaseId]);
+    execute("DELETE FROM cases WHERE id IN (?, ?, ?)", [caseId, otherCaseId, aragCaseId]);
+  });
+
+  it("should keep requests out of the balance and track what is pending", () => {
+    const requested = create(caseId, { movementType: "SOLICITADA", amount: "500", movementDate: "2026-10-01" });
+    expect(requested).toMatchObject({ movementType: "SOLICITADA", amount: 500, method: null });
+
+    const received = create(caseId, {
+      movementType: "RECIBIDA",
+      amount: 400,
+      movementDate: "2026-10-03",
+      reference: " TRF-001 ",
+    });
+    expect(received).toMatchObject({ method: "TRANSFERENCIA", reference: "TRF-001" });
+
+    expect(getBalance(caseId)).toEqual({
+      requested: 500,
+      received: 400,
+      applied: 0,
+      refunded: 0,
+      available: 400,
+      pendingRequest: 100,
+    });
+  });
+
+  it("should reject invalid movements and non-Particular cases", () => {
+    const valid = { movementType: "RECIBIDA", amount: 100, movementDate: "2026-10-05" };
+
+    expect(() => create(aragCaseId, valid)).toThrow(ValidationError);
+    expect(() => create(999999, valid)).toThrow(NotFoundError);
+    expect(() => create(caseId, { ...valid, movementType: "COBRADA" })).toThrow(/tipo de movimiento/);
+    expect(() => create(caseId, { ...valid, amount: -5 })).toThrow(/importe/);
+    expect(() => create(caseId, { ...valid, movementDate: "2026-02-30" })).toThrow(/fecha/);
+    expect(() => create(caseId, { ...valid, method: "BIZUM" })).toThrow(/forma de pago/);
+    expect(() => create(caseId, { ...valid, movementType: "APLICADA" })).toThrow(/factura/);
+  });
+
+  it("should apply funds to an invoice as a payment and never beyond the balance", () => {
+    expect(() =>
+      create(caseId, { movementType: "APLICADA", amount: 450, documentId: invoiceId })
+    ).toThrow(/saldo/);
+
+    const applied = create(caseId, {
+      movementType: "APLICADA",
+      amount: 250,
+      movementDate: "2026-10-10",
+      documentId: invoiceId,
+    });
+    expect(applied.paymentId).not.toBeNull();
+
+    const invoice = getPayments(invoiceId);
+    expect(invoice.paidAmount).toBe(250);
+    expect(invoice.payments[0]).toMatchObject({ method: "OTRO", reference: "Provisión de fondos" });
+
+    // Only the outstanding 50 € of the invoice can still be paid from the provision
+    expect(() =>
+      create(caseId, { movementType: "APLICADA", amount: 100, documentId: invoiceId })
+    ).toThrow(/pendiente de cobro/);
+
+    // Invoices of other cases cannot receive this client's funds
+    const otherInvoice = execute(
+      `INSERT INTO document_history (case_id, document_type, file_path, generated_at, signed, amount_due)
+       VALUES (?, 'FACTURA_HORAS', '/tmp/other.pdf', datetime('now'), 1, 100)`,
+      [otherCaseId]
+    ).lastInsertRowid;
+    expect(() =>
+      create(caseId, { movementType: "APLICADA", amount: 10, documentId: otherInvoice })
+    ).toThrow(/mismo expediente/);
+
+    expect(getBalance(caseId).available).toBe(150);
+  });
+
+  it("should list movements in date order with the running balance", () => {
+    const refund = create(caseId, { movementType: "DEVUELTA", amount: 50, movementDate: "2026-10-15" });
+    expect(() => create(caseId, { movementType: "DEVUELTA", amount: 200 })).toThrow(/saldo/);
+
+    const ledger = listByCase(caseId);
+    expect(ledger.map((m) => [m.movementType, m.balance])).toEqual([
+      ["SOLICITADA", 0],
+      ["RECIBIDA", 400],
+      ["APLICADA", 150],
+      ["DEVUELTA", 100],
+    ]);
+    expect(getBalance(caseId)).toMatchObject({ applied: 250, refunded: 50, available: 100 });
+
+    deleteMovement(refund.id);
+    expect(getBalance(caseId).available).toBe(150);
+  });
+
+  it("should not delete a receipt whose funds were already applied", () => {
+    const receipt = listByCase(caseId).find((m) => m.movementType === "RECIBIDA");
+    expect(() => deleteMovement(receipt.id)).toThrow(ConflictError);
+  });
+
+  it("should remove the invoice payment together with the application", () => {
+    const applied = listByCase(caseId).find((m) => m.movementType === "APLICADA");
+
+    deleteMovement(applied.id);
+    expect(getById(applied.id)).toBeNull();
+    expect(queryOne("SELECT id FROM payments WHERE id = ?", [applied.paymentId])).toBeUndefined();
+    expect(getBalance(caseId).available).toBe(400);
+
+    // Deleting the payment directly also returns the funds
+    const again = create(caseId, { movementType: "APLICADA", amount: 100, documentId: invoiceId });
+    execute("DELETE FROM payments WHERE id = ?", [again.paymentId]);
+    expect(getById(again.id)).toBeNull();
+
+    expect(() => deleteMovement(again.id)).toThrow(NotFoundError);
+  });
+});
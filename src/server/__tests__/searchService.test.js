@@ -0,0 +1,117 @@
+/**
+ * Search Service Tests
+ * FTS5 index over cases, email subjects and document text
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtemp, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import PDFDocument from "pdfkit";
+import { search, buildMatchQuery, indexDocument } from "../services/searchService.js";
+import { DocumentHistoryService } from "../services/documentHistoryService.js";
+import { ValidationError } from "../errors.js";
+import { execute, query } from "../database.js";
+
+function renderPdf(text) {
+  return new Promise((resolve) => {
+    const doc = new PDFDocument();
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.text(text);
+    doc.end();
+  });
+}
+
+describe("Search Service", () => {
+  let caseId;
+  let otherCaseId;
+  let tmpDir;
+
+  beforeAll(async () => {
+    tmpDir = await mkdtemp(join(tmpdir(), "test-search-"));
+    caseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date, observations)
+       VALUES ('PARTICULAR', 'ABIERTO', 'Zacarías Quintanilla', 'IY-SR-001', date('now'),
+               'Reclamación de <b>cantidad</b> por vicios ocultos en vivienda')`
+    ).lastInsertRowid;
+    otherCaseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date, observations)
+       VALUES ('PARTICULAR', 'ABIERTO', 'Otro Cliente', 'IY-SR-002', date('now'),
+               'Menciona a Quintanilla como testigo')`
+    ).lastInsertRowid;
+  });
+
+  afterAll(async () => {
+    execute("DELETE FROM cases WHERE id IN (?, ?)", [caseId, otherCaseId]);
+    await rm(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should quote user terms as prefix queries", () => {
+    expect(buildMatchQuery('vicios "ocultos" OR -x')).toBe('"vicios"* "ocultos"* "OR"* "-x"*');
+    expect(buildMatchQuery("  - ' ")).toBeNull();
+    expect(() => search("a")).toThrow(ValidationError);
+    expect(() => search("*")).toThrow(ValidationError);
+  });
+
+  it("should keep cases in sync and rank title matches first", () => {
+    const { results } = search("quintanilla");
+    const ours = results.filter((r) => [caseId, otherCaseId].includes(r.caseId));
+    expect(ours.map((r) => r.caseId)).toEqual([caseId, otherCaseId]);
+    expect(ours[0].title).toContain("<mark>Quintanilla</mark>");
+
+    execute("UPDATE cases SET observations = 'Desahucio por impago' WHERE id = ?", [caseId]);
+    expect(search("vicios ocultos").results.filter((r) => r.caseId === caseId)).toEqual([]);
+    expect(search("desahucio").results.some((r) => r.caseId === caseId)).toBe(true);
+  });
+
+  it("should ignore accents and escape highlighted snippets", () => {
+    execute("UPDATE cases SET observations = 'Cláusula <b>abusiva</b> del préstamo' WHERE id = ?", [
+      caseId,
+    ]);
+    const [result] = search("clausula prestamo").results.filter((r) => r.caseId === caseId);
+    expect(result.type).toBe("case");
+    expect(result.snippet).toContain("<mark>Cláusula</mark>");
+    expect(result.snippet).toContain("&lt;b&gt;abusiva&lt;/b&gt;");
+    expect(result.case.internalReference).toBe("IY-SR-001");
+  });
+
+  it("should index email subjects", () => {
+    execute(
+      `INSERT INTO email_history (case_id, recipient, subject, sent_at, status)
+       VALUES (?, 'perito@example.com', 'Informe pericial de humedades', datetime('now'), 'SENT')`,
+      [caseId]
+    );
+    const results = search("humedades", { type: "email" }).results.filter(
+      (r) => r.caseId === caseId
+    );
+    expect(results).toHaveLength(1);
+    expect(results[0].email.sentAt).toBeTruthy();
+  });
+
+  it("should index the text of PDFs created through DocumentHistoryService", async () => {
+    const filePath = join(tmpDir, "minuta.pdf");
+    await writeFile(filePath, await renderPdf("Honorarios por la demanda de retracto arrendaticio"));
+
+    const documentHistory = new DocumentHistoryService();
+    const doc = documentHistory.create({ caseId, documentType: "MINUTA", filePath });
+    await indexDocument(doc.id);
+
+    const [result] = search("retracto arrendaticio", { type: "document" }).results.filter(
+      (r) => r.caseId === caseId
+    );
+    expect(result.id).toBe(doc.id);
+    expect(result.document.documentType).toBe("MINUTA");
+    expect(result.snippet).toContain("<mark>retracto</mark>");
+
+    documentHistory.delete(doc.id);
+    expect(
+      query("SELECT 1 FROM search_index WHERE entity_type = 'document' AND entity_id = ?", [doc.id])
+    ).toEqual([]);
+  });
+
+  it("should remove everything indexed under a deleted case", () => {
+    execute("DELETE FROM cases WHERE id = ?", [otherCaseId]);
+    expect(query("SELECT 1 FROM search_index WHERE case_id = ?", [otherCaseId])).toEqual([]);
+  });
+});
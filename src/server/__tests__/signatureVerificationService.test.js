@@ -0,0 +1,170 @@
+/**
+ * Signature Verification Service Tests
+ * PAdES signatures: byte-range digest, certificate chain and changes after signing
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { join, dirname } from "path";
+import { tmpdir } from "os";
+import { fileURLToPath } from "url";
+import forge from "node-forge";
+import { PDFDocument } from "pdf-lib";
+import { CryptoSignatureStrategy } from "../services/signatureService.js";
+import {
+  SIGNATURE_PROBLEMS,
+  SIGNATURE_STATUS,
+  findSignatures,
+  loadTrustedRoots,
+  verifyDocument,
+  verifyPdf,
+  verifyUpload,
+} from "../services/signatureVerificationService.js";
+import { DocumentHistoryService } from "../services/documentHistoryService.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { execute } from "../database.js";
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const TEST_CERT_PATH = join(__dirname, "fixtures/test-certificate.p12");
+const TEST_CERT_PASSWORD = "testpassword";
+
+/**
+ * Certificate of the test .p12 as PEM
+ * @returns {string}
+ */
+function testCertificatePem() {
+  const der = forge.util.decode64(readFileSync(TEST_CERT_PATH).toString("base64"));
+  const p12 = forge.pkcs12.pkcs12FromAsn1(forge.asn1.fromDer(der), TEST_CERT_PASSWORD);
+  const [bag] = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag];
+  return forge.pki.certificateToPem(bag.cert);
+}
+
+describe("Signature Verification Service", () => {
+  let rootsDir;
+  let trustedRoots;
+  let unsignedPdf;
+  let signedPdf;
+  let caseId;
+
+  beforeAll(async () => {
+    rootsDir = mkdtempSync(join(tmpdir(), "trusted-roots-"));
+    writeFileSync(join(rootsDir, "aca-raiz.pem"), testCertificatePem());
+    writeFileSync(join(rootsDir, "notas.txt"), "not a certificate");
+    trustedRoots = loadTrustedRoots(rootsDir);
+
+    const doc = await PDFDocument.create();
+    doc.addPage().drawText("Hoja de encargo");
+    unsignedPdf = Buffer.from(await doc.save());
+    signedPdf = await new CryptoSignatureStrategy(TEST_CERT_PATH, TEST_CERT_PASSWORD).sign(unsignedPdf);
+
+    caseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+       VALUES ('PARTICULAR', 'ABIERTO', 'Signature Test', 'IY-SIG-001', date('now'))`
+    ).lastInsertRowid;
+  });
+
+  afterAll(() => {
+    execute(
+      "DELETE FROM document_versions WHERE document_id IN (SELECT id FROM document_history WHERE case_id = ?)",
+      [caseId]
+    );
+    execute("DELETE FROM document_history WHERE case_id = ?", [caseId]);
+    execute("DELETE FROM cases WHERE id = ?", [caseId]);
+    rmSync(rootsDir, { recursive: true, force: true });
+  });
+
+  it("should read the signature dictionary", () => {
+    const [signature] = findSignatures(signedPdf);
+
+    expect(signature.subFilter).toBe("adbe.pkcs7.detached");
+    expect(signature.location).toBe("Málaga, España");
+    expect(signature.byteRange[0]).toBe(0);
+    expect(signature.byteRange[2] + signature.byteRange[3]).toBe(signedPdf.length);
+    expect(findSignatures(unsignedPdf)).toEqual([]);
+  });
+
+  it("should accept a signature chaining to a trusted root", () => {
+    expect(trustedRoots).toHaveLength(1);
+
+    const result = verifyPdf(signedPdf, { trustedRoots });
+    expect(result).toMatchObject({ signed: true, status: SIGNATURE_STATUS.VALID, modifiedAfterLastSignature: false });
+    expect(result.signatures[0]).toMatchObject({
+      digestAlgorithm: "sha256",
+      digestValid: true,
+      signatureValid: true,
+      trusted: true,
+      coversWholeDocument: true,
+      signer: { commonName: "Test ACA Certificate", organization: "Test Law Firm" },
+      problems: [],
+    });
+    expect(Date.now() - new Date(result.signatures[0].signingTime).getTime()).toBeLessThan(60_000);
+  });
+
+  it("should report untrusted certificates", () => {
+    const result = verifyPdf(signedPdf, { trustedRoots: [] });
+
+    expect(result.status).toBe(SIGNATURE_STATUS.UNTRUSTED);
+    expect(result.signatures[0]).toMatchObject({ digestValid: true, signatureValid: true, trusted: false });
+    expect(result.signatures[0].problems).toEqual([SIGNATURE_PROBLEMS.CHAIN_UNTRUSTED]);
+  });
+
+  it("should detect changes inside the signed bytes", () => {
+    const tampered = Buffer.from(signedPdf);
+    tampered[20] ^= 0x01; // Inside the first signed range
+
+    const result = verifyPdf(tampered, { trustedRoots });
+    expect(result.status).toBe(SIGNATURE_STATUS.INVALID);
+    expect(result.signatures[0].problems).toContain(SIGNATURE_PROBLEMS.DIGEST_MISMATCH);
+  });
+
+  it("should detect content appended after signing", () => {
+    const updated = Buffer.concat([signedPdf, Buffer.from("\n1 0 obj\n<< /Annot true >>\nendobj\n%%EOF\n")]);
+
+    const result = verifyPdf(updated, { trustedRoots });
+    expect(result.status).toBe(SIGNATURE_STATUS.MODIFIED);
+    expect(result.modifiedAfterLastSignature).toBe(true);
+    expect(result.signatures[0]).toMatchObject({ digestValid: true, coversWholeDocument: false });
+    expect(result.signatures[0].problems).toEqual([SIGNATURE_PROBLEMS.MODIFIED_AFTER_SIGNING]);
+  });
+
+  it("should only accept validation data referenced by the DSS after signing", async () => {
+    const source = signedPdf.toString("latin1");
+    const size = Number([...source.matchAll(/\/Size\s+(\d+)/g)].at(-1)[1]);
+    const [, root] = [...source.matchAll(/\/Root\s+(\d+\s+\d+)\s+R/g)].at(-1);
+    const page = (await PDFDocument.load(signedPdf)).getPage(0).ref.objectNumber;
+    const append = (objects) =>
+      verifyPdf(Buffer.concat([signedPdf, Buffer.from(`\n${objects}%%EOF\n`)]), { trustedRoots });
+    const catalog = `${root} obj\n<< /Type /Catalog /DSS ${size + 1} 0 R >>\nendobj\n`;
+    const dss = (refs) => `${size + 1} 0 obj\n<< /Certs [${refs}] >>\nendobj\n`;
+    const stream = (number) => `${number} 0 obj\n<< /Length 4 >>\nstream\nDER.\nendstream\nendobj\n`;
+
+    expect(append(catalog + dss(`${size + 2} 0 R`) + stream(size + 2)).status).toBe(SIGNATURE_STATUS.VALID);
+
+    // A page redefined as a "certificate", or in an object stream, or a new object nobody references
+    expect(append(catalog + dss(`${page} 0 R`) + stream(page)).status).toBe(SIGNATURE_STATUS.MODIFIED);
+    expect(
+      append(
+        `${size} 0 obj\n<< /Type /ObjStm /N 1 /First 5 /Length 25 >>\nstream\n${page} 0 << /Type /Page >>\nendstream\nendobj\n`
+      ).status
+    ).toBe(SIGNATURE_STATUS.MODIFIED);
+    expect(append(catalog + dss("") + stream(size + 2)).status).toBe(SIGNATURE_STATUS.MODIFIED);
+  });
+
+  it("should report unsigned PDFs and reject other files", () => {
+    expect(verifyPdf(unsignedPdf, { trustedRoots })).toMatchObject({ signed: false, status: null, signatures: [] });
+    expect(() => verifyUpload({ buffer: Buffer.from("PK\x03\x04"), originalName: "acta.docx" })).toThrow(
+      ValidationError
+    );
+  });
+
+  it("should verify stored documents", async () => {
+    const filePath = join(rootsDir, "hoja_encargo_signed.pdf");
+    writeFileSync(filePath, signedPdf);
+    const doc = new DocumentHistoryService().create({ caseId, documentType: "HOJA_ENCARGO", filePath });
+
+    const result = await verifyDocument(doc.id);
+    expect(result).toMatchObject({ documentId: doc.id, caseId, fileName: "hoja_encargo_signed.pdf", signed: true });
+
+    await expect(verifyDocument("abc")).rejects.toThrow(ValidationError);
+    await expect(verifyDocument(999999999)).rejects.toThrow(NotFoundError);
+  });
+});
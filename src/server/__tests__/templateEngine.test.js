@@ -0,0 +1,113 @@
+/**
+ * Template Engine Tests
+ * Placeholders, conditional sections, layout blocks and validation
+ */
+import { describe, it, expect } from "vitest";
+import {
+  formatValue,
+  interpolate,
+  renderTemplate,
+  resolveConditionals,
+  validateTemplate,
+} from "../services/templateEngine.js";
+
+const context = {
+  case: { clientName: "Ana Pérez", internalReference: "IY000123", aragReference: null },
+  client: { nif: "12345678Z" },
+  config: { vat_rate: 21 },
+  document: { fees: 1500, date: "2026-03-05", rectification: null },
+};
+
+describe("Template Engine", () => {
+  it("should fill placeholders with formats and leave missing values empty", () => {
+    expect(interpolate("{{case.clientName}} ({{ case.internalReference }})", context)).toBe(
+      "Ana Pérez (IY000123)"
+    );
+    expect(interpolate("{{document.fees | currency}}", context)).toBe(formatValue(1500, "currency"));
+    expect(interpolate("{{document.date | date}}", context)).toBe("05/03/2026");
+    expect(interpolate("{{case.clientName | upper}}", context)).toBe("ANA PÉREZ");
+    expect(interpolate("[{{case.aragReference}}][{{document.missing.path}}]", context)).toBe("[][]");
+  });
+
+  it("should resolve nested conditional sections without leaving blank lines", () => {
+    const source = [
+      "@campos",
+      "Cliente: {{case.clientName}}",
+      "{{#if client.nif}}",
+      "NIF: {{client.nif}}",
+      "{{#if case.aragReference}}",
+      "ARAG: {{case.aragReference}}",
+      "{{/if}}",
+      "{{/if}}",
+      "Fecha: {{document.date | date}}",
+    ].join("\n");
+
+    expect(resolveConditionals(source, context).split("\n")).toEqual([
+      "@campos",
+      "Cliente: {{case.clientName}}",
+      "NIF: {{client.nif}}",
+      "Fecha: {{document.date | date}}",
+    ]);
+    expect(
+      resolveConditionals("@titulo {{#if document.rectification}}RECTIFICATIVA{{else}}MINUTA{{/if}}", context)
+    ).toBe("@titulo MINUTA");
+    expect(() => resolveConditionals("{{#if client.nif}}x", context)).toThrow(/Línea 1/);
+  });
+
+  it("should turn lines into layout blocks", () => {
+    const blocks = renderTemplate(
+      [
+        "@color #1a5276",
+        "@seccion DATOS",
+        "@campos",
+        "Cliente: {{case.clientName}}",
+        "Ref. ARAG: {{case.aragReference}}",
+        "",
+        "@tabla CONCEPTO | IMPORTE",
+        "Honorarios | {{document.fees | currency}}",
+        "@total TOTAL | {{document.fees | currency}}",
+        "Texto libre de {{case.clientName}}",
+      ].join("\n"),
+      context
+    );
+
+    expect(blocks.map((b) => b.type)).toEqual(["color", "seccion", "campos", "tabla", "total", "parrafo"]);
+    // Fields without value are left out
+    expect(blocks[2].rows).toEqual([{ label: "Cliente:", value: "Ana Pérez" }]);
+    expect(blocks[3]).toMatchObject({ header: ["CONCEPTO", "IMPORTE"] });
+    expect(blocks[3].rows[0][0]).toBe("Honorarios");
+    expect(blocks[5].text).toBe("Texto libre de Ana Pérez");
+  });
+
+  it("should not let data inject directives or sections", () => {
+    const blocks = renderTemplate("{{case.clientName}}", {
+      case: { clientName: "@titulo {{#if x}}HACK{{/if}}" },
+    });
+    expect(blocks).toEqual([{ type: "parrafo", text: "@titulo {{#if x}}HACK{{/if}}" }]);
+  });
+
+  it("should report errors with their line number", () => {
+    const source = [
+      "@titulo {{case.clientName}}",
+      "{{case.unknownField}}",
+      "{{document.fees | euros}}",
+      "@cabecera Hola",
+      "@color azul",
+      "@total Sin separador",
+      "{{#if client.nif}}",
+      "{{secret.value}} {{ broken",
+      "{{/if}}{{/if}}",
+    ].join("\n");
+
+    const errors = validateTemplate(source, context);
+    expect(errors.map((e) => e.line)).toEqual([2, 3, 4, 5, 6, 8, 9]);
+    expect(errors[0].message).toMatch(/Campo desconocido/);
+    expect(errors[1].message).toMatch(/Formato desconocido/);
+    expect(errors[2].message).toMatch(/Directiva desconocida: @cabecera/);
+    expect(errors[5].message).toMatch(/no es un campo válido/);
+    expect(errors[6].message).toMatch(/sin \{\{#if\}\}/);
+
+    // Fields that exist but are empty in the sample are valid
+    expect(validateTemplate("{{case.aragReference}} {{document.rectification}}", context)).toEqual([]);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Time Entry Service Tests
+ * Hours per case, start/stop timer and fee note amounts
+ */
+import { describe, it, expect, beforeAll, afterAll } from "vitest";
+import {
+  create,
+  update,
+  deleteEntry,
+  listByCase,
+  getSummary,
+  getUnbilledEntries,
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  calculateFeeNoteAmounts,
+  MAX_DURATION_MINUTES,
+} from "../services/timeEntryService.js";
+import { get as getConfigValue } from "../services/configurationService.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors.js";
+import { execute } from "../database.js";
+
+describe("Time Entry Service", () => {
+  let caseId;
+  let aragCaseId;
+  let lawyer;
+
+  beforeAll(() => {
+    caseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, entry_date)
+       VALUES ('PARTICULAR', 'ABIERTO', 'Time Test Client', 'IY-TE-001', date('now'))`
+    ).lastInsertRowid;
+    aragCaseId = execute(
+      `INSERT INTO cases (type, state, client_name, internal_reference, arag_reference, entry_date)
+       VALUES ('ARAG', 'ABIERTO', 'Time Test ARAG', 'IY-TE-002', 'DJ00990001', date('now'))`
+    ).lastInsertRowid;
+
+    execute("DELETE FROM users WHERE username LIKE 'test_time_%'");
+    lawyer = {
+      id: execute(
+        `INSERT INTO users (username, password_hash, full_name, role)
+         VALUES ('test_time_ana', 'x', 'Ana Letrada', 'abogado')`
+      ).lastInsertRowid,
+    };
+  });
+
+  afterAll(() => {
+    execute("DELETE FROM time_entries WHERE case_id IN (?, ?)", [caseId, aragCaseId]);
+    execute("DELETE FROM cases WHERE id IN (?, ?)", [caseId, aragCaseId]);
+    execute("DELETE FROM users WHERE username LIKE 'test_time_%'");
+  });
+
+  it("should record hours with the actor as lawyer and the default rate", () => {
+    const entry = create(caseId, { entryDate: "2026-10-05", durationMinutes: 90, activity: " Estudio " }, lawyer);
+
+    expect(entry).toMatchObject({
+      caseId,
+      userId: lawyer.id,
+      userName: "Ana Letrada",
+      entryDate: "2026-10-05",
+      durationMinutes: 90,
+      activity: "Estudio",
+      hourlyRate: getConfigValue("default_hourly_rate"),
+      billable: true,
+      timerRunning: false,
+      documentId: null,
+    });
+
+    const custom = create(caseId, {
+      entryDate: "2026-10-06",
+      durationMinutes: 20,
+      activity: "Llamada",
+      hourlyRate: "120",
+      billable: false,
+    });
+    expect(custom.hourlyRate).toBe(120);
+    expect(custom.amount).toBe(40);
+    expect(custom.billable).toBe(false);
+    expect(listByCase(caseId).map((e) => e.id)).toEqual([custom.id, entry.id]);
+  });
+
+  it("should reject invalid entries and non-Particular cases", () => {
+    const valid = { entryDate: "2026-10-05", durationMinutes: 30, activity: "Vista" };
+
+    expect(() => create(aragCaseId, valid)).toThrow(ValidationError);
+    expect(() => create(999999, valid)).toThrow(NotFoundError);
+    expect(() => create(caseId, { ...valid, entryDate: "2026-02-30" })).toThrow(/fecha/);
+    expect(() => create(caseId, { ...valid, durationMinutes: 0 })).toThrow(/duración/);
+    expect(() => create(caseId, { ...valid, durationMinutes: 1.5 })).toThrow(/duración/);
+    expect(() => create(caseId, { ...valid, durationMinutes: MAX_DURATION_MINUTES + 1 })).toThrow(
+      /duración/
+    );
+    expect(() => create(caseId, { ...valid, activity: "  " })).toThrow(/actividad/);
+    expect(() => create(caseId, { ...valid, hourlyRate: -1 })).toThrow(/tarifa/);
+    expect(() => create(caseId, { ...valid, userId: 999999 })).toThrow(/usuario/);
+  });
+
+  it("should run one timer per user and round the elapsed time up to minutes", () => {
+    const started = startTimer(
+      caseId,
+      { activity: "Redacción de demanda" },
+      lawyer,
+      { now: new Date("2026-10-19T08:00:00Z") }
+    );
+    expect(started).toMatchObject({ timerRunning: true, durationMinutes: null, amount: 0 });
+    expect(started.entryDate).toBe("2026-10-19");
+    expect(getRunningTimer(lawyer.id).id).toBe(started.id);
+    expect(getUnbilledEntries(caseId).map((e) => e.id)).not.toContain(started.id);
+
+    expect(() => startTimer(caseId, { activity: "Otra" }, lawyer)).toThrow(ConflictError);
+
+    // Running entries can be edited without a duration
+    expect(update(started.id, { activity: "Redacción de contestación" }).activity).toBe(
+      "Redacción de contestación"
+    );
+
+    const stopped = stopTimer(started.id, { now: new Date("2026-10-19T08:44:30Z") });
+    expect(stopped).toMatchObject({ timerRunning: false, durationMinutes: 45 });
+    expect(getRunningTimer(lawyer.id)).toBeNull();
+    expect(() => stopTimer(started.id)).toThrow(ValidationError);
+
+    // A forgotten timer is capped at one day
+    const forgotten = startTimer(caseId, { activity: "Olvidado" }, lawyer, {
+      now: new Date("2026-10-17T08:00:00Z"),
+    });
+    expect(stopTimer(forgotten.id, { now: new Date("2026-10-19T08:00:00Z") }).durationMinutes).toBe(
+      MAX_DURATION_MINUTES
+    );
+    deleteEntry(forgotten.id);
+  });
+
+  it("should total billable and unbilled hours", () => {
+    const summary = getSummary(caseId);
+    const entries = listByCase(caseId);
+    const unbilled = entries.filter((e) => e.billable && !e.documentId && !e.timerRunning);
+
+    expect(summary.totalMinutes).toBe(entries.reduce((sum, e) => sum + e.durationMinutes, 0));
+    expect(summary.billableMinutes).toBe(summary.totalMinutes - 20);
+    expect(summary.unbilledMinutes).toBe(unbilled.reduce((sum, e) => sum + e.durationMinutes, 0));
+    expect(summary.unbilledAmount).toBeCloseTo(
+      unbilled.reduce((sum, e) => sum + e.amount, 0),
+      2
+    );
+  });
+
+  it("should calculate fee note amounts rounded to cents", () => {
+    const amounts = calculateFeeNoteAmounts(
+      [
+        { durationMinutes: 90, hourlyRate: 150 },
+        { durationMinutes: 7, hourlyRate: 100 },
+      ],
+      { vat_rate: "21" }
+    );
+
+    // 225 + 11.67
+    expect(amounts).toEqual({ baseAmount: 236.67, vatRate: 21, vatAmount: 49.7, total: 286.37 });
+  });
+
+  it("should not modify or delete invoiced entries", () => {
+    const entry = create(caseId, { entryDate: "2026-10-07", durationMinutes: 60, activity: "Facturada" });
+    const docId = execute(
+      `INSERT INTO document_history (case_id, document_type, file_path, generated_at, signed)
+       VALUES (?, 'FACTURA_HORAS', '/tmp/none.pdf', datetime('now'), 1)`,
+      [caseId]
+    ).lastInsertRowid;
+    execute("UPDATE time_entries SET document_id = ? WHERE id = ?", [docId, entry.id]);
+
+    expect(() => update(entry.id, { durationMinutes: 30 })).toThrow(ConflictError);
+    expect(() => deleteEntry(entry.id)).toThrow(ConflictError);
+
+    // Deleting the fee note releases the entry
+    execute("DELETE FROM document_history WHERE id = ?", [docId]);
+    expect(update(entry.id, { durationMinutes: 30 }).durationMinutes).toBe(30);
+    expect(deleteEntry(entry.id)).toBe(true);
+    expect(() => deleteEntry(entry.id)).toThrow(NotFoundError);
+  });
+});
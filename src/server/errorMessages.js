@@ -77,6 +77,54 @@ export const ConfigErrors = {
       "No se pudo guardar la configuración. Por favor, verifique los datos e inténtelo de nuevo. Si el problema persiste, contacte con soporte.",
   }),
 
+  /**
+   * Invalid invoice series prefix
+   * @param {string} value - The invalid series
+   */
+  invoiceSeriesInvalid: (value) => ({
+    code: "CONFIG_VALIDATION_INVOICE_SERIES",
+    message: `La serie de facturas '${value}' no es válida. Use entre 1 y 10 letras mayúsculas o dígitos (ejemplo: M).`,
+    field: "invoice_series",
+    details: { received: value, expected: "A-Z, 0-9 (1-10 caracteres)", example: "M" },
+  }),
+
+  /**
+   * Holiday list contains entries that are not dates
+   * @param {string} field - Configuration key (e.g., 'holidays_local')
+   * @param {string[]} invalid - Rejected entries
+   */
+  holidayListInvalid: (field, invalid) => ({
+    code: "CONFIG_VALIDATION_HOLIDAYS",
+    message: `Festivos no válidos en '${field}': ${invalid.join(", ")}. Use MM-DD para festivos anuales (ejemplo: 12-25) o AAAA-MM-DD para festivos de un año concreto.`,
+    field,
+    details: { invalid, expected: "MM-DD o AAAA-MM-DD", example: "12-25, 2026-04-02" },
+  }),
+
+  /**
+   * Invalid service URL (e.g., timestamp authority)
+   * @param {string} field - Configuration key (e.g., 'signature_tsa_url')
+   * @param {string} value - The invalid URL
+   */
+  urlInvalid: (field, value) => ({
+    code: "CONFIG_VALIDATION_URL",
+    message: `La dirección '${value}' no es válida. Use una URL http o https (ejemplo: https://tsa.example.com/tsr).`,
+    field,
+    details: { received: value, expected: "http(s)://…", example: "https://tsa.example.com/tsr" },
+  }),
+
+  /**
+   * Value not among the accepted options
+   * @param {string} field - Configuration key
+   * @param {string} value - Invalid value
+   * @param {Array<string>} validValues - Accepted values
+   */
+  optionInvalid: (field, value, validValues) => ({
+    code: "CONFIG_VALIDATION_OPTION",
+    message: `El valor '${value}' no es válido. Valores permitidos: ${validValues.map((v) => v || "(vacío)").join(", ")}.`,
+    field,
+    details: { received: value, validValues },
+  }),
+
   /**
    * Configuration load failed
    */
@@ -302,6 +350,1754 @@ export const DatabaseErrors = {
   }),
 };
 
+/**
+ * Error messages for authentication and user management errors
+ */
+export const AuthErrors = {
+  /**
+   * Wrong username or password (never reveal which one)
+   */
+  invalidCredentials: () => ({
+    code: "AUTH_INVALID_CREDENTIALS",
+    message:
+      "Usuario o contraseña incorrectos. Por favor, compruebe sus datos e inténtelo de nuevo.",
+  }),
+
+  /**
+   * Session token missing, unknown or expired
+   */
+  sessionExpired: () => ({
+    code: "AUTH_SESSION_EXPIRED",
+    message:
+      "Su sesión ha caducado o no es válida. Por favor, inicie sesión de nuevo.",
+  }),
+
+  /**
+   * A request that changes data authenticated only with the session cookie
+   */
+  bearerRequired: () => ({
+    code: "AUTH_BEARER_REQUIRED",
+    message:
+      "Esta operación requiere el token de sesión en la cabecera Authorization. Recargue la aplicación e inténtelo de nuevo.",
+  }),
+
+  /**
+   * User lacks the role required by the route
+   * @param {string[]} roles - Roles allowed for the route
+   */
+  forbiddenRole: (roles) => ({
+    code: "AUTH_FORBIDDEN_ROLE",
+    message: `No tiene permisos para acceder a esta sección. Se requiere uno de los siguientes roles: ${roles.join(", ")}.`,
+    details: { requiredRoles: roles },
+  }),
+
+  /**
+   * Invalid role value
+   * @param {string} value - The invalid role
+   * @param {string[]} validRoles - Accepted roles
+   */
+  roleInvalid: (value, validRoles) => ({
+    code: "AUTH_ROLE_INVALID",
+    message: `El rol '${value}' no es válido. Los roles válidos son: ${validRoles.join(", ")}.`,
+    field: "role",
+    details: { received: value, validRoles },
+  }),
+
+  /**
+   * Password does not meet the minimum requirements
+   * @param {number} minLength - Minimum password length
+   */
+  passwordTooShort: (minLength) => ({
+    code: "AUTH_PASSWORD_TOO_SHORT",
+    message: `La contraseña debe tener al menos ${minLength} caracteres. Por favor, elija una contraseña más larga.`,
+    field: "password",
+    details: { minLength },
+  }),
+
+  /**
+   * Username already taken
+   * @param {string} username - The duplicate username
+   */
+  usernameDuplicate: (username) => ({
+    code: "AUTH_USERNAME_DUPLICATE",
+    message: `Ya existe un usuario con el nombre '${username}'. Por favor, elija otro nombre de usuario.`,
+    field: "username",
+    details: { duplicateUsername: username },
+  }),
+
+  /**
+   * User not found
+   * @param {number|string} id - The user ID that wasn't found
+   */
+  userNotFound: (id) => ({
+    code: "AUTH_USER_NOT_FOUND",
+    message: `No se encontró el usuario con ID ${id}.`,
+    field: "id",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Attempt to remove the last active admin
+   */
+  lastAdmin: () => ({
+    code: "AUTH_LAST_ADMIN",
+    message:
+      "No se puede desactivar ni cambiar el rol del último administrador activo. Cree otro administrador antes de continuar.",
+  }),
+
+  /**
+   * Calendar feed token missing, unknown or revoked
+   */
+  calendarTokenInvalid: () => ({
+    code: "AUTH_CALENDAR_TOKEN_INVALID",
+    message:
+      "El enlace del calendario no es válido o ha sido revocado. Genere un nuevo enlace de suscripción desde la aplicación.",
+  }),
+};
+
+/**
+ * Error messages for client (persona) errors
+ */
+export const ClientErrors = {
+  /**
+   * Client not found
+   * @param {number|string} id - The client ID that wasn't found
+   */
+  notFound: (id) => ({
+    code: "CLIENT_NOT_FOUND",
+    message: `No se encontró el cliente con ID ${id}. Es posible que haya sido eliminado o que el ID sea incorrecto.`,
+    field: "clientId",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Invalid NIF/NIE/CIF
+   * @param {string} value - The invalid document number
+   */
+  nifInvalid: (value) => ({
+    code: "CLIENT_NIF_INVALID",
+    message: `El NIF '${value}' no es válido. Introduzca un DNI (12345678Z), NIE (X1234567L) o CIF (B12345678) correcto.`,
+    field: "nif",
+    details: { received: value },
+  }),
+
+  /**
+   * Duplicate NIF
+   * @param {string} nif - The duplicate document number
+   */
+  nifDuplicate: (nif) => ({
+    code: "CLIENT_NIF_DUPLICATE",
+    message: `Ya existe un cliente con el NIF '${nif}'. Búsquelo en el listado de clientes en lugar de crear uno nuevo.`,
+    field: "nif",
+    details: { duplicateNif: nif },
+  }),
+
+  /**
+   * Invalid email address
+   * @param {string} value - The invalid email
+   */
+  emailInvalid: (value) => ({
+    code: "CLIENT_EMAIL_INVALID",
+    message: `El email '${value}' no tiene un formato válido (ejemplo: cliente@ejemplo.com).`,
+    field: "email",
+    details: { received: value },
+  }),
+
+  /**
+   * Client still linked to cases
+   * @param {number} caseCount - Number of linked cases
+   */
+  hasCases: (caseCount) => ({
+    code: "CLIENT_HAS_CASES",
+    message: `No se puede eliminar el cliente porque tiene ${caseCount} expediente(s) asociado(s).`,
+    details: { caseCount },
+  }),
+};
+
+/**
+ * Error messages for the invoice register
+ */
+export const InvoiceErrors = {
+  /**
+   * Reserved invoice number was taken by a concurrent issue
+   * @param {string} invoiceNumber - The number that is no longer free
+   */
+  numberTaken: (invoiceNumber) => ({
+    code: "INVOICE_NUMBER_TAKEN",
+    message: `El número de factura ${invoiceNumber} ya ha sido asignado a otra factura. Inténtelo de nuevo.`,
+    field: "invoiceNumber",
+    details: { invoiceNumber },
+  }),
+
+  /**
+   * Document to rectify not found in the case
+   * @param {number|string} documentId - The document ID
+   */
+  documentNotFound: (documentId) => ({
+    code: "INVOICE_DOCUMENT_NOT_FOUND",
+    message: `No se encontró la minuta con ID ${documentId} en este expediente.`,
+    field: "documentId",
+    details: { documentId },
+  }),
+
+  /**
+   * Document type cannot be rectified
+   * @param {string} documentType - Type of the document
+   */
+  documentNotRectifiable: (documentType) => ({
+    code: "INVOICE_NOT_RECTIFIABLE",
+    message: `Solo se pueden rectificar minutas. El documento seleccionado es de tipo ${documentType}.`,
+    field: "documentId",
+    details: { documentType },
+  }),
+
+  /**
+   * Document was already rectified
+   * @param {number} documentId - The rectified document
+   * @param {number} rectifyingDocumentId - The document that rectifies it
+   */
+  alreadyRectified: (documentId, rectifyingDocumentId) => ({
+    code: "INVOICE_ALREADY_RECTIFIED",
+    message:
+      "La minuta ya fue sustituida por una factura rectificativa. Rectifique la última factura emitida.",
+    field: "documentId",
+    details: { documentId, rectifyingDocumentId },
+  }),
+
+  /**
+   * Rectification reason missing
+   */
+  rectificationReasonRequired: () => ({
+    code: "INVOICE_RECTIFICATION_REASON_REQUIRED",
+    message: "Indique el motivo de la rectificación. Debe figurar en la factura rectificativa.",
+    field: "reason",
+  }),
+
+  /**
+   * Invalid date filter for the register
+   * @param {string} field - 'from' or 'to'
+   * @param {string} value - The invalid date
+   */
+  dateInvalid: (field, value) => ({
+    code: "INVOICE_DATE_INVALID",
+    message: `La fecha '${value}' no es válida. Use el formato AAAA-MM-DD.`,
+    field,
+    details: { received: value, expected: "AAAA-MM-DD" },
+  }),
+};
+
+/**
+ * Error messages for payment tracking
+ */
+export const PaymentErrors = {
+  /**
+   * Payment not found
+   * @param {number|string} id - The payment ID
+   */
+  notFound: (id) => ({
+    code: "PAYMENT_NOT_FOUND",
+    message: `No se encontró el cobro con ID ${id}.`,
+    field: "paymentId",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Billed document not found
+   * @param {number|string} documentId - The document ID
+   */
+  documentNotFound: (documentId) => ({
+    code: "PAYMENT_DOCUMENT_NOT_FOUND",
+    message: `No se encontró el documento con ID ${documentId}.`,
+    field: "documentId",
+    details: { documentId },
+  }),
+
+  /**
+   * Document type does not accept payments
+   * @param {string} documentType - Type of the document
+   */
+  documentNotBillable: (documentType) => ({
+    code: "PAYMENT_DOCUMENT_NOT_BILLABLE",
+    message: `Solo se pueden registrar cobros de minutas, facturas de horas y suplidos. El documento es de tipo ${documentType}.`,
+    field: "documentId",
+    details: { documentType },
+  }),
+
+  /**
+   * Document replaced by a rectifying document (the rectifying one is billed instead)
+   * @param {number|string} documentId - The document ID
+   */
+  documentSuperseded: (documentId) => ({
+    code: "PAYMENT_DOCUMENT_SUPERSEDED",
+    message: "El documento ha sido sustituido por una minuta rectificativa. Registre el cobro en la rectificativa.",
+    field: "documentId",
+    details: { documentId },
+  }),
+
+  /**
+   * Payment larger than what the document still owes
+   * @param {number} amount - Amount of the payment
+   * @param {number} outstanding - Outstanding balance of the document
+   */
+  amountExceedsOutstanding: (amount, outstanding) => ({
+    code: "PAYMENT_AMOUNT_EXCEEDS_OUTSTANDING",
+    message: `El importe (${amount} €) supera lo pendiente de cobro del documento (${outstanding} €).`,
+    field: "amount",
+    details: { amount, outstanding },
+  }),
+
+  /**
+   * Invalid payment amount
+   * @param {*} value - The invalid amount
+   */
+  amountInvalid: (value) => ({
+    code: "PAYMENT_AMOUNT_INVALID",
+    message: `El importe del cobro debe ser un número positivo. Valor recibido: '${value}'.`,
+    field: "amount",
+    details: { received: value },
+  }),
+
+  /**
+   * Invalid payment date
+   * @param {string} value - The invalid date
+   */
+  dateInvalid: (value) => ({
+    code: "PAYMENT_DATE_INVALID",
+    message: `La fecha de cobro '${value}' no es válida. Use el formato AAAA-MM-DD.`,
+    field: "paymentDate",
+    details: { received: value, expected: "AAAA-MM-DD" },
+  }),
+
+  /**
+   * Unknown payment method
+   * @param {string} value - The invalid method
+   * @param {string[]} validMethods - Accepted methods
+   */
+  methodInvalid: (value, validMethods) => ({
+    code: "PAYMENT_METHOD_INVALID",
+    message: `La forma de pago '${value}' no es válida. Valores permitidos: ${validMethods.join(", ")}.`,
+    field: "method",
+    details: { received: value, validMethods },
+  }),
+};
+
+/**
+ * Error messages for bank statement imports and reconciliation
+ */
+export const BankImportErrors = {
+  /**
+   * No file or empty file uploaded
+   */
+  fileEmpty: () => ({
+    code: "BANK_IMPORT_FILE_EMPTY",
+    message: "El extracto bancario está vacío o no se ha proporcionado ningún archivo.",
+    field: "statement",
+    details: {},
+  }),
+
+  /**
+   * File is neither Norma 43 nor a recognizable CSV
+   */
+  formatUnknown: () => ({
+    code: "BANK_IMPORT_FORMAT_UNKNOWN",
+    message:
+      "Formato de extracto no reconocido. Use un fichero AEB Norma 43 o un CSV con columnas de fecha, concepto e importe.",
+    field: "statement",
+    details: { supportedFormats: ["NORMA43", "CSV"] },
+  }),
+
+  /**
+   * Malformed line in the statement
+   * @param {number} line - Line number (1-based)
+   * @param {string} reason - What is wrong
+   */
+  lineInvalid: (line, reason) => ({
+    code: "BANK_IMPORT_LINE_INVALID",
+    message: `Línea ${line} del extracto no válida: ${reason}.`,
+    field: "statement",
+    details: { line, reason },
+  }),
+
+  /**
+   * CSV without the required columns
+   * @param {string[]} missing - Missing column roles
+   */
+  csvColumnsMissing: (missing) => ({
+    code: "BANK_IMPORT_CSV_COLUMNS_MISSING",
+    message: `El CSV no tiene las columnas necesarias: ${missing.join(", ")}.`,
+    field: "statement",
+    details: { missing },
+  }),
+
+  /**
+   * Import not found
+   * @param {number|string} id - Import ID
+   */
+  importNotFound: (id) => ({
+    code: "BANK_IMPORT_NOT_FOUND",
+    message: `No se encontró la importación bancaria con ID ${id}.`,
+    field: "importId",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Bank transaction not found
+   * @param {number|string} id - Transaction ID
+   */
+  transactionNotFound: (id) => ({
+    code: "BANK_TRANSACTION_NOT_FOUND",
+    message: `No se encontró el movimiento bancario con ID ${id}.`,
+    field: "transactionId",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Transaction already confirmed or dismissed
+   * @param {string} status - Current status
+   */
+  transactionNotPending: (status) => ({
+    code: "BANK_TRANSACTION_NOT_PENDING",
+    message: `El movimiento ya está ${status === "CONFIRMADO" ? "conciliado" : "descartado"}.`,
+    field: "transactionId",
+    details: { status },
+  }),
+
+  /**
+   * Confirmation without a document
+   */
+  documentRequired: () => ({
+    code: "BANK_TRANSACTION_DOCUMENT_REQUIRED",
+    message: "Seleccione la minuta o suplido al que corresponde el cobro.",
+    field: "documentId",
+    details: {},
+  }),
+
+  /**
+   * Transfer larger than what the document still owes
+   */
+  exceedsOutstanding: (amount, outstanding) => ({
+    code: "BANK_TRANSACTION_EXCEEDS_OUTSTANDING",
+    message: `El importe asignado (${amount} €) supera lo pendiente de cobro del documento (${outstanding} €).`,
+    field: "documentId",
+    details: { amount, outstanding },
+  }),
+
+  /**
+   * Split with a missing amount or the same document twice
+   */
+  allocationInvalid: () => ({
+    code: "BANK_TRANSACTION_ALLOCATION_INVALID",
+    message: "Indique un importe mayor que cero para cada documento, sin repetir ninguno.",
+    field: "allocations",
+    details: {},
+  }),
+
+  /**
+   * Split that does not add up to the amount of the transfer left to assign
+   */
+  allocationMismatch: (total, remaining) => ({
+    code: "BANK_TRANSACTION_ALLOCATION_MISMATCH",
+    message: `Los importes asignados suman ${total} € y el movimiento tiene ${remaining} € por asignar.`,
+    field: "allocations",
+    details: { total, remaining },
+  }),
+};
+
+/**
+ * Procedural deadline (plazo) error messages
+ */
+export const DeadlineErrors = {
+  /**
+   * Deadline not found
+   * @param {number|string} id - The deadline ID
+   */
+  notFound: (id) => ({
+    code: "DEADLINE_NOT_FOUND",
+    message: `No se encontró el plazo con ID ${id}.`,
+    field: "deadlineId",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Case of the deadline not found
+   * @param {number|string} caseId - The case ID
+   */
+  caseNotFound: (caseId) => ({
+    code: "DEADLINE_CASE_NOT_FOUND",
+    message: `No se encontró el expediente con ID ${caseId}.`,
+    field: "caseId",
+    details: { caseId },
+  }),
+
+  /**
+   * Missing title
+   */
+  titleRequired: () => ({
+    code: "DEADLINE_TITLE_REQUIRED",
+    message: "Indique el trámite del plazo (por ejemplo: Contestación a la demanda).",
+    field: "title",
+    details: {},
+  }),
+
+  /**
+   * Invalid date
+   * @param {string} field - Field name
+   * @param {*} value - The invalid value
+   */
+  dateInvalid: (field, value) => ({
+    code: "DEADLINE_DATE_INVALID",
+    message: `La fecha '${value}' no es válida. Use el formato AAAA-MM-DD.`,
+    field,
+    details: { received: value, expected: "AAAA-MM-DD" },
+  }),
+
+  /**
+   * Invalid number of days
+   * @param {*} value - The invalid value
+   */
+  daysInvalid: (value) => ({
+    code: "DEADLINE_DAYS_INVALID",
+    message: `El número de días debe ser un entero entre 1 y 365. Valor recibido: '${value}'.`,
+    field: "days",
+    details: { received: value, min: 1, max: 365 },
+  }),
+
+  /**
+   * Invalid day type
+   * @param {string} value - The invalid value
+   * @param {string[]} validTypes - Accepted types
+   */
+  dayTypeInvalid: (value, validTypes) => ({
+    code: "DEADLINE_DAY_TYPE_INVALID",
+    message: `Tipo de cómputo no válido: '${value}'. Valores permitidos: ${validTypes.join(", ")}.`,
+    field: "dayType",
+    details: { received: value, validTypes },
+  }),
+
+  /**
+   * Neither days nor a due date were given
+   */
+  dueDateRequired: () => ({
+    code: "DEADLINE_DUE_DATE_REQUIRED",
+    message: "Indique la fecha de notificación y los días del plazo, o la fecha de vencimiento.",
+    field: "dueDate",
+    details: {},
+  }),
+};
+
+/**
+ * Court hearing (señalamiento) error messages
+ */
+export const HearingErrors = {
+  /**
+   * Hearing not found
+   * @param {number|string} id - The hearing ID
+   */
+  notFound: (id) => ({
+    code: "HEARING_NOT_FOUND",
+    message: `No se encontró el señalamiento con ID ${id}.`,
+    field: "hearingId",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Case of the hearing not found
+   * @param {number|string} caseId - The case ID
+   */
+  caseNotFound: (caseId) => ({
+    code: "HEARING_CASE_NOT_FOUND",
+    message: `No se encontró el expediente con ID ${caseId}.`,
+    field: "caseId",
+    details: { caseId },
+  }),
+
+  /**
+   * Invalid hearing type
+   * @param {string} value - The invalid type
+   * @param {string[]} validTypes - Accepted types
+   */
+  typeInvalid: (value, validTypes) => ({
+    code: "HEARING_TYPE_INVALID",
+    message: `Tipo de señalamiento no válido: '${value}'. Valores permitidos: ${validTypes.join(", ")}.`,
+    field: "hearingType",
+    details: { received: value, validTypes },
+  }),
+
+  /**
+   * Invalid date/time
+   * @param {*} value - The invalid value
+   */
+  startsAtInvalid: (value) => ({
+    code: "HEARING_STARTS_AT_INVALID",
+    message: `La fecha y hora '${value}' no es válida. Use el formato AAAA-MM-DDTHH:MM (hora de Madrid).`,
+    field: "startsAt",
+    details: { received: value, expected: "AAAA-MM-DDTHH:MM", example: "2026-11-03T10:30" },
+  }),
+
+  /**
+   * Invalid duration
+   * @param {*} value - The invalid value
+   */
+  durationInvalid: (value) => ({
+    code: "HEARING_DURATION_INVALID",
+    message: `La duración debe ser un número entero de minutos entre 5 y 720. Valor recibido: '${value}'.`,
+    field: "durationMinutes",
+    details: { received: value, min: 5, max: 720 },
+  }),
+
+  /**
+   * Missing court
+   */
+  courtRequired: () => ({
+    code: "HEARING_COURT_REQUIRED",
+    message: "Indique el juzgado o tribunal del señalamiento (por ejemplo: Juzgado de Primera Instancia nº 2).",
+    field: "court",
+    details: {},
+  }),
+
+  /**
+   * Invalid judicial district
+   * @param {string} value - The invalid district
+   * @param {string[]} validDistricts - Accepted districts
+   */
+  districtInvalid: (value, validDistricts) => ({
+    code: "HEARING_DISTRICT_INVALID",
+    message: `Partido judicial inválido: '${value}'. Debe ser uno de: ${validDistricts.join(", ")}.`,
+    field: "judicialDistrict",
+    details: { received: value, validDistricts },
+  }),
+
+  /**
+   * Invalid status
+   * @param {string} value - The invalid status
+   * @param {string[]} validStatuses - Accepted statuses
+   */
+  statusInvalid: (value, validStatuses) => ({
+    code: "HEARING_STATUS_INVALID",
+    message: `Estado de señalamiento no válido: '${value}'. Valores permitidos: ${validStatuses.join(", ")}.`,
+    field: "status",
+    details: { received: value, validStatuses },
+  }),
+
+  /**
+   * Assigned lawyer not found
+   * @param {number|string} userId - The user ID
+   */
+  lawyerNotFound: (userId) => ({
+    code: "HEARING_LAWYER_NOT_FOUND",
+    message: `No se encontró el usuario con ID ${userId} para asignar el señalamiento.`,
+    field: "lawyerUserId",
+    details: { userId },
+  }),
+};
+
+/**
+ * Full-text search error messages
+ */
+export const SearchErrors = {
+  /**
+   * Search text too short (or only punctuation)
+   * @param {string} value - The received query
+   * @param {number} minLength - Minimum number of characters
+   */
+  queryTooShort: (value, minLength) => ({
+    code: "SEARCH_QUERY_TOO_SHORT",
+    message: `Escriba al menos ${minLength} letras o números para buscar.`,
+    field: "q",
+    details: { received: value, minLength },
+  }),
+};
+
+/**
+ * Time tracking error messages (Particulares)
+ */
+export const TimeEntryErrors = {
+  /**
+   * Time entry not found
+   * @param {number|string} id - The entry ID
+   */
+  notFound: (id) => ({
+    code: "TIME_ENTRY_NOT_FOUND",
+    message: `No se encontró el registro de horas con ID ${id}.`,
+    field: "timeEntryId",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Case of the entry not found
+   * @param {number|string} caseId - The case ID
+   */
+  caseNotFound: (caseId) => ({
+    code: "TIME_ENTRY_CASE_NOT_FOUND",
+    message: `No se encontró el expediente con ID ${caseId}.`,
+    field: "caseId",
+    details: { caseId },
+  }),
+
+  /**
+   * Hours can only be recorded on Particular cases
+   * @param {string} caseType - Type of the case
+   */
+  caseTypeInvalid: (caseType) => ({
+    code: "TIME_ENTRY_CASE_TYPE_INVALID",
+    message: `Solo se pueden registrar horas en expedientes Particulares (tipo recibido: ${caseType}).`,
+    field: "caseId",
+    details: { caseType, expected: "PARTICULAR" },
+  }),
+
+  /**
+   * Invalid entry date
+   * @param {*} value - The invalid value
+   */
+  dateInvalid: (value) => ({
+    code: "TIME_ENTRY_DATE_INVALID",
+    message: `La fecha '${value}' no es válida. Use el formato AAAA-MM-DD.`,
+    field: "entryDate",
+    details: { received: value, expected: "AAAA-MM-DD" },
+  }),
+
+  /**
+   * Invalid duration
+   * @param {*} value - The invalid value
+   */
+  durationInvalid: (value) => ({
+    code: "TIME_ENTRY_DURATION_INVALID",
+    message: `La duración debe ser un número entero de minutos entre 1 y 1440. Valor recibido: '${value}'.`,
+    field: "durationMinutes",
+    details: { received: value, min: 1, max: 1440 },
+  }),
+
+  /**
+   * Missing activity description
+   */
+  activityRequired: () => ({
+    code: "TIME_ENTRY_ACTIVITY_REQUIRED",
+    message: "Describa la actividad realizada.",
+    field: "activity",
+    details: {},
+  }),
+
+  /**
+   * Invalid hourly rate
+   * @param {*} value - The invalid value
+   */
+  rateInvalid: (value) => ({
+    code: "TIME_ENTRY_RATE_INVALID",
+    message: `La tarifa horaria debe ser un importe entre 0 y 10.000 €. Valor recibido: '${value}'.`,
+    field: "hourlyRate",
+    details: { received: value, min: 0, max: 10000 },
+  }),
+
+  /**
+   * Assigned lawyer does not exist
+   * @param {number|string} userId - The user ID
+   */
+  lawyerNotFound: (userId) => ({
+    code: "TIME_ENTRY_LAWYER_NOT_FOUND",
+    message: `No existe el usuario con ID ${userId}.`,
+    field: "userId",
+    details: { userId },
+  }),
+
+  /**
+   * Entry already invoiced
+   * @param {number} id - The entry ID
+   * @param {number} documentId - Fee note that includes it
+   */
+  alreadyBilled: (id, documentId) => ({
+    code: "TIME_ENTRY_ALREADY_BILLED",
+    message:
+      "Este registro ya está incluido en una factura de horas y no se puede modificar. " +
+      "Elimine la factura si necesita corregirlo.",
+    field: "timeEntryId",
+    details: { timeEntryId: id, documentId },
+  }),
+
+  /**
+   * The user already has a running timer
+   * @param {number} runningEntryId - Entry with the running timer
+   */
+  timerAlreadyRunning: (runningEntryId) => ({
+    code: "TIME_ENTRY_TIMER_RUNNING",
+    message: "Ya tiene un cronómetro en marcha. Deténgalo antes de iniciar otro.",
+    field: "timer",
+    details: { runningEntryId },
+  }),
+
+  /**
+   * Entry has no running timer
+   * @param {number} id - The entry ID
+   */
+  timerNotRunning: (id) => ({
+    code: "TIME_ENTRY_TIMER_NOT_RUNNING",
+    message: "El cronómetro de este registro no está en marcha.",
+    field: "timer",
+    details: { timeEntryId: id },
+  }),
+
+  /**
+   * No unbilled billable hours in the case
+   * @param {number} caseId - The case ID
+   */
+  nothingToBill: (caseId) => ({
+    code: "TIME_ENTRY_NOTHING_TO_BILL",
+    message: "No hay horas facturables pendientes de facturar en este expediente.",
+    field: "caseId",
+    details: { caseId },
+  }),
+};
+
+/**
+ * Error messages for the provisiones de fondos ledger
+ */
+export const ProvisionErrors = {
+  /**
+   * Ledger movement not found
+   * @param {number|string} id - The movement ID
+   */
+  notFound: (id) => ({
+    code: "PROVISION_NOT_FOUND",
+    message: `No se encontró el movimiento de provisión con ID ${id}.`,
+    field: "provisionId",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Case of the ledger not found
+   * @param {number|string} caseId - The case ID
+   */
+  caseNotFound: (caseId) => ({
+    code: "PROVISION_CASE_NOT_FOUND",
+    message: `No se encontró el expediente con ID ${caseId}.`,
+    field: "caseId",
+    details: { caseId },
+  }),
+
+  /**
+   * Provisiones can only be recorded on Particular cases
+   * @param {string} caseType - Type of the case
+   */
+  caseTypeInvalid: (caseType) => ({
+    code: "PROVISION_CASE_TYPE_INVALID",
+    message: `Solo se pueden registrar provisiones de fondos en expedientes Particulares (tipo recibido: ${caseType}).`,
+    field: "caseId",
+    details: { caseType, expected: "PARTICULAR" },
+  }),
+
+  /**
+   * Unknown movement type
+   * @param {*} value - The invalid value
+   * @param {Array<string>} allowed - Valid movement types
+   */
+  typeInvalid: (value, allowed) => ({
+    code: "PROVISION_TYPE_INVALID",
+    message: `El tipo de movimiento '${value}' no es válido. Valores permitidos: ${allowed.join(", ")}.`,
+    field: "movementType",
+    details: { received: value, allowed },
+  }),
+
+  /**
+   * Invalid amount
+   * @param {*} value - The invalid value
+   */
+  amountInvalid: (value) => ({
+    code: "PROVISION_AMOUNT_INVALID",
+    message: `El importe debe ser un número positivo. Valor recibido: '${value}'.`,
+    field: "amount",
+    details: { received: value },
+  }),
+
+  /**
+   * Invalid movement date
+   * @param {*} value - The invalid value
+   */
+  dateInvalid: (value) => ({
+    code: "PROVISION_DATE_INVALID",
+    message: `La fecha '${value}' no es válida. Use el formato AAAA-MM-DD.`,
+    field: "movementDate",
+    details: { received: value, expected: "AAAA-MM-DD" },
+  }),
+
+  /**
+   * Invalid payment method of a receipt or refund
+   * @param {*} value - The invalid value
+   * @param {Array<string>} allowed - Valid methods
+   */
+  methodInvalid: (value, allowed) => ({
+    code: "PROVISION_METHOD_INVALID",
+    message: `La forma de pago '${value}' no es válida. Valores permitidos: ${allowed.join(", ")}.`,
+    field: "method",
+    details: { received: value, allowed },
+  }),
+
+  /**
+   * Applying funds requires the invoice they pay
+   */
+  invoiceRequired: () => ({
+    code: "PROVISION_INVOICE_REQUIRED",
+    message: "Indique la factura a la que se aplica la provisión.",
+    field: "documentId",
+    details: {},
+  }),
+
+  /**
+   * The document is not an invoice of this case
+   * @param {number|string} documentId - The document ID
+   */
+  invoiceInvalid: (documentId) => ({
+    code: "PROVISION_INVOICE_INVALID",
+    message: "La provisión solo se puede aplicar a una factura con importe de este mismo expediente.",
+    field: "documentId",
+    details: { documentId },
+  }),
+
+  /**
+   * Applied amount is larger than what the invoice still owes
+   * @param {number} amount - Amount to apply
+   * @param {number} outstanding - Outstanding balance of the invoice
+   */
+  exceedsOutstanding: (amount, outstanding) => ({
+    code: "PROVISION_EXCEEDS_OUTSTANDING",
+    message: `El importe (${amount} €) supera lo pendiente de cobro de la factura (${outstanding} €).`,
+    field: "amount",
+    details: { amount, outstanding },
+  }),
+
+  /**
+   * Not enough funds held to apply or refund the amount
+   * @param {number} amount - Requested amount
+   * @param {number} available - Funds held
+   */
+  insufficientBalance: (amount, available) => ({
+    code: "PROVISION_INSUFFICIENT_BALANCE",
+    message: `El saldo de provisiones disponible (${available} €) no cubre el importe de ${amount} €.`,
+    field: "amount",
+    details: { amount, available },
+  }),
+
+  /**
+   * Deleting a receipt would leave a negative balance
+   * @param {number} id - The movement ID
+   * @param {number} available - Funds held
+   */
+  receiptInUse: (id, available) => ({
+    code: "PROVISION_RECEIPT_IN_USE",
+    message:
+      "No se puede eliminar este cobro: parte de los fondos ya se ha aplicado o devuelto. " +
+      "Elimine antes esos movimientos.",
+    field: "provisionId",
+    details: { provisionId: id, available },
+  }),
+};
+
+/**
+ * Error messages for the editable document templates
+ */
+export const TemplateErrors = {
+  /**
+   * Document type has no editable template
+   * @param {string} documentType - Requested document type
+   * @param {Array<string>} validTypes - Types with templates
+   */
+  typeInvalid: (documentType, validTypes) => ({
+    code: "TEMPLATE_TYPE_INVALID",
+    message: `No existe plantilla para el tipo de documento '${documentType}'. Tipos disponibles: ${validTypes.join(", ")}.`,
+    field: "documentType",
+    details: { documentType, validTypes },
+  }),
+
+  /**
+   * Template language not supported
+   * @param {string} language - Requested language
+   * @param {Array<string>} validLanguages - Languages with templates
+   */
+  languageInvalid: (language, validLanguages) => ({
+    code: "TEMPLATE_LANGUAGE_INVALID",
+    message: `Idioma de plantilla no válido: '${language}'. Idiomas disponibles: ${validLanguages.join(", ")}.`,
+    field: "language",
+    details: { language, validLanguages },
+  }),
+
+  /**
+   * Template body missing
+   */
+  bodyRequired: () => ({
+    code: "TEMPLATE_BODY_REQUIRED",
+    message: "El contenido de la plantilla es obligatorio.",
+    field: "body",
+  }),
+
+  /**
+   * Template body over the size limit
+   * @param {number} length - Length received
+   * @param {number} maxLength - Maximum length
+   */
+  bodyTooLong: (length, maxLength) => ({
+    code: "TEMPLATE_BODY_TOO_LONG",
+    message: `La plantilla no puede superar ${maxLength} caracteres (tiene ${length}).`,
+    field: "body",
+    details: { length, maxLength },
+  }),
+
+  /**
+   * Template has syntax errors
+   * @param {Array<{line: number, message: string}>} errors - Errors found
+   */
+  syntaxInvalid: (errors) => ({
+    code: "TEMPLATE_SYNTAX_INVALID",
+    message:
+      `La plantilla contiene ${errors.length} error(es). ` +
+      errors.slice(0, 3).map((e) => `Línea ${e.line}: ${e.message}`).join("; "),
+    field: "body",
+    details: { errors },
+  }),
+
+  /**
+   * Case used for the preview not found
+   * @param {number|string} caseId - The case ID
+   */
+  caseNotFound: (caseId) => ({
+    code: "TEMPLATE_CASE_NOT_FOUND",
+    message: `No se encontró el expediente con ID ${caseId}.`,
+    field: "caseId",
+    details: { caseId },
+  }),
+};
+
+/**
+ * Error messages for the editable email templates
+ */
+export const EmailTemplateErrors = {
+  /**
+   * Email template key does not exist
+   * @param {string} templateKey - Requested key
+   * @param {Array<string>} validKeys - Keys with templates
+   */
+  keyInvalid: (templateKey, validKeys) => ({
+    code: "EMAIL_TEMPLATE_KEY_INVALID",
+    message: `No existe la plantilla de email '${templateKey}'. Plantillas disponibles: ${validKeys.join(", ")}.`,
+    field: "templateKey",
+    details: { templateKey, validKeys },
+  }),
+
+  /**
+   * Subject or plain text body missing
+   * @param {string} field - "subject" or "text"
+   */
+  partRequired: (field) => ({
+    code: "EMAIL_TEMPLATE_PART_REQUIRED",
+    message: field === "subject" ? "El asunto del email es obligatorio." : "El texto del email es obligatorio.",
+    field,
+    details: { field },
+  }),
+
+  /**
+   * Subject spanning several lines or over the size limit
+   * @param {number} maxLength - Maximum length
+   */
+  subjectInvalid: (maxLength) => ({
+    code: "EMAIL_TEMPLATE_SUBJECT_INVALID",
+    message: `El asunto debe ocupar una sola línea de hasta ${maxLength} caracteres.`,
+    field: "subject",
+    details: { maxLength },
+  }),
+
+  /**
+   * Body over the size limit
+   * @param {string} field - "text" or "html"
+   * @param {number} length - Length received
+   * @param {number} maxLength - Maximum length
+   */
+  partTooLong: (field, length, maxLength) => ({
+    code: "EMAIL_TEMPLATE_PART_TOO_LONG",
+    message: `El ${field === "html" ? "HTML" : "texto"} del email no puede superar ${maxLength} caracteres (tiene ${length}).`,
+    field,
+    details: { field, length, maxLength },
+  }),
+
+  /**
+   * Template part has syntax errors
+   * @param {string} field - "subject", "text" or "html"
+   * @param {Array<{line: number, message: string}>} errors - Errors found
+   */
+  syntaxInvalid: (field, errors) => ({
+    code: "EMAIL_TEMPLATE_SYNTAX_INVALID",
+    message:
+      `${{ subject: "El asunto", text: "El texto", html: "El HTML" }[field]} contiene ${errors.length} error(es). ` +
+      errors.slice(0, 3).map((e) => `Línea ${e.line}: ${e.message}`).join("; "),
+    field,
+    details: { field, errors },
+  }),
+};
+
+/**
+ * Error messages for documents uploaded to cases
+ */
+export const CaseDocumentErrors = {
+  /**
+   * Document not found in the case
+   * @param {number|string} id - The document ID
+   */
+  notFound: (id) => ({
+    code: "CASE_DOCUMENT_NOT_FOUND",
+    message: `No se encontró el documento con ID ${id} en este expediente.`,
+    field: "documentId",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Case of the document not found
+   * @param {number|string} caseId - The case ID
+   */
+  caseNotFound: (caseId) => ({
+    code: "CASE_DOCUMENT_CASE_NOT_FOUND",
+    message: `No se encontró el expediente con ID ${caseId}.`,
+    field: "caseId",
+    details: { caseId },
+  }),
+
+  /**
+   * Archived cases are read-only
+   * @param {number|string} caseId - The case ID
+   */
+  caseArchived: (caseId) => ({
+    code: "CASE_DOCUMENT_CASE_ARCHIVED",
+    message: "No se pueden subir ni eliminar documentos de expedientes archivados.",
+    field: "caseId",
+    details: { caseId },
+  }),
+
+  /**
+   * Upload without a file
+   */
+  fileRequired: () => ({
+    code: "CASE_DOCUMENT_FILE_REQUIRED",
+    message: "No se ha proporcionado ningún archivo.",
+    field: "document",
+  }),
+
+  /**
+   * File format not accepted
+   * @param {string} fileName - Uploaded file name
+   * @param {Array<string>} allowedExtensions - Accepted extensions
+   */
+  fileTypeInvalid: (fileName, allowedExtensions) => ({
+    code: "CASE_DOCUMENT_FILE_TYPE_INVALID",
+    message: `Formato de archivo no admitido: '${fileName}'. Formatos admitidos: ${allowedExtensions.join(", ")}.`,
+    field: "document",
+    details: { fileName, allowedExtensions },
+  }),
+
+  /**
+   * Unknown document category
+   * @param {*} value - The invalid value
+   * @param {Array<string>} validCategories - Valid categories
+   */
+  categoryInvalid: (value, validCategories) => ({
+    code: "CASE_DOCUMENT_CATEGORY_INVALID",
+    message: `Categoría de documento no válida: '${value}'. Categorías válidas: ${validCategories.join(", ")}.`,
+    field: "category",
+    details: { value, validCategories },
+  }),
+
+  /**
+   * Description over the size limit
+   * @param {number} maxLength - Maximum length
+   */
+  descriptionTooLong: (maxLength) => ({
+    code: "CASE_DOCUMENT_DESCRIPTION_TOO_LONG",
+    message: `La descripción no puede superar ${maxLength} caracteres.`,
+    field: "description",
+    details: { maxLength },
+  }),
+
+  /**
+   * Tags over the count or length limit
+   * @param {number} maxTags - Maximum number of tags
+   * @param {number} maxLength - Maximum length of a tag
+   */
+  tagsInvalid: (maxTags, maxLength) => ({
+    code: "CASE_DOCUMENT_TAGS_INVALID",
+    message: `Indique como máximo ${maxTags} etiquetas de hasta ${maxLength} caracteres cada una.`,
+    field: "tags",
+    details: { maxTags, maxLength },
+  }),
+
+  /**
+   * Generated documents (minutas, suplidos, hojas de encargo...) cannot be deleted
+   * @param {string} documentType - Type of the document
+   */
+  notUploaded: (documentType) => ({
+    code: "CASE_DOCUMENT_NOT_UPLOADED",
+    message: "Solo se pueden eliminar documentos subidos manualmente.",
+    field: "documentId",
+    details: { documentType },
+  }),
+
+  /**
+   * The file of the document is missing on disk
+   * @param {number|string} id - The document ID
+   */
+  fileMissing: (id) => ({
+    code: "CASE_DOCUMENT_FILE_MISSING",
+    message: "El archivo del documento no se encuentra en el servidor.",
+    field: "documentId",
+    details: { documentId: id },
+  }),
+
+  /**
+   * Restore of a document that is not deleted
+   * @param {number|string} id - The document ID
+   */
+  notDeleted: (id) => ({
+    code: "CASE_DOCUMENT_NOT_DELETED",
+    message: "El documento no está eliminado.",
+    field: "documentId",
+    details: { documentId: id },
+  }),
+
+  /**
+   * Version not found for the document
+   * @param {number|string} id - The document ID
+   * @param {number|string} versionNumber - The version number
+   */
+  versionNotFound: (id, versionNumber) => ({
+    code: "CASE_DOCUMENT_VERSION_NOT_FOUND",
+    message: `No se encontró la versión ${versionNumber} del documento.`,
+    field: "versionNumber",
+    details: { documentId: id, versionNumber },
+  }),
+};
+
+/**
+ * Error messages for PDF signature verification
+ */
+export const SignatureErrors = {
+  /**
+   * Neither a file nor a stored document was given
+   */
+  documentRequired: () => ({
+    code: "SIGNATURE_DOCUMENT_REQUIRED",
+    message: "Adjunte un PDF o indique el documento del expediente que desea verificar.",
+    field: "document",
+  }),
+
+  /**
+   * Stored document not found
+   * @param {number|string} id - The document ID
+   */
+  documentNotFound: (id) => ({
+    code: "SIGNATURE_DOCUMENT_NOT_FOUND",
+    message: `No se encontró el documento con ID ${id}.`,
+    field: "documentId",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * The file of the stored document is missing on disk
+   * @param {number|string} id - The document ID
+   */
+  fileMissing: (id) => ({
+    code: "SIGNATURE_FILE_MISSING",
+    message: "El archivo del documento no se encuentra en el servidor.",
+    field: "documentId",
+    details: { documentId: id },
+  }),
+
+  /**
+   * Only PDF files carry PAdES signatures
+   * @param {string} fileName - Name of the file
+   */
+  notPdf: (fileName) => ({
+    code: "SIGNATURE_NOT_PDF",
+    message: `Solo se pueden verificar firmas de archivos PDF: '${fileName}'.`,
+    field: "document",
+    details: { fileName },
+  }),
+};
+
+/**
+ * Error messages for client signature requests (hoja de encargo signing links)
+ */
+export const ClientSignatureErrors = {
+  /**
+   * No document given for the request
+   */
+  documentRequired: () => ({
+    code: "CLIENT_SIGNATURE_DOCUMENT_REQUIRED",
+    message: "Indique la hoja de encargo que debe firmar el cliente.",
+    field: "documentId",
+  }),
+
+  /**
+   * Document not found in the case
+   * @param {number|string} id - The document ID
+   */
+  documentNotFound: (id) => ({
+    code: "CLIENT_SIGNATURE_DOCUMENT_NOT_FOUND",
+    message: `No se encontró la hoja de encargo con ID ${id} en este expediente.`,
+    field: "documentId",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Only hojas de encargo are signed by the client
+   * @param {string} documentType - Type of the document
+   */
+  documentTypeInvalid: (documentType) => ({
+    code: "CLIENT_SIGNATURE_DOCUMENT_TYPE_INVALID",
+    message: `El cliente solo puede firmar hojas de encargo (tipo recibido: ${documentType}).`,
+    field: "documentId",
+    details: { documentType, expected: "HOJA_ENCARGO" },
+  }),
+
+  /**
+   * The file to sign is missing on disk
+   * @param {number|string} id - The document ID
+   */
+  fileMissing: (id) => ({
+    code: "CLIENT_SIGNATURE_FILE_MISSING",
+    message: "El archivo de la hoja de encargo no se encuentra en el servidor.",
+    field: "documentId",
+    details: { documentId: id },
+  }),
+
+  /**
+   * Signer name missing
+   */
+  signerNameRequired: () => ({
+    code: "CLIENT_SIGNATURE_SIGNER_REQUIRED",
+    message: "Indique el nombre de la persona que debe firmar.",
+    field: "signerName",
+  }),
+
+  /**
+   * Invalid signer email
+   * @param {string} email - The invalid email
+   */
+  signerEmailInvalid: (email) => ({
+    code: "CLIENT_SIGNATURE_EMAIL_INVALID",
+    message: `El email '${email}' no es válido. Use el formato nombre@dominio.com.`,
+    field: "signerEmail",
+    details: { received: email },
+  }),
+
+  /**
+   * Signature request not found in the case
+   * @param {number|string} id - The request ID
+   */
+  requestNotFound: (id) => ({
+    code: "CLIENT_SIGNATURE_REQUEST_NOT_FOUND",
+    message: `No se encontró la solicitud de firma con ID ${id}.`,
+    field: "requestId",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Unknown signing link
+   */
+  linkInvalid: () => ({
+    code: "CLIENT_SIGNATURE_LINK_INVALID",
+    message: "El enlace de firma no es válido. Compruebe que lo ha copiado completo o pida uno nuevo al despacho.",
+  }),
+
+  /**
+   * Signing link past its expiry date
+   * @param {string} expiresAt - Expiry date
+   */
+  linkExpired: (expiresAt) => ({
+    code: "CLIENT_SIGNATURE_LINK_EXPIRED",
+    message: "El enlace de firma ha caducado. Pida uno nuevo al despacho.",
+    details: { expiresAt },
+  }),
+
+  /**
+   * Signing link revoked by the office
+   */
+  linkCancelled: () => ({
+    code: "CLIENT_SIGNATURE_LINK_CANCELLED",
+    message: "El enlace de firma ha sido anulado por el despacho.",
+  }),
+
+  /**
+   * Signing link already used
+   * @param {string} signedAt - Signing date
+   */
+  alreadySigned: (signedAt) => ({
+    code: "CLIENT_SIGNATURE_ALREADY_SIGNED",
+    message: "Este documento ya ha sido firmado con este enlace.",
+    details: { signedAt },
+  }),
+
+  /**
+   * Only pending requests can be cancelled
+   * @param {string} status - Current status
+   */
+  notPending: (status) => ({
+    code: "CLIENT_SIGNATURE_NOT_PENDING",
+    message: `Solo se pueden anular solicitudes de firma pendientes (estado actual: ${status}).`,
+    details: { status },
+  }),
+
+  /**
+   * The PDF changed after the link was sent
+   */
+  documentChanged: () => ({
+    code: "CLIENT_SIGNATURE_DOCUMENT_CHANGED",
+    message: "La hoja de encargo ha cambiado desde que se envió el enlace. Pida uno nuevo al despacho.",
+  }),
+
+  /**
+   * The client did not accept the document
+   */
+  acceptanceRequired: () => ({
+    code: "CLIENT_SIGNATURE_ACCEPTANCE_REQUIRED",
+    message: "Debe confirmar que ha leído y acepta la hoja de encargo.",
+    field: "accepted",
+  }),
+
+  /**
+   * Unknown signature method
+   * @param {string} method - The method received
+   * @param {Array<string>} validMethods - Accepted methods
+   */
+  methodInvalid: (method, validMethods) => ({
+    code: "CLIENT_SIGNATURE_METHOD_INVALID",
+    message: `Método de firma no válido: '${method}'. Valores permitidos: ${validMethods.join(", ")}.`,
+    field: "method",
+    details: { received: method, validValues: validMethods },
+  }),
+
+  /**
+   * Drawn signature missing or not a PNG image
+   * @param {number} maxSize - Maximum size in bytes
+   */
+  imageInvalid: (maxSize) => ({
+    code: "CLIENT_SIGNATURE_IMAGE_INVALID",
+    message: `Dibuje su firma antes de enviarla (imagen PNG de hasta ${Math.round(maxSize / 1024)} KB).`,
+    field: "image",
+    details: { maxSize },
+  }),
+
+  /**
+   * Typed signature missing or too long
+   * @param {number} maxLength - Maximum length
+   */
+  typedNameInvalid: (maxLength) => ({
+    code: "CLIENT_SIGNATURE_TYPED_NAME_INVALID",
+    message: `Escriba su nombre completo como firma (máximo ${maxLength} caracteres).`,
+    field: "typedName",
+    details: { maxLength },
+  }),
+};
+
+/**
+ * Error messages for the outgoing email queue
+ */
+export const EmailOutboxErrors = {
+  /**
+   * Queued email not found
+   * @param {number|string} id - The queue entry ID
+   */
+  notFound: (id) => ({
+    code: "EMAIL_OUTBOX_NOT_FOUND",
+    message: `No se encontró el email con ID ${id} en la cola de envío.`,
+    field: "id",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Unknown status filter
+   * @param {string} status - The status received
+   * @param {Array<string>} validStatuses - Accepted statuses
+   */
+  statusInvalid: (status, validStatuses) => ({
+    code: "EMAIL_OUTBOX_STATUS_INVALID",
+    message: `Estado no válido: '${status}'. Valores permitidos: ${validStatuses.join(", ")}.`,
+    field: "status",
+    details: { received: status, validValues: validStatuses },
+  }),
+
+  /**
+   * Only emails not yet sent can be sent again
+   * @param {string} status - Current status
+   */
+  notRetryable: (status) => ({
+    code: "EMAIL_OUTBOX_NOT_RETRYABLE",
+    message: `Este email no se puede reintentar (estado actual: ${status}). Solo los emails pendientes, fallidos o cancelados se pueden volver a enviar.`,
+    details: { status },
+  }),
+
+  /**
+   * Only emails waiting in the queue can be cancelled
+   * @param {string} status - Current status
+   */
+  notCancellable: (status) => ({
+    code: "EMAIL_OUTBOX_NOT_CANCELLABLE",
+    message: `Este email no se puede cancelar (estado actual: ${status}). Solo se cancelan emails pendientes o fallidos.`,
+    details: { status },
+  }),
+
+  /**
+   * A failed email that is already queued again, or was sent afterwards
+   * @param {string} status - Status of its queue entry
+   */
+  alreadyRequeued: (status) => ({
+    code: "EMAIL_OUTBOX_ALREADY_REQUEUED",
+    message: `Este email ya está en la cola de envío o se envió después del fallo (estado actual: ${status}).`,
+    details: { status },
+  }),
+
+  /**
+   * Only failed emails of the case history can be retried
+   * @param {string} status - Status of the history record
+   */
+  historyNotFailed: (status) => ({
+    code: "EMAIL_HISTORY_NOT_FAILED",
+    message: `Solo se pueden reintentar emails con error (estado actual: ${status}).`,
+    details: { status },
+  }),
+
+  /**
+   * The attachment of a queued email is missing
+   * @param {string} fileName - Attachment file name
+   */
+  attachmentMissing: (fileName) => ({
+    code: "EMAIL_OUTBOX_ATTACHMENT_MISSING",
+    message: `El adjunto '${fileName}' ya no está en el servidor. Genere el documento de nuevo y vuelva a enviarlo.`,
+    details: { fileName },
+  }),
+};
+
+/**
+ * Error messages for inbound emails (mailbox ingestion and unassigned inbox)
+ */
+export const InboundEmailErrors = {
+  /**
+   * Inbound email not found
+   * @param {number|string} id - The inbound email ID
+   */
+  notFound: (id) => ({
+    code: "INBOUND_EMAIL_NOT_FOUND",
+    message: `No se encontró el email recibido con ID ${id}.`,
+    field: "id",
+    details: { searchedId: id },
+  }),
+
+  /**
+   * Unknown status filter
+   * @param {string} status - The status received
+   * @param {Array<string>} validStatuses - Accepted statuses
+   */
+  statusInvalid: (status, validStatuses) => ({
+    code: "INBOUND_EMAIL_STATUS_INVALID",
+    message: `Estado no válido: '${status}'. Valores permitidos: ${validStatuses.join(", ")}.`,
+    field: "status",
+    details: { received: status, validValues: validStatuses },
+  }),
+
+  /**
+   * Assignment without a case
+   */
+  caseRequired: () => ({
+    code: "INBOUND_EMAIL_CASE_REQUIRED",
+    message: "Seleccione el expediente al que asignar el email.",
+    field: "caseId",
+  }),
+
+  /**
+   * The email is already stored in a case
+   * @param {string} reference - Internal reference of the case
+   */
+  alreadyAssigned: (reference) => ({
+    code: "INBOUND_EMAIL_ALREADY_ASSIGNED",
+    message: `Este email ya está asignado al expediente ${reference}.`,
+    details: { reference },
+  }),
+
+  /**
+   * Only unassigned emails can be discarded
+   * @param {string} status - Current status
+   */
+  notDiscardable: (status) => ({
+    code: "INBOUND_EMAIL_NOT_DISCARDABLE",
+    message: `Solo se pueden descartar emails sin asignar (estado actual: ${status}).`,
+    details: { status },
+  }),
+
+  /**
+   * The original message file is missing
+   * @param {number} id - The inbound email ID
+   */
+  fileMissing: (id) => ({
+    code: "INBOUND_EMAIL_FILE_MISSING",
+    message: "El archivo original del email no se encuentra en el servidor.",
+    field: "id",
+    details: { id },
+  }),
+
+  /**
+   * No mailbox configured
+   */
+  sourceNotConfigured: () => ({
+    code: "INBOUND_EMAIL_SOURCE_NOT_CONFIGURED",
+    message: "No hay buzón de entrada configurado. Configure el correo entrante (IMAP) en Configuración.",
+    field: "inbound_email_source",
+  }),
+
+  /**
+   * The mailbox could not be read
+   * @param {string} source - imap, maildir or mbox
+   * @param {string} reason - Underlying error
+   */
+  sourceUnavailable: (source, reason) => ({
+    code: "INBOUND_EMAIL_SOURCE_UNAVAILABLE",
+    message: `No se pudo leer el buzón de entrada (${source}): ${reason}. Revise la configuración del correo entrante.`,
+    details: { source, reason },
+  }),
+};
+
+/**
+ * Error messages for emails written from a case (Enviar email)
+ */
+export const CaseEmailErrors = {
+  /**
+   * Case not found
+   * @param {number|string} caseId - The case ID
+   */
+  caseNotFound: (caseId) => ({
+    code: "CASE_EMAIL_CASE_NOT_FOUND",
+    message: `No se encontró el expediente con ID ${caseId}.`,
+    field: "caseId",
+    details: { caseId },
+  }),
+
+  /**
+   * SMTP must be configured before writing emails
+   */
+  smtpNotConfigured: () => ({
+    code: "CASE_EMAIL_SMTP_NOT_CONFIGURED",
+    message: "SMTP no configurado. Configure el servidor de correo en Configuración antes de enviar emails.",
+    field: "smtp_host",
+  }),
+
+  /**
+   * The email needs at least one recipient
+   */
+  recipientRequired: () => ({
+    code: "CASE_EMAIL_RECIPIENT_REQUIRED",
+    message: "Indique al menos un destinatario.",
+    field: "to",
+  }),
+
+  /**
+   * Address that is not a valid email
+   * @param {string} field - to, cc or bcc
+   * @param {string} address - The address received
+   */
+  addressInvalid: (field, address) => ({
+    code: "CASE_EMAIL_ADDRESS_INVALID",
+    message: `La dirección '${address}' no es un email válido. Separe varias direcciones con comas.`,
+    field,
+    details: { field, address },
+  }),
+
+  /**
+   * Too many addresses in one email
+   * @param {number} count - Addresses received (to, cc and bcc)
+   * @param {number} max - Maximum allowed
+   */
+  tooManyRecipients: (count, max) => ({
+    code: "CASE_EMAIL_TOO_MANY_RECIPIENTS",
+    message: `El email tiene ${count} destinatarios (incluidas las copias). El máximo es ${max}.`,
+    field: "to",
+    details: { count, max },
+  }),
+
+  /**
+   * Subject missing, on several lines or too long
+   * @param {number} maxLength - Maximum characters
+   */
+  subjectInvalid: (maxLength) => ({
+    code: "CASE_EMAIL_SUBJECT_INVALID",
+    message: `Indique un asunto de una sola línea y como máximo ${maxLength} caracteres.`,
+    field: "subject",
+    details: { maxLength },
+  }),
+
+  /**
+   * Body missing or too long
+   * @param {number} maxLength - Maximum characters
+   */
+  bodyInvalid: (maxLength) => ({
+    code: "CASE_EMAIL_BODY_INVALID",
+    message: `Escriba el texto del email (como máximo ${maxLength} caracteres).`,
+    field: "text",
+    details: { maxLength },
+  }),
+
+  /**
+   * Attached documents are not a list of IDs
+   */
+  documentsInvalid: () => ({
+    code: "CASE_EMAIL_DOCUMENTS_INVALID",
+    message: "Los documentos adjuntos deben ser una lista de IDs de documentos del expediente.",
+    field: "documentIds",
+  }),
+
+  /**
+   * The file of an attached document is not on the server
+   * @param {string} fileName - Document file name
+   */
+  attachmentMissing: (fileName) => ({
+    code: "CASE_EMAIL_ATTACHMENT_MISSING",
+    message: `El archivo de '${fileName}' no está en el servidor y no se puede adjuntar.`,
+    field: "documentIds",
+    details: { fileName },
+  }),
+
+  /**
+   * Attachments larger than mail servers accept
+   * @param {number} size - Total size in bytes
+   * @param {number} maxSize - Maximum size in bytes
+   */
+  attachmentsTooLarge: (size, maxSize) => {
+    const sizeMb = (size / 1024 / 1024).toFixed(1);
+    const maxSizeMb = (maxSize / 1024 / 1024).toFixed(1);
+    return {
+      code: "CASE_EMAIL_ATTACHMENTS_TOO_LARGE",
+      message: `Los adjuntos ocupan ${sizeMb} MB. El máximo por email es ${maxSizeMb} MB.`,
+      field: "documentIds",
+      details: { size, maxSize, sizeMb, maxSizeMb },
+    };
+  },
+};
+
+/**
+ * Error messages for the delivery reports (DSN) of the emails sent
+ */
+export const EmailDeliveryErrors = {
+  /**
+   * No delivery reports mailbox configured
+   */
+  sourceNotConfigured: () => ({
+    code: "EMAIL_DELIVERY_SOURCE_NOT_CONFIGURED",
+    message: "No hay buzón de avisos de entrega configurado. Configúrelo en Configuración (correo entrante).",
+    field: "bounce_email_source",
+  }),
+
+  /**
+   * The delivery reports mailbox could not be read
+   * @param {string} source - imap, maildir or mbox
+   * @param {string} reason - Underlying error
+   */
+  sourceUnavailable: (source, reason) => ({
+    code: "EMAIL_DELIVERY_SOURCE_UNAVAILABLE",
+    message: `No se pudo leer el buzón de avisos de entrega (${source}): ${reason}. Revise la configuración.`,
+    details: { source, reason },
+  }),
+};
+
 /**
  * Error messages for network/server errors
  */
@@ -366,6 +2162,25 @@ export default {
   CaseErrors,
   ConflictErrors,
   DatabaseErrors,
+  AuthErrors,
+  ClientErrors,
+  InvoiceErrors,
+  PaymentErrors,
+  BankImportErrors,
+  DeadlineErrors,
+  HearingErrors,
+  SearchErrors,
+  TimeEntryErrors,
+  ProvisionErrors,
+  TemplateErrors,
+  EmailTemplateErrors,
+  CaseDocumentErrors,
+  SignatureErrors,
+  ClientSignatureErrors,
+  EmailOutboxErrors,
+  InboundEmailErrors,
+  CaseEmailErrors,
+  EmailDeliveryErrors,
   ServerErrors,
   createError,
 };
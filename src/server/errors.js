@@ -8,18 +8,22 @@
 export class AppError extends Error {
   /**
    * @param {string} code - Error code (e.g., 'CONFIG_VALIDATION_ERROR')
-   * @param {string} message - User-facing message in Spanish
+   * @param {string|Object} message - User-facing message in Spanish, or an
+   *   entry of errorMessages.js ({ code, message, field, details }) whose code
+   *   is sent as messageCode so the client can show it in the user's language
    * @param {number} statusCode - HTTP status code
    * @param {string} [field] - Field that caused the error (for validation errors)
    * @param {Object} [details] - Additional error details
    */
   constructor(code, message, statusCode, field = null, details = null) {
-    super(message);
+    const errorInfo = message !== null && typeof message === "object" ? message : null;
+    super(errorInfo ? errorInfo.message : message);
     this.name = this.constructor.name;
     this.code = code;
+    this.messageCode = errorInfo?.code ?? null;
     this.statusCode = statusCode;
-    this.field = field;
-    this.details = details;
+    this.field = field ?? errorInfo?.field ?? null;
+    this.details = details ?? errorInfo?.details ?? null;
 
     // Capture stack trace
     Error.captureStackTrace(this, this.constructor);
@@ -37,6 +41,10 @@ export class AppError extends Error {
       },
     };
 
+    if (this.messageCode) {
+      response.error.messageCode = this.messageCode;
+    }
+
     if (this.field) {
       response.error.field = this.field;
     }
@@ -55,7 +63,7 @@ export class AppError extends Error {
  */
 export class ValidationError extends AppError {
   /**
-   * @param {string} message - User-facing message
+   * @param {string|Object} message - User-facing message or errorMessages.js entry
    * @param {string} [field] - Field that failed validation
    * @param {Object} [details] - Validation details (expected format, etc.)
    */
@@ -70,7 +78,7 @@ export class ValidationError extends AppError {
  */
 export class NotFoundError extends AppError {
   /**
-   * @param {string} message - User-facing message
+   * @param {string|Object} message - User-facing message or errorMessages.js entry
    * @param {string} [field] - Resource identifier field
    */
   constructor(message, field = null) {
@@ -84,7 +92,7 @@ export class NotFoundError extends AppError {
  */
 export class ConflictError extends AppError {
   /**
-   * @param {string} message - User-facing message
+   * @param {string|Object} message - User-facing message or errorMessages.js entry
    * @param {string} [field] - Field causing the conflict
    * @param {Object} [details] - Conflict details (current version, etc.)
    */
@@ -99,7 +107,7 @@ export class ConflictError extends AppError {
  */
 export class DatabaseError extends AppError {
   /**
-   * @param {string} message - User-facing message (simplified)
+   * @param {string|Object} message - User-facing message (simplified) or errorMessages.js entry
    * @param {Object} [details] - Technical details (logged server-side only)
    */
   constructor(message, details = null) {
@@ -113,7 +121,7 @@ export class DatabaseError extends AppError {
  */
 export class AuthenticationError extends AppError {
   /**
-   * @param {string} message - User-facing message
+   * @param {string|Object} [message] - User-facing message or errorMessages.js entry
    */
   constructor(message = "Autenticación requerida. Por favor, inicie sesión.") {
     super("AUTHENTICATION_ERROR", message, 401);
@@ -126,7 +134,7 @@ export class AuthenticationError extends AppError {
  */
 export class AuthorizationError extends AppError {
   /**
-   * @param {string} message - User-facing message
+   * @param {string|Object} [message] - User-facing message or errorMessages.js entry
    */
   constructor(message = "No tiene permisos para realizar esta acción.") {
     super("AUTHORIZATION_ERROR", message, 403);
@@ -13,8 +13,32 @@ import statisticsRouter from "./routes/statistics.js";
 import aragRouter from "./routes/arag.js";
 import particularesRouter from "./routes/particulares.js";
 import turnoOficioRouter from "./routes/turnoOficio.js";
+import authRouter from "./routes/auth.js";
+import clientsRouter from "./routes/clients.js";
+import invoicesRouter from "./routes/invoices.js";
+import billingRouter from "./routes/billing.js";
+import deadlinesRouter from "./routes/deadlines.js";
+import hearingsRouter from "./routes/hearings.js";
+import timeEntriesRouter from "./routes/timeEntries.js";
+import calendarRouter from "./routes/calendar.js";
+import searchRouter from "./routes/search.js";
+import templatesRouter from "./routes/templates.js";
+import caseDocumentsRouter from "./routes/caseDocuments.js";
+import caseEmailsRouter from "./routes/caseEmails.js";
+import signaturesRouter from "./routes/signatures.js";
+import clientSignaturesRouter from "./routes/clientSignatures.js";
+import emailOutboxRouter from "./routes/emailOutbox.js";
+import emailTemplatesRouter from "./routes/emailTemplates.js";
+import inboxRouter from "./routes/inbox.js";
 import { AppError } from "./errors.js";
 import { ensureDefaults } from "./services/configurationService.js";
+import { ensureInitialAdmin, USER_ROLES } from "./services/authService.js";
+import { indexMissingDocuments } from "./services/searchService.js";
+import { registerMissingVersions } from "./services/documentVersionService.js";
+import { startWorker as startEmailOutboxWorker } from "./services/emailOutboxService.js";
+import { startWorker as startInboundEmailWorker } from "./services/inboundEmailService.js";
+import { startWorker as startEmailDeliveryWorker } from "./services/emailDeliveryService.js";
+import { requireAuth, requireRole } from "./middleware/auth.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -22,6 +46,9 @@ const __dirname = dirname(__filename);
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind the local tunnel/proxy, req.ip is the address it forwards (evidence of client signatures)
+app.set("trust proxy", "loopback");
+
 // CORS configuration for Cloudflare Pages + Tunnel deployment
 const corsOptions = {
   origin: function (origin, callback) {
@@ -73,27 +100,53 @@ app.use(express.json({ limit: "50mb" })); // Increase limit for large imports
 const clientPath = join(__dirname, "..", "client");
 app.use(express.static(clientPath));
 
+// Health check (public)
+app.get("/api/health", (req, res) => {
+  res.json({ status: "ok", timestamp: new Date().toISOString() });
+});
+
+// Authentication routes (login is public; the router guards the rest itself)
+app.use("/api/auth", authRouter);
+
+// iCalendar feed (authenticated by its own token in the URL)
+app.use("/api", calendarRouter);
+
+// Client signing page of the hoja de encargo (authenticated by the link token)
+app.use("/api/public/signatures", clientSignaturesRouter);
+
+// Every other API route requires an authenticated session
+app.use("/api", requireAuth);
+
 // API Routes
 app.use("/api/cases", casesRouter);
 app.use("/api/cases", aragRouter); // ARAG-specific case routes (minuta, suplido, history)
 app.use("/api/cases", particularesRouter); // Particulares-specific routes (hoja-encargo)
+app.use("/api/cases", caseDocumentsRouter); // Uploaded documents of any case type
+app.use("/api/cases", caseEmailsRouter); // Emails written from a case
 app.use("/api/turno", turnoOficioRouter); // Turno de Oficio routes (finalize, upload)
+app.use("/api/clients", clientsRouter);
+app.use("/api/invoices", invoicesRouter);
+app.use("/api/billing", billingRouter);
+app.use("/api/deadlines", deadlinesRouter);
+app.use("/api/hearings", hearingsRouter);
+app.use("/api/time-entries", timeEntriesRouter);
+app.use("/api/search", searchRouter);
+app.use("/api/signatures", signaturesRouter);
 app.use("/api/documents", aragRouter); // Document download routes
-app.use("/api/email", aragRouter); // Email test routes
+app.use("/api/email/outbox", emailOutboxRouter); // Outgoing email queue
+app.use("/api/email/templates", emailTemplatesRouter); // Editable email texts
+app.use("/api/email", aragRouter); // Email test and retry routes
+app.use("/api/inbox", inboxRouter); // Inbound emails and the unassigned inbox
 app.use("/api/mileage-rates", aragRouter); // Mileage rates
 app.use("/api/dashboard", dashboardRouter);
 app.use("/api/config", configRouter);
-app.use("/api", exportImportRouter);
-app.use("/api/admin", adminRouter);
-app.use("/api/backup", backupRouter);
+app.use("/api/templates", templatesRouter);
+app.use("/api", exportImportRouter); // Admin-only (enforced per route)
+app.use("/api/admin", requireRole(USER_ROLES.ADMIN), adminRouter);
+app.use("/api/backup", requireRole(USER_ROLES.ADMIN), backupRouter);
 app.use("/api/csv-export", csvExportRouter);
 app.use("/api/statistics", statisticsRouter);
 
-// Health check
-app.get("/api/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
-});
-
 // Error handling middleware
 app.use((err, req, res, next) => {
   // Log full error details server-side (for debugging)
@@ -168,8 +221,44 @@ try {
   console.error("[Config] Failed to initialize defaults:", error.message);
 }
 
+// Create the initial admin user if the users table is empty
+try {
+  const admin = ensureInitialAdmin();
+  if (admin) {
+    console.log(`[Auth] Initial admin user '${admin.username}' created`);
+  }
+} catch (error) {
+  console.error("[Auth] Failed to create initial admin:", error.message);
+}
+
 app.listen(PORT, () => {
   console.log(`API running on http://localhost:${PORT}`);
+
+  // Hash the files of documents created before versioning existed
+  try {
+    const count = registerMissingVersions();
+    if (count > 0) console.log(`[Documents] Registered ${count} document version(s)`);
+  } catch (error) {
+    console.error("[Documents] Failed to register document versions:", error.message);
+  }
+
+  // Index the text of documents created before full-text search existed
+  indexMissingDocuments()
+    .then((count) => {
+      if (count > 0) console.log(`[Search] Indexed ${count} document(s)`);
+    })
+    .catch((error) => {
+      console.error("[Search] Failed to index documents:", error.message);
+    });
+
+  // Send queued emails in the background
+  startEmailOutboxWorker();
+
+  // Import emails from the configured mailbox
+  startInboundEmailWorker();
+
+  // Apply the delivery reports (bounces) of a mailbox of their own
+  startEmailDeliveryWorker();
 });
 
 export default app;
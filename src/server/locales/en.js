@@ -0,0 +1,78 @@
+// English catalogue
+// Same keys as es.js; used for cases with language 'en'.
+
+export default {
+  intlLocale: "en-GB",
+
+  email: {
+    defaultBody: "Please find the document attached.",
+  },
+
+  minuta: {
+    concept: "Professional fees for handling the ARAG case",
+    untitled: "Fee note",
+  },
+
+  facturaHoras: {
+    title: "FEE INVOICE",
+    clientSection: "CLIENT DETAILS",
+    client: "Client:",
+    invoiceNumber: "Invoice No.:",
+    reference: "Reference:",
+    date: "Date:",
+    entriesSection: "TIME BREAKDOWN",
+    columnDate: "DATE",
+    columnActivity: "ACTIVITY",
+    columnLawyer: "LAWYER",
+    columnHours: "HOURS",
+    columnRate: "RATE",
+    columnAmount: "AMOUNT",
+    totalHours: "Total hours: {hours} h",
+    baseAmount: "Taxable amount",
+    vat: "VAT ({rate}%)",
+    total: "TOTAL",
+    notice:
+      "Electronically generated document. The fees correspond to the professional working hours " +
+      "itemised above, at the hourly rate agreed in the engagement letter.",
+  },
+
+  solicitudProvision: {
+    title: "REQUEST FOR PAYMENT ON ACCOUNT",
+    defaultConcept: "Payment on account of fees and disbursements",
+    clientSection: "CLIENT DETAILS",
+    client: "Client:",
+    reference: "Reference:",
+    date: "Date:",
+    requestSection: "AMOUNT REQUESTED",
+    intro: "In order to handle the matter entrusted to us, we kindly ask you to make the following payment on account:",
+    concept: "Description",
+    amount: "Amount",
+    termsSection: "TERMS",
+    term1:
+      "1. The payment on account is an advance and does not constitute an invoice. " +
+      "It will be applied to the fees and disbursements invoiced in this matter.",
+    term2:
+      "2. At the end of the matter you will receive a statement of the amounts applied and, " +
+      "where applicable, any unused balance will be refunded.",
+    term3:
+      "3. Starting or continuing work on the matter may be subject to receipt of the requested payment.",
+  },
+
+  clientSignature: {
+    title: "CLIENT SIGNATURE",
+    subtitle: "Engagement letter {reference}, signed electronically by the client",
+    signer: "Signer",
+    signedAt: "Date and time",
+    ipAddress: "IP address",
+    method: "Method",
+    methods: {
+      DIBUJADA: "Handwritten signature drawn on screen",
+      ESCRITA: "Typed name as signature",
+    },
+    documentHash: "SHA-256 fingerprint of the reviewed document",
+    statement:
+      "The signer reviewed the preceding document through a personal one-time link sent by the firm and " +
+      "stated that they had read and accepted it. The firm has sealed the whole document, including this " +
+      "page, with its certificate.",
+  },
+};
@@ -0,0 +1,83 @@
+// Spanish catalogue (default language)
+// Texts of generated PDFs and emails; {name} marks a parameter.
+// en.js must define the same keys (checked by localeService.test.js).
+
+export default {
+  // Locale used for dates and amounts (Intl)
+  intlLocale: "es-ES",
+
+  // Body of emails queued without one; the workflow emails use defaultEmailTemplates.js
+  email: {
+    defaultBody: "Adjunto documento.",
+  },
+
+  minuta: {
+    concept: "Honorarios profesionales por gestión de expediente ARAG",
+    // Rectified minutas issued before the invoice register have no number
+    untitled: "Minuta",
+  },
+
+  facturaHoras: {
+    title: "FACTURA DE HONORARIOS",
+    clientSection: "DATOS DEL CLIENTE",
+    client: "Cliente:",
+    invoiceNumber: "Nº Factura:",
+    reference: "Referencia:",
+    date: "Fecha:",
+    entriesSection: "DETALLE DE HORAS",
+    columnDate: "FECHA",
+    columnActivity: "ACTIVIDAD",
+    columnLawyer: "LETRADO",
+    columnHours: "HORAS",
+    columnRate: "TARIFA",
+    columnAmount: "IMPORTE",
+    totalHours: "Total horas: {hours} h",
+    baseAmount: "Base imponible",
+    vat: "IVA ({rate}%)",
+    total: "TOTAL",
+    notice:
+      "Documento generado electrónicamente. Los honorarios corresponden a las horas de trabajo " +
+      "profesional detalladas, según la tarifa horaria acordada en la hoja de encargo.",
+  },
+
+  solicitudProvision: {
+    title: "SOLICITUD DE PROVISIÓN DE FONDOS",
+    defaultConcept: "Provisión de fondos a cuenta de honorarios y suplidos",
+    clientSection: "DATOS DEL CLIENTE",
+    client: "Cliente:",
+    reference: "Referencia:",
+    date: "Fecha:",
+    requestSection: "PROVISIÓN SOLICITADA",
+    intro: "Para atender el asunto encomendado, le rogamos que realice la siguiente provisión de fondos:",
+    concept: "Concepto",
+    amount: "Importe",
+    termsSection: "CONDICIONES",
+    term1:
+      "1. La provisión de fondos es una cantidad entregada a cuenta y no constituye factura. " +
+      "Se aplicará al pago de los honorarios y suplidos que se facturen en este asunto.",
+    term2:
+      "2. Al finalizar el asunto se le rendirá cuenta de las cantidades aplicadas y, en su caso, " +
+      "se le devolverá el saldo no utilizado.",
+    term3:
+      "3. El inicio o la continuación de las actuaciones podrá quedar condicionado a la recepción " +
+      "de la provisión solicitada.",
+  },
+
+  clientSignature: {
+    title: "FIRMA DEL CLIENTE",
+    subtitle: "Hoja de encargo {reference}, firmada electrónicamente por el cliente",
+    signer: "Firmante",
+    signedAt: "Fecha y hora",
+    ipAddress: "Dirección IP",
+    method: "Método",
+    methods: {
+      DIBUJADA: "Firma manuscrita trazada en pantalla",
+      ESCRITA: "Nombre escrito como firma",
+    },
+    documentHash: "Huella SHA-256 del documento revisado",
+    statement:
+      "El firmante revisó el documento anterior mediante un enlace personal de un solo uso enviado por el " +
+      "despacho y manifestó haberlo leído y aceptarlo. El despacho ha sellado el documento completo, " +
+      "incluida esta página, con su certificado.",
+  },
+};
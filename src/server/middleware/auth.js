@@ -0,0 +1,105 @@
+// Authentication & Authorization Middleware
+// Resolves the session token to req.user and enforces roles per router
+
+import { getSessionUser, USER_ROLES } from "../services/authService.js";
+import { AuthenticationError, AuthorizationError } from "../errors.js";
+import { AuthErrors } from "../errorMessages.js";
+
+// Name of the HttpOnly session cookie (used by downloads opened in a new tab)
+export const SESSION_COOKIE = "rp_session";
+
+// Methods that may authenticate with the session cookie alone; the rest need
+// the bearer token, which another site cannot send (CSRF)
+const COOKIE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Extract the session token from the request
+ * Accepts `Authorization: Bearer <token>` or the session cookie.
+ * @param {Object} req - Express request
+ * @returns {string|null} Raw token or null
+ */
+export function getRequestToken(req) {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Bearer ")) {
+    return header.slice(7).trim() || null;
+  }
+
+  const cookieHeader = req.headers.cookie || "";
+  for (const part of cookieHeader.split(";")) {
+    const [name, ...rest] = part.trim().split("=");
+    if (name === SESSION_COOKIE) {
+      return decodeURIComponent(rest.join("=")) || null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether the request carries an `Authorization: Bearer` header
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+function hasBearerToken(req) {
+  return (req.headers.authorization || "").startsWith("Bearer ");
+}
+
+/**
+ * Require an authenticated user
+ * Requests that change data must send the bearer token, not only the cookie.
+ * Sets req.user and req.sessionToken on success
+ */
+export function requireAuth(req, res, next) {
+  const token = getRequestToken(req);
+  const user = getSessionUser(token);
+
+  if (!user) {
+    return next(new AuthenticationError(AuthErrors.sessionExpired()));
+  }
+
+  if (req.method && !COOKIE_METHODS.includes(req.method) && !hasBearerToken(req)) {
+    return next(new AuthorizationError(AuthErrors.bearerRequired()));
+  }
+
+  req.user = user;
+  req.sessionToken = token;
+  next();
+}
+
+/**
+ * Require one of the given roles (use after requireAuth)
+ * @param {...string} roles - Allowed roles (see USER_ROLES)
+ * @returns {Function} Express middleware
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new AuthenticationError(AuthErrors.sessionExpired()));
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return next(new AuthorizationError(AuthErrors.forbiddenRole(roles)));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Whether a download may serve a document from the trash
+ * Only admins, and only when they ask for it (?deleted=1) to preview it
+ * before restoring it.
+ * @param {Object} req - Express request (after requireAuth)
+ * @returns {boolean}
+ */
+export function canViewDeleted(req) {
+  return req.query?.deleted === "1" && req.user?.role === USER_ROLES.ADMIN;
+}
+
+export default {
+  SESSION_COOKIE,
+  canViewDeleted,
+  getRequestToken,
+  requireAuth,
+  requireRole,
+};
@@ -8,6 +8,7 @@ import {
   executeQuery,
   AdminError,
 } from "../services/adminService.js";
+import { verifyDocuments } from "../services/documentVersionService.js";
 
 const router = Router();
 
@@ -94,4 +95,24 @@ router.post("/query", (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/admin/document-integrity
+ * Check every stored document version against its SHA-256 hash
+ * Returns counts per status and the versions that are modified, missing or unhashed
+ */
+router.get("/document-integrity", async (req, res, next) => {
+  try {
+    const result = await verifyDocuments();
+    res.json({
+      checkedAt: result.checkedAt,
+      documents: result.documents.length,
+      versions: result.versions,
+      counts: result.counts,
+      problems: result.problems,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -8,7 +8,9 @@ import { DocumentHistoryService } from "../services/documentHistoryService.js";
 import { EmailHistoryService } from "../services/emailHistoryService.js";
 import { EmailService } from "../services/emailService.js";
 import { getById } from "../services/caseService.js";
-import { getAll as getConfig } from "../services/configurationService.js";
+import { getAll as getConfig, get as getConfigValue } from "../services/configurationService.js";
+import { attachPaymentStatus } from "../services/paymentService.js";
+import { canViewDeleted } from "../middleware/auth.js";
 import { existsSync } from "fs";
 import { basename } from "path";
 
@@ -76,6 +78,64 @@ router.post("/:id/minuta", async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/cases/:id/minuta/:documentId/rectify
+ * Issue a rectifying minuta (factura rectificativa) that supersedes an issued one
+ * Body: { reason }
+ */
+router.post("/:id/minuta/:documentId/rectify", async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    const documentId = parseInt(req.params.documentId, 10);
+    if (isNaN(id) || isNaN(documentId)) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: isNaN(id) ? "ID de expediente inválido" : "ID de documento inválido",
+        },
+      });
+    }
+
+    const caseData = getById(id);
+    if (!caseData) {
+      return res.status(404).json({
+        error: { code: "NOT_FOUND", message: "Expediente no encontrado" },
+      });
+    }
+
+    if (caseData.type !== "ARAG") {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Solo expedientes ARAG pueden rectificar minutas",
+        },
+      });
+    }
+
+    if (caseData.state === "ARCHIVADO") {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "No se pueden generar documentos en expedientes archivados",
+        },
+      });
+    }
+
+    const config = getConfig();
+    const workflow = new MinutaWorkflowService(config);
+    const result = await workflow.executeRectificationWorkflow(
+      caseData,
+      documentId,
+      req.body?.reason,
+      config,
+    );
+
+    res.json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/cases/:id/suplido
  * Generate suplido for judicial ARAG case
@@ -171,6 +231,8 @@ router.post("/:id/suplido", async (req, res, next) => {
 /**
  * GET /api/cases/:id/history
  * Get document and email history for a case
+ * Rectified minutas carry superseded_by (ID of the rectifying document)
+ * Billed documents carry amount_due, paid_amount and payment_status
  */
 router.get("/:id/history", (req, res, next) => {
   try {
@@ -194,7 +256,10 @@ router.get("/:id/history", (req, res, next) => {
     const documentHistory = new DocumentHistoryService();
     const emailHistory = new EmailHistoryService();
 
-    const documents = documentHistory.getByCaseId(id);
+    const documents = attachPaymentStatus(
+      documentHistory.getByCaseId(id),
+      getConfigValue("payment_overdue_days")
+    );
     const emails = emailHistory.getByCaseId(id);
 
     res.json({
@@ -209,6 +274,7 @@ router.get("/:id/history", (req, res, next) => {
 /**
  * GET /api/documents/:id/download
  * Download a document
+ * Documents in the trash: only admins, with ?deleted=1
  */
 router.get("/:id/download", (req, res, next) => {
   try {
@@ -225,7 +291,7 @@ router.get("/:id/download", (req, res, next) => {
     const documentHistory = new DocumentHistoryService();
     const doc = documentHistory.getById(id);
 
-    if (!doc) {
+    if (!doc || (doc.deleted_at && !canViewDeleted(req))) {
       return res.status(404).json({
         error: { code: "NOT_FOUND", message: "Documento no encontrado" },
       });
@@ -240,7 +306,8 @@ router.get("/:id/download", (req, res, next) => {
       });
     }
 
-    res.download(doc.file_path, basename(doc.file_path));
+    // Uploaded files keep their original name
+    res.download(doc.file_path, doc.original_name || basename(doc.file_path));
   } catch (error) {
     next(error);
   }
@@ -320,9 +387,9 @@ router.post("/test", async (req, res, next) => {
 });
 
 /**
- * POST /api/arag/cases/:caseId/emails/:emailId/retry
+ * POST /api/email/cases/:caseId/emails/:emailId/retry
  * Retry a failed email
- * Re-sends the email associated with a failed email history entry
+ * Queues again the email associated with a failed email history entry
  */
 router.post("/cases/:caseId/emails/:emailId/retry", async (req, res, next) => {
   try {
@@ -348,11 +415,11 @@ router.post("/cases/:caseId/emails/:emailId/retry", async (req, res, next) => {
     const config = getConfig();
     const workflow = new MinutaWorkflowService(config);
 
-    const result = await workflow.retryEmail(emailId, caseId);
+    const result = await workflow.retryEmail(emailId, caseId, caseData.language);
 
     res.json({
       success: true,
-      message: "Email reenviado correctamente",
+      message: "Email añadido a la cola de envío",
       data: result,
     });
   } catch (error) {
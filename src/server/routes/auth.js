@@ -0,0 +1,168 @@
+// Auth API Routes
+// Login/logout, current user and user management (admin only)
+
+import { Router } from "express";
+import {
+  login,
+  logout,
+  listUsers,
+  createUser,
+  updateUser,
+  createCalendarToken,
+  revokeCalendarToken,
+  USER_ROLES,
+  SESSION_TTL_HOURS,
+} from "../services/authService.js";
+import {
+  requireAuth,
+  requireRole,
+  getRequestToken,
+  SESSION_COOKIE,
+} from "../middleware/auth.js";
+
+const router = Router();
+
+/**
+ * Build the session cookie options
+ * SameSite=Lax: the cookie only serves downloads opened in a new tab (top-level
+ * navigations); API calls from the frontend send the bearer token.
+ */
+function sessionCookieOptions() {
+  const isProduction = process.env.NODE_ENV === "production";
+  return {
+    httpOnly: true,
+    secure: isProduction,
+    sameSite: "lax",
+    maxAge: SESSION_TTL_HOURS * 60 * 60 * 1000,
+    path: "/",
+  };
+}
+
+/**
+ * POST /api/auth/login
+ * Body: { username, password }
+ * Returns: { token, expiresAt, user } and sets the session cookie
+ */
+router.post("/login", (req, res, next) => {
+  try {
+    const { username, password } = req.body || {};
+
+    if (!username || !password) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "Se requieren usuario y contraseña",
+        },
+      });
+    }
+
+    const session = login(username, password);
+    res.cookie(SESSION_COOKIE, session.token, sessionCookieOptions());
+    res.json(session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * Closes the current session (if any) and clears the cookie
+ */
+router.post("/logout", (req, res, next) => {
+  try {
+    logout(getRequestToken(req));
+    res.clearCookie(SESSION_COOKIE, { path: "/" });
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/me
+ * Get the authenticated user
+ */
+router.get("/me", requireAuth, (req, res) => {
+  res.json(req.user);
+});
+
+/**
+ * POST /api/auth/calendar-token
+ * Create (or rotate) the iCalendar feed token of the current user
+ * Returns: { token, path } — the token is only shown once
+ */
+router.post("/calendar-token", requireAuth, (req, res, next) => {
+  try {
+    const token = createCalendarToken(req.user.id);
+    res.status(201).json({ token, path: `/api/calendar.ics?token=${token}` });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/auth/calendar-token
+ * Revoke the iCalendar feed token of the current user
+ */
+router.delete("/calendar-token", requireAuth, (req, res, next) => {
+  try {
+    revokeCalendarToken(req.user.id);
+    res.json({ success: true, message: "Enlace de calendario revocado" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/auth/users
+ * List users (admin only)
+ */
+router.get("/users", requireAuth, requireRole(USER_ROLES.ADMIN), (req, res, next) => {
+  try {
+    res.json(listUsers());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/auth/users
+ * Create a user (admin only)
+ * Body: { username, password, fullName, role }
+ */
+router.post("/users", requireAuth, requireRole(USER_ROLES.ADMIN), (req, res, next) => {
+  try {
+    const user = createUser(req.body || {});
+    res.status(201).json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/auth/users/:id
+ * Update a user (admin only)
+ * Body: { fullName?, role?, active?, password? }
+ */
+router.put("/users/:id", requireAuth, requireRole(USER_ROLES.ADMIN), (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "ID de usuario inválido",
+          field: "id",
+        },
+      });
+    }
+
+    const user = updateUser(id, req.body || {});
+    res.json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,217 @@
+// Billing API Routes
+// Payments received for billed documents, the receivables report and bank reconciliation
+
+import { Router } from "express";
+import multer from "multer";
+import {
+  create,
+  getByDocumentId,
+  deletePayment,
+  getReceivables,
+} from "../services/paymentService.js";
+import {
+  importStatement,
+  listImports,
+  getImport,
+  confirmTransaction,
+  dismissTransaction,
+} from "../services/bankReconciliationService.js";
+import { get as getConfigValue } from "../services/configurationService.js";
+
+const router = Router();
+
+// Bank statements are parsed in memory and not kept on disk
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+});
+
+/**
+ * Parse and validate an :id route param
+ * @param {string} message - Error message for an invalid ID
+ * @returns {number|null} ID or null (response already sent)
+ */
+function parseId(req, res, message) {
+  const id = parseInt(req.params.id, 10);
+
+  if (isNaN(id)) {
+    res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message,
+        field: "id",
+      },
+    });
+    return null;
+  }
+
+  return id;
+}
+
+/**
+ * GET /api/billing/receivables
+ * Outstanding billed documents with ageing buckets
+ */
+router.get("/receivables", (req, res, next) => {
+  try {
+    res.json(getReceivables({ overdueDays: getConfigValue("payment_overdue_days") }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/billing/documents/:id/payments
+ * Payments and balance of a billed document
+ */
+router.get("/documents/:id/payments", (req, res, next) => {
+  try {
+    const id = parseId(req, res, "ID de documento inválido");
+    if (id === null) return;
+
+    res.json(getByDocumentId(id, { overdueDays: getConfigValue("payment_overdue_days") }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/billing/documents/:id/payments
+ * Record a payment
+ * Body: { amount, paymentDate, method, reference }
+ */
+router.post("/documents/:id/payments", (req, res, next) => {
+  try {
+    const id = parseId(req, res, "ID de documento inválido");
+    if (id === null) return;
+
+    const payment = create(id, req.body, req.user);
+    res.status(201).json(payment);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/billing/payments/:id
+ * Delete a payment recorded by mistake
+ */
+router.delete("/payments/:id", (req, res, next) => {
+  try {
+    const id = parseId(req, res, "ID de cobro inválido");
+    if (id === null) return;
+
+    deletePayment(id);
+    res.json({ success: true, message: "Cobro eliminado" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/billing/bank-imports
+ * Uploaded bank statements, most recent first
+ */
+router.get("/bank-imports", (req, res, next) => {
+  try {
+    res.json(listImports());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/billing/bank-imports
+ * Upload a bank statement (AEB Norma 43 or CSV) and propose matches
+ * Multipart field: statement
+ */
+router.post("/bank-imports", upload.single("statement"), (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "No se ha proporcionado ningún archivo",
+        },
+      });
+    }
+
+    const result = importStatement(req.file.buffer, req.file.originalname, req.user);
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/billing/bank-imports/:id
+ * Imported transactions with proposed matches and outstanding documents
+ */
+router.get("/bank-imports/:id", (req, res, next) => {
+  try {
+    const id = parseId(req, res, "ID de importación inválido");
+    if (id === null) return;
+
+    res.json(getImport(id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/billing/bank-transactions/:id/confirm
+ * Record the transfer as a payment of a document, or split it across several
+ * Body: { documentId } or { allocations: [{ documentId, amount }] }
+ */
+router.post("/bank-transactions/:id/confirm", (req, res, next) => {
+  try {
+    const id = parseId(req, res, "ID de movimiento inválido");
+    if (id === null) return;
+
+    const allocations = Array.isArray(req.body.allocations)
+      ? req.body.allocations
+      : parseInt(req.body.documentId, 10) || null;
+    res.json(confirmTransaction(id, allocations, req.user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/billing/bank-transactions/:id/dismiss
+ * Mark a transfer as unrelated to billed documents
+ */
+router.post("/bank-transactions/:id/dismiss", (req, res, next) => {
+  try {
+    const id = parseId(req, res, "ID de movimiento inválido");
+    if (id === null) return;
+
+    res.json(dismissTransaction(id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Error handling for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        error: {
+          code: "FILE_TOO_LARGE",
+          message: "El archivo supera el tamaño máximo permitido (5MB)",
+        },
+      });
+    }
+    return res.status(400).json({
+      error: {
+        code: "UPLOAD_ERROR",
+        message: error.message,
+      },
+    });
+  }
+
+  next(error);
+});
+
+export default router;
@@ -0,0 +1,36 @@
+// Calendar Feed Routes
+// Per-user iCalendar subscription (public route, authenticated by feed token)
+
+import { Router } from "express";
+import { getCalendarTokenUser } from "../services/authService.js";
+import { buildCalendarFeed } from "../services/hearingService.js";
+import { AuthenticationError } from "../errors.js";
+import { AuthErrors } from "../errorMessages.js";
+
+const router = Router();
+
+/**
+ * GET /api/calendar.ics
+ * Hearings of the token owner (plus unassigned ones) as text/calendar
+ * Query params: token (from POST /api/auth/calendar-token)
+ * Calendar apps cannot log in, so the token in the URL is the credential.
+ */
+router.get("/calendar.ics", (req, res, next) => {
+  try {
+    const user = getCalendarTokenUser(req.query.token);
+    if (!user) {
+      throw new AuthenticationError(AuthErrors.calendarTokenInvalid());
+    }
+
+    res.set({
+      "Content-Type": "text/calendar; charset=utf-8",
+      "Content-Disposition": 'inline; filename="senalamientos.ics"',
+      "Cache-Control": "no-store",
+    });
+    res.send(buildCalendarFeed(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,284 @@
+// Case Documents API Routes
+// Upload, classify, download, delete and restore the documents of any case type,
+// with their version history and integrity checks
+
+import { Router } from "express";
+import multer from "multer";
+import { canViewDeleted } from "../middleware/auth.js";
+import {
+  MAX_UPLOAD_SIZE,
+  deleteDocument,
+  fileTypeError,
+  getFile,
+  getStoredFileName,
+  getUploadDirectory,
+  getVersionFile,
+  getWritableCase,
+  isAllowedFile,
+  listByCase,
+  listTags,
+  listVersions,
+  restoreDocument,
+  updateMetadata,
+  upload as uploadDocument,
+  verifyCase,
+} from "../services/caseDocumentService.js";
+
+const router = Router();
+
+/**
+ * Original name of an uploaded file
+ * busboy decodes multipart file names as latin1, while browsers send UTF-8.
+ * @param {string} name - Name as decoded by busboy
+ * @returns {string} File name
+ */
+function decodeFileName(name) {
+  if (/[^\x00-\xff]/.test(name)) return name;
+  const decoded = Buffer.from(name, "latin1").toString("utf8");
+  return decoded.includes("\uFFFD") ? name : decoded;
+}
+
+// Files are stored in <documents>/<year>/<reference> of the case loaded by loadWritableCase
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, getUploadDirectory(req.caseData)),
+    filename: (req, file, cb) => cb(null, getStoredFileName(file.originalname)),
+  }),
+  limits: { fileSize: MAX_UPLOAD_SIZE },
+  fileFilter: (req, file, cb) => {
+    file.originalname = decodeFileName(file.originalname);
+    if (isAllowedFile(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(fileTypeError(file.originalname), false);
+    }
+  },
+});
+
+/**
+ * Parse and validate an ID route param
+ * @param {string} param - Param name
+ * @param {string} message - Error message for an invalid ID
+ * @returns {number|null} ID or null (response already sent)
+ */
+function parseId(req, res, param, message) {
+  const id = parseInt(req.params[param], 10);
+
+  if (isNaN(id)) {
+    res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message,
+        field: param,
+      },
+    });
+    return null;
+  }
+
+  return id;
+}
+
+/**
+ * Load the :id case before storing an upload (rejects archived cases)
+ */
+function loadWritableCase(req, res, next) {
+  try {
+    const caseId = parseId(req, res, "id", "ID de expediente inválido");
+    if (caseId === null) return;
+
+    req.caseData = getWritableCase(caseId);
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * GET /api/cases/:id/documents?category=&tag=&deleted=true
+ * Documents of a case (generated and uploaded) and the tags in use
+ * deleted=true lists the documents in the trash instead
+ */
+router.get("/:id/documents", (req, res, next) => {
+  try {
+    const caseId = parseId(req, res, "id", "ID de expediente inválido");
+    if (caseId === null) return;
+
+    res.json({
+      documents: listByCase(caseId, {
+        category: req.query.category,
+        tag: req.query.tag,
+        deleted: req.query.deleted === "true",
+      }),
+      tags: listTags(caseId),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/cases/:id/documents/integrity
+ * Check the stored files of every document version of the case against their hashes
+ */
+router.get("/:id/documents/integrity", async (req, res, next) => {
+  try {
+    const caseId = parseId(req, res, "id", "ID de expediente inválido");
+    if (caseId === null) return;
+
+    res.json(await verifyCase(caseId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/cases/:id/documents
+ * Upload a file (multipart field 'document')
+ * Body: { category, description, tags } — tags as a JSON array or comma-separated
+ */
+router.post("/:id/documents", loadWritableCase, upload.single("document"), (req, res, next) => {
+  try {
+    const file = req.file
+      ? { path: req.file.path, originalName: req.file.originalname, size: req.file.size }
+      : null;
+    const document = uploadDocument(req.caseData.id, file, req.body, req.user);
+
+    res.status(201).json(document);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PATCH /api/cases/:id/documents/:documentId
+ * Change the category, description or tags of a document
+ * Body: { category, description, tags }
+ */
+router.patch("/:id/documents/:documentId", (req, res, next) => {
+  try {
+    const caseId = parseId(req, res, "id", "ID de expediente inválido");
+    if (caseId === null) return;
+    const documentId = parseId(req, res, "documentId", "ID de documento inválido");
+    if (documentId === null) return;
+
+    res.json(updateMetadata(caseId, documentId, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/cases/:id/documents/:documentId
+ * Move an uploaded document to the trash (its file is kept)
+ */
+router.delete("/:id/documents/:documentId", (req, res, next) => {
+  try {
+    const caseId = parseId(req, res, "id", "ID de expediente inválido");
+    if (caseId === null) return;
+    const documentId = parseId(req, res, "documentId", "ID de documento inválido");
+    if (documentId === null) return;
+
+    deleteDocument(caseId, documentId, req.user);
+    res.json({ success: true, message: "Documento eliminado correctamente" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/cases/:id/documents/:documentId/restore
+ * Restore a document from the trash
+ */
+router.post("/:id/documents/:documentId/restore", (req, res, next) => {
+  try {
+    const caseId = parseId(req, res, "id", "ID de expediente inválido");
+    if (caseId === null) return;
+    const documentId = parseId(req, res, "documentId", "ID de documento inválido");
+    if (documentId === null) return;
+
+    res.json(restoreDocument(caseId, documentId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/cases/:id/documents/:documentId/versions
+ * Stored versions of a document with their hashes, oldest first
+ */
+router.get("/:id/documents/:documentId/versions", (req, res, next) => {
+  try {
+    const caseId = parseId(req, res, "id", "ID de expediente inválido");
+    if (caseId === null) return;
+    const documentId = parseId(req, res, "documentId", "ID de documento inválido");
+    if (documentId === null) return;
+
+    res.json({ versions: listVersions(caseId, documentId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/cases/:id/documents/:documentId/versions/:versionNumber/download
+ * Download the file of a version of a document
+ * Documents in the trash: only admins, with ?deleted=1
+ */
+router.get("/:id/documents/:documentId/versions/:versionNumber/download", (req, res, next) => {
+  try {
+    const caseId = parseId(req, res, "id", "ID de expediente inválido");
+    if (caseId === null) return;
+    const documentId = parseId(req, res, "documentId", "ID de documento inválido");
+    if (documentId === null) return;
+    const versionNumber = parseId(req, res, "versionNumber", "Número de versión inválido");
+    if (versionNumber === null) return;
+
+    const file = getVersionFile(caseId, documentId, versionNumber, { includeDeleted: canViewDeleted(req) });
+    res.download(file.path, file.fileName);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/cases/:id/documents/:documentId/download
+ * Download a document with its original file name
+ * Documents in the trash: only admins, with ?deleted=1
+ */
+router.get("/:id/documents/:documentId/download", (req, res, next) => {
+  try {
+    const caseId = parseId(req, res, "id", "ID de expediente inválido");
+    if (caseId === null) return;
+    const documentId = parseId(req, res, "documentId", "ID de documento inválido");
+    if (documentId === null) return;
+
+    const file = getFile(caseId, documentId, { includeDeleted: canViewDeleted(req) });
+    res.download(file.path, file.fileName);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Error handling for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        error: {
+          code: "FILE_TOO_LARGE",
+          message: "El archivo supera el tamaño máximo permitido (10MB)",
+        },
+      });
+    }
+    return res.status(400).json({
+      error: {
+        code: "UPLOAD_ERROR",
+        message: error.message,
+      },
+    });
+  }
+
+  next(error);
+});
+
+export default router;
@@ -0,0 +1,78 @@
+// Case Emails API Routes
+// Write an email from a case (Enviar email) with CC/BCC and documents of the
+// case attached, and list the emails sent for it
+
+import { Router } from "express";
+import { getDraft, listByCase, send } from "../services/caseEmailService.js";
+
+const router = Router();
+
+/**
+ * Parse the :id case param
+ * @returns {number|null} Case ID or null (response already sent)
+ */
+function parseCaseId(req, res) {
+  const id = parseInt(req.params.id, 10);
+
+  if (isNaN(id)) {
+    res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message: "ID de expediente inválido",
+        field: "id",
+      },
+    });
+    return null;
+  }
+
+  return id;
+}
+
+/**
+ * GET /api/cases/:id/emails
+ * Emails sent for the case, with their copies and attached documents
+ */
+router.get("/:id/emails", (req, res, next) => {
+  try {
+    const caseId = parseCaseId(req, res);
+    if (caseId === null) return;
+
+    res.json({ emails: listByCase(caseId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/cases/:id/emails/draft
+ * New email prefilled with the client address and the generic template,
+ * plus the documents that can be attached
+ */
+router.get("/:id/emails/draft", (req, res, next) => {
+  try {
+    const caseId = parseCaseId(req, res);
+    if (caseId === null) return;
+
+    res.json(getDraft(caseId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/cases/:id/emails
+ * Queue an email: { to, cc, bcc, subject, text, documentIds }
+ * (address lists comma-separated)
+ */
+router.post("/:id/emails", (req, res, next) => {
+  try {
+    const caseId = parseCaseId(req, res);
+    if (caseId === null) return;
+
+    res.status(201).json(send(caseId, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
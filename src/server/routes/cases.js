@@ -14,6 +14,7 @@ import {
   CASE_LANGUAGES,
   SORTABLE_COLUMNS,
 } from "../services/caseService.js";
+import { getByCaseId as getAuditTrail } from "../services/auditService.js";
 
 const router = Router();
 
@@ -153,6 +154,42 @@ router.get("/:id", (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/cases/:id/audit
+ * Audit trail of the case (newest first) with field-level diffs
+ */
+router.get("/:id/audit", (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+
+    if (isNaN(id)) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "ID de expediente inválido",
+          field: "id",
+        },
+      });
+    }
+
+    const entries = getAuditTrail(id);
+
+    // Deleted cases keep their trail; only unknown ids are 404
+    if (entries.length === 0 && !getById(id)) {
+      return res.status(404).json({
+        error: {
+          code: "NOT_FOUND",
+          message: "Expediente no encontrado",
+        },
+      });
+    }
+
+    res.json(entries);
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/cases
  * Create a new case
@@ -161,7 +198,7 @@ router.get("/:id", (req, res, next) => {
  */
 router.post("/", (req, res, next) => {
   try {
-    const caseData = create(req.body);
+    const caseData = create(req.body, req.user);
     res.status(201).json(caseData);
   } catch (error) {
     next(error);
@@ -195,7 +232,7 @@ router.put("/:id", (req, res, next) => {
     const version =
       expectedVersion !== undefined ? parseInt(expectedVersion, 10) : null;
 
-    const caseData = update(id, updateData, version);
+    const caseData = update(id, updateData, version, req.user);
     res.json(caseData);
   } catch (error) {
     next(error);
@@ -221,7 +258,7 @@ router.post("/:id/archive", (req, res, next) => {
     }
 
     const { closureDate } = req.body;
-    const caseData = archive(id, closureDate);
+    const caseData = archive(id, closureDate, req.user);
     res.json(caseData);
   } catch (error) {
     next(error);
@@ -248,7 +285,7 @@ router.post("/:id/judicial", (req, res, next) => {
     }
 
     const { judicialDate, district } = req.body;
-    const caseData = transitionToJudicial(id, judicialDate, district);
+    const caseData = transitionToJudicial(id, judicialDate, district, req.user);
     res.json(caseData);
   } catch (error) {
     next(error);
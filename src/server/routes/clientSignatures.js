@@ -0,0 +1,65 @@
+// Client Signature Routes
+// Public signing page of the hoja de encargo (authenticated by the link token)
+
+import { Router } from "express";
+import { getAll as getConfig } from "../services/configurationService.js";
+import { getPublicSummary, readSourceDocument } from "../services/clientSignatureService.js";
+import { HojaEncargoWorkflowService } from "../services/hojaEncargoWorkflowService.js";
+
+const router = Router();
+
+/**
+ * GET /api/public/signatures/:token
+ * Who signs which document (for the signing page)
+ * The client has no account, so the one-time token in the link is the credential.
+ */
+router.get("/:token", (req, res, next) => {
+  try {
+    res.set("Cache-Control", "no-store");
+    res.json({ success: true, data: getPublicSummary(req.params.token) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/public/signatures/:token/document
+ * The PDF to review, as it will be signed
+ */
+router.get("/:token/document", (req, res, next) => {
+  try {
+    const { buffer, fileName } = readSourceDocument(req.params.token);
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `inline; filename="${fileName}"`,
+      "Cache-Control": "no-store",
+    });
+    res.send(buffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/public/signatures/:token/sign
+ * Sign the document; the link cannot be used again
+ * Body: { accepted: true, method: 'DIBUJADA' | 'ESCRITA', image (PNG data URL), typedName }
+ */
+router.post("/:token/sign", async (req, res, next) => {
+  try {
+    const workflow = new HojaEncargoWorkflowService(getConfig());
+    const result = await workflow.signByClient(req.params.token, req.body, {
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    });
+
+    res.json({
+      success: true,
+      data: { signedAt: result.signedAt, signedSha256: result.signedSha256 },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,156 @@
+// Clients API Routes
+// Clients (personas) shared across cases
+
+import { Router } from "express";
+import {
+  create,
+  getById,
+  list,
+  update,
+  deleteClient,
+} from "../services/clientService.js";
+import { list as listCases } from "../services/caseService.js";
+
+const router = Router();
+
+/**
+ * Parse and validate the :id route param
+ * @returns {number|null} Client ID or null (response already sent)
+ */
+function parseClientId(req, res) {
+  const id = parseInt(req.params.id, 10);
+
+  if (isNaN(id)) {
+    res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message: "ID de cliente inválido",
+        field: "id",
+      },
+    });
+    return null;
+  }
+
+  return id;
+}
+
+/**
+ * GET /api/clients
+ * List clients
+ * Query params: search, page, pageSize
+ */
+router.get("/", (req, res, next) => {
+  try {
+    const { search, page, pageSize } = req.query;
+
+    const pagination = {
+      page: page ? parseInt(page, 10) : 1,
+      pageSize: pageSize ? parseInt(pageSize, 10) : 20,
+    };
+
+    if (pagination.page < 1) pagination.page = 1;
+    if (pagination.pageSize < 1) pagination.pageSize = 20;
+    if (pagination.pageSize > 100) pagination.pageSize = 100;
+
+    res.json(list({ search }, pagination));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/clients/:id
+ * Get client by ID
+ */
+router.get("/:id", (req, res, next) => {
+  try {
+    const id = parseClientId(req, res);
+    if (id === null) return;
+
+    const client = getById(id);
+
+    if (!client) {
+      return res.status(404).json({
+        error: {
+          code: "NOT_FOUND",
+          message: "Cliente no encontrado",
+        },
+      });
+    }
+
+    res.json(client);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/clients/:id/cases
+ * All cases linked to the client (every type and state)
+ */
+router.get("/:id/cases", (req, res, next) => {
+  try {
+    const id = parseClientId(req, res);
+    if (id === null) return;
+
+    if (!getById(id)) {
+      return res.status(404).json({
+        error: {
+          code: "NOT_FOUND",
+          message: "Cliente no encontrado",
+        },
+      });
+    }
+
+    const { cases } = listCases({ clientId: id }, { page: 1, pageSize: 1000 });
+    res.json(cases);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/clients
+ * Create a new client
+ */
+router.post("/", (req, res, next) => {
+  try {
+    const client = create(req.body);
+    res.status(201).json(client);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/clients/:id
+ * Update a client
+ */
+router.put("/:id", (req, res, next) => {
+  try {
+    const id = parseClientId(req, res);
+    if (id === null) return;
+
+    res.json(update(id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/clients/:id
+ * Delete a client without linked cases
+ */
+router.delete("/:id", (req, res, next) => {
+  try {
+    const id = parseClientId(req, res);
+    if (id === null) return;
+
+    deleteClient(id);
+    res.json({ success: true, message: "Cliente eliminado" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
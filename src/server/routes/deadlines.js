@@ -0,0 +1,135 @@
+// Deadlines API Routes
+// Procedural deadlines (plazos) and business-day computation
+
+import { Router } from "express";
+import {
+  calculate,
+  create,
+  list,
+  update,
+  setCompleted,
+  deleteDeadline,
+} from "../services/deadlineService.js";
+
+const router = Router();
+
+/**
+ * Parse and validate the :id route param
+ * @returns {number|null} Deadline ID or null (response already sent)
+ */
+function parseDeadlineId(req, res) {
+  const id = parseInt(req.params.id, 10);
+
+  if (isNaN(id)) {
+    res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message: "ID de plazo inválido",
+        field: "id",
+      },
+    });
+    return null;
+  }
+
+  return id;
+}
+
+/**
+ * GET /api/deadlines
+ * List deadlines, earliest due first
+ * Query params: caseId, from, to (due date range, YYYY-MM-DD), pending ("true")
+ */
+router.get("/", (req, res, next) => {
+  try {
+    const { caseId, from, to, pending } = req.query;
+
+    res.json(
+      list({
+        caseId: caseId ? parseInt(caseId, 10) || null : null,
+        from,
+        to,
+        pending: pending === "true",
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/deadlines/calculate
+ * Preview the due date of a deadline with the configured holidays
+ * Query params: startDate, days, dayType (HABILES | NATURALES), judicial ("false" to count August)
+ */
+router.get("/calculate", (req, res, next) => {
+  try {
+    const { startDate, days, dayType, judicial } = req.query;
+    res.json(calculate({ startDate, days, dayType, judicial: judicial !== "false" }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/deadlines
+ * Create a deadline
+ * Body: { caseId, title, notes, startDate, days, dayType, judicial } or { caseId, title, dueDate }
+ */
+router.post("/", (req, res, next) => {
+  try {
+    const { caseId, ...data } = req.body;
+    const deadline = create(parseInt(caseId, 10), data, req.user);
+    res.status(201).json(deadline);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/deadlines/:id
+ * Update a deadline (the due date is recomputed if the computation changes)
+ */
+router.put("/:id", (req, res, next) => {
+  try {
+    const id = parseDeadlineId(req, res);
+    if (id === null) return;
+
+    res.json(update(id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/deadlines/:id/complete
+ * Mark a deadline as completed
+ * Body: { completed } (false to reopen)
+ */
+router.post("/:id/complete", (req, res, next) => {
+  try {
+    const id = parseDeadlineId(req, res);
+    if (id === null) return;
+
+    res.json(setCompleted(id, req.body?.completed !== false));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/deadlines/:id
+ * Delete a deadline
+ */
+router.delete("/:id", (req, res, next) => {
+  try {
+    const id = parseDeadlineId(req, res);
+    if (id === null) return;
+
+    deleteDeadline(id);
+    res.json({ success: true, message: "Plazo eliminado" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,51 @@
+// Email Outbox Routes
+// Queue of outgoing emails: list, retry and cancel
+
+import { Router } from "express";
+import { list, getSummary, retry, cancel } from "../services/emailOutboxService.js";
+
+const router = Router();
+
+/**
+ * GET /api/email/outbox
+ * Queued emails (newest first) and the number of emails per status
+ * Query: status, caseId, limit
+ */
+router.get("/", (req, res, next) => {
+  try {
+    const items = list({
+      status: req.query.status,
+      caseId: req.query.caseId ? parseInt(req.query.caseId, 10) : undefined,
+      limit: req.query.limit,
+    });
+    res.json({ success: true, data: { items, summary: getSummary() } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/email/outbox/:id/retry
+ * Send now a pending email, or queue again a failed or cancelled one
+ */
+router.post("/:id/retry", (req, res, next) => {
+  try {
+    res.json({ success: true, data: retry(parseInt(req.params.id, 10)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/email/outbox/:id
+ * Take a pending or failed email out of the queue
+ */
+router.delete("/:id", (req, res, next) => {
+  try {
+    res.json({ success: true, data: cancel(parseInt(req.params.id, 10)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
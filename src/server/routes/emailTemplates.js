@@ -0,0 +1,102 @@
+// Email Templates API Routes
+// Editable subject and body of the minuta, suplido, hoja de encargo and generic
+// emails, one per language (?language=es|en, Spanish by default)
+
+import { Router } from "express";
+import { get, list, preview, reset, update } from "../services/emailTemplateService.js";
+import { DEFAULT_LANGUAGE } from "../services/localeService.js";
+
+const router = Router();
+
+/**
+ * Template language requested in the query string
+ * @param {Object} req - Express request
+ * @returns {string} Language code (validated by the service)
+ */
+function requestLanguage(req) {
+  return req.query.language || DEFAULT_LANGUAGE;
+}
+
+/**
+ * GET /api/email/templates
+ * Templates of every email and language
+ */
+router.get("/", (req, res, next) => {
+  try {
+    res.json(list());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/email/templates/:key
+ * Template of an email, its default and the available placeholders
+ */
+router.get("/:key", (req, res, next) => {
+  try {
+    res.json(get(req.params.key, requestLanguage(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/email/templates/:key
+ * Save a custom template
+ * Body: { subject, text, html } — an empty html sends plain text only
+ */
+router.put("/:key", (req, res, next) => {
+  try {
+    const { subject, text, html } = req.body;
+    res.json(update(req.params.key, { subject, text, html }, req.user, requestLanguage(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/email/templates/:key
+ * Restore the default template
+ */
+router.delete("/:key", (req, res, next) => {
+  try {
+    const template = reset(req.params.key, requestLanguage(req));
+    res.json({ success: true, message: "Plantilla predeterminada restaurada", template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/email/templates/:key/preview
+ * Render a template without saving it, signature included
+ * Body: { subject, text, html, caseId } — without subject the template in use
+ * is rendered; without caseId sample data is used
+ */
+router.post("/:key/preview", (req, res, next) => {
+  try {
+    const { subject, text, html } = req.body;
+
+    let caseId = null;
+    if (req.body.caseId !== undefined && req.body.caseId !== null && req.body.caseId !== "") {
+      caseId = parseInt(req.body.caseId, 10);
+      if (isNaN(caseId)) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "ID de expediente inválido",
+            field: "caseId",
+          },
+        });
+      }
+    }
+
+    const content = subject === undefined ? null : { subject, text, html };
+    res.json(preview(req.params.key, content, caseId, requestLanguage(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
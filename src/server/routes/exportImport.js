@@ -8,14 +8,20 @@ import {
   ExportError,
   ImportError,
 } from "../services/exportImportService.js";
+import { requireRole } from "../middleware/auth.js";
+import { USER_ROLES } from "../services/authService.js";
 
 const router = Router();
 
+// This router is mounted at /api, so the admin check is applied per route
+// (a router-level guard would also block every other /api request)
+const adminOnly = requireRole(USER_ROLES.ADMIN);
+
 /**
  * POST /api/export
- * Export all data as JSON
+ * Export all data as JSON (admin only)
  */
-router.post("/export", (req, res, next) => {
+router.post("/export", adminOnly, (req, res, next) => {
   try {
     const data = exportData();
     res.json(data);
@@ -34,10 +40,10 @@ router.post("/export", (req, res, next) => {
 
 /**
  * POST /api/import
- * Import data from JSON
+ * Import data from JSON (admin only)
  * Body: { data: { cases: [], ... }, clearExisting?: boolean }
  */
-router.post("/import", (req, res, next) => {
+router.post("/import", adminOnly, (req, res, next) => {
   try {
     const { clearExisting = false, ...importPayload } = req.body;
 
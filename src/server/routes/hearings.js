@@ -0,0 +1,120 @@
+// Hearings API Routes
+// Court hearings (señalamientos) per case
+
+import { Router } from "express";
+import { create, getUpcoming, list, update, deleteHearing } from "../services/hearingService.js";
+
+const router = Router();
+
+/**
+ * Parse and validate the :id route param
+ * @returns {number|null} Hearing ID or null (response already sent)
+ */
+function parseHearingId(req, res) {
+  const id = parseInt(req.params.id, 10);
+
+  if (isNaN(id)) {
+    res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message: "ID de señalamiento inválido",
+        field: "id",
+      },
+    });
+    return null;
+  }
+
+  return id;
+}
+
+/**
+ * GET /api/hearings
+ * List hearings in chronological order
+ * Query params: caseId, from, to (YYYY-MM-DD or YYYY-MM-DDTHH:MM), status, mine ("true")
+ */
+router.get("/", (req, res, next) => {
+  try {
+    const { caseId, from, to, status, mine } = req.query;
+
+    res.json(
+      list({
+        caseId: caseId ? parseInt(caseId, 10) || null : null,
+        from,
+        to,
+        status,
+        userId: mine === "true" ? req.user.id : null,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/hearings/upcoming
+ * Scheduled hearings from now on (dashboard)
+ * Query params: days (default 30), limit (default 10)
+ */
+router.get("/upcoming", (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days, 10);
+    const limit = parseInt(req.query.limit, 10);
+
+    res.json(
+      getUpcoming({
+        days: days > 0 ? days : undefined,
+        limit: limit > 0 ? limit : undefined,
+      })
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/hearings
+ * Create a hearing
+ * Body: { caseId, hearingType, startsAt, durationMinutes, court, judicialDistrict, notes, lawyerUserId }
+ */
+router.post("/", (req, res, next) => {
+  try {
+    const { caseId, ...data } = req.body;
+    const hearing = create(parseInt(caseId, 10), data, req.user);
+    res.status(201).json(hearing);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/hearings/:id
+ * Update a hearing (including its status: PROGRAMADO, CELEBRADO, SUSPENDIDO)
+ */
+router.put("/:id", (req, res, next) => {
+  try {
+    const id = parseHearingId(req, res);
+    if (id === null) return;
+
+    res.json(update(id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/hearings/:id
+ * Delete a hearing
+ */
+router.delete("/:id", (req, res, next) => {
+  try {
+    const id = parseHearingId(req, res);
+    if (id === null) return;
+
+    deleteHearing(id);
+    res.json({ success: true, message: "Señalamiento eliminado" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
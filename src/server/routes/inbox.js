@@ -0,0 +1,110 @@
+// Inbox Routes
+// Emails imported from the office mailbox: the unassigned inbox, manual
+// assignment to a case, discard and reading the mailbox on demand (also the
+// mailbox of the delivery reports of the emails sent)
+
+import { Router } from "express";
+import {
+  assign,
+  discard,
+  fetchNow,
+  getById,
+  getRawFile,
+  getSummary,
+  list,
+} from "../services/inboundEmailService.js";
+import { fetchNow as fetchDeliveryReports } from "../services/emailDeliveryService.js";
+
+const router = Router();
+
+/**
+ * GET /api/inbox
+ * Imported emails of a status (default UNASSIGNED), newest first, and the
+ * number of emails per status
+ * Query: status, limit
+ */
+router.get("/", (req, res, next) => {
+  try {
+    const items = list({ status: req.query.status, limit: req.query.limit });
+    res.json({ success: true, data: { items, summary: getSummary() } });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inbox/fetch
+ * Read the mailbox now instead of waiting for the next check
+ */
+router.post("/fetch", async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await fetchNow() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inbox/delivery-reports/fetch
+ * Read the delivery reports mailbox now: emails sent move to DELIVERED or BOUNCED
+ */
+router.post("/delivery-reports/fetch", async (req, res, next) => {
+  try {
+    res.json({ success: true, data: await fetchDeliveryReports() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/inbox/:id
+ * Imported email with the beginning of its text
+ */
+router.get("/:id", (req, res, next) => {
+  try {
+    res.json({ success: true, data: getById(parseInt(req.params.id, 10)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/inbox/:id/raw
+ * Download the original message (.eml)
+ */
+router.get("/:id/raw", (req, res, next) => {
+  try {
+    const file = getRawFile(parseInt(req.params.id, 10));
+    res.download(file.path, file.fileName);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inbox/:id/assign
+ * Store the email and its attachments in a case
+ * Body: { caseId }
+ */
+router.post("/:id/assign", async (req, res, next) => {
+  try {
+    const caseId = parseInt(req.body?.caseId, 10) || null;
+    res.json({ success: true, data: await assign(parseInt(req.params.id, 10), caseId, req.user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/inbox/:id/discard
+ * Mark an unassigned email as not related to any case
+ */
+router.post("/:id/discard", (req, res, next) => {
+  try {
+    res.json({ success: true, data: discard(parseInt(req.params.id, 10)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,51 @@
+// Invoices API Routes
+// Invoice register (libro de facturas expedidas) and export for the gestoría
+
+import { Router } from "express";
+import { list, exportRegisterCsv } from "../services/invoiceService.js";
+
+const router = Router();
+
+/**
+ * Pick register filters from the query string
+ * @returns {Object} { from, to, series }
+ */
+function registerFilters(req) {
+  const { from, to, series } = req.query;
+  return { from: from || undefined, to: to || undefined, series: series || undefined };
+}
+
+/**
+ * GET /api/invoices
+ * Invoice register with totals
+ * Query params: from, to (YYYY-MM-DD, inclusive), series
+ */
+router.get("/", (req, res, next) => {
+  try {
+    res.json(list(registerFilters(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/invoices/export
+ * Download the invoice register as CSV
+ * Query params: from, to, series
+ */
+router.get("/export", (req, res, next) => {
+  try {
+    const filters = registerFilters(req);
+    const csv = exportRegisterCsv(filters);
+    const suffix = [filters.from, filters.to].filter(Boolean).join("_");
+    const filename = suffix ? `facturas_${suffix}.csv` : "facturas.csv";
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(csv);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
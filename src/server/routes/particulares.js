@@ -1,21 +1,57 @@
 /**
  * Particulares (Private Client) Routes
- * Handles Hoja de Encargo generation, signing, and email delivery
+ * Handles Hoja de Encargo generation, signing (by the lawyer, or by the client
+ * through a signing link), and email delivery,
+ * the hourly fee note (factura de horas) and the provisiones de fondos ledger
  */
 import { Router } from "express";
 import { HojaEncargoWorkflowService } from "../services/hojaEncargoWorkflowService.js";
 import * as caseService from "../services/caseService.js";
+import * as provisionService from "../services/provisionService.js";
+import * as clientSignatureService from "../services/clientSignatureService.js";
 import { getAll as getConfig } from "../services/configurationService.js";
 
 const router = Router();
 
+const HOJA_ENCARGO_CASE_MESSAGE = "Solo expedientes Particulares pueden firmar Hojas de Encargo";
+
+/**
+ * Load the :id case and check it is a PARTICULAR case
+ * @param {string} [typeMessage] - Message when the case is of another type
+ * @returns {Object|null} Case or null (response already sent)
+ */
+function getParticularCase(req, res, typeMessage = "Solo expedientes Particulares tienen provisiones de fondos") {
+  const caseData = caseService.getById(req.params.id);
+
+  if (!caseData) {
+    res.status(404).json({
+      error: { code: "NOT_FOUND", message: "Expediente no encontrado" },
+    });
+    return null;
+  }
+
+  if (caseData.type !== "PARTICULAR") {
+    res.status(400).json({
+      error: {
+        code: "INVALID_CASE_TYPE",
+        message: typeMessage,
+      },
+    });
+    return null;
+  }
+
+  return caseData;
+}
+
 /**
  * POST /api/cases/:id/hoja-encargo
  * Generate Hoja de Encargo PDF for a PARTICULAR case
+ * Body: { services, fees, bilingual } — bilingual adds the English version
+ * after the Spanish one in the same document
  */
 router.post("/:id/hoja-encargo", async (req, res, next) => {
   try {
-    const { services, fees } = req.body;
+    const { services, fees, bilingual } = req.body;
     const caseData = caseService.getById(req.params.id);
 
     if (!caseData) {
@@ -47,6 +83,7 @@ router.post("/:id/hoja-encargo", async (req, res, next) => {
     const result = await workflow.generateHojaEncargo(caseData, {
       services,
       fees: parseFloat(fees),
+      bilingual: bilingual === true,
     });
 
     res.json({ success: true, data: result });
@@ -90,6 +127,64 @@ router.post("/:id/hoja-encargo/sign", async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/cases/:id/hoja-encargo/signature-requests
+ * Client signing links of the case with their evidence, newest first
+ */
+router.get("/:id/hoja-encargo/signature-requests", (req, res, next) => {
+  try {
+    const caseData = getParticularCase(req, res, HOJA_ENCARGO_CASE_MESSAGE);
+    if (!caseData) return;
+
+    res.json({ success: true, data: clientSignatureService.listByCase(caseData.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/cases/:id/hoja-encargo/signature-requests
+ * Create a one-time link for the client to sign a Hoja de Encargo
+ * Body: { documentId, signerName, signerEmail }
+ * The token is only returned here; the signing page is /#/firma/:token
+ */
+router.post("/:id/hoja-encargo/signature-requests", (req, res, next) => {
+  try {
+    const caseData = getParticularCase(req, res, HOJA_ENCARGO_CASE_MESSAGE);
+    if (!caseData) return;
+
+    if (caseData.state === "ARCHIVADO") {
+      return res.status(400).json({
+        error: {
+          code: "CASE_ARCHIVED",
+          message: "No se pueden solicitar firmas en expedientes archivados",
+        },
+      });
+    }
+
+    const result = clientSignatureService.createRequest(caseData.id, req.body, req.user);
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/cases/:id/hoja-encargo/signature-requests/:requestId
+ * Cancel a pending client signing link
+ */
+router.delete("/:id/hoja-encargo/signature-requests/:requestId", (req, res, next) => {
+  try {
+    const caseData = getParticularCase(req, res, HOJA_ENCARGO_CASE_MESSAGE);
+    if (!caseData) return;
+
+    const request = clientSignatureService.cancelRequest(caseData.id, parseInt(req.params.requestId, 10));
+    res.json({ success: true, data: request });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * POST /api/cases/:id/hoja-encargo/send
  * Send Hoja de Encargo via email to client
@@ -125,6 +220,129 @@ router.post("/:id/hoja-encargo/send", async (req, res, next) => {
   }
 });
 
+/**
+ * POST /api/cases/:id/factura-horas
+ * Invoice the unbilled hours of a PARTICULAR case in an itemised fee note
+ */
+router.post("/:id/factura-horas", async (req, res, next) => {
+  try {
+    const caseData = caseService.getById(req.params.id);
+
+    if (!caseData) {
+      return res.status(404).json({
+        error: { code: "NOT_FOUND", message: "Expediente no encontrado" },
+      });
+    }
+
+    if (caseData.type !== "PARTICULAR") {
+      return res.status(400).json({
+        error: {
+          code: "INVALID_CASE_TYPE",
+          message: "Solo expedientes Particulares pueden facturar horas",
+        },
+      });
+    }
+
+    const config = getConfig();
+    const workflow = new HojaEncargoWorkflowService(config);
+    const result = await workflow.generateFacturaHoras(caseData);
+
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/cases/:id/provisiones
+ * Provisiones de fondos ledger of a case with its running balance
+ */
+router.get("/:id/provisiones", (req, res, next) => {
+  try {
+    const caseData = getParticularCase(req, res);
+    if (!caseData) return;
+
+    res.json({
+      success: true,
+      data: {
+        movements: provisionService.listByCase(caseData.id),
+        balance: provisionService.getBalance(caseData.id),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/cases/:id/provisiones/solicitud
+ * Generate and sign a "solicitud de provisión de fondos" and record the request
+ * Body: { amount, concept, movementDate }
+ */
+router.post("/:id/provisiones/solicitud", async (req, res, next) => {
+  try {
+    const caseData = getParticularCase(req, res);
+    if (!caseData) return;
+
+    if (caseData.state === "ARCHIVADO") {
+      return res.status(400).json({
+        error: {
+          code: "CASE_ARCHIVED",
+          message: "No se pueden generar documentos en expedientes archivados",
+        },
+      });
+    }
+
+    const config = getConfig();
+    const workflow = new HojaEncargoWorkflowService(config);
+    const result = await workflow.generateSolicitudProvision(caseData, req.body, req.user);
+
+    res.status(201).json({ success: true, data: result });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/cases/:id/provisiones
+ * Record a ledger movement (funds received, applied to an invoice or refunded)
+ * Body: { movementType, amount, movementDate, method, reference, notes, documentId }
+ */
+router.post("/:id/provisiones", (req, res, next) => {
+  try {
+    const caseData = getParticularCase(req, res);
+    if (!caseData) return;
+
+    const movement = provisionService.create(caseData.id, req.body, req.user);
+    res.status(201).json({ success: true, data: movement });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/cases/:id/provisiones/:movementId
+ * Delete a ledger movement (an application also removes its payment)
+ */
+router.delete("/:id/provisiones/:movementId", (req, res, next) => {
+  try {
+    const caseData = getParticularCase(req, res);
+    if (!caseData) return;
+
+    const movement = provisionService.getById(parseInt(req.params.movementId, 10));
+    if (!movement || movement.caseId !== caseData.id) {
+      return res.status(404).json({
+        error: { code: "NOT_FOUND", message: "Movimiento de provisión no encontrado" },
+      });
+    }
+
+    provisionService.deleteMovement(movement.id);
+    res.json({ success: true, message: "Movimiento de provisión eliminado" });
+  } catch (error) {
+    next(error);
+  }
+});
+
 /**
  * GET /api/cases/:id/hoja-encargo/documents
  * Get all Hoja de Encargo documents for a case
@@ -0,0 +1,23 @@
+// Search API Routes
+// Full-text search across cases, email subjects and document text
+
+import { Router } from "express";
+import { search } from "../services/searchService.js";
+
+const router = Router();
+
+/**
+ * GET /api/search
+ * Ranked results with highlighted snippets (<mark>, HTML-escaped)
+ * Query params: q (required), type (case | document | email), limit (default 20, max 100)
+ */
+router.get("/", (req, res, next) => {
+  try {
+    const { q, type, limit } = req.query;
+    res.json(search(q, { type, limit }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,59 @@
+// Signature API Routes
+// Verification of the PAdES signatures of generated and uploaded PDFs
+
+import { Router } from "express";
+import multer from "multer";
+import { verifyDocument, verifyUpload } from "../services/signatureVerificationService.js";
+
+const router = Router();
+
+const MAX_VERIFY_SIZE = 20 * 1024 * 1024; // 20MB
+
+// Files to verify are only read, never stored
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_VERIFY_SIZE },
+});
+
+/**
+ * POST /api/signatures/verify
+ * Verify the signatures of a PDF: either an uploaded file ("document" field)
+ * or a stored document ({ documentId })
+ * Returns signer, signing time, digest/chain checks and whether the PDF was
+ * modified after signing for each signature
+ */
+router.post("/verify", upload.single("document"), async (req, res, next) => {
+  try {
+    if (req.file) {
+      return res.json(verifyUpload({ buffer: req.file.buffer, originalName: req.file.originalname }));
+    }
+
+    res.json(await verifyDocument(req.body?.documentId));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Error handling for multer
+router.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        error: {
+          code: "FILE_TOO_LARGE",
+          message: "El archivo supera el tamaño máximo permitido (20MB)",
+        },
+      });
+    }
+    return res.status(400).json({
+      error: {
+        code: "UPLOAD_ERROR",
+        message: error.message,
+      },
+    });
+  }
+
+  next(error);
+});
+
+export default router;
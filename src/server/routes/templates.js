@@ -0,0 +1,116 @@
+// Document Templates API Routes
+// Editable templates of the minuta, suplido and hoja de encargo PDFs, one per
+// language (?language=es|en, Spanish by default)
+
+import { Router } from "express";
+import {
+  get,
+  getBody,
+  getPreviewContext,
+  list,
+  reset,
+  update,
+  validateBody,
+} from "../services/documentTemplateService.js";
+import { PDFGeneratorService } from "../services/pdfGeneratorService.js";
+import { DEFAULT_LANGUAGE, getIntlLocale } from "../services/localeService.js";
+
+const router = Router();
+
+/**
+ * Template language requested in the query string
+ * @param {Object} req - Express request
+ * @returns {string} Language code (validated by the service)
+ */
+function requestLanguage(req) {
+  return req.query.language || DEFAULT_LANGUAGE;
+}
+
+/**
+ * GET /api/templates
+ * Templates of every document type and language
+ */
+router.get("/", (req, res, next) => {
+  try {
+    res.json(list());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/templates/:type
+ * Template of a document type, its default and the available placeholders
+ */
+router.get("/:type", (req, res, next) => {
+  try {
+    res.json(get(req.params.type, requestLanguage(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/templates/:type
+ * Save a custom template
+ * Body: { body }
+ */
+router.put("/:type", (req, res, next) => {
+  try {
+    res.json(update(req.params.type, req.body.body, req.user, requestLanguage(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/templates/:type
+ * Restore the default template
+ */
+router.delete("/:type", (req, res, next) => {
+  try {
+    const template = reset(req.params.type, requestLanguage(req));
+    res.json({ success: true, message: "Plantilla predeterminada restaurada", template });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/templates/:type/preview
+ * Render a template as PDF without saving it
+ * Body: { body, caseId } — body defaults to the template in use; without
+ * caseId sample data is used
+ */
+router.post("/:type/preview", async (req, res, next) => {
+  try {
+    const { type } = req.params;
+    const language = requestLanguage(req);
+    const body = req.body.body === undefined ? getBody(type, language) : validateBody(type, req.body.body);
+
+    let caseId = null;
+    if (req.body.caseId !== undefined && req.body.caseId !== null && req.body.caseId !== "") {
+      caseId = parseInt(req.body.caseId, 10);
+      if (isNaN(caseId)) {
+        return res.status(400).json({
+          error: {
+            code: "VALIDATION_ERROR",
+            message: "ID de expediente inválido",
+            field: "caseId",
+          },
+        });
+      }
+    }
+
+    const context = getPreviewContext(type, caseId, language);
+    const pdf = await new PDFGeneratorService().renderTemplateToBuffer(body, context, getIntlLocale(language));
+
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `inline; filename="vista_previa_${type.toLowerCase()}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
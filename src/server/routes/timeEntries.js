@@ -0,0 +1,150 @@
+// Time Entries API Routes
+// Hours worked per case (Particulares) and start/stop timer
+
+import { Router } from "express";
+import {
+  create,
+  deleteEntry,
+  getRunningTimer,
+  getSummary,
+  listByCase,
+  startTimer,
+  stopTimer,
+  update,
+} from "../services/timeEntryService.js";
+
+const router = Router();
+
+/**
+ * Parse and validate the :id route param
+ * @returns {number|null} Entry ID or null (response already sent)
+ */
+function parseTimeEntryId(req, res) {
+  const id = parseInt(req.params.id, 10);
+
+  if (isNaN(id)) {
+    res.status(400).json({
+      error: {
+        code: "VALIDATION_ERROR",
+        message: "ID de registro de horas inválido",
+        field: "id",
+      },
+    });
+    return null;
+  }
+
+  return id;
+}
+
+/**
+ * GET /api/time-entries?caseId=
+ * Entries of a case (most recent first) and hour totals
+ */
+router.get("/", (req, res, next) => {
+  try {
+    const caseId = parseInt(req.query.caseId, 10);
+    if (isNaN(caseId)) {
+      return res.status(400).json({
+        error: {
+          code: "VALIDATION_ERROR",
+          message: "El parámetro caseId es obligatorio",
+          field: "caseId",
+        },
+      });
+    }
+
+    res.json({ entries: listByCase(caseId), summary: getSummary(caseId) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/time-entries/timer
+ * Running timer of the current user (null if none)
+ */
+router.get("/timer", (req, res, next) => {
+  try {
+    res.json(getRunningTimer(req.user.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/time-entries
+ * Record hours worked
+ * Body: { caseId, entryDate, durationMinutes, activity, hourlyRate, billable, userId }
+ */
+router.post("/", (req, res, next) => {
+  try {
+    const { caseId, ...data } = req.body;
+    const entry = create(parseInt(caseId, 10), data, req.user);
+    res.status(201).json(entry);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/time-entries/timer
+ * Start a timer for the current user
+ * Body: { caseId, activity, hourlyRate, billable }
+ */
+router.post("/timer", (req, res, next) => {
+  try {
+    const { caseId, ...data } = req.body;
+    const entry = startTimer(parseInt(caseId, 10), data, req.user);
+    res.status(201).json(entry);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/time-entries/:id/stop
+ * Stop a running timer and record the elapsed time
+ */
+router.post("/:id/stop", (req, res, next) => {
+  try {
+    const id = parseTimeEntryId(req, res);
+    if (id === null) return;
+
+    res.json(stopTimer(id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/time-entries/:id
+ * Update an entry (not allowed once invoiced)
+ */
+router.put("/:id", (req, res, next) => {
+  try {
+    const id = parseTimeEntryId(req, res);
+    if (id === null) return;
+
+    res.json(update(id, req.body));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/time-entries/:id
+ * Delete an entry (not allowed once invoiced)
+ */
+router.delete("/:id", (req, res, next) => {
+  try {
+    const id = parseTimeEntryId(req, res);
+    if (id === null) return;
+
+    deleteEntry(id);
+    res.json({ success: true, message: "Registro de horas eliminado" });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -9,11 +9,11 @@ import { existsSync, mkdirSync } from "fs";
 import {
   getById,
   finalizeTurno,
+  reopenTurno,
   CASE_TYPES,
   CASE_STATES,
 } from "../services/caseService.js";
 import { DocumentHistoryService } from "../services/documentHistoryService.js";
-import { execute } from "../database.js";
 
 const router = Router();
 
@@ -96,7 +96,7 @@ const loadTurnoCase = (req, res, next) => {
  */
 router.post("/:id/finalize", loadTurnoCase, (req, res, next) => {
   try {
-    const updatedCase = finalizeTurno(req.caseData.id);
+    const updatedCase = finalizeTurno(req.caseData.id, req.user);
 
     res.json({
       success: true,
@@ -134,12 +134,7 @@ router.post("/:id/reopen", loadTurnoCase, (req, res, next) => {
       });
     }
 
-    execute(
-      `UPDATE cases SET state = ?, updated_at = datetime('now') WHERE id = ?`,
-      [CASE_STATES.ABIERTO, caseData.id]
-    );
-
-    const updatedCase = getById(caseData.id);
+    const updatedCase = reopenTurno(caseData.id, req.user);
 
     res.json({
       success: true,
@@ -153,7 +148,8 @@ router.post("/:id/reopen", loadTurnoCase, (req, res, next) => {
 
 /**
  * POST /api/turno/:id/upload
- * Upload a document to a Turno de Oficio case
+ * Upload a PDF to a Turno de Oficio case
+ * (kept for compatibility; POST /api/cases/:id/documents accepts any case type and format)
  */
 router.post(
   "/:id/upload",
@@ -190,6 +186,14 @@ router.post(
         documentType: "MANUAL_UPLOAD",
         filePath: req.file.path,
         signed: 0,
+        upload: {
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          fileSize: req.file.size,
+          category: "OTRO",
+          description: req.body.description || null,
+          uploadedByUserId: req.user?.id ?? null,
+        },
       });
 
       res.json({
@@ -238,7 +242,7 @@ router.delete("/:id/documents/:documentId", loadTurnoCase, (req, res, next) => {
     const documentHistory = new DocumentHistoryService();
     const doc = documentHistory.getById(documentId);
 
-    if (!doc) {
+    if (!doc || doc.deleted_at) {
       return res.status(404).json({
         error: {
           code: "NOT_FOUND",
@@ -267,7 +271,8 @@ router.delete("/:id/documents/:documentId", loadTurnoCase, (req, res, next) => {
       });
     }
 
-    const deleted = documentHistory.delete(documentId, true);
+    // Soft delete: the file is kept and the document can be restored from the case
+    const deleted = documentHistory.delete(documentId, req.user?.id ?? null);
 
     if (!deleted) {
       return res.status(500).json({
@@ -12,6 +12,18 @@ const ALLOWED_TABLES = [
   "email_history",
   "configuration",
   "reference_counters",
+  "audit_log",
+  "invoices",
+  "payments",
+  "bank_imports",
+  "bank_transactions",
+  "deadlines",
+  "hearings",
+  "time_entries",
+  "provision_movements",
+  "document_templates",
+  "document_versions",
+  "email_templates",
 ];
 
 /**
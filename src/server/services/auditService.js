@@ -0,0 +1,116 @@
+// Audit Service
+// Field-level audit trail of case mutations
+
+import { query } from "../database.js";
+
+// Audit actions (one per case mutation)
+export const AUDIT_ACTIONS = {
+  CREATE: "CREATE",
+  UPDATE: "UPDATE",
+  ARCHIVE: "ARCHIVE",
+  JUDICIAL: "JUDICIAL",
+  FINALIZE: "FINALIZE",
+  REOPEN: "REOPEN",
+  DELETE: "DELETE",
+};
+
+// Bookkeeping fields that change on every mutation and carry no meaning in a diff
+const IGNORED_FIELDS = ["version", "updatedAt", "createdAt"];
+
+/**
+ * Compute a field-level diff between two case objects
+ * Either side may be null (creation / deletion).
+ * @param {Object|null} before - Case before the mutation
+ * @param {Object|null} after - Case after the mutation
+ * @returns {Object} { field: { before, after } } for every changed field
+ */
+export function diffCases(before, after) {
+  const changes = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const key of keys) {
+    if (IGNORED_FIELDS.includes(key)) continue;
+
+    const oldValue = before ? before[key] ?? null : null;
+    const newValue = after ? after[key] ?? null : null;
+
+    if (oldValue !== newValue) {
+      changes[key] = { before: oldValue, after: newValue };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Record an audit entry using the caller's connection (inside its transaction)
+ * @param {Database} db - Database instance from the calling transaction
+ * @param {Object} entry - Audit entry
+ * @param {number} entry.caseId - Case ID
+ * @param {number} entry.caseVersion - Case version after the mutation
+ * @param {string} entry.action - One of AUDIT_ACTIONS
+ * @param {Object|null} entry.before - Case before the mutation
+ * @param {Object|null} entry.after - Case after the mutation
+ * @param {Object|null} [entry.actor] - Authenticated user ({ id, username })
+ */
+export function recordInTransaction(db, { caseId, caseVersion, action, before, after, actor = null }) {
+  db.prepare(
+    `INSERT INTO audit_log (case_id, case_version, action, actor_user_id, actor_username, changes)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  ).run(
+    caseId,
+    caseVersion,
+    action,
+    actor?.id ?? null,
+    actor?.username ?? null,
+    JSON.stringify(diffCases(before, after))
+  );
+}
+
+/**
+ * Get the audit trail for a case, newest first
+ * @param {number} caseId - Case ID
+ * @returns {Array} Audit entries with parsed changes
+ */
+export function getByCaseId(caseId) {
+  return query(
+    "SELECT * FROM audit_log WHERE case_id = ? ORDER BY case_version DESC, id DESC",
+    [caseId]
+  ).map(mapRowToEntry);
+}
+
+/**
+ * Map database row to audit entry
+ * @param {Object} row - Database row
+ * @returns {Object} Audit entry
+ */
+function mapRowToEntry(row) {
+  let changes = {};
+  try {
+    changes = JSON.parse(row.changes);
+  } catch {
+    // Corrupted JSON - return entry without diff rather than failing the whole trail
+  }
+
+  return {
+    id: row.id,
+    caseId: row.case_id,
+    caseVersion: row.case_version,
+    action: row.action,
+    actor: row.actor_user_id
+      ? { id: row.actor_user_id, username: row.actor_username }
+      : null,
+    changes,
+    createdAt: row.created_at,
+  };
+}
+
+export default {
+  diffCases,
+  recordInTransaction,
+  getByCaseId,
+  AUDIT_ACTIONS,
+};
@@ -0,0 +1,435 @@
+// Auth Service
+// User accounts, password hashing and session management
+
+import {
+  randomBytes,
+  scryptSync,
+  timingSafeEqual,
+  createHash,
+} from "crypto";
+import { query, queryOne, execute, transaction, getDatabase } from "../database.js";
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  AuthenticationError,
+} from "../errors.js";
+import { AuthErrors } from "../errorMessages.js";
+
+// Valid user roles
+export const USER_ROLES = {
+  ADMIN: "admin",
+  ABOGADO: "abogado",
+  ADMINISTRATIVO: "administrativo",
+};
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+// Session lifetime in hours (overridable for deployments with stricter policies)
+export const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS, 10) || 12;
+
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Hash a password with scrypt and a random salt
+ * Format: scrypt$<saltHex>$<hashHex>
+ * @param {string} password - Plain text password
+ * @returns {string} Encoded password hash
+ */
+export function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = scryptSync(password, salt, SCRYPT_KEYLEN);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+/**
+ * Verify a password against a stored hash (constant-time comparison)
+ * @param {string} password - Plain text password
+ * @param {string} stored - Encoded hash from hashPassword()
+ * @returns {boolean} True if the password matches
+ */
+export function verifyPassword(password, stored) {
+  if (typeof password !== "string" || typeof stored !== "string") return false;
+
+  const [scheme, saltHex, hashHex] = stored.split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = scryptSync(password, Buffer.from(saltHex, "hex"), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Hash a session token for storage
+ * @param {string} token - Raw session token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * Validate role value
+ * @param {string} role - Role to validate
+ * @throws {ValidationError} If role is not valid
+ */
+function validateRole(role) {
+  if (!Object.values(USER_ROLES).includes(role)) {
+    const errorInfo = AuthErrors.roleInvalid(role, Object.values(USER_ROLES));
+    throw new ValidationError(errorInfo);
+  }
+}
+
+/**
+ * Validate password strength
+ * @param {string} password - Password to validate
+ * @throws {ValidationError} If password is too short
+ */
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    const errorInfo = AuthErrors.passwordTooShort(MIN_PASSWORD_LENGTH);
+    throw new ValidationError(errorInfo);
+  }
+}
+
+/**
+ * Count active admins, optionally excluding one user
+ * @param {number|null} excludeId - User ID to exclude from the count
+ * @returns {number}
+ */
+function countActiveAdmins(excludeId = null) {
+  const row = queryOne(
+    "SELECT COUNT(*) as count FROM users WHERE role = ? AND active = 1 AND id != ?",
+    [USER_ROLES.ADMIN, excludeId ?? -1]
+  );
+  return row?.count || 0;
+}
+
+/**
+ * Create a new user
+ * @param {Object} data - User data
+ * @param {string} data.username - Login name (case-insensitive, unique)
+ * @param {string} data.password - Plain text password
+ * @param {string} [data.fullName] - Display name
+ * @param {string} [data.role] - One of USER_ROLES (default: abogado)
+ * @returns {Object} Created user (without password hash)
+ * @throws {ValidationError} If validation fails
+ * @throws {ConflictError} If username already exists
+ */
+export function createUser(data) {
+  const username = typeof data.username === "string" ? data.username.trim() : "";
+  if (!username) {
+    throw new ValidationError("El nombre de usuario es obligatorio", "username");
+  }
+  validatePassword(data.password);
+
+  const role = data.role || USER_ROLES.ABOGADO;
+  validateRole(role);
+
+  const existing = queryOne("SELECT 1 FROM users WHERE username = ?", [username]);
+  if (existing) {
+    const errorInfo = AuthErrors.usernameDuplicate(username);
+    throw new ConflictError(errorInfo);
+  }
+
+  const result = execute(
+    `INSERT INTO users (username, password_hash, full_name, role)
+     VALUES (?, ?, ?, ?)`,
+    [username, hashPassword(data.password), (data.fullName || "").trim(), role]
+  );
+
+  return getUserById(result.lastInsertRowid);
+}
+
+/**
+ * Get user by ID
+ * @param {number} id - User ID
+ * @returns {Object|null} User or null
+ */
+export function getUserById(id) {
+  const row = queryOne("SELECT * FROM users WHERE id = ?", [id]);
+  return row ? mapRowToUser(row) : null;
+}
+
+/**
+ * List all users ordered by username
+ * @returns {Array} Users (without password hashes)
+ */
+export function listUsers() {
+  return query("SELECT * FROM users ORDER BY username ASC").map(mapRowToUser);
+}
+
+/**
+ * Update a user (full name, role, active flag, password)
+ * Refuses to demote or deactivate the last active admin.
+ * Deactivating a user or changing the password revokes their sessions.
+ *
+ * @param {number} id - User ID
+ * @param {Object} data - Fields to update
+ * @returns {Object} Updated user
+ * @throws {NotFoundError} If user doesn't exist
+ * @throws {ValidationError} If validation fails
+ */
+export function updateUser(id, data) {
+  const existing = getUserById(id);
+  if (!existing) {
+    const errorInfo = AuthErrors.userNotFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+
+  const updates = [];
+  const params = [];
+
+  if (data.fullName !== undefined) {
+    updates.push("full_name = ?");
+    params.push(String(data.fullName).trim());
+  }
+
+  if (data.role !== undefined) {
+    validateRole(data.role);
+    updates.push("role = ?");
+    params.push(data.role);
+  }
+
+  if (data.active !== undefined) {
+    updates.push("active = ?");
+    params.push(data.active ? 1 : 0);
+  }
+
+  if (data.password !== undefined) {
+    validatePassword(data.password);
+    updates.push("password_hash = ?");
+    params.push(hashPassword(data.password));
+  }
+
+  if (updates.length === 0) {
+    return existing;
+  }
+
+  // Never leave the system without an active admin
+  const losesAdmin =
+    existing.role === USER_ROLES.ADMIN &&
+    existing.active &&
+    ((data.role !== undefined && data.role !== USER_ROLES.ADMIN) ||
+      (data.active !== undefined && !data.active));
+  if (losesAdmin && countActiveAdmins(id) === 0) {
+    const errorInfo = AuthErrors.lastAdmin();
+    throw new ValidationError(errorInfo);
+  }
+
+  updates.push("updated_at = datetime('now')");
+  params.push(id);
+
+  transaction(() => {
+    const db = getDatabase();
+    db.prepare(`UPDATE users SET ${updates.join(", ")} WHERE id = ?`).run(...params);
+
+    if (data.password !== undefined || (data.active !== undefined && !data.active)) {
+      db.prepare("DELETE FROM sessions WHERE user_id = ?").run(id);
+    }
+  });
+
+  return getUserById(id);
+}
+
+/**
+ * Authenticate with username and password and open a session
+ * @param {string} username - Login name
+ * @param {string} password - Plain text password
+ * @returns {{ token: string, expiresAt: string, user: Object }}
+ * @throws {AuthenticationError} If credentials are invalid or user is inactive
+ */
+export function login(username, password) {
+  const row =
+    typeof username === "string"
+      ? queryOne("SELECT * FROM users WHERE username = ?", [username.trim()])
+      : null;
+
+  if (!row || !row.active || !verifyPassword(password, row.password_hash)) {
+    throw new AuthenticationError(AuthErrors.invalidCredentials());
+  }
+
+  const token = randomBytes(32).toString("hex");
+  const expiresAt = new Date(
+    Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000
+  ).toISOString();
+
+  transaction(() => {
+    const db = getDatabase();
+    db.prepare(
+      "INSERT INTO sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)"
+    ).run(hashToken(token), row.id, expiresAt);
+    db.prepare(
+      "UPDATE users SET last_login_at = datetime('now') WHERE id = ?"
+    ).run(row.id);
+  });
+
+  return { token, expiresAt, user: getUserById(row.id) };
+}
+
+/**
+ * Resolve a session token to its user
+ * Expired sessions are removed on access.
+ * @param {string} token - Raw session token
+ * @returns {Object|null} Active user or null if the session is invalid
+ */
+export function getSessionUser(token) {
+  if (!token || typeof token !== "string") return null;
+
+  const tokenHash = hashToken(token);
+  const row = queryOne(
+    `SELECT s.expires_at, u.*
+     FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = ?`,
+    [tokenHash]
+  );
+
+  if (!row) return null;
+
+  if (new Date(row.expires_at).getTime() <= Date.now()) {
+    execute("DELETE FROM sessions WHERE token_hash = ?", [tokenHash]);
+    return null;
+  }
+
+  if (!row.active) return null;
+
+  return mapRowToUser(row);
+}
+
+/**
+ * Close a session
+ * @param {string} token - Raw session token
+ * @returns {boolean} True if a session was removed
+ */
+export function logout(token) {
+  if (!token) return false;
+  const result = execute("DELETE FROM sessions WHERE token_hash = ?", [
+    hashToken(token),
+  ]);
+  return result.changes > 0;
+}
+
+/**
+ * Remove expired sessions
+ * @returns {number} Number of sessions removed
+ */
+export function purgeExpiredSessions() {
+  const result = execute("DELETE FROM sessions WHERE expires_at <= ?", [
+    new Date().toISOString(),
+  ]);
+  return result.changes;
+}
+
+/**
+ * Create (or rotate) the calendar feed token of a user
+ * Only the hash is stored: the raw token is shown once and any previous
+ * subscription URL stops working.
+ * @param {number} userId - User ID
+ * @returns {string} Raw feed token
+ * @throws {NotFoundError} If the user does not exist
+ */
+export function createCalendarToken(userId) {
+  const token = randomBytes(24).toString("hex");
+  const result = execute(
+    "UPDATE users SET calendar_token_hash = ?, updated_at = datetime('now') WHERE id = ?",
+    [hashToken(token), userId]
+  );
+  if (result.changes === 0) {
+    const errorInfo = AuthErrors.userNotFound(userId);
+    throw new NotFoundError(errorInfo);
+  }
+  return token;
+}
+
+/**
+ * Revoke the calendar feed token of a user
+ * @param {number} userId - User ID
+ * @returns {boolean} True if a token was removed
+ */
+export function revokeCalendarToken(userId) {
+  const result = execute(
+    `UPDATE users SET calendar_token_hash = NULL, updated_at = datetime('now')
+     WHERE id = ? AND calendar_token_hash IS NOT NULL`,
+    [userId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Resolve a calendar feed token to its (active) user
+ * @param {string} token - Raw feed token
+ * @returns {Object|null} User or null if the token is invalid
+ */
+export function getCalendarTokenUser(token) {
+  if (!token || typeof token !== "string") return null;
+
+  const row = queryOne("SELECT * FROM users WHERE calendar_token_hash = ?", [hashToken(token)]);
+  if (!row || !row.active) return null;
+
+  return mapRowToUser(row);
+}
+
+/**
+ * Create the initial admin from environment variables when no users exist
+ * (called once at server startup)
+ * @param {Object} [env] - Environment (defaults to process.env)
+ * @returns {Object|null} Created admin or null if nothing was done
+ */
+export function ensureInitialAdmin(env = process.env) {
+  const count = queryOne("SELECT COUNT(*) as count FROM users")?.count || 0;
+  if (count > 0) return null;
+
+  if (!env.ADMIN_USERNAME || !env.ADMIN_PASSWORD) {
+    console.warn(
+      "[Auth] No users found. Set ADMIN_USERNAME and ADMIN_PASSWORD to create the initial admin."
+    );
+    return null;
+  }
+
+  return createUser({
+    username: env.ADMIN_USERNAME,
+    password: env.ADMIN_PASSWORD,
+    fullName: env.ADMIN_FULL_NAME || "Administrador",
+    role: USER_ROLES.ADMIN,
+  });
+}
+
+/**
+ * Map database row to user object (never exposes the password hash)
+ * @param {Object} row - Database row
+ * @returns {Object} User object
+ */
+function mapRowToUser(row) {
+  return {
+    id: row.id,
+    username: row.username,
+    fullName: row.full_name,
+    role: row.role,
+    active: !!row.active,
+    hasCalendarFeed: !!row.calendar_token_hash,
+    lastLoginAt: row.last_login_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export default {
+  hashPassword,
+  verifyPassword,
+  createUser,
+  getUserById,
+  listUsers,
+  updateUser,
+  login,
+  getSessionUser,
+  logout,
+  purgeExpiredSessions,
+  createCalendarToken,
+  revokeCalendarToken,
+  getCalendarTokenUser,
+  ensureInitialAdmin,
+  USER_ROLES,
+  MIN_PASSWORD_LENGTH,
+  SESSION_TTL_HOURS,
+};
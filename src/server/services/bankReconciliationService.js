@@ -0,0 +1,485 @@
+// Bank Reconciliation Service
+// Imports bank statements and matches incoming transfers against outstanding minutas
+
+import { createHash } from "crypto";
+import { execute, query, queryOne, transaction } from "../database.js";
+import { ValidationError, NotFoundError, ConflictError } from "../errors.js";
+import { BankImportErrors } from "../errorMessages.js";
+import { roundCents } from "../utils.js";
+import { parseStatement } from "./bankStatementParser.js";
+import { create as createPayment, getOutstandingBalance, getReceivables } from "./paymentService.js";
+
+export const MATCH_CONFIDENCE = {
+  HIGH: "ALTA",
+  MEDIUM: "MEDIA",
+  LOW: "BAJA",
+};
+
+export const MATCH_REASONS = {
+  REFERENCE_AND_AMOUNT: "REFERENCIA_E_IMPORTE",
+  REFERENCE: "REFERENCIA",
+  AMOUNT: "IMPORTE",
+};
+
+export const TRANSACTION_STATUS = {
+  PENDING: "PENDIENTE",
+  CONFIRMED: "CONFIRMADO",
+  DISMISSED: "DESCARTADO",
+};
+
+// ARAG references as they appear in transfer concepts (DJ00xxxxxx, sometimes spaced)
+const ARAG_REFERENCE_IN_TEXT = /DJ\s?00\s?\d{6}/gi;
+
+/**
+ * Extract ARAG references mentioned in a transfer concept
+ * @param {string} text - Concept and reference text
+ * @returns {string[]} Normalized references (DJ00xxxxxx)
+ */
+export function findAragReferences(text) {
+  const matches = String(text || "").match(ARAG_REFERENCE_IN_TEXT) || [];
+  return [...new Set(matches.map((m) => m.replace(/\s/g, "").toUpperCase()))];
+}
+
+/**
+ * Whether two amounts are equal to the cent
+ */
+function sameAmount(a, b) {
+  return Math.round(a * 100) === Math.round(b * 100);
+}
+
+/**
+ * Propose a document for each incoming transfer
+ * A reference plus exact outstanding amount is a high-confidence match; a
+ * reference with a smaller amount (partial payment) is medium; an exact amount
+ * shared by no other document is low. A transfer larger than the balance of
+ * every referenced document pays several of them and is split by hand, so it
+ * gets no proposal. Proposed amounts are deducted from the candidate so one
+ * minuta is not proposed twice for the same remittance.
+ *
+ * @param {Array} movements - Incoming movements ({ amount, concept, reference })
+ * @param {Array} candidates - Outstanding documents ({ documentId, aragReference, outstanding }), oldest first
+ * @returns {Array} Movements with proposedDocumentId, matchConfidence and matchReason (null when unmatched)
+ */
+export function proposeMatches(movements, candidates) {
+  const remaining = candidates.map((c) => ({ ...c }));
+
+  return movements.map((movement) => {
+    const open = remaining.filter((c) => c.outstanding > 0.005);
+    const references = findAragReferences(`${movement.concept} ${movement.reference}`);
+    const byReference = open.filter((c) => references.includes(c.aragReference));
+
+    let match = null;
+    const exact = byReference.find((c) => sameAmount(c.outstanding, movement.amount));
+    if (exact) {
+      match = { candidate: exact, confidence: MATCH_CONFIDENCE.HIGH, reason: MATCH_REASONS.REFERENCE_AND_AMOUNT };
+    } else if (byReference.length > 0) {
+      const partial = byReference.find((c) => movement.amount < c.outstanding);
+      if (partial) {
+        match = { candidate: partial, confidence: MATCH_CONFIDENCE.MEDIUM, reason: MATCH_REASONS.REFERENCE };
+      }
+    } else {
+      const byAmount = open.filter((c) => sameAmount(c.outstanding, movement.amount));
+      if (byAmount.length === 1) {
+        match = { candidate: byAmount[0], confidence: MATCH_CONFIDENCE.LOW, reason: MATCH_REASONS.AMOUNT };
+      }
+    }
+
+    if (!match) {
+      return { ...movement, proposedDocumentId: null, matchConfidence: null, matchReason: null };
+    }
+
+    match.candidate.outstanding = roundCents(match.candidate.outstanding - movement.amount);
+    return {
+      ...movement,
+      proposedDocumentId: match.candidate.documentId,
+      matchConfidence: match.confidence,
+      matchReason: match.reason,
+    };
+  });
+}
+
+/**
+ * Stable fingerprint of a movement, used to skip movements already imported
+ * @param {string|null} account - Statement account
+ * @param {Object} movement - Parsed movement
+ * @param {number} occurrence - Index among identical movements in the same file
+ * @returns {string} SHA-256 hex digest
+ */
+function fingerprint(account, movement, occurrence) {
+  return createHash("sha256")
+    .update(
+      [
+        account || "",
+        movement.operationDate,
+        movement.amount.toFixed(2),
+        movement.concept,
+        movement.reference,
+        occurrence,
+      ].join("|")
+    )
+    .digest("hex");
+}
+
+/**
+ * Outstanding billed documents, in the shape used by proposeMatches
+ * @returns {Array}
+ */
+function getMatchCandidates() {
+  return getReceivables().documents.map((d) => ({
+    documentId: d.documentId,
+    caseId: d.caseId,
+    documentType: d.documentType,
+    aragReference: d.aragReference,
+    internalReference: d.internalReference,
+    clientName: d.clientName,
+    invoiceNumber: d.invoiceNumber,
+    issuedAt: d.issuedAt,
+    outstanding: d.outstanding,
+  }));
+}
+
+/**
+ * Import a bank statement: store its incoming transfers with proposed matches
+ * Debits are ignored; movements already imported are skipped.
+ *
+ * @param {Buffer|string} contents - Uploaded file
+ * @param {string} filename - Original file name
+ * @param {Object} [actor] - User uploading the statement
+ * @returns {Object} Import with its transactions (see getImport)
+ * @throws {ValidationError} If the statement cannot be parsed
+ */
+export function importStatement(contents, filename, actor = null) {
+  const statement = parseStatement(contents);
+  const credits = statement.movements.filter((m) => m.amount > 0);
+  const proposed = proposeMatches(credits, getMatchCandidates());
+
+  const importId = transaction(() => {
+    const result = execute(
+      `INSERT INTO bank_imports (filename, format, account, created_by_user_id)
+       VALUES (?, ?, ?, ?)`,
+      [filename || "extracto", statement.format, statement.account, actor?.id ?? null]
+    );
+    const id = result.lastInsertRowid;
+
+    const seen = new Map();
+    let inserted = 0;
+    for (const movement of proposed) {
+      const key = [movement.operationDate, movement.amount, movement.concept, movement.reference].join("|");
+      const occurrence = seen.get(key) || 0;
+      seen.set(key, occurrence + 1);
+
+      const insert = execute(
+        `INSERT OR IGNORE INTO bank_transactions (import_id, fingerprint, operation_date, value_date,
+           amount, concept, reference, proposed_document_id, match_confidence, match_reason)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          fingerprint(statement.account, movement, occurrence),
+          movement.operationDate,
+          movement.valueDate,
+          movement.amount,
+          movement.concept || null,
+          movement.reference || null,
+          movement.proposedDocumentId,
+          movement.matchConfidence,
+          movement.matchReason,
+        ]
+      );
+      inserted += insert.changes;
+    }
+
+    execute(
+      "UPDATE bank_imports SET transaction_count = ?, duplicate_count = ? WHERE id = ?",
+      [inserted, proposed.length - inserted, id]
+    );
+    return id;
+  });
+
+  return getImport(importId);
+}
+
+/**
+ * List statement imports, most recent first
+ * @returns {Array} Imports with pending transaction counts
+ */
+export function listImports() {
+  return query(
+    `SELECT bi.*,
+       (SELECT COUNT(*) FROM bank_transactions bt
+        WHERE bt.import_id = bi.id AND bt.status = 'PENDIENTE') as pending_count
+     FROM bank_imports bi
+     ORDER BY bi.created_at DESC, bi.id DESC`
+  ).map(mapRowToImport);
+}
+
+/**
+ * Get an import with its transactions and the documents they can be matched to
+ * @param {number} id - Import ID
+ * @returns {{import: Object, transactions: Array, candidates: Array}}
+ * @throws {NotFoundError} If the import does not exist
+ */
+export function getImport(id) {
+  const row = queryOne(
+    `SELECT bi.*,
+       (SELECT COUNT(*) FROM bank_transactions bt
+        WHERE bt.import_id = bi.id AND bt.status = 'PENDIENTE') as pending_count
+     FROM bank_imports bi WHERE bi.id = ?`,
+    [id]
+  );
+  if (!row) {
+    const errorInfo = BankImportErrors.importNotFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+
+  const transactions = query(
+    `SELECT bt.*, dh.document_type, dh.case_id, c.client_name, c.internal_reference,
+            c.arag_reference, i.invoice_number
+     FROM bank_transactions bt
+     LEFT JOIN document_history dh ON dh.id = bt.proposed_document_id
+     LEFT JOIN cases c ON c.id = dh.case_id
+     LEFT JOIN invoices i ON i.document_id = dh.id
+     WHERE bt.import_id = ?
+     ORDER BY bt.operation_date ASC, bt.id ASC`,
+    [id]
+  );
+  const payments = getTransactionPayments(transactions.map((tx) => tx.id));
+
+  return {
+    import: mapRowToImport(row),
+    transactions: transactions.map((tx) => mapRowToTransaction(tx, payments.get(tx.id))),
+    candidates: getMatchCandidates(),
+  };
+}
+
+/**
+ * Get a pending transaction or throw
+ * @param {number} id - Transaction ID
+ * @returns {Object} Transaction row
+ */
+function getPendingTransaction(id) {
+  const row = queryOne("SELECT * FROM bank_transactions WHERE id = ?", [id]);
+  if (!row) {
+    const errorInfo = BankImportErrors.transactionNotFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+  if (row.status !== TRANSACTION_STATUS.PENDING) {
+    const errorInfo = BankImportErrors.transactionNotPending(row.status);
+    throw new ConflictError(errorInfo);
+  }
+  return row;
+}
+
+/**
+ * Payments reconciled from transactions, with the document each one paid
+ * @param {Array<number>} ids - Transaction IDs
+ * @returns {Map<number, Array>} Transaction ID to its payments
+ */
+function getTransactionPayments(ids) {
+  const byTransaction = new Map(ids.map((id) => [id, []]));
+  if (ids.length === 0) return byTransaction;
+
+  const rows = query(
+    `SELECT p.id, p.bank_transaction_id, p.document_id, p.amount, dh.document_type, dh.case_id,
+            c.client_name, c.internal_reference, i.invoice_number
+     FROM payments p
+     JOIN document_history dh ON dh.id = p.document_id
+     JOIN cases c ON c.id = dh.case_id
+     LEFT JOIN invoices i ON i.document_id = dh.id
+     WHERE p.bank_transaction_id IN (${ids.map(() => "?").join(", ")})
+     ORDER BY p.id ASC`,
+    ids
+  );
+  for (const row of rows) {
+    byTransaction.get(row.bank_transaction_id).push({
+      id: row.id,
+      documentId: row.document_id,
+      amount: row.amount,
+      documentType: row.document_type,
+      caseId: row.case_id,
+      clientName: row.client_name,
+      internalReference: row.internal_reference,
+      invoiceNumber: row.invoice_number,
+    });
+  }
+  return byTransaction;
+}
+
+/**
+ * Documents and amounts a transfer is confirmed against
+ * A single document takes the whole amount still to assign.
+ * @param {number|Array} allocations - Document ID, or [{ documentId, amount }]
+ * @param {number} remaining - Amount of the transfer not assigned yet
+ * @returns {Array<{documentId: number, amount: number}>}
+ * @throws {ValidationError} If an amount is missing, a document repeats or
+ *   the amounts do not add up to the remaining amount
+ */
+function normalizeAllocations(allocations, remaining) {
+  if (!Array.isArray(allocations)) {
+    return [{ documentId: allocations, amount: remaining }];
+  }
+
+  const split = allocations.map((a) => ({ documentId: Number(a.documentId), amount: roundCents(Number(a.amount)) }));
+  const documentIds = new Set(split.map((a) => a.documentId));
+  if (split.some((a) => !Number.isFinite(a.amount) || a.amount <= 0) || documentIds.size !== split.length) {
+    const errorInfo = BankImportErrors.allocationInvalid();
+    throw new ValidationError(errorInfo);
+  }
+
+  const total = roundCents(split.reduce((sum, a) => sum + a.amount, 0));
+  if (total !== remaining) {
+    const errorInfo = BankImportErrors.allocationMismatch(total, remaining);
+    throw new ValidationError(errorInfo);
+  }
+  return split;
+}
+
+/**
+ * Confirm a match: record the transfer as payments of one or more documents
+ * A remittance paying several minutas is split into one payment per document.
+ * Each amount must fit in what its document still owes. Only the part of the
+ * transfer not assigned yet is split (a deleted payment leaves its amount to
+ * assign again).
+ * @param {number} id - Transaction ID
+ * @param {number|Array} allocations - Document the whole transfer pays (proposed
+ *   or chosen), or [{ documentId, amount }] to split it
+ * @param {Object} [actor] - User confirming
+ * @returns {Object} Updated transaction
+ * @throws {NotFoundError|ConflictError|ValidationError}
+ */
+export function confirmTransaction(id, allocations, actor = null) {
+  const documents = Array.isArray(allocations) ? allocations.map((a) => a?.documentId) : [allocations];
+  if (documents.length === 0 || documents.some((documentId) => !documentId)) {
+    const errorInfo = BankImportErrors.documentRequired();
+    throw new ValidationError(errorInfo);
+  }
+
+  transaction(() => {
+    const row = getPendingTransaction(id);
+    const { assigned } = queryOne(
+      "SELECT COALESCE(SUM(amount), 0) AS assigned FROM payments WHERE bank_transaction_id = ?",
+      [id]
+    );
+    const split = normalizeAllocations(allocations, roundCents(row.amount - assigned));
+
+    for (const { documentId, amount } of split) {
+      const outstanding = getOutstandingBalance(documentId);
+      if (outstanding !== null && roundCents(amount - outstanding) > 0) {
+        const errorInfo = BankImportErrors.exceedsOutstanding(amount, outstanding);
+        throw new ConflictError(errorInfo);
+      }
+      createPayment(
+        documentId,
+        {
+          amount,
+          paymentDate: row.operation_date,
+          method: "TRANSFERENCIA",
+          reference: [row.concept, row.reference].filter(Boolean).join(" ").slice(0, 200),
+          bankTransactionId: id,
+        },
+        actor
+      );
+    }
+
+    execute(
+      `UPDATE bank_transactions
+       SET status = ?, proposed_document_id = ?, updated_at = datetime('now')
+       WHERE id = ?`,
+      [TRANSACTION_STATUS.CONFIRMED, split[0].documentId, id]
+    );
+  });
+
+  return getTransaction(id);
+}
+
+/**
+ * Dismiss a transaction that does not correspond to any billed document
+ * @param {number} id - Transaction ID
+ * @returns {Object} Updated transaction
+ * @throws {NotFoundError|ConflictError}
+ */
+export function dismissTransaction(id) {
+  getPendingTransaction(id);
+  execute(
+    "UPDATE bank_transactions SET status = ?, updated_at = datetime('now') WHERE id = ?",
+    [TRANSACTION_STATUS.DISMISSED, id]
+  );
+  return getTransaction(id);
+}
+
+/**
+ * Get a transaction by ID
+ * @param {number} id - Transaction ID
+ * @returns {Object|null}
+ */
+export function getTransaction(id) {
+  const row = queryOne("SELECT * FROM bank_transactions WHERE id = ?", [id]);
+  return row ? mapRowToTransaction(row, getTransactionPayments([id]).get(id)) : null;
+}
+
+/**
+ * Map database row to import object
+ */
+function mapRowToImport(row) {
+  return {
+    id: row.id,
+    filename: row.filename,
+    format: row.format,
+    account: row.account,
+    transactionCount: row.transaction_count,
+    duplicateCount: row.duplicate_count,
+    pendingCount: row.pending_count ?? null,
+    createdByUserId: row.created_by_user_id,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Map database row to transaction object
+ * Joined document columns are present only when listing an import
+ * @param {Object} row - bank_transactions row
+ * @param {Array} [payments] - Payments reconciled from it (see getTransactionPayments)
+ */
+function mapRowToTransaction(row, payments = []) {
+  const assignedAmount = roundCents(payments.reduce((sum, p) => sum + p.amount, 0));
+  return {
+    id: row.id,
+    importId: row.import_id,
+    operationDate: row.operation_date,
+    valueDate: row.value_date,
+    amount: row.amount,
+    concept: row.concept,
+    reference: row.reference,
+    proposedDocumentId: row.proposed_document_id,
+    matchConfidence: row.match_confidence,
+    matchReason: row.match_reason,
+    status: row.status,
+    payments,
+    assignedAmount,
+    remainingAmount: roundCents(row.amount - assignedAmount),
+    document: row.proposed_document_id && row.document_type
+      ? {
+          documentType: row.document_type,
+          caseId: row.case_id,
+          clientName: row.client_name,
+          internalReference: row.internal_reference,
+          aragReference: row.arag_reference,
+          invoiceNumber: row.invoice_number,
+        }
+      : null,
+    updatedAt: row.updated_at,
+  };
+}
+
+export default {
+  MATCH_CONFIDENCE,
+  MATCH_REASONS,
+  TRANSACTION_STATUS,
+  findAragReferences,
+  proposeMatches,
+  importStatement,
+  listImports,
+  getImport,
+  confirmTransaction,
+  dismissTransaction,
+  getTransaction,
+};
@@ -0,0 +1,389 @@
+// Bank Statement Parser
+// Parses AEB Norma 43 (Cuaderno 43) files and generic bank CSV exports into movements
+
+import { ValidationError } from "../errors.js";
+import { BankImportErrors } from "../errorMessages.js";
+
+export const STATEMENT_FORMATS = {
+  NORMA43: "NORMA43",
+  CSV: "CSV",
+};
+
+// Norma 43 record types
+const N43_ACCOUNT_HEADER = "11";
+const N43_MOVEMENT = "22";
+const N43_CONCEPT = "23";
+const N43_EQUIVALENCE = "24";
+const N43_ACCOUNT_FOOTER = "33";
+const N43_FILE_FOOTER = "88";
+
+// Norma 43 debit/credit key: 1 = debe (cargo), 2 = haber (abono)
+const N43_CREDIT = "2";
+
+// Header names accepted for each CSV column (normalized: lowercase, no accents)
+const CSV_COLUMNS = {
+  operationDate: ["fecha", "fecha operacion", "f. operacion", "fecha contable", "date", "booking date"],
+  valueDate: ["fecha valor", "f. valor", "value date"],
+  concept: ["concepto", "descripcion", "detalle", "movimiento", "concept", "description"],
+  amount: ["importe", "cantidad", "amount"],
+  credit: ["haber", "abono", "ingreso", "ingresos", "credit"],
+  debit: ["debe", "cargo", "gasto", "gastos", "debit"],
+  reference: ["referencia", "observaciones", "reference"],
+};
+
+/**
+ * Throw a ValidationError from a BankImportErrors entry
+ * @param {Object} errorInfo - Error factory result
+ */
+function fail(errorInfo) {
+  throw new ValidationError(errorInfo);
+}
+
+/**
+ * Decode an uploaded statement
+ * Norma 43 files are usually ISO-8859-1; CSV exports may be UTF-8 (with BOM)
+ * @param {Buffer|string} input - File contents
+ * @returns {string} Text
+ */
+export function decodeStatement(input) {
+  if (typeof input === "string") return input.replace(/^\uFEFF/, "");
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(input).replace(/^\uFEFF/, "");
+  } catch {
+    return input.toString("latin1");
+  }
+}
+
+/**
+ * Detect the statement format from its contents
+ * @param {string} text - Decoded statement
+ * @returns {string|null} One of STATEMENT_FORMATS or null
+ */
+export function detectFormat(text) {
+  const firstLine = text.split(/\r?\n/).find((line) => line.trim() !== "") || "";
+  // Record 11: entity, office, account and dates are all digits (positions 3-32)
+  if (/^11\d{30}/.test(firstLine)) {
+    return STATEMENT_FORMATS.NORMA43;
+  }
+  if (/[;,\t]/.test(firstLine)) {
+    return STATEMENT_FORMATS.CSV;
+  }
+  return null;
+}
+
+/**
+ * Convert a Norma 43 date (AAMMDD) to YYYY-MM-DD
+ * @param {string} value - Six-digit date
+ * @returns {string|null} ISO date or null if invalid
+ */
+function parseN43Date(value) {
+  const match = /^(\d{2})(\d{2})(\d{2})$/.exec(value);
+  if (!match) return null;
+  return toIsoDate(2000 + parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+}
+
+/**
+ * Build a YYYY-MM-DD string, rejecting impossible dates
+ * @returns {string|null}
+ */
+function toIsoDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (
+    date.getUTCFullYear() !== year ||
+    date.getUTCMonth() !== month - 1 ||
+    date.getUTCDate() !== day
+  ) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parse an AEB Norma 43 statement
+ * Credits are positive amounts and debits negative. Concept records (23)
+ * are appended to the preceding movement's concept.
+ *
+ * @param {string} text - Decoded statement
+ * @returns {{format: string, account: string|null, movements: Array}}
+ * @throws {ValidationError} If a record is malformed
+ */
+export function parseNorma43(text) {
+  const movements = [];
+  let account = null;
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const lineNumber = index + 1;
+    if (rawLine.trim() === "") return;
+    const line = rawLine.padEnd(80, " ");
+    const recordType = line.slice(0, 2);
+
+    switch (recordType) {
+      case N43_ACCOUNT_HEADER:
+        // Entity (4) + office (4) + account number (10)
+        account = `${line.slice(2, 6)}-${line.slice(6, 10)}-${line.slice(10, 20)}`;
+        break;
+
+      case N43_MOVEMENT: {
+        const operationDate = parseN43Date(line.slice(10, 16));
+        const valueDate = parseN43Date(line.slice(16, 22));
+        const sign = line.slice(27, 28);
+        const amountDigits = line.slice(28, 42);
+
+        if (!operationDate) {
+          fail(BankImportErrors.lineInvalid(lineNumber, "fecha de operación incorrecta"));
+        }
+        if (!/^\d{14}$/.test(amountDigits) || !["1", "2"].includes(sign)) {
+          fail(BankImportErrors.lineInvalid(lineNumber, "importe incorrecto"));
+        }
+
+        const amount = parseInt(amountDigits, 10) / 100;
+        const reference = [line.slice(52, 64).trim(), line.slice(64, 80).trim()]
+          .filter((part) => part && !/^0+$/.test(part))
+          .join(" ");
+
+        movements.push({
+          line: lineNumber,
+          operationDate,
+          valueDate,
+          amount: sign === N43_CREDIT ? amount : -amount,
+          concept: "",
+          reference,
+        });
+        break;
+      }
+
+      case N43_CONCEPT: {
+        const last = movements[movements.length - 1];
+        if (!last) {
+          fail(BankImportErrors.lineInvalid(lineNumber, "concepto sin movimiento previo"));
+        }
+        const concept = `${line.slice(4, 42).trim()} ${line.slice(42, 80).trim()}`.trim();
+        last.concept = [last.concept, concept].filter(Boolean).join(" ");
+        break;
+      }
+
+      case N43_EQUIVALENCE:
+      case N43_ACCOUNT_FOOTER:
+      case N43_FILE_FOOTER:
+        break;
+
+      default:
+        fail(BankImportErrors.lineInvalid(lineNumber, `tipo de registro '${recordType}' desconocido`));
+    }
+  });
+
+  return { format: STATEMENT_FORMATS.NORMA43, account, movements };
+}
+
+/**
+ * Split one CSV line, honouring double quotes
+ * @param {string} line - CSV line
+ * @param {string} delimiter - Field delimiter
+ * @returns {string[]} Fields
+ */
+function splitCsvLine(line, delimiter) {
+  const fields = [];
+  let current = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      fields.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Normalize a header for matching: lowercase, no accents, no units in
+ * parentheses (e.g. "Importe (€)"), single spaces
+ * @param {string} header - Column header
+ * @returns {string}
+ */
+function normalizeHeader(header) {
+  return header
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/\(.*?\)/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Parse a bank amount in Spanish or English notation
+ * Accepts "1.234,56", "1,234.56", "245,63", "-50.00" and a trailing currency symbol
+ * @param {string} value - Amount text
+ * @returns {number|null} Amount or null if empty/invalid
+ */
+export function parseAmount(value) {
+  let text = String(value ?? "").replace(/[€\s]|EUR/g, "");
+  if (text === "") return null;
+
+  const lastComma = text.lastIndexOf(",");
+  const lastDot = text.lastIndexOf(".");
+  if (lastComma !== -1 && lastDot !== -1) {
+    // The rightmost separator is the decimal one
+    text =
+      lastComma > lastDot
+        ? text.replace(/\./g, "").replace(",", ".")
+        : text.replace(/,/g, "");
+  } else if (lastComma !== -1) {
+    text = /,\d{1,2}$/.test(text) ? text.replace(/,/g, ".") : text.replace(/,/g, "");
+  } else if (/^-?\d{1,3}(\.\d{3})+$/.test(text)) {
+    // Only thousands separators (e.g. "1.234")
+    text = text.replace(/\./g, "");
+  }
+
+  if (!/^[-+]?\d+(\.\d+)?$/.test(text)) return null;
+  return Math.round(parseFloat(text) * 100) / 100;
+}
+
+/**
+ * Parse a CSV date (DD/MM/YYYY, DD-MM-YYYY, DD.MM.YY or YYYY-MM-DD)
+ * @param {string} value - Date text
+ * @returns {string|null} ISO date or null
+ */
+export function parseCsvDate(value) {
+  const text = String(value ?? "").trim();
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+  if (match) {
+    return toIsoDate(parseInt(match[1], 10), parseInt(match[2], 10), parseInt(match[3], 10));
+  }
+  match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text);
+  if (match) {
+    const year = parseInt(match[3], 10);
+    return toIsoDate(year < 100 ? 2000 + year : year, parseInt(match[2], 10), parseInt(match[1], 10));
+  }
+  return null;
+}
+
+/**
+ * Locate the column index of each role from the header row
+ * @param {string[]} headers - Header fields
+ * @returns {Object} Role -> column index (or -1)
+ */
+function mapCsvColumns(headers) {
+  const normalized = headers.map(normalizeHeader);
+  const columns = {};
+  for (const [role, names] of Object.entries(CSV_COLUMNS)) {
+    columns[role] = normalized.findIndex((header) => names.includes(header));
+  }
+  return columns;
+}
+
+/**
+ * Parse a generic bank CSV export
+ * Needs a header row with date, concept and either an amount column or
+ * separate credit/debit columns. Delimiter is detected (; , or tab).
+ *
+ * @param {string} text - Decoded CSV
+ * @returns {{format: string, account: null, movements: Array}}
+ * @throws {ValidationError} If columns are missing or a row is malformed
+ */
+export function parseBankCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const headerIndex = lines.findIndex((line) => line.trim() !== "");
+  if (headerIndex === -1) {
+    fail(BankImportErrors.fileEmpty());
+  }
+
+  const headerLine = lines[headerIndex];
+  const delimiter = [";", "\t", ","].reduce((best, candidate) =>
+    headerLine.split(candidate).length > headerLine.split(best).length ? candidate : best
+  );
+  const columns = mapCsvColumns(splitCsvLine(headerLine, delimiter));
+
+  const missing = [];
+  if (columns.operationDate === -1) missing.push("fecha");
+  if (columns.concept === -1) missing.push("concepto");
+  if (columns.amount === -1 && columns.credit === -1) missing.push("importe");
+  if (missing.length > 0) {
+    fail(BankImportErrors.csvColumnsMissing(missing));
+  }
+
+  const movements = [];
+  for (let i = headerIndex + 1; i < lines.length; i++) {
+    if (lines[i].trim() === "") continue;
+    const lineNumber = i + 1;
+    const fields = splitCsvLine(lines[i], delimiter);
+    const field = (role) => (columns[role] === -1 ? "" : fields[columns[role]] ?? "");
+
+    const operationDate = parseCsvDate(field("operationDate"));
+    if (!operationDate) {
+      fail(BankImportErrors.lineInvalid(lineNumber, `fecha '${field("operationDate")}' incorrecta`));
+    }
+
+    let amount;
+    if (columns.amount !== -1) {
+      amount = parseAmount(field("amount"));
+    } else {
+      const credit = parseAmount(field("credit"));
+      const debit = parseAmount(field("debit"));
+      amount = credit ? Math.abs(credit) : debit ? -Math.abs(debit) : null;
+    }
+    if (amount === null) {
+      fail(BankImportErrors.lineInvalid(lineNumber, "importe incorrecto"));
+    }
+
+    movements.push({
+      line: lineNumber,
+      operationDate,
+      valueDate: parseCsvDate(field("valueDate")),
+      amount,
+      concept: field("concept"),
+      reference: field("reference"),
+    });
+  }
+
+  return { format: STATEMENT_FORMATS.CSV, account: null, movements };
+}
+
+/**
+ * Parse an uploaded bank statement, detecting its format
+ * @param {Buffer|string} input - File contents
+ * @returns {{format: string, account: string|null, movements: Array}}
+ * @throws {ValidationError} If the file is empty, unrecognized or malformed
+ */
+export function parseStatement(input) {
+  if (!input || input.length === 0) {
+    fail(BankImportErrors.fileEmpty());
+  }
+
+  const text = decodeStatement(input);
+  switch (detectFormat(text)) {
+    case STATEMENT_FORMATS.NORMA43:
+      return parseNorma43(text);
+    case STATEMENT_FORMATS.CSV:
+      return parseBankCsv(text);
+    default:
+      return fail(BankImportErrors.formatUnknown());
+  }
+}
+
+export default {
+  STATEMENT_FORMATS,
+  decodeStatement,
+  detectFormat,
+  parseNorma43,
+  parseBankCsv,
+  parseAmount,
+  parseCsvDate,
+  parseStatement,
+};
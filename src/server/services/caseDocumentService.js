@@ -0,0 +1,546 @@
+// Case Document Service
+// Files uploaded to any case (notifications, client IDs, evidence...) with
+// category, description and tags, alongside the generated documents.
+// Deleted documents go to a trash they can be restored from, and every
+// version of their files is kept with its SHA-256 hash.
+
+import { existsSync, mkdirSync, unlinkSync } from "node:fs";
+import { basename, extname, join } from "node:path";
+import { execute, query, queryOne } from "../database.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { CaseDocumentErrors } from "../errorMessages.js";
+import { CASE_STATES, getById as getCaseById } from "./caseService.js";
+import { DocumentHistoryService } from "./documentHistoryService.js";
+import { getVersion, listVersions as listDocumentVersions, verifyDocuments } from "./documentVersionService.js";
+import { indexDocument } from "./searchService.js";
+
+// Document type of uploaded files (generated documents have their own types)
+export const UPLOAD_DOCUMENT_TYPE = "MANUAL_UPLOAD";
+
+export const DOCUMENT_CATEGORIES = [
+  "NOTIFICACION",
+  "IDENTIFICACION",
+  "PRUEBA",
+  "ESCRITO",
+  "CORRESPONDENCIA",
+  "OTRO",
+];
+
+export const DEFAULT_CATEGORY = "OTRO";
+
+// Accepted formats: extension → content type stored for the document
+export const ALLOWED_FILE_TYPES = {
+  ".pdf": "application/pdf",
+  ".doc": "application/msword",
+  ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ".odt": "application/vnd.oasis.opendocument.text",
+  ".rtf": "application/rtf",
+  ".txt": "text/plain",
+  ".xls": "application/vnd.ms-excel",
+  ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".heic": "image/heic",
+  ".eml": "message/rfc822",
+  ".msg": "application/vnd.ms-outlook",
+};
+
+export const MAX_UPLOAD_SIZE = 10 * 1024 * 1024; // 10MB
+export const MAX_DESCRIPTION_LENGTH = 200;
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+// Documents storage path
+const DOCUMENTS_PATH = process.env.DOCUMENTS_PATH || "./data/documents";
+
+// Document columns plus the number of stored versions
+const DOCUMENT_SELECT = `SELECT document_history.*,
+  (SELECT COUNT(*) FROM document_versions v WHERE v.document_id = document_history.id) as version_count
+  FROM document_history`;
+
+/**
+ * Whether a file can be uploaded, by its extension
+ * Browsers send no reliable content type for .eml, .msg or .heic files, so
+ * only the extension is checked.
+ * @param {string} fileName - Original file name
+ * @returns {boolean}
+ */
+export function isAllowedFile(fileName) {
+  return Object.hasOwn(ALLOWED_FILE_TYPES, extname(fileName || "").toLowerCase());
+}
+
+/**
+ * Validation error for a file that cannot be uploaded
+ * @param {string} fileName - Original file name
+ * @returns {ValidationError}
+ */
+export function fileTypeError(fileName) {
+  const errorInfo = CaseDocumentErrors.fileTypeInvalid(fileName, Object.keys(ALLOWED_FILE_TYPES));
+  return new ValidationError(errorInfo);
+}
+
+/**
+ * Directory where the files of a case are stored: <documents>/<year>/<reference>
+ * @param {Object} caseData - Case
+ * @returns {string} Existing directory path
+ */
+export function getUploadDirectory(caseData) {
+  const year = new Date().getFullYear();
+  const ref = caseData.internalReference || `case_${caseData.id}`;
+  const uploadDir = join(DOCUMENTS_PATH, year.toString(), ref);
+
+  if (!existsSync(uploadDir)) {
+    mkdirSync(uploadDir, { recursive: true });
+  }
+  return uploadDir;
+}
+
+/**
+ * Name of the stored file: sanitized original name plus a timestamp
+ * @param {string} originalName - Original file name
+ * @returns {string} e.g. "notificacion_juzgado_1767225600000.pdf"
+ */
+export function getStoredFileName(originalName) {
+  const ext = extname(originalName).toLowerCase();
+  const baseName = basename(originalName, extname(originalName))
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-zA-Z0-9_-]/g, "_")
+    .substring(0, 50);
+  return `${baseName}_${Date.now()}${ext}`;
+}
+
+/**
+ * Get a case documents can be uploaded to or deleted from
+ * @param {number} caseId - Case ID
+ * @returns {Object} Case
+ * @throws {NotFoundError|ValidationError} ValidationError if the case is archived
+ */
+export function getWritableCase(caseId) {
+  const caseData = getCaseById(caseId);
+  if (!caseData) {
+    const errorInfo = CaseDocumentErrors.caseNotFound(caseId);
+    throw new NotFoundError(errorInfo);
+  }
+  if (caseData.state === CASE_STATES.ARCHIVADO) {
+    const errorInfo = CaseDocumentErrors.caseArchived(caseId);
+    throw new ValidationError(errorInfo);
+  }
+  return caseData;
+}
+
+/**
+ * Normalize tags: trimmed, without duplicates (case-insensitive)
+ * @param {Array<string>|string} tags - Array or comma-separated text
+ * @returns {Array<string>} Tags
+ * @throws {ValidationError} If there are too many or too long tags
+ */
+export function normalizeTags(tags) {
+  if (tags == null || tags === "") return [];
+
+  let list = tags;
+  if (typeof tags === "string") {
+    // Multipart forms send the tags as a JSON array or as comma-separated text
+    try {
+      list = tags.trim().startsWith("[") ? JSON.parse(tags) : tags.split(",");
+    } catch {
+      list = null;
+    }
+  }
+  if (!Array.isArray(list)) {
+    const errorInfo = CaseDocumentErrors.tagsInvalid(MAX_TAGS, MAX_TAG_LENGTH);
+    throw new ValidationError(errorInfo);
+  }
+
+  const result = [];
+  const seen = new Set();
+  for (const tag of list) {
+    const value = String(tag ?? "").trim().replace(/\s+/g, " ");
+    if (!value || seen.has(value.toLowerCase())) continue;
+    seen.add(value.toLowerCase());
+    result.push(value);
+  }
+
+  if (result.length > MAX_TAGS || result.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    const errorInfo = CaseDocumentErrors.tagsInvalid(MAX_TAGS, MAX_TAG_LENGTH);
+    throw new ValidationError(errorInfo);
+  }
+  return result;
+}
+
+/**
+ * Validate document metadata
+ * Only the fields present in data are returned (for partial updates).
+ * @param {Object} data - { category, description, tags }
+ * @returns {Object} Normalized values
+ * @throws {ValidationError}
+ */
+export function validateMetadata(data) {
+  const result = {};
+
+  if (data.category !== undefined) {
+    const category = data.category || DEFAULT_CATEGORY;
+    if (!DOCUMENT_CATEGORIES.includes(category)) {
+      const errorInfo = CaseDocumentErrors.categoryInvalid(category, DOCUMENT_CATEGORIES);
+      throw new ValidationError(errorInfo);
+    }
+    result.category = category;
+  }
+
+  if (data.description !== undefined) {
+    const description = data.description ? String(data.description).trim() : "";
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      const errorInfo = CaseDocumentErrors.descriptionTooLong(MAX_DESCRIPTION_LENGTH);
+      throw new ValidationError(errorInfo);
+    }
+    result.description = description || null;
+  }
+
+  if (data.tags !== undefined) {
+    result.tags = normalizeTags(data.tags);
+  }
+
+  return result;
+}
+
+/**
+ * Remove an uploaded file that was not recorded
+ * @param {string} filePath - Path of the file
+ */
+function discardFile(filePath) {
+  try {
+    if (filePath && existsSync(filePath)) unlinkSync(filePath);
+  } catch (error) {
+    console.error(`Error deleting file ${filePath}:`, error.message);
+  }
+}
+
+/**
+ * Record a file uploaded to a case
+ * The stored file is removed if the upload is rejected.
+ * @param {number} caseId - Case ID
+ * @param {Object} file - Stored file: { path, originalName, size }
+ * @param {Object} [data] - { category, description, tags }
+ * @param {Object} [actor] - User uploading the file
+ * @returns {Object} Created document
+ * @throws {NotFoundError|ValidationError}
+ */
+export function upload(caseId, file, data = {}, actor = null) {
+  if (!file?.path) {
+    const errorInfo = CaseDocumentErrors.fileRequired();
+    throw new ValidationError(errorInfo);
+  }
+
+  let metadata;
+  try {
+    getWritableCase(caseId);
+    if (!isAllowedFile(file.originalName)) throw fileTypeError(file.originalName);
+    metadata = validateMetadata({
+      category: data.category ?? DEFAULT_CATEGORY,
+      description: data.description ?? null,
+      tags: data.tags ?? [],
+    });
+  } catch (error) {
+    discardFile(file.path);
+    throw error;
+  }
+
+  const record = new DocumentHistoryService().create({
+    caseId,
+    documentType: UPLOAD_DOCUMENT_TYPE,
+    filePath: file.path,
+    signed: 0,
+    upload: {
+      originalName: file.originalName,
+      mimeType: ALLOWED_FILE_TYPES[extname(file.originalName).toLowerCase()],
+      fileSize: file.size ?? null,
+      ...metadata,
+      uploadedByUserId: actor?.id ?? null,
+    },
+  });
+
+  return getById(caseId, record.id);
+}
+
+/**
+ * Get a document of a case
+ * @param {number} caseId - Case ID
+ * @param {number} documentId - Document ID
+ * @param {Object} [options] - { includeDeleted } to also find documents in the trash
+ * @returns {Object} Document
+ * @throws {NotFoundError} If the document does not exist, is deleted or belongs to another case
+ */
+export function getById(caseId, documentId, options = {}) {
+  const row = queryOne(
+    `${DOCUMENT_SELECT} WHERE id = ? AND case_id = ?
+     ${options.includeDeleted ? "" : "AND deleted_at IS NULL"}`,
+    [documentId, caseId]
+  );
+  if (!row) {
+    const errorInfo = CaseDocumentErrors.notFound(documentId);
+    throw new NotFoundError(errorInfo);
+  }
+  return mapRowToDocument(row);
+}
+
+/**
+ * Documents of a case (generated and uploaded), most recent first
+ * @param {number} caseId - Case ID
+ * @param {Object} [filters] - { category, tag, deleted } (tag is matched case-insensitively;
+ *   deleted lists the trash instead of the current documents)
+ * @returns {Array} Documents
+ * @throws {ValidationError} If the category is not valid
+ */
+export function listByCase(caseId, filters = {}) {
+  const conditions = ["case_id = ?", filters.deleted ? "deleted_at IS NOT NULL" : "deleted_at IS NULL"];
+  const params = [caseId];
+
+  if (filters.category) {
+    if (!DOCUMENT_CATEGORIES.includes(filters.category)) {
+      const errorInfo = CaseDocumentErrors.categoryInvalid(filters.category, DOCUMENT_CATEGORIES);
+      throw new ValidationError(errorInfo);
+    }
+    conditions.push("category = ?");
+    params.push(filters.category);
+  }
+
+  if (filters.tag) {
+    conditions.push("EXISTS (SELECT 1 FROM json_each(document_history.tags) WHERE lower(value) = lower(?))");
+    params.push(String(filters.tag).trim());
+  }
+
+  return query(
+    `${DOCUMENT_SELECT} WHERE ${conditions.join(" AND ")}
+     ORDER BY generated_at DESC, id DESC`,
+    params
+  ).map(mapRowToDocument);
+}
+
+/**
+ * Tags used in the (not deleted) documents of a case, for suggestions and filters
+ * @param {number} caseId - Case ID
+ * @returns {Array<string>} Tags in alphabetical order
+ */
+export function listTags(caseId) {
+  return query(
+    `SELECT DISTINCT json_each.value as tag
+     FROM document_history, json_each(document_history.tags)
+     WHERE document_history.case_id = ? AND document_history.deleted_at IS NULL
+     ORDER BY lower(json_each.value)`,
+    [caseId]
+  ).map((row) => row.tag);
+}
+
+/**
+ * Update the category, description or tags of a document
+ * Generated documents can also be described and tagged.
+ * @param {number} caseId - Case ID
+ * @param {number} documentId - Document ID
+ * @param {Object} data - { category, description, tags }
+ * @returns {Object} Updated document
+ * @throws {NotFoundError|ValidationError}
+ */
+export function updateMetadata(caseId, documentId, data = {}) {
+  getById(caseId, documentId);
+  const metadata = validateMetadata(data);
+
+  const columns = Object.keys(metadata);
+  if (columns.length > 0) {
+    execute(
+      `UPDATE document_history SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+      [
+        ...columns.map((column) => (column === "tags" ? JSON.stringify(metadata.tags) : metadata[column])),
+        documentId,
+      ]
+    );
+    indexDocument(documentId).catch((error) => {
+      console.error("[Search] Failed to index document:", error.message);
+    });
+  }
+
+  return getById(caseId, documentId);
+}
+
+/**
+ * Move an uploaded document to the trash (its file is kept)
+ * @param {number} caseId - Case ID
+ * @param {number} documentId - Document ID
+ * @param {Object} [actor] - User deleting the document
+ * @returns {boolean} True if deleted
+ * @throws {NotFoundError|ValidationError} ValidationError for generated documents or archived cases
+ */
+export function deleteDocument(caseId, documentId, actor = null) {
+  getWritableCase(caseId);
+  const document = getById(caseId, documentId);
+  if (document.documentType !== UPLOAD_DOCUMENT_TYPE) {
+    const errorInfo = CaseDocumentErrors.notUploaded(document.documentType);
+    throw new ValidationError(errorInfo);
+  }
+
+  return new DocumentHistoryService().delete(documentId, actor?.id ?? null);
+}
+
+/**
+ * Restore a document from the trash
+ * @param {number} caseId - Case ID
+ * @param {number} documentId - Document ID
+ * @returns {Object} Restored document
+ * @throws {NotFoundError|ValidationError} ValidationError if it is not deleted or the case is archived
+ */
+export function restoreDocument(caseId, documentId) {
+  getWritableCase(caseId);
+  const document = getById(caseId, documentId, { includeDeleted: true });
+  if (!document.deleted) {
+    const errorInfo = CaseDocumentErrors.notDeleted(documentId);
+    throw new ValidationError(errorInfo);
+  }
+
+  new DocumentHistoryService().restore(documentId);
+  return getById(caseId, documentId);
+}
+
+/**
+ * File of a document, for downloading it with its original name
+ * Documents in the trash are only served with includeDeleted (an admin
+ * previewing them before restoring).
+ * @param {number} caseId - Case ID
+ * @param {number} documentId - Document ID
+ * @param {Object} [options] - { includeDeleted }
+ * @returns {{path: string, fileName: string, mimeType: string|null}}
+ * @throws {NotFoundError} If the document or its file does not exist, or it is deleted
+ */
+export function getFile(caseId, documentId, options = {}) {
+  const document = getById(caseId, documentId, { includeDeleted: options.includeDeleted });
+  if (!document.filePath || !existsSync(document.filePath)) {
+    const errorInfo = CaseDocumentErrors.fileMissing(documentId);
+    throw new NotFoundError(errorInfo);
+  }
+  return { path: document.filePath, fileName: document.fileName, mimeType: document.mimeType };
+}
+
+/**
+ * Stored versions of a document, oldest first
+ * @param {number} caseId - Case ID
+ * @param {number} documentId - Document ID
+ * @returns {Array} Versions (without their file paths)
+ * @throws {NotFoundError}
+ */
+export function listVersions(caseId, documentId) {
+  getById(caseId, documentId, { includeDeleted: true });
+  return listDocumentVersions(documentId).map(({ filePath, ...version }) => ({
+    ...version,
+    fileName: basename(filePath),
+  }));
+}
+
+/**
+ * File of a version of a document, for downloading it
+ * The current version is downloaded with the document name, earlier ones
+ * with the name of their stored file.
+ * @param {number} caseId - Case ID
+ * @param {number} documentId - Document ID
+ * @param {number} versionNumber - Version number
+ * @param {Object} [options] - { includeDeleted }, as in getFile
+ * @returns {{path: string, fileName: string, mimeType: string|null}}
+ * @throws {NotFoundError} If the document, the version or its file does not exist, or it is deleted
+ */
+export function getVersionFile(caseId, documentId, versionNumber, options = {}) {
+  const document = getById(caseId, documentId, { includeDeleted: options.includeDeleted });
+  const version = getVersion(documentId, versionNumber);
+  if (!version) {
+    const errorInfo = CaseDocumentErrors.versionNotFound(documentId, versionNumber);
+    throw new NotFoundError(errorInfo);
+  }
+  if (!existsSync(version.filePath)) {
+    const errorInfo = CaseDocumentErrors.fileMissing(documentId);
+    throw new NotFoundError(errorInfo);
+  }
+
+  const fileName = version.filePath === document.filePath ? document.fileName : basename(version.filePath);
+  return { path: version.filePath, fileName, mimeType: document.mimeType };
+}
+
+/**
+ * Check the stored files of a case against their hashes
+ * @param {number} caseId - Case ID
+ * @returns {Promise<Object>} Result of verifyDocuments for the case
+ * @throws {NotFoundError} If the case does not exist
+ */
+export async function verifyCase(caseId) {
+  if (!getCaseById(caseId)) {
+    const errorInfo = CaseDocumentErrors.caseNotFound(caseId);
+    throw new NotFoundError(errorInfo);
+  }
+  return verifyDocuments(caseId);
+}
+
+/**
+ * Parse the tags column
+ * @param {string|null} value - JSON array
+ * @returns {Array<string>}
+ */
+function parseTags(value) {
+  try {
+    const tags = JSON.parse(value || "[]");
+    return Array.isArray(tags) ? tags : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Map database row to document object
+ * @param {Object} row - document_history row
+ * @returns {Object} Document object
+ */
+function mapRowToDocument(row) {
+  return {
+    id: row.id,
+    caseId: row.case_id,
+    documentType: row.document_type,
+    filePath: row.file_path,
+    fileName: row.original_name || basename(row.file_path || ""),
+    mimeType: row.mime_type ?? null,
+    fileSize: row.file_size ?? null,
+    category: row.category ?? null,
+    description: row.description ?? null,
+    tags: parseTags(row.tags),
+    signed: Boolean(row.signed),
+    uploaded: row.document_type === UPLOAD_DOCUMENT_TYPE,
+    uploadedByUserId: row.uploaded_by_user_id ?? null,
+    sha256: row.sha256 ?? null,
+    versionCount: row.version_count ?? 0,
+    deleted: Boolean(row.deleted_at),
+    deletedAt: row.deleted_at ?? null,
+    deletedByUserId: row.deleted_by_user_id ?? null,
+    generatedAt: row.generated_at,
+    createdAt: row.created_at,
+  };
+}
+
+export default {
+  UPLOAD_DOCUMENT_TYPE,
+  DOCUMENT_CATEGORIES,
+  DEFAULT_CATEGORY,
+  ALLOWED_FILE_TYPES,
+  MAX_UPLOAD_SIZE,
+  isAllowedFile,
+  fileTypeError,
+  getUploadDirectory,
+  getStoredFileName,
+  getWritableCase,
+  normalizeTags,
+  validateMetadata,
+  upload,
+  getById,
+  listByCase,
+  listTags,
+  updateMetadata,
+  deleteDocument,
+  restoreDocument,
+  getFile,
+  listVersions,
+  getVersionFile,
+  verifyCase,
+};
@@ -0,0 +1,227 @@
+// Case Email Service
+// Emails written from a case (Enviar email): several recipients with copy and
+// blind copy, any documents of the case attached, sent through the outbox
+
+import { existsSync, statSync } from "fs";
+import { query } from "../database.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { CaseEmailErrors } from "../errorMessages.js";
+import { getById as getCaseById } from "./caseService.js";
+import { getById as getDocument, listByCase as listDocuments } from "./caseDocumentService.js";
+import { getAll as getConfig, isValidEmail } from "./configurationService.js";
+import { EmailService } from "./emailService.js";
+import { EmailHistoryService } from "./emailHistoryService.js";
+import { enqueue } from "./emailOutboxService.js";
+import { MAX_SUBJECT_LENGTH, render } from "./emailTemplateService.js";
+import { getCaseLanguage } from "./localeService.js";
+
+// Addresses per email, counting copies
+export const MAX_RECIPIENTS = 20;
+
+// Most mail servers reject messages over 25 MB; attachments grow a third when encoded
+export const MAX_ATTACHMENTS_SIZE = 18 * 1024 * 1024;
+
+// Characters of the body
+export const MAX_BODY_LENGTH = 50000;
+
+const emailHistory = new EmailHistoryService();
+
+/**
+ * Case of the email
+ * @param {number} caseId - Case ID
+ * @returns {Object} Case
+ * @throws {NotFoundError}
+ */
+function getCase(caseId) {
+  const caseData = getCaseById(caseId);
+  if (!caseData) {
+    const errorInfo = CaseEmailErrors.caseNotFound(caseId);
+    throw new NotFoundError(errorInfo);
+  }
+  return caseData;
+}
+
+/**
+ * Split and validate an address list
+ * @param {string|Array<string>} value - Addresses separated by commas, semicolons or new lines
+ * @param {string} field - to, cc or bcc (for the error)
+ * @returns {Array<string>} Addresses, without duplicates
+ * @throws {ValidationError} If an address is not valid
+ */
+export function parseAddresses(value, field) {
+  const parts = Array.isArray(value) ? value : String(value ?? "").split(/[,;\n]/);
+  const addresses = [...new Set(parts.map((part) => String(part ?? "").trim()).filter(Boolean))];
+
+  for (const address of addresses) {
+    if (!isValidEmail(address)) {
+      const errorInfo = CaseEmailErrors.addressInvalid(field, address);
+      throw new ValidationError(errorInfo);
+    }
+  }
+  return addresses;
+}
+
+/**
+ * Documents that can be attached, as the composer lists them
+ * @param {number} caseId - Case ID
+ * @returns {Array<Object>} { id, fileName, documentType, category, fileSize, createdAt }
+ */
+function listAttachable(caseId) {
+  return listDocuments(caseId)
+    .filter((doc) => doc.filePath && existsSync(doc.filePath))
+    .map((doc) => ({
+      id: doc.id,
+      fileName: doc.fileName,
+      documentType: doc.documentType,
+      category: doc.category,
+      fileSize: doc.fileSize ?? statSync(doc.filePath).size,
+      createdAt: doc.createdAt,
+    }));
+}
+
+/**
+ * Starting point of a new email: the client as recipient and the generic template
+ * The composer edits plain text; the signature is already in the text.
+ * @param {number} caseId - Case ID
+ * @returns {Object} { to, cc, bcc, subject, text, documents, maxAttachmentsSize, smtpConfigured }
+ * @throws {NotFoundError}
+ */
+export function getDraft(caseId) {
+  const caseData = getCase(caseId);
+  const email = render("GENERIC", caseData, { date: new Date().toISOString().slice(0, 10) });
+
+  return {
+    to: caseData.clientEmail || "",
+    cc: "",
+    bcc: "",
+    subject: email.subject,
+    text: email.text,
+    documents: listAttachable(caseId),
+    maxAttachmentsSize: MAX_ATTACHMENTS_SIZE,
+    smtpConfigured: new EmailService(getConfig()).isConfigured(),
+  };
+}
+
+/**
+ * Resolve the documents to attach
+ * @param {number} caseId - Case ID
+ * @param {Array<number>} documentIds - Documents of the case
+ * @returns {Array<Object>} { documentId, path, fileName }
+ * @throws {ValidationError|NotFoundError} If a document is not in the case, its file is
+ *   missing or the files are too large together
+ */
+function resolveAttachments(caseId, documentIds = []) {
+  if (!Array.isArray(documentIds) || documentIds.some((id) => !Number.isInteger(Number(id)))) {
+    const errorInfo = CaseEmailErrors.documentsInvalid();
+    throw new ValidationError(errorInfo);
+  }
+
+  let totalSize = 0;
+  const attachments = [...new Set(documentIds.map(Number))].map((documentId) => {
+    const doc = getDocument(caseId, documentId);
+    if (!doc.filePath || !existsSync(doc.filePath)) {
+      const errorInfo = CaseEmailErrors.attachmentMissing(doc.fileName);
+      throw new ValidationError(errorInfo);
+    }
+    totalSize += statSync(doc.filePath).size;
+    return { documentId, path: doc.filePath, fileName: doc.fileName };
+  });
+
+  if (totalSize > MAX_ATTACHMENTS_SIZE) {
+    const errorInfo = CaseEmailErrors.attachmentsTooLarge(totalSize, MAX_ATTACHMENTS_SIZE);
+    throw new ValidationError(errorInfo);
+  }
+  return attachments;
+}
+
+/**
+ * Queue an email written from a case
+ * It reaches email_history (with the attached document IDs) once the outbox sends it.
+ * @param {number} caseId - Case ID
+ * @param {Object} data - { to, cc, bcc, subject, text, documentIds }
+ * @returns {Object} Queued email
+ * @throws {ValidationError|NotFoundError}
+ */
+export function send(caseId, data = {}) {
+  const caseData = getCase(caseId);
+  if (!new EmailService(getConfig()).isConfigured()) {
+    const errorInfo = CaseEmailErrors.smtpNotConfigured();
+    throw new ValidationError(errorInfo);
+  }
+
+  const to = parseAddresses(data.to, "to");
+  const cc = parseAddresses(data.cc, "cc");
+  const bcc = parseAddresses(data.bcc, "bcc");
+  if (to.length === 0) {
+    const errorInfo = CaseEmailErrors.recipientRequired();
+    throw new ValidationError(errorInfo);
+  }
+  const count = to.length + cc.length + bcc.length;
+  if (count > MAX_RECIPIENTS) {
+    const errorInfo = CaseEmailErrors.tooManyRecipients(count, MAX_RECIPIENTS);
+    throw new ValidationError(errorInfo);
+  }
+
+  const subject = typeof data.subject === "string" ? data.subject.trim() : "";
+  if (!subject || /[\r\n]/.test(subject) || subject.length > MAX_SUBJECT_LENGTH) {
+    const errorInfo = CaseEmailErrors.subjectInvalid(MAX_SUBJECT_LENGTH);
+    throw new ValidationError(errorInfo);
+  }
+  const text = typeof data.text === "string" ? data.text.trim() : "";
+  if (!text || text.length > MAX_BODY_LENGTH) {
+    const errorInfo = CaseEmailErrors.bodyInvalid(MAX_BODY_LENGTH);
+    throw new ValidationError(errorInfo);
+  }
+
+  return enqueue({
+    caseId,
+    recipient: to.join(", "),
+    cc: cc.join(", "),
+    bcc: bcc.join(", "),
+    subject,
+    body: text,
+    attachments: resolveAttachments(caseId, data.documentIds ?? []),
+    language: getCaseLanguage(caseData),
+  });
+}
+
+/**
+ * Emails sent (or failed) for a case, newest first, with the names of the attachments
+ * @param {number} caseId - Case ID
+ * @returns {Array<Object>} { id, recipient, cc, bcc, subject, status, errorMessage, sentAt, attachments }
+ * @throws {NotFoundError}
+ */
+export function listByCase(caseId) {
+  getCase(caseId);
+  const fileNames = new Map(
+    query(
+      "SELECT id, COALESCE(original_name, file_path, '') AS name FROM document_history WHERE case_id = ?",
+      [caseId]
+    ).map((row) => [row.id, row.name.split(/[\\/]/).pop()])
+  );
+
+  return emailHistory.getByCaseId(caseId).map((row) => ({
+    id: row.id,
+    recipient: row.recipient,
+    cc: row.cc,
+    bcc: row.bcc,
+    subject: row.subject,
+    status: row.status,
+    errorMessage: row.error_message,
+    sentAt: row.sent_at,
+    attachments: JSON.parse(row.attachment_document_ids || "[]").map((documentId) => ({
+      documentId,
+      fileName: fileNames.get(documentId) ?? null,
+    })),
+  }));
+}
+
+export default {
+  MAX_RECIPIENTS,
+  MAX_ATTACHMENTS_SIZE,
+  MAX_BODY_LENGTH,
+  parseAddresses,
+  getDraft,
+  send,
+  listByCase,
+};
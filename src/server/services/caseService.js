@@ -5,7 +5,6 @@ import {
   getDatabase,
   query,
   queryOne,
-  execute,
   transaction,
 } from "../database.js";
 import {
@@ -22,7 +21,13 @@ import {
   NotFoundError,
   DatabaseError,
 } from "../errors.js";
-import { CaseErrors, ConflictErrors, DatabaseErrors } from "../errorMessages.js";
+import {
+  CaseErrors,
+  ClientErrors,
+  ConflictErrors,
+  DatabaseErrors,
+} from "../errorMessages.js";
+import { recordInTransaction, AUDIT_ACTIONS } from "./auditService.js";
 
 // Valid case types
 export const CASE_TYPES = {
@@ -135,6 +140,26 @@ function validateCaseData(data) {
   }
 }
 
+/**
+ * Resolve an optional client link
+ * @param {number|string|null|undefined} clientId - Client ID from the request
+ * @returns {Object|null|undefined} { id, name } of the client, null to unlink, undefined if not provided
+ * @throws {ValidationError} If the client doesn't exist
+ */
+function resolveClient(clientId) {
+  if (clientId === undefined) return undefined;
+  if (clientId === null || clientId === "") return null;
+
+  const client = queryOne("SELECT id, name FROM clients WHERE id = ?", [
+    parseInt(clientId, 10),
+  ]);
+  if (!client) {
+    const errorInfo = ClientErrors.notFound(clientId);
+    throw new ValidationError(errorInfo);
+  }
+  return client;
+}
+
 /**
  * Create a new case atomically
  * All operations (duplicate check, reference generation, insert) happen in a single transaction
@@ -142,13 +167,19 @@ function validateCaseData(data) {
  * Requirements: 2.1, 2.2, 2.3, 2.4, 2.5, 2.6
  *
  * @param {Object} data - Case data
+ * @param {Object|null} [actor] - Authenticated user, recorded in the audit log
  * @returns {Object} Created case
  * @throws {ConflictError} If ARAG reference already exists
  * @throws {ValidationError} If validation fails
  * @throws {DatabaseError} If database operation fails
  */
-export function create(data) {
+export function create(data, actor = null) {
   // Phase 1: Validate OUTSIDE the transaction (fail fast)
+  // A linked client provides the name when none is given
+  const client = resolveClient(data.clientId);
+  if (client && !data.clientName) {
+    data = { ...data, clientName: client.name };
+  }
   validateCaseData(data);
 
   const entryDate = data.entryDate || new Date().toISOString().split("T")[0];
@@ -167,7 +198,7 @@ export function create(data) {
 
         if (duplicateCheck) {
           const errorInfo = CaseErrors.aragReferenceDuplicate(data.aragReference);
-          throw new ConflictError(errorInfo.message, errorInfo.field, errorInfo.details);
+          throw new ConflictError(errorInfo);
         }
       }
 
@@ -188,8 +219,8 @@ export function create(data) {
         .prepare(
           `INSERT INTO cases (
             type, client_name, internal_reference, arag_reference,
-            designation, state, entry_date, observations, language
-          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+            designation, state, entry_date, observations, language, client_id
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
         )
         .run(
           data.type,
@@ -200,11 +231,22 @@ export function create(data) {
           CASE_STATES.ABIERTO,
           entryDate,
           data.observations || "",
-          data.language || CASE_LANGUAGES.ES
+          data.language || CASE_LANGUAGES.ES,
+          client?.id ?? null
         );
 
+      const created = getByIdInternal(db, insertResult.lastInsertRowid);
+      recordInTransaction(db, {
+        caseId: created.id,
+        caseVersion: created.version,
+        action: AUDIT_ACTIONS.CREATE,
+        before: null,
+        after: created,
+        actor,
+      });
+
       // Return the created case from within the transaction
-      return getByIdInternal(db, insertResult.lastInsertRowid);
+      return created;
     });
 
     return result;
@@ -222,7 +264,7 @@ export function create(data) {
     // Wrap other errors with informative message
     console.error("[CaseService] Create failed:", error.message);
     const errorInfo = DatabaseErrors.transactionFailed("crear expediente");
-    throw new DatabaseError(errorInfo.message, { originalError: error.message });
+    throw new DatabaseError(errorInfo, { originalError: error.message });
   }
 }
 
@@ -246,7 +288,12 @@ function getByIdInternal(db, id) {
  * @returns {Object|null} Case object or null
  */
 export function getById(id) {
-  const row = queryOne("SELECT * FROM cases WHERE id = ?", [id]);
+  const row = queryOne(
+    `SELECT c.*, cl.email as client_email
+     FROM cases c LEFT JOIN clients cl ON cl.id = c.client_id
+     WHERE c.id = ?`,
+    [id]
+  );
   if (!row) return null;
   return mapRowToCase(row);
 }
@@ -268,7 +315,7 @@ const SORTABLE_COLUMNS = {
  * @returns {Object} { cases, total, page, pageSize }
  */
 export function list(filters = {}, pagination = {}, sort = {}) {
-  const { type, state, search, language } = filters;
+  const { type, state, search, language, clientId } = filters;
   const { page = 1, pageSize = 20 } = pagination;
   const { sortBy = null, sortOrder = 'DESC' } = sort;
 
@@ -290,6 +337,11 @@ export function list(filters = {}, pagination = {}, sort = {}) {
     params.push(language);
   }
 
+  if (clientId) {
+    whereClauses.push("client_id = ?");
+    params.push(clientId);
+  }
+
   if (search) {
     whereClauses.push(
       "(client_name LIKE ? OR internal_reference LIKE ? OR arag_reference LIKE ?)"
@@ -324,7 +376,8 @@ export function list(filters = {}, pagination = {}, sort = {}) {
     `SELECT c.*,
       (SELECT COUNT(*) FROM document_history dh WHERE dh.case_id = c.id AND dh.document_type = 'MINUTA') as minuta_count,
       (SELECT COUNT(*) FROM document_history dh WHERE dh.case_id = c.id AND dh.document_type = 'SUPLIDO') as suplido_count,
-      (SELECT COUNT(*) FROM document_history dh WHERE dh.case_id = c.id AND dh.document_type = 'HOJA_ENCARGO') as hoja_count
+      (SELECT COUNT(*) FROM document_history dh WHERE dh.case_id = c.id AND dh.document_type = 'HOJA_ENCARGO') as hoja_count,
+      (SELECT cl.email FROM clients cl WHERE cl.id = c.client_id) as client_email
      FROM cases c ${whereClause} ${orderByClause} LIMIT ? OFFSET ?`,
     [...params, pageSize, offset]
   );
@@ -349,16 +402,17 @@ export { SORTABLE_COLUMNS };
  * @param {number} id - Case ID
  * @param {Object} data - Data to update
  * @param {number|null} expectedVersion - Optional version for optimistic locking
+ * @param {Object|null} [actor] - Authenticated user, recorded in the audit log
  * @returns {Object} Updated case
  * @throws {NotFoundError} If case doesn't exist
  * @throws {ConflictError} If version mismatch (concurrent modification detected)
  * @throws {ValidationError} If validation fails
  */
-export function update(id, data, expectedVersion = null) {
+export function update(id, data, expectedVersion = null, actor = null) {
   const existing = getById(id);
   if (!existing) {
     const errorInfo = CaseErrors.notFound(id);
-    throw new NotFoundError(errorInfo.message);
+    throw new NotFoundError(errorInfo);
   }
 
   // Archived cases can only update observations
@@ -367,17 +421,20 @@ export function update(id, data, expectedVersion = null) {
       const errorInfo = CaseErrors.archivedCaseReadOnly(
         Object.keys(data).find((k) => k !== "observations" && k !== "version")
       );
-      throw new ValidationError(errorInfo.message, errorInfo.field);
+      throw new ValidationError(errorInfo);
     }
   }
 
   // Optimistic locking: check version if provided
   if (expectedVersion !== null && existing.version !== expectedVersion) {
     const errorInfo = ConflictErrors.versionMismatch(expectedVersion, existing.version);
-    throw new ConflictError(errorInfo.message, errorInfo.field, errorInfo.details);
+    throw new ConflictError(errorInfo);
   }
 
-  const allowedFields = ["clientName", "observations", "entryDate", "language"];
+  // Validate client link before touching the case
+  const client = resolveClient(data.clientId);
+
+  const allowedFields = ["clientName", "observations", "entryDate", "language", "clientId"];
   const updates = [];
   const params = [];
 
@@ -388,9 +445,17 @@ export function update(id, data, expectedVersion = null) {
           ? "client_name"
           : field === "entryDate"
           ? "entry_date"
+          : field === "clientId"
+          ? "client_id"
           : field;
       updates.push(`${dbField} = ?`);
-      params.push(field === "clientName" ? data[field].trim() : data[field]);
+      params.push(
+        field === "clientName"
+          ? data[field].trim()
+          : field === "clientId"
+          ? client?.id ?? null
+          : data[field]
+      );
     }
   }
 
@@ -411,32 +476,79 @@ export function update(id, data, expectedVersion = null) {
     params.push(expectedVersion);
   }
 
-  const result = execute(
-    `UPDATE cases SET ${updates.join(", ")} WHERE ${whereClause}`,
-    params
-  );
+  return transaction(() => {
+    const db = getDatabase();
+    const before = getByIdInternal(db, id);
 
-  // If no rows were affected and we had a version check, it's a conflict
-  if (result.changes === 0 && expectedVersion !== null) {
-    // Re-fetch to get current version for the error message
-    const current = getById(id);
-    const errorInfo = ConflictErrors.versionMismatch(
-      expectedVersion,
-      current?.version || "unknown"
-    );
-    throw new ConflictError(errorInfo.message, errorInfo.field, errorInfo.details);
-  }
+    const result = db
+      .prepare(`UPDATE cases SET ${updates.join(", ")} WHERE ${whereClause}`)
+      .run(...params);
+
+    // If no rows were affected and we had a version check, it's a conflict
+    if (result.changes === 0 && expectedVersion !== null) {
+      const errorInfo = ConflictErrors.versionMismatch(
+        expectedVersion,
+        before?.version || "unknown"
+      );
+      throw new ConflictError(errorInfo);
+    }
+
+    const after = getByIdInternal(db, id);
+    recordInTransaction(db, {
+      caseId: id,
+      caseVersion: after.version,
+      action: AUDIT_ACTIONS.UPDATE,
+      before,
+      after,
+      actor,
+    });
+
+    return after;
+  });
+}
+
+/**
+ * Apply a state change to a case and record it in the audit log atomically
+ * Bumps version so audit entries of a case form a gap-free sequence.
+ *
+ * @param {number} id - Case ID
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {string} assignments - SQL SET assignments (without version/updated_at)
+ * @param {Array} params - Parameters for the assignments
+ * @param {Object|null} actor - Authenticated user
+ * @returns {Object} Updated case
+ */
+function applyAuditedChange(id, action, assignments, params, actor) {
+  return transaction(() => {
+    const db = getDatabase();
+    const before = getByIdInternal(db, id);
+
+    db.prepare(
+      `UPDATE cases SET ${assignments}, version = version + 1, updated_at = datetime('now') WHERE id = ?`
+    ).run(...params, id);
+
+    const after = getByIdInternal(db, id);
+    recordInTransaction(db, {
+      caseId: id,
+      caseVersion: after.version,
+      action,
+      before,
+      after,
+      actor,
+    });
 
-  return getById(id);
+    return after;
+  });
 }
 
 /**
  * Archive a case
  * @param {number} id - Case ID
  * @param {string} closureDate - Closure date (YYYY-MM-DD)
+ * @param {Object|null} [actor] - Authenticated user, recorded in the audit log
  * @returns {Object} Archived case
  */
-export function archive(id, closureDate) {
+export function archive(id, closureDate, actor = null) {
   const existing = getById(id);
   if (!existing) {
     throw new NotFoundError("Expediente no encontrado");
@@ -463,21 +575,23 @@ export function archive(id, closureDate) {
     );
   }
 
-  execute(
-    `UPDATE cases SET state = ?, closure_date = ?, updated_at = datetime('now') WHERE id = ?`,
-    [CASE_STATES.ARCHIVADO, closureDate, id]
+  return applyAuditedChange(
+    id,
+    AUDIT_ACTIONS.ARCHIVE,
+    "state = ?, closure_date = ?",
+    [CASE_STATES.ARCHIVADO, closureDate],
+    actor
   );
-
-  return getById(id);
 }
 
 /**
  * Finalize a Turno de Oficio case (transition from ABIERTO to FINALIZADO)
  * Note: Uses JUDICIAL state in database to represent FINALIZADO for Turno cases
  * @param {number} id - Case ID
+ * @param {Object|null} [actor] - Authenticated user, recorded in the audit log
  * @returns {Object} Updated case
  */
-export function finalizeTurno(id) {
+export function finalizeTurno(id, actor = null) {
   const existing = getById(id);
   if (!existing) {
     throw new NotFoundError("Expediente no encontrado");
@@ -499,12 +613,48 @@ export function finalizeTurno(id) {
     throw new ValidationError("No se puede modificar un expediente archivado");
   }
 
-  execute(
-    `UPDATE cases SET state = ?, updated_at = datetime('now') WHERE id = ?`,
-    [CASE_STATES.JUDICIAL, id]
+  return applyAuditedChange(
+    id,
+    AUDIT_ACTIONS.FINALIZE,
+    "state = ?",
+    [CASE_STATES.JUDICIAL],
+    actor
   );
+}
 
-  return getById(id);
+/**
+ * Reopen a finalized Turno de Oficio case (FINALIZADO back to ABIERTO)
+ * @param {number} id - Case ID
+ * @param {Object|null} [actor] - Authenticated user, recorded in the audit log
+ * @returns {Object} Updated case
+ */
+export function reopenTurno(id, actor = null) {
+  const existing = getById(id);
+  if (!existing) {
+    throw new NotFoundError("Expediente no encontrado");
+  }
+
+  if (existing.type !== CASE_TYPES.TURNO_OFICIO) {
+    throw new ValidationError(
+      "Solo los expedientes de Turno de Oficio pueden reabrirse de esta manera"
+    );
+  }
+
+  if (existing.state === CASE_STATES.ARCHIVADO) {
+    throw new ValidationError("No se puede reabrir un expediente archivado");
+  }
+
+  if (existing.state === CASE_STATES.ABIERTO) {
+    throw new ValidationError("El expediente ya está abierto");
+  }
+
+  return applyAuditedChange(
+    id,
+    AUDIT_ACTIONS.REOPEN,
+    "state = ?",
+    [CASE_STATES.ABIERTO],
+    actor
+  );
 }
 
 /**
@@ -512,9 +662,10 @@ export function finalizeTurno(id) {
  * @param {number} id - Case ID
  * @param {string} judicialDate - Transition date (YYYY-MM-DD)
  * @param {string} district - Judicial district
+ * @param {Object|null} [actor] - Authenticated user, recorded in the audit log
  * @returns {Object} Updated case
  */
-export function transitionToJudicial(id, judicialDate, district) {
+export function transitionToJudicial(id, judicialDate, district, actor = null) {
   const existing = getById(id);
   if (!existing) {
     throw new NotFoundError("Expediente no encontrado");
@@ -560,22 +711,40 @@ export function transitionToJudicial(id, judicialDate, district) {
     );
   }
 
-  execute(
-    `UPDATE cases SET state = ?, judicial_date = ?, judicial_district = ?, updated_at = datetime('now') WHERE id = ?`,
-    [CASE_STATES.JUDICIAL, judicialDate, district, id]
+  return applyAuditedChange(
+    id,
+    AUDIT_ACTIONS.JUDICIAL,
+    "state = ?, judicial_date = ?, judicial_district = ?",
+    [CASE_STATES.JUDICIAL, judicialDate, district],
+    actor
   );
-
-  return getById(id);
 }
 
 /**
  * Delete a case (for testing purposes)
+ * The audit trail is kept; the DELETE entry holds the last known values.
  * @param {number} id - Case ID
+ * @param {Object|null} [actor] - Authenticated user, recorded in the audit log
  * @returns {boolean} True if deleted
  */
-export function deleteCase(id) {
-  const result = execute("DELETE FROM cases WHERE id = ?", [id]);
-  return result.changes > 0;
+export function deleteCase(id, actor = null) {
+  return transaction(() => {
+    const db = getDatabase();
+    const before = getByIdInternal(db, id);
+    if (!before) return false;
+
+    db.prepare("DELETE FROM cases WHERE id = ?").run(id);
+    recordInTransaction(db, {
+      caseId: id,
+      caseVersion: before.version + 1,
+      action: AUDIT_ACTIONS.DELETE,
+      before,
+      after: null,
+      actor,
+    });
+
+    return true;
+  });
 }
 
 /**
@@ -606,8 +775,15 @@ function mapRowToCase(row) {
     version: row.version ?? 1,
     // Language (defaults to 'es' if column doesn't exist yet)
     language: row.language ?? "es",
+    // Linked client (null for cases with only a free-text client name)
+    clientId: row.client_id ?? null,
   };
 
+  // Linked client's email (only present in queries that join clients)
+  if (row.client_email !== undefined) {
+    mapped.clientEmail = row.client_email;
+  }
+
   // Document counts (only present in list queries, not getById)
   if (row.minuta_count !== undefined) {
     mapped.minutaCount = row.minuta_count;
@@ -625,6 +801,7 @@ export default {
   update,
   archive,
   finalizeTurno,
+  reopenTurno,
   transitionToJudicial,
   deleteCase,
   CASE_TYPES,
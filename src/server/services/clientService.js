@@ -0,0 +1,306 @@
+// Client Service
+// Clients (personas) shared across cases: NIF, contact details and address
+
+import { query, queryOne, execute } from "../database.js";
+import { ValidationError, NotFoundError, ConflictError } from "../errors.js";
+import { CaseErrors, ClientErrors } from "../errorMessages.js";
+
+const DNI_LETTERS = "TRWAGMYFPDXBNJZSQVHLCKE";
+const CIF_CONTROL_LETTERS = "JABCDEFGHI";
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Editable fields (keys = API field, values = SQL column)
+const EDITABLE_FIELDS = {
+  name: "name",
+  nif: "nif",
+  email: "email",
+  phone: "phone",
+  address: "address",
+  notes: "notes",
+};
+
+/**
+ * Normalize a NIF/NIE/CIF: uppercase, without spaces, dots or dashes
+ * @param {string} value - Raw document number
+ * @returns {string} Normalized document number
+ */
+export function normalizeNif(value) {
+  return String(value || "").toUpperCase().replace(/[\s.-]/g, "");
+}
+
+/**
+ * Validate a Spanish tax ID (DNI, NIE or CIF) including its control character
+ * @param {string} value - Normalized document number
+ * @returns {boolean} True if valid
+ */
+export function isValidNif(value) {
+  // DNI: 8 digits + letter
+  if (/^\d{8}[A-Z]$/.test(value)) {
+    return DNI_LETTERS[parseInt(value.slice(0, 8), 10) % 23] === value[8];
+  }
+
+  // NIE: X/Y/Z + 7 digits + letter (X=0, Y=1, Z=2)
+  if (/^[XYZ]\d{7}[A-Z]$/.test(value)) {
+    const number = "XYZ".indexOf(value[0]) + value.slice(1, 8);
+    return DNI_LETTERS[parseInt(number, 10) % 23] === value[8];
+  }
+
+  // CIF: organization letter + 7 digits + control digit or letter
+  if (/^[ABCDEFGHJNPQRSUVW]\d{7}[0-9A-J]$/.test(value)) {
+    let sum = 0;
+    for (let i = 1; i <= 7; i++) {
+      const digit = parseInt(value[i], 10);
+      if (i % 2 === 0) {
+        sum += digit;
+      } else {
+        const doubled = digit * 2;
+        sum += Math.floor(doubled / 10) + (doubled % 10);
+      }
+    }
+    const control = (10 - (sum % 10)) % 10;
+    return value[8] === String(control) || value[8] === CIF_CONTROL_LETTERS[control];
+  }
+
+  return false;
+}
+
+/**
+ * Validate and normalize client data
+ * @param {Object} data - Client data (partial for updates)
+ * @param {boolean} isUpdate - Whether name may be omitted
+ * @returns {Object} Normalized values for the provided fields
+ * @throws {ValidationError} If validation fails
+ */
+function normalizeClientData(data, isUpdate = false) {
+  const values = {};
+
+  if (!isUpdate || data.name !== undefined) {
+    if (!data.name || typeof data.name !== "string" || data.name.trim().length === 0) {
+      const errorInfo = CaseErrors.requiredField("name", "Nombre del cliente");
+      throw new ValidationError(errorInfo);
+    }
+    values.name = data.name.trim();
+  }
+
+  if (data.nif !== undefined) {
+    const nif = normalizeNif(data.nif);
+    if (nif && !isValidNif(nif)) {
+      const errorInfo = ClientErrors.nifInvalid(data.nif);
+      throw new ValidationError(errorInfo);
+    }
+    values.nif = nif || null;
+  }
+
+  if (data.email !== undefined) {
+    const email = String(data.email || "").trim();
+    if (email && !EMAIL_REGEX.test(email)) {
+      const errorInfo = ClientErrors.emailInvalid(email);
+      throw new ValidationError(errorInfo);
+    }
+    values.email = email || null;
+  }
+
+  for (const field of ["phone", "address"]) {
+    if (data[field] !== undefined) {
+      values[field] = String(data[field] || "").trim() || null;
+    }
+  }
+
+  if (data.notes !== undefined) {
+    values.notes = String(data.notes || "");
+  }
+
+  return values;
+}
+
+/**
+ * Ensure no other client has the same NIF
+ * @param {string|null} nif - Normalized NIF
+ * @param {number|null} excludeId - Client being updated
+ * @throws {ConflictError} If the NIF is already used
+ */
+function assertNifAvailable(nif, excludeId = null) {
+  if (!nif) return;
+
+  const existing = queryOne("SELECT id FROM clients WHERE nif = ?", [nif]);
+  if (existing && existing.id !== excludeId) {
+    const errorInfo = ClientErrors.nifDuplicate(nif);
+    throw new ConflictError(errorInfo);
+  }
+}
+
+/**
+ * Create a client
+ * @param {Object} data - Client data ({ name, nif, email, phone, address, notes })
+ * @returns {Object} Created client
+ * @throws {ValidationError} If validation fails
+ * @throws {ConflictError} If the NIF already exists
+ */
+export function create(data) {
+  const values = normalizeClientData(data);
+  assertNifAvailable(values.nif);
+
+  const result = execute(
+    `INSERT INTO clients (name, nif, email, phone, address, notes)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      values.name,
+      values.nif ?? null,
+      values.email ?? null,
+      values.phone ?? null,
+      values.address ?? null,
+      values.notes ?? "",
+    ]
+  );
+
+  return getById(result.lastInsertRowid);
+}
+
+/**
+ * Get client by ID
+ * @param {number} id - Client ID
+ * @returns {Object|null} Client or null
+ */
+export function getById(id) {
+  const row = queryOne(
+    `SELECT cl.*, (SELECT COUNT(*) FROM cases c WHERE c.client_id = cl.id) as case_count
+     FROM clients cl WHERE cl.id = ?`,
+    [id]
+  );
+  if (!row) return null;
+  return mapRowToClient(row);
+}
+
+/**
+ * List clients with optional search and pagination
+ * Search matches name, NIF, email or phone.
+ * @param {Object} filters - { search }
+ * @param {Object} pagination - { page, pageSize }
+ * @returns {Object} { clients, total, page, pageSize }
+ */
+export function list(filters = {}, pagination = {}) {
+  const { search } = filters;
+  const { page = 1, pageSize = 20 } = pagination;
+
+  let whereClause = "";
+  const params = [];
+
+  if (search) {
+    whereClause = "WHERE (cl.name LIKE ? OR cl.nif LIKE ? OR cl.email LIKE ? OR cl.phone LIKE ?)";
+    const searchPattern = `%${search}%`;
+    params.push(searchPattern, searchPattern, searchPattern, searchPattern);
+  }
+
+  const countResult = queryOne(
+    `SELECT COUNT(*) as total FROM clients cl ${whereClause}`,
+    params
+  );
+
+  const offset = (page - 1) * pageSize;
+  const rows = query(
+    `SELECT cl.*, (SELECT COUNT(*) FROM cases c WHERE c.client_id = cl.id) as case_count
+     FROM clients cl ${whereClause}
+     ORDER BY cl.name COLLATE NOCASE ASC, cl.id ASC LIMIT ? OFFSET ?`,
+    [...params, pageSize, offset]
+  );
+
+  return {
+    clients: rows.map(mapRowToClient),
+    total: countResult?.total || 0,
+    page,
+    pageSize,
+  };
+}
+
+/**
+ * Update a client
+ * @param {number} id - Client ID
+ * @param {Object} data - Fields to update
+ * @returns {Object} Updated client
+ * @throws {NotFoundError} If client doesn't exist
+ * @throws {ValidationError} If validation fails
+ * @throws {ConflictError} If the NIF belongs to another client
+ */
+export function update(id, data) {
+  const existing = getById(id);
+  if (!existing) {
+    const errorInfo = ClientErrors.notFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+
+  const values = normalizeClientData(data, true);
+  if (values.nif !== undefined) {
+    assertNifAvailable(values.nif, existing.id);
+  }
+
+  const updates = [];
+  const params = [];
+  for (const [field, column] of Object.entries(EDITABLE_FIELDS)) {
+    if (values[field] !== undefined) {
+      updates.push(`${column} = ?`);
+      params.push(values[field]);
+    }
+  }
+
+  if (updates.length === 0) {
+    return existing;
+  }
+
+  updates.push("updated_at = datetime('now')");
+  execute(`UPDATE clients SET ${updates.join(", ")} WHERE id = ?`, [...params, id]);
+
+  return getById(id);
+}
+
+/**
+ * Delete a client that has no linked cases
+ * @param {number} id - Client ID
+ * @returns {boolean} True if deleted
+ * @throws {NotFoundError} If client doesn't exist
+ * @throws {ConflictError} If the client still has cases
+ */
+export function deleteClient(id) {
+  const existing = getById(id);
+  if (!existing) {
+    const errorInfo = ClientErrors.notFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+
+  if (existing.caseCount > 0) {
+    const errorInfo = ClientErrors.hasCases(existing.caseCount);
+    throw new ConflictError(errorInfo);
+  }
+
+  const result = execute("DELETE FROM clients WHERE id = ?", [id]);
+  return result.changes > 0;
+}
+
+/**
+ * Map database row to client object
+ * @param {Object} row - Database row
+ * @returns {Object} Client object
+ */
+function mapRowToClient(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    nif: row.nif,
+    email: row.email,
+    phone: row.phone,
+    address: row.address,
+    notes: row.notes,
+    caseCount: row.case_count ?? 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export default {
+  create,
+  getById,
+  list,
+  update,
+  deleteClient,
+  normalizeNif,
+  isValidNif,
+};
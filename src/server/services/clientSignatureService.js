@@ -0,0 +1,472 @@
+// Client Signature Service
+// One-time links for the client to sign the hoja de encargo online, and the
+// evidence record of each signature (IP, user agent, time, document hashes).
+// The signed PDF itself is produced by HojaEncargoWorkflowService.signByClient.
+
+import { createHash, randomBytes } from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import { basename } from "node:path";
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { execute, query, queryOne } from "../database.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors.js";
+import { ClientSignatureErrors } from "../errorMessages.js";
+import { isValidEmail } from "./configurationService.js";
+import { DocumentHistoryService } from "./documentHistoryService.js";
+import { listVersions, sha256 } from "./documentVersionService.js";
+import { getIntlLocale, getTranslator } from "./localeService.js";
+
+export const REQUEST_STATUS = {
+  PENDING: "PENDIENTE",
+  SIGNED: "FIRMADA",
+  CANCELLED: "CANCELADA",
+};
+
+export const SIGNATURE_METHODS = {
+  DRAWN: "DIBUJADA",
+  TYPED: "ESCRITA",
+};
+
+// Only the engagement letter is signed by the client
+export const CLIENT_SIGNED_DOCUMENT_TYPE = "HOJA_ENCARGO";
+
+// Days a signing link can be used
+export const LINK_VALIDITY_DAYS = 14;
+
+export const MAX_SIGNATURE_IMAGE_SIZE = 512 * 1024; // 512KB
+export const MAX_TYPED_NAME_LENGTH = 100;
+const MAX_USER_AGENT_LENGTH = 300;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Request columns plus whether the link has expired
+const REQUEST_SELECT = `SELECT client_signature_requests.*,
+  (status = 'PENDIENTE' AND expires_at <= datetime('now')) as expired
+  FROM client_signature_requests`;
+
+/**
+ * Hash a signing link token for storage
+ * @param {string} token - Raw token
+ * @returns {string} SHA-256 hex digest
+ */
+function hashToken(token) {
+  return createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Get a hoja de encargo of a case that the client can sign
+ * @param {number} caseId - Case ID
+ * @param {number|string} documentId - Document ID
+ * @returns {Object} Document row
+ * @throws {ValidationError|NotFoundError}
+ */
+function getSignableDocument(caseId, documentId) {
+  if (documentId === undefined || documentId === null || documentId === "") {
+    const errorInfo = ClientSignatureErrors.documentRequired();
+    throw new ValidationError(errorInfo);
+  }
+
+  const doc = new DocumentHistoryService().getById(parseInt(documentId, 10));
+  if (!doc || doc.case_id !== caseId || doc.deleted_at) {
+    const errorInfo = ClientSignatureErrors.documentNotFound(documentId);
+    throw new NotFoundError(errorInfo);
+  }
+  if (doc.document_type !== CLIENT_SIGNED_DOCUMENT_TYPE) {
+    const errorInfo = ClientSignatureErrors.documentTypeInvalid(doc.document_type);
+    throw new ValidationError(errorInfo);
+  }
+  return doc;
+}
+
+/**
+ * File the client reviews: the PDF as generated, before any signature
+ * (signing again from an already signed file would break its signature)
+ * @param {Object} doc - Document row
+ * @returns {string} File path
+ */
+function getSourcePath(doc) {
+  const [firstVersion] = listVersions(doc.id);
+  return firstVersion?.filePath || doc.file_path;
+}
+
+/**
+ * Create a signing link for a hoja de encargo
+ * Pending links of the same document are cancelled: only the newest one works.
+ * @param {number} caseId - Case ID
+ * @param {Object} data - { documentId, signerName, signerEmail }
+ * @param {Object} [actor] - User creating the link
+ * @returns {{request: Object, token: string}} The token is only returned here
+ * @throws {ValidationError|NotFoundError}
+ */
+export function createRequest(caseId, data = {}, actor = null) {
+  const doc = getSignableDocument(caseId, data.documentId);
+
+  const signerName = String(data.signerName ?? "").trim();
+  if (!signerName) {
+    const errorInfo = ClientSignatureErrors.signerNameRequired();
+    throw new ValidationError(errorInfo);
+  }
+  const signerEmail = String(data.signerEmail ?? "").trim() || null;
+  if (signerEmail && !isValidEmail(signerEmail)) {
+    const errorInfo = ClientSignatureErrors.signerEmailInvalid(signerEmail);
+    throw new ValidationError(errorInfo);
+  }
+
+  const sourcePath = getSourcePath(doc);
+  if (!existsSync(sourcePath)) {
+    const errorInfo = ClientSignatureErrors.fileMissing(doc.id);
+    throw new NotFoundError(errorInfo);
+  }
+
+  const token = randomBytes(32).toString("base64url");
+  execute(
+    `UPDATE client_signature_requests SET status = 'CANCELADA', cancelled_at = datetime('now')
+     WHERE document_id = ? AND status = 'PENDIENTE'`,
+    [doc.id]
+  );
+  const result = execute(
+    `INSERT INTO client_signature_requests (case_id, document_id, token_hash, signer_name, signer_email,
+       source_path, source_sha256, expires_at, created_by_user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now', ?), ?)`,
+    [
+      caseId,
+      doc.id,
+      hashToken(token),
+      signerName,
+      signerEmail,
+      sourcePath,
+      sha256(readFileSync(sourcePath)),
+      `+${LINK_VALIDITY_DAYS} days`,
+      actor?.id ?? null,
+    ]
+  );
+
+  return { request: getById(result.lastInsertRowid), token };
+}
+
+/**
+ * Get a signature request by ID
+ * @param {number} id - Request ID
+ * @returns {Object|null}
+ */
+export function getById(id) {
+  const row = queryOne(`${REQUEST_SELECT} WHERE id = ?`, [id]);
+  return row ? mapRowToRequest(row) : null;
+}
+
+/**
+ * Signature requests of a case, newest first
+ * @param {number} caseId - Case ID
+ * @returns {Array}
+ */
+export function listByCase(caseId) {
+  return query(`${REQUEST_SELECT} WHERE case_id = ? ORDER BY created_at DESC, id DESC`, [caseId]).map(
+    mapRowToRequest
+  );
+}
+
+/**
+ * Cancel a pending signing link
+ * @param {number} caseId - Case ID
+ * @param {number} id - Request ID
+ * @returns {Object} Cancelled request
+ * @throws {NotFoundError|ConflictError}
+ */
+export function cancelRequest(caseId, id) {
+  const request = getById(id);
+  if (!request || request.caseId !== caseId) {
+    const errorInfo = ClientSignatureErrors.requestNotFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+  if (request.status !== REQUEST_STATUS.PENDING) {
+    const errorInfo = ClientSignatureErrors.notPending(request.status);
+    throw new ConflictError(errorInfo);
+  }
+
+  execute(
+    `UPDATE client_signature_requests SET status = 'CANCELADA', cancelled_at = datetime('now')
+     WHERE id = ? AND status = 'PENDIENTE'`,
+    [id]
+  );
+  return getById(id);
+}
+
+/**
+ * Get the request of a signing link that can still be signed
+ * @param {string} token - Link token
+ * @returns {Object} Request row (snake_case)
+ * @throws {NotFoundError} If the token is unknown
+ * @throws {ConflictError} If the link was used, cancelled or has expired
+ */
+export function getPendingByToken(token) {
+  const row = token ? queryOne(`${REQUEST_SELECT} WHERE token_hash = ?`, [hashToken(token)]) : null;
+  if (!row) {
+    const errorInfo = ClientSignatureErrors.linkInvalid();
+    throw new NotFoundError(errorInfo);
+  }
+  if (row.status === REQUEST_STATUS.SIGNED) {
+    const errorInfo = ClientSignatureErrors.alreadySigned(row.signed_at);
+    throw new ConflictError(errorInfo);
+  }
+  if (row.status === REQUEST_STATUS.CANCELLED) {
+    const errorInfo = ClientSignatureErrors.linkCancelled();
+    throw new ConflictError(errorInfo);
+  }
+  if (row.expired) {
+    const errorInfo = ClientSignatureErrors.linkExpired(row.expires_at);
+    throw new ConflictError(errorInfo);
+  }
+  return row;
+}
+
+/**
+ * What the signing page shows: who signs which document (no internal IDs)
+ * @param {string} token - Link token
+ * @returns {Object} { signerName, clientName, reference, language, fileName, expiresAt }
+ */
+export function getPublicSummary(token) {
+  const row = getPendingByToken(token);
+  const caseRow = queryOne("SELECT client_name, internal_reference, language FROM cases WHERE id = ?", [
+    row.case_id,
+  ]);
+
+  return {
+    signerName: row.signer_name,
+    clientName: caseRow?.client_name ?? null,
+    reference: caseRow?.internal_reference ?? null,
+    language: caseRow?.language ?? null,
+    fileName: basename(row.source_path),
+    expiresAt: row.expires_at,
+  };
+}
+
+/**
+ * PDF the client reviews, checked against the hash recorded with the link
+ * @param {string|Object} tokenOrRow - Link token or pending request row
+ * @returns {{buffer: Buffer, fileName: string}}
+ * @throws {NotFoundError|ConflictError}
+ */
+export function readSourceDocument(tokenOrRow) {
+  const row = typeof tokenOrRow === "object" ? tokenOrRow : getPendingByToken(tokenOrRow);
+  if (!existsSync(row.source_path)) {
+    const errorInfo = ClientSignatureErrors.fileMissing(row.document_id);
+    throw new NotFoundError(errorInfo);
+  }
+
+  const buffer = readFileSync(row.source_path);
+  if (sha256(buffer) !== row.source_sha256) {
+    const errorInfo = ClientSignatureErrors.documentChanged();
+    throw new ConflictError(errorInfo);
+  }
+  return { buffer, fileName: basename(row.source_path) };
+}
+
+/**
+ * Validate what the client submits on the signing page
+ * @param {Object} input - { accepted, method, image (PNG data URL), typedName }
+ * @returns {{method: string, image: Buffer|null, typedName: string|null}}
+ * @throws {ValidationError}
+ */
+export function validateSignature(input = {}) {
+  if (input.accepted !== true) {
+    const errorInfo = ClientSignatureErrors.acceptanceRequired();
+    throw new ValidationError(errorInfo);
+  }
+
+  const validMethods = Object.values(SIGNATURE_METHODS);
+  if (!validMethods.includes(input.method)) {
+    const errorInfo = ClientSignatureErrors.methodInvalid(input.method, validMethods);
+    throw new ValidationError(errorInfo);
+  }
+
+  if (input.method === SIGNATURE_METHODS.TYPED) {
+    const typedName = String(input.typedName ?? "").trim();
+    if (!typedName || typedName.length > MAX_TYPED_NAME_LENGTH) {
+      const errorInfo = ClientSignatureErrors.typedNameInvalid(MAX_TYPED_NAME_LENGTH);
+      throw new ValidationError(errorInfo);
+    }
+    return { method: input.method, image: null, typedName };
+  }
+
+  const match = String(input.image ?? "").match(/^data:image\/png;base64,([A-Za-z0-9+/=]+)$/);
+  const image = match ? Buffer.from(match[1], "base64") : null;
+  if (!image || image.length > MAX_SIGNATURE_IMAGE_SIZE || !image.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    const errorInfo = ClientSignatureErrors.imageInvalid(MAX_SIGNATURE_IMAGE_SIZE);
+    throw new ValidationError(errorInfo);
+  }
+  return { method: input.method, image, typedName: null };
+}
+
+/**
+ * Append the client signature page to the reviewed PDF
+ * The page shows the signature (drawn image or typed name) and the evidence
+ * that identifies it: signer, time, IP address and hash of the reviewed PDF.
+ * @param {Buffer} sourceBuffer - PDF the client reviewed
+ * @param {Object} data - { signature, signerName, reference, language, signedAt (Date), ip, sourceSha256 }
+ * @returns {Promise<Buffer>}
+ */
+export async function appendSignaturePage(sourceBuffer, data) {
+  const t = getTranslator(data.language, "clientSignature");
+  const pdfDoc = await PDFDocument.load(sourceBuffer);
+  const page = pdfDoc.addPage([595.28, 841.89]); // A4
+  const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+  const bold = await pdfDoc.embedFont(StandardFonts.HelveticaBold);
+  const script = await pdfDoc.embedFont(StandardFonts.TimesRomanItalic);
+  const mono = await pdfDoc.embedFont(StandardFonts.Courier);
+
+  // Standard fonts only cover WinAnsi: other characters print as "?"
+  const printable = (font, text) => {
+    const charset = new Set(font.getCharacterSet());
+    return [...String(text ?? "")].map((char) => (charset.has(char.codePointAt(0)) ? char : "?")).join("");
+  };
+
+  const left = 60;
+  let y = 770;
+  page.drawText(printable(bold, t("title")), { x: left, y, size: 16, font: bold, color: rgb(0.1, 0.1, 0.1) });
+  y -= 22;
+  page.drawText(printable(regular, t("subtitle", { reference: data.reference })), {
+    x: left,
+    y,
+    size: 10,
+    font: regular,
+    color: rgb(0.4, 0.4, 0.4),
+  });
+
+  // Signature box
+  y -= 150;
+  page.drawRectangle({
+    x: left,
+    y,
+    width: 300,
+    height: 120,
+    borderColor: rgb(0.6, 0.6, 0.6),
+    borderWidth: 0.5,
+  });
+  const { signature } = data;
+  if (signature.image) {
+    const image = await pdfDoc.embedPng(signature.image);
+    const scale = Math.min(280 / image.width, 100 / image.height, 1);
+    page.drawImage(image, {
+      x: left + (300 - image.width * scale) / 2,
+      y: y + (120 - image.height * scale) / 2,
+      width: image.width * scale,
+      height: image.height * scale,
+    });
+  } else {
+    const size = Math.min(28, 280 / Math.max(script.widthOfTextAtSize(printable(script, signature.typedName), 1), 1));
+    page.drawText(printable(script, signature.typedName), {
+      x: left + 10,
+      y: y + 50,
+      size,
+      font: script,
+      color: rgb(0.1, 0.1, 0.35),
+    });
+  }
+
+  // Evidence
+  const signedAt = new Intl.DateTimeFormat(getIntlLocale(data.language), {
+    dateStyle: "long",
+    timeStyle: "long",
+    timeZone: "Europe/Madrid",
+  }).format(data.signedAt);
+  const rows = [
+    [t("signer"), data.signerName],
+    [t("signedAt"), signedAt],
+    [t("ipAddress"), data.ip || "-"],
+    [t("method"), t(`methods.${signature.method}`)],
+  ];
+  y -= 30;
+  for (const [label, value] of rows) {
+    page.drawText(printable(bold, `${label}:`), { x: left, y, size: 10, font: bold, color: rgb(0.2, 0.2, 0.2) });
+    page.drawText(printable(regular, value), { x: left + 130, y, size: 10, font: regular, color: rgb(0.2, 0.2, 0.2) });
+    y -= 16;
+  }
+  page.drawText(printable(bold, `${t("documentHash")}:`), { x: left, y, size: 10, font: bold, color: rgb(0.2, 0.2, 0.2) });
+  y -= 14;
+  page.drawText(data.sourceSha256, { x: left, y, size: 8, font: mono, color: rgb(0.3, 0.3, 0.3) });
+
+  y -= 30;
+  page.drawText(printable(regular, t("statement")), {
+    x: left,
+    y,
+    size: 9,
+    font: regular,
+    color: rgb(0.4, 0.4, 0.4),
+    maxWidth: 475,
+    lineHeight: 13,
+  });
+
+  return Buffer.from(await pdfDoc.save());
+}
+
+/**
+ * Record the evidence of a signed link
+ * @param {number} id - Request ID
+ * @param {Object} evidence - { signedAt (Date), ip, userAgent, method, signedPath, signedSha256 }
+ * @returns {boolean} False if the link was no longer pending (signed concurrently)
+ */
+export function recordSignature(id, evidence) {
+  const result = execute(
+    `UPDATE client_signature_requests
+     SET status = 'FIRMADA', signed_at = ?, signer_ip = ?, user_agent = ?, signature_method = ?,
+         signed_path = ?, signed_sha256 = ?
+     WHERE id = ? AND status = 'PENDIENTE'`,
+    [
+      evidence.signedAt.toISOString().replace("T", " ").slice(0, 19),
+      evidence.ip || null,
+      evidence.userAgent ? String(evidence.userAgent).slice(0, MAX_USER_AGENT_LENGTH) : null,
+      evidence.method,
+      evidence.signedPath,
+      evidence.signedSha256,
+      id,
+    ]
+  );
+  return result.changes === 1;
+}
+
+/**
+ * Map a database row to a request (the token hash is never exposed)
+ * @param {Object} row - Database row
+ * @returns {Object}
+ */
+function mapRowToRequest(row) {
+  return {
+    id: row.id,
+    caseId: row.case_id,
+    documentId: row.document_id,
+    signerName: row.signer_name,
+    signerEmail: row.signer_email,
+    status: row.status,
+    expired: Boolean(row.expired),
+    expiresAt: row.expires_at,
+    sourceSha256: row.source_sha256,
+    createdByUserId: row.created_by_user_id,
+    createdAt: row.created_at,
+    cancelledAt: row.cancelled_at,
+    evidence: row.signed_at
+      ? {
+          signedAt: row.signed_at,
+          ip: row.signer_ip,
+          userAgent: row.user_agent,
+          method: row.signature_method,
+          signedSha256: row.signed_sha256,
+        }
+      : null,
+  };
+}
+
+export default {
+  REQUEST_STATUS,
+  SIGNATURE_METHODS,
+  CLIENT_SIGNED_DOCUMENT_TYPE,
+  LINK_VALIDITY_DAYS,
+  createRequest,
+  getById,
+  listByCase,
+  cancelRequest,
+  getPendingByToken,
+  getPublicSummary,
+  readSourceDocument,
+  validateSignature,
+  appendSignaturePage,
+  recordSignature,
+};
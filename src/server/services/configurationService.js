@@ -4,12 +4,23 @@
 import { query, queryOne, execute, transaction, getDatabase } from "../database.js";
 import { ValidationError, DatabaseError } from "../errors.js";
 import { ConfigErrors, DatabaseErrors } from "../errorMessages.js";
+import { parseHolidayList } from "./courtCalendar.js";
 
 // Default configuration values
 export const DEFAULT_CONFIG = {
   arag_base_fee: "203.00",
   vat_rate: "21",
   arag_email: "facturacionsiniestros@arag.es",
+  invoice_series: "M",
+  payment_overdue_days: "60",
+  // Hourly rate proposed for new time entries (Particulares)
+  default_hourly_rate: "150.00",
+  // Court holidays for deadline computation: MM-DD (yearly) or YYYY-MM-DD.
+  // 24 and 31 December are not holidays but are non-working days in court (LOPJ art. 183).
+  holidays_national: "01-01,01-06,05-01,08-15,10-12,11-01,12-06,12-08,12-24,12-25,12-31",
+  holidays_regional: "02-28",
+  holidays_local: "08-19,09-08",
+  deadline_alert_days: "5",
   mileage_torrox: "0.00",
   mileage_velez_malaga: "0.00",
   mileage_torremolinos: "0.00",
@@ -24,17 +35,47 @@ export const DEFAULT_CONFIG = {
   smtp_user: "",
   smtp_password: "",
   smtp_from: "",
+  // Send attempts of a queued email before it goes to the dead letter state
+  email_max_attempts: "6",
+  // Signature block appended to the templated emails (plain text, empty: none)
+  email_signature: "",
+  // Inbound email: "" (disabled), "imap", or "maildir"/"mbox" (inbound_email_path) for testing
+  inbound_email_source: "",
+  imap_host: "",
+  imap_port: "993",
+  imap_secure: "true",
+  imap_user: "",
+  imap_password: "",
+  imap_mailbox: "INBOX",
+  inbound_email_path: "",
+  inbound_email_interval_minutes: "5",
+  // Delivery reports (bounces) in a mailbox of their own: "" (only the inbound mailbox),
+  // "imap" (bounce_imap_mailbox folder of the IMAP account) or "maildir"/"mbox" (bounce_email_path)
+  bounce_email_source: "",
+  bounce_imap_mailbox: "INBOX",
+  bounce_email_path: "",
   // Document storage
   documents_path: "./data/documents",
   // Certificate configuration
   certificate_path: "",
   certificate_password: "",
+  // Directory with the trusted root certificates (.cer, .crt, .pem) used to verify signed PDFs
+  signature_trusted_roots_path: "",
+  // RFC 3161 timestamp authority for signatures (empty: no timestamp)
+  signature_tsa_url: "",
+  // Embed certificates and CRLs in signed PDFs for long-term validation (PAdES-LTV)
+  signature_ltv_enabled: "false",
 };
 
 // Configuration keys that must be positive numbers
 const NUMERIC_KEYS = [
   "arag_base_fee",
   "vat_rate",
+  "payment_overdue_days",
+  "default_hourly_rate",
+  "deadline_alert_days",
+  "email_max_attempts",
+  "inbound_email_interval_minutes",
   "mileage_torrox",
   "mileage_velez_malaga",
   "mileage_torremolinos",
@@ -47,10 +88,30 @@ const NUMERIC_KEYS = [
 // Configuration keys that must be valid emails
 const EMAIL_KEYS = ["arag_email"];
 
+// Configuration keys holding holiday lists
+const HOLIDAY_KEYS = ["holidays_national", "holidays_regional", "holidays_local"];
+
+// Configuration keys holding service URLs (empty disables the service)
+const URL_KEYS = ["signature_tsa_url"];
+
+// Configuration keys restricted to a list of values
+const OPTION_KEYS = {
+  inbound_email_source: ["", "imap", "maildir", "mbox"],
+  bounce_email_source: ["", "imap", "maildir", "mbox"],
+};
+
+// Invoice series prefix: short, uppercase, no separators
+const INVOICE_SERIES_PATTERN = /^[A-Z0-9]{1,10}$/;
+
 // Reasonable ranges for numeric configuration values
 const NUMERIC_RANGES = {
   arag_base_fee: { min: 0, max: 10000 },
   vat_rate: { min: 0, max: 100 },
+  payment_overdue_days: { min: 1, max: 365 },
+  default_hourly_rate: { min: 0, max: 10000 },
+  deadline_alert_days: { min: 1, max: 60 },
+  email_max_attempts: { min: 1, max: 20 },
+  inbound_email_interval_minutes: { min: 1, max: 1440 },
   mileage_torrox: { min: 0, max: 1000 },
   mileage_velez_malaga: { min: 0, max: 1000 },
   mileage_torremolinos: { min: 0, max: 1000 },
@@ -61,7 +122,7 @@ const NUMERIC_RANGES = {
 };
 
 // Sensitive keys that should never be sent to the frontend
-const SENSITIVE_KEYS = ["smtp_password", "certificate_password"];
+const SENSITIVE_KEYS = ["smtp_password", "certificate_password", "imap_password"];
 const SENSITIVE_PLACEHOLDER = "\u2022\u2022\u2022\u2022\u2022\u2022\u2022\u2022";
 
 // ConfigValidationError removed - use ValidationError from errors.js instead
@@ -113,6 +174,19 @@ export function isValidNumericConfig(key, value) {
   return num >= range.min && num <= range.max;
 }
 
+/**
+ * Validate an http(s) URL
+ * @param {string} value - URL to validate
+ * @returns {boolean} True if valid
+ */
+export function isValidUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(String(value).trim()).protocol);
+  } catch {
+    return false;
+  }
+}
+
 // Flag to track if defaults have been initialized this session
 let defaultsInitialized = false;
 
@@ -162,7 +236,7 @@ export function ensureDefaults() {
   } catch (error) {
     console.error("[Config] Failed to initialize defaults:", error.message);
     throw new DatabaseError(
-      DatabaseErrors.transactionFailed("inicializar configuración").message,
+      DatabaseErrors.transactionFailed("inicializar configuración"),
       { originalError: error.message }
     );
   }
@@ -293,7 +367,7 @@ export function update(updates) {
     // Check if key is valid (reject unknown keys)
     if (DEFAULT_CONFIG[key] === undefined) {
       const errorInfo = ConfigErrors.unknownKey(key, Object.keys(DEFAULT_CONFIG));
-      throw new ValidationError(errorInfo.message, errorInfo.field, errorInfo.details);
+      throw new ValidationError(errorInfo);
     }
 
     // Validate numeric values with range checks
@@ -302,10 +376,10 @@ export function update(updates) {
         const range = NUMERIC_RANGES[key];
         if (range) {
           const errorInfo = ConfigErrors.numericOutOfRange(key, value, range.min, range.max);
-          throw new ValidationError(errorInfo.message, errorInfo.field, errorInfo.details);
+          throw new ValidationError(errorInfo);
         }
         const errorInfo = ConfigErrors.numericInvalid(key, value, "203.00");
-        throw new ValidationError(errorInfo.message, errorInfo.field, errorInfo.details);
+        throw new ValidationError(errorInfo);
       }
     }
 
@@ -313,9 +387,33 @@ export function update(updates) {
     if (EMAIL_KEYS.includes(key)) {
       if (!isValidEmail(value)) {
         const errorInfo = ConfigErrors.emailInvalid(key, value);
-        throw new ValidationError(errorInfo.message, errorInfo.field, errorInfo.details);
+        throw new ValidationError(errorInfo);
       }
     }
+
+    if (HOLIDAY_KEYS.includes(key)) {
+      const { invalid } = parseHolidayList(value);
+      if (invalid.length > 0) {
+        const errorInfo = ConfigErrors.holidayListInvalid(key, invalid);
+        throw new ValidationError(errorInfo);
+      }
+    }
+
+    if (OPTION_KEYS[key] && !OPTION_KEYS[key].includes(String(value))) {
+      const errorInfo = ConfigErrors.optionInvalid(key, value, OPTION_KEYS[key]);
+      throw new ValidationError(errorInfo);
+    }
+
+    if (URL_KEYS.includes(key) && String(value).trim() !== "" && !isValidUrl(value)) {
+      const errorInfo = ConfigErrors.urlInvalid(key, value);
+      throw new ValidationError(errorInfo);
+    }
+
+    // Invoice series becomes part of every invoice number (M-2026-0001)
+    if (key === "invoice_series" && !INVOICE_SERIES_PATTERN.test(String(value))) {
+      const errorInfo = ConfigErrors.invoiceSeriesInvalid(value);
+      throw new ValidationError(errorInfo);
+    }
   }
 
   // Phase 2: Apply all updates in a single atomic transaction
@@ -349,7 +447,7 @@ export function update(updates) {
     // Wrap database errors with informative message
     console.error("[Config] Transaction failed:", error.message);
     const errorInfo = DatabaseErrors.transactionFailed("guardar configuración");
-    throw new DatabaseError(errorInfo.message, { originalError: error.message });
+    throw new DatabaseError(errorInfo, { originalError: error.message });
   }
 
   return getAll();
@@ -364,6 +462,7 @@ export default {
   isValidEmail,
   isPositiveNumber,
   isValidNumericConfig,
+  isValidUrl,
   DEFAULT_CONFIG,
   ConfigValidationError,
 };
@@ -0,0 +1,235 @@
+// Court Calendar
+// Business-day (días hábiles) computation for procedural deadlines (LEC / LJCA)
+//
+// Pure functions: holiday lists are passed in by the caller (see deadlineService),
+// so the calculator can be tested without the configuration table.
+
+export const DAY_TYPES = {
+  BUSINESS: "HABILES",
+  CALENDAR: "NATURALES",
+};
+
+// Holiday entries are "MM-DD" (every year) or "YYYY-MM-DD" (that year only)
+const RECURRING_REGEX = /^(\d{2})-(\d{2})$/;
+const DATED_REGEX = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Safety net for runaway loops (e.g. every day configured as holiday)
+const MAX_SCAN_DAYS = 3660;
+
+/**
+ * Parse an ISO date (YYYY-MM-DD) into a UTC Date
+ * @param {string} value - ISO date
+ * @returns {Date|null} Date at 00:00 UTC or null if invalid
+ */
+export function parseIsoDate(value) {
+  const match = DATED_REGEX.exec(String(value ?? ""));
+  if (!match) return null;
+
+  const [, year, month, day] = match.map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return date;
+}
+
+/**
+ * Format a UTC Date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} ISO date
+ */
+export function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+/**
+ * Easter Sunday of a year (Gregorian computus)
+ * @param {number} year - Year
+ * @returns {string} ISO date of Easter Sunday
+ */
+export function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return toIsoDate(new Date(Date.UTC(year, month - 1, day)));
+}
+
+/**
+ * Parse a configured holiday list ("01-01, 2026-03-19, ...")
+ * Entries may be separated by commas, semicolons or newlines.
+ * @param {string} value - Holiday list
+ * @returns {{entries: string[], invalid: string[]}} Valid entries and rejected ones
+ */
+export function parseHolidayList(value) {
+  const entries = [];
+  const invalid = [];
+
+  for (const raw of String(value ?? "").split(/[,;\n]/)) {
+    const entry = raw.trim();
+    if (!entry) continue;
+
+    const recurring = RECURRING_REGEX.exec(entry);
+    // Validate MM-DD against a leap year so 02-29 is accepted
+    const valid = recurring
+      ? parseIsoDate(`2024-${entry}`) !== null
+      : parseIsoDate(entry) !== null;
+
+    (valid ? entries : invalid).push(entry);
+  }
+
+  return { entries, invalid };
+}
+
+/**
+ * Holidays of a given year
+ * Jueves Santo and Viernes Santo are always included: Viernes Santo is a national
+ * holiday and Jueves Santo is a holiday in Andalucía.
+ * @param {number} year - Year
+ * @param {string[]} entries - Parsed holiday entries (MM-DD or YYYY-MM-DD)
+ * @returns {Set<string>} ISO dates
+ */
+export function getHolidaysForYear(year, entries = []) {
+  const holidays = new Set();
+
+  for (const entry of entries) {
+    if (RECURRING_REGEX.test(entry)) {
+      const date = `${year}-${entry}`;
+      if (parseIsoDate(date)) holidays.add(date);
+    } else if (entry.startsWith(`${year}-`)) {
+      holidays.add(entry);
+    }
+  }
+
+  const easter = parseIsoDate(easterSunday(year));
+  holidays.add(toIsoDate(addDays(easter, -3)));
+  holidays.add(toIsoDate(addDays(easter, -2)));
+
+  return holidays;
+}
+
+/**
+ * Build a predicate that tells whether a date is a business day
+ * Weekends and holidays are never business days; August is not for judicial
+ * deadlines (LOPJ art. 183).
+ * @param {Object} options
+ * @param {string[]} [options.holidays] - Holiday entries (MM-DD or YYYY-MM-DD)
+ * @param {boolean} [options.judicial=true] - Exclude August
+ * @returns {function(Date): boolean}
+ */
+export function createBusinessDayChecker({ holidays = [], judicial = true } = {}) {
+  const byYear = new Map();
+
+  return (date) => {
+    const weekday = date.getUTCDay();
+    if (weekday === 0 || weekday === 6) return false;
+    if (judicial && date.getUTCMonth() === 7) return false;
+
+    const year = date.getUTCFullYear();
+    if (!byYear.has(year)) byYear.set(year, getHolidaysForYear(year, holidays));
+    return !byYear.get(year).has(toIsoDate(date));
+  };
+}
+
+/**
+ * Whether a date is a business day
+ * @param {string} date - ISO date
+ * @param {Object} [options] - { holidays, judicial }
+ * @returns {boolean}
+ */
+export function isBusinessDay(date, options = {}) {
+  const parsed = parseIsoDate(date);
+  if (!parsed) return false;
+  return createBusinessDayChecker(options)(parsed);
+}
+
+/**
+ * Compute the last day of a deadline counted in days
+ * The count starts the day after the notification (LEC art. 133.1). Business-day
+ * deadlines skip non-business days; calendar-day deadlines count every day but,
+ * if they end on a non-business day, move to the next business day (LEC art. 133.4).
+ *
+ * @param {string} startDate - Notification date (ISO)
+ * @param {number} days - Number of days
+ * @param {Object} [options]
+ * @param {string} [options.dayType="HABILES"] - One of DAY_TYPES
+ * @param {boolean} [options.judicial=true] - Exclude August
+ * @param {string[]} [options.holidays] - Holiday entries
+ * @returns {string|null} Due date (ISO) or null if the input is invalid
+ */
+export function computeDueDate(startDate, days, options = {}) {
+  const start = parseIsoDate(startDate);
+  if (!start || !Number.isInteger(days) || days < 1) return null;
+
+  const { dayType = DAY_TYPES.BUSINESS } = options;
+  const isBusiness = createBusinessDayChecker(options);
+
+  let date = start;
+  if (dayType === DAY_TYPES.CALENDAR) {
+    date = addDays(start, days);
+  } else {
+    let counted = 0;
+    for (let scanned = 0; counted < days; scanned++) {
+      if (scanned > MAX_SCAN_DAYS) return null;
+      date = addDays(date, 1);
+      if (isBusiness(date)) counted++;
+    }
+  }
+
+  for (let scanned = 0; !isBusiness(date); scanned++) {
+    if (scanned > MAX_SCAN_DAYS) return null;
+    date = addDays(date, 1);
+  }
+
+  return toIsoDate(date);
+}
+
+/**
+ * Business days left from today until a due date (0 on the due date itself)
+ * @param {string} dueDate - ISO date
+ * @param {string} today - ISO date
+ * @param {Object} [options] - { holidays, judicial }
+ * @returns {number} Remaining business days (negative when overdue, in calendar days)
+ */
+export function businessDaysUntil(dueDate, today, options = {}) {
+  const due = parseIsoDate(dueDate);
+  const from = parseIsoDate(today);
+  if (!due || !from) return null;
+
+  if (due < from) {
+    return -Math.round((from - due) / MS_PER_DAY);
+  }
+
+  const isBusiness = createBusinessDayChecker(options);
+  let remaining = 0;
+  for (let date = addDays(from, 1); date <= due; date = addDays(date, 1)) {
+    if (isBusiness(date)) remaining++;
+  }
+  return remaining;
+}
+
+export default {
+  DAY_TYPES,
+  parseIsoDate,
+  toIsoDate,
+  easterSunday,
+  parseHolidayList,
+  getHolidaysForYear,
+  createBusinessDayChecker,
+  isBusinessDay,
+  computeDueDate,
+  businessDaysUntil,
+};
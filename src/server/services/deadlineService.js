@@ -0,0 +1,409 @@
+// Deadline Service
+// Procedural deadlines (plazos) per case, computed in court business days
+
+import { execute, query, queryOne } from "../database.js";
+import { ValidationError, NotFoundError } from "../errors.js";
+import { DeadlineErrors } from "../errorMessages.js";
+import { get as getConfigValue } from "./configurationService.js";
+import {
+  DAY_TYPES,
+  parseIsoDate,
+  parseHolidayList,
+  computeDueDate,
+  businessDaysUntil,
+} from "./courtCalendar.js";
+
+export { DAY_TYPES };
+
+export const DEADLINE_STATUS = {
+  PENDING: "PENDIENTE",
+  DUE_SOON: "PROXIMO",
+  OVERDUE: "VENCIDO",
+  COMPLETED: "CUMPLIDO",
+};
+
+export const DEFAULT_ALERT_DAYS = 5;
+
+const HOLIDAY_CONFIG_KEYS = ["holidays_national", "holidays_regional", "holidays_local"];
+const MAX_DAYS = 365;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Today's date as YYYY-MM-DD
+ * @returns {string}
+ */
+function todayIso() {
+  return new Date().toISOString().split("T")[0];
+}
+
+/**
+ * Holiday entries from configuration (national, regional and local)
+ * @returns {string[]} MM-DD and YYYY-MM-DD entries
+ */
+export function getConfiguredHolidays() {
+  return HOLIDAY_CONFIG_KEYS.flatMap((key) => parseHolidayList(getConfigValue(key)).entries);
+}
+
+/**
+ * Compute a due date with the configured holidays
+ * @param {Object} data - { startDate, days, dayType, judicial }
+ * @returns {{startDate: string, days: number, dayType: string, judicial: boolean, dueDate: string}}
+ * @throws {ValidationError} If any field is invalid
+ */
+export function calculate(data = {}) {
+  const input = validateComputation(data);
+  const dueDate = computeDueDate(input.startDate, input.days, {
+    dayType: input.dayType,
+    judicial: input.judicial,
+    holidays: getConfiguredHolidays(),
+  });
+  return { ...input, dueDate };
+}
+
+/**
+ * Validate the fields that define a computed deadline
+ * @param {Object} data - { startDate, days, dayType, judicial }
+ * @returns {{startDate: string, days: number, dayType: string, judicial: boolean}}
+ * @throws {ValidationError}
+ */
+function validateComputation(data) {
+  if (!parseIsoDate(data.startDate)) {
+    const errorInfo = DeadlineErrors.dateInvalid("startDate", data.startDate);
+    throw new ValidationError(errorInfo);
+  }
+
+  const days = typeof data.days === "string" ? Number(data.days) : data.days;
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    const errorInfo = DeadlineErrors.daysInvalid(data.days);
+    throw new ValidationError(errorInfo);
+  }
+
+  const dayType = data.dayType || DAY_TYPES.BUSINESS;
+  const validTypes = Object.values(DAY_TYPES);
+  if (!validTypes.includes(dayType)) {
+    const errorInfo = DeadlineErrors.dayTypeInvalid(dayType, validTypes);
+    throw new ValidationError(errorInfo);
+  }
+
+  return {
+    startDate: data.startDate,
+    days,
+    dayType,
+    judicial: data.judicial === undefined ? true : Boolean(data.judicial),
+  };
+}
+
+/**
+ * Validate deadline input and resolve its due date
+ * With days, the due date is computed from the notification date; without, an
+ * explicit due date (set by the court) is required.
+ * @param {Object} data - Deadline fields
+ * @returns {Object} Normalized column values
+ * @throws {ValidationError}
+ */
+function resolveDeadline(data) {
+  const title = typeof data.title === "string" ? data.title.trim() : "";
+  if (!title) {
+    const errorInfo = DeadlineErrors.titleRequired();
+    throw new ValidationError(errorInfo);
+  }
+
+  const notes = data.notes ? String(data.notes).trim() || null : null;
+  const hasDays = data.days !== undefined && data.days !== null && data.days !== "";
+
+  if (hasDays) {
+    const computed = calculate(data);
+    return { title, notes, ...computed };
+  }
+
+  if (!data.dueDate) {
+    const errorInfo = DeadlineErrors.dueDateRequired();
+    throw new ValidationError(errorInfo);
+  }
+  if (!parseIsoDate(data.dueDate)) {
+    const errorInfo = DeadlineErrors.dateInvalid("dueDate", data.dueDate);
+    throw new ValidationError(errorInfo);
+  }
+  if (data.startDate && !parseIsoDate(data.startDate)) {
+    const errorInfo = DeadlineErrors.dateInvalid("startDate", data.startDate);
+    throw new ValidationError(errorInfo);
+  }
+
+  return {
+    title,
+    notes,
+    startDate: data.startDate || null,
+    days: null,
+    dayType: DAY_TYPES.BUSINESS,
+    judicial: data.judicial === undefined ? true : Boolean(data.judicial),
+    dueDate: data.dueDate,
+  };
+}
+
+/**
+ * Create a deadline for a case
+ * @param {number} caseId - Case ID
+ * @param {Object} data - { title, notes, startDate, days, dayType, judicial } or { title, dueDate }
+ * @param {Object} [actor] - User creating the deadline
+ * @returns {Object} Created deadline
+ * @throws {NotFoundError|ValidationError}
+ */
+export function create(caseId, data = {}, actor = null) {
+  if (!queryOne("SELECT id FROM cases WHERE id = ?", [caseId])) {
+    const errorInfo = DeadlineErrors.caseNotFound(caseId);
+    throw new NotFoundError(errorInfo);
+  }
+
+  const d = resolveDeadline(data);
+  const result = execute(
+    `INSERT INTO deadlines (case_id, title, notes, start_date, days, day_type, judicial, due_date, created_by_user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [caseId, d.title, d.notes, d.startDate, d.days, d.dayType, d.judicial ? 1 : 0, d.dueDate, actor?.id ?? null]
+  );
+
+  return getById(result.lastInsertRowid);
+}
+
+/**
+ * Get deadline by ID
+ * @param {number} id - Deadline ID
+ * @returns {Object|null} Deadline or null if not found
+ */
+export function getById(id) {
+  const row = queryOne(
+    `SELECT d.*, c.client_name, c.internal_reference, c.type as case_type
+     FROM deadlines d JOIN cases c ON c.id = d.case_id
+     WHERE d.id = ?`,
+    [id]
+  );
+  return row
+    ? mapRowToDeadline(row, { holidays: getConfiguredHolidays(), alertDays: getAlertDays() })
+    : null;
+}
+
+/**
+ * Get the deadlines of a case (earliest due first)
+ * @param {number} caseId - Case ID
+ * @returns {Array} Deadlines
+ */
+export function getByCaseId(caseId) {
+  return list({ caseId });
+}
+
+/**
+ * List deadlines
+ * @param {Object} [filters] - { caseId, from, to, pending }
+ * @param {Object} [options] - { today, alertDays }
+ * @returns {Array} Deadlines with case data, earliest due first
+ */
+export function list(filters = {}, options = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.caseId) {
+    conditions.push("d.case_id = ?");
+    params.push(filters.caseId);
+  }
+  if (filters.from) {
+    conditions.push("d.due_date >= ?");
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    conditions.push("d.due_date <= ?");
+    params.push(filters.to);
+  }
+  if (filters.pending) {
+    conditions.push("d.completed_at IS NULL");
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const mapOptions = {
+    holidays: getConfiguredHolidays(),
+    today: options.today,
+    alertDays: options.alertDays ?? getAlertDays(),
+  };
+
+  return query(
+    `SELECT d.*, c.client_name, c.internal_reference, c.type as case_type
+     FROM deadlines d JOIN cases c ON c.id = d.case_id
+     ${where}
+     ORDER BY d.due_date ASC, d.id ASC`,
+    params
+  ).map((row) => mapRowToDeadline(row, mapOptions));
+}
+
+/**
+ * Pending deadlines that are overdue or due within the alert window
+ * @param {Object} [options] - { alertDays, today }
+ * @returns {{overdue: Array, dueSoon: Array, alertDays: number}}
+ */
+export function getUpcoming(options = {}) {
+  const alertDays = options.alertDays ?? getAlertDays();
+  const today = options.today || todayIso();
+  const until = new Date(`${today}T00:00:00Z`);
+  until.setUTCDate(until.getUTCDate() + alertDays);
+
+  const deadlines = list(
+    { to: until.toISOString().slice(0, 10), pending: true },
+    { today, alertDays }
+  );
+
+  return {
+    overdue: deadlines.filter((d) => d.status === DEADLINE_STATUS.OVERDUE),
+    dueSoon: deadlines.filter((d) => d.status !== DEADLINE_STATUS.OVERDUE),
+    alertDays,
+  };
+}
+
+/**
+ * Update a deadline
+ * The due date is only recomputed when the computation fields are given, so a
+ * change to the holiday calendar never moves an existing deadline.
+ * @param {number} id - Deadline ID
+ * @param {Object} data - Fields to change
+ * @returns {Object} Updated deadline
+ * @throws {NotFoundError|ValidationError}
+ */
+export function update(id, data = {}) {
+  const current = getById(id);
+  if (!current) {
+    const errorInfo = DeadlineErrors.notFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+
+  const merged = { ...current, ...data };
+  // An explicit due date without days replaces a computed deadline
+  if (data.dueDate !== undefined && data.days === undefined) {
+    merged.days = null;
+  }
+
+  const d = resolveDeadline(merged);
+  const recompute = ["startDate", "days", "dayType", "judicial", "dueDate"].some(
+    (key) => data[key] !== undefined
+  );
+  if (!recompute) {
+    d.dueDate = current.dueDate;
+  }
+  execute(
+    `UPDATE deadlines
+     SET title = ?, notes = ?, start_date = ?, days = ?, day_type = ?, judicial = ?, due_date = ?,
+         updated_at = datetime('now')
+     WHERE id = ?`,
+    [d.title, d.notes, d.startDate, d.days, d.dayType, d.judicial ? 1 : 0, d.dueDate, id]
+  );
+
+  return getById(id);
+}
+
+/**
+ * Mark a deadline as completed (or pending again)
+ * @param {number} id - Deadline ID
+ * @param {boolean} [completed=true] - New state
+ * @returns {Object} Updated deadline
+ * @throws {NotFoundError}
+ */
+export function setCompleted(id, completed = true) {
+  const result = execute(
+    `UPDATE deadlines
+     SET completed_at = ${completed ? "COALESCE(completed_at, datetime('now'))" : "NULL"},
+         updated_at = datetime('now')
+     WHERE id = ?`,
+    [id]
+  );
+  if (result.changes === 0) {
+    const errorInfo = DeadlineErrors.notFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+  return getById(id);
+}
+
+/**
+ * Delete a deadline
+ * @param {number} id - Deadline ID
+ * @returns {boolean} True if deleted
+ * @throws {NotFoundError}
+ */
+export function deleteDeadline(id) {
+  const result = execute("DELETE FROM deadlines WHERE id = ?", [id]);
+  if (result.changes === 0) {
+    const errorInfo = DeadlineErrors.notFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+  return true;
+}
+
+/**
+ * Map database row to deadline object
+ * @param {Object} row - Database row (joined with cases)
+ * @param {Object} options - { holidays, today, alertDays }
+ * @returns {Object} Deadline object with status and remaining business days
+ */
+function mapRowToDeadline(row, { holidays, today = todayIso(), alertDays = DEFAULT_ALERT_DAYS }) {
+  const remainingDays = row.completed_at
+    ? null
+    : businessDaysUntil(row.due_date, today, { holidays, judicial: Boolean(row.judicial) });
+
+  let status = DEADLINE_STATUS.PENDING;
+  if (row.completed_at) {
+    status = DEADLINE_STATUS.COMPLETED;
+  } else if (row.due_date < today) {
+    status = DEADLINE_STATUS.OVERDUE;
+  } else if (daysBetween(today, row.due_date) <= alertDays) {
+    status = DEADLINE_STATUS.DUE_SOON;
+  }
+
+  return {
+    id: row.id,
+    caseId: row.case_id,
+    title: row.title,
+    notes: row.notes,
+    startDate: row.start_date,
+    days: row.days,
+    dayType: row.day_type,
+    judicial: Boolean(row.judicial),
+    dueDate: row.due_date,
+    completedAt: row.completed_at,
+    status,
+    remainingDays,
+    clientName: row.client_name,
+    internalReference: row.internal_reference,
+    caseType: row.case_type,
+    createdByUserId: row.created_by_user_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Calendar days between two ISO dates
+ * @param {string} from - ISO date
+ * @param {string} to - ISO date
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+/**
+ * Days before the due date at which a deadline is flagged (configurable)
+ * @returns {number}
+ */
+function getAlertDays() {
+  return getConfigValue("deadline_alert_days") ?? DEFAULT_ALERT_DAYS;
+}
+
+export default {
+  DAY_TYPES,
+  DEADLINE_STATUS,
+  DEFAULT_ALERT_DAYS,
+  getConfiguredHolidays,
+  calculate,
+  create,
+  getById,
+  getByCaseId,
+  list,
+  getUpcoming,
+  update,
+  setCompleted,
+  deleteDeadline,
+};
@@ -0,0 +1,99 @@
+// Default Email Templates
+// Built-in subject and body of the workflow emails, in the placeholder language of
+// templateEngine.js, one per case language. The office can replace them from
+// Configuración (stored in email_templates). html null: plain text only.
+
+const MINUTA = {
+  subject:
+    "{{case.aragReference}} - {{#if document.rectification}}MINUTA RECTIFICATIVA{{else}}MINUTA{{/if}}",
+  text: `{{#if document.rectification}}
+Adjunto factura rectificativa {{document.invoiceNumber}} para el expediente {{case.aragReference}}, que sustituye a la minuta {{#if document.rectification.invoiceNumber}}{{document.rectification.invoiceNumber}}{{else}}del {{document.rectification.issueDate | date}}{{/if}}.
+{{else}}
+Adjunto minuta (factura {{document.invoiceNumber}}) para el expediente {{case.aragReference}}.
+{{/if}}`,
+  html: null,
+};
+
+const MINUTA_EN = {
+  subject:
+    "{{case.aragReference}} - {{#if document.rectification}}CORRECTIVE INVOICE{{else}}FEE NOTE{{/if}}",
+  text: `{{#if document.rectification}}
+Please find attached corrective invoice {{document.invoiceNumber}} for case {{case.aragReference}}, which replaces fee note {{#if document.rectification.invoiceNumber}}{{document.rectification.invoiceNumber}}{{else}}of {{document.rectification.issueDate | date}}{{/if}}.
+{{else}}
+Please find attached the fee note (invoice {{document.invoiceNumber}}) for case {{case.aragReference}}.
+{{/if}}`,
+  html: null,
+};
+
+const SUPLIDO = {
+  subject: "{{case.aragReference}} - SUPLIDO - {{document.district}}",
+  text: "Adjunto suplido por desplazamiento a {{document.district}} para el expediente {{case.aragReference}}.",
+  html: null,
+};
+
+const SUPLIDO_EN = {
+  subject: "{{case.aragReference}} - TRAVEL EXPENSES - {{document.district}}",
+  text: "Please find attached the travel expenses to {{document.district}} for case {{case.aragReference}}.",
+  html: null,
+};
+
+const HOJA_ENCARGO = {
+  subject: "Hoja de Encargo - {{case.internalReference}} - {{client.name}}",
+  text: `Estimado/a {{client.name}},
+
+Adjunto encontrará la Hoja de Encargo correspondiente a los servicios profesionales acordados.
+
+Referencia: {{case.internalReference}}
+
+Por favor, revise el documento y no dude en contactarnos si tiene alguna pregunta.
+
+Atentamente,
+El Despacho`,
+  html: null,
+};
+
+const HOJA_ENCARGO_EN = {
+  subject: "Engagement Letter - {{case.internalReference}} - {{client.name}}",
+  text: `Dear {{client.name}},
+
+Please find attached the Engagement Letter for the professional services agreed.
+
+Reference: {{case.internalReference}}
+
+Please review the document and do not hesitate to contact us if you have any questions.
+
+Kind regards,
+The Law Firm`,
+  html: null,
+};
+
+const GENERIC = {
+  subject: "Expediente {{case.internalReference}}",
+  text: `Estimado/a {{client.name}},
+
+Adjunto le remitimos la documentación del expediente {{case.internalReference}}.
+
+Atentamente,
+El Despacho`,
+  html: null,
+};
+
+const GENERIC_EN = {
+  subject: "Case {{case.internalReference}}",
+  text: `Dear {{client.name}},
+
+Please find attached the documents of case {{case.internalReference}}.
+
+Kind regards,
+The Law Firm`,
+  html: null,
+};
+
+export const DEFAULT_EMAIL_TEMPLATES = {
+  MINUTA: { name: "Minuta y factura rectificativa (ARAG)", content: { es: MINUTA, en: MINUTA_EN } },
+  SUPLIDO: { name: "Suplido por desplazamiento (ARAG)", content: { es: SUPLIDO, en: SUPLIDO_EN } },
+  HOJA_ENCARGO: { name: "Hoja de encargo (Particulares)", content: { es: HOJA_ENCARGO, en: HOJA_ENCARGO_EN } },
+  GENERIC: { name: "Email genérico", content: { es: GENERIC, en: GENERIC_EN } },
+};
+
+export default DEFAULT_EMAIL_TEMPLATES;
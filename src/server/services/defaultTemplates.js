@@ -0,0 +1,159 @@
+// Default Document Templates
+// Built-in layouts of the generated PDFs, in the template language of templateEngine.js,
+// one per case language. The office can replace them from Configuración (stored in document_templates).
+
+const MINUTA = `@color #2c3e50
+@titulo {{#if document.rectification}}FACTURA RECTIFICATIVA{{else}}MINUTA DE HONORARIOS{{/if}}
+
+@seccion DATOS DEL EXPEDIENTE
+@campos
+Cliente: {{case.clientName}}
+Ref. Interna: {{case.internalReference}}
+Ref. ARAG: {{case.aragReference}}
+Fecha: {{document.date | date}}
+Nº Factura: {{document.invoiceNumber}}
+
+{{#if document.rectification}}
+@seccion FACTURA RECTIFICADA
+@campos 1
+Sustituye a: {{document.rectification.invoiceNumber}} de {{document.rectification.issueDate | date}}
+Motivo: {{document.rectification.reason}}
+{{/if}}
+
+@seccion DESGLOSE DE HONORARIOS
+@tabla CONCEPTO | IMPORTE
+{{document.concept}} | {{document.amounts.baseAmount | currency}}
+IVA ({{document.amounts.vatRate}}%) | {{document.amounts.vatAmount | currency}}
+@total TOTAL A PERCIBIR | {{document.amounts.total | currency}}
+
+@nota Documento generado electrónicamente. Los honorarios indicados corresponden a la tarifa fija establecida por el convenio con ARAG Seguros.
+`;
+
+const SUPLIDO = `@color #1a5276
+@titulo SUPLIDO POR DESPLAZAMIENTO
+
+@seccion DATOS DEL EXPEDIENTE
+@campos
+Cliente: {{case.clientName}}
+Ref. Interna: {{case.internalReference}}
+Ref. ARAG: {{case.aragReference}}
+Fecha: {{document.date | date}}
+
+@seccion PARTIDO JUDICIAL
+@destacado {{document.district | upper}}
+
+@seccion IMPORTE POR DESPLAZAMIENTO
+@importe {{document.amount | currency}}
+
+@nota Documento generado electrónicamente. El importe corresponde a los gastos de desplazamiento según la tarifa configurada para el partido judicial indicado.
+`;
+
+const HOJA_ENCARGO = `@encabezado HOJA DE ENCARGO PROFESIONAL
+
+@seccion DATOS DEL CLIENTE
+@campos
+Cliente: {{case.clientName}}
+Referencia: {{case.internalReference}}
+Fecha: {{document.date | date}}
+NIF: {{client.nif}}
+
+@seccion SERVICIOS PROFESIONALES CONTRATADOS
+{{document.services}}
+
+@seccion HONORARIOS PROFESIONALES
+@campos 1
+Importe total acordado: {{document.fees | currency}}
+
+@seccion CONDICIONES GENERALES
+@clausula 1. El cliente acepta expresamente los términos del presente encargo profesional y autoriza al abogado a actuar en su nombre y representación en el asunto objeto del encargo.
+@clausula 2. Los honorarios indicados no incluyen suplidos, tasas judiciales ni gastos de terceros que pudieran derivarse de la tramitación del asunto.
+@clausula 3. El presente documento tiene plena validez como acuerdo de servicios profesionales entre las partes.
+{{#if document.bilingual}}
+@clausula 4. El presente documento se extiende en español e inglés. En caso de discrepancia entre ambas versiones prevalecerá la versión española.
+{{/if}}
+
+@firmas Firma del Cliente | Firma del Abogado
+@pie {{case.internalReference}} · {{document.date | date}}
+`;
+
+const MINUTA_EN = `@color #2c3e50
+@titulo {{#if document.rectification}}CORRECTIVE INVOICE{{else}}FEE NOTE{{/if}}
+
+@seccion CASE DETAILS
+@campos
+Client: {{case.clientName}}
+Internal Ref.: {{case.internalReference}}
+ARAG Ref.: {{case.aragReference}}
+Date: {{document.date | date}}
+Invoice No.: {{document.invoiceNumber}}
+
+{{#if document.rectification}}
+@seccion CORRECTED INVOICE
+@campos 1
+Replaces: {{document.rectification.invoiceNumber}} of {{document.rectification.issueDate | date}}
+Reason: {{document.rectification.reason}}
+{{/if}}
+
+@seccion FEE BREAKDOWN
+@tabla DESCRIPTION | AMOUNT
+{{document.concept}} | {{document.amounts.baseAmount | currency}}
+VAT ({{document.amounts.vatRate}}%) | {{document.amounts.vatAmount | currency}}
+@total TOTAL DUE | {{document.amounts.total | currency}}
+
+@nota Electronically generated document. The fees shown correspond to the fixed rate set in the agreement with ARAG Seguros.
+`;
+
+const SUPLIDO_EN = `@color #1a5276
+@titulo TRAVEL EXPENSES
+
+@seccion CASE DETAILS
+@campos
+Client: {{case.clientName}}
+Internal Ref.: {{case.internalReference}}
+ARAG Ref.: {{case.aragReference}}
+Date: {{document.date | date}}
+
+@seccion JUDICIAL DISTRICT
+@destacado {{document.district | upper}}
+
+@seccion TRAVEL AMOUNT
+@importe {{document.amount | currency}}
+
+@nota Electronically generated document. The amount corresponds to the travel expenses at the rate configured for the judicial district shown.
+`;
+
+const HOJA_ENCARGO_EN = `@encabezado PROFESSIONAL ENGAGEMENT LETTER
+
+@seccion CLIENT DETAILS
+@campos
+Client: {{case.clientName}}
+Reference: {{case.internalReference}}
+Date: {{document.date | date}}
+Tax ID (NIF): {{client.nif}}
+
+@seccion PROFESSIONAL SERVICES ENGAGED
+{{document.services}}
+
+@seccion PROFESSIONAL FEES
+@campos 1
+Total agreed fee: {{document.fees | currency}}
+
+@seccion GENERAL TERMS
+@clausula 1. The client expressly accepts the terms of this professional engagement and authorises the lawyer to act on their behalf in the matter covered by the engagement.
+@clausula 2. The fees shown do not include disbursements, court fees or third-party costs that may arise in the handling of the matter.
+@clausula 3. This document is fully valid as an agreement for professional services between the parties.
+{{#if document.bilingual}}
+@clausula 4. This document is issued in Spanish and English. In case of discrepancy between the two versions, the Spanish version shall prevail.
+{{/if}}
+
+@firmas Client's signature | Lawyer's signature
+@pie {{case.internalReference}} · {{document.date | date}}
+`;
+
+export const DEFAULT_TEMPLATES = {
+  MINUTA: { name: "Minuta de honorarios (ARAG)", body: { es: MINUTA, en: MINUTA_EN } },
+  SUPLIDO: { name: "Suplido por desplazamiento (ARAG)", body: { es: SUPLIDO, en: SUPLIDO_EN } },
+  HOJA_ENCARGO: { name: "Hoja de encargo (Particulares)", body: { es: HOJA_ENCARGO, en: HOJA_ENCARGO_EN } },
+};
+
+export default DEFAULT_TEMPLATES;
@@ -1,31 +1,67 @@
 /**
  * Document History Service
  * Manages document generation records for cases
+ * Files are never removed: every file a document points to is kept as a
+ * version with its SHA-256 hash, and deleted documents can be restored.
  */
-import { existsSync, unlinkSync } from "node:fs";
 import { execute, queryOne, query } from "../database.js";
+import { recordVersion, VERSION_REASONS } from "./documentVersionService.js";
+import { indexDocument } from "./searchService.js";
 
 export class DocumentHistoryService {
   /**
    * Create document history record
+   * The file is recorded as version 1 with its hash. The PDF text is extracted
+   * and added to the search index in the background.
    * @param {Object} data - Document data
    * @param {number} data.caseId - Case ID
-   * @param {string} data.documentType - 'MINUTA' | 'SUPLIDO'
-   * @param {string} data.filePath - Path to PDF file
+   * @param {string} data.documentType - 'MINUTA' | 'MINUTA_RECTIFICATIVA' | 'SUPLIDO' | 'HOJA_ENCARGO' | 'FACTURA_HORAS'
+   *   | 'SOLICITUD_PROVISION' | 'MANUAL_UPLOAD'
+   * @param {string} data.filePath - Path to the file
    * @param {boolean|number} data.signed - Whether document is signed
+   * @param {number} [data.rectifiesDocumentId] - Document superseded by this one
+   * @param {number} [data.amountDue] - Billed total (minutas and suplidos)
+   * @param {Object} [data.upload] - Uploaded files (MANUAL_UPLOAD): { originalName, mimeType, fileSize,
+   *   category, description, tags, uploadedByUserId }
    * @returns {Object} Created record
    */
   create(data) {
+    const upload = data.upload || {};
     const result = execute(
-      `INSERT INTO document_history (case_id, document_type, file_path, generated_at, signed)
-       VALUES (?, ?, ?, datetime('now'), ?)`,
-      [data.caseId, data.documentType, data.filePath, data.signed ? 1 : 0],
+      `INSERT INTO document_history (case_id, document_type, file_path, generated_at, signed,
+         rectifies_document_id, amount_due, original_name, mime_type, file_size, category,
+         description, tags, uploaded_by_user_id)
+       VALUES (?, ?, ?, datetime('now'), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        data.caseId,
+        data.documentType,
+        data.filePath,
+        data.signed ? 1 : 0,
+        data.rectifiesDocumentId || null,
+        data.amountDue ?? null,
+        upload.originalName ?? null,
+        upload.mimeType ?? null,
+        upload.fileSize ?? null,
+        upload.category ?? null,
+        upload.description ?? null,
+        JSON.stringify(upload.tags || []),
+        upload.uploadedByUserId ?? null,
+      ],
     );
+    recordVersion(
+      result.lastInsertRowid,
+      data.filePath,
+      VERSION_REASONS.CREATED,
+      upload.uploadedByUserId ?? null,
+    );
+    indexDocument(result.lastInsertRowid).catch((error) => {
+      console.error("[Search] Failed to index document:", error.message);
+    });
     return this.getById(result.lastInsertRowid);
   }
 
   /**
-   * Get document by ID
+   * Get document by ID (deleted documents included)
    * @param {number} id - Document ID
    * @returns {Object|null}
    */
@@ -35,16 +71,33 @@ export class DocumentHistoryService {
 
   /**
    * Get documents for a case, ordered by date descending
+   * Each document includes superseded_by: the rectifying document ID, or null
    * @param {number} caseId - Case ID
    * @returns {Array}
    */
   getByCaseId(caseId) {
     return query(
-      "SELECT * FROM document_history WHERE case_id = ? ORDER BY generated_at DESC",
+      `SELECT dh.*,
+         (SELECT r.id FROM document_history r
+          WHERE r.rectifies_document_id = dh.id AND r.deleted_at IS NULL) as superseded_by
+       FROM document_history dh
+       WHERE dh.case_id = ? AND dh.deleted_at IS NULL ORDER BY dh.generated_at DESC`,
       [caseId],
     );
   }
 
+  /**
+   * Get the document that rectifies (supersedes) a given document
+   * @param {number} id - Rectified document ID
+   * @returns {Object|null}
+   */
+  getRectifyingDocument(id) {
+    return queryOne(
+      "SELECT * FROM document_history WHERE rectifies_document_id = ? AND deleted_at IS NULL",
+      [id],
+    );
+  }
+
   /**
    * Update signed status
    * @param {number} id - Document ID
@@ -59,14 +112,18 @@ export class DocumentHistoryService {
 
   /**
    * Update file path (used after signing to point to signed file)
+   * The previous file is kept as an earlier version.
    * @param {number} id - Document ID
    * @param {string} filePath - New file path
+   * @param {string} [reason] - Version reason (see VERSION_REASONS)
+   * @param {number|null} [userId] - User who caused the change
    */
-  updateFilePath(id, filePath) {
+  updateFilePath(id, filePath, reason = VERSION_REASONS.SIGNED, userId = null) {
     execute("UPDATE document_history SET file_path = ? WHERE id = ?", [
       filePath,
       id,
     ]);
+    recordVersion(id, filePath, reason, userId);
   }
 
   /**
@@ -76,47 +133,65 @@ export class DocumentHistoryService {
    */
   getCountByCaseId(caseId) {
     const result = queryOne(
-      "SELECT COUNT(*) as count FROM document_history WHERE case_id = ?",
+      "SELECT COUNT(*) as count FROM document_history WHERE case_id = ? AND deleted_at IS NULL",
       [caseId],
     );
     return result?.count || 0;
   }
 
   /**
-   * Delete a document record and optionally its file
+   * Delete a document (soft delete)
+   * The record, its versions and files are kept; the document is hidden from
+   * the case and removed from the search index until it is restored.
    * @param {number} id - Document ID
-   * @param {boolean} deleteFile - Whether to delete the physical file
-   * @returns {boolean} True if deleted
+   * @param {number|null} [userId] - User deleting the document
+   * @returns {boolean} True if deleted (false if not found or already deleted)
    */
-  delete(id, deleteFile = true) {
-    const doc = this.getById(id);
-    if (!doc) return false;
+  delete(id, userId = null) {
+    const result = execute(
+      `UPDATE document_history SET deleted_at = datetime('now'), deleted_by_user_id = ?
+       WHERE id = ? AND deleted_at IS NULL`,
+      [userId, id],
+    );
+    if (result.changes === 0) return false;
 
-    // Delete the physical file if requested and it exists
-    if (deleteFile && doc.file_path) {
-      try {
-        if (existsSync(doc.file_path)) {
-          unlinkSync(doc.file_path);
-        }
-      } catch (err) {
-        console.error(`Error deleting file ${doc.file_path}:`, err);
-        // Continue with database deletion even if file deletion fails
-      }
-    }
+    execute(
+      "DELETE FROM search_index WHERE entity_type = 'document' AND entity_id = ?",
+      [id],
+    );
+    return true;
+  }
+
+  /**
+   * Restore a deleted document
+   * @param {number} id - Document ID
+   * @returns {boolean} True if restored (false if not found or not deleted)
+   */
+  restore(id) {
+    const result = execute(
+      `UPDATE document_history SET deleted_at = NULL, deleted_by_user_id = NULL
+       WHERE id = ? AND deleted_at IS NOT NULL`,
+      [id],
+    );
+    if (result.changes === 0) return false;
 
-    const result = execute("DELETE FROM document_history WHERE id = ?", [id]);
-    return result.changes > 0;
+    indexDocument(id).catch((error) => {
+      console.error("[Search] Failed to index document:", error.message);
+    });
+    return true;
   }
 
   /**
    * Get documents by type for a case
    * @param {number} caseId - Case ID
-   * @param {string} documentType - 'MINUTA' | 'SUPLIDO'
+   * @param {string} documentType - 'MINUTA' | 'MINUTA_RECTIFICATIVA' | 'SUPLIDO'
    * @returns {Array}
    */
   getByCaseIdAndType(caseId, documentType) {
     return query(
-      "SELECT * FROM document_history WHERE case_id = ? AND document_type = ? ORDER BY generated_at DESC",
+      `SELECT * FROM document_history
+       WHERE case_id = ? AND document_type = ? AND deleted_at IS NULL
+       ORDER BY generated_at DESC`,
       [caseId, documentType],
     );
   }
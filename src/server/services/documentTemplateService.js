@@ -0,0 +1,390 @@
+// Document Template Service
+// Editable templates of the generated PDFs and the data their placeholders can use
+
+import { execute, queryOne } from "../database.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { TemplateErrors } from "../errorMessages.js";
+import { DEFAULT_TEMPLATES } from "./defaultTemplates.js";
+import { MAX_TEMPLATE_LENGTH, validateTemplate } from "./templateEngine.js";
+import { DEFAULT_CONFIG, getAll as getAllConfig } from "./configurationService.js";
+import { getById as getClientById } from "./clientService.js";
+import { getById as getCaseById } from "./caseService.js";
+import { madridNow } from "../utils.js";
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from "./localeService.js";
+
+// Document types with an editable template
+export const TEMPLATE_TYPES = Object.keys(DEFAULT_TEMPLATES);
+
+// Case fields available as {{case.*}}
+const CASE_FIELDS = [
+  "id",
+  "type",
+  "clientName",
+  "internalReference",
+  "aragReference",
+  "designation",
+  "state",
+  "entryDate",
+  "judicialDate",
+  "judicialDistrict",
+  "closureDate",
+  "observations",
+  "language",
+];
+
+// Client fields available as {{client.*}}
+const CLIENT_FIELDS = ["name", "nif", "email", "phone", "address"];
+
+// Configuration keys never exposed to templates
+const PRIVATE_CONFIG_REGEX = /password|^smtp_|^certificate_|^documents_path$/;
+
+// Sample {{document.*}} data per type: the fields each generator provides
+const SAMPLE_DOCUMENTS = {
+  MINUTA: {
+    date: "2026-01-15",
+    invoiceNumber: "M-2026-0001",
+    concept: "Honorarios profesionales",
+    amounts: { baseAmount: 203, vatRate: 21, vatAmount: 42.63, total: 245.63 },
+    rectification: {
+      invoiceNumber: "M-2025-0042",
+      issueDate: "2025-12-01",
+      reason: "Corrección de los datos del cliente",
+    },
+  },
+  SUPLIDO: {
+    date: "2026-01-15",
+    district: "Torrox",
+    amount: 35.5,
+  },
+  HOJA_ENCARGO: {
+    date: "2026-01-15",
+    services: "Asesoramiento jurídico y defensa en el procedimiento de reclamación de cantidad.",
+    fees: 1500,
+    // Spanish and English versions in one document
+    bilingual: false,
+  },
+};
+
+const SAMPLE_CASE = {
+  id: 1,
+  type: "ARAG",
+  clientName: "María García López",
+  internalReference: "IY000001",
+  aragReference: "DJ00123456",
+  designation: "Juzgado de Primera Instancia nº 1",
+  state: "ABIERTO",
+  entryDate: "2026-01-10",
+  judicialDate: "2026-01-12",
+  judicialDistrict: "Torrox",
+  closureDate: null,
+  observations: null,
+  language: "es",
+};
+
+const SAMPLE_CLIENT = {
+  name: "María García López",
+  nif: "12345678Z",
+  email: "maria@example.com",
+  phone: "600000000",
+  address: "Calle Mayor 1, Málaga",
+};
+
+/**
+ * Check a document type has a template
+ * @param {string} documentType - Document type
+ * @throws {ValidationError} If the type has no template
+ */
+function assertType(documentType) {
+  if (!TEMPLATE_TYPES.includes(documentType)) {
+    const errorInfo = TemplateErrors.typeInvalid(documentType, TEMPLATE_TYPES);
+    throw new ValidationError(errorInfo);
+  }
+}
+
+/**
+ * Check a template language is supported
+ * @param {string} language - Language code
+ * @throws {ValidationError} If the language has no catalogue
+ */
+function assertLanguage(language) {
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    const errorInfo = TemplateErrors.languageInvalid(language, SUPPORTED_LANGUAGES);
+    throw new ValidationError(errorInfo);
+  }
+}
+
+/**
+ * Pick the listed fields of an object, accepting camelCase or snake_case keys
+ * @param {Object} source - Case or client data
+ * @param {Array<string>} fields - camelCase field names
+ * @returns {Object} Object with every field (null when missing)
+ */
+function pickFields(source, fields) {
+  return Object.fromEntries(
+    fields.map((field) => {
+      const snake = field.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`);
+      return [field, source?.[field] ?? source?.[snake] ?? null];
+    })
+  );
+}
+
+/**
+ * Configuration values templates may use (no credentials or paths)
+ * @param {Object} config - Configuration key-value pairs
+ * @returns {Object} Public configuration
+ */
+function publicConfig(config) {
+  return Object.fromEntries(
+    Object.entries(config).filter(([key]) => !PRIVATE_CONFIG_REGEX.test(key))
+  );
+}
+
+/**
+ * Build the data of a template
+ * The linked client is loaded from the clients table; cases with only a
+ * free-text client name get that name and no other client fields.
+ * @param {Object} caseData - Case (camelCase or database row)
+ * @param {Object} [document] - Document-specific fields ({{document.*}})
+ * @param {Object} [config] - Configuration (defaults to the stored configuration)
+ * @returns {{case: Object, client: Object, config: Object, document: Object}}
+ */
+export function buildContext(caseData, document = {}, config = getAllConfig()) {
+  const clientId = caseData.clientId ?? caseData.client_id ?? null;
+  const linkedClient = clientId ? getClientById(clientId) : null;
+  const client = linkedClient
+    ? pickFields(linkedClient, CLIENT_FIELDS)
+    : {
+        ...pickFields({}, CLIENT_FIELDS),
+        name: caseData.clientName ?? caseData.client_name ?? null,
+        email: caseData.clientEmail ?? null,
+      };
+
+  return {
+    case: pickFields(caseData, CASE_FIELDS),
+    client,
+    config: publicConfig(config),
+    document: { date: madridNow().slice(0, 10), ...document },
+  };
+}
+
+/**
+ * Sample case, client and configuration with the given document fields
+ * Shared with the email templates, whose {{document.*}} fields differ.
+ * @param {Object} document - Sample {{document.*}} data
+ * @returns {Object} Template data
+ */
+export function buildSampleContext(document) {
+  return {
+    case: { ...SAMPLE_CASE },
+    client: { ...SAMPLE_CLIENT },
+    config: publicConfig({ ...DEFAULT_CONFIG, ...getAllConfig() }),
+    document: structuredClone(document),
+  };
+}
+
+/**
+ * Sample data of a template type, with every field it can use
+ * Used to validate templates and to preview them without a case.
+ * @param {string} documentType - Document type
+ * @returns {Object} Template data
+ */
+export function getSampleContext(documentType) {
+  assertType(documentType);
+  return buildSampleContext(SAMPLE_DOCUMENTS[documentType]);
+}
+
+/**
+ * Build the preview data of a template type
+ * With a case, its real data is used and the document fields are sample values.
+ * @param {string} documentType - Document type
+ * @param {number|null} [caseId] - Case to preview with
+ * @param {string} [language] - Template language (sample case language)
+ * @returns {Object} Template data
+ * @throws {ValidationError|NotFoundError}
+ */
+export function getPreviewContext(documentType, caseId = null, language = DEFAULT_LANGUAGE) {
+  assertLanguage(language);
+  const sample = getSampleContext(documentType);
+  sample.case.language = language;
+  if (!caseId) return sample;
+
+  const caseData = getCaseById(caseId);
+  if (!caseData) {
+    const errorInfo = TemplateErrors.caseNotFound(caseId);
+    throw new NotFoundError(errorInfo);
+  }
+  return buildContext(caseData, sample.document);
+}
+
+/**
+ * Placeholder paths of some template data
+ * @param {Object} context - Sample template data
+ * @returns {Array<string>} e.g. ["case.clientName", "document.amounts.total", ...]
+ */
+export function listContextPaths(context) {
+  const paths = [];
+  const walk = (value, prefix) => {
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      Object.entries(value).forEach(([key, child]) => walk(child, `${prefix}.${key}`));
+    } else {
+      paths.push(prefix);
+    }
+  };
+  Object.entries(context).forEach(([root, value]) => walk(value, root));
+  return paths;
+}
+
+/**
+ * Placeholder paths available to a template type
+ * @param {string} documentType - Document type
+ * @returns {Array<string>} e.g. ["case.clientName", "document.amounts.total", ...]
+ */
+export function listPlaceholders(documentType) {
+  return listContextPaths(getSampleContext(documentType));
+}
+
+/**
+ * Validate a template body for a document type
+ * @param {string} documentType - Document type
+ * @param {string} body - Template text
+ * @returns {string} The body
+ * @throws {ValidationError} With the list of errors in details.errors
+ */
+export function validateBody(documentType, body) {
+  assertType(documentType);
+
+  if (typeof body !== "string" || body.trim() === "") {
+    const errorInfo = TemplateErrors.bodyRequired();
+    throw new ValidationError(errorInfo);
+  }
+  if (body.length > MAX_TEMPLATE_LENGTH) {
+    const errorInfo = TemplateErrors.bodyTooLong(body.length, MAX_TEMPLATE_LENGTH);
+    throw new ValidationError(errorInfo);
+  }
+
+  const errors = validateTemplate(body, getSampleContext(documentType));
+  if (errors.length > 0) {
+    const errorInfo = TemplateErrors.syntaxInvalid(errors);
+    throw new ValidationError(errorInfo);
+  }
+  return body;
+}
+
+/**
+ * Custom template row of a document type and language
+ * @param {string} documentType - Document type
+ * @param {string} language - Language code
+ * @returns {Object|undefined} Row
+ */
+function getRow(documentType, language) {
+  return queryOne("SELECT * FROM document_templates WHERE document_type = ? AND language = ?", [
+    documentType,
+    language,
+  ]);
+}
+
+/**
+ * Template body in use for a document type (the custom one or the default)
+ * @param {string} documentType - Document type
+ * @param {string} [language] - Case language
+ * @returns {string} Template text
+ */
+export function getBody(documentType, language = DEFAULT_LANGUAGE) {
+  assertType(documentType);
+  assertLanguage(language);
+  const row = getRow(documentType, language);
+  return row ? row.body : DEFAULT_TEMPLATES[documentType].body[language];
+}
+
+/**
+ * Get the template of a document type
+ * @param {string} documentType - Document type
+ * @param {string} [language] - Language code
+ * @returns {Object} { documentType, language, name, body, defaultBody, customized, placeholders, updatedAt, updatedByUserId }
+ */
+export function get(documentType, language = DEFAULT_LANGUAGE) {
+  assertType(documentType);
+  assertLanguage(language);
+  const row = getRow(documentType, language);
+  const defaults = DEFAULT_TEMPLATES[documentType];
+
+  return {
+    documentType,
+    language,
+    name: defaults.name,
+    body: row ? row.body : defaults.body[language],
+    defaultBody: defaults.body[language],
+    customized: Boolean(row),
+    placeholders: listPlaceholders(documentType),
+    updatedAt: row ? row.updated_at : null,
+    updatedByUserId: row ? row.updated_by_user_id : null,
+  };
+}
+
+/**
+ * List the templates of every document type and language
+ * @returns {Array} Templates
+ */
+export function list() {
+  return TEMPLATE_TYPES.flatMap((documentType) =>
+    SUPPORTED_LANGUAGES.map((language) => get(documentType, language))
+  );
+}
+
+/**
+ * Save a custom template for a document type and language
+ * @param {string} documentType - Document type
+ * @param {string} body - Template text
+ * @param {Object} [actor] - User saving the template
+ * @param {string} [language] - Language code
+ * @returns {Object} Saved template
+ * @throws {ValidationError} If the template has errors
+ */
+export function update(documentType, body, actor = null, language = DEFAULT_LANGUAGE) {
+  assertLanguage(language);
+  validateBody(documentType, body);
+
+  execute(
+    `INSERT INTO document_templates (document_type, language, body, updated_by_user_id)
+     VALUES (?, ?, ?, ?)
+     ON CONFLICT(document_type, language) DO UPDATE SET
+       body = excluded.body,
+       updated_by_user_id = excluded.updated_by_user_id,
+       updated_at = datetime('now')`,
+    [documentType, language, body, actor?.id ?? null]
+  );
+
+  return get(documentType, language);
+}
+
+/**
+ * Restore the default template of a document type and language
+ * @param {string} documentType - Document type
+ * @param {string} [language] - Language code
+ * @returns {Object} Default template
+ */
+export function reset(documentType, language = DEFAULT_LANGUAGE) {
+  assertType(documentType);
+  assertLanguage(language);
+  execute("DELETE FROM document_templates WHERE document_type = ? AND language = ?", [
+    documentType,
+    language,
+  ]);
+  return get(documentType, language);
+}
+
+export default {
+  TEMPLATE_TYPES,
+  buildContext,
+  buildSampleContext,
+  getSampleContext,
+  getPreviewContext,
+  listContextPaths,
+  listPlaceholders,
+  validateBody,
+  getBody,
+  get,
+  list,
+  update,
+  reset,
+};
@@ -0,0 +1,251 @@
+// Document Version Service
+// Immutable versions of each document file with their SHA-256 hash, and
+// integrity checks of the stored files against those hashes
+
+import { createHash } from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { execute, query, queryOne } from "../database.js";
+
+export const VERSION_REASONS = {
+  CREATED: "CREACION",
+  SIGNED: "FIRMA",
+  BACKFILL: "REGISTRO_INICIAL",
+};
+
+export const INTEGRITY_STATUS = {
+  OK: "CORRECTO",
+  MODIFIED: "MODIFICADO",
+  MISSING: "NO_ENCONTRADO",
+  UNHASHED: "SIN_HASH",
+};
+
+// Worst status first: the status of a document is the worst of its versions
+const STATUS_SEVERITY = [
+  INTEGRITY_STATUS.MODIFIED,
+  INTEGRITY_STATUS.MISSING,
+  INTEGRITY_STATUS.UNHASHED,
+  INTEGRITY_STATUS.OK,
+];
+
+/**
+ * SHA-256 of a buffer
+ * @param {Buffer|string} content - File content
+ * @returns {string} Hex digest
+ */
+export function sha256(content) {
+  return createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Hash a file on disk
+ * @param {string} filePath - Path of the file
+ * @returns {{sha256: string, size: number}|null} Null if the file does not exist
+ */
+export function hashFile(filePath) {
+  if (!filePath || !existsSync(filePath)) return null;
+  const content = readFileSync(filePath);
+  return { sha256: sha256(content), size: content.length };
+}
+
+/**
+ * Record a new version of a document and make it the current one
+ * Files that do not exist (yet) are recorded without hash.
+ * @param {number} documentId - document_history ID
+ * @param {string} filePath - Path of the version's file
+ * @param {string} reason - One of VERSION_REASONS
+ * @param {number|null} [userId] - User who caused the version
+ * @returns {Object} Created version
+ */
+export function recordVersion(documentId, filePath, reason, userId = null) {
+  const hash = hashFile(filePath);
+  const { next } = queryOne(
+    "SELECT COALESCE(MAX(version_number), 0) + 1 as next FROM document_versions WHERE document_id = ?",
+    [documentId]
+  );
+
+  execute(
+    `INSERT INTO document_versions (document_id, version_number, file_path, sha256, file_size, reason,
+                                    created_by_user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [documentId, next, filePath, hash?.sha256 ?? null, hash?.size ?? null, reason, userId]
+  );
+  execute(
+    "UPDATE document_history SET sha256 = ?, file_size = COALESCE(?, file_size) WHERE id = ?",
+    [hash?.sha256 ?? null, hash?.size ?? null, documentId]
+  );
+
+  return getVersion(documentId, next);
+}
+
+/**
+ * Versions of a document, oldest first
+ * @param {number} documentId - document_history ID
+ * @returns {Array} Versions
+ */
+export function listVersions(documentId) {
+  return query(
+    "SELECT * FROM document_versions WHERE document_id = ? ORDER BY version_number ASC",
+    [documentId]
+  ).map(mapRowToVersion);
+}
+
+/**
+ * Get a version of a document
+ * @param {number} documentId - document_history ID
+ * @param {number} versionNumber - Version number (1 is the first)
+ * @returns {Object|null} Version or null if not found
+ */
+export function getVersion(documentId, versionNumber) {
+  const row = queryOne(
+    "SELECT * FROM document_versions WHERE document_id = ? AND version_number = ?",
+    [documentId, versionNumber]
+  );
+  return row ? mapRowToVersion(row) : null;
+}
+
+/**
+ * Check the file of a version against its recorded hash
+ * @param {Object} version - Version
+ * @returns {Promise<Object>} Version with status and actualSha256
+ */
+export async function verifyVersion(version) {
+  let content;
+  try {
+    content = await readFile(version.filePath);
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`[Integrity] Could not read ${version.filePath}:`, error.message);
+    }
+    return { ...version, status: INTEGRITY_STATUS.MISSING, actualSha256: null };
+  }
+
+  const actualSha256 = sha256(content);
+  let status = INTEGRITY_STATUS.OK;
+  if (!version.sha256) {
+    status = INTEGRITY_STATUS.UNHASHED;
+  } else if (actualSha256 !== version.sha256) {
+    status = INTEGRITY_STATUS.MODIFIED;
+  }
+  return { ...version, status, actualSha256 };
+}
+
+/**
+ * Check every version of a document
+ * @param {number} documentId - document_history ID
+ * @returns {Promise<{documentId: number, status: string, versions: Array}>}
+ */
+export async function verifyDocument(documentId) {
+  const versions = [];
+  // One file at a time to keep memory low
+  for (const version of listVersions(documentId)) {
+    versions.push(await verifyVersion(version));
+  }
+  return { documentId, status: worstStatus(versions), versions };
+}
+
+/**
+ * Check the documents of a case, or of every case
+ * Deleted documents are checked too: their files are kept.
+ * @param {number|null} [caseId] - Case ID (null for all documents)
+ * @returns {Promise<Object>} { checkedAt, documents, versions, counts, problems }
+ *   counts has one entry per INTEGRITY_STATUS; problems lists the versions that are not CORRECTO
+ */
+export async function verifyDocuments(caseId = null) {
+  const documents = query(
+    `SELECT id, case_id, document_type, deleted_at FROM document_history
+     ${caseId ? "WHERE case_id = ?" : ""} ORDER BY id`,
+    caseId ? [caseId] : []
+  );
+
+  const counts = Object.fromEntries(Object.values(INTEGRITY_STATUS).map((status) => [status, 0]));
+  const results = [];
+  const problems = [];
+
+  for (const doc of documents) {
+    const result = await verifyDocument(doc.id);
+    results.push({
+      documentId: doc.id,
+      caseId: doc.case_id,
+      documentType: doc.document_type,
+      deleted: Boolean(doc.deleted_at),
+      status: result.status,
+    });
+    for (const version of result.versions) {
+      counts[version.status]++;
+      if (version.status !== INTEGRITY_STATUS.OK) {
+        problems.push({ caseId: doc.case_id, ...version });
+      }
+    }
+  }
+
+  return {
+    checkedAt: new Date().toISOString(),
+    documents: results,
+    versions: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    counts,
+    problems,
+  };
+}
+
+/**
+ * Record the first version of documents created before versioning (run at startup)
+ * @returns {number} Number of documents registered
+ */
+export function registerMissingVersions() {
+  const pending = query(
+    `SELECT id, file_path FROM document_history
+     WHERE id NOT IN (SELECT document_id FROM document_versions)
+     ORDER BY id`
+  );
+
+  for (const doc of pending) {
+    recordVersion(doc.id, doc.file_path || "", VERSION_REASONS.BACKFILL);
+  }
+  return pending.length;
+}
+
+/**
+ * Worst integrity status of a list of versions
+ * @param {Array} versions - Checked versions
+ * @returns {string} One of INTEGRITY_STATUS (CORRECTO when there are none)
+ */
+function worstStatus(versions) {
+  return (
+    STATUS_SEVERITY.find((status) => versions.some((version) => version.status === status)) ||
+    INTEGRITY_STATUS.OK
+  );
+}
+
+/**
+ * Map database row to version object
+ * @param {Object} row - document_versions row
+ * @returns {Object} Version object
+ */
+function mapRowToVersion(row) {
+  return {
+    id: row.id,
+    documentId: row.document_id,
+    versionNumber: row.version_number,
+    filePath: row.file_path,
+    sha256: row.sha256,
+    fileSize: row.file_size,
+    reason: row.reason,
+    createdByUserId: row.created_by_user_id,
+    createdAt: row.created_at,
+  };
+}
+
+export default {
+  VERSION_REASONS,
+  INTEGRITY_STATUS,
+  sha256,
+  hashFile,
+  recordVersion,
+  listVersions,
+  getVersion,
+  verifyVersion,
+  verifyDocument,
+  verifyDocuments,
+  registerMissingVersions,
+};
@@ -0,0 +1,334 @@
+// Email Delivery Service
+// Delivery status notifications (DSN, RFC 3464) returned for the emails sent:
+// a report is matched to its email_history row by the Message-ID of the
+// original email and moves it to DELIVERED or BOUNCED. Reports arrive in the
+// office mailbox (the inbound import hands them over) or in a mailbox of their own.
+// Bounces sent as plain text, without a report, are recognised from their text.
+
+import { simpleParser } from "mailparser";
+import { ValidationError } from "../errors.js";
+import { EmailDeliveryErrors } from "../errorMessages.js";
+import { get as getConfigValue } from "./configurationService.js";
+import { EmailHistoryService } from "./emailHistoryService.js";
+import { readMailbox } from "./mailboxReader.js";
+
+export const DELIVERY_STATUS = {
+  DELIVERED: "DELIVERED",
+  BOUNCED: "BOUNCED",
+};
+
+// Action field of each recipient in the report (RFC 3464 2.3.3)
+export const DSN_ACTIONS = {
+  FAILED: "failed",
+  DELAYED: "delayed",
+  DELIVERED: "delivered",
+  RELAYED: "relayed",
+  EXPANDED: "expanded",
+};
+
+// Parts carrying the report and the original message (or its headers)
+const REPORT_TYPES = ["message/delivery-status", "message/global-delivery-status"];
+const ORIGINAL_TYPES = ["text/rfc822-headers", "message/rfc822", "message/global", "message/global-headers"];
+
+// Plain-text bounces (no delivery-status part), still sent by some servers: from
+// the mail system, with a bounce subject and the original headers quoted in the body
+const BOUNCE_SENDER = /^(mailer-daemon|postmaster)@/i;
+const BOUNCE_SUBJECT =
+  /undeliver|returned mail|delivery (status notification|failure|has failed)|failure notice|mail delivery failed|no se (ha )?podido entregar|devuelto/i;
+const DELAY_SUBJECT = /delay|warning|retrasad/i;
+
+// Same interval as the inbound mailbox (inbound_email_interval_minutes)
+const WORKER_TICK_MS = 60 * 1000;
+
+const emailHistory = new EmailHistoryService();
+
+/**
+ * Header-style fields (folded lines joined), as in report blocks and the
+ * headers of the original message
+ * @param {string} text - Fields, one per line ("\n" line ends), already decoded
+ * @returns {Map<string, string>} Lowercase name to value (first occurrence)
+ */
+function parseFields(text) {
+  const fields = new Map();
+  for (const line of text.replace(/\n[ \t]+/g, " ").split("\n")) {
+    const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+    if (match && !fields.has(match[1].toLowerCase())) {
+      fields.set(match[1].toLowerCase(), match[2].trim());
+    }
+  }
+  return fields;
+}
+
+/**
+ * Value of a typed report field ("rfc822; ana@example.com" → "ana@example.com")
+ * @param {string} [value] - Field value
+ * @returns {string|null}
+ */
+function typedValue(value) {
+  if (!value) return null;
+  const index = value.indexOf(";");
+  return (index === -1 ? value : value.slice(index + 1)).trim() || null;
+}
+
+/**
+ * Message-IDs found in a header value
+ * @param {string} [value] - Message-ID, In-Reply-To or References
+ * @returns {Array<string>} IDs with angle brackets
+ */
+function extractMessageIds(value) {
+  return (value || "").match(/<[^<>\s]+>/g) || [];
+}
+
+/**
+ * Read a bounce written as plain text
+ * The failed recipient and the SMTP error are taken from the notice that
+ * precedes the quoted headers of the original email.
+ * @param {Object} message - Parsed by mailparser
+ * @returns {Object|null} { messageIds, recipients }, or null if it is not a bounce
+ */
+function parsePlainTextBounce(message) {
+  const sender = message.from?.value?.[0]?.address || "";
+  if (!BOUNCE_SENDER.test(sender) || !BOUNCE_SUBJECT.test(message.subject || "")) return null;
+
+  const text = (message.text || "").replace(/\r\n/g, "\n");
+  const quoted = [...text.matchAll(/^[>\s]*Message-ID:\s*(<[^<>\s]+>)/gim)];
+  if (quoted.length === 0) return null;
+
+  const notice = text.slice(0, quoted[0].index);
+  const recipient = (notice.match(/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g) || []).find(
+    (address) => address.toLowerCase() !== sender.toLowerCase()
+  );
+  const diagnostic = notice.match(/\b[45]\d\d[ -].*$/m)?.[0].trim();
+
+  return {
+    messageIds: [...new Set(quoted.map((match) => match[1]))],
+    recipients: [
+      {
+        recipient: recipient || null,
+        action: DELAY_SUBJECT.test(message.subject) ? DSN_ACTIONS.DELAYED : DSN_ACTIONS.FAILED,
+        status: null,
+        diagnostic: diagnostic || message.subject,
+      },
+    ],
+  };
+}
+
+/**
+ * Read a delivery status notification
+ * mailparser decodes the parts (base64, quoted-printable); with
+ * keepDeliveryStatus the report comes as an attachment instead of being
+ * merged into the text of the message. Bounces without a report part are
+ * read from their text (parsePlainTextBounce).
+ * @param {Buffer|string} raw - RFC 822 message
+ * @returns {Promise<Object|null>} { messageIds, recipients: [{ recipient, action, status, diagnostic }] },
+ *   or null if the message is not a delivery report
+ */
+export async function parseDeliveryReport(raw) {
+  const message = await simpleParser(raw, { keepDeliveryStatus: true, skipHtmlToText: true });
+  const parts = message.attachments.map((part) => ({
+    type: part.contentType.toLowerCase(),
+    body: part.content.toString("utf8").replace(/\r\n/g, "\n"),
+  }));
+
+  const report = parts.find((part) => REPORT_TYPES.includes(part.type));
+  if (!report) return parsePlainTextBounce(message);
+
+  // The first block is about the message, the rest one per recipient
+  const recipients = report.body
+    .split(/\n\s*\n/)
+    .map(parseFields)
+    .filter((fields) => fields.has("action"))
+    .map((fields) => ({
+      recipient: typedValue(fields.get("final-recipient") || fields.get("original-recipient")),
+      action: fields.get("action").toLowerCase(),
+      status: fields.get("status") || null,
+      diagnostic: typedValue(fields.get("diagnostic-code")),
+    }));
+
+  // Message-ID of the original email, or the reply headers some servers add
+  const original = parts.find((part) => ORIGINAL_TYPES.includes(part.type));
+  const originalHeaders = original ? original.body.split("\n\n")[0] : "";
+  const messageIds = [
+    ...extractMessageIds(parseFields(originalHeaders).get("message-id")),
+    ...extractMessageIds(message.inReplyTo),
+    ...extractMessageIds([].concat(message.references || []).join(" ")),
+  ];
+
+  return { messageIds: [...new Set(messageIds)], recipients };
+}
+
+/**
+ * Outcome of a report: BOUNCED if any recipient failed, DELIVERED if it was
+ * delivered, null while it is only delayed or relayed
+ * @param {Object} report - From parseDeliveryReport
+ * @returns {Object} { status, errorMessage }
+ */
+function getOutcome(report) {
+  const failed = report.recipients.filter((r) => r.action === DSN_ACTIONS.FAILED);
+  if (failed.length > 0) {
+    return {
+      status: DELIVERY_STATUS.BOUNCED,
+      errorMessage: failed
+        .map((r) => [r.recipient, r.diagnostic || r.status].filter(Boolean).join(": "))
+        .join("; "),
+    };
+  }
+  if (report.recipients.some((r) => r.action === DSN_ACTIONS.DELIVERED)) {
+    return { status: DELIVERY_STATUS.DELIVERED, errorMessage: null };
+  }
+  return { status: null, errorMessage: null };
+}
+
+/**
+ * Update the emails a report is about
+ * A bounce wins over an earlier delivery report (another recipient may fail
+ * later); a delivery report only confirms emails still SENT.
+ * @param {Object} report - From parseDeliveryReport
+ * @returns {Object} { matched, status, emails } (emails: updated email_history rows)
+ */
+export function applyDeliveryReport(report) {
+  const matches = emailHistory.getByMessageIds(report.messageIds);
+  const { status, errorMessage } = getOutcome(report);
+
+  const emails = matches
+    .filter((email) =>
+      status === DELIVERY_STATUS.BOUNCED
+        ? email.status === "SENT" || email.status === DELIVERY_STATUS.DELIVERED
+        : status === DELIVERY_STATUS.DELIVERED && email.status === "SENT"
+    )
+    .map((email) => emailHistory.updateDeliveryStatus(email.id, status, errorMessage));
+
+  if (status === DELIVERY_STATUS.BOUNCED) {
+    for (const email of emails) {
+      console.warn(`[Email] Email ${email.id} to ${email.recipient} bounced: ${errorMessage}`);
+    }
+  }
+  return { matched: matches.length > 0, status, emails };
+}
+
+/**
+ * Apply a received message if it is a delivery report
+ * @param {Buffer|string} raw - RFC 822 message
+ * @returns {Promise<Object|null>} Result of applyDeliveryReport, or null if it is not a report
+ */
+export async function processMessage(raw) {
+  const report = await parseDeliveryReport(raw);
+  return report ? applyDeliveryReport(report) : null;
+}
+
+/**
+ * Mailbox of the delivery reports from the configuration
+ * It uses the IMAP account of the inbound email, in its own folder.
+ * @returns {Object} { name, source, path, imap }
+ */
+function getMailboxSettings() {
+  return {
+    name: "bounces",
+    source: getConfigValue("bounce_email_source") || "",
+    path: getConfigValue("bounce_email_path") || "",
+    imap: {
+      host: getConfigValue("imap_host"),
+      port: getConfigValue("imap_port"),
+      secure: getConfigValue("imap_secure"),
+      user: getConfigValue("imap_user"),
+      password: getConfigValue("imap_password"),
+      mailbox: getConfigValue("bounce_imap_mailbox") || "INBOX",
+    },
+  };
+}
+
+let fetching = null;
+
+/**
+ * Read the delivery reports mailbox and apply its new reports
+ * Messages already read are not read again, reports or not.
+ * @returns {Promise<Object>} { read, failed, reports, delivered, bounced, unmatched }
+ * @throws {ValidationError} If no mailbox is configured or it cannot be read
+ */
+export function fetchNow() {
+  if (!fetching) {
+    fetching = fetchReports().finally(() => {
+      fetching = null;
+    });
+  }
+  return fetching;
+}
+
+async function fetchReports() {
+  const settings = getMailboxSettings();
+  if (!settings.source) {
+    const errorInfo = EmailDeliveryErrors.sourceNotConfigured();
+    throw new ValidationError(errorInfo);
+  }
+
+  const counts = { reports: 0, delivered: 0, bounced: 0, unmatched: 0 };
+  let result;
+  try {
+    result = await readMailbox(settings, async (raw) => {
+      const applied = await processMessage(raw);
+      if (!applied) return;
+      counts.reports++;
+      if (!applied.matched) counts.unmatched++;
+      else if (applied.status === DELIVERY_STATUS.BOUNCED) counts.bounced += applied.emails.length;
+      else if (applied.status === DELIVERY_STATUS.DELIVERED) counts.delivered += applied.emails.length;
+    });
+  } catch (error) {
+    const errorInfo = EmailDeliveryErrors.sourceUnavailable(settings.source, error.message);
+    throw new ValidationError(errorInfo);
+  }
+  return { ...result, ...counts };
+}
+
+let worker = null;
+
+/**
+ * Start reading the delivery reports mailbox in the background every
+ * inbound_email_interval_minutes
+ * Nothing is read while no mailbox is configured.
+ * @param {Object} [options] - { tickMs } for tests
+ */
+export function startWorker(options = {}) {
+  if (worker) return;
+
+  const state = { lastRun: 0, timer: null };
+  state.run = async () => {
+    if (fetching || !getConfigValue("bounce_email_source")) return;
+    const intervalMs = Math.max(1, Number(getConfigValue("inbound_email_interval_minutes")) || 5) * 60 * 1000;
+    if (Date.now() - state.lastRun < intervalMs) return;
+
+    state.lastRun = Date.now();
+    try {
+      const result = await fetchNow();
+      if (result.reports > 0) {
+        console.log(`[Email] Read ${result.reports} delivery reports (${result.bounced} bounced)`);
+      }
+    } catch (error) {
+      console.error("[Email] Delivery reports check failed:", error.message);
+    }
+  };
+
+  state.timer = setInterval(state.run, options.tickMs || WORKER_TICK_MS);
+  state.timer.unref?.();
+  worker = state;
+  setImmediate(state.run);
+}
+
+/**
+ * Stop the background worker
+ */
+export function stopWorker() {
+  if (!worker) return;
+  clearInterval(worker.timer);
+  worker = null;
+}
+
+export default {
+  DELIVERY_STATUS,
+  DSN_ACTIONS,
+  parseDeliveryReport,
+  applyDeliveryReport,
+  processMessage,
+  fetchNow,
+  startWorker,
+  stopWorker,
+};
@@ -10,23 +10,35 @@ export class EmailHistoryService {
    * @param {Object} data - Email data
    * @param {number} data.caseId - Case ID
    * @param {number|null} data.documentId - Related document ID
-   * @param {string} data.recipient - Email recipient
+   * @param {string} data.recipient - Email recipient (several comma-separated)
+   * @param {string|null} [data.cc] - Copy recipients
+   * @param {string|null} [data.bcc] - Blind copy recipients
    * @param {string} data.subject - Email subject
+   * @param {Array<number>} [data.attachmentDocumentIds] - Documents attached
    * @param {string} data.status - 'SENT' | 'ERROR'
    * @param {string|null} data.errorMessage - Error details if failed
+   * @param {string|null} [data.messageId] - Message-ID given by the SMTP server, to match delivery reports
+   * @param {number|null} [data.outboxId] - Queue entry that sent the email
    * @returns {Object} Created record
    */
   create(data) {
     const result = execute(
-      `INSERT INTO email_history (case_id, document_id, recipient, subject, sent_at, status, error_message)
-       VALUES (?, ?, ?, ?, datetime('now'), ?, ?)`,
+      `INSERT INTO email_history
+         (case_id, document_id, recipient, cc, bcc, subject, attachment_document_ids, sent_at, status, error_message,
+          message_id, outbox_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'), ?, ?, ?, ?)`,
       [
         data.caseId,
         data.documentId || null,
         data.recipient,
+        data.cc || null,
+        data.bcc || null,
         data.subject,
+        JSON.stringify(data.attachmentDocumentIds || []),
         data.status,
         data.errorMessage || null,
+        data.messageId || null,
+        data.outboxId || null,
       ],
     );
     return this.getById(result.lastInsertRowid);
@@ -41,6 +53,35 @@ export class EmailHistoryService {
     return queryOne("SELECT * FROM email_history WHERE id = ?", [id]);
   }
 
+  /**
+   * Get the emails sent with any of the given Message-IDs
+   * @param {Array<string>} messageIds - Message-IDs with angle brackets, as stored
+   * @returns {Array}
+   */
+  getByMessageIds(messageIds) {
+    if (messageIds.length === 0) return [];
+    return query(
+      `SELECT * FROM email_history WHERE message_id IN (${messageIds.map(() => "?").join(", ")})`,
+      messageIds,
+    );
+  }
+
+  /**
+   * Record the outcome reported by the recipient's server
+   * @param {number} id - Email ID
+   * @param {string} status - 'DELIVERED' | 'BOUNCED'
+   * @param {string|null} errorMessage - Diagnostic of a bounce
+   * @returns {Object|null} Updated record
+   */
+  updateDeliveryStatus(id, status, errorMessage = null) {
+    execute(
+      `UPDATE email_history SET status = ?, error_message = ?, delivery_updated_at = datetime('now')
+       WHERE id = ?`,
+      [status, errorMessage, id],
+    );
+    return this.getById(id);
+  }
+
   /**
    * Get emails for a case, ordered by date descending
    * @param {number} caseId - Case ID
@@ -56,7 +97,7 @@ export class EmailHistoryService {
   /**
    * Get emails by status for a case
    * @param {number} caseId - Case ID
-   * @param {string} status - 'SENT' | 'ERROR'
+   * @param {string} status - 'SENT' | 'ERROR' | 'DELIVERED' | 'BOUNCED'
    * @returns {Array}
    */
   getByCaseIdAndStatus(caseId, status) {
@@ -0,0 +1,554 @@
+// Email Outbox Service
+// Durable queue of outgoing emails: workflows enqueue, a background worker sends
+// with exponential backoff and moves emails that keep failing to DEAD_LETTER
+
+import { existsSync } from "fs";
+import { basename } from "path";
+import { execute, query, queryOne, transaction } from "../database.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors.js";
+import { EmailOutboxErrors } from "../errorMessages.js";
+import { EmailService } from "./emailService.js";
+import { EmailHistoryService } from "./emailHistoryService.js";
+import { getAll as getConfig, get as getConfigValue } from "./configurationService.js";
+
+export const OUTBOX_STATUS = {
+  PENDING: "PENDING",
+  SENDING: "SENDING",
+  SENT: "SENT",
+  DEAD_LETTER: "DEAD_LETTER",
+  CANCELLED: "CANCELLED",
+};
+
+// Delay before the 2nd attempt; doubled after each failure up to the maximum
+export const BACKOFF_BASE_SECONDS = 120;
+export const BACKOFF_MAX_SECONDS = 4 * 60 * 60;
+
+// A send taking longer than this means the server stopped while sending
+const STALE_LOCK_MINUTES = 15;
+
+// How often the worker looks for due emails
+const WORKER_INTERVAL_MS = 30 * 1000;
+
+// Emails claimed per round
+const BATCH_SIZE = 10;
+
+// SMTP errors that will not go away by retrying (rejected recipient)
+const PERMANENT_SMTP_CODES = ["EENVELOPE"];
+
+const OUTBOX_SELECT = `
+  SELECT o.*, c.internal_reference AS case_reference, c.client_name
+  FROM email_outbox o
+  JOIN cases c ON c.id = o.case_id
+`;
+
+const emailHistory = new EmailHistoryService();
+
+/**
+ * Seconds to wait after a failed attempt
+ * @param {number} attempts - Failed attempts so far (1 after the first failure)
+ * @returns {number} Delay in seconds
+ */
+export function getBackoffSeconds(attempts) {
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), BACKOFF_MAX_SECONDS);
+}
+
+/**
+ * Attempts before an email goes to DEAD_LETTER (configuration email_max_attempts)
+ * @returns {number}
+ */
+export function getMaxAttempts() {
+  return Math.max(1, Math.floor(getConfigValue("email_max_attempts")));
+}
+
+/**
+ * Queue an email
+ * @param {Object} data - { caseId, documentId, recipient, cc, bcc, subject, body, bodyHtml,
+ *   attachmentPath, attachments, language } (recipient, cc and bcc comma-separated;
+ *   attachments: [{ documentId, path, fileName }])
+ * @returns {Object} Queued email
+ */
+export function enqueue(data) {
+  const result = execute(
+    `INSERT INTO email_outbox
+       (case_id, document_id, recipient, cc, bcc, subject, body, body_html, attachment_path, attachments,
+        language, max_attempts)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      data.caseId,
+      data.documentId || null,
+      data.recipient,
+      data.cc || null,
+      data.bcc || null,
+      data.subject,
+      data.body || null,
+      data.bodyHtml || null,
+      data.attachmentPath || null,
+      JSON.stringify(data.attachments || []),
+      data.language || null,
+      getMaxAttempts(),
+    ]
+  );
+
+  wakeWorker();
+  return getById(result.lastInsertRowid);
+}
+
+/**
+ * Get a queued email
+ * @param {number} id - Queue entry ID
+ * @returns {Object} Queued email
+ * @throws {NotFoundError}
+ */
+export function getById(id) {
+  const row = queryOne(`${OUTBOX_SELECT} WHERE o.id = ?`, [id]);
+  if (!row) {
+    const errorInfo = EmailOutboxErrors.notFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+  return mapRowToEmail(row);
+}
+
+/**
+ * List the queue, newest first
+ * @param {Object} [filters] - { status, caseId, limit }
+ * @returns {Array<Object>} Queued emails
+ * @throws {ValidationError} If the status is unknown
+ */
+export function list(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.status) {
+    if (!Object.values(OUTBOX_STATUS).includes(filters.status)) {
+      const errorInfo = EmailOutboxErrors.statusInvalid(filters.status, Object.values(OUTBOX_STATUS));
+      throw new ValidationError(errorInfo);
+    }
+    conditions.push("o.status = ?");
+    params.push(filters.status);
+  }
+  if (filters.caseId) {
+    conditions.push("o.case_id = ?");
+    params.push(filters.caseId);
+  }
+
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 500);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+  return query(`${OUTBOX_SELECT} ${where} ORDER BY o.created_at DESC, o.id DESC LIMIT ${limit}`, params).map(
+    mapRowToEmail
+  );
+}
+
+/**
+ * Number of emails per status
+ * @returns {Object} { PENDING, SENDING, SENT, DEAD_LETTER, CANCELLED }
+ */
+export function getSummary() {
+  const summary = Object.fromEntries(Object.values(OUTBOX_STATUS).map((status) => [status, 0]));
+  for (const row of query("SELECT status, COUNT(*) AS count FROM email_outbox GROUP BY status")) {
+    summary[row.status] = row.count;
+  }
+  return summary;
+}
+
+/**
+ * Send an email again: now if it is pending, from scratch if it failed or was cancelled
+ * @param {number} id - Queue entry ID
+ * @returns {Object} Queued email
+ * @throws {NotFoundError|ConflictError}
+ */
+export function retry(id) {
+  const email = getById(id);
+  if (![OUTBOX_STATUS.PENDING, OUTBOX_STATUS.DEAD_LETTER, OUTBOX_STATUS.CANCELLED].includes(email.status)) {
+    const errorInfo = EmailOutboxErrors.notRetryable(email.status);
+    throw new ConflictError(errorInfo);
+  }
+
+  const restart = email.status !== OUTBOX_STATUS.PENDING;
+  execute(
+    `UPDATE email_outbox
+     SET status = 'PENDING', next_attempt_at = datetime('now'), updated_at = datetime('now'),
+         attempts = CASE WHEN ? THEN 0 ELSE attempts END,
+         max_attempts = CASE WHEN ? THEN ? ELSE max_attempts END
+     WHERE id = ?`,
+    [restart ? 1 : 0, restart ? 1 : 0, getMaxAttempts(), id]
+  );
+
+  wakeWorker();
+  return getById(id);
+}
+
+/**
+ * Take an email out of the queue
+ * @param {number} id - Queue entry ID
+ * @returns {Object} Cancelled email
+ * @throws {NotFoundError|ConflictError}
+ */
+export function cancel(id) {
+  const email = getById(id);
+  const changes = execute(
+    `UPDATE email_outbox SET status = 'CANCELLED', updated_at = datetime('now')
+     WHERE id = ? AND status IN ('PENDING', 'DEAD_LETTER')`,
+    [id]
+  ).changes;
+
+  if (changes === 0) {
+    const errorInfo = EmailOutboxErrors.notCancellable(email.status);
+    throw new ConflictError(errorInfo);
+  }
+  return getById(id);
+}
+
+/**
+ * Queue again the email behind a failed email history record
+ * A dead letter entry is reused; a cancelled one is copied with its body and
+ * attachments. Emails that failed before the outbox existed are queued anew
+ * (default body). The history record is linked to the new entry, so asking
+ * twice does not send the email twice.
+ * @param {Object} historyEmail - email_history row with status ERROR
+ * @param {string} attachmentPath - File of the related document
+ * @param {string} [language] - Case language of the default body
+ * @returns {Object} Queued email
+ * @throws {ConflictError} If the email is already queued again or was sent
+ */
+export function requeueFailedEmail(historyEmail, attachmentPath, language) {
+  const outboxRow = historyEmail.outbox_id
+    ? queryOne("SELECT * FROM email_outbox WHERE id = ?", [historyEmail.outbox_id])
+    : null;
+  if (outboxRow?.status === OUTBOX_STATUS.DEAD_LETTER) {
+    return retry(outboxRow.id);
+  }
+  if (outboxRow && outboxRow.status !== OUTBOX_STATUS.CANCELLED) {
+    const errorInfo = EmailOutboxErrors.alreadyRequeued(outboxRow.status);
+    throw new ConflictError(errorInfo);
+  }
+
+  return transaction(() => {
+    const queued = enqueue(
+      outboxRow
+        ? {
+            caseId: outboxRow.case_id,
+            documentId: outboxRow.document_id,
+            recipient: outboxRow.recipient,
+            cc: outboxRow.cc,
+            bcc: outboxRow.bcc,
+            subject: outboxRow.subject,
+            body: outboxRow.body,
+            bodyHtml: outboxRow.body_html,
+            attachmentPath: outboxRow.attachment_path,
+            attachments: JSON.parse(outboxRow.attachments || "[]"),
+            language: outboxRow.language,
+          }
+        : {
+            caseId: historyEmail.case_id,
+            documentId: historyEmail.document_id,
+            recipient: historyEmail.recipient,
+            cc: historyEmail.cc,
+            bcc: historyEmail.bcc,
+            subject: historyEmail.subject,
+            attachmentPath,
+            language,
+          }
+    );
+    execute("UPDATE email_history SET outbox_id = ? WHERE id = ?", [queued.id, historyEmail.id]);
+    return queued;
+  });
+}
+
+/**
+ * Files attached to a queued email
+ * @param {Object} row - email_outbox row
+ * @returns {Array<Object>} { documentId, path, fileName }, the workflow attachment first
+ */
+function getAttachments(row) {
+  const attachments = JSON.parse(row.attachments || "[]");
+  return row.attachment_path
+    ? [{ documentId: row.document_id, path: row.attachment_path, fileName: basename(row.attachment_path) }, ...attachments]
+    : attachments;
+}
+
+/**
+ * Email history record of a queued email
+ * @param {Object} row - email_outbox row
+ * @param {string} status - 'SENT' | 'ERROR'
+ * @param {string} [errorMessage] - Error details if failed
+ * @param {string} [messageId] - Message-ID of the email sent
+ * @returns {Object} Created record
+ */
+function createHistoryRecord(row, status, errorMessage = null, messageId = null) {
+  return emailHistory.create({
+    caseId: row.case_id,
+    documentId: row.document_id,
+    recipient: row.recipient,
+    cc: row.cc,
+    bcc: row.bcc,
+    subject: row.subject,
+    attachmentDocumentIds: getAttachments(row)
+      .map((file) => file.documentId)
+      .filter(Boolean),
+    status,
+    errorMessage,
+    messageId,
+    outboxId: row.id,
+  });
+}
+
+/**
+ * Put back in the queue the emails of a send that never finished
+ * @returns {number} Emails released
+ */
+export function releaseStale() {
+  return execute(
+    `UPDATE email_outbox SET status = 'PENDING', locked_at = NULL, updated_at = datetime('now')
+     WHERE status = 'SENDING' AND locked_at <= datetime('now', ?)`,
+    [`-${STALE_LOCK_MINUTES} minutes`]
+  ).changes;
+}
+
+/**
+ * Take the due emails (PENDING → SENDING)
+ * @param {number} [limit] - Maximum emails
+ * @returns {Array<Object>} Raw rows, oldest due first
+ */
+function claimDue(limit = BATCH_SIZE) {
+  return transaction(() => {
+    const rows = query(
+      `SELECT * FROM email_outbox
+       WHERE status = 'PENDING' AND next_attempt_at <= datetime('now')
+       ORDER BY next_attempt_at, id LIMIT ?`,
+      [limit]
+    );
+    for (const row of rows) {
+      execute(
+        "UPDATE email_outbox SET status = 'SENDING', locked_at = datetime('now'), updated_at = datetime('now') WHERE id = ?",
+        [row.id]
+      );
+    }
+    return rows;
+  });
+}
+
+/**
+ * Record a delivered email in the outbox and in the case email history
+ * @param {Object} row - email_outbox row
+ * @param {string} [messageId] - Message-ID of the email, to match later delivery reports
+ * @returns {Object} Email history record
+ */
+function markSent(row, messageId) {
+  return transaction(() => {
+    const historyRecord = createHistoryRecord(row, "SENT", null, messageId);
+    execute(
+      `UPDATE email_outbox
+       SET status = 'SENT', attempts = attempts + 1, sent_at = datetime('now'), locked_at = NULL,
+           last_error = NULL, email_history_id = ?, updated_at = datetime('now')
+       WHERE id = ?`,
+      [historyRecord.id, row.id]
+    );
+    return historyRecord;
+  });
+}
+
+/**
+ * Record a failed attempt: retry later, or DEAD_LETTER when attempts run out
+ * @param {Object} row - email_outbox row
+ * @param {string} message - Error message
+ * @param {boolean} permanent - Retrying will not help
+ * @returns {boolean} True if the email went to DEAD_LETTER
+ */
+function markFailed(row, message, permanent) {
+  const attempts = row.attempts + 1;
+  const dead = permanent || attempts >= row.max_attempts;
+
+  transaction(() => {
+    if (!dead) {
+      execute(
+        `UPDATE email_outbox
+         SET status = 'PENDING', attempts = ?, last_error = ?, locked_at = NULL,
+             next_attempt_at = datetime('now', ?), updated_at = datetime('now')
+         WHERE id = ?`,
+        [attempts, message, `+${getBackoffSeconds(attempts)} seconds`, row.id]
+      );
+      return;
+    }
+
+    // The failure shows in the case timeline, where it can be retried
+    const historyRecord = createHistoryRecord(row, "ERROR", message);
+    execute(
+      `UPDATE email_outbox
+       SET status = 'DEAD_LETTER', attempts = ?, last_error = ?, locked_at = NULL,
+           email_history_id = ?, updated_at = datetime('now')
+       WHERE id = ?`,
+      [attempts, message, historyRecord.id, row.id]
+    );
+  });
+
+  return dead;
+}
+
+/**
+ * SMTP settings for the worker
+ * getAll() masks the SMTP password (it is meant for the frontend).
+ * @returns {Object} Configuration with the stored SMTP password
+ */
+function getSendingConfig() {
+  return { ...getConfig(), smtp_password: getConfigValue("smtp_password") };
+}
+
+/**
+ * Send the due emails
+ * Does nothing while SMTP is not configured (the emails wait without using attempts).
+ * @param {Object} [options] - { emailService } (defaults to the configured SMTP server)
+ * @returns {Promise<Object>} { sent, retried, deadLettered, skipped }
+ */
+export async function processOutbox(options = {}) {
+  const emailService = options.emailService || new EmailService(getSendingConfig());
+  const result = { sent: 0, retried: 0, deadLettered: 0, skipped: false };
+
+  if (!emailService.isConfigured()) {
+    result.skipped = true;
+    return result;
+  }
+
+  releaseStale();
+
+  for (let batch = claimDue(); batch.length > 0; batch = claimDue()) {
+    for (const row of batch) {
+      const missing = getAttachments(row).find((file) => !existsSync(file.path));
+      if (missing) {
+        const errorInfo = EmailOutboxErrors.attachmentMissing(missing.fileName);
+        markFailed(row, errorInfo.message, true);
+        result.deadLettered++;
+        continue;
+      }
+
+      try {
+        const info = await emailService.sendEmail({
+          to: row.recipient,
+          cc: row.cc,
+          bcc: row.bcc,
+          subject: row.subject,
+          body: row.body,
+          html: row.body_html,
+          attachmentPath: row.attachment_path,
+          attachments: JSON.parse(row.attachments || "[]"),
+          language: row.language,
+        });
+        markSent(row, info?.messageId);
+        result.sent++;
+      } catch (error) {
+        const message = error.getFullMessage?.() || error.message || "Error desconocido";
+        const permanent = PERMANENT_SMTP_CODES.includes(error.originalCode);
+        if (markFailed(row, message, permanent)) {
+          result.deadLettered++;
+          console.warn(`[Email] Email ${row.id} to ${row.recipient} moved to dead letter: ${message}`);
+        } else {
+          result.retried++;
+        }
+      }
+    }
+  }
+
+  return result;
+}
+
+// ==================== Background worker ====================
+
+let worker = null;
+
+/**
+ * Start sending queued emails in the background (once per process)
+ * @param {Object} [options] - { intervalMs }
+ */
+export function startWorker(options = {}) {
+  if (worker) return;
+
+  const state = { running: false, again: false, timer: null };
+  state.run = async () => {
+    // A wake-up during a round triggers one more round
+    if (state.running) {
+      state.again = true;
+      return;
+    }
+    state.running = true;
+    try {
+      do {
+        state.again = false;
+        await processOutbox();
+      } while (state.again);
+    } catch (error) {
+      console.error("[Email] Outbox processing failed:", error.message);
+    } finally {
+      state.running = false;
+    }
+  };
+
+  state.timer = setInterval(state.run, options.intervalMs || WORKER_INTERVAL_MS);
+  state.timer.unref?.();
+  worker = state;
+  setImmediate(state.run);
+}
+
+/**
+ * Stop the background worker
+ */
+export function stopWorker() {
+  if (!worker) return;
+  clearInterval(worker.timer);
+  worker = null;
+}
+
+/**
+ * Process the queue now instead of waiting for the next round (no-op without worker)
+ */
+export function wakeWorker() {
+  if (worker) setImmediate(worker.run);
+}
+
+/**
+ * Map a database row to the API shape
+ * @param {Object} row - email_outbox row (with case_reference)
+ * @returns {Object}
+ */
+function mapRowToEmail(row) {
+  return {
+    id: row.id,
+    caseId: row.case_id,
+    caseReference: row.case_reference,
+    clientName: row.client_name,
+    documentId: row.document_id,
+    recipient: row.recipient,
+    cc: row.cc,
+    bcc: row.bcc,
+    subject: row.subject,
+    attachmentName: row.attachment_path ? basename(row.attachment_path) : null,
+    attachmentNames: getAttachments(row).map((file) => file.fileName),
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextAttemptAt: row.next_attempt_at,
+    lastError: row.last_error,
+    emailHistoryId: row.email_history_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    sentAt: row.sent_at,
+  };
+}
+
+export default {
+  OUTBOX_STATUS,
+  BACKOFF_BASE_SECONDS,
+  BACKOFF_MAX_SECONDS,
+  getBackoffSeconds,
+  getMaxAttempts,
+  enqueue,
+  getById,
+  list,
+  getSummary,
+  retry,
+  cancel,
+  requeueFailedEmail,
+  releaseStale,
+  processOutbox,
+  startWorker,
+  stopWorker,
+  wakeWorker,
+};
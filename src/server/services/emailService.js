@@ -9,6 +9,8 @@
  */
 import nodemailer from "nodemailer";
 import { basename } from "path";
+import { translate } from "./localeService.js";
+import { render as renderEmail } from "./emailTemplateService.js";
 
 /**
  * Custom SMTP error with user-friendly details
@@ -194,16 +196,21 @@ export class EmailService {
   }
 
   /**
-   * Send email with optional PDF attachment
+   * Send email with optional attachments
    * @param {Object} options - Email options
-   * @param {string} options.to - Recipient email address
+   * @param {string} options.to - Recipient email address (several comma-separated)
+   * @param {string} [options.cc] - Copy recipients, comma-separated
+   * @param {string} [options.bcc] - Blind copy recipients, comma-separated
    * @param {string} options.subject - Email subject
    * @param {string} [options.body] - Email body text
+   * @param {string} [options.html] - HTML version of the body (sent with the text as alternative)
    * @param {string} [options.attachmentPath] - Path to PDF attachment
+   * @param {Array<Object>} [options.attachments] - More files: { path, fileName }
+   * @param {string} [options.language] - Case language of the default body
    * @returns {Promise<Object>} Send result from nodemailer
    * @throws {SmtpError} User-friendly error if sending fails
    */
-  async sendEmail({ to, subject, body, attachmentPath }) {
+  async sendEmail({ to, cc, bcc, subject, body, html, attachmentPath, attachments = [], language }) {
     if (!this.transporter) {
       try {
         await this.initialize();
@@ -215,16 +222,18 @@ export class EmailService {
     const mailOptions = {
       from: this.config.smtp_from || this.config.smtp_user,
       to,
+      ...(cc ? { cc } : {}),
+      ...(bcc ? { bcc } : {}),
       subject,
-      text: body || "Adjunto documento.",
-      attachments: attachmentPath
-        ? [
-            {
-              filename: basename(attachmentPath),
-              path: attachmentPath,
-            },
-          ]
-        : [],
+      text: body || translate(language, "email.defaultBody"),
+      ...(html ? { html } : {}),
+      attachments: [
+        ...(attachmentPath ? [{ filename: basename(attachmentPath), path: attachmentPath }] : []),
+        ...attachments.map((file) => ({ filename: file.fileName || basename(file.path), path: file.path })),
+      ],
+      // Ask for delivery status notifications (sent only if the server supports DSN);
+      // emailDeliveryService matches them by the Message-ID
+      dsn: { return: "headers", notify: ["success", "failure", "delay"] },
     };
 
     try {
@@ -259,22 +268,36 @@ export class EmailService {
   }
 
   /**
-   * Format email subject for ARAG minuta
+   * Format email subject for ARAG minuta (email template MINUTA)
+   * Default: DJ00xxxxxx - MINUTA (English: DJ00xxxxxx - FEE NOTE)
    * @param {string} aragReference - ARAG case reference
+   * @param {string} [language] - Case language
    * @returns {string} Formatted subject
    */
-  static formatMinutaSubject(aragReference) {
-    return `${aragReference} - MINUTA`;
+  static formatMinutaSubject(aragReference, language) {
+    return renderEmail("MINUTA", { aragReference }, {}, language).subject;
   }
 
   /**
-   * Format email subject for ARAG suplido
-   * Format: DJ00xxxxxx - SUPLIDO - [District]
+   * Format email subject for ARAG rectifying minuta (email template MINUTA)
+   * Default: DJ00xxxxxx - MINUTA RECTIFICATIVA
+   * @param {string} aragReference - ARAG case reference
+   * @param {string} [language] - Case language
+   * @returns {string} Formatted subject
+   */
+  static formatRectificativaSubject(aragReference, language) {
+    return renderEmail("MINUTA", { aragReference }, { rectification: {} }, language).subject;
+  }
+
+  /**
+   * Format email subject for ARAG suplido (email template SUPLIDO)
+   * Default: DJ00xxxxxx - SUPLIDO - [District]
    * @param {string} aragReference - ARAG case reference
    * @param {string} district - Judicial district
+   * @param {string} [language] - Case language
    * @returns {string} Formatted subject
    */
-  static formatSuplidoSubject(aragReference, district) {
-    return `${aragReference} - SUPLIDO - ${district}`;
+  static formatSuplidoSubject(aragReference, district, language) {
+    return renderEmail("SUPLIDO", { aragReference }, { district }, language).subject;
   }
 }
@@ -0,0 +1,320 @@
+// Email Template Service
+// Editable subject and body (plain text, optionally HTML) of the emails the
+// workflows send, rendered with the case data and the office signature
+
+import { execute, queryOne } from "../database.js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { EmailTemplateErrors, TemplateErrors } from "../errorMessages.js";
+import { DEFAULT_EMAIL_TEMPLATES } from "./defaultEmailTemplates.js";
+import { MAX_TEMPLATE_LENGTH, interpolate, resolveConditionals, validateTemplate } from "./templateEngine.js";
+import { buildContext, buildSampleContext, listContextPaths } from "./documentTemplateService.js";
+import { get as getConfigValue } from "./configurationService.js";
+import { getById as getCaseById } from "./caseService.js";
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, getCaseLanguage, getIntlLocale } from "./localeService.js";
+
+// Emails with an editable template
+export const EMAIL_TEMPLATE_KEYS = Object.keys(DEFAULT_EMAIL_TEMPLATES);
+
+// Email subjects are one line; longer ones get cut by some mail clients
+export const MAX_SUBJECT_LENGTH = 255;
+
+// Sample {{document.*}} data per email: the fields each workflow provides
+const SAMPLE_DOCUMENTS = {
+  MINUTA: {
+    date: "2026-01-15",
+    invoiceNumber: "M-2026-0001",
+    concept: "Honorarios profesionales",
+    amounts: { baseAmount: 203, vatRate: 21, vatAmount: 42.63, total: 245.63 },
+    // null for a minuta, set for a rectifying invoice
+    rectification: {
+      invoiceNumber: "M-2025-0042",
+      issueDate: "2025-12-01",
+      reason: "Corrección de los datos del cliente",
+    },
+  },
+  SUPLIDO: {
+    date: "2026-01-15",
+    district: "Torrox",
+    amount: 35.5,
+  },
+  HOJA_ENCARGO: {
+    date: "2026-01-15",
+  },
+  GENERIC: {
+    date: "2026-01-15",
+  },
+};
+
+/**
+ * Check an email template key exists
+ * @param {string} templateKey - Template key
+ * @throws {ValidationError} If the key has no template
+ */
+function assertKey(templateKey) {
+  if (!EMAIL_TEMPLATE_KEYS.includes(templateKey)) {
+    const errorInfo = EmailTemplateErrors.keyInvalid(templateKey, EMAIL_TEMPLATE_KEYS);
+    throw new ValidationError(errorInfo);
+  }
+}
+
+/**
+ * Check a template language is supported
+ * @param {string} language - Language code
+ * @throws {ValidationError} If the language has no catalogue
+ */
+function assertLanguage(language) {
+  if (!SUPPORTED_LANGUAGES.includes(language)) {
+    const errorInfo = TemplateErrors.languageInvalid(language, SUPPORTED_LANGUAGES);
+    throw new ValidationError(errorInfo);
+  }
+}
+
+/**
+ * Escape a value for an HTML body
+ * @param {string} text - Plain text
+ * @returns {string} Safe HTML
+ */
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Sample data of an email template, with every field it can use
+ * @param {string} templateKey - Template key
+ * @returns {Object} Template data
+ */
+export function getSampleContext(templateKey) {
+  assertKey(templateKey);
+  return buildSampleContext(SAMPLE_DOCUMENTS[templateKey]);
+}
+
+/**
+ * Validate the parts of an email template
+ * @param {string} templateKey - Template key
+ * @param {Object} content - { subject, text, html } (html optional)
+ * @returns {Object} { subject, text, html } with html null when empty
+ * @throws {ValidationError} With the errors of the first invalid part in details.errors
+ */
+export function validateContent(templateKey, content = {}) {
+  assertKey(templateKey);
+  const { subject, text } = content;
+  const html = typeof content.html === "string" && content.html.trim() !== "" ? content.html : null;
+
+  for (const [field, value] of [["subject", subject], ["text", text]]) {
+    if (typeof value !== "string" || value.trim() === "") {
+      const errorInfo = EmailTemplateErrors.partRequired(field);
+      throw new ValidationError(errorInfo);
+    }
+  }
+  if (subject.includes("\n") || subject.length > MAX_SUBJECT_LENGTH) {
+    const errorInfo = EmailTemplateErrors.subjectInvalid(MAX_SUBJECT_LENGTH);
+    throw new ValidationError(errorInfo);
+  }
+  for (const [field, value] of [["text", text], ["html", html]]) {
+    if (value && value.length > MAX_TEMPLATE_LENGTH) {
+      const errorInfo = EmailTemplateErrors.partTooLong(field, value.length, MAX_TEMPLATE_LENGTH);
+      throw new ValidationError(errorInfo);
+    }
+  }
+
+  const sample = getSampleContext(templateKey);
+  for (const [field, value] of [["subject", subject], ["text", text], ["html", html]]) {
+    const errors = value ? validateTemplate(value, sample, { directives: false }) : [];
+    if (errors.length > 0) {
+      const errorInfo = EmailTemplateErrors.syntaxInvalid(field, errors);
+      throw new ValidationError(errorInfo);
+    }
+  }
+  return { subject, text, html };
+}
+
+/**
+ * Custom template row of a key and language
+ * @param {string} templateKey - Template key
+ * @param {string} language - Language code
+ * @returns {Object|undefined} Row
+ */
+function getRow(templateKey, language) {
+  return queryOne("SELECT * FROM email_templates WHERE template_key = ? AND language = ?", [
+    templateKey,
+    language,
+  ]);
+}
+
+/**
+ * Template in use for an email (the custom one or the default)
+ * @param {string} templateKey - Template key
+ * @param {string} [language] - Case language
+ * @returns {Object} { subject, text, html }
+ */
+export function getContent(templateKey, language = DEFAULT_LANGUAGE) {
+  assertKey(templateKey);
+  assertLanguage(language);
+  const row = getRow(templateKey, language);
+  return row
+    ? { subject: row.subject, text: row.body_text, html: row.body_html }
+    : { ...DEFAULT_EMAIL_TEMPLATES[templateKey].content[language] };
+}
+
+/**
+ * Get the template of an email
+ * @param {string} templateKey - Template key
+ * @param {string} [language] - Language code
+ * @returns {Object} { templateKey, language, name, subject, text, html, defaults, customized, placeholders, updatedAt, updatedByUserId }
+ */
+export function get(templateKey, language = DEFAULT_LANGUAGE) {
+  assertKey(templateKey);
+  assertLanguage(language);
+  const row = getRow(templateKey, language);
+  const defaults = DEFAULT_EMAIL_TEMPLATES[templateKey];
+
+  return {
+    templateKey,
+    language,
+    name: defaults.name,
+    ...getContent(templateKey, language),
+    defaults: { ...defaults.content[language] },
+    customized: Boolean(row),
+    placeholders: listContextPaths(getSampleContext(templateKey)),
+    updatedAt: row ? row.updated_at : null,
+    updatedByUserId: row ? row.updated_by_user_id : null,
+  };
+}
+
+/**
+ * List the templates of every email and language
+ * @returns {Array} Templates
+ */
+export function list() {
+  return EMAIL_TEMPLATE_KEYS.flatMap((templateKey) =>
+    SUPPORTED_LANGUAGES.map((language) => get(templateKey, language))
+  );
+}
+
+/**
+ * Save a custom template for an email and language
+ * @param {string} templateKey - Template key
+ * @param {Object} content - { subject, text, html }
+ * @param {Object} [actor] - User saving the template
+ * @param {string} [language] - Language code
+ * @returns {Object} Saved template
+ * @throws {ValidationError} If the template has errors
+ */
+export function update(templateKey, content, actor = null, language = DEFAULT_LANGUAGE) {
+  assertLanguage(language);
+  const { subject, text, html } = validateContent(templateKey, content);
+
+  execute(
+    `INSERT INTO email_templates (template_key, language, subject, body_text, body_html, updated_by_user_id)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(template_key, language) DO UPDATE SET
+       subject = excluded.subject,
+       body_text = excluded.body_text,
+       body_html = excluded.body_html,
+       updated_by_user_id = excluded.updated_by_user_id,
+       updated_at = datetime('now')`,
+    [templateKey, language, subject, text, html, actor?.id ?? null]
+  );
+
+  return get(templateKey, language);
+}
+
+/**
+ * Restore the default template of an email and language
+ * @param {string} templateKey - Template key
+ * @param {string} [language] - Language code
+ * @returns {Object} Default template
+ */
+export function reset(templateKey, language = DEFAULT_LANGUAGE) {
+  assertKey(templateKey);
+  assertLanguage(language);
+  execute("DELETE FROM email_templates WHERE template_key = ? AND language = ?", [templateKey, language]);
+  return get(templateKey, language);
+}
+
+/**
+ * Fill a template with its data and append the signature
+ * The signature (configuration email_signature) follows the usual "-- " delimiter;
+ * values placed in the HTML body are escaped.
+ * @param {Object} content - { subject, text, html }
+ * @param {Object} context - Template data
+ * @param {string} language - Language of the dates and amounts
+ * @returns {Object} { subject, text, html } with html null for plain text emails
+ */
+export function renderContent(content, context, language = DEFAULT_LANGUAGE) {
+  const locale = getIntlLocale(language);
+  const fill = (source, encode) => interpolate(resolveConditionals(source, context), context, locale, encode);
+  const signature = String(getConfigValue("email_signature") ?? "").trim();
+
+  const text = fill(content.text).trim();
+  const html = content.html ? fill(content.html, escapeHtml).trim() : null;
+
+  return {
+    subject: fill(content.subject).replace(/\s+/g, " ").trim(),
+    text: signature ? `${text}\n\n-- \n${signature}` : text,
+    html:
+      html && signature
+        ? `${html}\n<p class="signature">-- <br>${escapeHtml(signature).replace(/\n/g, "<br>")}</p>`
+        : html,
+  };
+}
+
+/**
+ * Render the email of a case
+ * @param {string} templateKey - Template key
+ * @param {Object} caseData - Case (camelCase or database row)
+ * @param {Object} [document] - {{document.*}} data of the email
+ * @param {string} [language] - Defaults to the case language
+ * @returns {Object} { subject, text, html }
+ */
+export function render(templateKey, caseData, document = {}, language = getCaseLanguage(caseData)) {
+  return renderContent(getContent(templateKey, language), buildContext(caseData, document), language);
+}
+
+/**
+ * Render a template without saving it
+ * With a case, its real data is used and the document fields are sample values.
+ * @param {string} templateKey - Template key
+ * @param {Object} [content] - { subject, text, html }; defaults to the template in use
+ * @param {number|null} [caseId] - Case to preview with
+ * @param {string} [language] - Language code
+ * @returns {Object} { subject, text, html }
+ * @throws {ValidationError|NotFoundError}
+ */
+export function preview(templateKey, content = null, caseId = null, language = DEFAULT_LANGUAGE) {
+  assertLanguage(language);
+  const template = content ? validateContent(templateKey, content) : getContent(templateKey, language);
+  const sample = getSampleContext(templateKey);
+  sample.case.language = language;
+
+  let context = sample;
+  if (caseId) {
+    const caseData = getCaseById(caseId);
+    if (!caseData) {
+      const errorInfo = TemplateErrors.caseNotFound(caseId);
+      throw new NotFoundError(errorInfo);
+    }
+    context = buildContext(caseData, sample.document);
+  }
+  return renderContent(template, context, language);
+}
+
+export default {
+  EMAIL_TEMPLATE_KEYS,
+  MAX_SUBJECT_LENGTH,
+  getSampleContext,
+  validateContent,
+  getContent,
+  get,
+  list,
+  update,
+  reset,
+  renderContent,
+  render,
+  preview,
+};
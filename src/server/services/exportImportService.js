@@ -34,7 +34,15 @@ export function exportData() {
   try {
     const cases = query("SELECT * FROM cases ORDER BY id");
     const documentHistory = query("SELECT * FROM document_history ORDER BY id");
+    const documentVersions = query("SELECT * FROM document_versions ORDER BY id");
     const emailHistory = query("SELECT * FROM email_history ORDER BY id");
+    const payments = query("SELECT * FROM payments ORDER BY id");
+    const deadlines = query("SELECT * FROM deadlines ORDER BY id");
+    const hearings = query("SELECT * FROM hearings ORDER BY id");
+    const timeEntries = query("SELECT * FROM time_entries ORDER BY id");
+    const provisionMovements = query("SELECT * FROM provision_movements ORDER BY id");
+    const documentTemplates = query("SELECT * FROM document_templates ORDER BY id");
+    const emailTemplates = query("SELECT * FROM email_templates ORDER BY id");
     const configuration = query("SELECT * FROM configuration ORDER BY key");
     const referenceCounters = query(
       "SELECT * FROM reference_counters ORDER BY type"
@@ -46,7 +54,15 @@ export function exportData() {
       data: {
         cases,
         documentHistory,
+        documentVersions,
         emailHistory,
+        payments,
+        deadlines,
+        hearings,
+        timeEntries,
+        provisionMovements,
+        documentTemplates,
+        emailTemplates,
         configuration,
         referenceCounters,
       },
@@ -80,7 +96,15 @@ export function importData(importData, options = {}) {
   const {
     cases,
     documentHistory,
+    documentVersions,
     emailHistory,
+    payments,
+    deadlines,
+    hearings,
+    timeEntries,
+    provisionMovements,
+    documentTemplates,
+    emailTemplates,
     configuration,
     referenceCounters,
   } = importData.data;
@@ -89,7 +113,15 @@ export function importData(importData, options = {}) {
   const summary = {
     cases: { imported: 0, skipped: 0 },
     documentHistory: { imported: 0, skipped: 0 },
+    documentVersions: { imported: 0, skipped: 0 },
     emailHistory: { imported: 0, skipped: 0 },
+    payments: { imported: 0, skipped: 0 },
+    deadlines: { imported: 0, skipped: 0 },
+    hearings: { imported: 0, skipped: 0 },
+    timeEntries: { imported: 0, skipped: 0 },
+    provisionMovements: { imported: 0, skipped: 0 },
+    documentTemplates: { imported: 0, skipped: 0 },
+    emailTemplates: { imported: 0, skipped: 0 },
     configuration: { imported: 0, skipped: 0 },
     referenceCounters: { imported: 0, skipped: 0 },
   };
@@ -99,8 +131,16 @@ export function importData(importData, options = {}) {
       // Clear existing data if requested
       if (clearExisting) {
         execute("DELETE FROM email_history");
+        execute("DELETE FROM provision_movements");
+        execute("DELETE FROM payments");
+        execute("DELETE FROM deadlines");
+        execute("DELETE FROM hearings");
+        execute("DELETE FROM time_entries");
+        execute("DELETE FROM document_versions");
         execute("DELETE FROM document_history");
         execute("DELETE FROM cases");
+        execute("DELETE FROM document_templates");
+        execute("DELETE FROM email_templates");
         execute("DELETE FROM configuration");
         execute("DELETE FROM reference_counters");
       }
@@ -179,8 +219,10 @@ export function importData(importData, options = {}) {
             if (clearExisting) {
               execute(
                 `INSERT INTO document_history (id, case_id, document_type, file_path, 
-                 generated_at, signed, created_at)
-                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                 generated_at, signed, created_at, rectifies_document_id, amount_due,
+                 original_name, mime_type, file_size, category, description, tags, uploaded_by_user_id,
+                 sha256, deleted_at, deleted_by_user_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                   row.id,
                   row.case_id,
@@ -189,6 +231,18 @@ export function importData(importData, options = {}) {
                   row.generated_at,
                   row.signed,
                   row.created_at,
+                  row.rectifies_document_id ?? null,
+                  row.amount_due ?? null,
+                  row.original_name ?? null,
+                  row.mime_type ?? null,
+                  row.file_size ?? null,
+                  row.category ?? null,
+                  row.description ?? null,
+                  row.tags ?? "[]",
+                  row.uploaded_by_user_id ?? null,
+                  row.sha256 ?? null,
+                  row.deleted_at ?? null,
+                  row.deleted_by_user_id ?? null,
                 ]
               );
               summary.documentHistory.imported++;
@@ -199,8 +253,10 @@ export function importData(importData, options = {}) {
               if (!existing) {
                 execute(
                   `INSERT INTO document_history (id, case_id, document_type, file_path, 
-                   generated_at, signed, created_at)
-                   VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                   generated_at, signed, created_at, rectifies_document_id, amount_due,
+                   original_name, mime_type, file_size, category, description, tags, uploaded_by_user_id,
+                   sha256, deleted_at, deleted_by_user_id)
+                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                   [
                     row.id,
                     row.case_id,
@@ -209,6 +265,18 @@ export function importData(importData, options = {}) {
                     row.generated_at,
                     row.signed,
                     row.created_at,
+                    row.rectifies_document_id ?? null,
+                    row.amount_due ?? null,
+                    row.original_name ?? null,
+                    row.mime_type ?? null,
+                    row.file_size ?? null,
+                    row.category ?? null,
+                    row.description ?? null,
+                    row.tags ?? "[]",
+                    row.uploaded_by_user_id ?? null,
+                    row.sha256 ?? null,
+                    row.deleted_at ?? null,
+                    row.deleted_by_user_id ?? null,
                   ]
                 );
                 summary.documentHistory.imported++;
@@ -222,25 +290,257 @@ export function importData(importData, options = {}) {
         }
       }
 
+      // Import document versions (after the documents they belong to)
+      if (Array.isArray(documentVersions)) {
+        for (const row of documentVersions) {
+          try {
+            const existing = clearExisting
+              ? null
+              : db
+                  .prepare("SELECT id FROM document_versions WHERE document_id = ? AND version_number = ?")
+                  .get(row.document_id, row.version_number);
+            if (!existing) {
+              execute(
+                `INSERT INTO document_versions (id, document_id, version_number, file_path, sha256, file_size,
+                 reason, created_by_user_id, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                  row.id,
+                  row.document_id,
+                  row.version_number,
+                  row.file_path,
+                  row.sha256,
+                  row.file_size,
+                  row.reason,
+                  row.created_by_user_id,
+                  row.created_at,
+                ]
+              );
+              summary.documentVersions.imported++;
+            } else {
+              summary.documentVersions.skipped++;
+            }
+          } catch (e) {
+            summary.documentVersions.skipped++;
+          }
+        }
+      }
+
+      // Import payments (after the documents they belong to)
+      if (Array.isArray(payments)) {
+        for (const row of payments) {
+          try {
+            const existing = clearExisting
+              ? null
+              : db.prepare("SELECT id FROM payments WHERE id = ?").get(row.id);
+            if (!existing) {
+              execute(
+                `INSERT INTO payments (id, document_id, amount, payment_date, method,
+                 reference, created_by_user_id, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                  row.id,
+                  row.document_id,
+                  row.amount,
+                  row.payment_date,
+                  row.method,
+                  row.reference,
+                  row.created_by_user_id,
+                  row.created_at,
+                ]
+              );
+              summary.payments.imported++;
+            } else {
+              summary.payments.skipped++;
+            }
+          } catch (e) {
+            summary.payments.skipped++;
+          }
+        }
+      }
+
+      // Import deadlines (after the cases they belong to)
+      if (Array.isArray(deadlines)) {
+        for (const row of deadlines) {
+          try {
+            const existing = clearExisting
+              ? null
+              : db.prepare("SELECT id FROM deadlines WHERE id = ?").get(row.id);
+            if (!existing) {
+              execute(
+                `INSERT INTO deadlines (id, case_id, title, notes, start_date, days, day_type,
+                 judicial, due_date, completed_at, created_by_user_id, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                  row.id,
+                  row.case_id,
+                  row.title,
+                  row.notes,
+                  row.start_date,
+                  row.days,
+                  row.day_type,
+                  row.judicial,
+                  row.due_date,
+                  row.completed_at,
+                  row.created_by_user_id,
+                  row.created_at,
+                  row.updated_at,
+                ]
+              );
+              summary.deadlines.imported++;
+            } else {
+              summary.deadlines.skipped++;
+            }
+          } catch (e) {
+            summary.deadlines.skipped++;
+          }
+        }
+      }
+
+      // Import hearings (lawyers that do not exist here are left unassigned)
+      if (Array.isArray(hearings)) {
+        for (const row of hearings) {
+          try {
+            const existing = clearExisting
+              ? null
+              : db.prepare("SELECT id FROM hearings WHERE id = ?").get(row.id);
+            if (!existing) {
+              const lawyer = row.lawyer_user_id
+                ? db.prepare("SELECT id FROM users WHERE id = ?").get(row.lawyer_user_id)
+                : null;
+              execute(
+                `INSERT INTO hearings (id, case_id, hearing_type, starts_at, duration_minutes, court,
+                 judicial_district, notes, status, lawyer_user_id, created_by_user_id, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                  row.id,
+                  row.case_id,
+                  row.hearing_type,
+                  row.starts_at,
+                  row.duration_minutes,
+                  row.court,
+                  row.judicial_district,
+                  row.notes,
+                  row.status,
+                  lawyer ? lawyer.id : null,
+                  row.created_by_user_id,
+                  row.created_at,
+                  row.updated_at,
+                ]
+              );
+              summary.hearings.imported++;
+            } else {
+              summary.hearings.skipped++;
+            }
+          } catch (e) {
+            summary.hearings.skipped++;
+          }
+        }
+      }
+
+      // Import time entries (after documents; users that do not exist here are left unassigned)
+      if (Array.isArray(timeEntries)) {
+        for (const row of timeEntries) {
+          try {
+            const existing = clearExisting
+              ? null
+              : db.prepare("SELECT id FROM time_entries WHERE id = ?").get(row.id);
+            if (!existing) {
+              const user = row.user_id
+                ? db.prepare("SELECT id FROM users WHERE id = ?").get(row.user_id)
+                : null;
+              execute(
+                `INSERT INTO time_entries (id, case_id, user_id, entry_date, duration_minutes, activity,
+                 hourly_rate, billable, timer_started_at, document_id, created_by_user_id, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                  row.id,
+                  row.case_id,
+                  user ? user.id : null,
+                  row.entry_date,
+                  row.duration_minutes,
+                  row.activity,
+                  row.hourly_rate,
+                  row.billable,
+                  user ? row.timer_started_at : null,
+                  row.document_id,
+                  row.created_by_user_id,
+                  row.created_at,
+                  row.updated_at,
+                ]
+              );
+              summary.timeEntries.imported++;
+            } else {
+              summary.timeEntries.skipped++;
+            }
+          } catch (e) {
+            summary.timeEntries.skipped++;
+          }
+        }
+      }
+
+      // Import provision movements (after documents and the payments of applied funds)
+      if (Array.isArray(provisionMovements)) {
+        for (const row of provisionMovements) {
+          try {
+            const existing = clearExisting
+              ? null
+              : db.prepare("SELECT id FROM provision_movements WHERE id = ?").get(row.id);
+            if (!existing) {
+              execute(
+                `INSERT INTO provision_movements (id, case_id, movement_type, amount, movement_date, method,
+                 reference, notes, document_id, payment_id, created_by_user_id, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                  row.id,
+                  row.case_id,
+                  row.movement_type,
+                  row.amount,
+                  row.movement_date,
+                  row.method,
+                  row.reference,
+                  row.notes,
+                  row.document_id,
+                  row.payment_id,
+                  row.created_by_user_id,
+                  row.created_at,
+                ]
+              );
+              summary.provisionMovements.imported++;
+            } else {
+              summary.provisionMovements.skipped++;
+            }
+          } catch (e) {
+            summary.provisionMovements.skipped++;
+          }
+        }
+      }
+
       // Import email history
       if (Array.isArray(emailHistory)) {
         for (const row of emailHistory) {
           try {
             if (clearExisting) {
               execute(
-                `INSERT INTO email_history (id, case_id, document_id, recipient, 
-                 subject, sent_at, status, error_message, created_at)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                `INSERT INTO email_history (id, case_id, document_id, recipient, cc, bcc,
+                 subject, attachment_document_ids, sent_at, status, error_message, created_at,
+                 message_id, delivery_updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                   row.id,
                   row.case_id,
                   row.document_id,
                   row.recipient,
+                  row.cc ?? null,
+                  row.bcc ?? null,
                   row.subject,
+                  row.attachment_document_ids ?? "[]",
                   row.sent_at,
                   row.status,
                   row.error_message,
                   row.created_at,
+                  row.message_id ?? null,
+                  row.delivery_updated_at ?? null,
                 ]
               );
               summary.emailHistory.imported++;
@@ -250,19 +550,25 @@ export function importData(importData, options = {}) {
                 .get(row.id);
               if (!existing) {
                 execute(
-                  `INSERT INTO email_history (id, case_id, document_id, recipient, 
-                   subject, sent_at, status, error_message, created_at)
-                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                  `INSERT INTO email_history (id, case_id, document_id, recipient, cc, bcc,
+                   subject, attachment_document_ids, sent_at, status, error_message, created_at,
+                   message_id, delivery_updated_at)
+                   VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                   [
                     row.id,
                     row.case_id,
                     row.document_id,
                     row.recipient,
+                    row.cc ?? null,
+                    row.bcc ?? null,
                     row.subject,
+                    row.attachment_document_ids ?? "[]",
                     row.sent_at,
                     row.status,
                     row.error_message,
                     row.created_at,
+                    row.message_id ?? null,
+                    row.delivery_updated_at ?? null,
                   ]
                 );
                 summary.emailHistory.imported++;
@@ -276,6 +582,68 @@ export function importData(importData, options = {}) {
         }
       }
 
+      // Import document templates (one per document type and language)
+      if (Array.isArray(documentTemplates)) {
+        for (const row of documentTemplates) {
+          try {
+            // Exports made before templates had a language are Spanish
+            const language = row.language || "es";
+            const existing = clearExisting
+              ? null
+              : db
+                  .prepare("SELECT id FROM document_templates WHERE document_type = ? AND language = ?")
+                  .get(row.document_type, language);
+            if (!existing) {
+              execute(
+                `INSERT INTO document_templates (document_type, language, body, updated_by_user_id, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [row.document_type, language, row.body, row.updated_by_user_id, row.created_at, row.updated_at]
+              );
+              summary.documentTemplates.imported++;
+            } else {
+              summary.documentTemplates.skipped++;
+            }
+          } catch (e) {
+            summary.documentTemplates.skipped++;
+          }
+        }
+      }
+
+      // Import email templates (one per template key and language)
+      if (Array.isArray(emailTemplates)) {
+        for (const row of emailTemplates) {
+          try {
+            const existing = clearExisting
+              ? null
+              : db
+                  .prepare("SELECT id FROM email_templates WHERE template_key = ? AND language = ?")
+                  .get(row.template_key, row.language);
+            if (!existing) {
+              execute(
+                `INSERT INTO email_templates
+                   (template_key, language, subject, body_text, body_html, updated_by_user_id, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                  row.template_key,
+                  row.language,
+                  row.subject,
+                  row.body_text,
+                  row.body_html,
+                  row.updated_by_user_id,
+                  row.created_at,
+                  row.updated_at,
+                ]
+              );
+              summary.emailTemplates.imported++;
+            } else {
+              summary.emailTemplates.skipped++;
+            }
+          } catch (e) {
+            summary.emailTemplates.skipped++;
+          }
+        }
+      }
+
       // Import configuration
       if (Array.isArray(configuration)) {
         for (const row of configuration) {
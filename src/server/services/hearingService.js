@@ -0,0 +1,379 @@
+// Hearing Service
+// Court hearings (señalamientos) per case
+
+import { execute, query, queryOne } from "../database.js";
+import { ValidationError, NotFoundError } from "../errors.js";
+import { HearingErrors } from "../errorMessages.js";
+import { MADRID_TIMEZONE, madridNow } from "../utils.js";
+import { JUDICIAL_DISTRICTS } from "./caseService.js";
+import { buildCalendar } from "./icalendarService.js";
+
+export const HEARING_TYPES = [
+  "JUICIO",
+  "AUDIENCIA_PREVIA",
+  "VISTA",
+  "COMPARECENCIA",
+  "DECLARACION",
+  "OTRO",
+];
+
+export const HEARING_TYPE_LABELS = {
+  JUICIO: "Juicio",
+  AUDIENCIA_PREVIA: "Audiencia previa",
+  VISTA: "Vista",
+  COMPARECENCIA: "Comparecencia",
+  DECLARACION: "Declaración",
+  OTRO: "Señalamiento",
+};
+
+export const HEARING_STATUS = {
+  SCHEDULED: "PROGRAMADO",
+  HELD: "CELEBRADO",
+  POSTPONED: "SUSPENDIDO",
+};
+
+// Hearing times are wall-clock times at the court
+export const HEARING_TIMEZONE = MADRID_TIMEZONE;
+
+export const DEFAULT_DURATION_MINUTES = 60;
+
+// Past hearings kept in the calendar feed
+const FEED_PAST_DAYS = 90;
+
+const SELECT_HEARINGS = `
+  SELECT h.*, c.client_name, c.internal_reference, c.type as case_type,
+         u.full_name as lawyer_name, u.username as lawyer_username
+  FROM hearings h
+  JOIN cases c ON c.id = h.case_id
+  LEFT JOIN users u ON u.id = h.lawyer_user_id`;
+
+const STARTS_AT_REGEX = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})$/;
+
+/**
+ * Normalize a local date/time to YYYY-MM-DDTHH:MM
+ * @param {string} value - Date/time ("2026-11-03T10:30" or "2026-11-03 10:30")
+ * @returns {string|null} Normalized value or null if invalid
+ */
+export function normalizeStartsAt(value) {
+  const match = STARTS_AT_REGEX.exec(String(value ?? "").trim());
+  if (!match) return null;
+
+  const [, date, hour, minute] = match;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== date) return null;
+  if (Number(hour) > 23 || Number(minute) > 59) return null;
+
+  return `${date}T${hour}:${minute}`;
+}
+
+/**
+ * Validate hearing input
+ * @param {Object} data - Hearing fields
+ * @returns {Object} Normalized column values
+ * @throws {ValidationError}
+ */
+function validateHearing(data) {
+  const hearingType = data.hearingType || "JUICIO";
+  if (!HEARING_TYPES.includes(hearingType)) {
+    const errorInfo = HearingErrors.typeInvalid(hearingType, HEARING_TYPES);
+    throw new ValidationError(errorInfo);
+  }
+
+  const startsAt = normalizeStartsAt(data.startsAt);
+  if (!startsAt) {
+    const errorInfo = HearingErrors.startsAtInvalid(data.startsAt);
+    throw new ValidationError(errorInfo);
+  }
+
+  const rawDuration = data.durationMinutes ?? DEFAULT_DURATION_MINUTES;
+  const durationMinutes = typeof rawDuration === "string" ? Number(rawDuration) : rawDuration;
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 5 || durationMinutes > 720) {
+    const errorInfo = HearingErrors.durationInvalid(data.durationMinutes);
+    throw new ValidationError(errorInfo);
+  }
+
+  const court = typeof data.court === "string" ? data.court.trim() : "";
+  if (!court) {
+    const errorInfo = HearingErrors.courtRequired();
+    throw new ValidationError(errorInfo);
+  }
+
+  const judicialDistrict = data.judicialDistrict || null;
+  if (judicialDistrict && !JUDICIAL_DISTRICTS.includes(judicialDistrict)) {
+    const errorInfo = HearingErrors.districtInvalid(judicialDistrict, JUDICIAL_DISTRICTS);
+    throw new ValidationError(errorInfo);
+  }
+
+  const status = data.status || HEARING_STATUS.SCHEDULED;
+  const validStatuses = Object.values(HEARING_STATUS);
+  if (!validStatuses.includes(status)) {
+    const errorInfo = HearingErrors.statusInvalid(status, validStatuses);
+    throw new ValidationError(errorInfo);
+  }
+
+  const lawyerUserId = data.lawyerUserId ? Number(data.lawyerUserId) : null;
+  if (lawyerUserId && !queryOne("SELECT id FROM users WHERE id = ?", [lawyerUserId])) {
+    const errorInfo = HearingErrors.lawyerNotFound(data.lawyerUserId);
+    throw new ValidationError(errorInfo);
+  }
+
+  return {
+    hearingType,
+    startsAt,
+    durationMinutes,
+    court,
+    judicialDistrict,
+    notes: data.notes ? String(data.notes).trim() || null : null,
+    status,
+    lawyerUserId,
+  };
+}
+
+/**
+ * Create a hearing for a case
+ * The judicial district defaults to the case's district.
+ * @param {number} caseId - Case ID
+ * @param {Object} data - { hearingType, startsAt, durationMinutes, court, judicialDistrict, notes, lawyerUserId }
+ * @param {Object} [actor] - User creating the hearing
+ * @returns {Object} Created hearing
+ * @throws {NotFoundError|ValidationError}
+ */
+export function create(caseId, data = {}, actor = null) {
+  const caseRow = queryOne("SELECT id, judicial_district FROM cases WHERE id = ?", [caseId]);
+  if (!caseRow) {
+    const errorInfo = HearingErrors.caseNotFound(caseId);
+    throw new NotFoundError(errorInfo);
+  }
+
+  const h = validateHearing({
+    ...data,
+    judicialDistrict: data.judicialDistrict ?? caseRow.judicial_district,
+  });
+
+  const result = execute(
+    `INSERT INTO hearings (case_id, hearing_type, starts_at, duration_minutes, court, judicial_district,
+                           notes, status, lawyer_user_id, created_by_user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      caseId,
+      h.hearingType,
+      h.startsAt,
+      h.durationMinutes,
+      h.court,
+      h.judicialDistrict,
+      h.notes,
+      h.status,
+      h.lawyerUserId,
+      actor?.id ?? null,
+    ]
+  );
+
+  return getById(result.lastInsertRowid);
+}
+
+/**
+ * Get hearing by ID
+ * @param {number} id - Hearing ID
+ * @returns {Object|null} Hearing or null if not found
+ */
+export function getById(id) {
+  const row = queryOne(`${SELECT_HEARINGS} WHERE h.id = ?`, [id]);
+  return row ? mapRowToHearing(row) : null;
+}
+
+/**
+ * List hearings in chronological order
+ * @param {Object} [filters] - { caseId, from, to, userId, status }
+ *   from/to are local dates or date-times; userId keeps the user's hearings and unassigned ones
+ * @returns {Array} Hearings with case data
+ */
+export function list(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.caseId) {
+    conditions.push("h.case_id = ?");
+    params.push(filters.caseId);
+  }
+  if (filters.from) {
+    conditions.push("h.starts_at >= ?");
+    params.push(filters.from);
+  }
+  if (filters.to) {
+    // A bare date includes the whole day
+    conditions.push("h.starts_at <= ?");
+    params.push(filters.to.length === 10 ? `${filters.to}T23:59` : filters.to);
+  }
+  if (filters.userId) {
+    conditions.push("(h.lawyer_user_id = ? OR h.lawyer_user_id IS NULL)");
+    params.push(filters.userId);
+  }
+  if (filters.status) {
+    conditions.push("h.status = ?");
+    params.push(filters.status);
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  return query(`${SELECT_HEARINGS} ${where} ORDER BY h.starts_at ASC, h.id ASC`, params).map(
+    mapRowToHearing
+  );
+}
+
+/**
+ * Scheduled hearings from now on (dashboard "próximos señalamientos")
+ * @param {Object} [options] - { days, limit, now }
+ * @returns {Array} Upcoming hearings
+ */
+export function getUpcoming(options = {}) {
+  const { days = 30, limit = 10 } = options;
+  const from = madridNow(options.now);
+  const until = new Date(`${from.slice(0, 10)}T00:00:00Z`);
+  until.setUTCDate(until.getUTCDate() + days);
+
+  return list({
+    from,
+    to: until.toISOString().slice(0, 10),
+    status: HEARING_STATUS.SCHEDULED,
+  }).slice(0, limit);
+}
+
+/**
+ * Update a hearing
+ * @param {number} id - Hearing ID
+ * @param {Object} data - Fields to change
+ * @returns {Object} Updated hearing
+ * @throws {NotFoundError|ValidationError}
+ */
+export function update(id, data = {}) {
+  const current = getById(id);
+  if (!current) {
+    const errorInfo = HearingErrors.notFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+
+  const h = validateHearing({ ...current, ...data });
+  execute(
+    `UPDATE hearings
+     SET hearing_type = ?, starts_at = ?, duration_minutes = ?, court = ?, judicial_district = ?,
+         notes = ?, status = ?, lawyer_user_id = ?, updated_at = datetime('now')
+     WHERE id = ?`,
+    [
+      h.hearingType,
+      h.startsAt,
+      h.durationMinutes,
+      h.court,
+      h.judicialDistrict,
+      h.notes,
+      h.status,
+      h.lawyerUserId,
+      id,
+    ]
+  );
+
+  return getById(id);
+}
+
+/**
+ * Delete a hearing
+ * @param {number} id - Hearing ID
+ * @returns {boolean} True if deleted
+ * @throws {NotFoundError}
+ */
+export function deleteHearing(id) {
+  const result = execute("DELETE FROM hearings WHERE id = ?", [id]);
+  if (result.changes === 0) {
+    const errorInfo = HearingErrors.notFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+  return true;
+}
+
+/**
+ * Convert a hearing to an iCalendar event
+ * @param {Object} hearing - Hearing object
+ * @returns {Object} Event for buildCalendar
+ */
+export function toCalendarEvent(hearing) {
+  const reference = hearing.internalReference ? ` (${hearing.internalReference})` : "";
+  const description = [
+    `Expediente: ${hearing.internalReference || "-"} · ${hearing.clientName}`,
+    hearing.lawyerName ? `Letrado: ${hearing.lawyerName}` : null,
+    hearing.status === HEARING_STATUS.POSTPONED ? "SUSPENDIDO" : null,
+    hearing.notes,
+  ]
+    .filter(Boolean)
+    .join("\n");
+
+  return {
+    uid: `hearing-${hearing.id}@recordplus`,
+    start: hearing.startsAt,
+    durationMinutes: hearing.durationMinutes,
+    summary: `${HEARING_TYPE_LABELS[hearing.hearingType]}: ${hearing.clientName}${reference}`,
+    location: [hearing.court, hearing.judicialDistrict].filter(Boolean).join(", "),
+    description,
+    cancelled: hearing.status === HEARING_STATUS.POSTPONED,
+    stamp: hearing.updatedAt,
+  };
+}
+
+/**
+ * Build the iCalendar feed of a user
+ * Includes the user's hearings and unassigned ones from the last 90 days on.
+ * @param {Object} user - Feed owner
+ * @param {Object} [options] - { now }
+ * @returns {string} text/calendar body
+ */
+export function buildCalendarFeed(user, options = {}) {
+  const from = new Date(`${madridNow(options.now).slice(0, 10)}T00:00:00Z`);
+  from.setUTCDate(from.getUTCDate() - FEED_PAST_DAYS);
+
+  const hearings = list({ userId: user.id, from: from.toISOString().slice(0, 10) });
+  return buildCalendar({
+    name: `Señalamientos - ${user.fullName || user.username}`,
+    events: hearings.map(toCalendarEvent),
+  });
+}
+
+/**
+ * Map database row to hearing object
+ * @param {Object} row - Database row (joined with cases and users)
+ * @returns {Object} Hearing object
+ */
+function mapRowToHearing(row) {
+  return {
+    id: row.id,
+    caseId: row.case_id,
+    hearingType: row.hearing_type,
+    startsAt: row.starts_at,
+    durationMinutes: row.duration_minutes,
+    court: row.court,
+    judicialDistrict: row.judicial_district,
+    notes: row.notes,
+    status: row.status,
+    lawyerUserId: row.lawyer_user_id,
+    lawyerName: row.lawyer_user_id ? row.lawyer_name || row.lawyer_username : null,
+    clientName: row.client_name,
+    internalReference: row.internal_reference,
+    caseType: row.case_type,
+    createdByUserId: row.created_by_user_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export default {
+  HEARING_TYPES,
+  HEARING_TYPE_LABELS,
+  HEARING_STATUS,
+  HEARING_TIMEZONE,
+  DEFAULT_DURATION_MINUTES,
+  normalizeStartsAt,
+  create,
+  getById,
+  list,
+  getUpcoming,
+  update,
+  deleteHearing,
+  toCalendarEvent,
+  buildCalendarFeed,
+};
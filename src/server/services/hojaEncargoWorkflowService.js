@@ -2,15 +2,52 @@
  * Hoja de Encargo Workflow Service
  * Orchestrates document generation for Particular (private client) cases:
  * - Generate Hoja de Encargo PDF
- * - Sign document (separate step)
- * - Send by email to client (separate step)
+ * - Sign document (separate step), by the lawyer or by the client from a signing link
+ * - Queue the email to the client (separate step, sent by the outbox worker)
+ * - Invoice unbilled hours in an itemised fee note ("factura de horas")
+ * - Request a provisión de fondos with a signed "solicitud"
  */
 import { PDFGeneratorService } from "./pdfGeneratorService.js";
 import { SignatureService } from "./signatureService.js";
 import { EmailService } from "./emailService.js";
 import { DocumentHistoryService } from "./documentHistoryService.js";
-import { EmailHistoryService } from "./emailHistoryService.js";
-import { ValidationError } from "../errors.js";
+import { enqueue as enqueueEmail } from "./emailOutboxService.js";
+import { render as renderEmail } from "./emailTemplateService.js";
+import {
+  getInvoiceSeries,
+  reserveInvoiceNumber,
+  issueInvoiceInTransaction,
+} from "./invoiceService.js";
+import {
+  FEE_NOTE_CONCEPT,
+  FEE_NOTE_DOCUMENT_TYPE,
+  calculateFeeNoteAmounts,
+  getUnbilledEntries,
+  markBilledInTransaction,
+} from "./timeEntryService.js";
+import {
+  MOVEMENT_TYPES,
+  PROVISION_REQUEST_DOCUMENT_TYPE,
+  create as createProvisionMovement,
+  validateMovement,
+} from "./provisionService.js";
+import {
+  appendSignaturePage,
+  getPendingByToken,
+  readSourceDocument,
+  recordSignature,
+  validateSignature,
+} from "./clientSignatureService.js";
+import { getById as getCaseById } from "./caseService.js";
+import { sha256 } from "./documentVersionService.js";
+import { getDatabase, transaction } from "../database.js";
+import { ConflictError, ValidationError } from "../errors.js";
+import { getCaseLanguage, translate } from "./localeService.js";
+import { ClientSignatureErrors, TimeEntryErrors } from "../errorMessages.js";
+import { existsSync, readFileSync, unlinkSync, writeFileSync } from "fs";
+
+// Regenerations allowed when a reserved invoice number is taken concurrently
+const MAX_INVOICE_ATTEMPTS = 3;
 
 export class HojaEncargoWorkflowService {
   constructor(config) {
@@ -21,10 +58,13 @@ export class HojaEncargoWorkflowService {
     this.signatureService = new SignatureService(
       config.certificate_path,
       config.certificate_password,
+      {
+        tsaUrl: config.signature_tsa_url,
+        embedValidationData: config.signature_ltv_enabled === "true",
+      },
     );
     this.emailService = new EmailService(config);
     this.documentHistory = new DocumentHistoryService();
-    this.emailHistory = new EmailHistoryService();
   }
 
   /**
@@ -49,6 +89,7 @@ export class HojaEncargoWorkflowService {
    * @param {Object} hojaData - Hoja de Encargo specific data
    * @param {string} hojaData.services - Services description
    * @param {number} hojaData.fees - Professional fees amount
+   * @param {boolean} [hojaData.bilingual] - Spanish and English versions in one document
    * @returns {Promise<Object>} Generation result with document ID
    */
   async generateHojaEncargo(caseData, hojaData) {
@@ -78,6 +119,145 @@ export class HojaEncargoWorkflowService {
     };
   }
 
+  /**
+   * Invoice the case's unbilled hours in an itemised fee note
+   * Generates and signs the PDF, then records the document, the invoice and
+   * the billed entries in one transaction.
+   * @param {Object} caseData - Case information
+   * @returns {Promise<Object>} { success, documentId, invoice, filePath, filename, entryCount, amounts }
+   * @throws {ValidationError} If there are no unbilled billable hours
+   * @throws {ConflictError} If the entries were invoiced or edited meanwhile
+   */
+  async generateFacturaHoras(caseData) {
+    const entries = getUnbilledEntries(caseData.id);
+    if (entries.length === 0) {
+      const errorInfo = TimeEntryErrors.nothingToBill(caseData.id);
+      throw new ValidationError(errorInfo);
+    }
+
+    const amounts = calculateFeeNoteAmounts(entries, this.config);
+    const invoiceCase = {
+      id: caseData.id,
+      clientName: caseData.client_name || caseData.clientName,
+      internalReference: caseData.internal_reference || caseData.internalReference,
+    };
+
+    // Same reserve → generate → confirm loop as the ARAG minutas
+    for (let attempt = 1; ; attempt++) {
+      const reserved = reserveInvoiceNumber(getInvoiceSeries(this.config));
+      const pdfPath = await this.pdfGenerator.generateFacturaHoras(caseData, {
+        invoice: reserved,
+        entries,
+        amounts,
+      });
+      const signedPath = await this.signatureService.signPDF(pdfPath);
+
+      try {
+        const { docRecord, invoice } = transaction(() => {
+          const docRecord = this.documentHistory.create({
+            caseId: caseData.id,
+            documentType: FEE_NOTE_DOCUMENT_TYPE,
+            filePath: signedPath,
+            signed: 1,
+            amountDue: amounts.total,
+          });
+          const invoice = issueInvoiceInTransaction(getDatabase(), {
+            reserved,
+            caseData: invoiceCase,
+            amounts,
+            documentId: docRecord.id,
+            concept: FEE_NOTE_CONCEPT,
+          });
+          markBilledInTransaction(getDatabase(), entries, docRecord.id);
+          return { docRecord, invoice };
+        });
+
+        return {
+          success: true,
+          documentId: docRecord.id,
+          invoice,
+          filePath: signedPath,
+          filename: signedPath.split("/").pop(),
+          entryCount: entries.length,
+          amounts,
+        };
+      } catch (error) {
+        for (const path of new Set([pdfPath, signedPath])) {
+          if (existsSync(path)) unlinkSync(path);
+        }
+        // Only a taken invoice number is worth another attempt
+        const numberTaken = error instanceof ConflictError && error.field === "invoiceNumber";
+        if (!numberTaken || attempt >= MAX_INVOICE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Request a provisión de fondos from the client
+   * Generates and signs the "solicitud" PDF, then records the document and the
+   * requested movement of the case ledger in one transaction.
+   * @param {Object} caseData - Case information
+   * @param {Object} requestData - { amount, concept, movementDate }
+   * @param {Object} [actor] - User making the request
+   * @returns {Promise<Object>} { success, documentId, movement, filePath, filename, signed }
+   * @throws {ValidationError} If the amount or date is invalid
+   */
+  async generateSolicitudProvision(caseData, requestData, actor = null) {
+    const concept =
+      requestData.concept?.trim() ||
+      translate(getCaseLanguage(caseData), "solicitudProvision.defaultConcept");
+    const { amount, movementDate } = validateMovement({
+      ...requestData,
+      movementType: MOVEMENT_TYPES.REQUESTED,
+    });
+
+    const pdfPath = await this.pdfGenerator.generateSolicitudProvision(caseData, {
+      amount,
+      concept,
+      requestDate: movementDate,
+    });
+    const signedPath = await this.signatureService.signPDF(pdfPath);
+
+    try {
+      const { docRecord, movement } = transaction(() => {
+        const docRecord = this.documentHistory.create({
+          caseId: caseData.id,
+          documentType: PROVISION_REQUEST_DOCUMENT_TYPE,
+          filePath: signedPath,
+          signed: 1,
+        });
+        const movement = createProvisionMovement(
+          caseData.id,
+          {
+            movementType: MOVEMENT_TYPES.REQUESTED,
+            amount,
+            movementDate,
+            notes: concept,
+            documentId: docRecord.id,
+          },
+          actor
+        );
+        return { docRecord, movement };
+      });
+
+      return {
+        success: true,
+        documentId: docRecord.id,
+        movement,
+        filePath: signedPath,
+        filename: signedPath.split("/").pop(),
+        signed: true,
+      };
+    } catch (error) {
+      for (const path of new Set([pdfPath, signedPath])) {
+        if (existsSync(path)) unlinkSync(path);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Sign an existing Hoja de Encargo document (Step 2)
    * @param {number} documentId - Document history ID
@@ -115,13 +295,86 @@ export class HojaEncargoWorkflowService {
   }
 
   /**
-   * Send Hoja de Encargo via email to client (Step 3)
+   * Sign a Hoja de Encargo by the client from a signing link (Step 2, client)
+   * Appends the client signature page to the PDF the client reviewed, applies
+   * the office seal and records the evidence; the document then points to
+   * the sealed PDF.
+   * @param {string} token - Signing link token
+   * @param {Object} input - { accepted, method, image, typedName } from the signing page
+   * @param {Object} [context] - { ip, userAgent } of the client's request
+   * @returns {Promise<Object>} { success, documentId, signedAt, signedSha256 }
+   * @throws {NotFoundError|ConflictError} If the link cannot be used
+   * @throws {ValidationError} If the signature is missing or not accepted
+   */
+  async signByClient(token, input, context = {}) {
+    const request = getPendingByToken(token);
+    const signature = validateSignature(input);
+    const { buffer } = readSourceDocument(request);
+    const caseData = getCaseById(request.case_id);
+    const signedAt = new Date();
+
+    const clientPdf = await appendSignaturePage(buffer, {
+      signature,
+      signerName: request.signer_name,
+      reference: caseData?.internalReference,
+      language: getCaseLanguage(caseData),
+      signedAt,
+      ip: context.ip,
+      sourceSha256: request.source_sha256,
+    });
+    const clientPath = request.source_path.replace(/\.pdf$/i, `_cliente_${Date.now()}.pdf`);
+    writeFileSync(clientPath, clientPdf);
+
+    // Office seal over the whole document, client page included
+    let signedPath;
+    try {
+      signedPath = await this.signatureService.signPDF(clientPath);
+    } finally {
+      unlinkSync(clientPath);
+    }
+    const signedSha256 = sha256(readFileSync(signedPath));
+
+    const recorded = transaction(() => {
+      const pending = recordSignature(request.id, {
+        signedAt,
+        ip: context.ip,
+        userAgent: context.userAgent,
+        method: signature.method,
+        signedPath,
+        signedSha256,
+      });
+      if (pending) {
+        this.documentHistory.updateSigned(request.document_id, true);
+        this.documentHistory.updateFilePath(request.document_id, signedPath);
+      }
+      return pending;
+    });
+
+    // Signed meanwhile through the same link
+    if (!recorded) {
+      unlinkSync(signedPath);
+      const errorInfo = ClientSignatureErrors.alreadySigned(null);
+      throw new ConflictError(errorInfo);
+    }
+
+    return {
+      success: true,
+      documentId: request.document_id,
+      signedAt: signedAt.toISOString(),
+      signedSha256,
+    };
+  }
+
+  /**
+   * Queue the Hoja de Encargo email to the client (Step 3)
    * @param {Object} caseData - Case information
    * @param {number} documentId - Document history ID
-   * @param {string} recipientEmail - Client email address
-   * @returns {Promise<Object>} Email result
+   * @param {string} [recipientEmail] - Client email address (defaults to the linked client's email)
+   * @returns {Promise<Object>} { success, queued, outboxId }
    */
   async sendByEmail(caseData, documentId, recipientEmail) {
+    recipientEmail = recipientEmail || caseData.clientEmail;
+
     // Validate email format
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!recipientEmail || !emailRegex.test(recipientEmail)) {
@@ -140,54 +393,25 @@ export class HojaEncargoWorkflowService {
       throw new Error("Documento no encontrado");
     }
 
-    const clientName = caseData.client_name || caseData.clientName;
-    const reference = caseData.internal_reference || caseData.internalReference;
-
-    const subject = `Hoja de Encargo - ${reference} - ${clientName}`;
-    const body = `Estimado/a ${clientName},
-
-Adjunto encontrará la Hoja de Encargo correspondiente a los servicios profesionales acordados.
-
-Referencia: ${reference}
+    const language = getCaseLanguage(caseData);
+    const email = renderEmail("HOJA_ENCARGO", caseData, {}, language);
 
-Por favor, revise el documento y no dude en contactarnos si tiene alguna pregunta.
-
-Atentamente,
-El Despacho`;
-
-    try {
-      await this.emailService.sendEmail({
-        to: recipientEmail,
-        subject,
-        body,
-        attachmentPath: doc.file_path,
-      });
-
-      // Record successful email
-      const emailRecord = this.emailHistory.create({
-        caseId: caseData.id,
-        documentId: doc.id,
-        recipient: recipientEmail,
-        subject,
-        status: "SENT",
-      });
+    const queued = enqueueEmail({
+      caseId: caseData.id,
+      documentId: doc.id,
+      recipient: recipientEmail,
+      subject: email.subject,
+      body: email.text,
+      bodyHtml: email.html,
+      attachmentPath: doc.file_path,
+      language,
+    });
 
-      return {
-        success: true,
-        emailId: emailRecord.id,
-      };
-    } catch (error) {
-      // Record failed email attempt
-      this.emailHistory.create({
-        caseId: caseData.id,
-        documentId: doc.id,
-        recipient: recipientEmail,
-        subject,
-        status: "ERROR",
-        errorMessage: error.message,
-      });
-      throw error;
-    }
+    return {
+      success: true,
+      queued: true,
+      outboxId: queued.id,
+    };
   }
 
   /**
@@ -0,0 +1,134 @@
+// iCalendar Service
+// Generates RFC 5545 calendars locally (no external calendar service)
+
+const PRODID = "-//RecordPlus//Señalamientos//ES";
+const MAX_LINE_OCTETS = 75;
+
+// Europe/Madrid rules (CET/CEST, EU daylight saving since 1996)
+const VTIMEZONE_MADRID = [
+  "BEGIN:VTIMEZONE",
+  "TZID:Europe/Madrid",
+  "BEGIN:DAYLIGHT",
+  "TZOFFSETFROM:+0100",
+  "TZOFFSETTO:+0200",
+  "TZNAME:CEST",
+  "DTSTART:19700329T020000",
+  "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU",
+  "END:DAYLIGHT",
+  "BEGIN:STANDARD",
+  "TZOFFSETFROM:+0200",
+  "TZOFFSETTO:+0100",
+  "TZNAME:CET",
+  "DTSTART:19701025T030000",
+  "RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU",
+  "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} value - Raw text
+ * @returns {string}
+ */
+export function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r\n|\r|\n/g, "\\n");
+}
+
+/**
+ * Fold a content line at 75 octets without splitting UTF-8 characters
+ * Continuation lines start with a single space.
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line (CRLF separated)
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = Buffer.byteLength(char, "utf8");
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = "";
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * Format a local date/time (YYYY-MM-DDTHH:MM) as an iCalendar DATE-TIME
+ * @param {string} localDateTime - Wall-clock date/time
+ * @returns {string} e.g. 20261103T103000
+ */
+export function formatLocalDateTime(localDateTime) {
+  const [date, time] = localDateTime.split("T");
+  return `${date.replace(/-/g, "")}T${time.replace(/:/g, "").padEnd(6, "0")}`;
+}
+
+/**
+ * Format a UTC timestamp (SQLite datetime or ISO string) as an iCalendar UTC DATE-TIME
+ * @param {string|Date} value - UTC timestamp
+ * @returns {string} e.g. 20261019T081500Z
+ */
+export function formatUtcDateTime(value) {
+  const date =
+    value instanceof Date ? value : new Date(`${String(value).replace(" ", "T").replace(/Z$/, "")}Z`);
+  const safe = Number.isNaN(date.getTime()) ? new Date() : date;
+  return `${safe.toISOString().slice(0, 19).replace(/[-:]/g, "")}Z`;
+}
+
+/**
+ * Build an iCalendar document with timed events in Europe/Madrid
+ * @param {Object} calendar - { name, events }
+ *   events: [{ uid, start (YYYY-MM-DDTHH:MM local), durationMinutes, summary, location,
+ *              description, cancelled, stamp (UTC timestamp) }]
+ * @returns {string} text/calendar body
+ */
+export function buildCalendar({ name, events = [] }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    "X-WR-TIMEZONE:Europe/Madrid",
+    ...VTIMEZONE_MADRID,
+  ];
+
+  for (const event of events) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${formatUtcDateTime(event.stamp ?? new Date())}`,
+      `DTSTART;TZID=Europe/Madrid:${formatLocalDateTime(event.start)}`,
+      `DURATION:PT${event.durationMinutes}M`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push(`STATUS:${event.cancelled ? "CANCELLED" : "CONFIRMED"}`, "END:VEVENT");
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+export default {
+  escapeText,
+  foldLine,
+  formatLocalDateTime,
+  formatUtcDateTime,
+  buildCalendar,
+};
@@ -0,0 +1,536 @@
+// Inbound Email Service
+// Imports the emails of the office mailbox into case files: a message whose subject
+// carries the reference of exactly one case is stored in it (the .eml and its
+// attachments); the rest wait in the "bandeja sin asignar" to be assigned by hand
+
+import { createHash } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { basename, extname, join } from "node:path";
+import { simpleParser } from "mailparser";
+import { execute, query, queryOne } from "../database.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors.js";
+import { InboundEmailErrors } from "../errorMessages.js";
+import { CASE_STATES } from "./caseService.js";
+import {
+  MAX_DESCRIPTION_LENGTH,
+  MAX_UPLOAD_SIZE,
+  getUploadDirectory,
+  getStoredFileName,
+  getWritableCase,
+  isAllowedFile,
+  upload,
+} from "./caseDocumentService.js";
+import { get as getConfigValue } from "./configurationService.js";
+import { processMessage as processDeliveryReport } from "./emailDeliveryService.js";
+import { readMailbox } from "./mailboxReader.js";
+import {
+  validateAragExternalReference,
+  validateAragInternalReference,
+  validateParticularReference,
+} from "./referenceGenerator.js";
+
+export const INBOUND_STATUS = {
+  UNASSIGNED: "UNASSIGNED",
+  ASSIGNED: "ASSIGNED",
+  DISCARDED: "DISCARDED",
+};
+
+export const UNASSIGNED_REASONS = {
+  NO_REFERENCE: "NO_REFERENCE",
+  UNKNOWN_REFERENCE: "UNKNOWN_REFERENCE",
+  AMBIGUOUS: "AMBIGUOUS",
+  CASE_ARCHIVED: "CASE_ARCHIVED",
+};
+
+export const MATCH_METHODS = {
+  AUTO: "AUTO",
+  MANUAL: "MANUAL",
+};
+
+// Category and tag of the documents created from an email
+const EMAIL_CATEGORY = "CORRESPONDENCIA";
+const EMAIL_TAG = "email";
+
+// Characters of the body kept for the triage view
+const PREVIEW_LENGTH = 2000;
+
+// How often the worker checks whether the mailbox is due (the period itself is
+// the configuration inbound_email_interval_minutes)
+const WORKER_TICK_MS = 60 * 1000;
+
+// Candidate references in a subject; each one is then checked with its validator
+const REFERENCE_PATTERN = /\b(DJ00\d{6}|IY-\d{2}-\d{3}|IY\d{6})\b/gi;
+
+// Documents storage path (original messages are kept under inbox/)
+const DOCUMENTS_PATH = process.env.DOCUMENTS_PATH || "./data/documents";
+
+const INBOUND_SELECT = `
+  SELECT e.*, c.internal_reference AS case_reference, c.client_name
+  FROM inbound_emails e
+  LEFT JOIN cases c ON c.id = e.case_id
+`;
+
+/**
+ * Case references found in an email subject
+ * ARAG references (DJ00NNNNNN) and internal references (IYNNNNNN, IY-YY-NNN).
+ * @param {string} subject - Email subject
+ * @returns {Array<string>} Distinct references, uppercase
+ */
+export function extractReferences(subject) {
+  const found = (subject || "").match(REFERENCE_PATTERN) || [];
+  return [...new Set(found.map((ref) => ref.toUpperCase()))].filter(
+    (ref) =>
+      validateAragExternalReference(ref) ||
+      validateAragInternalReference(ref) ||
+      validateParticularReference(ref)
+  );
+}
+
+/**
+ * Case an email belongs to, from the references in its subject
+ * @param {Array<string>} references - References found in the subject
+ * @returns {{caseId: number|null, reason: string|null}} The case, or why there is none
+ */
+export function matchCase(references) {
+  if (references.length === 0) {
+    return { caseId: null, reason: UNASSIGNED_REASONS.NO_REFERENCE };
+  }
+
+  const placeholders = references.map(() => "?").join(", ");
+  const cases = query(
+    `SELECT id, state FROM cases
+     WHERE arag_reference IN (${placeholders}) OR internal_reference IN (${placeholders})`,
+    [...references, ...references]
+  );
+
+  if (cases.length === 0) return { caseId: null, reason: UNASSIGNED_REASONS.UNKNOWN_REFERENCE };
+  if (cases.length > 1) return { caseId: null, reason: UNASSIGNED_REASONS.AMBIGUOUS };
+  if (cases[0].state === CASE_STATES.ARCHIVADO) {
+    return { caseId: null, reason: UNASSIGNED_REASONS.CASE_ARCHIVED };
+  }
+  return { caseId: cases[0].id, reason: null };
+}
+
+/**
+ * Write a file in a case directory without overwriting another one
+ * (several attachments may be stored within the same millisecond)
+ * @param {string} dir - Case directory
+ * @param {string} originalName - File name shown for the document
+ * @param {Buffer} content - File content
+ * @returns {string} Path of the written file
+ */
+function writeCaseFile(dir, originalName, content) {
+  const ext = extname(originalName);
+  let path = join(dir, getStoredFileName(originalName));
+  for (let n = 2; existsSync(path); n++) {
+    path = join(dir, getStoredFileName(`${basename(originalName, ext)}_${n}${ext}`));
+  }
+  writeFileSync(path, content);
+  return path;
+}
+
+/**
+ * Document name of the whole message: its subject, as an .eml file
+ * @param {string} subject - Email subject
+ * @returns {string}
+ */
+function emlFileName(subject) {
+  const name = (subject || "").replace(/[\\/:*?"<>|\r\n\t]/g, "_").trim().substring(0, 80);
+  return `${name || "email"}.eml`;
+}
+
+/**
+ * Store an email in a case: the message as .eml plus the attachments that can
+ * be case documents (allowed type and size)
+ * @param {Object} row - inbound_emails row
+ * @param {Object} parsed - Parsed message (mailparser)
+ * @param {number} caseId - Case ID
+ * @param {string} method - AUTO or MANUAL
+ * @param {Object} [actor] - User assigning the email
+ * @returns {Object} Updated inbound email
+ */
+function fileToCase(row, parsed, caseId, method, actor = null) {
+  const caseData = getWritableCase(caseId);
+  const dir = getUploadDirectory(caseData);
+  const subject = row.subject || "";
+  const metadata = { category: EMAIL_CATEGORY, tags: [EMAIL_TAG] };
+
+  const emlName = emlFileName(subject);
+  const raw = parsed.raw;
+  const document = upload(
+    caseId,
+    { path: writeCaseFile(dir, emlName, raw), originalName: emlName, size: raw.length },
+    { ...metadata, description: subject.substring(0, MAX_DESCRIPTION_LENGTH) || null },
+    actor
+  );
+
+  for (const attachment of parsed.attachments) {
+    const name = attachment.filename;
+    if (!name || !isAllowedFile(name) || attachment.content.length > MAX_UPLOAD_SIZE) continue;
+    upload(
+      caseId,
+      { path: writeCaseFile(dir, name, attachment.content), originalName: name, size: attachment.content.length },
+      { ...metadata, description: `Adjunto de: ${subject}`.substring(0, MAX_DESCRIPTION_LENGTH) },
+      actor
+    );
+  }
+
+  execute(
+    `UPDATE inbound_emails
+     SET status = ?, unassigned_reason = NULL, case_id = ?, document_id = ?, match_method = ?,
+         assigned_by_user_id = ?, assigned_at = datetime('now'), updated_at = datetime('now')
+     WHERE id = ?`,
+    [INBOUND_STATUS.ASSIGNED, caseId, document.id, method, actor?.id ?? null, row.id]
+  );
+  return getById(row.id);
+}
+
+/**
+ * Parse a stored or received message, keeping its raw bytes
+ * @param {Buffer} raw - RFC 822 message
+ * @returns {Promise<Object>} Parsed message with raw
+ */
+async function parseMessage(raw) {
+  const parsed = await simpleParser(raw);
+  parsed.raw = raw;
+  return parsed;
+}
+
+/**
+ * Import one message: keep the original, record it and file it in its case
+ * when the subject identifies exactly one
+ * @param {Buffer} raw - RFC 822 message
+ * @param {string} source - IMAP, MAILDIR or MBOX
+ * @returns {Promise<Object|null>} Imported email, or null if it was already imported
+ */
+export async function ingestMessage(raw, source) {
+  const parsed = await parseMessage(raw);
+  const sha256 = createHash("sha256").update(raw).digest("hex");
+  const dedupeKey = parsed.messageId || `sha256:${sha256}`;
+
+  if (queryOne("SELECT id FROM inbound_emails WHERE dedupe_key = ?", [dedupeKey])) {
+    return null;
+  }
+
+  const now = new Date();
+  const dir = join(DOCUMENTS_PATH, "inbox", String(now.getFullYear()));
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  const rawPath = join(dir, `${now.toISOString().replace(/\D/g, "").substring(0, 14)}_${sha256.substring(0, 12)}.eml`);
+  writeFileSync(rawPath, raw);
+
+  const from = parsed.from?.value?.[0] || {};
+  const references = extractReferences(parsed.subject);
+  const match = matchCase(references);
+  const attachmentNames = parsed.attachments.map((attachment) => attachment.filename || "").filter(Boolean);
+
+  const result = execute(
+    `INSERT INTO inbound_emails
+       (source, dedupe_key, message_id, from_address, from_name, to_address, subject, sent_at,
+        text_preview, attachment_names, raw_path, raw_size, references_found, unassigned_reason)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      source,
+      dedupeKey,
+      parsed.messageId || null,
+      from.address || null,
+      from.name || null,
+      parsed.to?.text || null,
+      parsed.subject || null,
+      parsed.date ? parsed.date.toISOString() : null,
+      (parsed.text || "").trim().substring(0, PREVIEW_LENGTH),
+      JSON.stringify(attachmentNames),
+      rawPath,
+      raw.length,
+      JSON.stringify(references),
+      match.reason,
+    ]
+  );
+  const row = queryOne("SELECT * FROM inbound_emails WHERE id = ?", [result.lastInsertRowid]);
+
+  if (match.caseId) {
+    try {
+      return fileToCase(row, parsed, match.caseId, MATCH_METHODS.AUTO);
+    } catch (error) {
+      // Stays in the unassigned inbox to be filed by hand
+      console.error(`[Inbox] Could not file email ${row.id} in case ${match.caseId}:`, error.message);
+    }
+  }
+  return getById(row.id);
+}
+
+/**
+ * Get an inbound email
+ * @param {number} id - Inbound email ID
+ * @returns {Object} Email (with the body preview)
+ * @throws {NotFoundError}
+ */
+export function getById(id) {
+  const row = queryOne(`${INBOUND_SELECT} WHERE e.id = ?`, [id]);
+  if (!row) {
+    const errorInfo = InboundEmailErrors.notFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+  return { ...mapRowToEmail(row), textPreview: row.text_preview };
+}
+
+/**
+ * List inbound emails, newest first
+ * @param {Object} [filters] - { status (default UNASSIGNED), limit }
+ * @returns {Array} Emails
+ * @throws {ValidationError} If the status is unknown
+ */
+export function list(filters = {}) {
+  const status = filters.status || INBOUND_STATUS.UNASSIGNED;
+  if (!Object.values(INBOUND_STATUS).includes(status)) {
+    const errorInfo = InboundEmailErrors.statusInvalid(status, Object.values(INBOUND_STATUS));
+    throw new ValidationError(errorInfo);
+  }
+  const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 500);
+
+  return query(`${INBOUND_SELECT} WHERE e.status = ? ORDER BY e.received_at DESC, e.id DESC LIMIT ?`, [
+    status,
+    limit,
+  ]).map(mapRowToEmail);
+}
+
+/**
+ * Number of emails per status
+ * @returns {Object} { UNASSIGNED: n, ASSIGNED: n, DISCARDED: n }
+ */
+export function getSummary() {
+  const summary = Object.fromEntries(Object.values(INBOUND_STATUS).map((status) => [status, 0]));
+  for (const row of query("SELECT status, COUNT(*) AS count FROM inbound_emails GROUP BY status")) {
+    summary[row.status] = row.count;
+  }
+  return summary;
+}
+
+/**
+ * Original message of an inbound email
+ * @param {number} id - Inbound email ID
+ * @returns {{path: string, fileName: string}}
+ * @throws {NotFoundError} If the email or its file does not exist
+ */
+export function getRawFile(id) {
+  const email = getById(id);
+  const row = queryOne("SELECT raw_path FROM inbound_emails WHERE id = ?", [id]);
+  if (!existsSync(row.raw_path)) {
+    const errorInfo = InboundEmailErrors.fileMissing(id);
+    throw new NotFoundError(errorInfo);
+  }
+  return { path: row.raw_path, fileName: emlFileName(email.subject) };
+}
+
+/**
+ * Store an unassigned or discarded email in a case chosen by hand
+ * @param {number} id - Inbound email ID
+ * @param {number} caseId - Case ID
+ * @param {Object} [actor] - User assigning the email
+ * @returns {Promise<Object>} Assigned email
+ * @throws {NotFoundError|ValidationError|ConflictError}
+ */
+export async function assign(id, caseId, actor = null) {
+  const email = getById(id);
+  if (!caseId) {
+    const errorInfo = InboundEmailErrors.caseRequired();
+    throw new ValidationError(errorInfo);
+  }
+  if (email.status === INBOUND_STATUS.ASSIGNED) {
+    const errorInfo = InboundEmailErrors.alreadyAssigned(email.caseReference);
+    throw new ConflictError(errorInfo);
+  }
+  getWritableCase(caseId);
+
+  const row = queryOne("SELECT * FROM inbound_emails WHERE id = ?", [id]);
+  if (!existsSync(row.raw_path)) {
+    const errorInfo = InboundEmailErrors.fileMissing(id);
+    throw new NotFoundError(errorInfo);
+  }
+  const parsed = await parseMessage(readFileSync(row.raw_path));
+
+  // Another request may have assigned it while the message was parsed
+  const current = getById(id);
+  if (current.status === INBOUND_STATUS.ASSIGNED) {
+    const errorInfo = InboundEmailErrors.alreadyAssigned(current.caseReference);
+    throw new ConflictError(errorInfo);
+  }
+  return fileToCase(row, parsed, caseId, MATCH_METHODS.MANUAL, actor);
+}
+
+/**
+ * Mark an unassigned email as not related to any case
+ * @param {number} id - Inbound email ID
+ * @returns {Object} Discarded email
+ * @throws {NotFoundError|ConflictError}
+ */
+export function discard(id) {
+  const email = getById(id);
+  if (email.status !== INBOUND_STATUS.UNASSIGNED) {
+    const errorInfo = InboundEmailErrors.notDiscardable(email.status);
+    throw new ConflictError(errorInfo);
+  }
+  execute(
+    "UPDATE inbound_emails SET status = ?, updated_at = datetime('now') WHERE id = ?",
+    [INBOUND_STATUS.DISCARDED, id]
+  );
+  return getById(id);
+}
+
+/**
+ * Mailbox settings from the configuration
+ * @returns {Object} { name, source, path, imap }
+ */
+function getMailboxSettings() {
+  return {
+    name: "inbound",
+    source: getConfigValue("inbound_email_source") || "",
+    path: getConfigValue("inbound_email_path") || "",
+    imap: {
+      host: getConfigValue("imap_host"),
+      port: getConfigValue("imap_port"),
+      secure: getConfigValue("imap_secure"),
+      user: getConfigValue("imap_user"),
+      password: getConfigValue("imap_password"),
+      mailbox: getConfigValue("imap_mailbox"),
+    },
+  };
+}
+
+let fetching = null;
+
+/**
+ * Read the configured mailbox and import its new messages
+ * A call while the mailbox is being read waits for that read. Delivery reports of
+ * emails sent by the application update their email history instead of being imported.
+ * @returns {Promise<Object>} { read, failed, imported, assigned, unassigned, duplicates, deliveryReports }
+ * @throws {ValidationError} If no mailbox is configured or it cannot be read
+ */
+export function fetchNow() {
+  if (!fetching) {
+    fetching = fetchMailbox().finally(() => {
+      fetching = null;
+    });
+  }
+  return fetching;
+}
+
+async function fetchMailbox() {
+  const settings = getMailboxSettings();
+  if (!settings.source) {
+    const errorInfo = InboundEmailErrors.sourceNotConfigured();
+    throw new ValidationError(errorInfo);
+  }
+
+  const counts = { imported: 0, assigned: 0, unassigned: 0, duplicates: 0, deliveryReports: 0 };
+  let result;
+  try {
+    result = await readMailbox(settings, async (raw) => {
+      if ((await processDeliveryReport(raw))?.matched) {
+        counts.deliveryReports++;
+        return;
+      }
+      const email = await ingestMessage(raw, settings.source.toUpperCase());
+      if (!email) counts.duplicates++;
+      else {
+        counts.imported++;
+        counts[email.status === INBOUND_STATUS.ASSIGNED ? "assigned" : "unassigned"]++;
+      }
+    });
+  } catch (error) {
+    const errorInfo = InboundEmailErrors.sourceUnavailable(settings.source, error.message);
+    throw new ValidationError(errorInfo);
+  }
+  return { ...result, ...counts };
+}
+
+let worker = null;
+
+/**
+ * Start reading the mailbox in the background every inbound_email_interval_minutes
+ * Nothing is read while no mailbox is configured.
+ * @param {Object} [options] - { tickMs } for tests
+ */
+export function startWorker(options = {}) {
+  if (worker) return;
+
+  const state = { lastRun: 0, timer: null };
+  state.run = async () => {
+    if (fetching || !getConfigValue("inbound_email_source")) return;
+    const intervalMs = Math.max(1, Number(getConfigValue("inbound_email_interval_minutes")) || 5) * 60 * 1000;
+    if (Date.now() - state.lastRun < intervalMs) return;
+
+    state.lastRun = Date.now();
+    try {
+      const result = await fetchNow();
+      if (result.imported > 0) {
+        console.log(`[Inbox] Imported ${result.imported} emails (${result.assigned} filed in their cases)`);
+      }
+    } catch (error) {
+      console.error("[Inbox] Mailbox check failed:", error.message);
+    }
+  };
+
+  state.timer = setInterval(state.run, options.tickMs || WORKER_TICK_MS);
+  state.timer.unref?.();
+  worker = state;
+  setImmediate(state.run);
+}
+
+/**
+ * Stop the background worker
+ */
+export function stopWorker() {
+  if (!worker) return;
+  clearInterval(worker.timer);
+  worker = null;
+}
+
+/**
+ * Map a database row to the API shape
+ * @param {Object} row - inbound_emails row (with case_reference)
+ * @returns {Object}
+ */
+function mapRowToEmail(row) {
+  return {
+    id: row.id,
+    source: row.source,
+    messageId: row.message_id,
+    fromAddress: row.from_address,
+    fromName: row.from_name,
+    toAddress: row.to_address,
+    subject: row.subject,
+    sentAt: row.sent_at,
+    attachmentNames: JSON.parse(row.attachment_names || "[]"),
+    rawSize: row.raw_size,
+    references: JSON.parse(row.references_found || "[]"),
+    status: row.status,
+    unassignedReason: row.unassigned_reason,
+    caseId: row.case_id,
+    caseReference: row.case_reference,
+    clientName: row.client_name,
+    documentId: row.document_id,
+    matchMethod: row.match_method,
+    assignedByUserId: row.assigned_by_user_id,
+    assignedAt: row.assigned_at,
+    receivedAt: row.received_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export default {
+  INBOUND_STATUS,
+  UNASSIGNED_REASONS,
+  MATCH_METHODS,
+  extractReferences,
+  matchCase,
+  ingestMessage,
+  getById,
+  list,
+  getSummary,
+  getRawFile,
+  assign,
+  discard,
+  fetchNow,
+  startWorker,
+  stopWorker,
+};
@@ -0,0 +1,302 @@
+// Invoice Service
+// Invoice register for issued minutas: per-series, per-year gap-free numbering
+
+import { query, queryOne } from "../database.js";
+import { ValidationError, ConflictError } from "../errors.js";
+import { InvoiceErrors } from "../errorMessages.js";
+import { madridNow, roundCents } from "../utils.js";
+import {
+  formatInvoiceNumber,
+  generateInvoiceNumberInTransaction,
+  getCurrentCounter,
+  invoiceCounterType,
+} from "./referenceGenerator.js";
+import { tableToCsv } from "./csvExportService.js";
+import { parseIsoDate } from "./courtCalendar.js";
+
+export const DEFAULT_INVOICE_SERIES = "M";
+export const MINUTA_CONCEPT = "Honorarios profesionales por gestión de expediente ARAG";
+
+// Spanish column headers for the register export (gestoría)
+const REGISTER_HEADERS = {
+  invoice_number: "Numero de Factura",
+  issue_date: "Fecha de Expedicion",
+  client_name: "Cliente",
+  internal_reference: "Referencia Interna",
+  arag_reference: "Referencia ARAG",
+  concept: "Concepto",
+  base_amount: "Base Imponible",
+  vat_rate: "Tipo IVA",
+  vat_amount: "Cuota IVA",
+  total: "Total",
+  rectified_invoice_number: "Factura Rectificada",
+  rectification_reason: "Motivo Rectificacion",
+};
+
+/**
+ * Calculate minuta amounts from configuration, rounded to cents
+ * @param {Object} config - Configuration (arag_base_fee, vat_rate)
+ * @returns {{baseAmount: number, vatRate: number, vatAmount: number, total: number}}
+ */
+export function calculateMinutaAmounts(config = {}) {
+  const baseAmount = roundCents(parseFloat(config.arag_base_fee) || 203.0);
+  const vatRate = parseFloat(config.vat_rate) || 21;
+  const vatAmount = roundCents(baseAmount * (vatRate / 100));
+  return { baseAmount, vatRate, vatAmount, total: roundCents(baseAmount + vatAmount) };
+}
+
+/**
+ * Get the configured invoice series
+ * @param {Object} config - Configuration
+ * @returns {string} Series prefix (e.g., 'M')
+ */
+export function getInvoiceSeries(config = {}) {
+  return config.invoice_series || DEFAULT_INVOICE_SERIES;
+}
+
+/**
+ * Get the series for rectifying invoices (configured series + 'R')
+ * Rectifying invoices must be numbered in their own series
+ * @param {Object} config - Configuration
+ * @returns {string} Series prefix (e.g., 'MR')
+ */
+export function getRectifyingInvoiceSeries(config = {}) {
+  return `${getInvoiceSeries(config)}R`;
+}
+
+/**
+ * Reserve the next invoice number for a series without incrementing the counter
+ * The number is only confirmed by issueInvoiceInTransaction
+ * @param {string} series - Invoice series
+ * @param {string} [issueDate] - Issue date (YYYY-MM-DD), defaults to today in Madrid
+ * @param {Object} [options] - { now } reference instant for tests
+ * @returns {{series: string, year: number, sequence: number, invoiceNumber: string, issueDate: string}}
+ */
+export function reserveInvoiceNumber(series, issueDate = null, options = {}) {
+  const date = issueDate || madridNow(options.now).slice(0, 10);
+  const year = parseInt(date.slice(0, 4), 10);
+  const sequence = getCurrentCounter(invoiceCounterType(series, year)) + 1;
+
+  return {
+    series,
+    year,
+    sequence,
+    invoiceNumber: formatInvoiceNumber(series, year, sequence),
+    issueDate: date,
+  };
+}
+
+/**
+ * Issue a reserved invoice within an existing transaction
+ * Increments the series counter and stores the invoice snapshot
+ *
+ * @param {Database} db - Database instance from the calling transaction
+ * @param {Object} data - Invoice data
+ * @param {Object} data.reserved - Result of reserveInvoiceNumber
+ * @param {Object} data.caseData - Case (id, clientName, internalReference, aragReference)
+ * @param {Object} data.amounts - Result of calculateMinutaAmounts
+ * @param {number} [data.documentId] - Generated document
+ * @param {string} [data.concept] - Invoice concept
+ * @param {string} [data.rectifiedInvoiceNumber] - Invoice replaced by this rectifying invoice
+ * @param {string} [data.rectificationReason] - Reason for the rectification
+ * @returns {Object} Created invoice
+ * @throws {ConflictError} If the reserved number was issued in the meantime
+ */
+export function issueInvoiceInTransaction(db, data) {
+  const {
+    reserved,
+    caseData,
+    amounts,
+    documentId = null,
+    concept = MINUTA_CONCEPT,
+    rectifiedInvoiceNumber = null,
+    rectificationReason = null,
+  } = data;
+
+  const { invoiceNumber, sequence } = generateInvoiceNumberInTransaction(
+    db,
+    reserved.series,
+    reserved.year
+  );
+  if (invoiceNumber !== reserved.invoiceNumber) {
+    const errorInfo = InvoiceErrors.numberTaken(reserved.invoiceNumber);
+    throw new ConflictError(errorInfo);
+  }
+
+  const result = db
+    .prepare(
+      `INSERT INTO invoices (invoice_number, series, year, sequence, issue_date, case_id, document_id,
+         client_name, internal_reference, arag_reference, concept, base_amount, vat_rate, vat_amount, total,
+         rectified_invoice_number, rectification_reason)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+    .run(
+      invoiceNumber,
+      reserved.series,
+      reserved.year,
+      sequence,
+      reserved.issueDate,
+      caseData.id,
+      documentId,
+      caseData.clientName,
+      caseData.internalReference || null,
+      caseData.aragReference || null,
+      concept,
+      amounts.baseAmount,
+      amounts.vatRate,
+      amounts.vatAmount,
+      amounts.total,
+      rectifiedInvoiceNumber,
+      rectificationReason
+    );
+
+  return mapRowToInvoice(
+    db.prepare("SELECT * FROM invoices WHERE id = ?").get(result.lastInsertRowid)
+  );
+}
+
+/**
+ * Get invoice by ID
+ * @param {number} id - Invoice ID
+ * @returns {Object|null} Invoice or null if not found
+ */
+export function getById(id) {
+  const row = queryOne("SELECT * FROM invoices WHERE id = ?", [id]);
+  return row ? mapRowToInvoice(row) : null;
+}
+
+/**
+ * Get the invoice issued with a document
+ * @param {number} documentId - Document history ID
+ * @returns {Object|null} Invoice or null if the document has none
+ */
+export function getByDocumentId(documentId) {
+  const row = queryOne("SELECT * FROM invoices WHERE document_id = ?", [documentId]);
+  return row ? mapRowToInvoice(row) : null;
+}
+
+/**
+ * Build WHERE clause for register filters
+ * @param {Object} filters - { from, to, series }
+ * @returns {{whereClause: string, params: Array}}
+ * @throws {ValidationError} If a date filter is malformed
+ */
+function buildRegisterFilters(filters) {
+  const { from, to, series } = filters;
+  const conditions = [];
+  const params = [];
+
+  // Strict: 2026-02-31 is rejected instead of rolling over to March
+  for (const [field, value] of [
+    ["from", from],
+    ["to", to],
+  ]) {
+    if (value && !parseIsoDate(value)) {
+      const errorInfo = InvoiceErrors.dateInvalid(field, value);
+      throw new ValidationError(errorInfo);
+    }
+  }
+
+  if (from) {
+    conditions.push("issue_date >= ?");
+    params.push(from);
+  }
+  if (to) {
+    conditions.push("issue_date <= ?");
+    params.push(to);
+  }
+  if (series) {
+    conditions.push("series = ?");
+    params.push(series);
+  }
+
+  return {
+    whereClause: conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "",
+    params,
+  };
+}
+
+/**
+ * List the invoice register, in numbering order
+ * @param {Object} filters - { from, to, series } (dates as YYYY-MM-DD, inclusive)
+ * @returns {{invoices: Array, totals: {count: number, baseAmount: number, vatAmount: number, total: number}}}
+ * @throws {ValidationError} If a date filter is malformed
+ */
+export function list(filters = {}) {
+  const { whereClause, params } = buildRegisterFilters(filters);
+
+  const rows = query(
+    `SELECT * FROM invoices ${whereClause} ORDER BY series ASC, year ASC, sequence ASC`,
+    params
+  );
+  const invoices = rows.map(mapRowToInvoice);
+
+  const totals = invoices.reduce(
+    (acc, invoice) => ({
+      count: acc.count + 1,
+      baseAmount: roundCents(acc.baseAmount + invoice.baseAmount),
+      vatAmount: roundCents(acc.vatAmount + invoice.vatAmount),
+      total: roundCents(acc.total + invoice.total),
+    }),
+    { count: 0, baseAmount: 0, vatAmount: 0, total: 0 }
+  );
+
+  return { invoices, totals };
+}
+
+/**
+ * Export the invoice register as CSV for the gestoría
+ * @param {Object} filters - Same filters as list()
+ * @returns {string} CSV with BOM and Spanish headers
+ */
+export function exportRegisterCsv(filters = {}) {
+  const { whereClause, params } = buildRegisterFilters(filters);
+  const rows = query(
+    `SELECT * FROM invoices ${whereClause} ORDER BY series ASC, year ASC, sequence ASC`,
+    params
+  );
+  return tableToCsv(rows, REGISTER_HEADERS);
+}
+
+/**
+ * Map database row to invoice object
+ * @param {Object} row - Database row
+ * @returns {Object} Invoice object
+ */
+function mapRowToInvoice(row) {
+  return {
+    id: row.id,
+    invoiceNumber: row.invoice_number,
+    series: row.series,
+    year: row.year,
+    sequence: row.sequence,
+    issueDate: row.issue_date,
+    caseId: row.case_id,
+    documentId: row.document_id,
+    clientName: row.client_name,
+    internalReference: row.internal_reference,
+    aragReference: row.arag_reference,
+    concept: row.concept,
+    baseAmount: row.base_amount,
+    vatRate: row.vat_rate,
+    vatAmount: row.vat_amount,
+    total: row.total,
+    rectifiedInvoiceNumber: row.rectified_invoice_number,
+    rectificationReason: row.rectification_reason,
+    createdAt: row.created_at,
+  };
+}
+
+export default {
+  DEFAULT_INVOICE_SERIES,
+  MINUTA_CONCEPT,
+  calculateMinutaAmounts,
+  getInvoiceSeries,
+  getRectifyingInvoiceSeries,
+  reserveInvoiceNumber,
+  issueInvoiceInTransaction,
+  getById,
+  getByDocumentId,
+  list,
+  exportRegisterCsv,
+};
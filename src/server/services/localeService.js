@@ -0,0 +1,88 @@
+// Locale Service
+// Translations of generated documents and emails, by case language (cases.language)
+
+import es from "../locales/es.js";
+import en from "../locales/en.js";
+import { CASE_LANGUAGES } from "./caseService.js";
+
+export const DEFAULT_LANGUAGE = CASE_LANGUAGES.ES;
+
+const CATALOGUES = {
+  [CASE_LANGUAGES.ES]: es,
+  [CASE_LANGUAGES.EN]: en,
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(CATALOGUES);
+
+/**
+ * Supported language or the default one
+ * @param {string} [language] - Language code
+ * @returns {string} 'es' or 'en'
+ */
+export function resolveLanguage(language) {
+  return SUPPORTED_LANGUAGES.includes(language) ? language : DEFAULT_LANGUAGE;
+}
+
+/**
+ * Language of the documents of a case
+ * @param {Object} caseData - Case (camelCase or database row)
+ * @returns {string} Language code
+ */
+export function getCaseLanguage(caseData) {
+  return resolveLanguage(caseData?.language);
+}
+
+/**
+ * Translate a catalogue key
+ * Keys missing in a language fall back to Spanish, then to the key itself.
+ * @param {string} language - Language code
+ * @param {string} key - Dotted key, e.g. "email.minutaSubject"
+ * @param {Object} [params] - Values for the {name} parameters
+ * @returns {string} Text
+ */
+export function translate(language, key, params = {}) {
+  const lookup = (catalogue) =>
+    key.split(".").reduce((value, part) => (value == null ? undefined : value[part]), catalogue);
+
+  const text = lookup(CATALOGUES[resolveLanguage(language)]) ?? lookup(CATALOGUES[DEFAULT_LANGUAGE]) ?? key;
+  return String(text).replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Translator bound to a language and key prefix
+ * @param {string} language - Language code
+ * @param {string} [prefix] - Key prefix, e.g. "facturaHoras"
+ * @returns {Function} (key, params) => text
+ */
+export function getTranslator(language, prefix = "") {
+  return (key, params) => translate(language, prefix ? `${prefix}.${key}` : key, params);
+}
+
+/**
+ * Intl locale for dates and amounts in a language
+ * @param {string} language - Language code
+ * @returns {string} e.g. 'es-ES' or 'en-GB'
+ */
+export function getIntlLocale(language) {
+  return translate(language, "intlLocale");
+}
+
+/**
+ * Catalogue of a language (used to check all catalogues define the same keys)
+ * @param {string} language - Language code
+ * @returns {Object} Catalogue
+ */
+export function getCatalogue(language) {
+  return CATALOGUES[resolveLanguage(language)];
+}
+
+export default {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  resolveLanguage,
+  getCaseLanguage,
+  translate,
+  getTranslator,
+  getIntlLocale,
+  getCatalogue,
+};
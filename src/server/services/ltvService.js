@@ -0,0 +1,232 @@
+// LTV Service
+// Long-term validation data (PAdES-LTV) for signed PDFs: the certificates of the
+// signature and its timestamp, and the CRLs of those certificates, are stored in
+// a /DSS dictionary added as an incremental update so the signature can still be
+// validated once the certificates expire or the CA stops answering.
+
+import * as asn1js from "asn1js";
+import { PDFArray, PDFDict, PDFDocument, PDFName } from "pdf-lib";
+import { findSignatures, parseCms } from "./signatureVerificationService.js";
+
+const OID_CRL_DISTRIBUTION_POINTS = "2.5.29.31";
+
+// Time to wait for each CRL download
+const CRL_TIMEOUT_MS = 15000;
+
+// DSS arrays (ISO 32000-2 12.8.4.3) that hold validation data streams
+const DSS_ARRAYS = ["Certs", "CRLs", "OCSPs"];
+
+/**
+ * Parse DER bytes with asn1js
+ * @param {Buffer} der - DER bytes
+ * @returns {Object|null} Root block, null if not valid ASN.1
+ */
+function parseDer(der) {
+  const parsed = asn1js.fromBER(der.buffer.slice(der.byteOffset, der.byteOffset + der.length));
+  return parsed.offset === -1 ? null : parsed.result;
+}
+
+/**
+ * HTTP URLs of the CRL distribution points of a certificate
+ * @param {X509Certificate} certificate - Certificate
+ * @returns {Array<string>}
+ */
+export function getCrlUrls(certificate) {
+  // Certificate > TBSCertificate > [3] extensions > SEQUENCE OF Extension
+  const tbs = parseDer(certificate.raw)?.valueBlock.value[0];
+  const extensions = tbs?.valueBlock.value.find(
+    (block) => block.idBlock.tagClass === 3 && block.idBlock.tagNumber === 3
+  );
+  const extension = extensions?.valueBlock.value[0].valueBlock.value.find(
+    (ext) => ext.valueBlock.value[0].valueBlock.toString() === OID_CRL_DISTRIBUTION_POINTS
+  );
+  if (!extension) return [];
+
+  // Every uniformResourceIdentifier ([6] IMPLICIT IA5String) in the distribution points
+  const urls = [];
+  const collect = (block) => {
+    if (block.idBlock.tagClass === 3 && block.idBlock.tagNumber === 6 && !block.idBlock.isConstructed) {
+      urls.push(Buffer.from(block.valueBlock.valueHexView).toString("latin1"));
+    } else if (Array.isArray(block.valueBlock.value)) {
+      block.valueBlock.value.forEach(collect);
+    }
+  };
+  const value = extension.valueBlock.value[extension.valueBlock.value.length - 1];
+  const distributionPoints = parseDer(Buffer.from(value.valueBlock.valueHexView));
+  if (distributionPoints) collect(distributionPoints);
+
+  return urls.filter((url) => /^https?:\/\//i.test(url));
+}
+
+/**
+ * Download a CRL (DER or PEM)
+ * @param {string} url - CRL URL
+ * @returns {Promise<Buffer>} DER CRL
+ * @throws {Error} If the download fails
+ */
+async function fetchCrl(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(CRL_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const body = Buffer.from(await response.arrayBuffer());
+  const pem = body.toString("latin1").match(/-----BEGIN X509 CRL-----([\s\S]+?)-----END X509 CRL-----/);
+  return pem ? Buffer.from(pem[1].replace(/\s/g, ""), "base64") : body;
+}
+
+/**
+ * Certificates and CRLs needed to validate the last signature of a PDF
+ * Certificates come from the signature and its timestamp token; CRLs are
+ * downloaded from their distribution points (failures are logged and skipped).
+ * @param {Buffer} pdfBuffer - Signed PDF
+ * @returns {Promise<{certificates: Array<Buffer>, crls: Array<Buffer>}>} DER values
+ */
+export async function collectValidationData(pdfBuffer) {
+  const signatures = findSignatures(pdfBuffer);
+  const last = signatures[signatures.length - 1];
+  if (!last?.contents) return { certificates: [], crls: [] };
+
+  const cms = parseCms(last.contents);
+  const certificates = [...cms.certificates];
+  if (cms.timestampToken) {
+    certificates.push(...parseCms(cms.timestampToken).certificates);
+  }
+
+  const unique = [];
+  for (const certificate of certificates) {
+    if (!unique.some((known) => known.fingerprint256 === certificate.fingerprint256)) {
+      unique.push(certificate);
+    }
+  }
+
+  // Roots are trusted by themselves: only issued certificates need revocation data
+  const crls = [];
+  const fetched = new Set();
+  for (const certificate of unique) {
+    if (certificate.subject === certificate.issuer) continue;
+    for (const url of getCrlUrls(certificate)) {
+      if (fetched.has(url)) continue;
+      fetched.add(url);
+      try {
+        crls.push(await fetchCrl(url));
+        break;
+      } catch (err) {
+        console.warn(`[LTV] Could not download CRL ${url}:`, err.message);
+      }
+    }
+  }
+
+  return { certificates: unique.map((certificate) => certificate.raw), crls };
+}
+
+/**
+ * Add a /DSS dictionary to a signed PDF as an incremental update
+ * The signed bytes are left untouched; an existing DSS is extended.
+ * @param {Buffer} pdfBuffer - Signed PDF
+ * @param {{certificates?: Array<Buffer>, crls?: Array<Buffer>, ocsps?: Array<Buffer>}} data - DER values
+ * @returns {Promise<Buffer>} PDF with the validation data
+ */
+export async function addDssDictionary(pdfBuffer, { certificates = [], crls = [], ocsps = [] }) {
+  const pdfDoc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+  const context = pdfDoc.context;
+  const catalogRef = context.trailerInfo.Root;
+
+  // pdf-lib forgets the object and xref streams it unpacked: number new objects
+  // after the /Size of the last revision so none of them is redefined
+  const sizes = [...pdfBuffer.toString("latin1").matchAll(/\/Size\s+(\d+)/g)];
+  const previousSize = sizes.length ? Number(sizes[sizes.length - 1][1]) : 0;
+  context.largestObjectNumber = Math.max(context.largestObjectNumber, previousSize - 1);
+  const catalog = pdfDoc.catalog;
+
+  const added = [];
+  const register = (object) => {
+    const ref = context.register(object);
+    added.push([ref, object]);
+    return ref;
+  };
+
+  const previous = catalog.lookupMaybe(PDFName.of("DSS"), PDFDict);
+  const dss = context.obj({});
+  const values = { Certs: certificates, CRLs: crls, OCSPs: ocsps };
+  for (const key of DSS_ARRAYS) {
+    const refs = [...(previous?.lookupMaybe(PDFName.of(key), PDFArray)?.asArray() || [])];
+    for (const der of values[key]) refs.push(register(context.flateStream(der)));
+    if (refs.length) dss.set(PDFName.of(key), context.obj(refs));
+  }
+  const dssRef = register(dss);
+  catalog.set(PDFName.of("DSS"), dssRef);
+  added.push([catalogRef, catalog]);
+
+  return appendRevision(pdfBuffer, added, context);
+}
+
+/**
+ * Write objects as an incremental update (objects, xref table and trailer)
+ * @param {Buffer} pdfBuffer - Original PDF
+ * @param {Array<[PDFRef, PDFObject]>} objects - Objects to write
+ * @param {PDFContext} context - Context of the loaded document (trailer info)
+ * @returns {Buffer}
+ */
+function appendRevision(pdfBuffer, objects, context) {
+  const previousXref = pdfBuffer.toString("latin1").match(/startxref\s+(\d+)\s+%%EOF\s*$/)?.[1];
+  if (!previousXref) throw new Error("No se encontró la tabla de referencias del PDF firmado");
+
+  const chunks = [pdfBuffer.at(-1) === 0x0a ? Buffer.alloc(0) : Buffer.from("\n")];
+  let offset = pdfBuffer.length + chunks[0].length;
+  const offsets = new Map();
+
+  for (const [ref, object] of objects) {
+    const bytes = new Uint8Array(object.sizeInBytes());
+    object.copyBytesInto(bytes, 0);
+    const chunk = Buffer.concat([
+      Buffer.from(`${ref.objectNumber} ${ref.generationNumber} obj\n`),
+      bytes,
+      Buffer.from("\nendobj\n"),
+    ]);
+    offsets.set(ref.objectNumber, { offset, generation: ref.generationNumber });
+    chunks.push(chunk);
+    offset += chunk.length;
+  }
+
+  // One subsection per run of consecutive object numbers
+  const numbers = [...offsets.keys()].sort((a, b) => a - b);
+  let xref = "xref\n";
+  for (let i = 0; i < numbers.length; ) {
+    let end = i;
+    while (numbers[end + 1] === numbers[end] + 1) end++;
+    xref += `${numbers[i]} ${end - i + 1}\n`;
+    for (const number of numbers.slice(i, end + 1)) {
+      const entry = offsets.get(number);
+      xref += `${String(entry.offset).padStart(10, "0")} ${String(entry.generation).padStart(5, "0")} n \n`;
+    }
+    i = end + 1;
+  }
+
+  const { Root, Info, ID } = context.trailerInfo;
+  const trailer = [
+    `/Size ${context.largestObjectNumber + 1}`,
+    `/Root ${Root}`,
+    Info ? `/Info ${Info}` : "",
+    ID ? `/ID ${ID}` : "",
+    `/Prev ${previousXref}`,
+  ].filter(Boolean);
+  chunks.push(Buffer.from(`${xref}trailer\n<< ${trailer.join(" ")} >>\nstartxref\n${offset}\n%%EOF\n`));
+
+  return Buffer.concat([pdfBuffer, ...chunks]);
+}
+
+/**
+ * Embed the validation data of the last signature of a PDF (PAdES-LTV)
+ * @param {Buffer} pdfBuffer - Signed PDF
+ * @returns {Promise<Buffer>} PDF with a /DSS dictionary
+ */
+export async function addValidationData(pdfBuffer) {
+  const data = await collectValidationData(pdfBuffer);
+  return addDssDictionary(pdfBuffer, data);
+}
+
+export default {
+  getCrlUrls,
+  collectValidationData,
+  addDssDictionary,
+  addValidationData,
+};
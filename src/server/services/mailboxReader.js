@@ -0,0 +1,253 @@
+// Mailbox Reader
+// Reads the new messages of the office mailbox: an IMAP server, or a maildir
+// directory / mbox file (used for testing and for mail delivered locally)
+//
+// Each raw message (RFC 822 bytes) is handed to onMessage. IMAP folders are read
+// by UID: the last UID handled is stored (mailbox_sync_state) and the \Seen flag,
+// which the people using the account also set, is neither read nor changed.
+// Maildir messages are marked with the "S" flag when onMessage resolves. mbox
+// files cannot be marked, so their messages are read every time. Messages may be
+// handed over again (after a failure, a new UIDVALIDITY, every mbox read): the
+// caller skips the ones already imported.
+
+import { existsSync, readdirSync, readFileSync, renameSync, statSync } from "node:fs";
+import { join } from "node:path";
+import { ImapFlow } from "imapflow";
+import { execute, queryOne } from "../database.js";
+
+export const MAILBOX_SOURCES = {
+  IMAP: "imap",
+  MAILDIR: "maildir",
+  MBOX: "mbox",
+};
+
+// Give up on an IMAP server that does not answer
+const IMAP_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Whether a maildir file name carries the "seen" flag (name:2,FLAGS)
+ * @param {string} name - File name
+ * @returns {boolean}
+ */
+function isSeen(name) {
+  const info = name.split(":2,")[1];
+  return info !== undefined && info.includes("S");
+}
+
+/**
+ * Name of a maildir message once marked as seen (flags stay sorted)
+ * @param {string} name - Current file name
+ * @returns {string}
+ */
+function seenName(name) {
+  const [base, flags = ""] = name.split(":2,");
+  return `${base}:2,${[...new Set(`${flags}S`)].sort().join("")}`;
+}
+
+/**
+ * Unread messages of a maildir: new/ and the files in cur/ without the seen flag
+ * @param {string} dir - Maildir directory (with cur/ and new/)
+ * @param {Function} onMessage - async (raw: Buffer) => void
+ * @returns {Promise<Object>} { read, failed }
+ */
+async function readMaildir(dir, onMessage) {
+  if (!existsSync(join(dir, "new")) || !existsSync(join(dir, "cur"))) {
+    throw new Error(`${dir} no es un directorio maildir (faltan cur/ y new/)`);
+  }
+
+  const pending = [
+    ...readdirSync(join(dir, "new")).map((name) => ({ folder: "new", name })),
+    ...readdirSync(join(dir, "cur"))
+      .filter((name) => !isSeen(name))
+      .map((name) => ({ folder: "cur", name })),
+  ].filter(({ folder, name }) => !name.startsWith(".") && statSync(join(dir, folder, name)).isFile());
+
+  const result = { read: 0, failed: 0 };
+  for (const { folder, name } of pending.sort((a, b) => a.name.localeCompare(b.name))) {
+    const path = join(dir, folder, name);
+    try {
+      await onMessage(readFileSync(path));
+      renameSync(path, join(dir, "cur", seenName(name)));
+      result.read++;
+    } catch (error) {
+      console.error(`[Inbox] Failed to import ${path}:`, error.message);
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Split an mbox file into raw messages
+ * Messages start with a "From " line; ">From " lines inside them are unescaped (mboxrd).
+ * @param {Buffer} content - mbox file
+ * @returns {Array<Buffer>} Raw messages
+ */
+export function splitMbox(content) {
+  // latin1 keeps every byte as one character, so the messages round-trip unchanged
+  const text = content.toString("latin1");
+  return text
+    .split(/^From .*\r?\n/m)
+    .slice(1)
+    .map((message) => message.replace(/^>(>*From )/gm, "$1").replace(/(\r?\n)$/, ""))
+    .filter((message) => message.trim() !== "")
+    .map((message) => Buffer.from(message, "latin1"));
+}
+
+/**
+ * Every message of an mbox file
+ * @param {string} file - mbox file
+ * @param {Function} onMessage - async (raw: Buffer) => void
+ * @returns {Promise<Object>} { read, failed }
+ */
+async function readMbox(file, onMessage) {
+  if (!existsSync(file) || !statSync(file).isFile()) {
+    throw new Error(`No existe el archivo mbox ${file}`);
+  }
+
+  const result = { read: 0, failed: 0 };
+  for (const raw of splitMbox(readFileSync(file))) {
+    try {
+      await onMessage(raw);
+      result.read++;
+    } catch (error) {
+      console.error(`[Inbox] Failed to import a message of ${file}:`, error.message);
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+/**
+ * IMAP client for the configured account
+ * @param {Object} imap - { host, port, secure, user, password }
+ * @returns {ImapFlow}
+ */
+function createImapClient(imap) {
+  return new ImapFlow({
+    host: imap.host,
+    port: parseInt(imap.port, 10) || 993,
+    secure: imap.secure !== "false" && imap.secure !== false,
+    auth: { user: imap.user, pass: imap.password },
+    logger: false,
+    connectionTimeout: IMAP_TIMEOUT_MS,
+    greetingTimeout: IMAP_TIMEOUT_MS,
+    socketTimeout: IMAP_TIMEOUT_MS * 4,
+  });
+}
+
+/**
+ * Last UID handled in an IMAP folder
+ * @param {string} key - Reader, account and folder
+ * @param {string} uidValidity - Current UIDVALIDITY of the folder
+ * @returns {number} 0 if the folder was never read or its UIDs changed
+ */
+function getLastUid(key, uidValidity) {
+  const state = queryOne("SELECT uid_validity, last_uid FROM mailbox_sync_state WHERE mailbox_key = ?", [key]);
+  return state?.uid_validity === uidValidity ? state.last_uid : 0;
+}
+
+/**
+ * Store the last UID handled in an IMAP folder
+ * @param {string} key - Reader, account and folder
+ * @param {string} uidValidity - UIDVALIDITY of the folder
+ * @param {number} lastUid - Last UID handled
+ */
+function saveLastUid(key, uidValidity, lastUid) {
+  execute(
+    `INSERT INTO mailbox_sync_state (mailbox_key, uid_validity, last_uid) VALUES (?, ?, ?)
+     ON CONFLICT(mailbox_key) DO UPDATE
+     SET uid_validity = excluded.uid_validity, last_uid = excluded.last_uid, updated_at = datetime('now')`,
+    [key, uidValidity, lastUid]
+  );
+}
+
+/**
+ * Messages of an IMAP folder received after the last UID handled
+ * Messages are fetched one by one (no other command may run during a FETCH), with
+ * BODY.PEEK so they stay unread. The last UID only moves past messages handled
+ * in order: after a failure the following ones are read again next time.
+ * @param {Object} imap - { host, port, secure, user, password, mailbox }
+ * @param {string} name - Reader of the folder (one folder may have several readers)
+ * @param {Function} onMessage - async (raw: Buffer) => void
+ * @param {Function} createClient - (imap) => ImapFlow client
+ * @returns {Promise<Object>} { read, failed }
+ */
+async function readImap(imap, name, onMessage, createClient) {
+  if (!imap.host || !imap.user) {
+    throw new Error("Falta el servidor o el usuario IMAP");
+  }
+
+  const folder = imap.mailbox || "INBOX";
+  const key = `${name}:${imap.user}@${imap.host}/${folder}`;
+  const client = createClient(imap);
+
+  const result = { read: 0, failed: 0 };
+  await client.connect();
+  try {
+    const lock = await client.getMailboxLock(folder);
+    try {
+      const uidValidity = String(client.mailbox.uidValidity);
+      let lastUid = getLastUid(key, uidValidity);
+      let inOrder = true;
+
+      // "N:*" also matches the newest message when its UID is below N
+      const found = (await client.search({ uid: `${lastUid + 1}:*` }, { uid: true })) || [];
+      const uids = found.filter((uid) => uid > lastUid).sort((a, b) => a - b);
+      for (const uid of uids) {
+        try {
+          const message = await client.fetchOne(uid, { source: true }, { uid: true });
+          await onMessage(message.source);
+          result.read++;
+          if (inOrder) {
+            lastUid = uid;
+            saveLastUid(key, uidValidity, lastUid);
+          }
+        } catch (error) {
+          console.error(`[Inbox] Failed to import IMAP message ${uid}:`, error.message);
+          result.failed++;
+          inOrder = false;
+        }
+      }
+    } finally {
+      lock.release();
+    }
+  } finally {
+    await client.logout().catch(() => client.close());
+  }
+  return result;
+}
+
+/**
+ * Read the new messages of the configured mailbox
+ * @param {Object} settings - { source, path, imap, name } (name: reader of the
+ *   mailbox, such as "inbound", keeps the IMAP progress apart from other readers)
+ * @param {Function} onMessage - async (raw: Buffer) => void; a rejection leaves the
+ *   message to be read again
+ * @param {Object} [options] - { createImapClient } for tests
+ * @returns {Promise<Object>} { read, failed }
+ * @throws {Error} If the mailbox cannot be opened
+ */
+export async function readMailbox(settings, onMessage, options = {}) {
+  switch (settings.source) {
+    case MAILBOX_SOURCES.IMAP:
+      return readImap(
+        settings.imap || {},
+        settings.name || "inbound",
+        onMessage,
+        options.createImapClient || createImapClient
+      );
+    case MAILBOX_SOURCES.MAILDIR:
+      return readMaildir(settings.path, onMessage);
+    case MAILBOX_SOURCES.MBOX:
+      return readMbox(settings.path, onMessage);
+    default:
+      throw new Error(`Origen de correo desconocido: ${settings.source}`);
+  }
+}
+
+export default {
+  MAILBOX_SOURCES,
+  readMailbox,
+  splitMbox,
+};
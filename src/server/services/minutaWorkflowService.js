@@ -1,13 +1,35 @@
 /**
  * Minuta Workflow Service
  * Orchestrates the complete minuta generation workflow:
- * generate PDF → sign → record document → send email → record email
+ * generate PDF → sign → record document and invoice → queue email
+ * The email is sent by the outbox worker (emailOutboxService), with retries.
  */
 import { PDFGeneratorService } from "./pdfGeneratorService.js";
 import { SignatureService } from "./signatureService.js";
 import { EmailService } from "./emailService.js";
 import { DocumentHistoryService } from "./documentHistoryService.js";
 import { EmailHistoryService } from "./emailHistoryService.js";
+import { enqueue as enqueueEmail, requeueFailedEmail } from "./emailOutboxService.js";
+import { render as renderEmail } from "./emailTemplateService.js";
+import {
+  calculateMinutaAmounts,
+  getInvoiceSeries,
+  getRectifyingInvoiceSeries,
+  getByDocumentId as getInvoiceByDocumentId,
+  reserveInvoiceNumber,
+  issueInvoiceInTransaction,
+} from "./invoiceService.js";
+import { getDatabase, transaction } from "../database.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors.js";
+import { EmailOutboxErrors, InvoiceErrors } from "../errorMessages.js";
+import { getCaseLanguage } from "./localeService.js";
+import { existsSync, unlinkSync } from "fs";
+
+// Regenerations allowed when a reserved invoice number is taken concurrently
+const MAX_INVOICE_ATTEMPTS = 3;
+
+// Document types that can be corrected with a rectifying invoice
+const RECTIFIABLE_TYPES = ["MINUTA", "MINUTA_RECTIFICATIVA"];
 
 export class MinutaWorkflowService {
   constructor(config) {
@@ -18,6 +40,10 @@ export class MinutaWorkflowService {
     this.signatureService = new SignatureService(
       config.certificate_path,
       config.certificate_password,
+      {
+        tsaUrl: config.signature_tsa_url,
+        embedValidationData: config.signature_ltv_enabled === "true",
+      },
     );
     this.emailService = new EmailService(config);
     this.documentHistory = new DocumentHistoryService();
@@ -31,60 +57,185 @@ export class MinutaWorkflowService {
    * @returns {Promise<Object>} Workflow result with steps and status
    */
   async executeMinutaWorkflow(caseData, config) {
+    return this.executeInvoicedWorkflow(caseData, config, {
+      series: getInvoiceSeries(config),
+      documentType: "MINUTA",
+    });
+  }
+
+  /**
+   * Execute rectifying invoice workflow for an issued minuta
+   * The rectifying minuta replaces the original, which becomes superseded
+   * @param {Object} caseData - Case information
+   * @param {number} originalDocumentId - Minuta (or previous rectification) being corrected
+   * @param {string} reason - Reason for the rectification (printed on the PDF)
+   * @param {Object} config - System configuration
+   * @returns {Promise<Object>} Workflow result with steps and status
+   * @throws {NotFoundError} If the document doesn't belong to the case
+   * @throws {ValidationError} If the document is not a minuta or the reason is empty
+   * @throws {ConflictError} If the document was already rectified
+   */
+  async executeRectificationWorkflow(caseData, originalDocumentId, reason, config) {
+    const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+    if (!trimmedReason) {
+      const errorInfo = InvoiceErrors.rectificationReasonRequired();
+      throw new ValidationError(errorInfo);
+    }
+
+    const original = this.documentHistory.getById(originalDocumentId);
+    if (!original || original.case_id !== caseData.id) {
+      const errorInfo = InvoiceErrors.documentNotFound(originalDocumentId);
+      throw new NotFoundError(errorInfo);
+    }
+    if (!RECTIFIABLE_TYPES.includes(original.document_type)) {
+      const errorInfo = InvoiceErrors.documentNotRectifiable(original.document_type);
+      throw new ValidationError(errorInfo);
+    }
+    this.assertNotRectified(original.id);
+
+    // Minutas issued before the invoice register have no invoice number
+    const originalInvoice = getInvoiceByDocumentId(original.id);
+    const rectification = {
+      documentId: original.id,
+      invoiceNumber: originalInvoice?.invoiceNumber || null,
+      issueDate: originalInvoice?.issueDate || original.generated_at.split(" ")[0],
+      reason: trimmedReason,
+    };
+
+    return this.executeInvoicedWorkflow(caseData, config, {
+      series: getRectifyingInvoiceSeries(config),
+      documentType: "MINUTA_RECTIFICATIVA",
+      rectification,
+    });
+  }
+
+  /**
+   * Throw if a document already has a rectifying document
+   * @param {number} documentId - Document ID
+   * @throws {ConflictError} If the document was already rectified
+   */
+  assertNotRectified(documentId) {
+    const rectifying = this.documentHistory.getRectifyingDocument(documentId);
+    if (rectifying) {
+      const errorInfo = InvoiceErrors.alreadyRectified(documentId, rectifying.id);
+      throw new ConflictError(errorInfo);
+    }
+  }
+
+  /**
+   * Shared minuta workflow: generate → sign → record document and invoice → queue email
+   * The email is the MINUTA email template, which covers rectifying invoices too.
+   * @param {Object} caseData - Case information
+   * @param {Object} config - System configuration
+   * @param {Object} options - { series, documentType, rectification }
+   * @returns {Promise<Object>} Workflow result with steps and status
+   */
+  async executeInvoicedWorkflow(caseData, config, options) {
+    const { series, documentType, rectification = null } = options;
     const result = {
       steps: [],
       success: false,
       documentId: null,
       emailId: null,
+      outboxId: null,
+      invoice: null,
     };
+    const emailTo = config.arag_email || "facturacionsiniestros@arag.es";
+    let email = null;
 
     try {
-      // Step 1: Generate PDF
-      result.steps.push({ step: "generate", status: "in_progress" });
-      const pdfPath = await this.pdfGenerator.generateMinuta(caseData, config);
-      result.steps[0].status = "completed";
-      result.steps[0].path = pdfPath;
+      const amounts = calculateMinutaAmounts(config);
+      let docRecord = null;
+      let signedPath = null;
 
-      // Step 2: Sign PDF
-      result.steps.push({ step: "sign", status: "in_progress" });
-      const signedPath = await this.signatureService.signPDF(pdfPath);
-      result.steps[1].status = "completed";
-      result.steps[1].path = signedPath;
+      // The invoice number printed on the PDF is only reserved here; it is
+      // confirmed together with the document record. If another minuta took
+      // it in the meantime, regenerate with the next free number.
+      for (let attempt = 1; !docRecord; attempt++) {
+        const reserved = reserveInvoiceNumber(series);
 
-      // Step 3: Record document in history
-      const docRecord = this.documentHistory.create({
-        caseId: caseData.id,
-        documentType: "MINUTA",
-        filePath: signedPath,
-        signed: 1,
-      });
+        // Step 1: Generate PDF
+        result.steps[0] = { step: "generate", status: "in_progress" };
+        const pdfPath = await this.pdfGenerator.generateMinuta(
+          caseData,
+          config,
+          reserved,
+          rectification,
+        );
+        result.steps[0].status = "completed";
+        result.steps[0].path = pdfPath;
+
+        // Step 2: Sign PDF
+        result.steps[1] = { step: "sign", status: "in_progress" };
+        signedPath = await this.signatureService.signPDF(pdfPath);
+        result.steps[1].status = "completed";
+        result.steps[1].path = signedPath;
+
+        // Step 3: Record document and invoice atomically
+        try {
+          transaction(() => {
+            if (rectification) {
+              this.assertNotRectified(rectification.documentId);
+            }
+            docRecord = this.documentHistory.create({
+              caseId: caseData.id,
+              documentType,
+              filePath: signedPath,
+              signed: 1,
+              rectifiesDocumentId: rectification?.documentId,
+              amountDue: amounts.total,
+            });
+            result.invoice = issueInvoiceInTransaction(getDatabase(), {
+              reserved,
+              caseData,
+              amounts,
+              documentId: docRecord.id,
+              rectifiedInvoiceNumber: rectification?.invoiceNumber,
+              rectificationReason: rectification?.reason,
+            });
+          });
+        } catch (error) {
+          docRecord = null;
+          for (const path of new Set([pdfPath, signedPath])) {
+            if (existsSync(path)) unlinkSync(path);
+          }
+          // Only a taken invoice number is worth another attempt
+          const numberTaken = error instanceof ConflictError && error.field === "invoiceNumber";
+          if (!numberTaken || attempt >= MAX_INVOICE_ATTEMPTS) {
+            throw error;
+          }
+        }
+      }
       result.documentId = docRecord.id;
 
-      // Step 4: Send email (if SMTP configured)
+      // Step 4: Queue email (if SMTP configured)
       result.steps.push({ step: "email", status: "in_progress" });
-      const emailTo = config.arag_email || "facturacionsiniestros@arag.es";
-      const emailSubject = EmailService.formatMinutaSubject(
-        caseData.aragReference,
-      );
+      email = renderEmail("MINUTA", caseData, {
+        date: result.invoice.issueDate,
+        invoiceNumber: result.invoice.invoiceNumber,
+        concept: result.invoice.concept,
+        amounts,
+        rectification: rectification && {
+          invoiceNumber: rectification.invoiceNumber,
+          issueDate: rectification.issueDate,
+          reason: rectification.reason,
+        },
+      });
 
       if (this.emailService.isConfigured()) {
-        await this.emailService.sendEmail({
-          to: emailTo,
-          subject: emailSubject,
-          body: `Adjunto minuta para el expediente ${caseData.aragReference}.`,
-          attachmentPath: signedPath,
-        });
-        result.steps[2].status = "completed";
-
-        // Step 5: Record successful email
-        const emailRecord = this.emailHistory.create({
+        const queued = enqueueEmail({
           caseId: caseData.id,
           documentId: docRecord.id,
           recipient: emailTo,
-          subject: emailSubject,
-          status: "SENT",
+          subject: email.subject,
+          body: email.text,
+          bodyHtml: email.html,
+          attachmentPath: signedPath,
+          language: getCaseLanguage(caseData),
         });
-        result.emailId = emailRecord.id;
+        result.steps[2].status = "queued";
+        result.steps[2].outboxId = queued.id;
+        result.outboxId = queued.id;
       } else {
         // SMTP not configured - skip email but mark as skipped
         result.steps[2].status = "skipped";
@@ -102,13 +253,12 @@ export class MinutaWorkflowService {
       }
 
       // Record failed email if we got past document generation
-      if (result.documentId && !result.emailId) {
-        const emailTo = config.arag_email || "facturacionsiniestros@arag.es";
+      if (result.documentId && email && !result.outboxId) {
         this.emailHistory.create({
           caseId: caseData.id,
           documentId: result.documentId,
           recipient: emailTo,
-          subject: EmailService.formatMinutaSubject(caseData.aragReference),
+          subject: email.subject,
           status: "ERROR",
           errorMessage: error.message,
         });
@@ -120,7 +270,7 @@ export class MinutaWorkflowService {
 
   /**
    * Execute suplido generation workflow
-   * Generates PDF → Signs → Records document → Sends email (if SMTP configured)
+   * Generates PDF → Signs → Records document → Queues email (if SMTP configured)
    * @param {Object} caseData - Case information
    * @param {string} district - Judicial district
    * @param {number} amount - Mileage amount
@@ -128,11 +278,15 @@ export class MinutaWorkflowService {
    * @returns {Promise<Object>} Workflow result
    */
   async executeSuplidoWorkflow(caseData, district, amount, config) {
+    const language = getCaseLanguage(caseData);
+    const emailTo = config.arag_email || "facturacionsiniestros@arag.es";
+    let email = null;
     const result = {
       steps: [],
       success: false,
       documentId: null,
       emailId: null,
+      outboxId: null,
     };
 
     try {
@@ -158,37 +312,30 @@ export class MinutaWorkflowService {
         documentType: "SUPLIDO",
         filePath: signedPath,
         signed: 1,
+        amountDue: amount,
       });
       result.documentId = docRecord.id;
       result.amount = amount;
       result.district = district;
 
-      // Step 4: Send email (if SMTP configured)
+      // Step 4: Queue email (if SMTP configured)
       result.steps.push({ step: "email", status: "in_progress" });
-      const emailTo = config.arag_email || "facturacionsiniestros@arag.es";
-      const emailSubject = EmailService.formatSuplidoSubject(
-        caseData.aragReference,
-        district,
-      );
+      email = renderEmail("SUPLIDO", caseData, { district, amount }, language);
 
       if (this.emailService.isConfigured()) {
-        await this.emailService.sendEmail({
-          to: emailTo,
-          subject: emailSubject,
-          body: `Adjunto suplido por desplazamiento a ${district} para el expediente ${caseData.aragReference}.`,
-          attachmentPath: signedPath,
-        });
-        result.steps[2].status = "completed";
-
-        // Step 5: Record successful email
-        const emailRecord = this.emailHistory.create({
+        const queued = enqueueEmail({
           caseId: caseData.id,
           documentId: docRecord.id,
           recipient: emailTo,
-          subject: emailSubject,
-          status: "SENT",
+          subject: email.subject,
+          body: email.text,
+          bodyHtml: email.html,
+          attachmentPath: signedPath,
+          language,
         });
-        result.emailId = emailRecord.id;
+        result.steps[2].status = "queued";
+        result.steps[2].outboxId = queued.id;
+        result.outboxId = queued.id;
       } else {
         // SMTP not configured - skip email but mark as skipped
         result.steps[2].status = "skipped";
@@ -205,13 +352,12 @@ export class MinutaWorkflowService {
       }
 
       // Record failed email if we got past document generation
-      if (result.documentId && !result.emailId) {
-        const emailTo = config.arag_email || "facturacionsiniestros@arag.es";
+      if (result.documentId && email && !result.outboxId) {
         this.emailHistory.create({
           caseId: caseData.id,
           documentId: result.documentId,
           recipient: emailTo,
-          subject: EmailService.formatSuplidoSubject(caseData.aragReference, district),
+          subject: email.subject,
           status: "ERROR",
           errorMessage: error.message,
         });
@@ -223,14 +369,15 @@ export class MinutaWorkflowService {
 
   /**
    * Retry a failed email by email history ID
-   * Fetches the original email details and attempts to resend
+   * Queues the original email again (same recipient, subject and document)
    *
    * @param {number} emailId - Email history ID of the failed email
    * @param {number} caseId - Case ID for verification
-   * @returns {Promise<Object>} Retry result with new emailId
+   * @param {string} [language] - Case language of the email body
+   * @returns {Promise<Object>} Retry result with the outbox entry ID
    * @throws {Error} If email not found, wrong case, or document missing
    */
-  async retryEmail(emailId, caseId) {
+  async retryEmail(emailId, caseId, language) {
     // Get the original failed email record
     const originalEmail = this.emailHistory.getById(emailId);
     if (!originalEmail) {
@@ -242,44 +389,19 @@ export class MinutaWorkflowService {
       throw new Error("El email no pertenece a este expediente");
     }
 
-    // Get the associated document
-    const doc = this.documentHistory.getById(originalEmail.document_id);
-    if (!doc) {
-      throw new Error("Documento asociado no encontrado");
+    // Only failures: a sent email would go out twice
+    if (originalEmail.status !== "ERROR") {
+      const errorInfo = EmailOutboxErrors.historyNotFailed(originalEmail.status);
+      throw new ConflictError(errorInfo);
     }
 
-    // Use the same recipient and subject from the original email
-    const emailTo = originalEmail.recipient;
-    const emailSubject = originalEmail.subject;
-
-    try {
-      await this.emailService.sendEmail({
-        to: emailTo,
-        subject: emailSubject,
-        attachmentPath: doc.file_path,
-      });
-
-      // Record successful retry
-      const emailRecord = this.emailHistory.create({
-        caseId,
-        documentId: originalEmail.document_id,
-        recipient: emailTo,
-        subject: emailSubject,
-        status: "SENT",
-      });
-
-      return { success: true, emailId: emailRecord.id };
-    } catch (error) {
-      // Record the retry failure
-      this.emailHistory.create({
-        caseId,
-        documentId: originalEmail.document_id,
-        recipient: emailTo,
-        subject: emailSubject,
-        status: "ERROR",
-        errorMessage: error.message || error.getFullMessage?.() || "Error desconocido",
-      });
-      throw error;
+    // Get the associated document (emails written from the case have none)
+    const doc = originalEmail.document_id ? this.documentHistory.getById(originalEmail.document_id) : null;
+    if (originalEmail.document_id && !doc) {
+      throw new Error("Documento asociado no encontrado");
     }
+
+    const queued = requeueFailedEmail(originalEmail, doc?.file_path, language);
+    return { success: true, queued: true, outboxId: queued.id };
   }
 }
@@ -4,11 +4,14 @@
 import { query } from "../database.js";
 import { get as getConfigValue } from "./configurationService.js";
 import { getStatus as getBackupStatus } from "./backupService.js";
+import { getReceivables, PAYMENT_STATUS } from "./paymentService.js";
+import { getUpcoming as getUpcomingDeadlines } from "./deadlineService.js";
 import { execSync } from "child_process";
 import { existsSync } from "fs";
 
 /**
  * Get all notifications aggregated from existing data
+ * Messages are in Spanish; type, count and params let the client translate them.
  * @returns {Object} { notifications: Array, totalCount: number, criticalCount: number }
  */
 export function getNotifications() {
@@ -19,6 +22,8 @@ export function getNotifications() {
   checkMissingMinutas(notifications);
   checkMissingSuplidos(notifications);
   checkMissingHojasEncargo(notifications);
+  checkUnpaidMinutas(notifications);
+  checkDeadlines(notifications);
   checkCertificateExpiry(notifications);
   checkStaleCases(notifications);
   checkBackupStatus(notifications);
@@ -41,7 +46,8 @@ export function getNotifications() {
 }
 
 /**
- * Check for failed emails on non-archived cases
+ * Check for failed emails on non-archived cases, and for minutas returned
+ * by the recipient's server after being sent (BOUNCED)
  */
 function checkFailedEmails(notifications) {
   const rows = query(`
@@ -76,6 +82,50 @@ function checkFailedEmails(notifications) {
       timestamp: rows[0].sent_at,
     });
   }
+
+  // A minuta (or rectificativa) no longer needs attention once it, or a
+  // rectificativa replacing it, was sent again since the bounce (SENT or DELIVERED)
+  const bounced = query(`
+    SELECT eh.id, eh.case_id, eh.error_message, eh.delivery_updated_at,
+           c.client_name, c.internal_reference, c.type
+    FROM email_history eh
+    JOIN document_history dh ON dh.id = eh.document_id
+     AND dh.document_type IN ('MINUTA', 'MINUTA_RECTIFICATIVA')
+    JOIN cases c ON c.id = eh.case_id
+    WHERE eh.status = 'BOUNCED'
+      AND c.state != 'ARCHIVADO'
+      AND NOT EXISTS (
+        SELECT 1 FROM email_history later
+        JOIN document_history ldh ON ldh.id = later.document_id
+        WHERE later.id > eh.id
+          AND later.status IN ('SENT', 'DELIVERED')
+          AND (later.document_id = eh.document_id
+               OR (ldh.rectifies_document_id = eh.document_id AND ldh.deleted_at IS NULL))
+      )
+    ORDER BY eh.delivery_updated_at DESC
+  `);
+
+  if (bounced.length > 0) {
+    notifications.push({
+      type: "bounced_minutas",
+      severity: "critical",
+      message:
+        bounced.length === 1
+          ? "1 minuta devuelta por el servidor del destinatario"
+          : `${bounced.length} minutas devueltas por el servidor del destinatario`,
+      count: bounced.length,
+      caseIds: [...new Set(bounced.map((r) => r.case_id))],
+      items: bounced.slice(0, 5).map((r) => ({
+        caseId: r.case_id,
+        clientName: r.client_name,
+        reference: r.internal_reference,
+        caseType: r.type,
+        error: r.error_message,
+        date: r.delivery_updated_at,
+      })),
+      timestamp: bounced[0].delivery_updated_at,
+    });
+  }
 }
 
 /**
@@ -183,6 +233,85 @@ function checkMissingHojasEncargo(notifications) {
   }
 }
 
+/**
+ * Check for minutas still unpaid after the configured number of days
+ */
+function checkUnpaidMinutas(notifications) {
+  const overdueDays = getConfigValue("payment_overdue_days");
+  const rows = getReceivables({ overdueDays }).documents.filter(
+    (d) => d.documentType !== "SUPLIDO" && d.status === PAYMENT_STATUS.OVERDUE
+  );
+
+  if (rows.length > 0) {
+    notifications.push({
+      type: "unpaid_minutas",
+      severity: "warning",
+      message:
+        rows.length === 1
+          ? `1 minuta impagada tras ${overdueDays} días`
+          : `${rows.length} minutas impagadas tras ${overdueDays} días`,
+      count: rows.length,
+      params: { days: overdueDays },
+      caseIds: [...new Set(rows.map((r) => r.caseId))],
+      items: rows.slice(0, 5).map((r) => ({
+        caseId: r.caseId,
+        clientName: r.clientName,
+        reference: r.internalReference,
+        invoiceNumber: r.invoiceNumber,
+        outstanding: r.outstanding,
+        daysUnpaid: r.ageDays,
+      })),
+      timestamp: rows[0].issuedAt,
+    });
+  }
+}
+
+/**
+ * Check for pending deadlines that are overdue or due within the alert window
+ */
+function checkDeadlines(notifications) {
+  const { overdue, dueSoon, alertDays } = getUpcomingDeadlines();
+
+  const toItem = (d) => ({
+    caseId: d.caseId,
+    clientName: d.clientName,
+    reference: d.internalReference,
+    title: d.title,
+    dueDate: d.dueDate,
+  });
+
+  if (overdue.length > 0) {
+    notifications.push({
+      type: "overdue_deadlines",
+      severity: "critical",
+      message:
+        overdue.length === 1
+          ? "1 plazo vencido sin cumplimentar"
+          : `${overdue.length} plazos vencidos sin cumplimentar`,
+      count: overdue.length,
+      caseIds: [...new Set(overdue.map((d) => d.caseId))],
+      items: overdue.slice(0, 5).map(toItem),
+      timestamp: overdue[0].dueDate,
+    });
+  }
+
+  if (dueSoon.length > 0) {
+    notifications.push({
+      type: "upcoming_deadlines",
+      severity: "warning",
+      message:
+        dueSoon.length === 1
+          ? `1 plazo vence en los próximos ${alertDays} días`
+          : `${dueSoon.length} plazos vencen en los próximos ${alertDays} días`,
+      count: dueSoon.length,
+      params: { days: alertDays },
+      caseIds: [...new Set(dueSoon.map((d) => d.caseId))],
+      items: dueSoon.slice(0, 5).map(toItem),
+      timestamp: dueSoon[0].dueDate,
+    });
+  }
+}
+
 /**
  * Check certificate expiry (if configured)
  */
@@ -215,6 +344,7 @@ function checkCertificateExpiry(notifications) {
         severity: "critical",
         message: "El certificado digital ha expirado",
         count: 1,
+        params: { days: 0 },
         caseIds: [],
         items: [],
         timestamp: now.toISOString(),
@@ -225,6 +355,7 @@ function checkCertificateExpiry(notifications) {
         severity: daysUntilExpiry <= 7 ? "critical" : "warning",
         message: `Certificado expira en ${daysUntilExpiry} día${daysUntilExpiry !== 1 ? "s" : ""}`,
         count: 1,
+        params: { days: daysUntilExpiry },
         caseIds: [],
         items: [],
         timestamp: expiryDate.toISOString(),
@@ -302,6 +433,7 @@ function checkBackupStatus(notifications) {
         severity: "warning",
         message: `Último backup hace ${daysSinceBackup} días`,
         count: 1,
+        params: { days: daysSinceBackup },
         caseIds: [],
         items: [],
         timestamp: lastBackupDate.toISOString(),
@@ -0,0 +1,404 @@
+// Payment Service
+// Payments received for billed documents and outstanding-balance reconciliation
+
+import { execute, query, queryOne, transaction } from "../database.js";
+import { ValidationError, NotFoundError } from "../errors.js";
+import { PaymentErrors } from "../errorMessages.js";
+import { madridNow, roundCents } from "../utils.js";
+import { parseIsoDate } from "./courtCalendar.js";
+
+export const PAYMENT_METHODS = ["TRANSFERENCIA", "CHEQUE", "EFECTIVO", "TARJETA", "OTRO"];
+
+export const PAYMENT_STATUS = {
+  PAID: "PAGADO",
+  PARTIAL: "PARCIAL",
+  OVERDUE: "VENCIDO",
+  PENDING: "PENDIENTE",
+};
+
+// Document types that carry an amount due
+export const BILLABLE_DOCUMENT_TYPES = ["MINUTA", "MINUTA_RECTIFICATIVA", "SUPLIDO", "FACTURA_HORAS"];
+
+export const DEFAULT_OVERDUE_DAYS = 60;
+
+// Ageing buckets for the receivables report (days since issue, inclusive)
+export const AGEING_BUCKETS = [
+  { key: "0-30", min: 0, max: 30 },
+  { key: "31-60", min: 31, max: 60 },
+  { key: "61-90", min: 61, max: 90 },
+  { key: "90+", min: 91, max: Infinity },
+];
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/**
+ * Whole days elapsed between an issue timestamp and a reference date
+ * @param {string} issuedAt - SQLite datetime or ISO date
+ * @param {Date} today - Reference date
+ * @returns {number} Days (never negative)
+ */
+export function daysSince(issuedAt, today = new Date()) {
+  const issued = new Date(`${String(issuedAt).slice(0, 10)}T00:00:00Z`);
+  const reference = Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate());
+  return Math.max(0, Math.floor((reference - issued.getTime()) / MS_PER_DAY));
+}
+
+/**
+ * Compute the payment status of a billed document
+ * Paid takes precedence; an unpaid balance past the overdue threshold is overdue,
+ * even if partially paid.
+ *
+ * @param {Object} data
+ * @param {number} data.amountDue - Billed total
+ * @param {number} data.paidAmount - Sum of payments received
+ * @param {number} data.ageDays - Days since the document was issued
+ * @param {number} data.overdueDays - Days after which an unpaid balance is overdue
+ * @returns {string} One of PAYMENT_STATUS
+ */
+export function computePaymentStatus({ amountDue, paidAmount, ageDays, overdueDays }) {
+  const outstanding = roundCents(amountDue - paidAmount);
+  if (outstanding <= 0) {
+    return PAYMENT_STATUS.PAID;
+  }
+  if (ageDays > overdueDays) {
+    return PAYMENT_STATUS.OVERDUE;
+  }
+  if (paidAmount > 0) {
+    return PAYMENT_STATUS.PARTIAL;
+  }
+  return PAYMENT_STATUS.PENDING;
+}
+
+/**
+ * Validate payment input
+ * @param {Object} data - { amount, paymentDate, method }
+ * @returns {{amount: number, paymentDate: string, method: string}} Normalized values
+ * @throws {ValidationError} If any field is invalid
+ */
+function validatePayment(data) {
+  const amount = typeof data.amount === "string" ? parseFloat(data.amount) : data.amount;
+  if (typeof amount !== "number" || !Number.isFinite(amount) || roundCents(amount) <= 0) {
+    const errorInfo = PaymentErrors.amountInvalid(data.amount);
+    throw new ValidationError(errorInfo);
+  }
+
+  // Strict: 2026-02-31 is rejected instead of rolling over to March
+  const paymentDate = data.paymentDate || madridNow().slice(0, 10);
+  if (!parseIsoDate(paymentDate)) {
+    const errorInfo = PaymentErrors.dateInvalid(paymentDate);
+    throw new ValidationError(errorInfo);
+  }
+
+  const method = data.method || "TRANSFERENCIA";
+  if (!PAYMENT_METHODS.includes(method)) {
+    const errorInfo = PaymentErrors.methodInvalid(method, PAYMENT_METHODS);
+    throw new ValidationError(errorInfo);
+  }
+
+  return { amount: roundCents(amount), paymentDate, method };
+}
+
+/**
+ * Get a billable document or throw
+ * @param {number} documentId - Document history ID
+ * @returns {Object} Document row
+ * @throws {NotFoundError} If the document does not exist
+ * @throws {ValidationError} If the document type does not accept payments
+ */
+function getBillableDocument(documentId) {
+  const document = queryOne("SELECT * FROM document_history WHERE id = ?", [documentId]);
+  if (!document) {
+    const errorInfo = PaymentErrors.documentNotFound(documentId);
+    throw new NotFoundError(errorInfo);
+  }
+  if (!BILLABLE_DOCUMENT_TYPES.includes(document.document_type)) {
+    const errorInfo = PaymentErrors.documentNotBillable(document.document_type);
+    throw new ValidationError(errorInfo);
+  }
+  return document;
+}
+
+/**
+ * Outstanding balance of a document that can still be paid
+ * Computed as in the receivables report: amount due minus the payments received.
+ * Deleted documents and documents superseded by a rectifying one are not owed.
+ * @param {number} documentId - Document history ID
+ * @returns {number|null} Amount still owed, or null if the document has no amount due
+ * @throws {NotFoundError} If the document does not exist or was deleted
+ * @throws {ValidationError} If the document does not accept payments or was rectified
+ */
+export function getOutstandingBalance(documentId) {
+  const document = getBillableDocument(documentId);
+  if (document.deleted_at) {
+    const errorInfo = PaymentErrors.documentNotFound(documentId);
+    throw new NotFoundError(errorInfo);
+  }
+  if (queryOne("SELECT id FROM document_history WHERE rectifies_document_id = ? AND deleted_at IS NULL", [documentId])) {
+    const errorInfo = PaymentErrors.documentSuperseded(documentId);
+    throw new ValidationError(errorInfo);
+  }
+  if (document.amount_due === null || document.amount_due === undefined) {
+    return null;
+  }
+
+  const { paid } = queryOne("SELECT COALESCE(SUM(amount), 0) AS paid FROM payments WHERE document_id = ?", [
+    documentId,
+  ]);
+  return Math.max(0, roundCents(document.amount_due - paid));
+}
+
+/**
+ * Record a payment for a billed document
+ * The amount cannot exceed what the document still owes (documents generated
+ * before amounts were tracked have no limit).
+ * @param {number} documentId - Document history ID
+ * @param {Object} data - { amount, paymentDate, method, reference, bankTransactionId }
+ * @param {Object} [actor] - User recording the payment
+ * @returns {Object} Created payment
+ * @throws {NotFoundError|ValidationError}
+ */
+export function create(documentId, data = {}, actor = null) {
+  const outstanding = getOutstandingBalance(documentId);
+  const { amount, paymentDate, method } = validatePayment(data);
+  if (outstanding !== null && roundCents(amount - outstanding) > 0) {
+    const errorInfo = PaymentErrors.amountExceedsOutstanding(amount, outstanding);
+    throw new ValidationError(errorInfo);
+  }
+  const reference = data.reference ? String(data.reference).trim() || null : null;
+
+  const result = execute(
+    `INSERT INTO payments (document_id, amount, payment_date, method, reference, bank_transaction_id,
+       created_by_user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [documentId, amount, paymentDate, method, reference, data.bankTransactionId ?? null, actor?.id ?? null]
+  );
+
+  return getById(result.lastInsertRowid);
+}
+
+/**
+ * Get payment by ID
+ * @param {number} id - Payment ID
+ * @returns {Object|null} Payment or null if not found
+ */
+export function getById(id) {
+  const row = queryOne("SELECT * FROM payments WHERE id = ?", [id]);
+  return row ? mapRowToPayment(row) : null;
+}
+
+/**
+ * Get the payments of a document with its balance
+ * @param {number} documentId - Document history ID
+ * @param {Object} [options] - { overdueDays }
+ * @returns {{payments: Array, amountDue: number|null, paidAmount: number, outstanding: number|null, status: string|null}}
+ * @throws {NotFoundError|ValidationError}
+ */
+export function getByDocumentId(documentId, options = {}) {
+  const document = getBillableDocument(documentId);
+  const payments = query(
+    "SELECT * FROM payments WHERE document_id = ? ORDER BY payment_date ASC, id ASC",
+    [documentId]
+  ).map(mapRowToPayment);
+
+  const paidAmount = roundCents(payments.reduce((sum, p) => sum + p.amount, 0));
+  const balance = buildBalance(document, paidAmount, options.overdueDays);
+
+  return { payments, ...balance };
+}
+
+/**
+ * Delete a payment
+ * A payment reconciled from a bank transfer returns the transfer to PENDIENTE,
+ * with its amount left to assign again.
+ * @param {number} id - Payment ID
+ * @returns {boolean} True if deleted
+ * @throws {NotFoundError} If the payment does not exist
+ */
+export function deletePayment(id) {
+  return transaction(() => {
+    const payment = queryOne("SELECT bank_transaction_id FROM payments WHERE id = ?", [id]);
+    if (!payment) {
+      const errorInfo = PaymentErrors.notFound(id);
+      throw new NotFoundError(errorInfo);
+    }
+
+    execute("DELETE FROM payments WHERE id = ?", [id]);
+    if (payment.bank_transaction_id) {
+      execute(
+        `UPDATE bank_transactions SET status = 'PENDIENTE', updated_at = datetime('now')
+         WHERE id = ? AND status = 'CONFIRMADO'`,
+        [payment.bank_transaction_id]
+      );
+    }
+    return true;
+  });
+}
+
+/**
+ * Balance and status of a document given the amount already paid
+ * Documents without an amount due (generated before tracking) have no status.
+ * @param {Object} document - Document history row
+ * @param {number} paidAmount - Sum of payments
+ * @param {number} [overdueDays] - Overdue threshold
+ * @returns {{amountDue: number|null, paidAmount: number, outstanding: number|null, status: string|null}}
+ */
+function buildBalance(document, paidAmount, overdueDays = DEFAULT_OVERDUE_DAYS) {
+  if (document.amount_due === null || document.amount_due === undefined) {
+    return { amountDue: null, paidAmount, outstanding: null, status: null };
+  }
+
+  return {
+    amountDue: document.amount_due,
+    paidAmount,
+    outstanding: Math.max(0, roundCents(document.amount_due - paidAmount)),
+    status: computePaymentStatus({
+      amountDue: document.amount_due,
+      paidAmount,
+      ageDays: daysSince(document.generated_at),
+      overdueDays,
+    }),
+  };
+}
+
+/**
+ * Add paid_amount and payment_status to document history rows
+ * @param {Array} documents - Rows from DocumentHistoryService.getByCaseId
+ * @param {number} [overdueDays] - Overdue threshold
+ * @returns {Array} Documents with payment fields (null for non-billable ones)
+ */
+export function attachPaymentStatus(documents, overdueDays = DEFAULT_OVERDUE_DAYS) {
+  const ids = documents.map((d) => d.id);
+  if (ids.length === 0) return documents;
+
+  const placeholders = ids.map(() => "?").join(", ");
+  const paidById = new Map(
+    query(
+      `SELECT document_id, SUM(amount) as paid FROM payments
+       WHERE document_id IN (${placeholders}) GROUP BY document_id`,
+      ids
+    ).map((row) => [row.document_id, roundCents(row.paid)])
+  );
+
+  return documents.map((document) => {
+    if (!BILLABLE_DOCUMENT_TYPES.includes(document.document_type)) {
+      return { ...document, paid_amount: null, payment_status: null };
+    }
+    const balance = buildBalance(document, paidById.get(document.id) || 0, overdueDays);
+    return { ...document, paid_amount: balance.paidAmount, payment_status: balance.status };
+  });
+}
+
+/**
+ * Query billed documents that still have an outstanding balance
+ * Superseded (rectified) documents are excluded: the rectifying one is billed instead.
+ * Deleted documents are not owed either.
+ * @returns {Array} Rows with case data and paid amount
+ */
+function queryOutstandingDocuments() {
+  const placeholders = BILLABLE_DOCUMENT_TYPES.map(() => "?").join(", ");
+  return query(
+    `SELECT dh.id, dh.case_id, dh.document_type, dh.generated_at, dh.amount_due,
+            c.client_name, c.internal_reference, c.arag_reference,
+            i.invoice_number,
+            COALESCE((SELECT SUM(p.amount) FROM payments p WHERE p.document_id = dh.id), 0) as paid
+     FROM document_history dh
+     JOIN cases c ON c.id = dh.case_id
+     LEFT JOIN invoices i ON i.document_id = dh.id
+     WHERE dh.document_type IN (${placeholders})
+       AND dh.amount_due IS NOT NULL
+       AND dh.deleted_at IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM document_history r WHERE r.rectifies_document_id = dh.id AND r.deleted_at IS NULL
+       )
+       AND dh.amount_due - COALESCE((SELECT SUM(p.amount) FROM payments p WHERE p.document_id = dh.id), 0) > 0.005
+     ORDER BY dh.generated_at ASC`,
+    BILLABLE_DOCUMENT_TYPES
+  );
+}
+
+/**
+ * Receivables report: outstanding documents with ageing buckets
+ * @param {Object} [options] - { overdueDays, today }
+ * @returns {{documents: Array, ageing: Array, totals: {count: number, outstanding: number, overdue: number}, overdueDays: number}}
+ */
+export function getReceivables(options = {}) {
+  const overdueDays = options.overdueDays ?? DEFAULT_OVERDUE_DAYS;
+  const today = options.today || new Date();
+
+  const documents = queryOutstandingDocuments().map((row) => {
+    const paidAmount = roundCents(row.paid);
+    const ageDays = daysSince(row.generated_at, today);
+    return {
+      documentId: row.id,
+      caseId: row.case_id,
+      documentType: row.document_type,
+      issuedAt: row.generated_at,
+      clientName: row.client_name,
+      internalReference: row.internal_reference,
+      aragReference: row.arag_reference,
+      invoiceNumber: row.invoice_number,
+      amountDue: row.amount_due,
+      paidAmount,
+      outstanding: roundCents(row.amount_due - paidAmount),
+      ageDays,
+      status: computePaymentStatus({ amountDue: row.amount_due, paidAmount, ageDays, overdueDays }),
+    };
+  });
+
+  const ageing = AGEING_BUCKETS.map((bucket) => {
+    const inBucket = documents.filter((d) => d.ageDays >= bucket.min && d.ageDays <= bucket.max);
+    return {
+      bucket: bucket.key,
+      count: inBucket.length,
+      amount: roundCents(inBucket.reduce((sum, d) => sum + d.outstanding, 0)),
+    };
+  });
+
+  const overdue = documents.filter((d) => d.status === PAYMENT_STATUS.OVERDUE);
+
+  return {
+    documents,
+    ageing,
+    totals: {
+      count: documents.length,
+      outstanding: roundCents(documents.reduce((sum, d) => sum + d.outstanding, 0)),
+      overdue: roundCents(overdue.reduce((sum, d) => sum + d.outstanding, 0)),
+    },
+    overdueDays,
+  };
+}
+
+/**
+ * Map database row to payment object
+ * @param {Object} row - Database row
+ * @returns {Object} Payment object
+ */
+function mapRowToPayment(row) {
+  return {
+    id: row.id,
+    documentId: row.document_id,
+    amount: row.amount,
+    paymentDate: row.payment_date,
+    method: row.method,
+    reference: row.reference,
+    bankTransactionId: row.bank_transaction_id ?? null,
+    createdByUserId: row.created_by_user_id,
+    createdAt: row.created_at,
+  };
+}
+
+export default {
+  PAYMENT_METHODS,
+  PAYMENT_STATUS,
+  BILLABLE_DOCUMENT_TYPES,
+  DEFAULT_OVERDUE_DAYS,
+  AGEING_BUCKETS,
+  daysSince,
+  computePaymentStatus,
+  create,
+  getById,
+  getByDocumentId,
+  deletePayment,
+  attachPaymentStatus,
+  getReceivables,
+};
@@ -1,10 +1,26 @@
 /**
  * PDF Generator Service
- * Generates minuta and suplido PDF documents for ARAG cases
+ * Generates the case PDF documents in the case language. Minuta, suplido and
+ * hoja de encargo are drawn from their editable document templates
+ * (documentTemplateService); the other texts come from the locale catalogues.
  */
 import PDFDocument from "pdfkit";
 import { createWriteStream, mkdirSync, existsSync } from "fs";
 import { join } from "path";
+import { calculateMinutaAmounts } from "./invoiceService.js";
+import { renderTemplate } from "./templateEngine.js";
+import {
+  buildContext as buildTemplateContext,
+  getBody as getTemplateBody,
+} from "./documentTemplateService.js";
+import { getAll as getAllConfig } from "./configurationService.js";
+import {
+  SUPPORTED_LANGUAGES,
+  getCaseLanguage,
+  getIntlLocale,
+  getTranslator,
+  translate,
+} from "./localeService.js";
 
 export class PDFGeneratorService {
   constructor(documentsPath = "./data/documents") {
@@ -12,16 +28,15 @@ export class PDFGeneratorService {
   }
 
   /**
-   * Generate ARAG minuta PDF with professional layout
+   * Generate ARAG minuta PDF from the MINUTA document template
    * @param {Object} caseData - Case information
    * @param {Object} config - Configuration (arag_base_fee, vat_rate)
+   * @param {Object} [invoice] - Reserved invoice number (invoiceNumber, issueDate)
+   * @param {Object} [rectification] - Rectified minuta (invoiceNumber, issueDate, reason)
    * @returns {Promise<string>} Path to generated PDF
    */
-  async generateMinuta(caseData, config) {
-    const baseFee = parseFloat(config.arag_base_fee) || 203.0;
-    const vatRate = parseFloat(config.vat_rate) || 21;
-    const vatAmount = baseFee * (vatRate / 100);
-    const total = baseFee + vatAmount;
+  async generateMinuta(caseData, config, invoice = null, rectification = null) {
+    const amounts = calculateMinutaAmounts(config);
 
     const year = new Date().getFullYear();
     const ref = caseData.internalReference || caseData.aragReference;
@@ -31,179 +46,426 @@ export class PDFGeneratorService {
       mkdirSync(outputDir, { recursive: true });
     }
 
-    const filename = `minuta_${Date.now()}.pdf`;
+    const prefix = rectification ? "minuta_rectificativa" : "minuta";
+    const filename = invoice
+      ? `${prefix}_${invoice.invoiceNumber}.pdf`
+      : `${prefix}_${Date.now()}.pdf`;
     const outputPath = join(outputDir, filename);
+    const language = getCaseLanguage(caseData);
+
+    const context = buildTemplateContext(
+      caseData,
+      {
+        ...(invoice && { date: invoice.issueDate }),
+        invoiceNumber: invoice ? invoice.invoiceNumber : null,
+        concept: translate(language, "minuta.concept"),
+        amounts,
+        rectification: rectification
+          ? {
+              invoiceNumber: rectification.invoiceNumber || translate(language, "minuta.untitled"),
+              issueDate: rectification.issueDate,
+              reason: rectification.reason,
+            }
+          : null,
+      },
+      { ...getAllConfig(), ...config }
+    );
+
+    return this.writeTemplatePdf(getTemplateBody("MINUTA", language), context, outputPath, getIntlLocale(language));
+  }
 
-    return new Promise((resolve, reject) => {
-      const doc = new PDFDocument({ size: "A4", margin: 60 });
-      const stream = createWriteStream(outputPath);
-
-      doc.pipe(stream);
-
-      const pageWidth = doc.page.width;
-      const leftMargin = 60;
-      const rightMargin = pageWidth - 60;
-      const contentWidth = rightMargin - leftMargin;
-
-      // ═══════════════════════════════════════════════════════════════
-      // DOCUMENT HEADER
-      // ═══════════════════════════════════════════════════════════════
-
-      // Header box with title
-      doc.rect(leftMargin, 50, contentWidth, 50)
-         .fillColor('#2c3e50')
-         .fill();
-
-      doc.fillColor('#ffffff')
-         .fontSize(22)
-         .font('Helvetica-Bold')
-         .text('MINUTA DE HONORARIOS', leftMargin, 65, {
-           width: contentWidth,
-           align: 'center'
-         });
-
-      doc.fillColor('#000000');
-      doc.y = 120;
-
-      // ═══════════════════════════════════════════════════════════════
-      // CASE INFORMATION SECTION
-      // ═══════════════════════════════════════════════════════════════
-
-      // Section header
-      this.drawSectionHeader(doc, 'DATOS DEL EXPEDIENTE', leftMargin, doc.y, contentWidth);
-      doc.moveDown(0.8);
-
-      // Info grid (2 columns)
-      const col1X = leftMargin + 10;
-      const col2X = leftMargin + contentWidth / 2;
-      let infoY = doc.y;
-
-      doc.fontSize(10).font('Helvetica');
-
-      // Left column
-      doc.fillColor('#666666').text('Cliente:', col1X, infoY);
-      doc.fillColor('#000000').font('Helvetica-Bold')
-         .text(caseData.clientName, col1X + 70, infoY);
-
-      infoY += 18;
-      doc.font('Helvetica').fillColor('#666666').text('Ref. ARAG:', col1X, infoY);
-      doc.fillColor('#000000').font('Helvetica-Bold')
-         .text(caseData.aragReference, col1X + 70, infoY);
+  /**
+   * Generate suplido (mileage expense) PDF from the SUPLIDO document template
+   * @param {Object} caseData - Case information
+   * @param {string} district - Judicial district
+   * @param {number} amount - Mileage amount
+   * @returns {Promise<string>} Path to generated PDF
+   */
+  async generateSuplido(caseData, district, amount) {
+    const year = new Date().getFullYear();
+    const ref = caseData.internalReference || caseData.aragReference;
+    const outputDir = join(this.documentsPath, year.toString(), ref);
 
-      // Right column
-      infoY = doc.y - 36;
-      doc.font('Helvetica').fillColor('#666666').text('Ref. Interna:', col2X, infoY);
-      doc.fillColor('#000000').font('Helvetica-Bold')
-         .text(caseData.internalReference, col2X + 80, infoY);
+    if (!existsSync(outputDir)) {
+      mkdirSync(outputDir, { recursive: true });
+    }
 
-      infoY += 18;
-      doc.font('Helvetica').fillColor('#666666').text('Fecha:', col2X, infoY);
-      doc.fillColor('#000000').font('Helvetica-Bold')
-         .text(this.formatDate(new Date()), col2X + 80, infoY);
+    const filename = `suplido_${district.toLowerCase().replace(/[^a-z]/g, "_")}_${Date.now()}.pdf`;
+    const outputPath = join(outputDir, filename);
 
-      doc.fillColor('#000000');
-      doc.y = infoY + 40;
+    const language = getCaseLanguage(caseData);
+    const context = buildTemplateContext(caseData, { district, amount });
+    return this.writeTemplatePdf(getTemplateBody("SUPLIDO", language), context, outputPath, getIntlLocale(language));
+  }
 
-      // ═══════════════════════════════════════════════════════════════
-      // FEE BREAKDOWN TABLE
-      // ═══════════════════════════════════════════════════════════════
+  /**
+   * Generate Hoja de Encargo (Engagement Letter) PDF for Particular cases
+   * from the HOJA_ENCARGO document template
+   * @param {Object} caseData - Case information
+   * @param {Object} hojaData - Hoja de Encargo specific data
+   * @param {string} hojaData.services - Services description
+   * @param {number} hojaData.fees - Professional fees amount
+   * @param {boolean} [hojaData.bilingual] - Spanish and English versions in one
+   *   document, signed once (for foreign clients)
+   * @returns {Promise<string>} Path to generated PDF
+   */
+  async generateHojaEncargo(caseData, hojaData) {
+    const { services, fees, bilingual = false } = hojaData;
 
-      this.drawSectionHeader(doc, 'DESGLOSE DE HONORARIOS', leftMargin, doc.y, contentWidth);
-      doc.moveDown(0.8);
+    const year = new Date().getFullYear();
+    const ref = caseData.internal_reference || caseData.internalReference;
+    const outputDir = join(this.documentsPath, year.toString(), ref);
 
-      const tableTop = doc.y;
-      const tableLeft = leftMargin;
-      const tableWidth = contentWidth;
-      const colConcepto = tableLeft + 10;
-      const colImporte = tableLeft + tableWidth - 100;
+    if (!existsSync(outputDir)) {
+      mkdirSync(outputDir, { recursive: true });
+    }
 
-      // Table header row
-      doc.rect(tableLeft, tableTop, tableWidth, 25)
-         .fillColor('#f5f5f5')
-         .fill();
+    const filename = `hoja_encargo_${Date.now()}.pdf`;
+    const outputPath = join(outputDir, filename);
 
-      doc.fillColor('#333333')
-         .fontSize(10)
-         .font('Helvetica-Bold')
-         .text('CONCEPTO', colConcepto, tableTop + 8)
-         .text('IMPORTE', colImporte, tableTop + 8, { width: 90, align: 'right' });
+    const context = buildTemplateContext(caseData, { services, fees, bilingual });
 
-      // Table rows
-      let rowY = tableTop + 25;
+    if (!bilingual) {
+      const language = getCaseLanguage(caseData);
+      return this.writeTemplatePdf(getTemplateBody("HOJA_ENCARGO", language), context, outputPath, getIntlLocale(language));
+    }
 
-      // Row 1: Base fee
-      doc.rect(tableLeft, rowY, tableWidth, 28)
-         .strokeColor('#e0e0e0')
-         .stroke();
-      doc.fillColor('#000000')
-         .fontSize(10)
-         .font('Helvetica')
-         .text('Honorarios profesionales por gestión de expediente ARAG', colConcepto, rowY + 9)
-         .text(this.formatCurrency(baseFee), colImporte, rowY + 9, { width: 90, align: 'right' });
+    // Each version on its own pages, Spanish first
+    const blocks = SUPPORTED_LANGUAGES.flatMap((language, index) => [
+      ...(index > 0 ? [{ type: "salto-pagina" }] : []),
+      ...renderTemplate(getTemplateBody("HOJA_ENCARGO", language), context, getIntlLocale(language)),
+    ]);
+    return this.writeBlocksPdf(blocks, outputPath);
+  }
 
-      rowY += 28;
+  /**
+   * Render a document template to a PDF file
+   * @param {string} source - Template text
+   * @param {Object} context - Template data
+   * @param {string} outputPath - Destination file
+   * @param {string} [locale] - Intl locale of amounts and dates
+   * @returns {Promise<string>} Path to generated PDF
+   */
+  async writeTemplatePdf(source, context, outputPath, locale) {
+    return this.writeBlocksPdf(renderTemplate(source, context, locale), outputPath);
+  }
 
-      // Row 2: VAT
-      doc.rect(tableLeft, rowY, tableWidth, 28)
-         .strokeColor('#e0e0e0')
-         .stroke();
-      doc.text(`IVA (${vatRate}%)`, colConcepto, rowY + 9)
-         .text(this.formatCurrency(vatAmount), colImporte, rowY + 9, { width: 90, align: 'right' });
+  /**
+   * Draw rendered template blocks to a PDF file
+   * @param {Array<Object>} blocks - Blocks from renderTemplate()
+   * @param {string} outputPath - Destination file
+   * @returns {Promise<string>} Path to generated PDF
+   */
+  async writeBlocksPdf(blocks, outputPath) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: "A4", margin: 60 });
+      const stream = createWriteStream(outputPath);
 
-      rowY += 28;
+      doc.pipe(stream);
+      this.drawTemplate(doc, blocks);
+      doc.end();
 
-      // Total row (highlighted)
-      doc.rect(tableLeft, rowY, tableWidth, 32)
-         .fillColor('#2c3e50')
-         .fill();
-      doc.fillColor('#ffffff')
-         .fontSize(12)
-         .font('Helvetica-Bold')
-         .text('TOTAL A PERCIBIR', colConcepto, rowY + 10)
-         .text(this.formatCurrency(total), colImporte, rowY + 10, { width: 90, align: 'right' });
+      stream.on("finish", () => resolve(outputPath));
+      stream.on("error", reject);
+    });
+  }
 
-      doc.fillColor('#000000');
-      doc.y = rowY + 60;
+  /**
+   * Render a document template to an in-memory PDF (template preview)
+   * @param {string} source - Template text
+   * @param {Object} context - Template data
+   * @param {string} [locale] - Intl locale of amounts and dates
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  async renderTemplateToBuffer(source, context, locale) {
+    const blocks = renderTemplate(source, context, locale);
 
-      // ═══════════════════════════════════════════════════════════════
-      // LEGAL NOTICE
-      // ═══════════════════════════════════════════════════════════════
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: "A4", margin: 60 });
+      const chunks = [];
 
-      doc.fontSize(8)
-         .fillColor('#888888')
-         .font('Helvetica')
-         .text(
-           'Documento generado electrónicamente. Los honorarios indicados corresponden a la tarifa fija establecida ' +
-           'por el convenio con ARAG Seguros.',
-           leftMargin, doc.y,
-           { width: contentWidth, align: 'center' }
-         );
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", reject);
 
+      this.drawTemplate(doc, blocks);
       doc.end();
-
-      stream.on("finish", () => resolve(outputPath));
-      stream.on("error", reject);
     });
   }
 
   /**
-   * Generate suplido (mileage expense) PDF with professional layout
+   * Draw rendered template blocks (see templateEngine.js) on a document
+   * @param {PDFDocument} doc - PDF document
+   * @param {Array<Object>} blocks - Blocks from renderTemplate()
+   */
+  drawTemplate(doc, blocks) {
+    const leftMargin = 60;
+    const contentWidth = doc.page.width - 120;
+    const pageBottom = () => doc.page.height - 80;
+    const colImporte = leftMargin + contentWidth - 100;
+    let accent = '#2c3e50';
+    let tableEnd = null;
+
+    // Start a new page when the next element does not fit
+    const ensureSpace = (height) => {
+      if (doc.y + height > pageBottom()) {
+        doc.addPage();
+        doc.y = 60;
+      }
+    };
+
+    for (const block of blocks) {
+      const afterTable = tableEnd;
+      tableEnd = null;
+
+      switch (block.type) {
+        case 'color':
+          accent = block.text;
+          break;
+
+        case 'titulo': {
+          const y = doc.y - 10;
+          doc.rect(leftMargin, y, contentWidth, 50).fillColor(accent).fill();
+          doc.fillColor('#ffffff')
+             .fontSize(22)
+             .font('Helvetica-Bold')
+             .text(block.text, leftMargin, y + 15, { width: contentWidth, align: 'center' });
+          doc.y = y + 70;
+          break;
+        }
+
+        case 'encabezado': {
+          const y = doc.y;
+          doc.fontSize(18)
+             .font('Helvetica-Bold')
+             .fillColor('#1a1a1a')
+             .text(block.text, leftMargin, y, { width: contentWidth, align: 'center' });
+          doc.moveTo(leftMargin + contentWidth * 0.25, y + 25)
+             .lineTo(leftMargin + contentWidth * 0.75, y + 25)
+             .strokeColor('#cccccc')
+             .lineWidth(0.5)
+             .stroke();
+          doc.y = y + 45;
+          break;
+        }
+
+        case 'seccion':
+          ensureSpace(60);
+          this.drawSectionHeader(doc, block.text, leftMargin, doc.y, contentWidth);
+          doc.moveDown(0.8);
+          break;
+
+        case 'campos': {
+          if (block.rows.length === 0) break;
+          doc.fontSize(10).font('Helvetica');
+          const columnWidth = contentWidth / block.columns;
+          // Values of a column start after its widest label
+          const offsets = Array.from({ length: block.columns }, (_, column) =>
+            Math.max(
+              0,
+              ...block.rows
+                .filter((_, index) => index % block.columns === column)
+                .map((row) => doc.widthOfString(row.label))
+            ) + 8
+          );
+
+          for (let i = 0; i < block.rows.length; i += block.columns) {
+            const line = block.rows.slice(i, i + block.columns);
+            const heights = line.map((row, column) =>
+              doc.font('Helvetica-Bold').heightOfString(row.value, {
+                width: columnWidth - offsets[column] - 20,
+              })
+            );
+            const rowHeight = Math.max(18, ...heights.map((h) => h + 4));
+            ensureSpace(rowHeight);
+
+            const y = doc.y;
+            line.forEach((row, column) => {
+              const x = leftMargin + 10 + column * columnWidth;
+              const offset = offsets[column];
+              doc.font('Helvetica').fillColor('#666666').text(row.label, x, y);
+              doc.font('Helvetica-Bold').fillColor('#000000')
+                 .text(row.value, x + offset, y, { width: columnWidth - offset - 20 });
+            });
+            doc.y = y + rowHeight;
+          }
+
+          doc.fillColor('#000000');
+          doc.y += 22;
+          break;
+        }
+
+        case 'tabla': {
+          ensureSpace(25 + 28 * Math.min(block.rows.length, 3));
+          let rowY = doc.y;
+
+          doc.rect(leftMargin, rowY, contentWidth, 25).fillColor('#f5f5f5').fill();
+          doc.fillColor('#333333')
+             .fontSize(10)
+             .font('Helvetica-Bold')
+             .text(block.header[0], leftMargin + 10, rowY + 8)
+             .text(block.header[1], colImporte, rowY + 8, { width: 90, align: 'right' });
+          rowY += 25;
+
+          for (const [concept, value] of block.rows) {
+            if (rowY + 28 > pageBottom()) {
+              doc.addPage();
+              rowY = 60;
+            }
+            doc.rect(leftMargin, rowY, contentWidth, 28).strokeColor('#e0e0e0').lineWidth(1).stroke();
+            doc.fillColor('#000000')
+               .fontSize(10)
+               .font('Helvetica')
+               .text(concept, leftMargin + 10, rowY + 9, { width: colImporte - leftMargin - 20 })
+               .text(value, colImporte, rowY + 9, { width: 90, align: 'right' });
+            rowY += 28;
+          }
+
+          tableEnd = rowY;
+          doc.y = rowY + 20;
+          break;
+        }
+
+        case 'total': {
+          const y = afterTable ?? doc.y;
+          doc.rect(leftMargin, y, contentWidth, 32).fillColor(accent).fill();
+          doc.fillColor('#ffffff')
+             .fontSize(12)
+             .font('Helvetica-Bold')
+             .text(block.parts[0], leftMargin + 10, y + 10)
+             .text(block.parts[1], colImporte, y + 10, { width: 90, align: 'right' });
+          doc.fillColor('#000000');
+          doc.y = y + 60;
+          break;
+        }
+
+        case 'destacado': {
+          ensureSpace(65);
+          const y = doc.y;
+          doc.rect(leftMargin, y, contentWidth, 45).fillColor('#e8f4f8').fill();
+          doc.rect(leftMargin, y, contentWidth, 45).strokeColor(accent).lineWidth(1).stroke();
+          doc.fillColor(accent)
+             .fontSize(18)
+             .font('Helvetica-Bold')
+             .text(block.text, leftMargin, y + 14, { width: contentWidth, align: 'center' });
+          doc.fillColor('#000000');
+          doc.y = y + 65;
+          break;
+        }
+
+        case 'importe': {
+          ensureSpace(90);
+          const y = doc.y;
+          doc.rect(leftMargin, y, contentWidth, 60).fillColor(accent).fill();
+          doc.fillColor('#ffffff')
+             .fontSize(28)
+             .font('Helvetica-Bold')
+             .text(block.text, leftMargin, y + 18, { width: contentWidth, align: 'center' });
+          doc.fillColor('#000000');
+          doc.y = y + 90;
+          break;
+        }
+
+        case 'clausula':
+          doc.fontSize(9)
+             .font('Helvetica')
+             .fillColor('#6c757d')
+             .text(block.text, leftMargin, doc.y, { width: contentWidth, align: 'justify', lineGap: 3 });
+          doc.moveDown(0.6);
+          break;
+
+        case 'nota':
+          doc.fontSize(8)
+             .font('Helvetica')
+             .fillColor('#888888')
+             .text(block.text, leftMargin, doc.y, { width: contentWidth, align: 'center' });
+          doc.moveDown(1);
+          break;
+
+        case 'firmas': {
+          ensureSpace(100);
+          const signatureY = doc.y + 20;
+          const signatureWidth = (contentWidth - 60) / 2;
+
+          block.parts.forEach((label, index) => {
+            const x = leftMargin + index * (signatureWidth + 60);
+            doc.moveTo(x, signatureY + 40)
+               .lineTo(x + signatureWidth, signatureY + 40)
+               .strokeColor('#999999')
+               .lineWidth(0.5)
+               .stroke();
+            doc.fontSize(9)
+               .font('Helvetica')
+               .fillColor('#666666')
+               .text(label, x, signatureY + 48, { width: signatureWidth, align: 'center' });
+          });
+
+          doc.y = signatureY + 80;
+          break;
+        }
+
+        case 'pie': {
+          // Written inside the bottom margin, which would otherwise start a new page
+          const y = doc.y;
+          const bottomMargin = doc.page.margins.bottom;
+          doc.page.margins.bottom = 0;
+          doc.fontSize(8)
+             .fillColor('#999999')
+             .font('Helvetica')
+             .text(block.text, leftMargin, doc.page.height - 50, { width: contentWidth, align: 'center' });
+          doc.page.margins.bottom = bottomMargin;
+          doc.y = y;
+          break;
+        }
+
+        case 'espacio':
+          doc.moveDown(parseFloat(block.text) || 1);
+          break;
+
+        case 'salto-pagina':
+          doc.addPage();
+          doc.y = 60;
+          break;
+
+        case 'parrafo':
+          doc.fontSize(10)
+             .font('Helvetica')
+             .fillColor('#333333')
+             .text(block.text, leftMargin, doc.y, { width: contentWidth, align: 'justify', lineGap: 4 });
+          doc.moveDown(1);
+          break;
+      }
+    }
+
+    doc.fillColor('#000000');
+  }
+
+  /**
+   * Generate itemised fee note ("factura de horas") PDF for Particular cases
    * @param {Object} caseData - Case information
-   * @param {string} district - Judicial district
-   * @param {number} amount - Mileage amount
+   * @param {Object} feeNote - Fee note data
+   * @param {Object} feeNote.invoice - Reserved invoice number (invoiceNumber, issueDate)
+   * @param {Array} feeNote.entries - Time entries (entryDate, activity, userName, durationMinutes, hourlyRate, amount)
+   * @param {Object} feeNote.amounts - { baseAmount, vatRate, vatAmount, total }
    * @returns {Promise<string>} Path to generated PDF
    */
-  async generateSuplido(caseData, district, amount) {
+  async generateFacturaHoras(caseData, feeNote) {
+    const { invoice, entries, amounts } = feeNote;
+
     const year = new Date().getFullYear();
-    const ref = caseData.internalReference || caseData.aragReference;
+    const ref = caseData.internal_reference || caseData.internalReference;
     const outputDir = join(this.documentsPath, year.toString(), ref);
 
     if (!existsSync(outputDir)) {
       mkdirSync(outputDir, { recursive: true });
     }
 
-    const filename = `suplido_${district.toLowerCase().replace(/[^a-z]/g, "_")}_${Date.now()}.pdf`;
+    const filename = `factura_horas_${invoice.invoiceNumber}.pdf`;
     const outputPath = join(outputDir, filename);
+    const issueDate = new Date(`${invoice.issueDate}T00:00:00`);
+    const language = getCaseLanguage(caseData);
+    const locale = getIntlLocale(language);
+    const t = getTranslator(language, "facturaHoras");
 
     return new Promise((resolve, reject) => {
       const doc = new PDFDocument({ size: "A4", margin: 60 });
@@ -215,20 +477,22 @@ export class PDFGeneratorService {
       const leftMargin = 60;
       const rightMargin = pageWidth - 60;
       const contentWidth = rightMargin - leftMargin;
+      const pageBottom = doc.page.height - 80;
+
+      const clientName = caseData.client_name || caseData.clientName;
 
       // ═══════════════════════════════════════════════════════════════
       // DOCUMENT HEADER
       // ═══════════════════════════════════════════════════════════════
 
-      // Header box with title
       doc.rect(leftMargin, 50, contentWidth, 50)
-         .fillColor('#1a5276')
+         .fillColor('#2c3e50')
          .fill();
 
       doc.fillColor('#ffffff')
          .fontSize(22)
          .font('Helvetica-Bold')
-         .text('SUPLIDO POR DESPLAZAMIENTO', leftMargin, 65, {
+         .text(t('title'), leftMargin, 65, {
            width: contentWidth,
            align: 'center'
          });
@@ -237,93 +501,149 @@ export class PDFGeneratorService {
       doc.y = 120;
 
       // ═══════════════════════════════════════════════════════════════
-      // CASE INFORMATION SECTION
+      // CLIENT INFORMATION SECTION
       // ═══════════════════════════════════════════════════════════════
 
-      this.drawSectionHeader(doc, 'DATOS DEL EXPEDIENTE', leftMargin, doc.y, contentWidth);
+      this.drawSectionHeader(doc, t('clientSection'), leftMargin, doc.y, contentWidth);
       doc.moveDown(0.8);
 
-      // Info grid (2 columns)
       const col1X = leftMargin + 10;
       const col2X = leftMargin + contentWidth / 2;
       let infoY = doc.y;
 
       doc.fontSize(10).font('Helvetica');
 
-      // Left column
-      doc.fillColor('#666666').text('Cliente:', col1X, infoY);
+      doc.fillColor('#666666').text(t('client'), col1X, infoY);
       doc.fillColor('#000000').font('Helvetica-Bold')
-         .text(caseData.clientName, col1X + 70, infoY);
+         .text(clientName, col1X + 70, infoY, { width: contentWidth / 2 - 80 });
 
-      infoY += 18;
-      doc.font('Helvetica').fillColor('#666666').text('Ref. ARAG:', col1X, infoY);
+      doc.font('Helvetica').fillColor('#666666').text(t('invoiceNumber'), col2X, infoY);
       doc.fillColor('#000000').font('Helvetica-Bold')
-         .text(caseData.aragReference, col1X + 70, infoY);
+         .text(invoice.invoiceNumber, col2X + 80, infoY);
 
-      // Right column
-      infoY = doc.y - 36;
-      doc.font('Helvetica').fillColor('#666666').text('Ref. Interna:', col2X, infoY);
+      infoY += 18;
+      doc.font('Helvetica').fillColor('#666666').text(t('reference'), col1X, infoY);
       doc.fillColor('#000000').font('Helvetica-Bold')
-         .text(caseData.internalReference, col2X + 80, infoY);
+         .text(ref, col1X + 70, infoY);
 
-      infoY += 18;
-      doc.font('Helvetica').fillColor('#666666').text('Fecha:', col2X, infoY);
+      doc.font('Helvetica').fillColor('#666666').text(t('date'), col2X, infoY);
       doc.fillColor('#000000').font('Helvetica-Bold')
-         .text(this.formatDate(new Date()), col2X + 80, infoY);
+         .text(this.formatDate(issueDate, locale), col2X + 80, infoY);
 
       doc.fillColor('#000000');
       doc.y = infoY + 40;
 
       // ═══════════════════════════════════════════════════════════════
-      // JUDICIAL DISTRICT - PROMINENTLY DISPLAYED
+      // TIME ENTRIES TABLE
       // ═══════════════════════════════════════════════════════════════
 
-      this.drawSectionHeader(doc, 'PARTIDO JUDICIAL', leftMargin, doc.y, contentWidth);
+      this.drawSectionHeader(doc, t('entriesSection'), leftMargin, doc.y, contentWidth);
       doc.moveDown(0.8);
 
-      // District highlight box
-      doc.rect(leftMargin, doc.y, contentWidth, 45)
-         .fillColor('#e8f4f8')
-         .fill();
-
-      doc.rect(leftMargin, doc.y, contentWidth, 45)
-         .strokeColor('#1a5276')
-         .lineWidth(1)
-         .stroke();
-
-      doc.fillColor('#1a5276')
-         .fontSize(18)
-         .font('Helvetica-Bold')
-         .text(district.toUpperCase(), leftMargin, doc.y + 14, {
-           width: contentWidth,
-           align: 'center'
-         });
-
-      doc.fillColor('#000000');
-      doc.y += 65;
-
-      // ═══════════════════════════════════════════════════════════════
-      // MILEAGE AMOUNT - PROMINENTLY DISPLAYED
-      // ═══════════════════════════════════════════════════════════════
-
-      this.drawSectionHeader(doc, 'IMPORTE POR DESPLAZAMIENTO', leftMargin, doc.y, contentWidth);
-      doc.moveDown(0.8);
-
-      // Amount highlight box
-      doc.rect(leftMargin, doc.y, contentWidth, 60)
-         .fillColor('#1a5276')
+      const columns = [
+        { title: t('columnDate'), width: 62 },
+        { title: t('columnActivity'), width: contentWidth - 62 - 85 - 45 - 62 - 70 },
+        { title: t('columnLawyer'), width: 85 },
+        { title: t('columnHours'), width: 45, align: 'right' },
+        { title: t('columnRate'), width: 62, align: 'right' },
+        { title: t('columnAmount'), width: 70, align: 'right' },
+      ];
+      let x = leftMargin;
+      for (const column of columns) {
+        column.x = x;
+        x += column.width;
+      }
+
+      const drawTableHeader = (y) => {
+        doc.rect(leftMargin, y, contentWidth, 22)
+           .fillColor('#f5f5f5')
+           .fill();
+        doc.fillColor('#333333').fontSize(8).font('Helvetica-Bold');
+        for (const column of columns) {
+          doc.text(column.title, column.x + 4, y + 7, {
+            width: column.width - 8,
+            align: column.align || 'left'
+          });
+        }
+        return y + 22;
+      };
+
+      let rowY = drawTableHeader(doc.y);
+
+      for (const entry of entries) {
+        const cells = [
+          this.formatDate(new Date(`${entry.entryDate}T00:00:00`), locale),
+          entry.activity,
+          entry.userName || '-',
+          this.formatHours(entry.durationMinutes, locale),
+          this.formatCurrency(entry.hourlyRate, locale),
+          this.formatCurrency(entry.amount, locale),
+        ];
+
+        doc.fontSize(9).font('Helvetica');
+        const rowHeight = Math.max(
+          ...cells.map((cell, i) => doc.heightOfString(cell, { width: columns[i].width - 8 }))
+        ) + 12;
+
+        if (rowY + rowHeight > pageBottom) {
+          doc.addPage();
+          rowY = drawTableHeader(60);
+        }
+
+        doc.rect(leftMargin, rowY, contentWidth, rowHeight)
+           .strokeColor('#e0e0e0')
+           .lineWidth(0.5)
+           .stroke();
+        doc.fillColor('#000000').fontSize(9).font('Helvetica');
+        cells.forEach((cell, i) => {
+          doc.text(cell, columns[i].x + 4, rowY + 6, {
+            width: columns[i].width - 8,
+            align: columns[i].align || 'left'
+          });
+        });
+
+        rowY += rowHeight;
+      }
+
+      // ═══════════════════════════════════════════════════════════════
+      // TOTALS
+      // ═══════════════════════════════════════════════════════════════
+
+      if (rowY + 130 > pageBottom) {
+        doc.addPage();
+        rowY = 60;
+      }
+      rowY += 12;
+
+      const totalMinutes = entries.reduce((sum, e) => sum + e.durationMinutes, 0);
+      const labelX = leftMargin + contentWidth - 260;
+      const amountX = leftMargin + contentWidth - 100;
+
+      doc.fontSize(10).font('Helvetica').fillColor('#666666');
+      doc.text(t('totalHours', { hours: this.formatHours(totalMinutes, locale) }), leftMargin + 4, rowY);
+
+      for (const [label, value] of [
+        [t('baseAmount'), amounts.baseAmount],
+        [t('vat', { rate: amounts.vatRate }), amounts.vatAmount],
+      ]) {
+        doc.fillColor('#666666').font('Helvetica')
+           .text(label, labelX, rowY, { width: 150 });
+        doc.fillColor('#000000')
+           .text(this.formatCurrency(value, locale), amountX, rowY, { width: 96, align: 'right' });
+        rowY += 20;
+      }
+
+      doc.rect(labelX - 10, rowY, contentWidth - (labelX - 10 - leftMargin), 30)
+         .fillColor('#2c3e50')
          .fill();
-
       doc.fillColor('#ffffff')
-         .fontSize(28)
+         .fontSize(12)
          .font('Helvetica-Bold')
-         .text(this.formatCurrency(amount), leftMargin, doc.y + 18, {
-           width: contentWidth,
-           align: 'center'
-         });
+         .text(t('total'), labelX, rowY + 9)
+         .text(this.formatCurrency(amounts.total, locale), amountX, rowY + 9, { width: 96, align: 'right' });
 
       doc.fillColor('#000000');
-      doc.y += 90;
+      doc.y = rowY + 60;
 
       // ═══════════════════════════════════════════════════════════════
       // LEGAL NOTICE
@@ -333,8 +653,7 @@ export class PDFGeneratorService {
          .fillColor('#888888')
          .font('Helvetica')
          .text(
-           'Documento generado electrónicamente. El importe corresponde a los gastos de desplazamiento ' +
-           'según la tarifa configurada para el partido judicial indicado.',
+           t('notice'),
            leftMargin, doc.y,
            { width: contentWidth, align: 'center' }
          );
@@ -347,15 +666,16 @@ export class PDFGeneratorService {
   }
 
   /**
-   * Generate Hoja de Encargo (Engagement Letter) PDF for Particular cases
+   * Generate "solicitud de provisión de fondos" PDF for Particular cases
    * @param {Object} caseData - Case information
-   * @param {Object} hojaData - Hoja de Encargo specific data
-   * @param {string} hojaData.services - Services description
-   * @param {number} hojaData.fees - Professional fees amount
+   * @param {Object} request - Request data
+   * @param {number} request.amount - Amount requested
+   * @param {string} request.concept - What the funds are for
+   * @param {string} request.requestDate - Date of the request (YYYY-MM-DD)
    * @returns {Promise<string>} Path to generated PDF
    */
-  async generateHojaEncargo(caseData, hojaData) {
-    const { services, fees } = hojaData;
+  async generateSolicitudProvision(caseData, request) {
+    const { amount, concept, requestDate } = request;
 
     const year = new Date().getFullYear();
     const ref = caseData.internal_reference || caseData.internalReference;
@@ -365,8 +685,11 @@ export class PDFGeneratorService {
       mkdirSync(outputDir, { recursive: true });
     }
 
-    const filename = `hoja_encargo_${Date.now()}.pdf`;
+    const filename = `solicitud_provision_${Date.now()}.pdf`;
     const outputPath = join(outputDir, filename);
+    const language = getCaseLanguage(caseData);
+    const locale = getIntlLocale(language);
+    const t = getTranslator(language, "solicitudProvision");
 
     return new Promise((resolve, reject) => {
       const doc = new PDFDocument({ size: "A4", margin: 60 });
@@ -380,7 +703,6 @@ export class PDFGeneratorService {
       const contentWidth = rightMargin - leftMargin;
 
       const clientName = caseData.client_name || caseData.clientName;
-      const reference = caseData.internal_reference || caseData.internalReference;
 
       // ═══════════════════════════════════════════════════════════════
       // DOCUMENT HEADER
@@ -389,12 +711,11 @@ export class PDFGeneratorService {
       doc.fontSize(18)
          .font('Helvetica-Bold')
          .fillColor('#1a1a1a')
-         .text('HOJA DE ENCARGO PROFESIONAL', leftMargin, 60, {
+         .text(t('title'), leftMargin, 60, {
            width: contentWidth,
            align: 'center'
          });
 
-      // Subtle underline
       doc.moveTo(leftMargin + contentWidth * 0.25, 85)
          .lineTo(leftMargin + contentWidth * 0.75, 85)
          .strokeColor('#cccccc')
@@ -408,139 +729,96 @@ export class PDFGeneratorService {
       // CLIENT INFORMATION SECTION
       // ═══════════════════════════════════════════════════════════════
 
-      this.drawSectionHeader(doc, 'DATOS DEL CLIENTE', leftMargin, doc.y, contentWidth);
+      this.drawSectionHeader(doc, t('clientSection'), leftMargin, doc.y, contentWidth);
       doc.moveDown(0.8);
 
-      // Client info - simple layout
       const col1X = leftMargin;
       const col2X = leftMargin + contentWidth / 2;
       let infoY = doc.y;
 
       doc.fontSize(9).font('Helvetica').fillColor('#666666');
-      doc.text('Cliente:', col1X, infoY);
+      doc.text(t('client'), col1X, infoY);
       doc.fillColor('#1a1a1a').font('Helvetica-Bold');
       doc.text(clientName, col1X + 50, infoY, { width: contentWidth / 2 - 60 });
 
       doc.font('Helvetica').fillColor('#666666');
-      doc.text('Referencia:', col2X, infoY);
+      doc.text(t('reference'), col2X, infoY);
       doc.fillColor('#1a1a1a').font('Helvetica-Bold');
-      doc.text(reference, col2X + 70, infoY);
+      doc.text(ref, col2X + 70, infoY);
 
       infoY += 20;
       doc.font('Helvetica').fillColor('#666666');
-      doc.text('Fecha:', col1X, infoY);
+      doc.text(t('date'), col1X, infoY);
       doc.fillColor('#1a1a1a').font('Helvetica-Bold');
-      doc.text(this.formatDate(new Date()), col1X + 50, infoY);
+      doc.text(this.formatDate(new Date(`${requestDate}T00:00:00`), locale), col1X + 50, infoY);
 
       doc.fillColor('#000000');
       doc.y = infoY + 35;
 
       // ═══════════════════════════════════════════════════════════════
-      // SERVICES SECTION
+      // REQUEST SECTION
       // ═══════════════════════════════════════════════════════════════
 
-      this.drawSectionHeader(doc, 'SERVICIOS PROFESIONALES CONTRATADOS', leftMargin, doc.y, contentWidth);
+      this.drawSectionHeader(doc, t('requestSection'), leftMargin, doc.y, contentWidth);
       doc.moveDown(0.8);
 
       doc.fontSize(10)
          .font('Helvetica')
          .fillColor('#333333')
-         .text(services, leftMargin, doc.y, {
-           width: contentWidth,
-           align: 'justify',
-           lineGap: 4
-         });
-
-      doc.moveDown(2);
+         .text(
+           t('intro'),
+           leftMargin, doc.y,
+           { width: contentWidth, align: 'justify', lineGap: 4 }
+         );
 
-      // ═══════════════════════════════════════════════════════════════
-      // FEES SECTION
-      // ═══════════════════════════════════════════════════════════════
+      doc.moveDown(1);
+      const boxY = doc.y;
 
-      this.drawSectionHeader(doc, 'HONORARIOS PROFESIONALES', leftMargin, doc.y, contentWidth);
-      doc.moveDown(0.8);
+      doc.rect(leftMargin, boxY, contentWidth, 60)
+         .fillColor('#f5f5f5')
+         .fill();
 
-      doc.fontSize(10)
-         .font('Helvetica')
-         .fillColor('#666666')
-         .text('Importe total acordado:', leftMargin, doc.y);
+      doc.fillColor('#666666').fontSize(9).font('Helvetica')
+         .text(t('concept'), leftMargin + 12, boxY + 12, { width: contentWidth - 160 });
+      doc.fillColor('#1a1a1a').fontSize(10).font('Helvetica-Bold')
+         .text(concept, leftMargin + 12, boxY + 28, { width: contentWidth - 160 });
 
-      doc.font('Helvetica-Bold')
-         .fillColor('#1a1a1a')
-         .text(this.formatCurrency(fees), leftMargin + 130, doc.y - 12);
+      doc.fillColor('#666666').fontSize(9).font('Helvetica')
+         .text(t('amount'), rightMargin - 140, boxY + 12, { width: 128, align: 'right' });
+      doc.fillColor('#1a1a1a').fontSize(14).font('Helvetica-Bold')
+         .text(this.formatCurrency(amount, locale), rightMargin - 140, boxY + 28, { width: 128, align: 'right' });
 
-      doc.moveDown(2);
+      doc.fillColor('#000000');
+      doc.y = boxY + 85;
 
       // ═══════════════════════════════════════════════════════════════
-      // TERMS & CONDITIONS
+      // TERMS
       // ═══════════════════════════════════════════════════════════════
 
-      this.drawSectionHeader(doc, 'CONDICIONES GENERALES', leftMargin, doc.y, contentWidth);
+      this.drawSectionHeader(doc, t('termsSection'), leftMargin, doc.y, contentWidth);
       doc.moveDown(0.8);
 
       doc.fontSize(9)
          .font('Helvetica')
          .fillColor('#6c757d')
          .text(
-           '1. El cliente acepta expresamente los términos del presente encargo profesional y autoriza ' +
-           'al abogado a actuar en su nombre y representación en el asunto objeto del encargo.',
+           t('term1'),
            leftMargin, doc.y,
            { width: contentWidth, align: 'justify', lineGap: 3 }
          );
 
       doc.moveDown(0.6);
       doc.text(
-        '2. Los honorarios indicados no incluyen suplidos, tasas judiciales ni gastos de terceros ' +
-        'que pudieran derivarse de la tramitación del asunto.',
+        t('term2'),
         { width: contentWidth, align: 'justify', lineGap: 3 }
       );
 
       doc.moveDown(0.6);
       doc.text(
-        '3. El presente documento tiene plena validez como acuerdo de servicios profesionales entre las partes.',
+        t('term3'),
         { width: contentWidth, align: 'justify', lineGap: 3 }
       );
 
-      doc.y += 30;
-
-      // ═══════════════════════════════════════════════════════════════
-      // SIGNATURES SECTION
-      // ═══════════════════════════════════════════════════════════════
-
-      const signatureY = doc.y + 20;
-      const signatureWidth = (contentWidth - 60) / 2;
-
-      // Client signature
-      doc.moveTo(leftMargin, signatureY + 40)
-         .lineTo(leftMargin + signatureWidth, signatureY + 40)
-         .strokeColor('#999999')
-         .lineWidth(0.5)
-         .stroke();
-
-      doc.fontSize(9)
-         .font('Helvetica')
-         .fillColor('#666666')
-         .text('Firma del Cliente', leftMargin, signatureY + 48, {
-           width: signatureWidth,
-           align: 'center'
-         });
-
-      // Lawyer signature
-      const lawyerX = leftMargin + signatureWidth + 60;
-      doc.moveTo(lawyerX, signatureY + 40)
-         .lineTo(lawyerX + signatureWidth, signatureY + 40)
-         .strokeColor('#999999')
-         .lineWidth(0.5)
-         .stroke();
-
-      doc.fontSize(9)
-         .font('Helvetica')
-         .fillColor('#666666')
-         .text('Firma del Abogado', lawyerX, signatureY + 48, {
-           width: signatureWidth,
-           align: 'center'
-         });
-
       // ═══════════════════════════════════════════════════════════════
       // FOOTER
       // ═══════════════════════════════════════════════════════════════
@@ -549,7 +827,7 @@ export class PDFGeneratorService {
          .fillColor('#999999')
          .font('Helvetica')
          .text(
-           reference + ' · ' + this.formatDate(new Date()),
+           ref + ' · ' + this.formatDate(new Date(`${requestDate}T00:00:00`), locale),
            leftMargin, doc.page.height - 50,
            { width: contentWidth, align: 'center' }
          );
@@ -562,12 +840,13 @@ export class PDFGeneratorService {
   }
 
   /**
-   * Format date in Spanish format (DD/MM/YYYY)
+   * Format date as DD/MM/YYYY
    * @param {Date} date
+   * @param {string} [locale] - Intl locale (Spanish by default)
    * @returns {string}
    */
-  formatDate(date) {
-    return date.toLocaleDateString("es-ES", {
+  formatDate(date, locale = "es-ES") {
+    return date.toLocaleDateString(locale, {
       day: "2-digit",
       month: "2-digit",
       year: "numeric",
@@ -575,17 +854,31 @@ export class PDFGeneratorService {
   }
 
   /**
-   * Format currency in Spanish locale (€ symbol, comma decimal)
+   * Format currency in euros (Spanish locale by default: € symbol, comma decimal)
    * @param {number} amount
+   * @param {string} [locale] - Intl locale
    * @returns {string}
    */
-  formatCurrency(amount) {
-    return new Intl.NumberFormat("es-ES", {
+  formatCurrency(amount, locale = "es-ES") {
+    return new Intl.NumberFormat(locale, {
       style: "currency",
       currency: "EUR",
     }).format(amount);
   }
 
+  /**
+   * Format a duration in minutes as decimal hours (e.g. 90 → "1,50")
+   * @param {number} minutes
+   * @param {string} [locale] - Intl locale
+   * @returns {string}
+   */
+  formatHours(minutes, locale = "es-ES") {
+    return (minutes / 60).toLocaleString(locale, {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    });
+  }
+
   /**
    * Draw a section header with underline
    * @param {PDFDocument} doc - PDF document
@@ -0,0 +1,392 @@
+/**
+ * PDF Text Extractor
+ * Extracts plain text from PDF content streams for the search index.
+ *
+ * pdf-lib resolves the document structure (xref, object streams, filters);
+ * this module interprets the text operators (Tj, TJ, ', ") and maps the
+ * bytes to Unicode with the font's ToUnicode CMap or WinAnsi encoding.
+ * Scanned PDFs without a text layer yield an empty string.
+ */
+import {
+  PDFDocument,
+  PDFName,
+  PDFDict,
+  PDFArray,
+  PDFStream,
+  PDFRawStream,
+  decodePDFRawStream,
+} from "pdf-lib";
+
+// Form XObjects may nest; deeper levels are ignored
+const MAX_XOBJECT_DEPTH = 4;
+
+// Windows-1252 code points 0x80-0x9F (the rest matches Latin-1)
+const WIN_ANSI_HIGH = {
+  0x80: "€", 0x82: "‚", 0x83: "ƒ", 0x84: "„", 0x85: "…", 0x86: "†", 0x87: "‡",
+  0x88: "ˆ", 0x89: "‰", 0x8a: "Š", 0x8b: "‹", 0x8c: "Œ", 0x8e: "Ž", 0x91: "‘",
+  0x92: "’", 0x93: "“", 0x94: "”", 0x95: "•", 0x96: "–", 0x97: "—", 0x98: "˜",
+  0x99: "™", 0x9a: "š", 0x9b: "›", 0x9c: "œ", 0x9e: "ž", 0x9f: "Ÿ",
+};
+
+const WHITESPACE = new Set(["\x00", "\t", "\n", "\f", "\r", " "]);
+const DELIMITERS = new Set(["(", ")", "<", ">", "[", "]", "{", "}", "/", "%"]);
+
+/**
+ * Decode a stream's bytes (applying its filters)
+ * @param {PDFStream} stream - pdf-lib stream
+ * @returns {string} Decoded bytes as a latin1 string (one char per byte)
+ */
+function streamToBinaryString(stream) {
+  const bytes =
+    stream instanceof PDFRawStream ? decodePDFRawStream(stream).decode() : stream.getContents();
+  return Buffer.from(bytes).toString("latin1");
+}
+
+/**
+ * Decode a hex string of UTF-16BE code units
+ * @param {string} hex - Hex digits
+ * @returns {string}
+ */
+function utf16HexToString(hex) {
+  hex = hex.replace(/\s+/g, "");
+  let result = "";
+  for (let i = 0; i + 4 <= hex.length; i += 4) {
+    result += String.fromCharCode(parseInt(hex.slice(i, i + 4), 16));
+  }
+  return result;
+}
+
+/**
+ * Parse a ToUnicode CMap
+ * @param {string} cmap - CMap program
+ * @returns {{ codeLength: number, map: Map<number, string> }}
+ */
+export function parseToUnicodeCMap(cmap) {
+  const map = new Map();
+  let codeLength = 1;
+
+  const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(cmap);
+  if (codespace) codeLength = Math.max(1, Math.ceil(codespace[1].length / 2));
+
+  for (const [, body] of cmap.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, src, dst] of body.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F\s]*)>/g)) {
+      map.set(parseInt(src, 16), utf16HexToString(dst));
+    }
+  }
+
+  for (const [, body] of cmap.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const ranges = body.matchAll(
+      /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(<[0-9a-fA-F\s]*>|\[[^\]]*\])/g
+    );
+    for (const [, lo, hi, dst] of ranges) {
+      const start = parseInt(lo, 16);
+      const end = Math.min(parseInt(hi, 16), start + 0xffff);
+      if (dst.startsWith("[")) {
+        const targets = [...dst.matchAll(/<([0-9a-fA-F\s]*)>/g)].map((m) => m[1]);
+        targets.forEach((hex, i) => {
+          if (start + i <= end) map.set(start + i, utf16HexToString(hex));
+        });
+      } else {
+        const base = dst.slice(1, -1).replace(/\s+/g, "");
+        const prefix = utf16HexToString(base.slice(0, -4));
+        const last = parseInt(base.slice(-4) || "0", 16);
+        for (let code = start; code <= end; code++) {
+          map.set(code, prefix + String.fromCharCode(last + code - start));
+        }
+      }
+    }
+  }
+
+  return { codeLength, map };
+}
+
+/**
+ * Build the byte→text decoder of a font dictionary
+ * @param {PDFDict|undefined} fontDict - Font dictionary
+ * @returns {{ codeLength: number, map: Map<number, string>|null }}
+ */
+function createFontDecoder(fontDict) {
+  if (!fontDict) return { codeLength: 1, map: null };
+
+  const subtype = fontDict.get(PDFName.of("Subtype"));
+  const isComposite = subtype === PDFName.of("Type0");
+
+  const toUnicode = fontDict.lookupMaybe(PDFName.of("ToUnicode"), PDFStream);
+  if (toUnicode) {
+    try {
+      const { codeLength, map } = parseToUnicodeCMap(streamToBinaryString(toUnicode));
+      return { codeLength: isComposite ? Math.max(codeLength, 2) : codeLength, map };
+    } catch {
+      // Fall back to the base encoding
+    }
+  }
+
+  return { codeLength: isComposite ? 2 : 1, map: null };
+}
+
+/**
+ * Decode string operand bytes with a font decoder
+ * @param {string} bytes - Raw bytes (latin1 string)
+ * @param {Object} decoder - From createFontDecoder
+ * @returns {string}
+ */
+function decodeText(bytes, decoder) {
+  let result = "";
+  for (let i = 0; i + decoder.codeLength <= bytes.length; i += decoder.codeLength) {
+    let code = 0;
+    for (let j = 0; j < decoder.codeLength; j++) {
+      code = (code << 8) | bytes.charCodeAt(i + j);
+    }
+    if (decoder.map) {
+      result += decoder.map.get(code) ?? "";
+    } else {
+      result += WIN_ANSI_HIGH[code] ?? String.fromCharCode(code);
+    }
+  }
+  return result;
+}
+
+/**
+ * Tokenize a content stream
+ * @param {string} src - Content stream (latin1 string)
+ * @yields {{ type: string, value?: * }}
+ */
+function* tokenize(src) {
+  const n = src.length;
+  let i = 0;
+
+  while (i < n) {
+    const c = src[i];
+
+    if (WHITESPACE.has(c)) {
+      i++;
+    } else if (c === "%") {
+      while (i < n && src[i] !== "\n" && src[i] !== "\r") i++;
+    } else if (c === "(") {
+      // Literal string: balanced parentheses and backslash escapes
+      let depth = 1;
+      let value = "";
+      i++;
+      while (i < n && depth > 0) {
+        const ch = src[i];
+        if (ch === "\\") {
+          const next = src[i + 1];
+          const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+          if (next in escapes) {
+            value += escapes[next];
+            i += 2;
+          } else if (/[0-7]/.test(next)) {
+            const octal = /^[0-7]{1,3}/.exec(src.slice(i + 1, i + 4))[0];
+            value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+            i += 1 + octal.length;
+          } else if (next === "\r" || next === "\n") {
+            i += next === "\r" && src[i + 2] === "\n" ? 3 : 2;
+          } else {
+            value += next ?? "";
+            i += 2;
+          }
+          continue;
+        }
+        if (ch === "(") depth++;
+        if (ch === ")") depth--;
+        if (depth > 0) value += ch;
+        i++;
+      }
+      yield { type: "string", value };
+    } else if (c === "<" && src[i + 1] === "<") {
+      yield { type: "dictStart" };
+      i += 2;
+    } else if (c === ">" && src[i + 1] === ">") {
+      yield { type: "dictEnd" };
+      i += 2;
+    } else if (c === "<") {
+      const end = src.indexOf(">", i);
+      const hex = src.slice(i + 1, end === -1 ? n : end).replace(/[^0-9a-fA-F]/g, "");
+      const padded = hex.length % 2 ? `${hex}0` : hex;
+      yield { type: "string", value: Buffer.from(padded, "hex").toString("latin1") };
+      i = end === -1 ? n : end + 1;
+    } else if (c === "[") {
+      yield { type: "arrayStart" };
+      i++;
+    } else if (c === "]") {
+      yield { type: "arrayEnd" };
+      i++;
+    } else if (c === "/") {
+      let j = i + 1;
+      while (j < n && !WHITESPACE.has(src[j]) && !DELIMITERS.has(src[j])) j++;
+      yield { type: "name", value: src.slice(i + 1, j) };
+      i = j;
+    } else if (DELIMITERS.has(c)) {
+      i++;
+    } else {
+      let j = i;
+      while (j < n && !WHITESPACE.has(src[j]) && !DELIMITERS.has(src[j])) j++;
+      const word = src.slice(i, j);
+      i = j;
+
+      if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+        yield { type: "number", value: parseFloat(word) };
+      } else {
+        yield { type: "operator", value: word };
+        // Skip inline image data (binary) up to the EI operator
+        if (word === "ID") {
+          const match = /\sEI(?=[\s]|$)/.exec(src.slice(i));
+          i = match ? i + match.index + 3 : n;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Extract the text of a content stream
+ * @param {string} content - Decoded content stream
+ * @param {PDFDict|undefined} resources - Resources dictionary
+ * @param {Object} state - { fontCache, depth, context }
+ * @returns {string}
+ */
+function extractFromContent(content, resources, state) {
+  const fonts = resources?.lookupMaybe(PDFName.of("Font"), PDFDict);
+  const xObjects = resources?.lookupMaybe(PDFName.of("XObject"), PDFDict);
+
+  let text = "";
+  let decoder = { codeLength: 1, map: null };
+  let operands = [];
+  const arrays = [];
+  let dictDepth = 0;
+
+  const newLine = () => {
+    if (text && !text.endsWith("\n")) text += "\n";
+  };
+  const push = (value) => {
+    if (arrays.length) arrays[arrays.length - 1].push(value);
+    else operands.push(value);
+  };
+
+  for (const token of tokenize(content)) {
+    if (token.type === "dictStart") {
+      dictDepth++;
+      continue;
+    }
+    if (token.type === "dictEnd") {
+      dictDepth = Math.max(0, dictDepth - 1);
+      if (dictDepth === 0) push(null);
+      continue;
+    }
+    if (dictDepth > 0) continue;
+
+    if (token.type === "arrayStart") {
+      arrays.push([]);
+    } else if (token.type === "arrayEnd") {
+      const array = arrays.pop() ?? [];
+      push(array);
+    } else if (token.type !== "operator") {
+      push(token.value);
+    } else {
+      const op = token.value;
+      switch (op) {
+        case "Tf": {
+          const name = operands[operands.length - 2];
+          if (typeof name === "string") {
+            const key = fonts ? fonts.get(PDFName.of(name)) : undefined;
+            if (!state.fontCache.has(key)) {
+              const fontDict = fonts?.lookupMaybe(PDFName.of(name), PDFDict);
+              state.fontCache.set(key, createFontDecoder(fontDict));
+            }
+            decoder = state.fontCache.get(key);
+          }
+          break;
+        }
+        case "Tj":
+          if (typeof operands[0] === "string") text += decodeText(operands[0], decoder);
+          break;
+        case "'":
+        case '"':
+          newLine();
+          if (typeof operands[operands.length - 1] === "string") {
+            text += decodeText(operands[operands.length - 1], decoder);
+          }
+          break;
+        case "TJ":
+          for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+            if (typeof item === "string") text += decodeText(item, decoder);
+            // A large negative adjustment is a word gap
+            else if (typeof item === "number" && item < -200 && !text.endsWith(" ")) text += " ";
+          }
+          break;
+        case "T*":
+          newLine();
+          break;
+        case "Td":
+        case "TD":
+          if (operands[1]) newLine();
+          else if (text && !/\s$/.test(text)) text += " ";
+          break;
+        case "Tm":
+        case "ET":
+          newLine();
+          break;
+        case "Do": {
+          const name = operands[0];
+          if (xObjects && typeof name === "string" && state.depth < MAX_XOBJECT_DEPTH) {
+            const xObject = xObjects.lookupMaybe(PDFName.of(name), PDFStream);
+            if (xObject && xObject.dict.get(PDFName.of("Subtype")) === PDFName.of("Form")) {
+              const formResources =
+                xObject.dict.lookupMaybe(PDFName.of("Resources"), PDFDict) ?? resources;
+              state.depth++;
+              newLine();
+              text += extractFromContent(streamToBinaryString(xObject), formResources, state);
+              state.depth--;
+            }
+          }
+          break;
+        }
+        default:
+          break;
+      }
+      operands = [];
+    }
+  }
+
+  return text;
+}
+
+/**
+ * Extract the text of a PDF
+ * @param {Uint8Array|Buffer} bytes - PDF file contents
+ * @returns {Promise<string>} Text (pages separated by blank lines)
+ */
+export async function extractPdfText(bytes) {
+  const pdf = await PDFDocument.load(bytes, {
+    ignoreEncryption: true,
+    throwOnInvalidObject: false,
+    updateMetadata: false,
+  });
+
+  const pages = [];
+  const state = { fontCache: new Map(), depth: 0 };
+
+  for (const page of pdf.getPages()) {
+    const contents = page.node.Contents();
+    const streams =
+      contents instanceof PDFArray
+        ? contents.asArray().map((ref) => pdf.context.lookupMaybe(ref, PDFStream))
+        : [contents];
+    const content = streams
+      .filter(Boolean)
+      .map((stream) => streamToBinaryString(stream))
+      .join("\n");
+
+    pages.push(extractFromContent(content, page.node.Resources(), state).trim());
+  }
+
+  return pages
+    .filter(Boolean)
+    .join("\n\n")
+    .replace(/[ \t]+/g, " ");
+}
+
+export default {
+  parseToUnicodeCMap,
+  extractPdfText,
+};
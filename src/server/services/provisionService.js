@@ -0,0 +1,331 @@
+// Provision Service
+// Provisiones de fondos (client advances) per case: requested, received, applied and refunded
+
+import { execute, query, queryOne, transaction } from "../database.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors.js";
+import { ProvisionErrors } from "../errorMessages.js";
+import { madridNow, roundCents } from "../utils.js";
+import {
+  BILLABLE_DOCUMENT_TYPES,
+  PAYMENT_METHODS,
+  create as createPayment,
+  getByDocumentId as getPaymentsByDocumentId,
+} from "./paymentService.js";
+
+// Only private clients are asked for provisiones
+export const PROVISION_CASE_TYPE = "PARTICULAR";
+
+export const MOVEMENT_TYPES = {
+  REQUESTED: "SOLICITADA",
+  RECEIVED: "RECIBIDA",
+  APPLIED: "APLICADA",
+  REFUNDED: "DEVUELTA",
+};
+
+// Document type of the signed "solicitud de provisión de fondos"
+export const PROVISION_REQUEST_DOCUMENT_TYPE = "SOLICITUD_PROVISION";
+
+// Payment recorded on an invoice when funds are applied to it
+const APPLIED_PAYMENT_METHOD = "OTRO";
+const APPLIED_PAYMENT_REFERENCE = "Provisión de fondos";
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Get a case and check provisiones can be recorded on it
+ * @param {number} caseId - Case ID
+ * @returns {Object} Case row
+ * @throws {NotFoundError|ValidationError}
+ */
+function getParticularCase(caseId) {
+  const caseRow = queryOne("SELECT id, type FROM cases WHERE id = ?", [caseId]);
+  if (!caseRow) {
+    const errorInfo = ProvisionErrors.caseNotFound(caseId);
+    throw new NotFoundError(errorInfo);
+  }
+  if (caseRow.type !== PROVISION_CASE_TYPE) {
+    const errorInfo = ProvisionErrors.caseTypeInvalid(caseRow.type);
+    throw new ValidationError(errorInfo);
+  }
+  return caseRow;
+}
+
+/**
+ * Validate ledger movement input
+ * Receipts and refunds default to a bank transfer; requests and applications have no method.
+ * @param {Object} data - { movementType, amount, movementDate, method, reference, notes, documentId }
+ * @returns {Object} Normalized column values
+ * @throws {ValidationError}
+ */
+export function validateMovement(data) {
+  const movementType = data.movementType;
+  if (!Object.values(MOVEMENT_TYPES).includes(movementType)) {
+    const errorInfo = ProvisionErrors.typeInvalid(movementType, Object.values(MOVEMENT_TYPES));
+    throw new ValidationError(errorInfo);
+  }
+
+  const amount = typeof data.amount === "string" ? parseFloat(data.amount) : data.amount;
+  if (typeof amount !== "number" || !Number.isFinite(amount) || roundCents(amount) <= 0) {
+    const errorInfo = ProvisionErrors.amountInvalid(data.amount);
+    throw new ValidationError(errorInfo);
+  }
+
+  const movementDate = data.movementDate || madridNow().slice(0, 10);
+  const parsedDate = new Date(`${movementDate}T00:00:00Z`);
+  if (
+    !DATE_REGEX.test(movementDate) ||
+    Number.isNaN(parsedDate.getTime()) ||
+    parsedDate.toISOString().slice(0, 10) !== movementDate
+  ) {
+    const errorInfo = ProvisionErrors.dateInvalid(data.movementDate);
+    throw new ValidationError(errorInfo);
+  }
+
+  const movesMoney =
+    movementType === MOVEMENT_TYPES.RECEIVED || movementType === MOVEMENT_TYPES.REFUNDED;
+  const method = movesMoney ? data.method || "TRANSFERENCIA" : null;
+  if (movesMoney && !PAYMENT_METHODS.includes(method)) {
+    const errorInfo = ProvisionErrors.methodInvalid(method, PAYMENT_METHODS);
+    throw new ValidationError(errorInfo);
+  }
+
+  const documentId = data.documentId ? Number(data.documentId) : null;
+  if (movementType === MOVEMENT_TYPES.APPLIED && !documentId) {
+    const errorInfo = ProvisionErrors.invoiceRequired();
+    throw new ValidationError(errorInfo);
+  }
+
+  return {
+    movementType,
+    amount: roundCents(amount),
+    movementDate,
+    method,
+    reference: data.reference ? String(data.reference).trim() || null : null,
+    notes: data.notes ? String(data.notes).trim() || null : null,
+    documentId,
+  };
+}
+
+/**
+ * Check funds can be applied to an invoice of the case
+ * @param {number} caseId - Case ID
+ * @param {number} documentId - Invoice document
+ * @param {number} amount - Amount to apply
+ * @throws {ValidationError} If the document is not an invoice of the case or owes less
+ */
+function assertApplicableInvoice(caseId, documentId, amount) {
+  const document = queryOne("SELECT id, case_id, document_type FROM document_history WHERE id = ?", [
+    documentId,
+  ]);
+  if (!document || document.case_id !== caseId || !BILLABLE_DOCUMENT_TYPES.includes(document.document_type)) {
+    const errorInfo = ProvisionErrors.invoiceInvalid(documentId);
+    throw new ValidationError(errorInfo);
+  }
+
+  const { outstanding } = getPaymentsByDocumentId(documentId);
+  if (outstanding === null || amount > outstanding) {
+    const errorInfo = ProvisionErrors.exceedsOutstanding(amount, outstanding ?? 0);
+    throw new ValidationError(errorInfo);
+  }
+}
+
+/**
+ * Record a ledger movement
+ * Applying funds also records a payment on the invoice, so receivables and
+ * payment status reflect it. Applications and refunds cannot exceed the funds held.
+ * @param {number} caseId - Case ID
+ * @param {Object} data - { movementType, amount, movementDate, method, reference, notes, documentId }
+ * @param {Object} [actor] - User recording the movement
+ * @returns {Object} Created movement
+ * @throws {NotFoundError|ValidationError}
+ */
+export function create(caseId, data = {}, actor = null) {
+  getParticularCase(caseId);
+  const m = validateMovement(data);
+
+  const id = transaction(() => {
+    let paymentId = null;
+
+    if (m.movementType === MOVEMENT_TYPES.APPLIED || m.movementType === MOVEMENT_TYPES.REFUNDED) {
+      const { available } = getBalance(caseId);
+      if (m.amount > available) {
+        const errorInfo = ProvisionErrors.insufficientBalance(m.amount, available);
+        throw new ValidationError(errorInfo);
+      }
+    }
+
+    if (m.movementType === MOVEMENT_TYPES.APPLIED) {
+      assertApplicableInvoice(caseId, m.documentId, m.amount);
+      paymentId = createPayment(
+        m.documentId,
+        {
+          amount: m.amount,
+          paymentDate: m.movementDate,
+          method: APPLIED_PAYMENT_METHOD,
+          reference: APPLIED_PAYMENT_REFERENCE,
+        },
+        actor
+      ).id;
+    }
+
+    return execute(
+      `INSERT INTO provision_movements (case_id, movement_type, amount, movement_date, method, reference,
+                                        notes, document_id, payment_id, created_by_user_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        caseId,
+        m.movementType,
+        m.amount,
+        m.movementDate,
+        m.method,
+        m.reference,
+        m.notes,
+        m.documentId,
+        paymentId,
+        actor?.id ?? null,
+      ]
+    ).lastInsertRowid;
+  });
+
+  return getById(id);
+}
+
+/**
+ * Get ledger movement by ID
+ * @param {number} id - Movement ID
+ * @returns {Object|null} Movement or null if not found
+ */
+export function getById(id) {
+  const row = queryOne("SELECT * FROM provision_movements WHERE id = ?", [id]);
+  return row ? mapRowToMovement(row) : null;
+}
+
+/**
+ * Movements of a case in date order, each with the running balance after it
+ * @param {number} caseId - Case ID
+ * @returns {Array} Movements
+ */
+export function listByCase(caseId) {
+  let balance = 0;
+  return query(
+    "SELECT * FROM provision_movements WHERE case_id = ? ORDER BY movement_date ASC, id ASC",
+    [caseId]
+  ).map((row) => {
+    const movement = mapRowToMovement(row);
+    balance = roundCents(balance + balanceEffect(movement));
+    return { ...movement, balance };
+  });
+}
+
+/**
+ * Ledger totals of a case
+ * @param {number} caseId - Case ID
+ * @returns {{requested: number, received: number, applied: number, refunded: number, available: number, pendingRequest: number}}
+ *   available is the money held for the client; pendingRequest what was requested but not received yet
+ */
+export function getBalance(caseId) {
+  const totals = Object.fromEntries(
+    query(
+      `SELECT movement_type, SUM(amount) as total FROM provision_movements
+       WHERE case_id = ? GROUP BY movement_type`,
+      [caseId]
+    ).map((row) => [row.movement_type, roundCents(row.total)])
+  );
+
+  const requested = totals[MOVEMENT_TYPES.REQUESTED] || 0;
+  const received = totals[MOVEMENT_TYPES.RECEIVED] || 0;
+  const applied = totals[MOVEMENT_TYPES.APPLIED] || 0;
+  const refunded = totals[MOVEMENT_TYPES.REFUNDED] || 0;
+
+  return {
+    requested,
+    received,
+    applied,
+    refunded,
+    available: roundCents(received - applied - refunded),
+    pendingRequest: Math.max(0, roundCents(requested - received)),
+  };
+}
+
+/**
+ * Delete a ledger movement
+ * Deleting an application also deletes its payment on the invoice.
+ * @param {number} id - Movement ID
+ * @returns {boolean} True if deleted
+ * @throws {NotFoundError|ConflictError} ConflictError if a receipt's funds are already spent
+ */
+export function deleteMovement(id) {
+  return transaction(() => {
+    const movement = getById(id);
+    if (!movement) {
+      const errorInfo = ProvisionErrors.notFound(id);
+      throw new NotFoundError(errorInfo);
+    }
+
+    if (movement.movementType === MOVEMENT_TYPES.RECEIVED) {
+      const { available } = getBalance(movement.caseId);
+      if (roundCents(available - movement.amount) < 0) {
+        const errorInfo = ProvisionErrors.receiptInUse(id, available);
+        throw new ConflictError(errorInfo);
+      }
+    }
+
+    // The payment cascades to the movement
+    if (movement.paymentId) {
+      execute("DELETE FROM payments WHERE id = ?", [movement.paymentId]);
+    }
+    execute("DELETE FROM provision_movements WHERE id = ?", [id]);
+    return true;
+  });
+}
+
+/**
+ * Change of the funds held caused by a movement
+ * @param {Object} movement - Ledger movement
+ * @returns {number} Signed amount
+ */
+function balanceEffect(movement) {
+  switch (movement.movementType) {
+    case MOVEMENT_TYPES.RECEIVED:
+      return movement.amount;
+    case MOVEMENT_TYPES.APPLIED:
+    case MOVEMENT_TYPES.REFUNDED:
+      return -movement.amount;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Map database row to ledger movement object
+ * @param {Object} row - Database row
+ * @returns {Object} Movement object
+ */
+function mapRowToMovement(row) {
+  return {
+    id: row.id,
+    caseId: row.case_id,
+    movementType: row.movement_type,
+    amount: row.amount,
+    movementDate: row.movement_date,
+    method: row.method,
+    reference: row.reference,
+    notes: row.notes,
+    documentId: row.document_id,
+    paymentId: row.payment_id,
+    createdByUserId: row.created_by_user_id,
+    createdAt: row.created_at,
+  };
+}
+
+export default {
+  PROVISION_CASE_TYPE,
+  MOVEMENT_TYPES,
+  PROVISION_REQUEST_DOCUMENT_TYPE,
+  validateMovement,
+  create,
+  getById,
+  listByCase,
+  getBalance,
+  deleteMovement,
+};
@@ -13,6 +13,16 @@ export function validateAragExternalReference(ref) {
   return /^DJ00\d{6}$/.test(ref);
 }
 
+/**
+ * Validates ARAG / Turno de Oficio internal reference format (IYNNNNNN)
+ * @param {string} ref - Reference to validate
+ * @returns {boolean} True if valid format
+ */
+export function validateAragInternalReference(ref) {
+  if (typeof ref !== "string") return false;
+  return /^IY\d{6}$/.test(ref);
+}
+
 /**
  * Validates Particular internal reference format (IY-YY-NNN)
  * @param {string} ref - Reference to validate
@@ -146,6 +156,63 @@ export function generateParticularReferenceInTransaction(db, year) {
   return `IY-${yy}-${nextValue.toString().padStart(3, "0")}`;
 }
 
+/**
+ * Counter type for an invoice series and year
+ * @param {string} series - Invoice series (e.g., 'M')
+ * @param {number} year - Full year (e.g., 2026)
+ * @returns {string} Counter type like INVOICE_M_2026
+ */
+export function invoiceCounterType(series, year) {
+  return `INVOICE_${series}_${year}`;
+}
+
+/**
+ * Format an invoice number (SERIES-YYYY-NNNN)
+ * @param {string} series - Invoice series (e.g., 'M')
+ * @param {number} year - Full year (e.g., 2026)
+ * @param {number} sequence - Sequence within the series and year
+ * @returns {string} Invoice number like M-2026-0001
+ */
+export function formatInvoiceNumber(series, year, sequence) {
+  return `${series}-${year}-${sequence.toString().padStart(4, "0")}`;
+}
+
+/**
+ * Generate the next invoice number within an existing transaction
+ * The counter restarts every year, and is only incremented together with the
+ * invoice insert so the numbering has no gaps
+ *
+ * @param {Database} db - Database instance from the calling transaction
+ * @param {string} series - Invoice series (e.g., 'M')
+ * @param {number} year - Full year (e.g., 2026)
+ * @returns {{invoiceNumber: string, sequence: number}} Number and raw sequence
+ */
+export function generateInvoiceNumberInTransaction(db, series, year) {
+  const counterType = invoiceCounterType(series, year);
+
+  const existing = db
+    .prepare("SELECT last_value FROM reference_counters WHERE type = ?")
+    .get(counterType);
+
+  let nextValue;
+  if (existing) {
+    nextValue = existing.last_value + 1;
+    db.prepare(
+      "UPDATE reference_counters SET last_value = ?, updated_at = datetime('now') WHERE type = ?"
+    ).run(nextValue, counterType);
+  } else {
+    nextValue = 1;
+    db.prepare(
+      "INSERT INTO reference_counters (type, last_value, updated_at) VALUES (?, ?, datetime('now'))"
+    ).run(counterType, nextValue);
+  }
+
+  return {
+    invoiceNumber: formatInvoiceNumber(series, year, nextValue),
+    sequence: nextValue,
+  };
+}
+
 /**
  * Check if an ARAG external reference already exists
  * @param {string} ref - ARAG reference to check
@@ -196,11 +263,15 @@ export function resetCounter(type) {
 
 export default {
   validateAragExternalReference,
+  validateAragInternalReference,
   validateParticularReference,
   generateAragReference,
   generateAragReferenceInTransaction,
   generateParticularReference,
   generateParticularReferenceInTransaction,
+  formatInvoiceNumber,
+  invoiceCounterType,
+  generateInvoiceNumberInTransaction,
   getNextCounter,
   getCurrentCounter,
   aragReferenceExists,
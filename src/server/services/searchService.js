@@ -0,0 +1,239 @@
+// Search Service
+// Full-text search (SQLite FTS5) over cases, email subjects and document text
+
+import { readFile, stat } from "node:fs/promises";
+import { basename } from "node:path";
+import { execute, query, queryOne, transaction } from "../database.js";
+import { ValidationError } from "../errors.js";
+import { SearchErrors } from "../errorMessages.js";
+import { extractPdfText } from "./pdfTextExtractor.js";
+
+export const ENTITY_TYPES = {
+  CASE: "case",
+  DOCUMENT: "document",
+  EMAIL: "email",
+};
+
+export const MIN_QUERY_LENGTH = 2;
+
+// Larger files are indexed by name only
+const MAX_PDF_BYTES = 25 * 1024 * 1024;
+
+// Uploaded plain-text files (notes, emails) indexed as they are
+const PLAIN_TEXT_REGEX = /\.(txt|eml)$/i;
+const MAX_TEXT_LENGTH = 500000;
+
+// Control characters mark highlights before HTML escaping
+const MARK_START = "\u0002";
+const MARK_END = "\u0003";
+
+/**
+ * Build an FTS5 MATCH expression from user input
+ * Each word becomes a quoted prefix term, so FTS5 syntax in the input is inert.
+ * @param {string} text - User query
+ * @returns {string|null} MATCH expression or null if there is nothing to search
+ */
+export function buildMatchQuery(text) {
+  const terms = String(text ?? "")
+    .split(/\s+/)
+    .map((term) => term.replace(/"/g, ""))
+    .filter((term) => /[\p{L}\p{N}]/u.test(term));
+
+  if (terms.length === 0) return null;
+  return terms.map((term) => `"${term}"*`).join(" ");
+}
+
+/**
+ * Escape HTML and turn highlight markers into <mark> tags
+ * @param {string} text - Snippet with MARK_START/MARK_END markers
+ * @returns {string} Safe HTML
+ */
+function toHighlightedHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replaceAll(MARK_START, "<mark>")
+    .replaceAll(MARK_END, "</mark>");
+}
+
+/**
+ * Search the index
+ * Results are ranked with BM25 (title matches weigh more than body matches).
+ * @param {string} text - User query
+ * @param {Object} [options] - { limit, type }
+ * @returns {Object} { query, results: [{ type, id, caseId, title, snippet, rank, case, document, email }] }
+ *   title and snippet are HTML with <mark> highlights (already escaped)
+ * @throws {ValidationError} If the query is too short
+ */
+export function search(text, options = {}) {
+  const matchQuery = buildMatchQuery(text);
+  const letters = String(text ?? "").replace(/[^\p{L}\p{N}]/gu, "");
+  if (!matchQuery || letters.length < MIN_QUERY_LENGTH) {
+    const errorInfo = SearchErrors.queryTooShort(text, MIN_QUERY_LENGTH);
+    throw new ValidationError(errorInfo);
+  }
+
+  const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+  const typeFilter = Object.values(ENTITY_TYPES).includes(options.type) ? options.type : null;
+
+  const rows = query(
+    `SELECT s.entity_type, s.entity_id, s.case_id,
+            highlight(search_index, 3, ?, ?) as title_html,
+            snippet(search_index, -1, ?, ?, '…', 16) as snippet,
+            bm25(search_index, 0, 0, 0, 10.0, 1.0) as rank,
+            c.client_name, c.internal_reference, c.type as case_type, c.state as case_state,
+            d.document_type, d.generated_at,
+            e.sent_at
+     FROM search_index s
+     JOIN cases c ON c.id = s.case_id
+     LEFT JOIN document_history d ON s.entity_type = 'document' AND d.id = s.entity_id
+     LEFT JOIN email_history e ON s.entity_type = 'email' AND e.id = s.entity_id
+     WHERE search_index MATCH ? ${typeFilter ? "AND s.entity_type = ?" : ""}
+     ORDER BY rank
+     LIMIT ?`,
+    [
+      MARK_START,
+      MARK_END,
+      MARK_START,
+      MARK_END,
+      matchQuery,
+      ...(typeFilter ? [typeFilter] : []),
+      limit,
+    ]
+  );
+
+  return {
+    query: text,
+    results: rows.map((row) => ({
+      type: row.entity_type,
+      id: row.entity_id,
+      caseId: row.case_id,
+      title: toHighlightedHtml(row.title_html),
+      snippet: toHighlightedHtml(row.snippet),
+      rank: row.rank,
+      case: {
+        clientName: row.client_name,
+        internalReference: row.internal_reference,
+        type: row.case_type,
+        state: row.case_state,
+      },
+      document:
+        row.entity_type === ENTITY_TYPES.DOCUMENT
+          ? { documentType: row.document_type, generatedAt: row.generated_at }
+          : null,
+      email: row.entity_type === ENTITY_TYPES.EMAIL ? { sentAt: row.sent_at } : null,
+    })),
+  };
+}
+
+/**
+ * Store the text of a document in the index (replacing any previous entry)
+ * The title has the type, file name and, for uploads, description and tags.
+ * Skipped if the document was deleted (or soft-deleted) meanwhile.
+ * @param {number} documentId - document_history ID
+ * @param {string} text - Extracted text
+ * @returns {boolean} True if indexed
+ */
+export function indexDocumentText(documentId, text) {
+  return transaction(() => {
+    const doc = queryOne(
+      `SELECT id, case_id, document_type, file_path, original_name, description, tags
+       FROM document_history WHERE id = ? AND deleted_at IS NULL`,
+      [documentId]
+    );
+    if (!doc) return false;
+
+    let tags = [];
+    try {
+      tags = JSON.parse(doc.tags || "[]");
+    } catch {
+      // Malformed tags are not indexed
+    }
+    const title = [
+      doc.document_type,
+      doc.original_name || basename(doc.file_path || ""),
+      doc.description,
+      ...(Array.isArray(tags) ? tags : []),
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+    execute("DELETE FROM search_index WHERE entity_type = 'document' AND entity_id = ?", [doc.id]);
+    execute(
+      `INSERT INTO search_index (entity_type, entity_id, case_id, title, body)
+       VALUES ('document', ?, ?, ?, ?)`,
+      [
+        doc.id,
+        doc.case_id,
+        title,
+        String(text ?? "").slice(0, MAX_TEXT_LENGTH),
+      ]
+    );
+    return true;
+  });
+}
+
+/**
+ * Extract the text of a document's PDF (or uploaded .txt/.eml file) and index it
+ * Missing, oversized or unreadable files are indexed by type and file name only.
+ * @param {number} documentId - document_history ID
+ * @returns {Promise<boolean>} True if indexed
+ */
+export async function indexDocument(documentId) {
+  const doc = queryOne("SELECT id, file_path FROM document_history WHERE id = ?", [documentId]);
+  if (!doc) return false;
+
+  let text = "";
+  try {
+    if (/\.pdf$/i.test(doc.file_path || "")) {
+      const info = await stat(doc.file_path);
+      if (info.size <= MAX_PDF_BYTES) {
+        text = await extractPdfText(await readFile(doc.file_path));
+      }
+    } else if (PLAIN_TEXT_REGEX.test(doc.file_path || "")) {
+      const info = await stat(doc.file_path);
+      if (info.size <= MAX_PDF_BYTES) {
+        text = await readFile(doc.file_path, "utf8");
+      }
+    }
+  } catch (error) {
+    if (error.code !== "ENOENT") {
+      console.error(`[Search] Could not extract text of document ${documentId}:`, error.message);
+    }
+  }
+
+  return indexDocumentText(documentId, text);
+}
+
+/**
+ * Index documents that are not in the search index yet (run at startup)
+ * Documents are processed one at a time to keep memory low.
+ * @returns {Promise<number>} Number of documents indexed
+ */
+export async function indexMissingDocuments() {
+  const pending = query(
+    `SELECT id FROM document_history
+     WHERE deleted_at IS NULL
+       AND id NOT IN (SELECT entity_id FROM search_index WHERE entity_type = 'document')
+     ORDER BY id`
+  );
+
+  let count = 0;
+  for (const { id } of pending) {
+    if (await indexDocument(id)) count++;
+  }
+  return count;
+}
+
+export default {
+  ENTITY_TYPES,
+  MIN_QUERY_LENGTH,
+  buildMatchQuery,
+  search,
+  indexDocumentText,
+  indexDocument,
+  indexMissingDocuments,
+};
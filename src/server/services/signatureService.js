@@ -11,6 +11,10 @@
  * 1. Configure certificate_path and certificate_password in Configuration
  * 2. Service auto-selects CryptoSignatureStrategy when certificate is configured
  *
+ * Long-term validation (optional, cryptographic signatures only):
+ * - signature_tsa_url: RFC 3161 timestamp of each signature (PAdES-T)
+ * - signature_ltv_enabled: certificates and CRLs embedded in a /DSS (PAdES-LTV)
+ *
  * @see SIGNATURE_UPGRADE.md for detailed upgrade instructions
  */
 import { readFileSync, writeFileSync, existsSync, readdirSync } from "fs";
@@ -27,9 +31,18 @@ import { Signer } from "@signpdf/utils";
 import { pdflibAddPlaceholder } from "@signpdf/placeholder-pdf-lib";
 import forge from "node-forge";
 import * as asn1js from "asn1js";
+import { HttpTimestampAuthority } from "./timestampAuthority.js";
+import { addValidationData } from "./ltvService.js";
 
 const execFile = promisify(execFileCb);
 
+// CMS unsigned attribute holding an RFC 3161 token over the signature value
+const OID_SIGNATURE_TIMESTAMP_TOKEN = "1.2.840.113549.1.9.16.2.14";
+
+// Room for the CMS in /Contents: the signature and its CA chain, plus the TSA token and chain
+const SIGNATURE_LENGTH = 16384;
+const TIMESTAMP_LENGTH = 12288;
+
 // ═══════════════════════════════════════════════════════════════════════════
 // CUSTOM ACA P12 SIGNER
 // ═══════════════════════════════════════════════════════════════════════════
@@ -44,13 +57,15 @@ const execFile = promisify(execFileCb);
 class AcaP12Signer extends Signer {
   /**
    * @param {Buffer} p12Buffer - P12 certificate file contents
-   * @param {{ passphrase?: string }} options - Signer options
+   * @param {{ passphrase?: string, caCertBuffers?: Buffer[], timestampAuthority?: Object }} options - Signer options
+   *   timestampAuthority: object with timestamp(data) → Promise<Buffer> (see timestampAuthority.js)
    */
   constructor(p12Buffer, options = {}) {
     super();
     this.p12Buffer = p12Buffer;
     this.passphrase = options.passphrase || "";
     this.caCertBuffers = options.caCertBuffers || [];
+    this.timestampAuthority = options.timestampAuthority || null;
   }
 
   /**
@@ -238,7 +253,10 @@ class AcaP12Signer extends Signer {
 
       // Read the attached CMS and convert to detached
       const attachedDer = await readFile(sigPath);
-      return AcaP12Signer.makeDetached(attachedDer);
+      const detachedDer = AcaP12Signer.makeDetached(attachedDer);
+      return this.timestampAuthority
+        ? await AcaP12Signer.addTimestamp(detachedDer, this.timestampAuthority)
+        : detachedDer;
     } finally {
       await rm(tmpDir, { recursive: true, force: true }).catch(() => {});
     }
@@ -298,6 +316,66 @@ class AcaP12Signer extends Signer {
     const derOut = asn1.result.toBER(false);
     return Buffer.from(derOut);
   }
+
+  /**
+   * Add an RFC 3161 timestamp token over the signature value (PAdES-T).
+   *
+   * The token goes in the unsigned attributes of the SignerInfo, so the
+   * signature itself is unchanged and proves it existed at the TSA's time
+   * even after the signing certificate expires.
+   *
+   * @param {Buffer} cmsDer - DER-encoded detached CMS
+   * @param {{ timestamp: (data: Buffer) => Promise<Buffer> }} timestampAuthority - TSA
+   * @returns {Promise<Buffer>} DER-encoded CMS with the timestamp token
+   */
+  static async addTimestamp(cmsDer, timestampAuthority) {
+    const asn1 = asn1js.fromBER(new Uint8Array(cmsDer).buffer);
+    if (asn1.offset === -1) {
+      throw new Error("Failed to parse CMS DER structure");
+    }
+
+    // SignedData > signerInfos (last field) > first SignerInfo
+    const signedData = asn1.result.valueBlock.value[1].valueBlock.value[0];
+    const sdValues = signedData.valueBlock.value;
+    const signerInfo = sdValues[sdValues.length - 1].valueBlock.value[0];
+
+    // SignerInfo: version, sid, digestAlgorithm, [0] signedAttrs, signatureAlgorithm, signature
+    const signature = signerInfo.valueBlock.value.find(
+      (item) => item.idBlock.tagClass === 1 && item.idBlock.tagNumber === 4
+    );
+    if (!signature) {
+      throw new Error("Failed to find the signature value in the CMS structure");
+    }
+
+    let token;
+    try {
+      token = await timestampAuthority.timestamp(Buffer.from(signature.valueBlock.valueHexView));
+    } catch (err) {
+      throw new Error(`Error al obtener el sello de tiempo: ${err.message}`);
+    }
+
+    const tokenAsn1 = asn1js.fromBER(new Uint8Array(token).buffer);
+    if (tokenAsn1.offset === -1) {
+      throw new Error("Error al obtener el sello de tiempo: respuesta no válida");
+    }
+
+    // [1] IMPLICIT unsignedAttrs: SET OF Attribute { id-aa-signatureTimeStampToken, SET { token } }
+    signerInfo.valueBlock.value.push(
+      new asn1js.Constructed({
+        idBlock: { tagClass: 3, tagNumber: 1 },
+        value: [
+          new asn1js.Sequence({
+            value: [
+              new asn1js.ObjectIdentifier({ value: OID_SIGNATURE_TIMESTAMP_TOKEN }),
+              new asn1js.Set({ value: [tokenAsn1.result] }),
+            ],
+          }),
+        ],
+      })
+    );
+
+    return Buffer.from(asn1.result.toBER(false));
+  }
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -408,10 +486,19 @@ class VisualSignatureStrategy extends SignatureStrategy {
  * Supports ACA (Autoridad de Certificación de la Abogacía) certificates.
  */
 class CryptoSignatureStrategy extends SignatureStrategy {
-  constructor(certificatePath, certificatePassword) {
+  /**
+   * @param {string} certificatePath - Path to .p12/.pfx certificate
+   * @param {string} certificatePassword - Certificate password
+   * @param {{ timestampAuthority?: Object, embedValidationData?: boolean }} [options] - LTV options
+   *   timestampAuthority: TSA used to timestamp each signature (none by default)
+   *   embedValidationData: add certificates and CRLs in a /DSS after signing
+   */
+  constructor(certificatePath, certificatePassword, options = {}) {
     super();
     this.certificatePath = certificatePath?.trim() || "";
     this.certificatePassword = certificatePassword || "";
+    this.timestampAuthority = options.timestampAuthority || null;
+    this.embedValidationData = Boolean(options.embedValidationData);
   }
 
   /**
@@ -518,7 +605,7 @@ class CryptoSignatureStrategy extends SignatureStrategy {
       contactInfo: certInfo.cn || "Abogado",
       name: certInfo.cn || "Firmante",
       location: "Málaga, España",
-      signatureLength: 16384,
+      signatureLength: SIGNATURE_LENGTH + (this.timestampAuthority ? TIMESTAMP_LENGTH : 0),
     });
 
     // Load CA chain certificates from the same directory as the P12
@@ -542,6 +629,7 @@ class CryptoSignatureStrategy extends SignatureStrategy {
       signer = new AcaP12Signer(certBuffer, {
         passphrase: this.certificatePassword,
         caCertBuffers,
+        timestampAuthority: this.timestampAuthority,
       });
     } catch (err) {
       if (
@@ -558,10 +646,10 @@ class CryptoSignatureStrategy extends SignatureStrategy {
     }
 
     // Sign PDF
+    let signedPdf;
     try {
       const pdfWithPlaceholder = await pdfDoc.save();
-      const signedPdf = await signpdf.sign(pdfWithPlaceholder, signer);
-      return Buffer.from(signedPdf);
+      signedPdf = Buffer.from(await signpdf.sign(pdfWithPlaceholder, signer));
     } catch (err) {
       if (
         err.message.includes("MAC") ||
@@ -575,12 +663,26 @@ class CryptoSignatureStrategy extends SignatureStrategy {
       }
       throw new Error(`Error al firmar el documento: ${err.message}`);
     }
+
+    // Certificates and CRLs for long-term validation (PAdES-LTV)
+    if (!this.embedValidationData) {
+      return signedPdf;
+    }
+    try {
+      return await addValidationData(signedPdf);
+    } catch (err) {
+      throw new Error(`Error al añadir los datos de validación a largo plazo: ${err.message}`);
+    }
   }
 
   getInfo() {
+    const ltv = [
+      this.timestampAuthority ? "sello de tiempo" : null,
+      this.embedValidationData ? "datos de validación" : null,
+    ].filter(Boolean);
     return {
       type: "cryptographic",
-      details: `Firma criptográfica P12 (${this.certificatePath})`,
+      details: `Firma criptográfica P12 (${this.certificatePath})${ltv.length ? ` con ${ltv.join(" y ")}` : ""}`,
     };
   }
 
@@ -746,16 +848,24 @@ export class SignatureService {
    * Create signature service
    * @param {string} certificatePath - Path to .p12/.pfx certificate (optional)
    * @param {string} certificatePassword - Certificate password (optional)
+   * @param {{ tsaUrl?: string, timestampAuthority?: Object, embedValidationData?: boolean }} [options]
+   *   LTV options for cryptographic signatures; tsaUrl builds an HttpTimestampAuthority
    */
-  constructor(certificatePath, certificatePassword) {
+  constructor(certificatePath, certificatePassword, options = {}) {
     this.certificatePath = certificatePath;
     this.certificatePassword = certificatePassword;
 
     // Auto-select strategy based on certificate configuration
     if (certificatePath && certificatePath.trim() !== "") {
+      const tsaUrl = options.tsaUrl?.trim();
       this.strategy = new CryptoSignatureStrategy(
         certificatePath,
-        certificatePassword
+        certificatePassword,
+        {
+          timestampAuthority:
+            options.timestampAuthority || (tsaUrl ? new HttpTimestampAuthority(tsaUrl) : null),
+          embedValidationData: options.embedValidationData,
+        }
       );
     } else {
       this.strategy = new VisualSignatureStrategy();
@@ -0,0 +1,770 @@
+/**
+ * Signature Verification Service
+ *
+ * Checks the PAdES / PKCS#7 signatures of a PDF:
+ * - Finds the signature dictionaries (/ByteRange and /Contents)
+ * - Recomputes the digest of the signed byte range and compares it with the
+ *   messageDigest signed attribute
+ * - Verifies the CMS signature with the signer certificate
+ * - Builds the certificate chain up to a trusted root from the directory
+ *   configured in signature_trusted_roots_path
+ * - Reports whether the file was changed after signing (bytes outside the
+ *   signed range, i.e. incremental updates)
+ */
+import { createHash, verify as verifySignature, X509Certificate } from "node:crypto";
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { basename, extname, join } from "node:path";
+import * as asn1js from "asn1js";
+import { NotFoundError, ValidationError } from "../errors.js";
+import { SignatureErrors } from "../errorMessages.js";
+import { get as getConfigValue } from "./configurationService.js";
+import { DocumentHistoryService } from "./documentHistoryService.js";
+import { parseTimestampToken } from "./timestampAuthority.js";
+
+export const SIGNATURE_STATUS = {
+  VALID: "VALIDA",
+  MODIFIED: "MODIFICADA",
+  UNTRUSTED: "NO_CONFIABLE",
+  INVALID: "NO_VALIDA",
+};
+
+// Reasons a signature is not VALIDA (translated in the client)
+export const SIGNATURE_PROBLEMS = {
+  MALFORMED: "MALFORMED",
+  UNSUPPORTED: "UNSUPPORTED",
+  DIGEST_MISMATCH: "DIGEST_MISMATCH",
+  SIGNATURE_INVALID: "SIGNATURE_INVALID",
+  SIGNER_NOT_FOUND: "SIGNER_NOT_FOUND",
+  MODIFIED_AFTER_SIGNING: "MODIFIED_AFTER_SIGNING",
+  CHAIN_UNTRUSTED: "CHAIN_UNTRUSTED",
+  CERTIFICATE_NOT_VALID_AT_SIGNING: "CERTIFICATE_NOT_VALID_AT_SIGNING",
+  TIMESTAMP_INVALID: "TIMESTAMP_INVALID",
+};
+
+// Worst status first: the status of a PDF is the worst of its signatures
+const STATUS_SEVERITY = [
+  SIGNATURE_STATUS.INVALID,
+  SIGNATURE_STATUS.MODIFIED,
+  SIGNATURE_STATUS.UNTRUSTED,
+  SIGNATURE_STATUS.VALID,
+];
+
+// Signature formats whose CMS signs the byte range directly
+const SUPPORTED_SUBFILTERS = ["adbe.pkcs7.detached", "ETSI.CAdES.detached"];
+
+const OID = {
+  SIGNED_DATA: "1.2.840.113549.1.7.2",
+  MESSAGE_DIGEST: "1.2.840.113549.1.9.4",
+  SIGNING_TIME: "1.2.840.113549.1.9.5",
+  TIMESTAMP_TOKEN: "1.2.840.113549.1.9.16.2.14",
+  RSA_PSS: "1.2.840.113549.1.1.10",
+};
+
+// Digest algorithm OID → node:crypto hash name
+const DIGEST_ALGORITHMS = {
+  "1.3.14.3.2.26": "sha1",
+  "2.16.840.1.101.3.4.2.4": "sha224",
+  "2.16.840.1.101.3.4.2.1": "sha256",
+  "2.16.840.1.101.3.4.2.2": "sha384",
+  "2.16.840.1.101.3.4.2.3": "sha512",
+};
+
+const TRUSTED_ROOT_EXTENSIONS = [".cer", ".crt", ".pem"];
+const MAX_CHAIN_LENGTH = 10;
+
+/**
+ * Decode a PDF string (literal or hex, PDFDocEncoding or UTF-16BE)
+ * @param {string} literal - Content of a (literal) string, escapes included
+ * @param {string} [hex] - Content of a <hex> string
+ * @returns {string}
+ */
+function decodePdfString(literal, hex) {
+  let bytes;
+  if (hex !== undefined) {
+    const digits = hex.replace(/\s/g, "");
+    bytes = Buffer.from(digits.length % 2 ? `${digits}0` : digits, "hex");
+  } else {
+    const unescaped = literal.replace(/\\(\d{1,3}|.)/gs, (match, code) => {
+      if (/^\d/.test(code)) return String.fromCharCode(parseInt(code, 8) & 0xff);
+      return { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f", "\n": "" }[code] ?? code;
+    });
+    bytes = Buffer.from(unescaped, "latin1");
+  }
+
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    return bytes.subarray(2).swap16().toString("utf16le");
+  }
+  return bytes.toString("latin1");
+}
+
+/**
+ * Read a string entry of a PDF dictionary
+ * @param {string} dictionary - Dictionary source (latin1)
+ * @param {string} key - Entry name without slash
+ * @returns {string|null}
+ */
+function readDictionaryString(dictionary, key) {
+  const match = dictionary.match(
+    new RegExp(`/${key}\\s*(?:\\(((?:\\\\.|[^\\\\)])*)\\)|<([0-9a-fA-F\\s]*)>)`, "s")
+  );
+  if (!match) return null;
+  return match[2] !== undefined ? decodePdfString(null, match[2]) : decodePdfString(match[1]);
+}
+
+/**
+ * Parse a PDF date (D:YYYYMMDDHHmmSSOHH'mm')
+ * @param {string|null} value - PDF date
+ * @returns {Date|null}
+ */
+function parsePdfDate(value) {
+  const match = value?.match(/^D:(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Z+-])?(\d{2})?'?(\d{2})?/);
+  if (!match) return null;
+
+  const [, year, month = "01", day = "01", hour = "00", minute = "00", second = "00", sign, tzHour, tzMinute] = match;
+  const offset = sign && sign !== "Z" ? `${sign}${tzHour || "00"}:${tzMinute || "00"}` : "Z";
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Find the signature dictionaries of a PDF
+ * @param {Buffer} pdfBuffer - PDF contents
+ * @returns {Array<Object>} { byteRange, contents, subFilter, name, reason, location, contactInfo, signedAt }
+ */
+export function findSignatures(pdfBuffer) {
+  const source = pdfBuffer.toString("latin1");
+  const signatures = [];
+  const byteRangeRegex = /\/ByteRange\s*\[\s*(\d+)\s+(\d+)\s+(\d+)\s+(\d+)\s*\]/g;
+
+  for (const match of source.matchAll(byteRangeRegex)) {
+    const byteRange = match.slice(1, 5).map(Number);
+
+    // /Contents fills the gap between both signed ranges: <hex>
+    let contents = null;
+    const [start, length, resume] = byteRange;
+    if (start + length < resume && resume <= source.length) {
+      const gap = source.slice(start + length, resume).trim();
+      const hex = gap.match(/^<([0-9a-fA-F\s]*)>$/)?.[1].replace(/\s/g, "");
+      if (hex) contents = Buffer.from(hex.length % 2 ? `${hex}0` : hex, "hex");
+    }
+
+    // Entries of the signature dictionary, without the (large) /Contents string
+    const objectStart = Math.max(source.lastIndexOf(" obj", match.index), 0);
+    const objectEnd = source.indexOf("endobj", match.index);
+    const dictionary = source
+      .slice(objectStart, objectEnd === -1 ? match.index + 2000 : objectEnd)
+      .replace(/\/Contents\s*<[0-9a-fA-F\s]*>/, "");
+
+    signatures.push({
+      byteRange,
+      contents,
+      subFilter: dictionary.match(/\/SubFilter\s*\/([^\s/<>[\]()]+)/)?.[1] ?? null,
+      name: readDictionaryString(dictionary, "Name"),
+      reason: readDictionaryString(dictionary, "Reason"),
+      location: readDictionaryString(dictionary, "Location"),
+      contactInfo: readDictionaryString(dictionary, "ContactInfo"),
+      signedAt: parsePdfDate(readDictionaryString(dictionary, "M")),
+    });
+  }
+
+  return signatures;
+}
+
+/**
+ * Bytes of an ASN.1 block as they were encoded
+ * @param {Object} block - asn1js block
+ * @returns {Buffer}
+ */
+function rawBytes(block) {
+  return Buffer.from(block.valueBeforeDecodeView);
+}
+
+/**
+ * Whether an asn1js block has the given tag
+ * @param {Object} block - asn1js block
+ * @param {number} tagClass - 1 universal, 3 context-specific
+ * @param {number} tagNumber - Tag number
+ * @returns {boolean}
+ */
+function hasTag(block, tagClass, tagNumber) {
+  return block?.idBlock.tagClass === tagClass && block.idBlock.tagNumber === tagNumber;
+}
+
+/**
+ * Parse the CMS SignedData of a PDF signature
+ * @param {Buffer} der - DER-encoded ContentInfo (trailing padding allowed)
+ * @returns {Object} { digestAlgorithm, signatureAlgorithm, signedAttributes, messageDigest,
+ *   signingTime, signature, serialNumber, certificates, content, timestampToken }
+ *   content is the encapsulated content (TSTInfo in timestamp tokens, null in detached signatures)
+ * @throws {Error} If the structure is not a CMS SignedData
+ */
+export function parseCms(der) {
+  const parsed = asn1js.fromBER(der.buffer.slice(der.byteOffset, der.byteOffset + der.length));
+  if (parsed.offset === -1) throw new Error("CMS mal formado");
+
+  const [contentType, content] = parsed.result.valueBlock.value || [];
+  if (contentType?.valueBlock.toString() !== OID.SIGNED_DATA) {
+    throw new Error("La firma no es un CMS SignedData");
+  }
+  const fields = content.valueBlock.value[0].valueBlock.value;
+
+  // encapContentInfo: eContentType, [0] EXPLICIT eContent (absent when detached)
+  const eContent = fields[2]?.valueBlock.value[1]?.valueBlock.value[0];
+
+  // [0] IMPLICIT certificates
+  const certificatesBlock = fields.find((field) => hasTag(field, 3, 0));
+  const certificates = [];
+  for (const block of certificatesBlock?.valueBlock.value || []) {
+    try {
+      certificates.push(new X509Certificate(rawBytes(block)));
+    } catch {
+      // Attribute certificates and other formats are not used to verify
+    }
+  }
+
+  // Only the first signer is verified: PDF signatures have one
+  const signerInfos = fields[fields.length - 1];
+  const signerInfo = signerInfos.valueBlock.value[0]?.valueBlock.value;
+  if (!signerInfo) throw new Error("La firma no contiene ningún firmante");
+
+  const [, sid, digestAlgorithm] = signerInfo;
+  let index = 3;
+  let signedAttributes = null;
+  if (hasTag(signerInfo[index], 3, 0)) {
+    signedAttributes = signerInfo[index];
+    index++;
+  }
+  const signatureAlgorithm = signerInfo[index];
+  const signature = signerInfo[index + 1];
+  const unsignedAttributes = hasTag(signerInfo[index + 2], 3, 1) ? signerInfo[index + 2] : null;
+
+  // IssuerAndSerialNumber; a [0] SubjectKeyIdentifier has no serial number
+  let serialNumber = null;
+  if (hasTag(sid, 1, 16)) {
+    serialNumber = Buffer.from(sid.valueBlock.value[1].valueBlock.valueHexView).toString("hex");
+  }
+
+  let messageDigest = null;
+  let signingTime = null;
+  for (const attribute of signedAttributes?.valueBlock.value || []) {
+    const [type, values] = attribute.valueBlock.value;
+    const value = values.valueBlock.value[0];
+    if (type.valueBlock.toString() === OID.MESSAGE_DIGEST) {
+      messageDigest = Buffer.from(value.valueBlock.valueHexView);
+    } else if (type.valueBlock.toString() === OID.SIGNING_TIME) {
+      signingTime = value.toDate();
+    }
+  }
+
+  // RFC 3161 token over the signature value (PAdES-T)
+  let timestampToken = null;
+  for (const attribute of unsignedAttributes?.valueBlock.value || []) {
+    const [type, values] = attribute.valueBlock.value;
+    if (type.valueBlock.toString() === OID.TIMESTAMP_TOKEN) {
+      timestampToken = rawBytes(values.valueBlock.value[0]);
+    }
+  }
+
+  // The signature covers the signed attributes DER-encoded as a SET
+  let signedAttributesDer = null;
+  if (signedAttributes) {
+    signedAttributesDer = Buffer.from(rawBytes(signedAttributes));
+    signedAttributesDer[0] = 0x31;
+  }
+
+  return {
+    digestAlgorithm: digestAlgorithm.valueBlock.value[0].valueBlock.toString(),
+    signatureAlgorithm: signatureAlgorithm.valueBlock.value[0].valueBlock.toString(),
+    signedAttributes: signedAttributesDer,
+    messageDigest,
+    signingTime,
+    signature: Buffer.from(signature.valueBlock.valueHexView),
+    serialNumber,
+    certificates,
+    content: eContent ? octetStringValue(eContent) : null,
+    timestampToken,
+  };
+}
+
+/**
+ * Contents of an OCTET STRING, primitive or constructed
+ * @param {Object} block - asn1js OctetString
+ * @returns {Buffer}
+ */
+function octetStringValue(block) {
+  if (block.idBlock.isConstructed) {
+    return Buffer.concat(block.valueBlock.value.map(octetStringValue));
+  }
+  return Buffer.from(block.valueBlock.valueHexView);
+}
+
+/**
+ * Normalize a hex serial number for comparison
+ * @param {string} serial - Hex serial number
+ * @returns {string}
+ */
+function normalizeSerial(serial) {
+  return serial.replace(/^0+/, "").toUpperCase();
+}
+
+/**
+ * Parse a distinguished name as returned by X509Certificate ("CN=...\nO=...")
+ * @param {string} name - Distinguished name
+ * @returns {Object} Attributes by short name
+ */
+function parseDistinguishedName(name) {
+  const attributes = {};
+  for (const line of (name || "").split("\n")) {
+    const separator = line.indexOf("=");
+    if (separator > 0) attributes[line.slice(0, separator)] = line.slice(separator + 1);
+  }
+  return attributes;
+}
+
+/**
+ * Summary of a certificate for the verification report
+ * @param {X509Certificate} certificate - Certificate
+ * @returns {Object}
+ */
+function describeCertificate(certificate) {
+  const subject = parseDistinguishedName(certificate.subject);
+  const issuer = parseDistinguishedName(certificate.issuer);
+  return {
+    commonName: subject.CN ?? null,
+    organization: subject.O ?? null,
+    serialNumber: certificate.serialNumber,
+    issuer: issuer.CN || issuer.O || null,
+    validFrom: new Date(certificate.validFrom).toISOString(),
+    validTo: new Date(certificate.validTo).toISOString(),
+  };
+}
+
+/**
+ * Load trusted root certificates from a directory
+ * PEM files may hold several certificates; other files are read as DER.
+ * @param {string} directory - Directory with .cer, .crt or .pem files
+ * @returns {Array<X509Certificate>}
+ */
+export function loadTrustedRoots(directory) {
+  if (!directory || !existsSync(directory)) return [];
+
+  const roots = [];
+  for (const file of readdirSync(directory)) {
+    if (!TRUSTED_ROOT_EXTENSIONS.includes(extname(file).toLowerCase())) continue;
+    try {
+      const content = readFileSync(join(directory, file));
+      const pems = content.toString("latin1").match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g);
+      for (const certificate of pems || [content]) {
+        roots.push(new X509Certificate(certificate));
+      }
+    } catch (error) {
+      console.warn(`[Signatures] Could not read trusted root ${file}:`, error.message);
+    }
+  }
+  return roots;
+}
+
+/**
+ * Build the chain of a certificate up to a trusted root
+ * @param {X509Certificate} certificate - Signer certificate
+ * @param {Array<X509Certificate>} pool - Intermediate certificates (from the CMS)
+ * @param {Array<X509Certificate>} trustedRoots - Trusted roots
+ * @returns {{chain: Array<X509Certificate>, trusted: boolean}}
+ */
+function buildChain(certificate, pool, trustedRoots) {
+  const issuedBy = (child, parent) => {
+    try {
+      return child.checkIssued(parent) && child.verify(parent.publicKey);
+    } catch {
+      return false;
+    }
+  };
+
+  const chain = [certificate];
+  let current = certificate;
+  for (let depth = 0; depth < MAX_CHAIN_LENGTH; depth++) {
+    if (trustedRoots.some((root) => root.fingerprint256 === current.fingerprint256)) {
+      return { chain, trusted: true };
+    }
+    const root = trustedRoots.find((candidate) => issuedBy(current, candidate));
+    if (root) {
+      chain.push(root);
+      return { chain, trusted: true };
+    }
+    const issuer = pool.find(
+      (candidate) => candidate.fingerprint256 !== current.fingerprint256 && issuedBy(current, candidate)
+    );
+    if (!issuer || chain.includes(issuer)) break;
+    chain.push(issuer);
+    current = issuer;
+  }
+  return { chain, trusted: false };
+}
+
+/**
+ * Verify the signature value with a certificate
+ * @param {Object} cms - Parsed CMS
+ * @param {Buffer} signedContent - Signed attributes or signed bytes
+ * @param {X509Certificate} certificate - Candidate signer certificate
+ * @returns {boolean}
+ */
+function signatureMatches(cms, signedContent, certificate) {
+  try {
+    return verifySignature(
+      DIGEST_ALGORITHMS[cms.digestAlgorithm],
+      signedContent,
+      certificate.publicKey,
+      cms.signature
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find the certificate that produced a CMS signature
+ * @param {Object} cms - Parsed CMS
+ * @param {Buffer} signedContent - Signed attributes or signed bytes
+ * @returns {{signer: X509Certificate|undefined, candidates: Array<X509Certificate>}}
+ *   candidates are the certificates named by the signer info
+ */
+function findSigner(cms, signedContent) {
+  const candidates = cms.serialNumber
+    ? cms.certificates.filter(
+        (certificate) => normalizeSerial(certificate.serialNumber) === normalizeSerial(cms.serialNumber)
+      )
+    : cms.certificates;
+  const signer = candidates.find((certificate) => signatureMatches(cms, signedContent, certificate));
+  return { signer, candidates };
+}
+
+/**
+ * Verify the RFC 3161 timestamp of a signature
+ * The token must cover the signature value and be signed by its TSA.
+ * @param {Buffer} token - DER TimeStampToken
+ * @param {Buffer} signatureValue - Signature value it should cover
+ * @param {Array<X509Certificate>} trustedRoots - Trusted roots
+ * @returns {Object} { time, authority, valid, trusted }
+ */
+function verifyTimestamp(token, signatureValue, trustedRoots) {
+  let cms;
+  let info;
+  try {
+    cms = parseCms(token);
+    info = parseTimestampToken(token);
+  } catch {
+    return { time: null, authority: null, valid: false, trusted: false };
+  }
+
+  const imprintHash = DIGEST_ALGORITHMS[info.hashAlgorithm];
+  const imprintValid =
+    Boolean(imprintHash) && createHash(imprintHash).update(signatureValue).digest().equals(info.digest);
+  const contentHash = DIGEST_ALGORITHMS[cms.digestAlgorithm];
+  const contentValid =
+    Boolean(contentHash && cms.content && cms.signedAttributes) &&
+    createHash(contentHash).update(cms.content).digest().equals(cms.messageDigest ?? Buffer.alloc(0));
+  const { signer } = contentValid ? findSigner(cms, cms.signedAttributes) : {};
+
+  return {
+    time: info.genTime.toISOString(),
+    authority: signer ? describeCertificate(signer).commonName : null,
+    valid: imprintValid && Boolean(signer),
+    trusted: signer ? buildChain(signer, cms.certificates, trustedRoots).trusted : false,
+  };
+}
+
+/**
+ * Whether the bytes after a signed revision only add validation data
+ * PAdES-LTV appends a /DSS dictionary (certificates, CRLs, OCSP responses) after
+ * signing. Such a revision may only define the catalog pointing to the DSS, the
+ * DSS and the streams listed in its /Certs, /CRLs and /OCSPs, all of them new
+ * objects except the catalog. Any other object, and any object or xref stream
+ * (whose contents are not read here), counts as a modification.
+ * @param {Buffer} pdfBuffer - PDF contents
+ * @param {number} signedEnd - End of the signed byte range
+ * @returns {boolean}
+ */
+function onlyValidationDataAfter(pdfBuffer, signedEnd) {
+  const source = pdfBuffer.toString("latin1");
+  const appended = source.slice(signedEnd);
+  if (!/\S/.test(appended)) return true;
+  if (/\/Type\s*\/(ObjStm|XRef)\b/.test(appended)) return false;
+
+  // Objects that existed when signing (/Size of the signed revision's trailer)
+  const signed = source.slice(0, signedEnd);
+  const sizes = [...signed.matchAll(/\/Size\s+(\d+)/g)];
+  const roots = [...signed.matchAll(/\/Root\s+(\d+)\s+(\d+)\s+R/g)];
+  if (!sizes.length || !roots.length) return false;
+  const previousSize = Number(sizes[sizes.length - 1][1]);
+  const [, rootNumber, rootGeneration] = roots[roots.length - 1];
+  const rootRef = `${Number(rootNumber)} ${Number(rootGeneration)}`;
+
+  const objects = [...appended.matchAll(/(\d+)\s+(\d+)\s+obj\b([\s\S]*?)endobj/g)].map(
+    ([, number, generation, body]) => ({
+      ref: `${Number(number)} ${Number(generation)}`,
+      added: Number(number) >= previousSize,
+      dictionary: body.split(/\bstream\b/)[0],
+      isStream: /\bstream\b/.test(body),
+    })
+  );
+  if (!objects.length) return false;
+
+  const added = (ref) => objects.find((object) => object.ref === ref && object.added);
+  const allowed = new Set();
+  for (const catalog of objects.filter((object) => /\/Type\s*\/Catalog\b/.test(object.dictionary))) {
+    const [, number, generation] = catalog.dictionary.match(/\/DSS\s+(\d+)\s+(\d+)\s+R/) || [];
+    const dss = number && added(`${Number(number)} ${Number(generation)}`);
+    if (!dss || (catalog.ref !== rootRef && !catalog.added)) return false;
+    allowed.add(catalog.ref).add(dss.ref);
+
+    const arrays = [...dss.dictionary.matchAll(/\/(?:Certs|CRLs|OCSPs)\s*\[([^\]]*)\]/g)];
+    for (const [, array] of arrays) {
+      for (const [, streamNumber, streamGeneration] of array.matchAll(/(\d+)\s+(\d+)\s+R/g)) {
+        const stream = added(`${Number(streamNumber)} ${Number(streamGeneration)}`);
+        if (stream?.isStream) allowed.add(stream.ref);
+      }
+    }
+  }
+
+  return objects.every((object) => allowed.has(object.ref));
+}
+
+/**
+ * Count the validation data stored in the /DSS dictionary of a PDF
+ * @param {Buffer} pdfBuffer - PDF contents
+ * @returns {{certificates: number, crls: number, ocsps: number}|null} Null without a (readable) DSS
+ */
+function readValidationData(pdfBuffer) {
+  const source = pdfBuffer.toString("latin1");
+  const references = [...source.matchAll(/\/DSS\s+(\d+)\s+(\d+)\s+R/g)];
+  if (!references.length) return null;
+
+  const [, number, generation] = references[references.length - 1];
+  const objects = [...source.matchAll(new RegExp(`(?:^|\\s)${number}\\s+${generation}\\s+obj\\b([\\s\\S]*?)endobj`, "g"))];
+  if (!objects.length) return null;
+
+  const dss = objects[objects.length - 1][1];
+  const count = (key) => {
+    const array = dss.match(new RegExp(`/${key}\\s*\\[([^\\]]*)\\]`))?.[1] || "";
+    return [...array.matchAll(/\d+\s+\d+\s+R/g)].length;
+  };
+  return { certificates: count("Certs"), crls: count("CRLs"), ocsps: count("OCSPs") };
+}
+
+/**
+ * Verify one signature of a PDF
+ * @param {Buffer} pdfBuffer - PDF contents
+ * @param {Object} found - Signature found by findSignatures
+ * @param {Array<X509Certificate>} trustedRoots - Trusted roots
+ * @returns {Object} Signature report
+ */
+function verifySignatureEntry(pdfBuffer, found, trustedRoots) {
+  const [start, length, resume, resumeLength] = found.byteRange;
+  const report = {
+    subFilter: found.subFilter,
+    name: found.name,
+    reason: found.reason,
+    location: found.location,
+    contactInfo: found.contactInfo,
+    signingTime: found.signedAt?.toISOString() ?? null,
+    byteRange: found.byteRange,
+    coversWholeDocument: start === 0 && resume + resumeLength === pdfBuffer.length,
+    modifiedAfterSigning: !onlyValidationDataAfter(pdfBuffer, resume + resumeLength),
+    digestAlgorithm: null,
+    digestValid: false,
+    signatureValid: false,
+    trusted: false,
+    certificateValidAtSigning: false,
+    timestamp: null,
+    signer: null,
+    chain: [],
+    problems: [],
+    status: SIGNATURE_STATUS.INVALID,
+  };
+
+  if (!found.contents || start !== 0 || resume + resumeLength > pdfBuffer.length) {
+    report.problems.push(SIGNATURE_PROBLEMS.MALFORMED);
+    return report;
+  }
+  if (found.subFilter && !SUPPORTED_SUBFILTERS.includes(found.subFilter)) {
+    report.problems.push(SIGNATURE_PROBLEMS.UNSUPPORTED);
+    return report;
+  }
+
+  let cms;
+  try {
+    cms = parseCms(found.contents);
+  } catch {
+    report.problems.push(SIGNATURE_PROBLEMS.MALFORMED);
+    return report;
+  }
+
+  const hashName = DIGEST_ALGORITHMS[cms.digestAlgorithm];
+  report.digestAlgorithm = hashName ?? cms.digestAlgorithm;
+  if (!hashName || cms.signatureAlgorithm === OID.RSA_PSS) {
+    report.problems.push(SIGNATURE_PROBLEMS.UNSUPPORTED);
+    return report;
+  }
+
+  const signedBytes = Buffer.concat([
+    pdfBuffer.subarray(start, start + length),
+    pdfBuffer.subarray(resume, resume + resumeLength),
+  ]);
+  const digest = createHash(hashName).update(signedBytes).digest();
+
+  // Signer: the certificate named by the signer info whose key verifies the signature
+  const { signer, candidates } = findSigner(cms, cms.signedAttributes || signedBytes);
+
+  report.signingTime = (cms.signingTime ?? found.signedAt)?.toISOString() ?? null;
+  report.digestValid = cms.signedAttributes ? Boolean(cms.messageDigest?.equals(digest)) : Boolean(signer);
+  report.signatureValid = Boolean(signer);
+
+  const signerCertificate = signer || candidates[0];
+  if (!signerCertificate) {
+    report.problems.push(SIGNATURE_PROBLEMS.SIGNER_NOT_FOUND);
+    return report;
+  }
+  report.signer = describeCertificate(signerCertificate);
+
+  // A valid timestamp proves when the signature existed; otherwise the claimed time is used
+  if (cms.timestampToken) {
+    report.timestamp = verifyTimestamp(cms.timestampToken, cms.signature, trustedRoots);
+  }
+  const timestampedAt = report.timestamp?.valid ? new Date(report.timestamp.time) : null;
+
+  const { chain, trusted } = buildChain(signerCertificate, cms.certificates, trustedRoots);
+  const signedAt = timestampedAt ?? cms.signingTime ?? found.signedAt ?? new Date();
+  report.chain = chain.map(describeCertificate);
+  report.trusted = trusted;
+  report.certificateValidAtSigning = chain.every(
+    (certificate) => new Date(certificate.validFrom) <= signedAt && signedAt <= new Date(certificate.validTo)
+  );
+
+  if (!report.digestValid) report.problems.push(SIGNATURE_PROBLEMS.DIGEST_MISMATCH);
+  if (!report.signatureValid) report.problems.push(SIGNATURE_PROBLEMS.SIGNATURE_INVALID);
+  if (report.modifiedAfterSigning) report.problems.push(SIGNATURE_PROBLEMS.MODIFIED_AFTER_SIGNING);
+  if (!trusted) report.problems.push(SIGNATURE_PROBLEMS.CHAIN_UNTRUSTED);
+  if (!report.certificateValidAtSigning) {
+    report.problems.push(SIGNATURE_PROBLEMS.CERTIFICATE_NOT_VALID_AT_SIGNING);
+  }
+  if (report.timestamp && !report.timestamp.valid) report.problems.push(SIGNATURE_PROBLEMS.TIMESTAMP_INVALID);
+
+  if (!report.digestValid || !report.signatureValid) {
+    report.status = SIGNATURE_STATUS.INVALID;
+  } else if (report.modifiedAfterSigning) {
+    report.status = SIGNATURE_STATUS.MODIFIED;
+  } else if (!trusted || !report.certificateValidAtSigning || report.problems.includes(SIGNATURE_PROBLEMS.TIMESTAMP_INVALID)) {
+    report.status = SIGNATURE_STATUS.UNTRUSTED;
+  } else {
+    report.status = SIGNATURE_STATUS.VALID;
+  }
+  return report;
+}
+
+/**
+ * Verify every signature of a PDF
+ * @param {Buffer} pdfBuffer - PDF contents
+ * @param {Object} [options] - { trustedRoots } (defaults to the configured directory)
+ * @returns {Object} { signed, status, modifiedAfterLastSignature, trustedRoots, validationData, signatures }
+ *   status is the worst of the signatures (null if the PDF is not signed); validationData
+ *   counts the certificates, CRLs and OCSP responses of the /DSS (null without one)
+ */
+export function verifyPdf(pdfBuffer, options = {}) {
+  const trustedRoots = options.trustedRoots ?? loadTrustedRoots(getConfigValue("signature_trusted_roots_path"));
+  const signatures = findSignatures(pdfBuffer).map((found) =>
+    verifySignatureEntry(pdfBuffer, found, trustedRoots)
+  );
+
+  const last = signatures.reduce(
+    (latest, signature) =>
+      !latest || signature.byteRange[2] + signature.byteRange[3] > latest.byteRange[2] + latest.byteRange[3]
+        ? signature
+        : latest,
+    null
+  );
+
+  return {
+    signed: signatures.length > 0,
+    status: signatures.length
+      ? STATUS_SEVERITY.find((status) => signatures.some((signature) => signature.status === status))
+      : null,
+    modifiedAfterLastSignature: last ? last.modifiedAfterSigning : false,
+    trustedRoots: trustedRoots.length,
+    validationData: readValidationData(pdfBuffer),
+    signatures,
+  };
+}
+
+/**
+ * Verify an uploaded PDF
+ * @param {Object} file - { buffer, originalName }
+ * @returns {Object} verifyPdf result plus fileName
+ * @throws {ValidationError} If no file is given or it is not a PDF
+ */
+export function verifyUpload(file) {
+  if (!file?.buffer) {
+    const errorInfo = SignatureErrors.documentRequired();
+    throw new ValidationError(errorInfo);
+  }
+  if (!isPdf(file.buffer)) {
+    const errorInfo = SignatureErrors.notPdf(file.originalName);
+    throw new ValidationError(errorInfo);
+  }
+  return { fileName: file.originalName, ...verifyPdf(file.buffer) };
+}
+
+/**
+ * Verify a stored document (generated or uploaded)
+ * @param {number|string} documentId - document_history ID
+ * @returns {Promise<Object>} verifyPdf result plus documentId, caseId and fileName
+ * @throws {NotFoundError|ValidationError}
+ */
+export async function verifyDocument(documentId) {
+  const id = parseInt(documentId, 10);
+  if (isNaN(id)) {
+    const errorInfo = SignatureErrors.documentRequired();
+    throw new ValidationError(errorInfo);
+  }
+
+  const document = new DocumentHistoryService().getById(id);
+  if (!document || document.deleted_at) {
+    const errorInfo = SignatureErrors.documentNotFound(documentId);
+    throw new NotFoundError(errorInfo);
+  }
+
+  const fileName = document.original_name || basename(document.file_path || "");
+  let buffer;
+  try {
+    buffer = await readFile(document.file_path);
+  } catch {
+    const errorInfo = SignatureErrors.fileMissing(documentId);
+    throw new NotFoundError(errorInfo);
+  }
+  if (!isPdf(buffer)) {
+    const errorInfo = SignatureErrors.notPdf(fileName);
+    throw new ValidationError(errorInfo);
+  }
+
+  return { documentId: document.id, caseId: document.case_id, fileName, ...verifyPdf(buffer) };
+}
+
+/**
+ * Whether a buffer is a PDF (header within the first KB, as readers accept)
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean}
+ */
+function isPdf(buffer) {
+  return buffer.subarray(0, 1024).includes("%PDF-");
+}
+
+export default {
+  SIGNATURE_STATUS,
+  SIGNATURE_PROBLEMS,
+  findSignatures,
+  parseCms,
+  loadTrustedRoots,
+  verifyPdf,
+  verifyUpload,
+  verifyDocument,
+};
@@ -0,0 +1,390 @@
+// Template Engine
+// Document template language: {{placeholders}}, {{#if}} sections and @layout directives
+//
+// A template is plain text. Conditional sections are resolved first, then each
+// line becomes a layout block: a line starting with @ is a directive
+// (e.g. "@seccion DATOS DEL CLIENTE"), any other line is a paragraph.
+// Placeholders are replaced inside each block, so data can never inject
+// directives or conditionals.
+
+// Namespaces available to placeholders
+export const TEMPLATE_ROOTS = ["case", "client", "config", "document"];
+
+export const TEMPLATE_FILTERS = ["currency", "date", "upper"];
+
+export const TEMPLATE_DIRECTIVES = [
+  "color",
+  "titulo",
+  "encabezado",
+  "seccion",
+  "campos",
+  "tabla",
+  "total",
+  "destacado",
+  "importe",
+  "clausula",
+  "nota",
+  "firmas",
+  "pie",
+  "espacio",
+  "salto-pagina",
+];
+
+// Directives whose lines that follow (up to a blank line or another directive) are rows
+const ROW_DIRECTIVES = ["campos", "tabla"];
+
+// Directives with two "|"-separated parts
+const PAIR_DIRECTIVES = ["tabla", "total", "firmas"];
+
+export const MAX_TEMPLATE_LENGTH = 20000;
+
+const DEFAULT_LOCALE = "es-ES";
+
+// Marks text removed by conditionals; lines left with only marks are dropped
+const REMOVED = "\u0000";
+
+const CONDITIONAL_REGEX = /\{\{\s*(?:#if\s+([\w.]+)|(else)|(\/if))\s*\}\}/g;
+const PLACEHOLDER_REGEX = /\{\{\s*([\w.]+)\s*(?:\|\s*([\w-]+)\s*)?\}\}/g;
+const ANY_TAG_REGEX = /\{\{[^}]*\}\}/g;
+const COLOR_REGEX = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Read a dotted path from the context
+ * @param {Object} context - Template data
+ * @param {string} path - e.g. "case.clientName"
+ * @returns {*} Value or undefined
+ */
+function getPath(context, path) {
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+/**
+ * Whether a path exists in the context (used to validate placeholders)
+ * @param {Object} context - Sample data with every field present
+ * @param {string} path - Dotted path
+ * @returns {boolean}
+ */
+function hasPath(context, path) {
+  let value = context;
+  for (const key of path.split(".")) {
+    if (value === null || typeof value !== "object" || !(key in value)) return false;
+    value = value[key];
+  }
+  return true;
+}
+
+/**
+ * Truthiness of a conditional section
+ * @param {*} value - Value of the path
+ * @returns {boolean} False for null, empty strings, zero and empty arrays
+ */
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== "" && value !== 0;
+}
+
+/**
+ * Format a value for output
+ * @param {*} value - Raw value
+ * @param {string} [filter] - One of TEMPLATE_FILTERS
+ * @param {string} [locale] - Intl locale of amounts and dates
+ * @returns {string} Text
+ */
+export function formatValue(value, filter, locale = DEFAULT_LOCALE) {
+  if (value === undefined || value === null) return "";
+
+  switch (filter) {
+    case "currency": {
+      const amount = Number(value);
+      if (!Number.isFinite(amount)) return "";
+      return new Intl.NumberFormat(locale, { style: "currency", currency: "EUR" }).format(amount);
+    }
+    case "date": {
+      const date = value instanceof Date ? value : new Date(`${String(value).slice(0, 10)}T00:00:00`);
+      if (Number.isNaN(date.getTime())) return String(value);
+      return date.toLocaleDateString(locale, { day: "2-digit", month: "2-digit", year: "numeric" });
+    }
+    case "upper":
+      return String(value).toLocaleUpperCase(locale);
+    default:
+      return String(value);
+  }
+}
+
+/**
+ * Replace the placeholders of a text
+ * @param {string} text - Text with {{path}} or {{path | filter}}
+ * @param {Object} context - Template data
+ * @param {string} [locale] - Intl locale of amounts and dates
+ * @param {Function} [encode] - Applied to each value (e.g. HTML escaping)
+ * @returns {string} Text with values
+ */
+export function interpolate(text, context, locale = DEFAULT_LOCALE, encode = (value) => value) {
+  return String(text ?? "").replace(PLACEHOLDER_REGEX, (match, path, filter) =>
+    encode(formatValue(getPath(context, path), filter, locale))
+  );
+}
+
+/**
+ * Parse {{#if}}/{{else}}/{{/if}} sections into a tree
+ * @param {string} source - Template text
+ * @returns {{nodes: Array, errors: Array<{line: number, message: string}>}}
+ */
+function parseSections(source) {
+  const root = { children: [] };
+  const stack = [{ node: root, target: root.children }];
+  const errors = [];
+  let lastIndex = 0;
+
+  const lineAt = (index) => source.slice(0, index).split("\n").length;
+
+  for (const match of source.matchAll(CONDITIONAL_REGEX)) {
+    const current = stack[stack.length - 1];
+    current.target.push(source.slice(lastIndex, match.index));
+    lastIndex = match.index + match[0].length;
+
+    const [, ifPath, isElse, isEnd] = match;
+    if (ifPath) {
+      const node = { path: ifPath, line: lineAt(match.index), then: [], else: null };
+      current.target.push(node);
+      stack.push({ node, target: node.then });
+    } else if (isElse) {
+      if (stack.length === 1 || current.node.else) {
+        errors.push({ line: lineAt(match.index), message: "{{else}} sin {{#if}} correspondiente" });
+        continue;
+      }
+      current.node.else = [];
+      current.target = current.node.else;
+    } else if (isEnd) {
+      if (stack.length === 1) {
+        errors.push({ line: lineAt(match.index), message: "{{/if}} sin {{#if}} correspondiente" });
+        continue;
+      }
+      stack.pop();
+    }
+  }
+  stack[stack.length - 1].target.push(source.slice(lastIndex));
+
+  for (const { node } of stack.slice(1)) {
+    errors.push({ line: node.line, message: `Falta {{/if}} para {{#if ${node.path}}}` });
+  }
+
+  return { nodes: root.children, errors };
+}
+
+/**
+ * Resolve the conditional sections of a template
+ * Tags and discarded sections leave no blank lines behind.
+ * @param {string} source - Template text
+ * @param {Object} context - Template data
+ * @returns {string} Template text without sections
+ * @throws {Error} If the sections are unbalanced
+ */
+export function resolveConditionals(source, context) {
+  const { nodes, errors } = parseSections(source);
+  if (errors.length > 0) {
+    throw new Error(`Línea ${errors[0].line}: ${errors[0].message}`);
+  }
+
+  const render = (list) =>
+    list
+      .map((node) => {
+        if (typeof node === "string") return node;
+        const branch = isTruthy(getPath(context, node.path)) ? node.then : node.else || [];
+        return `${REMOVED}${render(branch)}${REMOVED}`;
+      })
+      .join("");
+
+  return render(nodes)
+    .split("\n")
+    .filter((line) => !(line.includes(REMOVED) && line.replaceAll(REMOVED, "").trim() === ""))
+    .map((line) => line.replaceAll(REMOVED, ""))
+    .join("\n");
+}
+
+/**
+ * Split "a | b" into its two parts
+ * @param {string} text - Directive argument
+ * @returns {Array<string>} [left, right]
+ */
+function splitPair(text) {
+  const index = text.indexOf("|");
+  if (index === -1) return [text.trim(), ""];
+  return [text.slice(0, index).trim(), text.slice(index + 1).trim()];
+}
+
+/**
+ * Split a directive line into name and argument
+ * @param {string} line - Line starting with @
+ * @returns {{name: string, arg: string}}
+ */
+function splitDirective(line) {
+  const match = line.trim().match(/^@([\w-]+)\s*(.*)$/);
+  return match ? { name: match[1].toLowerCase(), arg: match[2] } : { name: "", arg: "" };
+}
+
+/**
+ * Turn template lines (conditionals already resolved) into layout blocks
+ * @param {string} text - Template text
+ * @returns {Array<Object>} Blocks with raw (uninterpolated) text
+ */
+export function parseBlocks(text) {
+  const blocks = [];
+  let rowBlock = null;
+
+  for (const rawLine of text.split("\n")) {
+    const line = rawLine.trim();
+
+    if (!line) {
+      rowBlock = null;
+      continue;
+    }
+
+    if (!line.startsWith("@")) {
+      if (rowBlock?.type === "campos") {
+        const index = line.indexOf(":");
+        rowBlock.rows.push(
+          index === -1
+            ? { label: "", value: line }
+            : { label: line.slice(0, index + 1).trim(), value: line.slice(index + 1).trim() }
+        );
+      } else if (rowBlock?.type === "tabla") {
+        rowBlock.rows.push(splitPair(line));
+      } else {
+        blocks.push({ type: "parrafo", text: line });
+      }
+      continue;
+    }
+
+    const { name, arg } = splitDirective(line);
+    rowBlock = null;
+
+    if (name === "campos") {
+      rowBlock = { type: "campos", columns: arg.trim() === "1" ? 1 : 2, rows: [] };
+      blocks.push(rowBlock);
+    } else if (name === "tabla") {
+      rowBlock = { type: "tabla", header: splitPair(arg), rows: [] };
+      blocks.push(rowBlock);
+    } else if (PAIR_DIRECTIVES.includes(name)) {
+      blocks.push({ type: name, parts: splitPair(arg) });
+    } else if (TEMPLATE_DIRECTIVES.includes(name)) {
+      blocks.push({ type: name, text: arg.trim() });
+    }
+  }
+
+  return blocks;
+}
+
+/**
+ * Render a template into layout blocks with the data filled in
+ * Field rows whose value is empty are left out.
+ * @param {string} source - Template text
+ * @param {Object} context - Template data
+ * @param {string} [locale] - Intl locale of amounts and dates
+ * @returns {Array<Object>} Blocks ready to draw
+ * @throws {Error} If the conditional sections are unbalanced
+ */
+export function renderTemplate(source, context, locale = DEFAULT_LOCALE) {
+  const fill = (text) => interpolate(text, context, locale).trim();
+
+  return parseBlocks(resolveConditionals(source, context)).map((block) => {
+    switch (block.type) {
+      case "campos":
+        return {
+          ...block,
+          rows: block.rows
+            .map((row) => ({ label: fill(row.label), value: fill(row.value) }))
+            .filter((row) => row.value !== ""),
+        };
+      case "tabla":
+        return {
+          ...block,
+          header: block.header.map(fill),
+          rows: block.rows.map((row) => row.map(fill)),
+        };
+      case "total":
+      case "firmas":
+        return { ...block, parts: block.parts.map(fill) };
+      default:
+        return { ...block, text: fill(block.text) };
+    }
+  });
+}
+
+/**
+ * Check a template for syntax errors
+ * Placeholders and conditions must name a field that exists in the sample data.
+ * @param {string} source - Template text
+ * @param {Object} sampleContext - Sample data with every available field
+ * @param {Object} [options] - { directives: false } for texts without layout
+ *   directives (emails), where a line may start with @
+ * @returns {Array<{line: number, message: string}>} Errors (empty if valid)
+ */
+export function validateTemplate(source, sampleContext, options = {}) {
+  const { directives = true } = options;
+  const errors = [...parseSections(source).errors];
+
+  const checkPath = (path, lineNumber) => {
+    const root = path.split(".")[0];
+    if (!TEMPLATE_ROOTS.includes(root)) {
+      errors.push({
+        line: lineNumber,
+        message: `'${path}' no es un campo válido. Use ${TEMPLATE_ROOTS.map((r) => `${r}.`).join(", ")}`,
+      });
+    } else if (!hasPath(sampleContext, path)) {
+      errors.push({ line: lineNumber, message: `Campo desconocido: '${path}'` });
+    }
+  };
+
+  source.split("\n").forEach((line, index) => {
+    const lineNumber = index + 1;
+
+    for (const [tag] of line.matchAll(ANY_TAG_REGEX)) {
+      const conditional = [...tag.matchAll(CONDITIONAL_REGEX)][0];
+      if (conditional) {
+        if (conditional[1]) checkPath(conditional[1], lineNumber);
+        continue;
+      }
+
+      const placeholder = [...tag.matchAll(PLACEHOLDER_REGEX)][0];
+      if (!placeholder || placeholder[0] !== tag) {
+        errors.push({ line: lineNumber, message: `Marcador no válido: ${tag}` });
+        continue;
+      }
+      checkPath(placeholder[1], lineNumber);
+      if (placeholder[2] && !TEMPLATE_FILTERS.includes(placeholder[2])) {
+        errors.push({
+          line: lineNumber,
+          message: `Formato desconocido '${placeholder[2]}'. Use: ${TEMPLATE_FILTERS.join(", ")}`,
+        });
+      }
+    }
+
+    const withoutSections = line.replace(CONDITIONAL_REGEX, "").trim();
+    if (!directives || !withoutSections.startsWith("@")) return;
+
+    const { name, arg } = splitDirective(withoutSections);
+    if (!TEMPLATE_DIRECTIVES.includes(name)) {
+      errors.push({ line: lineNumber, message: `Directiva desconocida: ${withoutSections.split(/\s/)[0]}` });
+    } else if (name === "color" && !COLOR_REGEX.test(arg.trim())) {
+      errors.push({ line: lineNumber, message: "@color requiere un color en formato #RRGGBB" });
+    } else if (PAIR_DIRECTIVES.includes(name) && !ROW_DIRECTIVES.includes(name) && !arg.includes("|")) {
+      errors.push({ line: lineNumber, message: `@${name} requiere dos partes separadas por "|"` });
+    }
+  });
+
+  return errors.sort((a, b) => a.line - b.line);
+}
+
+export default {
+  TEMPLATE_ROOTS,
+  TEMPLATE_FILTERS,
+  TEMPLATE_DIRECTIVES,
+  MAX_TEMPLATE_LENGTH,
+  formatValue,
+  interpolate,
+  resolveConditionals,
+  parseBlocks,
+  renderTemplate,
+  validateTemplate,
+};
@@ -0,0 +1,436 @@
+// Time Entry Service
+// Hours worked per case (Particulares), start/stop timer and hourly billing
+
+import { execute, query, queryOne } from "../database.js";
+import { ConflictError, NotFoundError, ValidationError } from "../errors.js";
+import { TimeEntryErrors } from "../errorMessages.js";
+import { madridNow, roundCents } from "../utils.js";
+import { get as getConfigValue } from "./configurationService.js";
+
+// Only private clients are billed by the hour
+export const TIME_ENTRY_CASE_TYPE = "PARTICULAR";
+
+// Document type of the hourly fee note ("factura de horas")
+export const FEE_NOTE_DOCUMENT_TYPE = "FACTURA_HORAS";
+export const FEE_NOTE_CONCEPT = "Honorarios profesionales por horas de trabajo";
+
+export const MAX_DURATION_MINUTES = 1440;
+const MAX_HOURLY_RATE = 10000;
+
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const SELECT_ENTRIES = `
+  SELECT t.*, u.full_name as user_name, u.username as user_username
+  FROM time_entries t
+  LEFT JOIN users u ON u.id = t.user_id`;
+
+/**
+ * Amount of an entry (duration × hourly rate), rounded to cents
+ * @param {Object} entry - { durationMinutes, hourlyRate }
+ * @returns {number} Amount in euros (0 while the timer runs)
+ */
+export function calculateEntryAmount(entry) {
+  return roundCents(((entry.durationMinutes || 0) / 60) * entry.hourlyRate);
+}
+
+/**
+ * Fee note amounts for a set of entries
+ * @param {Array} entries - Time entries
+ * @param {Object} config - Configuration (vat_rate)
+ * @returns {{baseAmount: number, vatRate: number, vatAmount: number, total: number}}
+ */
+export function calculateFeeNoteAmounts(entries, config = {}) {
+  const baseAmount = roundCents(entries.reduce((sum, e) => sum + calculateEntryAmount(e), 0));
+  const vatRate = parseFloat(config.vat_rate) || 21;
+  const vatAmount = roundCents(baseAmount * (vatRate / 100));
+  return { baseAmount, vatRate, vatAmount, total: roundCents(baseAmount + vatAmount) };
+}
+
+/**
+ * Get a case and check hours can be recorded on it
+ * @param {number} caseId - Case ID
+ * @returns {Object} Case row
+ * @throws {NotFoundError|ValidationError}
+ */
+function getParticularCase(caseId) {
+  const caseRow = queryOne("SELECT id, type FROM cases WHERE id = ?", [caseId]);
+  if (!caseRow) {
+    const errorInfo = TimeEntryErrors.caseNotFound(caseId);
+    throw new NotFoundError(errorInfo);
+  }
+  if (caseRow.type !== TIME_ENTRY_CASE_TYPE) {
+    const errorInfo = TimeEntryErrors.caseTypeInvalid(caseRow.type);
+    throw new ValidationError(errorInfo);
+  }
+  return caseRow;
+}
+
+/**
+ * Validate time entry input
+ * @param {Object} data - Entry fields
+ * @param {Object} [options] - { running: duration is not required while the timer runs }
+ * @returns {Object} Normalized column values
+ * @throws {ValidationError}
+ */
+function validateEntry(data, options = {}) {
+  const entryDate = data.entryDate || madridNow().slice(0, 10);
+  const parsedDate = new Date(`${entryDate}T00:00:00Z`);
+  if (
+    !DATE_REGEX.test(entryDate) ||
+    Number.isNaN(parsedDate.getTime()) ||
+    parsedDate.toISOString().slice(0, 10) !== entryDate
+  ) {
+    const errorInfo = TimeEntryErrors.dateInvalid(data.entryDate);
+    throw new ValidationError(errorInfo);
+  }
+
+  let durationMinutes = null;
+  if (!options.running) {
+    const rawDuration = data.durationMinutes;
+    durationMinutes = typeof rawDuration === "string" ? Number(rawDuration) : rawDuration;
+    if (
+      !Number.isInteger(durationMinutes) ||
+      durationMinutes < 1 ||
+      durationMinutes > MAX_DURATION_MINUTES
+    ) {
+      const errorInfo = TimeEntryErrors.durationInvalid(data.durationMinutes);
+      throw new ValidationError(errorInfo);
+    }
+  }
+
+  const activity = typeof data.activity === "string" ? data.activity.trim() : "";
+  if (!activity) {
+    const errorInfo = TimeEntryErrors.activityRequired();
+    throw new ValidationError(errorInfo);
+  }
+
+  const rawRate = data.hourlyRate ?? getConfigValue("default_hourly_rate");
+  const hourlyRate = roundCents(Number(rawRate));
+  if (rawRate === "" || !Number.isFinite(hourlyRate) || hourlyRate < 0 || hourlyRate > MAX_HOURLY_RATE) {
+    const errorInfo = TimeEntryErrors.rateInvalid(data.hourlyRate);
+    throw new ValidationError(errorInfo);
+  }
+
+  const userId = data.userId ? Number(data.userId) : null;
+  if (userId && !queryOne("SELECT id FROM users WHERE id = ?", [userId])) {
+    const errorInfo = TimeEntryErrors.lawyerNotFound(data.userId);
+    throw new ValidationError(errorInfo);
+  }
+
+  return {
+    entryDate,
+    durationMinutes,
+    activity,
+    hourlyRate,
+    billable: data.billable === undefined ? true : Boolean(data.billable),
+    userId,
+  };
+}
+
+/**
+ * Throw if an entry was already invoiced
+ * @param {Object} entry - Time entry
+ * @throws {ConflictError}
+ */
+function assertNotBilled(entry) {
+  if (entry.documentId) {
+    const errorInfo = TimeEntryErrors.alreadyBilled(entry.id, entry.documentId);
+    throw new ConflictError(errorInfo);
+  }
+}
+
+/**
+ * Record hours worked on a case
+ * The lawyer defaults to the user recording the entry, the rate to the configured default.
+ * @param {number} caseId - Case ID
+ * @param {Object} data - { entryDate, durationMinutes, activity, hourlyRate, billable, userId }
+ * @param {Object} [actor] - User recording the entry
+ * @returns {Object} Created entry
+ * @throws {NotFoundError|ValidationError}
+ */
+export function create(caseId, data = {}, actor = null) {
+  getParticularCase(caseId);
+  const e = validateEntry({ ...data, userId: data.userId ?? actor?.id });
+
+  const result = execute(
+    `INSERT INTO time_entries (case_id, user_id, entry_date, duration_minutes, activity, hourly_rate,
+                               billable, created_by_user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      caseId,
+      e.userId,
+      e.entryDate,
+      e.durationMinutes,
+      e.activity,
+      e.hourlyRate,
+      e.billable ? 1 : 0,
+      actor?.id ?? null,
+    ]
+  );
+
+  return getById(result.lastInsertRowid);
+}
+
+/**
+ * Get time entry by ID
+ * @param {number} id - Entry ID
+ * @returns {Object|null} Entry or null if not found
+ */
+export function getById(id) {
+  const row = queryOne(`${SELECT_ENTRIES} WHERE t.id = ?`, [id]);
+  return row ? mapRowToTimeEntry(row) : null;
+}
+
+/**
+ * List the entries of a case, most recent first
+ * @param {number} caseId - Case ID
+ * @returns {Array} Entries
+ */
+export function listByCase(caseId) {
+  return query(
+    `${SELECT_ENTRIES} WHERE t.case_id = ? ORDER BY t.entry_date DESC, t.id DESC`,
+    [caseId]
+  ).map(mapRowToTimeEntry);
+}
+
+/**
+ * Totals of a case's hours
+ * @param {number} caseId - Case ID
+ * @returns {{totalMinutes: number, billableMinutes: number, unbilledMinutes: number, unbilledAmount: number}}
+ */
+export function getSummary(caseId) {
+  const entries = listByCase(caseId).filter((e) => !e.timerRunning);
+  const unbilled = entries.filter((e) => e.billable && !e.documentId);
+
+  return {
+    totalMinutes: entries.reduce((sum, e) => sum + e.durationMinutes, 0),
+    billableMinutes: entries.filter((e) => e.billable).reduce((sum, e) => sum + e.durationMinutes, 0),
+    unbilledMinutes: unbilled.reduce((sum, e) => sum + e.durationMinutes, 0),
+    unbilledAmount: roundCents(unbilled.reduce((sum, e) => sum + e.amount, 0)),
+  };
+}
+
+/**
+ * Billable entries of a case not yet invoiced (running timers excluded), oldest first
+ * @param {number} caseId - Case ID
+ * @returns {Array} Entries
+ */
+export function getUnbilledEntries(caseId) {
+  return query(
+    `${SELECT_ENTRIES}
+     WHERE t.case_id = ? AND t.billable = 1 AND t.document_id IS NULL AND t.timer_started_at IS NULL
+     ORDER BY t.entry_date ASC, t.id ASC`,
+    [caseId]
+  ).map(mapRowToTimeEntry);
+}
+
+/**
+ * Update a time entry
+ * @param {number} id - Entry ID
+ * @param {Object} data - Fields to change
+ * @returns {Object} Updated entry
+ * @throws {NotFoundError|ValidationError|ConflictError} ConflictError if already invoiced
+ */
+export function update(id, data = {}) {
+  const current = getById(id);
+  if (!current) {
+    const errorInfo = TimeEntryErrors.notFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+  assertNotBilled(current);
+
+  const e = validateEntry({ ...current, ...data }, { running: current.timerRunning });
+  execute(
+    `UPDATE time_entries
+     SET user_id = ?, entry_date = ?, duration_minutes = ?, activity = ?, hourly_rate = ?, billable = ?,
+         updated_at = datetime('now')
+     WHERE id = ?`,
+    [
+      e.userId,
+      e.entryDate,
+      e.durationMinutes,
+      e.activity,
+      e.hourlyRate,
+      e.billable ? 1 : 0,
+      id,
+    ]
+  );
+
+  return getById(id);
+}
+
+/**
+ * Delete a time entry
+ * @param {number} id - Entry ID
+ * @returns {boolean} True if deleted
+ * @throws {NotFoundError|ConflictError} ConflictError if already invoiced
+ */
+export function deleteEntry(id) {
+  const current = getById(id);
+  if (!current) {
+    const errorInfo = TimeEntryErrors.notFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+  assertNotBilled(current);
+
+  execute("DELETE FROM time_entries WHERE id = ?", [id]);
+  return true;
+}
+
+/**
+ * Get the user's running timer
+ * @param {number} userId - User ID
+ * @returns {Object|null} Entry with the running timer or null
+ */
+export function getRunningTimer(userId) {
+  const row = queryOne(`${SELECT_ENTRIES} WHERE t.user_id = ? AND t.timer_started_at IS NOT NULL`, [
+    userId,
+  ]);
+  return row ? mapRowToTimeEntry(row) : null;
+}
+
+/**
+ * Start a timer on a case
+ * Creates an entry without duration; stopTimer fills it in.
+ * @param {number} caseId - Case ID
+ * @param {Object} data - { activity, hourlyRate, billable }
+ * @param {Object} actor - User running the timer
+ * @param {Object} [options] - { now }
+ * @returns {Object} Entry with the running timer
+ * @throws {NotFoundError|ValidationError|ConflictError} ConflictError if the user already has one running
+ */
+export function startTimer(caseId, data, actor, options = {}) {
+  getParticularCase(caseId);
+  const now = options.now || new Date();
+
+  const running = getRunningTimer(actor.id);
+  if (running) {
+    const errorInfo = TimeEntryErrors.timerAlreadyRunning(running.id);
+    throw new ConflictError(errorInfo);
+  }
+
+  const e = validateEntry(
+    { ...data, entryDate: madridNow(now).slice(0, 10), userId: actor.id },
+    { running: true }
+  );
+  const result = execute(
+    `INSERT INTO time_entries (case_id, user_id, entry_date, activity, hourly_rate, billable,
+                               timer_started_at, created_by_user_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      caseId,
+      actor.id,
+      e.entryDate,
+      e.activity,
+      e.hourlyRate,
+      e.billable ? 1 : 0,
+      now.toISOString(),
+      actor.id,
+    ]
+  );
+
+  return getById(result.lastInsertRowid);
+}
+
+/**
+ * Stop a running timer
+ * The elapsed time is rounded up to whole minutes; a timer left running for
+ * more than a day is capped at MAX_DURATION_MINUTES (the entry can be edited).
+ * @param {number} id - Entry ID
+ * @param {Object} [options] - { now }
+ * @returns {Object} Stopped entry
+ * @throws {NotFoundError|ValidationError}
+ */
+export function stopTimer(id, options = {}) {
+  const current = getById(id);
+  if (!current) {
+    const errorInfo = TimeEntryErrors.notFound(id);
+    throw new NotFoundError(errorInfo);
+  }
+  if (!current.timerRunning) {
+    const errorInfo = TimeEntryErrors.timerNotRunning(id);
+    throw new ValidationError(errorInfo);
+  }
+
+  const now = options.now || new Date();
+  const elapsed = Math.ceil((now.getTime() - Date.parse(current.timerStartedAt)) / 60000);
+  const durationMinutes = Math.min(Math.max(elapsed, 1), MAX_DURATION_MINUTES);
+
+  execute(
+    `UPDATE time_entries
+     SET duration_minutes = ?, timer_started_at = NULL, updated_at = datetime('now')
+     WHERE id = ?`,
+    [durationMinutes, id]
+  );
+
+  return getById(id);
+}
+
+/**
+ * Link entries to their fee note, within the transaction that records it
+ * @param {Database} db - Database instance from the calling transaction
+ * @param {Array} entries - Entries being invoiced
+ * @param {number} documentId - Fee note document
+ * @throws {ConflictError} If an entry was invoiced or changed in the meantime
+ */
+export function markBilledInTransaction(db, entries, documentId) {
+  const stmt = db.prepare(
+    `UPDATE time_entries SET document_id = ?, updated_at = datetime('now')
+     WHERE id = ? AND document_id IS NULL AND updated_at = ?`
+  );
+
+  for (const entry of entries) {
+    if (stmt.run(documentId, entry.id, entry.updatedAt).changes === 0) {
+      const current = db.prepare("SELECT document_id FROM time_entries WHERE id = ?").get(entry.id);
+      const errorInfo = TimeEntryErrors.alreadyBilled(entry.id, current?.document_id ?? null);
+      throw new ConflictError(errorInfo);
+    }
+  }
+}
+
+/**
+ * Map database row to time entry object
+ * @param {Object} row - Database row (joined with users)
+ * @returns {Object} Time entry object
+ */
+function mapRowToTimeEntry(row) {
+  const entry = {
+    id: row.id,
+    caseId: row.case_id,
+    userId: row.user_id,
+    userName: row.user_id ? row.user_name || row.user_username : null,
+    entryDate: row.entry_date,
+    durationMinutes: row.duration_minutes,
+    activity: row.activity,
+    hourlyRate: row.hourly_rate,
+    billable: row.billable === 1,
+    timerRunning: row.timer_started_at !== null,
+    timerStartedAt: row.timer_started_at,
+    documentId: row.document_id,
+    createdByUserId: row.created_by_user_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+  entry.amount = calculateEntryAmount(entry);
+  return entry;
+}
+
+export default {
+  TIME_ENTRY_CASE_TYPE,
+  FEE_NOTE_DOCUMENT_TYPE,
+  FEE_NOTE_CONCEPT,
+  MAX_DURATION_MINUTES,
+  calculateEntryAmount,
+  calculateFeeNoteAmounts,
+  create,
+  getById,
+  listByCase,
+  getSummary,
+  getUnbilledEntries,
+  update,
+  deleteEntry,
+  getRunningTimer,
+  startTimer,
+  stopTimer,
+  markBilledInTransaction,
+};
@@ -0,0 +1,192 @@
+// Timestamp Authority
+// RFC 3161 timestamp tokens for signatures (PAdES-T / PAdES-LTV)
+//
+// A timestamp authority is any object with `timestamp(data) → Promise<Buffer>`
+// returning a DER TimeStampToken over the SHA-256 of data. HttpTimestampAuthority
+// talks to a TSA over HTTP (application/timestamp-query); tests use a local one.
+
+import { createHash, randomBytes } from "node:crypto";
+import * as asn1js from "asn1js";
+
+const OID = {
+  SHA256: "2.16.840.1.101.3.4.2.1",
+  SIGNED_DATA: "1.2.840.113549.1.7.2",
+  TST_INFO: "1.2.840.113549.1.9.16.1.4",
+};
+
+// Time to wait for the TSA before giving up on a signature
+const DEFAULT_TIMEOUT_MS = 15000;
+
+// PKIStatus values that carry a token (granted, grantedWithMods)
+const GRANTED_STATUSES = [0, 1];
+
+/**
+ * Parse DER bytes with asn1js
+ * @param {Buffer|Uint8Array} der - DER bytes
+ * @returns {Object} Root block
+ * @throws {Error} If the bytes are not valid ASN.1
+ */
+function parseDer(der) {
+  const bytes = Buffer.from(der);
+  const parsed = asn1js.fromBER(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length));
+  if (parsed.offset === -1) throw new Error("Estructura ASN.1 no válida");
+  return parsed.result;
+}
+
+/**
+ * Contents of an OCTET STRING, primitive or constructed
+ * @param {Object} block - asn1js OctetString
+ * @returns {Buffer}
+ */
+function octets(block) {
+  if (block.idBlock.isConstructed) {
+    return Buffer.concat(block.valueBlock.value.map(octets));
+  }
+  return Buffer.from(block.valueBlock.valueHexView);
+}
+
+/**
+ * Build a DER TimeStampReq for a SHA-256 digest
+ * @param {Buffer} digest - SHA-256 of the data to timestamp
+ * @param {Buffer} nonce - Random nonce (positive, first bit clear)
+ * @returns {Buffer}
+ */
+export function buildTimestampRequest(digest, nonce) {
+  const request = new asn1js.Sequence({
+    value: [
+      new asn1js.Integer({ value: 1 }),
+      new asn1js.Sequence({
+        value: [
+          new asn1js.Sequence({
+            value: [new asn1js.ObjectIdentifier({ value: OID.SHA256 }), new asn1js.Null()],
+          }),
+          new asn1js.OctetString({ valueHex: digest }),
+        ],
+      }),
+      new asn1js.Integer({ valueHex: nonce }),
+      // certReq: the token carries the TSA certificate for later validation
+      new asn1js.Boolean({ value: true }),
+    ],
+  });
+  return Buffer.from(request.toBER(false));
+}
+
+/**
+ * Read the TSTInfo of a TimeStampToken
+ * @param {Buffer} token - DER TimeStampToken (a CMS SignedData)
+ * @returns {Object} { policy, hashAlgorithm, digest, serialNumber, genTime, nonce }
+ * @throws {Error} If the token is not a TimeStampToken
+ */
+export function parseTimestampToken(token) {
+  const [contentType, content] = parseDer(token).valueBlock.value || [];
+  if (contentType?.valueBlock.toString() !== OID.SIGNED_DATA) {
+    throw new Error("El sello de tiempo no es un CMS SignedData");
+  }
+
+  // SignedData: version, digestAlgorithms, encapContentInfo, ...
+  const encapContentInfo = content.valueBlock.value[0].valueBlock.value[2];
+  const [eContentType, eContent] = encapContentInfo.valueBlock.value;
+  if (eContentType.valueBlock.toString() !== OID.TST_INFO || !eContent) {
+    throw new Error("El sello de tiempo no contiene un TSTInfo");
+  }
+
+  // TSTInfo: version, policy, messageImprint, serialNumber, genTime, accuracy?, ordering?, nonce?, ...
+  const fields = parseDer(octets(eContent.valueBlock.value[0])).valueBlock.value;
+  const [, policy, messageImprint, serialNumber, genTime] = fields;
+  const [algorithm, hashedMessage] = messageImprint.valueBlock.value;
+  const nonce = fields.slice(5).find((field) => field.idBlock.tagClass === 1 && field.idBlock.tagNumber === 2);
+
+  return {
+    policy: policy.valueBlock.toString(),
+    hashAlgorithm: algorithm.valueBlock.value[0].valueBlock.toString(),
+    digest: octets(hashedMessage),
+    serialNumber: Buffer.from(serialNumber.valueBlock.valueHexView).toString("hex"),
+    genTime: genTime.toDate(),
+    nonce: nonce ? Buffer.from(nonce.valueBlock.valueHexView) : null,
+  };
+}
+
+/**
+ * Extract and check the token of a TimeStampResp
+ * @param {Buffer} response - DER TimeStampResp
+ * @param {{digest: Buffer, nonce: Buffer}} expected - Digest and nonce of the request
+ * @returns {Buffer} DER TimeStampToken
+ * @throws {Error} If the TSA rejected the request or answered for other data
+ */
+export function parseTimestampResponse(response, expected) {
+  const [statusInfo, token] = parseDer(response).valueBlock.value || [];
+  const status = statusInfo?.valueBlock.value[0]?.valueBlock.valueDec;
+  if (!GRANTED_STATUSES.includes(status) || !token) {
+    const text = statusInfo?.valueBlock.value[1]?.valueBlock.value?.map((s) => s.valueBlock.value).join(" ");
+    throw new Error(`La autoridad de sellado de tiempo rechazó la solicitud (estado ${status})${text ? `: ${text}` : ""}`);
+  }
+
+  const tokenDer = Buffer.from(token.valueBeforeDecodeView);
+  const info = parseTimestampToken(tokenDer);
+  if (!info.digest.equals(expected.digest)) {
+    throw new Error("El sello de tiempo no corresponde a la firma enviada");
+  }
+  if (info.nonce && normalizeInteger(info.nonce) !== normalizeInteger(expected.nonce)) {
+    throw new Error("El sello de tiempo no corresponde a la solicitud (nonce distinto)");
+  }
+  return tokenDer;
+}
+
+/**
+ * Hex of an unsigned integer without leading zeros
+ * @param {Buffer} bytes - Integer bytes
+ * @returns {string}
+ */
+function normalizeInteger(bytes) {
+  return bytes.toString("hex").replace(/^(00)+/, "");
+}
+
+/**
+ * RFC 3161 timestamp authority reached over HTTP(S)
+ */
+export class HttpTimestampAuthority {
+  /**
+   * @param {string} url - TSA URL
+   * @param {{ timeout?: number }} [options] - Request timeout in ms
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.timeout = options.timeout ?? DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Get a timestamp token over data
+   * @param {Buffer} data - Data to timestamp (the signature value)
+   * @returns {Promise<Buffer>} DER TimeStampToken
+   * @throws {Error} If the TSA cannot be reached or rejects the request
+   */
+  async timestamp(data) {
+    const digest = createHash("sha256").update(data).digest();
+    const nonce = randomBytes(8);
+    nonce[0] &= 0x7f;
+
+    let response;
+    try {
+      response = await fetch(this.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/timestamp-query" },
+        body: buildTimestampRequest(digest, nonce),
+        signal: AbortSignal.timeout(this.timeout),
+      });
+    } catch (err) {
+      throw new Error(`No se pudo contactar con la autoridad de sellado de tiempo (${this.url}): ${err.message}`);
+    }
+    if (!response.ok) {
+      throw new Error(`La autoridad de sellado de tiempo (${this.url}) respondió con el estado ${response.status}`);
+    }
+
+    return parseTimestampResponse(Buffer.from(await response.arrayBuffer()), { digest, nonce });
+  }
+}
+
+export default {
+  HttpTimestampAuthority,
+  buildTimestampRequest,
+  parseTimestampResponse,
+  parseTimestampToken,
+};
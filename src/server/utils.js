@@ -0,0 +1,33 @@
+// Shared helpers for the amounts and dates handled by several services
+
+// Dates and times entered at the office are wall-clock times in Madrid
+export const MADRID_TIMEZONE = "Europe/Madrid";
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount in euros
+ * @returns {number} Rounded amount
+ */
+export function roundCents(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Current wall-clock time in Madrid as YYYY-MM-DDTHH:MM
+ * Its first 10 characters are today's date at the office, which the UTC date
+ * of toISOString() is not between midnight and 01:00/02:00.
+ * @param {Date} [now] - Reference instant
+ * @returns {string}
+ */
+export function madridNow(now = new Date()) {
+  const formatted = new Intl.DateTimeFormat("sv-SE", {
+    timeZone: MADRID_TIMEZONE,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23",
+  }).format(now);
+  return formatted.replace(" ", "T");
+}